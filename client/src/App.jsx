@@ -5,6 +5,7 @@ import remarkGfm from 'remark-gfm';
 import rehypeRaw from 'rehype-raw';
 import mermaid from 'mermaid';
 import ArchitectureDiagram from './ArchitectureDiagram';
+import { DiagramSourceEditor } from './DiagramGenerator';
 import CosmicToSpec from './CosmicToSpec';
 import RequirementReview from './RequirementReview';
 import RequirementAssistant from './RequirementAssistant';
@@ -38,7 +39,9 @@ import {
   GitBranch,
   Search,
   MessageSquare,
-  ClipboardList
+  ClipboardList,
+  FolderOpen,
+  Save
 } from 'lucide-react';
 
 function App() {
@@ -61,6 +64,22 @@ function App() {
   const [showPreview, setShowPreview] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [showTableView, setShowTableView] = useState(false);
+  const [validationState, setValidationState] = useState(null); // { report, data }
+  const [isValidating, setIsValidating] = useState(false);
+  const [traceability, setTraceability] = useState(null); // 需求追溯矩阵 { processes, sections, summary }
+  const [isTracing, setIsTracing] = useState(false);
+  const [showUncoveredOnly, setShowUncoveredOnly] = useState(false);
+  // COSMIC度量项目（服务端持久化的版本快照）
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [showProjects, setShowProjects] = useState(false);
+  const [projects, setProjects] = useState([]);
+  // 度量人员（写入导出Excel的度量元数据表）
+  const [measurer, setMeasurer] = useState(() => {
+    if (typeof window !== 'undefined') {
+      return window.localStorage.getItem('measurer') || '';
+    }
+    return '';
+  });
   const [minFunctionCount, setMinFunctionCount] = useState(() => {
     if (typeof window !== 'undefined') {
       const saved = window.localStorage.getItem('minFunctionCount');
@@ -114,6 +133,7 @@ function App() {
 
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  const tableImportInputRef = useRef(null);
   const dropZoneRef = useRef(null);
 
   // 初始化Mermaid
@@ -138,6 +158,13 @@ function App() {
     }
   }, [minFunctionCount]);
 
+  // 记住度量人员
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      window.localStorage.setItem('measurer', measurer);
+    }
+  }, [measurer]);
+
   // 记住上次选择的模块
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -233,11 +260,11 @@ function App() {
     setErrorMessage('');
 
     // 检查文件类型
-    const allowedExtensions = ['.docx', '.doc', '.txt', '.md'];
+    const allowedExtensions = ['.docx', '.doc', '.txt', '.md', '.pdf', '.pptx', '.xlsx'];
     const ext = '.' + file.name.split('.').pop().toLowerCase();
 
     if (!allowedExtensions.includes(ext)) {
-      setErrorMessage(`不支持的文件格式: ${ext}。请上传 .docx, .doc, .txt 或 .md 文件`);
+      setErrorMessage(`不支持的文件格式: ${ext}。请上传 .docx, .doc, .txt, .md, .pdf, .pptx 或 .xlsx 文件`);
       return;
     }
 
@@ -278,7 +305,7 @@ function App() {
         const statusRes = await axios.get('/api/health');
         if (statusRes.data.hasApiKey) {
           setApiStatus(statusRes.data);
-          await startAnalysis(res.data.text);
+          await startAnalysis(res.data.text, res.data.filename);
         } else {
           setMessages(prev => [...prev, {
             role: 'assistant',
@@ -301,7 +328,8 @@ function App() {
   };
 
   // 开始AI分析 - 循环调用直到完成
-  const startAnalysis = async (content) => {
+  // keepExisting: 在当前表格基础上继续分析（如导入人工修改后的Excel），人工修改的功能过程不会被覆盖
+  const startAnalysis = async (content, filename = documentName, { keepExisting = false } = {}) => {
     if (!apiStatus.hasApiKey) {
       setMessages(prev => [...prev, {
         role: 'assistant',
@@ -312,14 +340,28 @@ function App() {
 
     setIsLoading(true);
     setStreamingContent('');
-    setTableData([]); // 清空之前的表格数据
+    if (!keepExisting) {
+      setTableData([]); // 清空之前的表格数据
+    }
 
-    let allTableData = [];
+    let allTableData = keepExisting ? tableData : [];
     let round = 1;
     const maxRounds = 12; // 最多循环12次，防止无限循环
     let uniqueFunctions = [];
     const globalRowSet = new Set(); // 仅用于整行去重
 
+    // 每次分析创建一个度量项目，保存源文档和每轮结果（继续分析时沿用当前项目）
+    let projectId = keepExisting ? currentProjectId : null;
+    if (!projectId) {
+      try {
+        const projectRes = await axios.post('/api/projects', { documentContent: content, filename });
+        projectId = projectRes.data.project.id;
+        setCurrentProjectId(projectId);
+      } catch (e) {
+        console.log('创建度量项目失败，本次分析结果不会持久化:', e.message);
+      }
+    }
+
     try {
       while (round <= maxRounds) {
         if (uniqueFunctions.length >= minFunctionCount) {
@@ -347,7 +389,12 @@ function App() {
 
           // 解析表格数据 - 直接使用后端已处理好的数据，不再前端二次处理
           try {
-            const tableRes = await axios.post('/api/parse-table', { markdown: replyContent });
+            const tableRes = await axios.post('/api/parse-table', {
+              markdown: replyContent,
+              existingTableData: allTableData,
+              mergeMode: 'append',
+              sourceAnchors: response.data.sourceAnchors
+            });
             console.log(`第 ${round} 轮解析结果:`, tableRes.data);
             if (tableRes.data.success && tableRes.data.tableData.length > 0) {
               // 直接使用后端返回的数据，不做额外过滤
@@ -363,15 +410,29 @@ function App() {
               console.log(`数据移动类型分布:`, typeCount);
 
               if (newData.length > 0) {
-                allTableData = [...allTableData, ...newData];
+                // 人工修改过的功能过程保留原样，忽略模型重新生成的行
+                allTableData = tableRes.data.mergedTableData;
                 setTableData(allTableData);
-                console.log(`第 ${round} 轮新增 ${newData.length} 条，总计 ${allTableData.length} 条`);
+                if (tableRes.data.droppedRows > 0) {
+                  console.log(`第 ${round} 轮保留人工修改的功能过程: ${tableRes.data.preservedProcesses.join('、')}`);
+                }
+                console.log(`第 ${round} 轮新增 ${newData.length - tableRes.data.droppedRows} 条，总计 ${allTableData.length} 条`);
               }
             }
           } catch (e) {
             console.log(`第 ${round} 轮表格解析失败`);
           }
 
+          if (projectId) {
+            axios.post(`/api/projects/${projectId}/versions`, {
+              kind: 'round',
+              round,
+              reply: replyContent,
+              tableData: allTableData,
+              label: `第 ${round} 轮分析`
+            }).catch(e => console.log('保存分析轮次失败:', e.message));
+          }
+
           // 显示本轮结果
           setMessages(prev => {
             const filtered = prev.filter(m => !m.content.startsWith('🔄'));
@@ -525,18 +586,165 @@ function App() {
     }
   };
 
-  // 从Markdown解析表格
+  // 从Markdown解析表格（人工修改过的功能过程保留原样）
   const parseTableFromMarkdown = async (markdown) => {
     try {
-      const res = await axios.post('/api/parse-table', { markdown });
+      const res = await axios.post('/api/parse-table', {
+        markdown,
+        existingTableData: tableData,
+        mergeMode: 'replace',
+        documentContent
+      });
       if (res.data.success && res.data.tableData.length > 0) {
-        setTableData(res.data.tableData);
+        setTableData(res.data.mergedTableData);
+        if (res.data.preservedProcesses.length > 0) {
+          setMessages(prev => [...prev, {
+            role: 'system',
+            content: `✋ 已保留 ${res.data.preservedProcesses.length} 个人工修改的功能过程：${res.data.preservedProcesses.join('、')}`
+          }]);
+        }
       }
     } catch (error) {
       console.log('表格解析失败，可能没有有效表格');
     }
   };
 
+  // ==================== COSMIC度量项目 ====================
+
+  // 保存当前表格为项目的新版本（没有当前项目时自动创建）
+  const saveProjectVersion = async (data = tableData, kind = 'edit', label = '') => {
+    if (data.length === 0) return null;
+    try {
+      let projectId = currentProjectId;
+      if (!projectId) {
+        const projectRes = await axios.post('/api/projects', { documentContent, filename: documentName });
+        projectId = projectRes.data.project.id;
+        setCurrentProjectId(projectId);
+      }
+      const res = await axios.post(`/api/projects/${projectId}/versions`, { kind, label, tableData: data });
+      return res.data.version;
+    } catch (error) {
+      console.log('保存项目版本失败:', error.message);
+      return null;
+    }
+  };
+
+  const loadProjects = async () => {
+    try {
+      const res = await axios.get('/api/projects');
+      setProjects(res.data.projects || []);
+    } catch (error) {
+      alert('获取项目列表失败: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const openProject = async (projectId) => {
+    try {
+      const res = await axios.get(`/api/projects/${projectId}`);
+      const { project, source, latest } = res.data;
+      setCurrentProjectId(project.id);
+      setDocumentContent(source?.documentContent || '');
+      setDocumentName(source?.filename || project.name);
+      setTableData(latest?.tableData || []);
+      setMessages([{
+        role: 'system',
+        content: `📁 已打开项目: ${project.name}\n共 ${project.versions.length} 个版本，当前为 v${latest?.version || 0}（${latest?.label || '空'}），${latest?.tableData?.length || 0} 个子过程`
+      }]);
+      setShowProjects(false);
+    } catch (error) {
+      alert('打开项目失败: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const forkProject = async (projectId) => {
+    try {
+      await axios.post(`/api/projects/${projectId}/fork`, {});
+      await loadProjects();
+    } catch (error) {
+      alert('派生项目失败: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const deleteProject = async (projectId) => {
+    if (!window.confirm('确定删除该项目及其全部版本吗？')) return;
+    try {
+      await axios.delete(`/api/projects/${projectId}`);
+      if (projectId === currentProjectId) setCurrentProjectId(null);
+      await loadProjects();
+    } catch (error) {
+      alert('删除项目失败: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // 对比项目最近两个版本
+  const diffLatestVersions = async (project) => {
+    if (project.versionCount < 2) {
+      alert('至少需要两个版本才能对比');
+      return;
+    }
+    try {
+      const to = project.latestVersion.version;
+      const res = await axios.get(`/api/projects/${project.id}/diff`, { params: { from: to - 1, to } });
+      const { diff } = res.data;
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `🔀 **${project.name}** v${diff.from.version} → v${diff.to.version}\n\n- 新增子过程：${diff.summary.added}\n- 删除子过程：${diff.summary.removed}\n- 修改子过程：${diff.summary.modified}\n- CFP：${diff.from.cfp} → ${diff.to.cfp}（${diff.cfpDelta >= 0 ? '+' : ''}${diff.cfpDelta}）`
+      }]);
+      setShowProjects(false);
+    } catch (error) {
+      alert('版本对比失败: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // COSMIC规则校验（可选自动修复不合规的功能过程）
+  const validateTable = async (autoRepair = false) => {
+    if (tableData.length === 0) return;
+
+    setIsValidating(true);
+    try {
+      const res = await axios.post('/api/cosmic/validate', {
+        tableData,
+        autoRepair,
+        documentContent
+      });
+      if (res.data.success) {
+        const validatedData = res.data.repaired ? res.data.tableData : tableData;
+        if (res.data.repaired) {
+          setTableData(validatedData);
+          saveProjectVersion(validatedData, 'edit', `自动修复 ${res.data.repairedProcesses.length} 个功能过程`);
+        }
+        setValidationState({ report: res.data.validation, data: validatedData });
+        const { summary } = res.data.validation;
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: `🧪 **COSMIC规则校验${autoRepair ? '（自动修复后）' : ''}**\n\n- 功能过程：${summary.totalProcesses} 个，通过 ${summary.passedProcesses} 个，未通过 ${summary.failedProcesses} 个\n- 错误：${summary.errorCount} 项，警告：${summary.warningCount} 项${res.data.repaired ? `\n- 已修复功能过程：${res.data.repairedProcesses.length} 个` : ''}`
+        }]);
+      }
+    } catch (error) {
+      alert('规则校验失败: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setIsValidating(false);
+    }
+  };
+
+  // 表格数据变化后旧的校验结果失效
+  const validationReport = validationState && validationState.data === tableData ? validationState.report : null;
+
+  // 行号（从1开始）-> 违规信息
+  const rowViolations = useMemo(() => {
+    const map = new Map();
+    if (!validationReport) return map;
+    validationReport.processes.forEach(p => {
+      p.violations.forEach(v => {
+        v.rows.forEach(rowNumber => {
+          if (!map.has(rowNumber)) map.set(rowNumber, []);
+          map.get(rowNumber).push(v);
+        });
+      });
+    });
+    return map;
+  }, [validationReport]);
+
   // 导出Excel
   const exportExcel = async () => {
     if (tableData.length === 0) {
@@ -547,7 +755,12 @@ function App() {
     try {
       const response = await axios.post('/api/export-excel', {
         tableData,
-        filename: documentName ? documentName.replace('.docx', '') + '_cosmic拆分结果' : 'cosmic拆分结果'
+        filename: documentName ? documentName.replace('.docx', '') + '_cosmic拆分结果' : 'cosmic拆分结果',
+        measurement: {
+          scope: documentName || '',
+          measurer,
+          date: new Date().toISOString()
+        }
       }, {
         responseType: 'blob'
       });
@@ -566,6 +779,76 @@ function App() {
     }
   };
 
+  // 需求追溯：功能过程对应的源文档章节，以及没有产生功能过程的章节
+  const loadTraceability = async () => {
+    if (tableData.length === 0 || !documentContent) return;
+    setIsTracing(true);
+    try {
+      const res = await axios.post('/api/cosmic/traceability', { tableData, documentContent });
+      setTraceability(res.data.matrix);
+    } catch (error) {
+      alert('生成追溯矩阵失败: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setIsTracing(false);
+    }
+  };
+
+  // 导出追溯矩阵（excel / html）
+  const exportTraceability = async (format) => {
+    const baseName = `${documentName ? documentName.replace('.docx', '') + '_' : ''}需求追溯矩阵`;
+    try {
+      const response = await axios.post('/api/cosmic/traceability/export', {
+        tableData,
+        documentContent,
+        documentName,
+        format,
+        filename: baseName
+      }, {
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${baseName}.${format === 'html' ? 'html' : 'xlsx'}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('导出失败: ' + error.message);
+    }
+  };
+
+  // 重新导入人工修改后的拆分结果Excel
+  const importEditedExcel = async (file) => {
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const res = await axios.post('/api/cosmic/import-excel', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      if (res.data.success) {
+        const { tableData: importedData, summary, editedProcesses, deletedRows, hasRoundTripMetadata } = res.data;
+        setTableData(importedData);
+        setValidationState({ report: res.data.validation, data: importedData });
+        saveProjectVersion(importedData, 'import', `导入 ${res.data.filename}`);
+        const { summary: validationSummary } = res.data.validation;
+        setMessages(prev => [...prev, {
+          role: 'system',
+          content: hasRoundTripMetadata
+            ? `📥 已导入 ${res.data.filename}：共 ${summary.total} 个子过程\n- 人工修改：${summary.modified} 行，人工新增：${summary.added} 行，人工删除：${summary.deleted} 行${deletedRows.length > 0 ? `（${deletedRows.slice(0, 5).map(r => `${r.functionalProcess}/${r.subProcessDesc}`).join('、')}${deletedRows.length > 5 ? '…' : ''}）` : ''}\n- 含人工修改的功能过程：${editedProcesses.length} 个，继续分析和自动修复时保持不变\n- 规则校验：通过 ${validationSummary.passedProcesses} 个，未通过 ${validationSummary.failedProcesses} 个`
+            : `📥 已导入 ${res.data.filename}：共 ${summary.total} 个子过程\n⚠️ 文件不是本系统导出的拆分结果（缺少行标识），无法识别人工修改\n- 规则校验：通过 ${validationSummary.passedProcesses} 个，未通过 ${validationSummary.failedProcesses} 个`
+        }]);
+      }
+    } catch (error) {
+      alert('导入失败: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   // ==================== 需求规格书生成功能 ====================
   
   // 开始生成需求规格书（支持多轮完善）
@@ -1729,6 +2012,13 @@ function App() {
             {/* Cosmic模块的按钮 */}
             {activeModule === 'cosmic' && (
               <>
+                <button
+                  onClick={() => { loadProjects(); setShowProjects(true); }}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-white text-claude-text-primary border border-claude-border rounded-lg hover:bg-claude-bg-cream hover:border-claude-accent-primary transition-all text-sm"
+                >
+                  <FolderOpen className="w-4 h-4 text-claude-accent-primary" />
+                  <span>项目</span>
+                </button>
                 <button
                   onClick={() => setShowTableView(true)}
                   disabled={tableData.length === 0}
@@ -1737,6 +2027,25 @@ function App() {
                   <Table className="w-4 h-4 text-claude-accent-primary" />
                   <span>查看表格</span>
                 </button>
+                <input
+                  ref={tableImportInputRef}
+                  type="file"
+                  accept=".xlsx"
+                  onChange={(e) => {
+                    importEditedExcel(e.target.files?.[0]);
+                    e.target.value = '';
+                  }}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => tableImportInputRef.current?.click()}
+                  disabled={isLoading}
+                  title="导入人工修改后的拆分结果Excel"
+                  className="flex items-center gap-2 px-3 py-1.5 bg-white text-claude-text-primary border border-claude-border rounded-lg hover:bg-claude-bg-cream hover:border-claude-accent-primary disabled:opacity-50 disabled:cursor-not-allowed transition-all text-sm"
+                >
+                  <Upload className="w-4 h-4 text-claude-accent-primary" />
+                  <span>导入Excel</span>
+                </button>
                 <button
                   onClick={exportExcel}
                   disabled={tableData.length === 0}
@@ -1820,7 +2129,7 @@ function App() {
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept=".docx,.txt,.md"
+                  accept=".docx,.doc,.txt,.md,.pdf,.pptx,.xlsx"
                   onChange={handleFileSelect}
                   className="hidden"
                 />
@@ -1833,7 +2142,7 @@ function App() {
                   <>
                     <FileText className="w-12 h-12 text-claude-text-muted/50 mx-auto mb-3 transition-colors group-hover:text-claude-text-secondary" />
                     <p className="text-claude-text-primary font-medium">点击或拖拽上传</p>
-                    <p className="text-sm text-claude-text-muted mt-1">支持 .docx, .txt, .md 格式</p>
+                    <p className="text-sm text-claude-text-muted mt-1">支持 .docx, .doc, .txt, .md, .pdf, .pptx, .xlsx 格式</p>
                   </>
                 )}
               </div>
@@ -2829,6 +3138,11 @@ function App() {
                 documentName={diagramDocName}
               />
             </div>
+
+            {/* 已导出文档中的图表源码编辑 */}
+            <div className="mt-6 rounded-xl border border-claude-border overflow-hidden">
+              <DiagramSourceEditor />
+            </div>
           </div>
         </div>
       )}
@@ -2907,10 +3221,29 @@ function App() {
                 </thead>
                 <tbody>
                   {tableData.map((row, idx) => (
-                    <tr key={idx} className={`${idx % 2 === 0 ? 'bg-white' : 'bg-claude-bg-warm'} hover:bg-claude-bg-light transition-colors`}>
+                    <tr
+                      key={idx}
+                      title={[
+                        row.editStatus === 'modified' ? '人工修改' : row.editStatus === 'added' ? '人工新增' : '',
+                        row.sourceAnchor ? `来源：${row.sourceAnchor.headingPath}（偏移 ${row.sourceAnchor.offset}）` : '',
+                        ...(rowViolations.get(idx + 1) || []).map(v => v.message)
+                      ].filter(Boolean).join('\n')}
+                      className={`${
+                        rowViolations.get(idx + 1)?.some(v => v.severity === 'error') ? 'bg-red-50' :
+                        rowViolations.has(idx + 1) ? 'bg-yellow-50' :
+                        idx % 2 === 0 ? 'bg-white' : 'bg-claude-bg-warm'
+                      } hover:bg-claude-bg-light transition-colors`}
+                    >
                       <td className="border border-claude-border-warm px-3 py-2 text-claude-text-secondary">{row.functionalUser}</td>
                       <td className="border border-claude-border-warm px-3 py-2 text-claude-text-secondary">{row.triggerEvent}</td>
-                      <td className="border border-claude-border-warm px-3 py-2 text-claude-text-secondary">{row.functionalProcess}</td>
+                      <td className="border border-claude-border-warm px-3 py-2 text-claude-text-secondary">
+                        {row.functionalProcess}
+                        {row.editStatus && (
+                          <span className="ml-1.5 px-1.5 py-0.5 rounded text-[10px] bg-indigo-100 text-indigo-700 whitespace-nowrap">
+                            {row.editStatus === 'added' ? '人工新增' : '人工修改'}
+                          </span>
+                        )}
+                      </td>
                       <td className="border border-claude-border-warm px-3 py-2 text-claude-text-secondary">{row.subProcessDesc}</td>
                       <td className="border border-claude-border-warm px-3 py-2 text-center">
                         <span className={`px-2 py-0.5 rounded text-xs font-bold ${
@@ -2930,7 +3263,78 @@ function App() {
                 </tbody>
               </table>
             </div>
+            {validationReport && !validationReport.valid && (
+              <div className="max-h-40 overflow-auto px-4 py-2 border-t border-claude-border bg-red-50 text-sm">
+                {validationReport.processes.filter(p => p.violations.length > 0).map(p => (
+                  <div key={p.functionalProcess} className="py-1">
+                    <span className="font-semibold text-claude-text-primary">{p.functionalProcess}</span>
+                    <span className="text-claude-text-muted">（第 {p.rows[0]}-{p.rows[p.rows.length - 1]} 行）：</span>
+                    <span className="text-red-700">{p.violations.map(v => v.message).join('；')}</span>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="p-4 border-t border-claude-border bg-claude-bg-warm rounded-b-xl flex justify-end gap-3">
+              <input
+                type="text"
+                value={measurer}
+                onChange={(e) => setMeasurer(e.target.value)}
+                placeholder="度量人员（写入导出的度量元数据）"
+                className="mr-auto w-64 px-3 py-2 bg-white border border-claude-border rounded-lg text-sm focus:outline-none focus:border-claude-accent-primary"
+              />
+              <button
+                onClick={async () => {
+                  const version = await saveProjectVersion(tableData, 'edit', '手动保存');
+                  if (version) alert(`已保存为项目版本 v${version.version}`);
+                }}
+                className="px-4 py-2 bg-white border border-claude-border text-claude-text-secondary rounded-lg hover:bg-claude-bg-cream hover:text-claude-text-primary flex items-center gap-2 transition-all shadow-sm"
+              >
+                <Save className="w-4 h-4" />
+                保存版本
+              </button>
+              <button
+                onClick={() => validateTable(false)}
+                disabled={isValidating}
+                className="px-4 py-2 bg-white border border-claude-border text-claude-text-secondary rounded-lg hover:bg-claude-bg-cream hover:text-claude-text-primary flex items-center gap-2 transition-all shadow-sm disabled:opacity-50"
+              >
+                {isValidating ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+                规则校验
+              </button>
+              {documentContent && (
+                <button
+                  onClick={() => {
+                    setShowTableView(false);
+                    startAnalysis(documentContent, documentName, { keepExisting: true });
+                  }}
+                  disabled={isLoading || !apiStatus.hasApiKey}
+                  title="在当前表格基础上继续拆分，人工修改的功能过程保持不变"
+                  className="px-4 py-2 bg-white border border-claude-border text-claude-text-secondary rounded-lg hover:bg-claude-bg-cream hover:text-claude-text-primary flex items-center gap-2 transition-all shadow-sm disabled:opacity-50"
+                >
+                  <Zap className="w-4 h-4" />
+                  继续分析
+                </button>
+              )}
+              {documentContent && (
+                <button
+                  onClick={loadTraceability}
+                  disabled={isTracing}
+                  title="查看功能过程对应的源文档章节，以及没有产生功能过程的章节"
+                  className="px-4 py-2 bg-white border border-claude-border text-claude-text-secondary rounded-lg hover:bg-claude-bg-cream hover:text-claude-text-primary flex items-center gap-2 transition-all shadow-sm disabled:opacity-50"
+                >
+                  {isTracing ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitBranch className="w-4 h-4" />}
+                  需求追溯
+                </button>
+              )}
+              {validationReport && !validationReport.valid && (
+                <button
+                  onClick={() => validateTable(true)}
+                  disabled={isValidating || !apiStatus.hasApiKey}
+                  className="px-4 py-2 bg-white border border-claude-border text-claude-text-secondary rounded-lg hover:bg-claude-bg-cream hover:text-claude-text-primary flex items-center gap-2 transition-all shadow-sm disabled:opacity-50"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  自动修复
+                </button>
+              )}
               <button
                 onClick={exportExcel}
                 className="px-4 py-2 bg-claude-accent-primary text-white rounded-lg hover:bg-claude-accent-hover flex items-center gap-2 shadow-sm transition-all"
@@ -2949,6 +3353,161 @@ function App() {
         </div>
       )}
       
+      {/* 需求追溯矩阵弹窗 */}
+      {traceability && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-50 transition-all duration-300">
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl m-4 max-h-[90vh] flex flex-col border border-claude-border">
+            <div className="flex items-center justify-between p-4 border-b border-claude-border bg-claude-bg-warm rounded-t-xl">
+              <h2 className="text-lg font-serif font-bold text-claude-text-primary flex items-center gap-2">
+                <GitBranch className="w-5 h-5 text-claude-accent-primary" />
+                需求追溯 · 章节覆盖率 {traceability.summary.coverageRate}%
+              </h2>
+              <button
+                onClick={() => setTraceability(null)}
+                className="p-2 hover:bg-claude-bg-cream rounded-lg transition-colors"
+              >
+                <X className="w-5 h-5 text-claude-text-muted" />
+              </button>
+            </div>
+            <div className="px-4 py-3 border-b border-claude-border flex items-center gap-6 text-sm text-claude-text-secondary">
+              <span>已覆盖章节 <b className="text-claude-text-primary">{traceability.summary.coveredSections}/{traceability.summary.sectionCount}</b></span>
+              <span>未覆盖章节 <b className="text-red-600">{traceability.summary.uncoveredSections}</b></span>
+              <span>已定位功能过程 <b className="text-claude-text-primary">{traceability.summary.anchoredProcesses}/{traceability.summary.processCount}</b></span>
+              <label className="ml-auto flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showUncoveredOnly}
+                  onChange={(e) => setShowUncoveredOnly(e.target.checked)}
+                />
+                只看未覆盖章节
+              </label>
+            </div>
+            <div className="flex-1 overflow-auto p-4 bg-white">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-claude-bg-cream text-claude-text-primary">
+                    <th className="border border-claude-border-warm px-3 py-2 text-left font-serif font-semibold">章节</th>
+                    <th className="border border-claude-border-warm px-3 py-2 text-center w-24 font-serif font-semibold">覆盖状态</th>
+                    <th className="border border-claude-border-warm px-3 py-2 text-center w-16 font-serif font-semibold">CFP</th>
+                    <th className="border border-claude-border-warm px-3 py-2 text-left font-serif font-semibold">功能过程</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {traceability.sections
+                    .filter(s => !showUncoveredOnly || s.status === 'uncovered')
+                    .map(s => (
+                      <tr
+                        key={s.index}
+                        className={
+                          s.status === 'uncovered' ? 'bg-red-50' :
+                          s.status === 'empty' ? 'bg-gray-50 text-claude-text-muted' :
+                          'bg-white'
+                        }
+                      >
+                        <td
+                          className="border border-claude-border-warm px-3 py-2 text-claude-text-secondary"
+                          style={{ paddingLeft: `${12 + Math.max(s.level - 1, 0) * 16}px` }}
+                          title={`字符偏移 ${s.offset}，正文 ${s.textLength} 字`}
+                        >
+                          {s.heading}
+                        </td>
+                        <td className="border border-claude-border-warm px-3 py-2 text-center">
+                          <span className={`px-2 py-0.5 rounded text-xs ${
+                            s.status === 'covered' ? 'bg-green-100 text-green-700' :
+                            s.status === 'descendant' ? 'bg-blue-100 text-blue-700' :
+                            s.status === 'uncovered' ? 'bg-red-100 text-red-700' :
+                            'bg-gray-100 text-gray-500'
+                          }`}>
+                            {{ covered: '已覆盖', descendant: '子章节覆盖', uncovered: '未覆盖', empty: '无正文' }[s.status]}
+                          </span>
+                        </td>
+                        <td className="border border-claude-border-warm px-3 py-2 text-center text-claude-text-secondary">{s.cfp || ''}</td>
+                        <td className="border border-claude-border-warm px-3 py-2 text-claude-text-secondary">{s.processes.join('、')}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+              {traceability.summary.unanchoredProcesses > 0 && (
+                <div className="mt-3 text-sm text-claude-text-muted">
+                  未定位到源文档的功能过程：
+                  {traceability.processes.filter(p => !p.anchor).map(p => p.functionalProcess).join('、')}
+                </div>
+              )}
+            </div>
+            <div className="p-4 border-t border-claude-border bg-claude-bg-warm rounded-b-xl flex justify-end gap-3">
+              <button
+                onClick={() => exportTraceability('html')}
+                className="px-4 py-2 bg-white border border-claude-border text-claude-text-secondary rounded-lg hover:bg-claude-bg-cream hover:text-claude-text-primary flex items-center gap-2 transition-all shadow-sm"
+              >
+                <FileOutput className="w-4 h-4" />
+                导出HTML
+              </button>
+              <button
+                onClick={() => exportTraceability('excel')}
+                className="px-4 py-2 bg-claude-accent-primary text-white rounded-lg hover:bg-claude-accent-hover flex items-center gap-2 shadow-sm transition-all"
+              >
+                <FileSpreadsheet className="w-4 h-4" />
+                导出Excel
+              </button>
+              <button
+                onClick={() => setTraceability(null)}
+                className="px-4 py-2 bg-white border border-claude-border text-claude-text-secondary rounded-lg hover:bg-claude-bg-cream hover:text-claude-text-primary transition-all shadow-sm"
+              >
+                关闭
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* COSMIC度量项目弹窗 */}
+      {showProjects && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-50 transition-all duration-300">
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl m-4 max-h-[90vh] flex flex-col border border-claude-border">
+            <div className="flex items-center justify-between p-4 border-b border-claude-border bg-claude-bg-warm rounded-t-xl">
+              <h2 className="text-lg font-serif font-bold text-claude-text-primary flex items-center gap-2">
+                <FolderOpen className="w-5 h-5 text-claude-accent-primary" />
+                COSMIC度量项目 ({projects.length})
+              </h2>
+              <button
+                onClick={() => setShowProjects(false)}
+                className="p-2 hover:bg-claude-bg-cream rounded-lg transition-colors"
+              >
+                <X className="w-5 h-5 text-claude-text-muted" />
+              </button>
+            </div>
+            <div className="flex-1 overflow-auto p-4 space-y-2">
+              {projects.length === 0 && (
+                <div className="text-center text-claude-text-muted py-8">暂无项目，上传文档开始分析后会自动创建</div>
+              )}
+              {projects.map(project => (
+                <div
+                  key={project.id}
+                  className={`flex items-center justify-between p-3 border rounded-lg ${project.id === currentProjectId ? 'border-claude-accent-primary bg-claude-bg-warm' : 'border-claude-border'}`}
+                >
+                  <div className="min-w-0">
+                    <div className="font-semibold text-claude-text-primary truncate">{project.name}</div>
+                    <div className="text-xs text-claude-text-muted">
+                      {project.versionCount} 个版本
+                      {project.latestVersion && ` · 最新 v${project.latestVersion.version}（${project.latestVersion.label}）· ${project.latestVersion.cfp} CFP`}
+                      {` · ${new Date(project.updatedAt).toLocaleString()}`}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button onClick={() => openProject(project.id)} className="px-3 py-1 text-sm bg-claude-accent-primary text-white rounded-lg hover:bg-claude-accent-hover">打开</button>
+                    <button onClick={() => diffLatestVersions(project)} className="px-3 py-1 text-sm border border-claude-border rounded-lg hover:bg-claude-bg-cream">对比</button>
+                    <button onClick={() => forkProject(project.id)} className="px-3 py-1 text-sm border border-claude-border rounded-lg hover:bg-claude-bg-cream">派生</button>
+                    <button onClick={() => deleteProject(project.id)} className="p-1.5 text-red-500 border border-claude-border rounded-lg hover:bg-red-50">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* 图片预览弹窗 */}
       {showImagePreview && extractedImages.length > 0 && (
         <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-50 transition-all duration-300">
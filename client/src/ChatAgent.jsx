@@ -13,20 +13,38 @@ import {
   Cpu,
   Database,
   Zap,
-  Brain
+  Brain,
+  History,
+  Search,
+  Plus,
+  Download,
+  Pencil,
+  X,
+  Paperclip,
+  FileText
 } from 'lucide-react';
 
 const API_BASE = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '');
 
+const createSessionId = () => `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
 function ChatAgent({ apiStatus, setShowSettings }) {
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [streamingContent, setStreamingContent] = useState('');
-  const [sessionId] = useState(() => `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+  const [sessionId, setSessionId] = useState(createSessionId);
   const [copiedIndex, setCopiedIndex] = useState(null);
   const [aiInfo, setAiInfo] = useState(null);
   const [showInfo, setShowInfo] = useState(false);
+  // 历史会话
+  const [sessions, setSessions] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  // 文档问答：当前会话已上传的文档，有文档时提问走检索增强问答
+  const [qaDocuments, setQaDocuments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const fileInputRef = useRef(null);
 
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
@@ -42,6 +60,116 @@ function ChatAgent({ apiStatus, setShowSettings }) {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages, streamingContent]);
 
+  const loadSessions = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/chat/sessions`);
+      const data = await res.json();
+      setSessions(data.sessions || []);
+    } catch (err) {
+      console.error('获取历史会话失败:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // 全文搜索历史消息（输入停顿后再请求）
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/chat/search?q=${encodeURIComponent(query)}`);
+        const data = await res.json();
+        setSearchResults(data.results || []);
+      } catch (err) {
+        console.error('搜索历史会话失败:', err);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/api/docqa/documents?sessionId=${encodeURIComponent(sessionId)}`)
+      .then(res => res.json())
+      .then(data => setQaDocuments(data.documents || []))
+      .catch(() => setQaDocuments([]));
+  }, [sessionId]);
+
+  // 上传文档：解析后加入当前会话的问答索引
+  const uploadDocument = async (file) => {
+    if (!file) return;
+    setIsUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('sessionId', sessionId);
+      formData.append('file', file);
+      const res = await fetch(`${API_BASE}/api/parse-word`, { method: 'POST', body: formData });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      const docsRes = await fetch(`${API_BASE}/api/docqa/documents?sessionId=${encodeURIComponent(sessionId)}`);
+      setQaDocuments((await docsRes.json()).documents || []);
+    } catch (err) {
+      setMessages(prev => [...prev, { role: 'assistant', content: `❌ 文档上传失败: ${err.message}`, isError: true }]);
+    } finally {
+      setIsUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const removeDocument = async (docId) => {
+    const res = await fetch(`${API_BASE}/api/docqa/documents/${encodeURIComponent(docId)}?sessionId=${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (res.ok) setQaDocuments(data.documents || []);
+  };
+
+  const openSession = async (id) => {
+    if (isLoading) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/chat/sessions/${encodeURIComponent(id)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setSessionId(id);
+      setMessages(data.session.messages.map(m => ({ role: m.role, content: m.content })));
+      setStreamingContent('');
+    } catch (err) {
+      console.error('打开会话失败:', err);
+    }
+  };
+
+  const startNewSession = () => {
+    if (isLoading) return;
+    setSessionId(createSessionId());
+    setMessages([]);
+    setStreamingContent('');
+  };
+
+  const renameSession = async (session) => {
+    const title = window.prompt('会话标题（留空恢复默认标题）', session.title);
+    if (title === null) return;
+    await fetch(`${API_BASE}/api/chat/sessions/${encodeURIComponent(session.id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title })
+    });
+    loadSessions();
+  };
+
+  const deleteSession = async (session) => {
+    if (!window.confirm(`确定删除会话"${session.title}"吗？`)) return;
+    await fetch(`${API_BASE}/api/chat/sessions/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+    if (session.id === sessionId) startNewSession();
+    loadSessions();
+  };
+
+  const exportSession = (id, format) => {
+    window.open(`${API_BASE}/api/chat/sessions/${encodeURIComponent(id)}/export?format=${format}`, '_blank');
+  };
+
   const sendMessage = useCallback(async () => {
     if (!inputText.trim() || isLoading) return;
     const userMessage = inputText.trim();
@@ -51,14 +179,21 @@ function ChatAgent({ apiStatus, setShowSettings }) {
     setMessages(prev => [...prev, { role: 'user', content: userMessage }]);
 
     try {
-      const response = await fetch(`${API_BASE}/api/chat/stream`, {
+      // 会话中有文档时走文档问答（检索相关章节并标注出处），否则走自研AI对话
+      const useDocumentQA = qaDocuments.length > 0;
+      const response = await fetch(`${API_BASE}${useDocumentQA ? '/api/docqa/ask' : '/api/chat/stream'}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ sessionId, message: userMessage })
+        body: JSON.stringify(useDocumentQA ? { sessionId, question: userMessage } : { sessionId, message: userMessage })
       });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
       let fullContent = '';
+      let sources = [];
 
       while (true) {
         const { done, value } = await reader.read();
@@ -74,19 +209,25 @@ function ChatAgent({ apiStatus, setShowSettings }) {
               if (parsed.type === 'content') {
                 fullContent += parsed.content;
                 setStreamingContent(fullContent);
+              } else if (parsed.type === 'sources') {
+                sources = parsed.sources || [];
+              } else if (parsed.type === 'error') {
+                fullContent += `\n\n❌ ${parsed.error}`;
+                setStreamingContent(fullContent);
               }
             } catch (e) {}
           }
         }
       }
-      setMessages(prev => [...prev, { role: 'assistant', content: fullContent }]);
+      setMessages(prev => [...prev, { role: 'assistant', content: fullContent, sources }]);
       setStreamingContent('');
     } catch (error) {
       setMessages(prev => [...prev, { role: 'assistant', content: `❌ 错误: ${error.message}`, isError: true }]);
     } finally {
       setIsLoading(false);
+      loadSessions();
     }
-  }, [inputText, isLoading, sessionId]);
+  }, [inputText, isLoading, sessionId, loadSessions, qaDocuments]);
 
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -110,6 +251,7 @@ function ChatAgent({ apiStatus, setShowSettings }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ sessionId })
       });
+      loadSessions();
     } catch (e) {}
   };
 
@@ -125,7 +267,52 @@ function ChatAgent({ apiStatus, setShowSettings }) {
 
   return (
     <div className="flex h-[calc(100vh-120px)] gap-4">
-      <div className="w-72 flex-shrink-0 space-y-4">
+      <div className="w-72 flex-shrink-0 space-y-4 overflow-y-auto">
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+              <History className="w-4 h-4 text-indigo-500" />历史会话
+            </h3>
+            <button onClick={startNewSession} disabled={isLoading} className="flex items-center gap-1 text-xs px-2 py-1 text-indigo-600 hover:bg-indigo-50 rounded-lg disabled:opacity-50">
+              <Plus className="w-3 h-3" />新对话
+            </button>
+          </div>
+          <div className="relative mb-3">
+            <Search className="w-4 h-4 text-gray-400 absolute left-2.5 top-1/2 -translate-y-1/2" />
+            <input value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} placeholder="搜索历史消息" className="w-full pl-8 pr-7 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+            {searchQuery && (
+              <button onClick={() => setSearchQuery('')} className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"><X className="w-3.5 h-3.5" /></button>
+            )}
+          </div>
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {searchResults ? (
+              searchResults.length === 0 ? (
+                <p className="text-xs text-gray-400 text-center py-3">没有匹配的消息</p>
+              ) : searchResults.map((hit, idx) => (
+                <button key={`${hit.sessionId}_${hit.messageIndex}_${idx}`} onClick={() => openSession(hit.sessionId)} className="w-full text-left p-2 rounded-lg hover:bg-indigo-50">
+                  <div className="text-xs font-medium text-gray-700 truncate">{hit.title}</div>
+                  <div className="text-xs text-gray-500 line-clamp-2">{hit.role === 'user' ? '👤 ' : '🤖 '}{hit.snippet}</div>
+                </button>
+              ))
+            ) : sessions.length === 0 ? (
+              <p className="text-xs text-gray-400 text-center py-3">暂无历史会话</p>
+            ) : sessions.map(session => (
+              <div key={session.id} className={`group p-2 rounded-lg cursor-pointer ${session.id === sessionId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`} onClick={() => openSession(session.id)}>
+                <div className="flex items-center justify-between gap-1">
+                  <span className={`text-sm truncate ${session.id === sessionId ? 'text-indigo-700 font-medium' : 'text-gray-700'}`}>{session.title}</span>
+                  <div className="hidden group-hover:flex items-center gap-0.5 flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+                    <button onClick={() => renameSession(session)} title="重命名" className="p-1 text-gray-400 hover:text-indigo-500"><Pencil className="w-3 h-3" /></button>
+                    <button onClick={() => exportSession(session.id, 'markdown')} title="导出Markdown" className="p-1 text-gray-400 hover:text-indigo-500"><Download className="w-3 h-3" /></button>
+                    <button onClick={() => exportSession(session.id, 'json')} title="导出JSON" className="p-1 text-[10px] leading-3 text-gray-400 hover:text-indigo-500">{'{}'}</button>
+                    <button onClick={() => deleteSession(session)} title="删除" className="p-1 text-gray-400 hover:text-red-500"><Trash2 className="w-3 h-3" /></button>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-400">{new Date(session.updatedAt).toLocaleString('zh-CN')} · {session.messageCount}条</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
         <div className="bg-gradient-to-br from-indigo-500 to-purple-600 rounded-2xl shadow-lg p-6 text-white">
           <div className="flex items-center gap-3 mb-4">
             <div className="w-12 h-12 bg-white/20 rounded-xl flex items-center justify-center">
@@ -214,6 +401,16 @@ function ChatAgent({ apiStatus, setShowSettings }) {
                 <div className={`inline-block p-4 rounded-2xl ${msg.role === 'user' ? 'bg-gradient-to-r from-green-500 to-emerald-600 text-white' : msg.isError ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-gray-100 text-gray-800'}`}>
                   {msg.role === 'user' ? <p className="whitespace-pre-wrap">{msg.content}</p> : <div className="prose prose-sm max-w-none"><ReactMarkdown remarkPlugins={[remarkGfm]}>{msg.content}</ReactMarkdown></div>}
                 </div>
+                {msg.sources?.length > 0 && (
+                  <div className="mt-2 space-y-1 text-xs text-gray-500">
+                    {msg.sources.map((source, i) => (
+                      <details key={source.id} className="bg-gray-50 rounded-lg px-3 py-1.5">
+                        <summary className="cursor-pointer">[{i + 1}] 《{source.docName}》 {source.headingPath}</summary>
+                        <p className="mt-1 whitespace-pre-wrap text-gray-600">{source.text}</p>
+                      </details>
+                    ))}
+                  </div>
+                )}
                 {msg.role === 'assistant' && !msg.isError && (
                   <button onClick={() => copyMessage(msg.content, idx)} className="mt-2 text-gray-400 hover:text-gray-600 text-sm flex items-center gap-1">
                     {copiedIndex === idx ? <><Check className="w-3 h-3" />已复制</> : <><Copy className="w-3 h-3" />复制</>}
@@ -240,7 +437,22 @@ function ChatAgent({ apiStatus, setShowSettings }) {
         </div>
 
         <div className="p-4 border-t border-gray-100 bg-gray-50">
+          {qaDocuments.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+              <span className="text-xs text-gray-500">文档问答：</span>
+              {qaDocuments.map(doc => (
+                <span key={doc.id} className="flex items-center gap-1 text-xs px-2 py-1 bg-indigo-50 text-indigo-700 rounded-lg">
+                  <FileText className="w-3 h-3" />{doc.name}
+                  <button onClick={() => removeDocument(doc.id)} title="移除文档" className="text-indigo-400 hover:text-red-500"><X className="w-3 h-3" /></button>
+                </span>
+              ))}
+            </div>
+          )}
           <div className="flex items-end gap-3">
+            <input ref={fileInputRef} type="file" accept=".docx,.doc,.txt,.md" className="hidden" onChange={(e) => uploadDocument(e.target.files?.[0])} />
+            <button onClick={() => fileInputRef.current?.click()} disabled={isUploading || isLoading} title="上传需求文档，基于文档问答" className="p-3 text-gray-500 bg-white border border-gray-200 rounded-xl hover:text-indigo-600 hover:border-indigo-300 disabled:opacity-50">
+              {isUploading ? <Loader2 className="w-5 h-5 animate-spin" /> : <Paperclip className="w-5 h-5" />}
+            </button>
             <textarea ref={inputRef} value={inputText} onChange={(e) => setInputText(e.target.value)} onKeyDown={handleKeyDown} placeholder="输入消息... (Shift+Enter换行)" className="flex-1 px-4 py-3 border border-gray-200 rounded-xl resize-none focus:outline-none focus:ring-2 focus:ring-indigo-500 bg-white" rows={1} style={{ minHeight: '48px', maxHeight: '200px' }} disabled={isLoading} />
             <button onClick={sendMessage} disabled={!inputText.trim() || isLoading} className="p-3 bg-gradient-to-r from-indigo-500 to-purple-600 text-white rounded-xl hover:from-indigo-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-indigo-200">
               {isLoading ? <Loader2 className="w-5 h-5 animate-spin" /> : <Send className="w-5 h-5" />}
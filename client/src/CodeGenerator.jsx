@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import { createGenerationJob, followGenerationJob, cancelGenerationJob } from './generationJob';
 import {
   Upload,
   FileText,
@@ -48,6 +49,24 @@ import {
 // API基础URL
 const API_BASE = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '');
 
+/**
+ * 生成结果的静态检查摘要（附在助手回复后）
+ */
+function formatVerificationSummary(verification) {
+  if (!verification) return '';
+  const repaired = verification.repairedSteps?.length
+    ? `，已自动修复 ${verification.repairedSteps.length} 个模块`
+    : '';
+  if (verification.passed) {
+    return `\n\n✅ 静态检查通过${repaired}`;
+  }
+  const issues = (verification.issues || [])
+    .slice(0, 5)
+    .map(issue => `· [${issue.typeLabel}]${issue.line ? ` 第${issue.line}行` : ''} ${issue.message}`)
+    .join('\n');
+  return `\n\n⚠️ 静态检查发现 ${verification.issueCount} 个问题${repaired}：\n${issues}`;
+}
+
 /**
  * 编程智能体组件
  * 支持需求输入、文档上传、代码生成、实时预览
@@ -58,6 +77,7 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
   const [requirement, setRequirement] = useState('');
   const [documentContent, setDocumentContent] = useState('');
   const [documentName, setDocumentName] = useState('');
+  const [documentId, setDocumentId] = useState(''); // 服务端保存的文档ID，生成/导出时引用，不再重复上传正文
   
   // HTML模板上传
   const [uploadedHtml, setUploadedHtml] = useState('');
@@ -99,6 +119,9 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
   const [projectType, setProjectType] = useState('react'); // react | vue | html
   const [uiFramework, setUIFramework] = useState('tailwind'); // tailwind | antd | material
   const [includeBackend, setIncludeBackend] = useState(false);
+  const [cosmicProjects, setCosmicProjects] = useState([]);
+  const [cosmicProjectId, setCosmicProjectId] = useState(''); // 后端资源来源：COSMIC度量项目
+  const [isExporting, setIsExporting] = useState(false);
   
   // 错误和状态
   const [error, setError] = useState('');
@@ -109,6 +132,15 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
   const htmlInputRef = useRef(null);  // HTML模板上传
   const previewIframeRef = useRef(null);
   const chatEndRef = useRef(null);
+  const generationJobIdRef = useRef(null);  // 当前后台生成任务ID（用于取消）
+
+  // ==================== COSMIC度量项目（后端资源来源） ====================
+  useEffect(() => {
+    if (!includeBackend || cosmicProjects.length > 0) return;
+    axios.get(`${API_BASE}/api/projects`)
+      .then(response => setCosmicProjects(response.data.projects || []))
+      .catch(err => console.error('加载度量项目失败:', err));
+  }, [includeBackend]);
 
   // ==================== 文件上传处理 ====================
   const handleFileUpload = async (event) => {
@@ -124,13 +156,14 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
 
-      setDocumentContent(response.data.content);
+      setDocumentContent(response.data.text);
       setDocumentName(file.name);
+      setDocumentId(response.data.documentId);
       
       // 添加到对话历史
       setChatHistory(prev => [...prev, {
         role: 'system',
-        content: `已上传文档: ${file.name}`,
+        content: `已上传文档: ${file.name}（${response.data.formatLabel}，${response.data.wordCount} 字，${response.data.headingCount} 个标题）`,
         timestamp: new Date().toISOString()
       }]);
     } catch (err) {
@@ -186,38 +219,19 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
     setChatHistory(prev => [...prev, userMessage]);
 
     try {
-      const response = await fetch(`${API_BASE}/api/code-generator/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          requirement: requirement.trim(),
-          documentContent,
-          projectType,
-          uiFramework,
-          includeBackend,
-          uploadedHtml,  // 上传的HTML模板
-          chatHistory: chatHistory.slice(-10) // 最近10条历史
-        })
+      // 以后台任务运行：连接中断后自动续传，不会丢失生成内容
+      const jobId = await createGenerationJob('code-generator', {
+        requirement: requirement.trim(),
+        documentId: documentId || undefined,
+        projectType,
+        uiFramework,
+        includeBackend,
+        projectId: includeBackend ? cosmicProjectId || undefined : undefined,
+        uploadedHtml,  // 上传的HTML模板
+        chatHistory: chatHistory.slice(-10) // 最近10条历史
       });
+      generationJobIdRef.current = jobId;
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorMessage = '生成请求失败';
-        try {
-          const parsed = JSON.parse(errorText || '{}');
-          if (parsed.error) {
-            errorMessage = parsed.error;
-          }
-        } catch (parseErr) {
-          if (errorText) {
-            errorMessage = errorText;
-          }
-        }
-        throw new Error(errorMessage);
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
       let fullResponse = '';
       let codeBlocks = {
         html: '',
@@ -226,74 +240,80 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
         react: '',
         fullCode: ''
       };
+      let verification = null;
+      let cancelled = false;
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+      await followGenerationJob(jobId, {
+        onReconnect: (attempt) => setGenerationPhase(`连接中断，正在重新连接（第 ${attempt} 次）...`),
+        onEvent: (raw) => {
+          try {
+            const data = JSON.parse(raw);
+          
+            if (data.verification) {
+              verification = data.verification;
+            }
 
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
+            // 处理多轮迭代进度
+            if (data.round !== undefined) {
+              setCurrentRound(data.round);
+            }
+            if (data.totalRounds !== undefined) {
+              setTotalRounds(data.totalRounds);
+            }
+            if (data.focus) {
+              setCurrentFocus(data.focus);
+            }
+            if (data.lineCount !== undefined) {
+              setLineCount(data.lineCount);
+            }
+          
+            if (data.phase) {
+              setGenerationPhase(data.phase);
+              setGenerationProgress(data.progress || 0);
+            }
+          
+            if (data.message) {
+              // 更新消息显示
+              setGenerationPhase(data.message);
+            }
+          
+            if (data.content) {
+              fullResponse += data.content;
+              setStreamingContent(fullResponse);
+            }
+          
+            if (data.code) {
+              codeBlocks = { ...codeBlocks, ...data.code };
+              setGeneratedCode(codeBlocks);
+            }
 
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              
-              // 处理多轮迭代进度
-              if (data.round !== undefined) {
-                setCurrentRound(data.round);
-              }
-              if (data.totalRounds !== undefined) {
-                setTotalRounds(data.totalRounds);
-              }
-              if (data.focus) {
-                setCurrentFocus(data.focus);
-              }
-              if (data.lineCount !== undefined) {
+            if (data.complete) {
+              setGeneratedCode(data.finalCode || codeBlocks);
+              if (data.lineCount) {
                 setLineCount(data.lineCount);
               }
-              
-              if (data.phase) {
-                setGenerationPhase(data.phase);
-                setGenerationProgress(data.progress || 0);
-              }
-              
-              if (data.message) {
-                // 更新消息显示
-                setGenerationPhase(data.message);
-              }
-              
-              if (data.content) {
-                fullResponse += data.content;
-                setStreamingContent(fullResponse);
-              }
-              
-              if (data.code) {
-                codeBlocks = { ...codeBlocks, ...data.code };
-                setGeneratedCode(codeBlocks);
-              }
-
-              if (data.complete) {
-                setGeneratedCode(data.finalCode || codeBlocks);
-                if (data.lineCount) {
-                  setLineCount(data.lineCount);
-                }
-              }
+            }
 
-              if (data.error) {
-                setError(data.error);
-              }
-            } catch (e) {
-              // 忽略解析错误
+            if (data.cancelled) {
+              cancelled = true;
+            } else if (data.error) {
+              setError(data.error);
             }
+          } catch (e) {
+            // 忽略解析错误
           }
         }
+      });
+
+      if (cancelled) {
+        setGenerationPhase('已取消');
+        return;
       }
 
       // 添加助手回复到历史
       setChatHistory(prev => [...prev, {
         role: 'assistant',
-        content: '代码生成完成！您可以在右侧预览效果，或继续提出修改需求。',
+        content: '代码生成完成！您可以在右侧预览效果，或继续提出修改需求。' + formatVerificationSummary(verification),
         code: codeBlocks,
         timestamp: new Date().toISOString()
       }]);
@@ -305,10 +325,20 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
       setError('代码生成失败: ' + err.message);
       setGenerationPhase('error');
     } finally {
+      generationJobIdRef.current = null;
       setIsGenerating(false);
     }
   };
 
+  // 取消生成任务
+  const cancelGeneration = async () => {
+    try {
+      await cancelGenerationJob(generationJobIdRef.current);
+    } catch (err) {
+      setError('取消失败: ' + err.message);
+    }
+  };
+
   // ==================== 代码修改 ====================
   const modifyCode = async () => {
     if (!currentMessage.trim()) return;
@@ -545,11 +575,48 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
     URL.revokeObjectURL(url);
   };
 
+  // ==================== 导出项目（zip） ====================
+  const downloadProject = async () => {
+    setIsExporting(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_BASE}/api/code-generator/export`, {
+        codeBlocks: generatedCode,
+        projectType,
+        uiFramework,
+        projectName: documentName.replace(/\.[^.]+$/, ''),
+        requirement,
+        documentId: documentId || undefined,
+        includeBackend,
+        projectId: includeBackend ? cosmicProjectId || undefined : undefined
+      }, { responseType: 'blob' });
+
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename\*=UTF-8''([^;]+)/);
+      const url = URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = match ? decodeURIComponent(match[1]) : 'project.zip';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      const message = err.response?.data instanceof Blob
+        ? JSON.parse(await err.response.data.text()).error
+        : err.message;
+      setError('导出项目失败: ' + message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   // ==================== 清空 ====================
   const clearAll = () => {
     setRequirement('');
     setDocumentContent('');
     setDocumentName('');
+    setDocumentId('');
     setGeneratedCode({ html: '', css: '', javascript: '', react: '', fullCode: '' });
     setChatHistory([]);
     setStreamingContent('');
@@ -608,6 +675,21 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
             />
             <span className="text-sm text-gray-600">生成后端代码</span>
           </label>
+
+          {/* 后端资源来源：COSMIC度量项目的持久数据组 */}
+          {includeBackend && (
+            <select
+              value={cosmicProjectId}
+              onChange={(e) => setCosmicProjectId(e.target.value)}
+              title="后端接口和数据表由所选度量项目中读写（R/W）的数据组生成"
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 max-w-[200px]"
+            >
+              <option value="">按需求识别数据实体</option>
+              {cosmicProjects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+            </select>
+          )}
         </div>
 
         <div className="flex items-center gap-2">
@@ -654,6 +736,17 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
             下载代码
           </button>
 
+          {/* 导出项目 */}
+          <button
+            onClick={downloadProject}
+            disabled={isExporting || (!generatedCode.fullCode && !generatedCode.react && !generatedCode.html)}
+            title={projectType === 'html' ? '导出为静态站点（HTML/CSS/JS 分离）' : '导出为可运行的 Vite 项目'}
+            className="flex items-center gap-1 px-3 py-1.5 bg-indigo-500 text-white rounded-lg text-sm hover:bg-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isExporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Package className="w-4 h-4" />}
+            导出项目
+          </button>
+
           {/* 清空 */}
           <button
             onClick={clearAll}
@@ -724,7 +817,7 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
                     <FileText className="w-4 h-4" />
                     <span>已上传: {documentName}</span>
                     <button
-                      onClick={() => { setDocumentContent(''); setDocumentName(''); }}
+                      onClick={() => { setDocumentContent(''); setDocumentName(''); setDocumentId(''); }}
                       className="text-red-500 hover:text-red-700"
                     >
                       <X className="w-4 h-4" />
@@ -763,6 +856,15 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
                   </>
                 )}
               </button>
+              {isGenerating && (
+                <button
+                  onClick={cancelGeneration}
+                  className="flex items-center gap-2 px-4 py-3 border border-red-200 text-red-600 rounded-lg font-medium hover:bg-red-50 transition-all"
+                >
+                  <X className="w-5 h-5" />
+                  取消
+                </button>
+              )}
             </div>
 
             {/* 多轮迭代生成进度 */}
@@ -878,7 +980,7 @@ function CodeGenerator({ apiStatus, setShowSettings }) {
                         : 'bg-white border border-gray-200'
                     }`}
                   >
-                    <div className="text-sm">{msg.content}</div>
+                    <div className="text-sm whitespace-pre-wrap">{msg.content}</div>
                     {msg.code && (
                       <div className="mt-2 text-xs text-gray-500">
                         <span className="bg-green-100 text-green-700 px-2 py-0.5 rounded">
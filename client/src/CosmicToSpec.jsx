@@ -4,6 +4,7 @@ import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import rehypeRaw from 'rehype-raw';
 import html2canvas from 'html2canvas';
+import { createGenerationJob, followGenerationJob, cancelGenerationJob } from './generationJob';
 import {
   Upload,
   FileText,
@@ -33,6 +34,14 @@ import {
   List
 } from 'lucide-react';
 
+// 图表源码载荷（与 server/diagramSource.js 一致），写入导出图片的替代文字，导入文档后可取回源码编辑
+function encodeDiagramPayload(meta) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ v: 1, ...meta }));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return `cosmic-diagram:${btoa(binary)}`;
+}
+
 function CosmicToSpec({ apiStatus, setShowSettings }) {
   // 数据源类型: 'cosmic' 或 'word'
   const [sourceType, setSourceType] = useState('cosmic');
@@ -51,9 +60,12 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
   const [selectedTemplateId, setSelectedTemplateId] = useState('');
   const [uploadingTemplate, setUploadingTemplate] = useState(false);
   
-  // 列映射
+  // 列映射与导入预览
   const [columnMapping, setColumnMapping] = useState({});
   const [showColumnMapping, setShowColumnMapping] = useState(false);
+  const [importPreview, setImportPreview] = useState(null);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
   
   // 生成状态
   const [isGenerating, setIsGenerating] = useState(false);
@@ -71,6 +83,7 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
   const [isDragging, setIsDragging] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [copied, setCopied] = useState(false);
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
   const [showDataPreview, setShowDataPreview] = useState(false);
   
   // 需求文档深度分析状态
@@ -85,6 +98,7 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
   const contentEndRef = useRef(null);
   const contentContainerRef = useRef(null);
   const latestContentRef = useRef(''); // 保存最新生成的内容
+  const generationJobIdRef = useRef(null); // 当前后台生成任务ID（用于取消）
   const [autoScroll, setAutoScroll] = useState(true); // 控制是否自动滚动
 
   // 加载模板列表
@@ -116,13 +130,17 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
     }
   };
 
-  // 上传COSMIC Excel
+  // 上传COSMIC数据（Excel / CSV / JSON）：先预览工作表和列映射，确认后再解析
   const handleExcelUpload = async (file) => {
     if (!file) return;
     
     const ext = file.name.split('.').pop().toLowerCase();
-    if (ext !== 'xlsx' && ext !== 'xls') {
-      setErrorMessage('请上传Excel文件（.xlsx或.xls格式）');
+    if (ext === 'xls') {
+      setErrorMessage('暂不支持 .xls（Excel 97-2003）格式，请在 Excel 中另存为 .xlsx 后再上传');
+      return;
+    }
+    if (!['xlsx', 'csv', 'json'].includes(ext)) {
+      setErrorMessage('请上传COSMIC数据文件（.xlsx / .csv / .json 格式）');
       return;
     }
     
@@ -130,6 +148,34 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
     const formData = new FormData();
     formData.append('file', file);
     
+    try {
+      const res = await axios.post('/api/cosmic-to-spec/preview-import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      
+      if (res.data.success) {
+        const firstSheet = res.data.sheets[0];
+        setImportPreview({ ...res.data, file });
+        setSelectedSheets(firstSheet ? [firstSheet.name] : []);
+        setColumnMapping(firstSheet ? firstSheet.mapping : {});
+        setShowColumnMapping(true);
+      }
+    } catch (error) {
+      setErrorMessage('解析COSMIC数据失败: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // 按确认的工作表和列映射解析COSMIC数据
+  const confirmImport = async () => {
+    if (!importPreview) return;
+    
+    setErrorMessage('');
+    setIsImporting(true);
+    const formData = new FormData();
+    formData.append('file', importPreview.file);
+    formData.append('sheets', JSON.stringify(selectedSheets));
+    formData.append('columnMapping', JSON.stringify(columnMapping));
+    
     try {
       const res = await axios.post('/api/cosmic-to-spec/parse-excel', formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
@@ -138,37 +184,34 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
       if (res.data.success) {
         setCosmicData(res.data);
         setCosmicFilename(res.data.filename);
-        
-        // 初始化默认列映射
-        const defaultMapping = {};
-        const headers = res.data.headers || [];
-        const standardFields = ['functionalUser', 'triggerEvent', 'functionalProcess', 'subProcessDesc', 'dataMovementType', 'dataGroup', 'dataAttributes'];
-        const standardLabels = ['功能用户', '触发事件', '功能过程', '子过程描述', '数据移动类型', '数据组', '数据属性'];
-        
-        standardFields.forEach((field, idx) => {
-          // 尝试匹配表头
-          const matchedHeader = headers.find(h => 
-            h.includes(standardLabels[idx]) || 
-            h.toLowerCase().includes(field.toLowerCase())
-          );
-          if (matchedHeader) {
-            defaultMapping[field] = matchedHeader;
-          }
-        });
-        setColumnMapping(defaultMapping);
+        setShowColumnMapping(false);
       }
     } catch (error) {
-      setErrorMessage('解析Excel失败: ' + (error.response?.data?.error || error.message));
+      setErrorMessage('解析COSMIC数据失败: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // 切换工作表时，新表头中同名的列沿用当前映射，其余按自动识别补全
+  const toggleImportSheet = (sheetName) => {
+    const next = selectedSheets.includes(sheetName)
+      ? selectedSheets.filter(name => name !== sheetName)
+      : [...selectedSheets, sheetName];
+    setSelectedSheets(next);
+    const sheet = importPreview?.sheets.find(s => s.name === sheetName);
+    if (sheet && !selectedSheets.includes(sheetName)) {
+      setColumnMapping(prev => ({ ...sheet.mapping, ...prev }));
     }
   };
 
-  // 上传Word需求文档 - 使用流式深度分析
+  // 上传需求文档（Word/PDF/PPTX/XLSX）- 使用流式深度分析
   const handleWordUpload = async (file) => {
     if (!file) return;
     
     const ext = file.name.split('.').pop().toLowerCase();
-    if (ext !== 'docx' && ext !== 'doc') {
-      setErrorMessage('请上传Word需求文档（.docx或.doc格式）');
+    if (!['docx', 'doc', 'pdf', 'pptx', 'xlsx'].includes(ext)) {
+      setErrorMessage('请上传需求文档（.docx、.doc、.pdf、.pptx 或 .xlsx 格式）');
       return;
     }
     
@@ -398,52 +441,26 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
     setErrorMessage('');
     
     try {
-      // 根据数据源类型选择不同的API
-      const apiUrl = sourceType === 'cosmic' 
-        ? '/api/cosmic-to-spec/generate' 
-        : '/api/cosmic-to-spec/generate-from-doc';
+      // 以后台任务运行：连接中断后自动续传，不会丢失生成内容
+      const jobType = sourceType === 'cosmic' ? 'cosmic-to-spec' : 'cosmic-to-spec-doc';
       
       const requestBody = sourceType === 'cosmic'
         ? { cosmicData, templateId: selectedTemplateId, columnMapping }
         : { requirementDoc, templateId: selectedTemplateId };
       
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
-      });
-      
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+      const jobId = await createGenerationJob(jobType, requestBody);
+      generationJobIdRef.current = jobId;
       let fullContent = '';
-      let buffer = '';
+      let cancelled = false;
       
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        buffer += decoder.decode(value, { stream: true });
-
-        while (true) {
-          const eventEnd = buffer.indexOf('\n\n');
-          if (eventEnd === -1) break;
-
-          const rawEvent = buffer.slice(0, eventEnd);
-          buffer = buffer.slice(eventEnd + 2);
-
-          const dataLines = rawEvent
-            .split('\n')
-            .filter(l => l.startsWith('data:'))
-            .map(l => l.replace(/^data:\s?/, ''));
-
-          if (dataLines.length === 0) continue;
-
-          const data = dataLines.join('\n');
-          if (data === '[DONE]') continue;
+      await followGenerationJob(jobId, {
+        onReconnect: (attempt) => setGenerationPhase(`连接中断，正在重新连接（第 ${attempt} 次）...`),
+        onEvent: (data) => {
+          if (data === '[DONE]') return;
 
           try {
             const parsed = JSON.parse(data);
-              
+          
             if (parsed.phase === 'analyzing_template') {
               setGenerationPhase(parsed.message);
               setCurrentStep(parsed.currentStep || 1);
@@ -488,6 +505,8 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
               fullContent += parsed.content;
               latestContentRef.current = fullContent;
               setStreamingContent(fullContent);
+            } else if (parsed.cancelled) {
+              cancelled = true;
             } else if (parsed.error) {
               throw new Error(parsed.error);
             }
@@ -497,6 +516,13 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
             }
           }
         }
+      });
+      
+      if (cancelled) {
+        setGeneratedContent(fullContent);
+        setStreamingContent('');
+        setGenerationPhase('已取消');
+        return;
       }
       
       setGeneratedContent(fullContent);
@@ -508,10 +534,20 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
       setErrorMessage('生成失败: ' + error.message);
       setGenerationPhase('');
     } finally {
+      generationJobIdRef.current = null;
       setIsGenerating(false);
     }
   };
 
+  // 取消生成任务
+  const cancelGeneration = async () => {
+    try {
+      await cancelGenerationJob(generationJobIdRef.current);
+    } catch (error) {
+      setErrorMessage('取消失败: ' + error.message);
+    }
+  };
+
   // 导出Word - 支持将HTML图表转换为图片
   const exportWord = async () => {
     // 使用ref中保存的最新内容，确保导出的是当前显示的内容
@@ -559,10 +595,11 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
             // 转换为base64
             const dataUrl = canvas.toDataURL('image/png');
             
-            // 替换HTML为Markdown图片语法
+            // 替换HTML为Markdown图片语法，标题中保留图表源码
+            const payload = encodeDiagramPayload({ type: 'html', title: diagramTitle, source: htmlContent });
             contentToExport = contentToExport.replace(
               fullMatch,
-              `\n\n![${diagramTitle}](${dataUrl})\n\n`
+              `\n\n![${diagramTitle}](${dataUrl} "${payload}")\n\n`
             );
             
             // 清理临时容器
@@ -583,10 +620,12 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
         responseType: 'blob'
       });
       
+      // 选择了 .docx 模板时后端直接写入模板，返回原生 .docx
+      const extension = (response.headers['content-type'] || '').includes('wordprocessingml') ? 'docx' : 'doc';
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `${cosmicFilename ? cosmicFilename.replace(/\.(xlsx|xls)$/i, '') + '_' : ''}需求规格说明书.doc`);
+      link.setAttribute('download', `${cosmicFilename ? cosmicFilename.replace(/\.(xlsx|xls)$/i, '') + '_' : ''}需求规格说明书.${extension}`);
       document.body.appendChild(link);
       link.click();
       link.remove();
@@ -596,6 +635,50 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
     }
   };
 
+  // 导出PDF - HTML图表和Mermaid图由服务端在渲染时嵌入
+  const exportPdf = async () => {
+    const contentToExport = latestContentRef.current || streamingContent || generatedContent;
+    if (!contentToExport) {
+      setErrorMessage('没有可导出的内容');
+      return;
+    }
+
+    const baseName = `${cosmicFilename ? cosmicFilename.replace(/\.(xlsx|xls)$/i, '') + '_' : ''}需求规格说明书`;
+    setIsExportingPdf(true);
+    try {
+      const response = await axios.post('/api/cosmic-to-spec/export-pdf', {
+        content: contentToExport,
+        filename: baseName,
+        title: '需求规格说明书',
+        projectName: cosmicFilename ? cosmicFilename.replace(/\.(xlsx|xls)$/i, '') : ''
+      }, {
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${baseName}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      // blob 响应中的错误信息需要先读出
+      let message = error.message;
+      if (error.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).error || message;
+        } catch (e) {
+          // 保留原始错误信息
+        }
+      }
+      setErrorMessage('导出PDF失败: ' + message);
+    } finally {
+      setIsExportingPdf(false);
+    }
+  };
+
   // 复制内容
   const copyContent = () => {
     navigator.clipboard.writeText(generatedContent);
@@ -634,9 +717,19 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
     { key: 'subProcessDesc', label: '子过程描述', description: '子过程的详细描述' },
     { key: 'dataMovementType', label: '数据移动类型', description: 'E/R/W/X类型' },
     { key: 'dataGroup', label: '数据组', description: '数据组名称' },
-    { key: 'dataAttributes', label: '数据属性', description: '数据属性列表' }
+    { key: 'dataAttributes', label: '数据属性', description: '数据属性列表' },
+    { key: 'module', label: '模块/子系统', description: '可选，合并多个工作表时默认取工作表名' }
   ];
 
+  // 已选工作表的表头（去重），用于列映射下拉框
+  const importHeaders = importPreview
+    ? [...new Set(importPreview.sheets
+        .filter(sheet => selectedSheets.includes(sheet.name))
+        .flatMap(sheet => sheet.headers)
+        .filter(Boolean))]
+    : [];
+  const importSampleSheet = importPreview?.sheets.find(sheet => selectedSheets.includes(sheet.name));
+
   return (
     <div className="min-h-screen bg-claude-bg text-claude-text-primary font-sans selection:bg-claude-accent-light selection:text-claude-accent-primary">
       {/* 顶部导航栏 - Claude风格 */}
@@ -712,15 +805,15 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                     <input
                       ref={excelInputRef}
                       type="file"
-                      accept=".xlsx,.xls"
+                      accept=".xlsx,.csv,.json"
                       onChange={(e) => handleExcelUpload(e.target.files?.[0])}
                       className="hidden"
                     />
                     <div className="w-12 h-12 rounded-xl flex items-center justify-center mx-auto mb-3 bg-claude-bg-cream text-claude-text-muted group-hover:text-claude-accent-primary group-hover:scale-110 transition-all">
                       <Upload className="w-6 h-6" />
                     </div>
-                    <p className="font-medium text-claude-text-primary">点击或拖拽上传Excel</p>
-                    <p className="text-xs text-claude-text-muted mt-1">支持 .xlsx / .xls 格式</p>
+                    <p className="font-medium text-claude-text-primary">点击或拖拽上传COSMIC数据</p>
+                    <p className="text-xs text-claude-text-muted mt-1">支持 .xlsx / .csv / .json 格式，可选择多个工作表合并</p>
                   </div>
                 ) : (
                   <div
@@ -742,7 +835,7 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                     <input
                       ref={wordInputRef}
                       type="file"
-                      accept=".docx,.doc"
+                      accept=".docx,.doc,.pdf,.pptx,.xlsx"
                       onChange={(e) => handleWordUpload(e.target.files?.[0])}
                       className="hidden"
                     />
@@ -750,7 +843,7 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                       <Upload className="w-6 h-6" />
                     </div>
                     <p className="font-medium text-claude-text-primary">点击或拖拽上传Word</p>
-                    <p className="text-xs text-claude-text-muted mt-1">支持 .docx / .doc 格式</p>
+                    <p className="text-xs text-claude-text-muted mt-1">支持 .docx / .doc / .pdf / .pptx / .xlsx 格式</p>
                   </div>
                 )}
 
@@ -766,11 +859,20 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                       </p>
                       <p className="text-xs text-claude-text-secondary">
                         {sourceType === 'cosmic' 
-                          ? `${cosmicData.rowCount} 条记录` 
+                          ? `${cosmicData.rowCount} 条记录${cosmicData.modules?.length > 0 ? ` · ${cosmicData.modules.length} 个模块` : ''}` 
                           : `${requirementDoc.sectionCount} 个章节`}
                       </p>
                     </div>
                     <div className="flex gap-1">
+                      {sourceType === 'cosmic' && importPreview && (
+                        <button
+                          onClick={() => setShowColumnMapping(true)}
+                          className="p-1.5 hover:bg-white rounded-md text-claude-text-secondary hover:text-claude-text-primary transition-colors"
+                          title="工作表与列映射"
+                        >
+                          <Settings className="w-4 h-4" />
+                        </button>
+                      )}
                       <button
                         onClick={() => sourceType === 'cosmic' ? setShowDataPreview(true) : setShowDocPreview(true)}
                         className="p-1.5 hover:bg-white rounded-md text-claude-text-secondary hover:text-claude-text-primary transition-colors"
@@ -783,6 +885,7 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                           if(sourceType === 'cosmic') {
                             setCosmicData(null);
                             setCosmicFilename('');
+                            setImportPreview(null);
                           } else {
                             setRequirementDoc(null);
                             setRequirementFilename('');
@@ -927,6 +1030,17 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
               )}
             </button>
 
+            {/* 取消按钮：中止后台生成任务 */}
+            {isGenerating && (
+              <button
+                onClick={cancelGeneration}
+                className="w-full py-2 rounded-xl text-sm font-medium border border-red-200 text-red-600 hover:bg-red-50 transition-colors flex items-center justify-center gap-2"
+              >
+                <X className="w-4 h-4" />
+                <span>取消生成</span>
+              </button>
+            )}
+
             {/* 错误提示 */}
             {errorMessage && (
               <div className="p-4 rounded-xl bg-red-50 border border-red-100 flex items-start gap-3 animate-in fade-in slide-in-from-top-2">
@@ -995,6 +1109,14 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                       <Download className="w-4 h-4" />
                       导出Word
                     </button>
+                    <button
+                      onClick={exportPdf}
+                      disabled={isExportingPdf}
+                      className="text-sm px-4 py-1.5 rounded-lg border border-claude-border bg-white text-claude-text-secondary hover:bg-claude-bg-cream hover:text-claude-text-primary disabled:opacity-50 transition-colors flex items-center gap-1.5"
+                    >
+                      {isExportingPdf ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileType className="w-4 h-4" />}
+                      {isExportingPdf ? '导出中...' : '导出PDF'}
+                    </button>
                   </div>
                 )}
               </div>
@@ -1080,7 +1202,7 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
               <table className="w-full border-collapse text-sm">
                 <thead className="sticky top-0 z-10 bg-claude-bg-cream shadow-sm">
                   <tr>
-                    {['功能用户', '触发事件', '功能过程', '子过程描述', '类型', '数据组', '数据属性'].map((header, idx) => (
+                    {[...(cosmicData.modules?.length > 0 ? ['模块'] : []), '功能用户', '触发事件', '功能过程', '子过程描述', '类型', '数据组', '数据属性'].map((header, idx) => (
                       <th key={idx} className={`px-4 py-3 text-left font-serif font-semibold text-claude-text-primary border-b border-claude-border-warm ${header === '类型' ? 'text-center w-24' : ''}`}>
                         {header}
                       </th>
@@ -1090,6 +1212,9 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                 <tbody className="bg-white divide-y divide-claude-border-warm">
                   {cosmicData.data.slice(0, 100).map((row, idx) => (
                     <tr key={idx} className="hover:bg-claude-bg-light/50 transition-colors group">
+                      {cosmicData.modules?.length > 0 && (
+                        <td className="px-4 py-3 text-claude-text-secondary">{row.module}</td>
+                      )}
                       <td className="px-4 py-3 text-claude-text-primary">{row.functionalUser}</td>
                       <td className="px-4 py-3 text-claude-text-primary">{row.triggerEvent}</td>
                       <td className="px-4 py-3 text-claude-text-primary font-medium">{row.functionalProcess}</td>
@@ -1131,14 +1256,14 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
         </div>
       )}
       
-      {/* 列映射弹窗 */}
-      {showColumnMapping && cosmicData && (
+      {/* 导入预览与列映射弹窗 */}
+      {showColumnMapping && importPreview && (
         <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-50 transition-all duration-300">
-          <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl m-4 max-h-[90vh] flex flex-col border border-claude-border animate-in fade-in zoom-in-95 duration-200">
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl m-4 max-h-[90vh] flex flex-col border border-claude-border animate-in fade-in zoom-in-95 duration-200">
             <div className="flex items-center justify-between p-5 border-b border-claude-border bg-claude-bg-warm rounded-t-xl">
               <h2 className="text-lg font-serif font-bold flex items-center gap-2 text-claude-text-primary">
                 <Settings className="w-5 h-5 text-claude-accent-primary" />
-                配置列映射
+                配置列映射 <span className="text-sm font-sans font-normal text-claude-text-secondary">({importPreview.filename})</span>
               </h2>
               <button
                 onClick={() => setShowColumnMapping(false)}
@@ -1147,13 +1272,48 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                 <X className="w-5 h-5" />
               </button>
             </div>
-            <div className="flex-1 overflow-y-auto p-6">
-              <div className="bg-claude-bg-warm p-4 rounded-lg border border-claude-border-warm mb-6">
+            <div className="flex-1 overflow-y-auto p-6 space-y-6">
+              <div className="bg-claude-bg-warm p-4 rounded-lg border border-claude-border-warm">
                 <p className="text-sm text-claude-text-secondary">
-                  将Excel中的列映射到标准COSMIC字段。如果Excel列名与标准字段不匹配，请手动选择对应关系。
+                  将数据文件中的列映射到标准COSMIC字段。系统已按表头自动识别，如有错误请手动修正；未映射的列（如CFP、复用度、备注）会作为附加信息保留。
                 </p>
               </div>
-              <div className="space-y-4">
+
+              {/* 工作表选择 */}
+              {importPreview.sheets.length > 1 && (
+                <div>
+                  <p className="text-sm font-medium text-claude-text-primary mb-2 flex items-center gap-2">
+                    <Layers className="w-4 h-4 text-claude-accent-primary" />
+                    选择工作表（多选时合并，并以工作表名作为模块）
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {importPreview.sheets.map(sheet => (
+                      <label
+                        key={sheet.name}
+                        className={`flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm cursor-pointer transition-colors ${
+                          selectedSheets.includes(sheet.name)
+                            ? 'border-claude-accent-primary bg-claude-accent-light text-claude-text-primary'
+                            : 'border-claude-border text-claude-text-secondary hover:bg-claude-bg-light'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={selectedSheets.includes(sheet.name)}
+                          onChange={() => toggleImportSheet(sheet.name)}
+                          className="accent-claude-accent-primary"
+                        />
+                        {sheet.name}
+                        <span className="text-xs text-claude-text-muted">{sheet.rowCount} 行</span>
+                        {sheet.missingFields.length > 0 && (
+                          <span className="text-xs text-amber-600" title="未识别到功能过程或数据移动类型列">⚠</span>
+                        )}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="space-y-3">
                 {standardFields.map((field) => (
                   <div key={field.key} className="flex items-center gap-4 p-3 rounded-lg hover:bg-claude-bg-light transition-colors border border-transparent hover:border-claude-border-warm">
                     <div className="w-1/3">
@@ -1170,8 +1330,8 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                         })}
                         className="w-full appearance-none bg-white border border-claude-border rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-claude-accent-primary/20 focus:border-claude-accent-primary text-claude-text-primary transition-all"
                       >
-                        <option value="">-- 选择Excel列 --</option>
-                        {cosmicData.headers.map((header, idx) => (
+                        <option value="">-- 不导入 --</option>
+                        {importHeaders.map((header, idx) => (
                           <option key={idx} value={header}>{header}</option>
                         ))}
                       </select>
@@ -1182,6 +1342,43 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                   </div>
                 ))}
               </div>
+
+              {/* 样例数据 */}
+              {importSampleSheet && importSampleSheet.sampleRows.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-claude-text-primary mb-2">
+                    样例数据（{importSampleSheet.name}，前 {importSampleSheet.sampleRows.length} 行）
+                  </p>
+                  <div className="overflow-x-auto border border-claude-border-warm rounded-lg">
+                    <table className="w-full border-collapse text-xs">
+                      <thead className="bg-claude-bg-cream">
+                        <tr>
+                          {importSampleSheet.headers.map((header, idx) => {
+                            const mappedField = standardFields.find(f => columnMapping[f.key] === header);
+                            return (
+                              <th key={idx} className="px-3 py-2 text-left font-semibold text-claude-text-primary border-b border-claude-border-warm whitespace-nowrap">
+                                {header}
+                                <span className={`block font-normal ${mappedField ? 'text-claude-accent-primary' : 'text-claude-text-muted'}`}>
+                                  {mappedField ? `→ ${mappedField.label}` : '附加列'}
+                                </span>
+                              </th>
+                            );
+                          })}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-claude-border-warm">
+                        {importSampleSheet.sampleRows.map((cells, rowIdx) => (
+                          <tr key={rowIdx}>
+                            {importSampleSheet.headers.map((_, colIdx) => (
+                              <td key={colIdx} className="px-3 py-2 text-claude-text-secondary whitespace-nowrap max-w-[200px] truncate">{cells[colIdx]}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
             </div>
             <div className="p-5 border-t border-claude-border bg-claude-bg-warm rounded-b-xl flex justify-end gap-3">
               <button
@@ -1191,10 +1388,12 @@ function CosmicToSpec({ apiStatus, setShowSettings }) {
                 取消
               </button>
               <button
-                onClick={() => setShowColumnMapping(false)}
-                className="px-5 py-2 bg-claude-accent-primary text-white rounded-lg hover:bg-claude-accent-hover shadow-sm transition-all font-medium"
+                onClick={confirmImport}
+                disabled={selectedSheets.length === 0 || !columnMapping.functionalProcess || isImporting}
+                className="px-5 py-2 bg-claude-accent-primary text-white rounded-lg hover:bg-claude-accent-hover shadow-sm transition-all font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
               >
-                确认映射
+                {isImporting && <Loader2 className="w-4 h-4 animate-spin" />}
+                确认映射并导入
               </button>
             </div>
           </div>
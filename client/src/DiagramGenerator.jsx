@@ -13,7 +13,10 @@ import {
   Loader2,
   AlertCircle,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Upload,
+  Eye,
+  Save
 } from 'lucide-react';
 
 /**
@@ -128,7 +131,7 @@ function DiagramGenerator({ documentContent, documentName }) {
       link.click();
       document.body.removeChild(link);
     } else if (mermaidCode) {
-      // 从Kroki获取图片
+      // 由服务端渲染图片
       try {
         const response = await axios.post('/api/diagram/render', {
           mermaidCode,
@@ -390,4 +393,256 @@ function DiagramGenerator({ documentContent, documentName }) {
   );
 }
 
+/**
+ * 图表源码编辑组件
+ * 导入已导出的需求文档（.docx / .doc），取出图片中保存的图表源码，修改后原位重新渲染并下载更新后的文档
+ */
+export function DiagramSourceEditor() {
+  const [documentFile, setDocumentFile] = useState(null);
+  const [diagrams, setDiagrams] = useState([]);
+  const [sources, setSources] = useState({});
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [previewSvg, setPreviewSvg] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fileInputRef = useRef(null);
+
+  const selected = diagrams.find(d => d.index === selectedIndex);
+  const changedIndexes = diagrams.filter(d => sources[d.index] !== d.source).map(d => d.index);
+
+  // 导入文档，提取图表源码
+  const importDocument = async (file) => {
+    if (!file) return;
+    setIsImporting(true);
+    setError('');
+    setMessage('');
+    setDiagrams([]);
+    setSelectedIndex(null);
+    setPreviewUrl('');
+    setPreviewSvg('');
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await axios.post('/api/diagram/import', formData);
+      const found = response.data.diagrams || [];
+      setDocumentFile(file);
+      setDiagrams(found);
+      setSources(Object.fromEntries(found.map(d => [d.index, d.source])));
+      setSelectedIndex(found[0]?.index ?? null);
+      if (found.length === 0) {
+        setError('文档中没有保留源码的图表，请使用本系统重新导出Word后再导入');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setIsImporting(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  // 预览当前图表：Mermaid 在浏览器渲染，PlantUML 由服务端渲染，HTML 图表直接显示
+  const previewDiagram = async () => {
+    if (!selected) return;
+    const source = sources[selected.index];
+    setIsPreviewing(true);
+    setError('');
+    setPreviewUrl('');
+    setPreviewSvg('');
+
+    try {
+      if (selected.type === 'mermaid') {
+        const { svg } = await mermaid.render('diagram-source-' + Date.now(), source);
+        setPreviewSvg(svg);
+      } else if (selected.type === 'plantuml') {
+        const response = await axios.post('/api/diagram/render', {
+          diagramType: 'plantuml',
+          source,
+          outputFormat: 'svg'
+        }, { responseType: 'blob' });
+        setPreviewUrl(window.URL.createObjectURL(response.data));
+      }
+    } catch (err) {
+      setError('预览失败: ' + (err.message || err));
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  // 重新渲染修改过的图表并下载更新后的文档
+  const applyEdits = async () => {
+    if (!documentFile || changedIndexes.length === 0) return;
+    setIsApplying(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const formData = new FormData();
+      formData.append('file', documentFile);
+      formData.append('edits', JSON.stringify(changedIndexes.map(index => ({ index, source: sources[index] }))));
+      const response = await axios.post('/api/diagram/apply', formData, { responseType: 'blob' });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = documentFile.name;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      setMessage(`已更新 ${response.headers['x-diagrams-updated'] || changedIndexes.length} 张图表，文档已下载`);
+    } catch (err) {
+      // blob 响应中的错误信息需要单独解析
+      let errorMessage = err.message;
+      if (err.response?.data instanceof Blob) {
+        try {
+          errorMessage = JSON.parse(await err.response.data.text()).error || errorMessage;
+        } catch (e) {
+          // 保持原错误信息
+        }
+      }
+      setError(errorMessage);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      {/* 标题栏 */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Code className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold text-gray-800">图表源码编辑</h3>
+        </div>
+        {documentFile && (
+          <span className="text-sm text-gray-500 truncate max-w-[50%]">{documentFile.name}</span>
+        )}
+      </div>
+
+      {/* 操作按钮 */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".docx,.doc"
+          className="hidden"
+          onChange={(e) => importDocument(e.target.files?.[0])}
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isImporting}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {isImporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          导入已导出的文档
+        </button>
+
+        {selected && (
+          <button
+            onClick={previewDiagram}
+            disabled={isPreviewing}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            {isPreviewing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+            预览
+          </button>
+        )}
+
+        {diagrams.length > 0 && (
+          <button
+            onClick={applyEdits}
+            disabled={isApplying || changedIndexes.length === 0}
+            className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isApplying ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            重新渲染并下载{changedIndexes.length > 0 ? `（${changedIndexes.length}）` : ''}
+          </button>
+        )}
+      </div>
+
+      {/* 错误 / 结果提示 */}
+      {error && (
+        <div className="flex items-center gap-2 p-3 bg-red-50 text-red-600 rounded-lg mb-4">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="flex items-center gap-2 p-3 bg-green-50 text-green-700 rounded-lg mb-4">
+          <Check className="w-4 h-4" />
+          {message}
+        </div>
+      )}
+
+      {diagrams.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {/* 图表列表 */}
+          <div className="space-y-2 max-h-[600px] overflow-auto">
+            {diagrams.map(diagram => (
+              <button
+                key={diagram.index}
+                onClick={() => { setSelectedIndex(diagram.index); setPreviewUrl(''); setPreviewSvg(''); }}
+                className={`w-full text-left border rounded-lg p-2 transition-colors ${
+                  diagram.index === selectedIndex ? 'border-blue-500 bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                {diagram.image && (
+                  <img src={diagram.image} alt={diagram.title} className="w-full h-20 object-contain bg-white rounded mb-1" />
+                )}
+                <p className="text-sm font-medium text-gray-700 truncate">
+                  {diagram.index}. {diagram.title || '未命名图表'}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {diagram.type}
+                  {sources[diagram.index] !== diagram.source && <span className="text-orange-600 ml-2">已修改</span>}
+                </p>
+              </button>
+            ))}
+          </div>
+
+          {/* 源码编辑与预览 */}
+          {selected && (
+            <div className="md:col-span-2 space-y-3">
+              <textarea
+                value={sources[selected.index] ?? ''}
+                onChange={(e) => setSources(prev => ({ ...prev, [selected.index]: e.target.value }))}
+                spellCheck={false}
+                className="w-full h-64 p-3 font-mono text-sm border rounded-lg bg-gray-900 text-green-400"
+              />
+              <div className="bg-white rounded border p-4 overflow-auto max-h-[400px] min-h-[150px]">
+                {selected.type === 'html' ? (
+                  <iframe
+                    title="HTML图表预览"
+                    sandbox=""
+                    srcDoc={`<meta charset="utf-8"><body style="margin:0;padding:12px">${sources[selected.index] ?? ''}</body>`}
+                    className="w-full h-[360px] border-0"
+                  />
+                ) : previewSvg ? (
+                  <div className="flex justify-center" dangerouslySetInnerHTML={{ __html: previewSvg }} />
+                ) : (previewUrl || selected.image) ? (
+                  <img src={previewUrl || selected.image} alt={selected.title} className="max-w-full h-auto mx-auto" />
+                ) : null}
+              </div>
+            </div>
+          )}
+        </div>
+      ) : (
+        !isImporting && (
+          <div className="text-center py-8 text-gray-500">
+            <Image className="w-12 h-12 mx-auto mb-3 opacity-30" />
+            <p className="text-sm">导入本系统导出的Word文档，修改其中图表的源码后原位重新渲染</p>
+            <p className="text-xs mt-1">支持 Mermaid、PlantUML 和 HTML 图表</p>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
 export default DiagramGenerator;
@@ -70,6 +70,7 @@ function RequirementReview({ apiStatus, setShowSettings }) {
   const [expandedSections, setExpandedSections] = useState({});
   const [isDragging, setIsDragging] = useState(false);
   const [error, setError] = useState('');
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
 
   const fileInputRef = useRef(null);
   const oldFileInputRef = useRef(null);
@@ -266,6 +267,40 @@ function RequirementReview({ apiStatus, setShowSettings }) {
     URL.revokeObjectURL(url);
   };
 
+  // 导出PDF报告（封面、页码、书签）
+  const exportReportPdf = async () => {
+    if (!reviewReport) return;
+
+    setIsExportingPdf(true);
+    try {
+      const response = await axios.post('/api/review/export-pdf', {
+        report: reviewReport,
+        documentName
+      }, {
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `需求评审报告_${new Date().toISOString().slice(0, 10)}.pdf`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      let message = err.message;
+      if (err.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await err.response.data.text()).error || message;
+        } catch (e) {
+          // 保留原始错误信息
+        }
+      }
+      setError('导出PDF失败: ' + message);
+    } finally {
+      setIsExportingPdf(false);
+    }
+  };
+
   // 获取分数颜色
   const getScoreColor = (score) => {
     if (score >= 90) return 'text-green-600';
@@ -538,13 +573,23 @@ function RequirementReview({ apiStatus, setShowSettings }) {
             <div className={`bg-white rounded-xl shadow-claude border p-6 ${getScoreBg(reviewReport.overallScore)}`}>
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-xl font-serif font-bold text-claude-text-primary">评审报告</h2>
-                <button
-                  onClick={exportReport}
-                  className="flex items-center gap-2 px-4 py-2 bg-white border border-claude-border rounded-lg text-sm hover:bg-claude-bg-cream hover:text-claude-text-primary transition-all shadow-sm"
-                >
-                  <Download className="w-4 h-4" />
-                  导出报告
-                </button>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={exportReport}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-claude-border rounded-lg text-sm hover:bg-claude-bg-cream hover:text-claude-text-primary transition-all shadow-sm"
+                  >
+                    <Download className="w-4 h-4" />
+                    导出报告
+                  </button>
+                  <button
+                    onClick={exportReportPdf}
+                    disabled={isExportingPdf}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-claude-border rounded-lg text-sm hover:bg-claude-bg-cream hover:text-claude-text-primary disabled:opacity-50 transition-all shadow-sm"
+                  >
+                    {isExportingPdf ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
+                    {isExportingPdf ? '导出中...' : '导出PDF'}
+                  </button>
+                </div>
               </div>
 
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
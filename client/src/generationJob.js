@@ -0,0 +1,134 @@
+// 后台生成任务客户端（对应 server/jobManager.js）
+// 创建任务后订阅事件流；连接中断时携带 Last-Event-ID 重新订阅，服务端补发缺失事件，生成不会丢失
+
+const API_BASE = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '');
+
+// 断线重连：最多连续重试次数与退避间隔（毫秒）
+const MAX_RECONNECT_ATTEMPTS = 20;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 10000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function readError(response, fallback) {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text || '{}').error || fallback;
+  } catch (e) {
+    return text || fallback;
+  }
+}
+
+/**
+ * 创建后台生成任务
+ * @param {string} type - 任务类型（requirement-spec / cosmic-to-spec / cosmic-to-spec-doc / code-generator）
+ * @param {Object} params - 与对应直接生成接口一致的请求体
+ * @returns {Promise<string>} 任务ID
+ */
+export async function createGenerationJob(type, params) {
+  const response = await fetch(`${API_BASE}/api/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type, params })
+  });
+  if (!response.ok) {
+    throw new Error(await readError(response, '创建生成任务失败'));
+  }
+  const { jobId } = await response.json();
+  return jobId;
+}
+
+/**
+ * 取消后台生成任务，服务端中止模型调用并推送取消事件后结束事件流
+ */
+export async function cancelGenerationJob(jobId) {
+  if (!jobId) return;
+  const response = await fetch(`${API_BASE}/api/jobs/${jobId}/cancel`, { method: 'POST' });
+  if (!response.ok) {
+    throw new Error(await readError(response, '取消任务失败'));
+  }
+}
+
+/**
+ * 订阅任务事件直到任务结束，断线后自动续传
+ * @param {string} jobId - 任务ID
+ * @param {Object} handlers - { onEvent(data), onReconnect(attempt) }；data 为每条事件的 data 文本
+ * @returns {Promise<string>} 任务最终状态（completed / failed / cancelled / interrupted）
+ */
+export async function followGenerationJob(jobId, { onEvent, onReconnect } = {}) {
+  let lastEventId = 0;
+  let attempt = 0;
+
+  while (true) {
+    try {
+      const response = await fetch(`${API_BASE}/api/jobs/${jobId}/events`, {
+        headers: lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {}
+      });
+      if (response.status === 404) {
+        throw Object.assign(new Error('任务不存在'), { fatal: true });
+      }
+      if (!response.ok) {
+        throw new Error(await readError(response, '订阅任务事件失败'));
+      }
+      attempt = 0;
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+
+          let id = null;
+          let eventName = 'message';
+          const dataLines = [];
+          rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('id:')) id = parseInt(line.slice(3).trim(), 10);
+            else if (line.startsWith('event:')) eventName = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.replace(/^data:\s?/, ''));
+          });
+
+          if (eventName === 'end') {
+            reader.cancel().catch(() => {});
+            try {
+              return JSON.parse(dataLines.join('\n')).status;
+            } catch (e) {
+              return 'completed';
+            }
+          }
+          if (id) lastEventId = id;
+          if (dataLines.length > 0) {
+            const data = dataLines.join('\n');
+            // 处理函数抛出的错误（如服务端推送的 error 事件）直接结束订阅
+            try {
+              onEvent?.(data);
+            } catch (handlerError) {
+              reader.cancel().catch(() => {});
+              throw Object.assign(handlerError, { fatal: true });
+            }
+          }
+        }
+      }
+      // 连接在任务结束前关闭（代理超时、网络中断），继续重连
+    } catch (error) {
+      if (error.fatal) throw error;
+      if (attempt >= MAX_RECONNECT_ATTEMPTS) {
+        throw new Error(`与服务器的连接已断开: ${error.message}`);
+      }
+    }
+
+    attempt++;
+    onReconnect?.(attempt);
+    await sleep(Math.min(RECONNECT_BASE_DELAY * attempt, RECONNECT_MAX_DELAY));
+  }
+}
@@ -0,0 +1,897 @@
+/**
+ * 后端代码生成模块
+ * 根据 COSMIC 拆分表中的持久数据组生成 Express REST 后端、SQL DDL 和 OpenAPI 文档
+ *
+ * 生成规则：
+ * 1. 资源 - 每个参与 R/W（读/写持久存储）数据移动的数据组对应一个资源；
+ *    E/X 只穿过边界的数据组不落库。名称归一后相同的数据组（如"用户信息""用户注册信息"）合并为同一资源
+ * 2. 字段 - 数据属性合并去重后按名称推断类型与校验规则（必填、长度、邮箱/电话格式、数值、日期、布尔）
+ * 3. 接口 - 每个资源提供 GET/POST /api/{resource} 与 GET/PUT/DELETE /api/{resource}/:id，
+ *    列表接口返回 { items, total }，与前端脚手架的接口层约定一致
+ * 4. 存储 - 生成的后端使用 SQLite（better-sqlite3），启动时执行 schema.sql 并写入示例数据；
+ *    DDL 另可输出 MySQL / PostgreSQL 方言
+ */
+
+const { splitAttributes } = require('./cosmicValidator');
+
+// ==================== 命名词典 ====================
+
+// 数据组名称中的业务名词 -> 资源名
+const RESOURCE_TERMS = {
+  '用户': 'user', '账号': 'account', '账户': 'account', '角色': 'role', '权限': 'permission', '菜单': 'menu',
+  '部门': 'department', '组织': 'organization', '员工': 'employee', '人员': 'staff', '客户': 'customer',
+  '供应商': 'supplier', '会员': 'member', '商品': 'product', '产品': 'product', '订单': 'order',
+  '支付': 'payment', '退款': 'refund', '发票': 'invoice', '合同': 'contract', '项目': 'project',
+  '任务': 'task', '文章': 'article', '评论': 'comment', '消息': 'message', '通知': 'notification',
+  '公告': 'announcement', '设备': 'device', '资产': 'asset', '库存': 'inventory', '仓库': 'warehouse',
+  '日志': 'log', '附件': 'attachment', '文件': 'file', '审批': 'approval', '申请': 'application',
+  '请假': 'leave', '考勤': 'attendance', '工单': 'ticket', '报表': 'report', '配置': 'setting',
+  '参数': 'parameter', '字典': 'dictionary', '课程': 'course', '学生': 'student', '教师': 'teacher',
+  '成绩': 'score', '预约': 'appointment', '车辆': 'vehicle', '告警': 'alarm', '预警': 'alert',
+  '地址': 'address', '购物车': 'cart', '优惠券': 'coupon', '活动': 'activity', '积分': 'points',
+  '评价': 'review', '问题': 'issue', '缺陷': 'defect', '需求': 'requirement', '版本': 'release',
+  '明细': 'item', '记录': 'record', '数据': 'record', '登录': 'login', '操作': 'operation'
+};
+
+// 只修饰数据组、不构成资源名的后缀
+const GROUP_SUFFIXES = /(信息|资料|档案|详情|列表|数据表|表|清单)$/;
+
+// 数据属性名称 -> 字段名
+const FIELD_TERMS = {
+  '名称': 'name', '姓名': 'name', '标题': 'title', '用户名': 'username', '账号': 'account', '密码': 'password',
+  '邮箱': 'email', '电子邮箱': 'email', '邮件': 'email', '手机': 'mobile', '手机号': 'mobile', '手机号码': 'mobile',
+  '电话': 'phone', '联系电话': 'phone', '联系方式': 'contact', '联系人': 'contactName', '地址': 'address',
+  '性别': 'gender', '年龄': 'age', '生日': 'birthday', '出生日期': 'birthday', '头像': 'avatar',
+  '角色': 'role', '部门': 'department', '职位': 'position', '状态': 'status', '类型': 'type',
+  '分类': 'category', '类别': 'category', '描述': 'description', '说明': 'description', '备注': 'remark',
+  '内容': 'content', '价格': 'price', '单价': 'unitPrice', '金额': 'amount', '总金额': 'totalAmount',
+  '总价': 'totalPrice', '数量': 'quantity', '库存': 'stock', '编号': 'code', '编码': 'code',
+  '订单号': 'orderNo', '流水号': 'serialNo', '开始时间': 'startAt', '结束时间': 'endAt', '开始日期': 'startDate',
+  '结束日期': 'endDate', '截止时间': 'dueAt', '注册时间': 'registeredAt', '下单时间': 'orderedAt',
+  '支付时间': 'paidAt', '发布时间': 'publishedAt', '申请时间': 'appliedAt', '审批时间': 'approvedAt',
+  '登录时间': 'loginAt', '操作时间': 'operatedAt', '购入时间': 'purchasedAt', '审批意见': 'approvalComment',
+  '审批人': 'approver', '申请人': 'applicant', '负责人': 'owner', '操作人': 'operator', '创建人': 'creator',
+  '作者': 'author', '客户': 'customer', '客户名称': 'customerName', '优先级': 'priority', '进度': 'progress',
+  '版本': 'version', '版本号': 'version', '型号': 'model', '品牌': 'brand', '位置': 'location', '规格': 'spec',
+  '单位': 'unit', '图片': 'image', '链接': 'url', '附件': 'attachment', '原因': 'reason', '结果': 'result',
+  '天数': 'days', '评分': 'rating', '阅读量': 'views', '标签': 'tags', '排序': 'sort', 'IP地址': 'ip',
+  '支付方式': 'paymentMethod', '请假类型': 'leaveType', '是否启用': 'enabled', '是否删除': 'deleted',
+  '余额': 'balance', '积分': 'points', '等级': 'level', '折扣': 'discount', '网址': 'website', '身份证号': 'idCard',
+  '地点': 'location', '时间': 'time', '日期': 'date', '方式': 'method'
+};
+
+// 组合属性名（"打卡时间""发货地址"）的前缀与后缀
+const FIELD_PREFIXES = {
+  '打卡': 'checkIn', '签到': 'signIn', '签退': 'signOut', '审核': 'review', '提交': 'submit', '完成': 'complete',
+  '处理': 'handle', '到期': 'expire', '生效': 'effective', '失效': 'expire', '入库': 'stockIn', '出库': 'stockOut',
+  '发货': 'ship', '收货': 'receive', '付款': 'pay', '登录': 'login', '开始': 'start', '结束': 'end', '预计': 'expected',
+  '实际': 'actual', '计划': 'plan', '上次': 'last', '最后': 'last', '联系': 'contact', '收件': 'recipient'
+};
+const FIELD_SUFFIXES = {
+  '时间': 'At', '日期': 'Date', '地点': 'Location', '地址': 'Address', '状态': 'Status', '类型': 'Type',
+  '方式': 'Method', '人': 'By', '原因': 'Reason', '结果': 'Result', '金额': 'Amount', '数量': 'Quantity',
+  '编号': 'No', '名称': 'Name', '说明': 'Note', '次数': 'Count', '电话': 'Phone', '备注': 'Remark'
+};
+
+// 由数据库自动维护的属性
+const AUTO_FIELDS = /^(创建时间|更新时间|修改时间|创建日期|更新日期)$/;
+
+function pascalCase(slug) {
+  return slug.replace(/(^|[-_])(\w)/g, (m, sep, ch) => ch.toUpperCase());
+}
+
+function snakeCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function camelCase(slug) {
+  return slug.replace(/[-_](\w)/g, (m, ch) => ch.toUpperCase());
+}
+
+/**
+ * 从名称中按出现顺序提取业务名词，拼成资源名（如"考勤记录" -> attendance_record）
+ */
+function termsToSlug(name, terms) {
+  const text = String(name || '');
+  const words = Object.keys(terms).sort((a, b) => b.length - a.length);
+  const found = [];
+  let i = 0;
+  while (i < text.length) {
+    const word = words.find(w => text.startsWith(w, i));
+    if (word) {
+      if (found[found.length - 1] !== terms[word]) found.push(terms[word]);
+      i += word.length;
+    } else {
+      i++;
+    }
+  }
+  // "用户数据""订单记录"中的通用名词只在单独出现时才作为资源名
+  const generic = ['record', 'item'];
+  const specific = found.filter((slug, index) => index === 0 || !generic.includes(slug) || found.length === 1);
+  return specific.slice(0, 2).join('_');
+}
+
+/**
+ * 数据组名称 -> 资源名，无法识别时返回空字符串
+ */
+function resourceSlug(groupName) {
+  const asciiName = String(groupName || '').trim();
+  if (/^[A-Za-z][\w\s-]*$/.test(asciiName)) return snakeCase(asciiName.replace(/[\s-]+/g, '_')).replace(/_+/g, '_');
+  return termsToSlug(asciiName.replace(GROUP_SUFFIXES, ''), RESOURCE_TERMS);
+}
+
+/**
+ * 数据属性名称 -> 字段名
+ * @param {string} label - 属性名称
+ * @param {string[]} ownTerms - 资源自身的名词（"用户名称"在用户资源中即 name）
+ */
+function fieldKey(label, ownTerms = []) {
+  const text = String(label || '').trim();
+  if (/^[A-Za-z][\w]*$/.test(text)) return camelCase(snakeCase(text));
+  if (FIELD_TERMS[text]) return FIELD_TERMS[text];
+  const own = ownTerms.find(term => text.startsWith(term) && FIELD_TERMS[text.slice(term.length)]);
+  if (own) return FIELD_TERMS[text.slice(own.length)];
+  const entity = Object.keys(RESOURCE_TERMS).sort((a, b) => b.length - a.length).find(term => text.startsWith(term));
+  if (entity && FIELD_TERMS[text.slice(entity.length)]) {
+    const rest = FIELD_TERMS[text.slice(entity.length)];
+    return `${camelCase(RESOURCE_TERMS[entity])}${rest[0].toUpperCase()}${rest.slice(1)}`;
+  }
+  const suffix = Object.keys(FIELD_SUFFIXES).sort((a, b) => b.length - a.length).find(term => text.endsWith(term) && text.length > term.length);
+  if (suffix) {
+    const prefix = text.slice(0, -suffix.length);
+    const prefixKey = FIELD_PREFIXES[prefix] || (RESOURCE_TERMS[prefix] && camelCase(RESOURCE_TERMS[prefix]));
+    if (prefixKey) return `${prefixKey}${FIELD_SUFFIXES[suffix]}`;
+  }
+  return '';
+}
+
+// ==================== 字段推断 ====================
+
+/**
+ * 根据属性名称推断字段类型与校验规则
+ */
+function inferField(label, ownTerms) {
+  const text = String(label).trim();
+  const field = { label: text, type: 'string', required: false };
+
+  const idMatch = text.match(/^(.*?)\s*(ID|Id|id|编号ID)$/);
+  if (idMatch) {
+    const prefix = idMatch[1];
+    if (!prefix || ownTerms.some(term => prefix === term || prefix.startsWith(term))) return null;
+    const ref = resourceSlug(prefix) || fieldKey(prefix, ownTerms);
+    if (!ref) return { ...field, key: '', type: 'integer' };
+    return { ...field, key: `${camelCase(ref)}Id`, type: 'integer', reference: ref };
+  }
+
+  field.key = fieldKey(text, ownTerms);
+  if (/^是否/.test(text)) field.type = 'boolean';
+  else if (/时间$/.test(text)) { field.type = 'string'; field.format = 'date-time'; }
+  else if (/日期$|生日/.test(text)) { field.type = 'string'; field.format = 'date'; }
+  else if (/金额|价格|单价|费用|总价|余额|工资|薪资|折扣|评分/.test(text)) field.type = 'number';
+  else if (/数量|次数|库存|年龄|人数|天数|排序|序号|阅读量|积分|等级|进度/.test(text)) field.type = 'integer';
+  else if (/邮箱|邮件/.test(text)) { field.format = 'email'; field.maxLength = 128; }
+  else if (/手机|电话/.test(text)) { field.pattern = '^[0-9+\\-\\s]{6,20}$'; field.maxLength = 20; }
+  else if (/备注|描述|内容|说明|详情|意见|原因/.test(text)) { field.type = 'text'; field.maxLength = 2000; }
+  else if (/状态|类型|性别|优先级/.test(text)) field.maxLength = 32;
+  else field.maxLength = 255;
+
+  if (/密码/.test(text) || /password|passwd|pwd/i.test(field.key)) field.secret = true;
+  if (/^(名称|姓名|标题|编号|编码|账号|用户名|订单号)$/.test(text) || /(名称|标题)$/.test(text)) field.required = true;
+  return field;
+}
+
+/**
+ * 属性名称列表 -> 字段列表（去除自动维护字段、补齐无法识别的字段名、保证字段名唯一）
+ */
+function buildFields(labels, ownTerms) {
+  const fields = [];
+  const keys = new Set(['id', 'createdAt', 'updatedAt']);
+  labels.forEach(label => {
+    if (AUTO_FIELDS.test(label)) return;
+    const field = inferField(label, ownTerms);
+    if (!field) return;
+    let key = field.key || `field${fields.length + 1}`;
+    while (keys.has(key)) key = `${key}${fields.length + 1}`;
+    keys.add(key);
+    fields.push({ ...field, key, column: snakeCase(key) });
+  });
+  if (fields.length > 0 && !fields.some(field => field.required)) fields[0].required = true;
+  return fields;
+}
+
+// ==================== 资源提取 ====================
+
+const PERSISTENT_MOVEMENTS = ['R', 'W'];
+
+/**
+ * 从 COSMIC 拆分表提取持久数据组
+ * @param {Array} tableData - 拆分表行（functionalProcess / dataMovementType / dataGroup / dataAttributes）
+ * @returns {Array<Object>} 资源列表：{ name, slug, table, component, label, dataGroups, processes, fields }
+ */
+function extractResources(tableData = []) {
+  const groups = new Map();
+  let unnamed = 0;
+
+  tableData.forEach(row => {
+    const movement = String(row.dataMovementType || '').trim().toUpperCase();
+    const groupName = String(row.dataGroup || '').trim();
+    if (!PERSISTENT_MOVEMENTS.includes(movement) || !groupName) return;
+
+    const slug = resourceSlug(groupName);
+    const mapKey = slug || groupName;
+    if (!groups.has(mapKey)) {
+      groups.set(mapKey, {
+        name: groupName.replace(GROUP_SUFFIXES, '') || groupName,
+        slug: slug || `resource${++unnamed}`,
+        dataGroups: [],
+        processes: new Map(),
+        attributes: []
+      });
+    }
+    const group = groups.get(mapKey);
+    if (!group.dataGroups.includes(groupName)) group.dataGroups.push(groupName);
+    const processName = String(row.functionalProcess || '').trim();
+    if (processName) {
+      if (!group.processes.has(processName)) group.processes.set(processName, new Set());
+      group.processes.get(processName).add(movement);
+    }
+    splitAttributes(row.dataAttributes).forEach(attr => {
+      if (!group.attributes.includes(attr)) group.attributes.push(attr);
+    });
+  });
+
+  return [...groups.values()].map(group => {
+    const ownTerms = Object.keys(RESOURCE_TERMS).filter(term => group.dataGroups.some(name => name.includes(term)));
+    const fields = buildFields(group.attributes, ownTerms);
+    return {
+      name: group.name,
+      slug: group.slug,
+      table: group.slug,
+      component: pascalCase(group.slug),
+      label: `${group.name}管理`,
+      dataGroups: group.dataGroups,
+      processes: [...group.processes].map(([name, movements]) => ({ name, movements: [...movements].sort() })),
+      fields: fields.length > 0 ? fields : buildFields(['名称', '描述'], ownTerms)
+    };
+  });
+}
+
+/**
+ * 需求分析识别出的实体（analyzeRequirementForData 的 entities）转为资源
+ */
+function resourcesFromEntities(entities = []) {
+  const used = new Set();
+  return entities.map((entity, index) => {
+    let slug = resourceSlug(entity.name) || `module${index + 1}`;
+    while (used.has(slug)) slug = `${slug}${index + 1}`;
+    used.add(slug);
+    const ownTerms = Object.keys(RESOURCE_TERMS).filter(term => entity.name.includes(term));
+    return {
+      name: entity.name,
+      slug,
+      table: slug,
+      component: pascalCase(slug),
+      label: `${entity.name}管理`,
+      dataGroups: [],
+      processes: [],
+      fields: buildFields(entity.fields, ownTerms)
+    };
+  });
+}
+
+// ==================== 示例数据 ====================
+
+const SAMPLE_NAMES = ['张三', '李四', '王五', '赵六', '孙七', '周八', '吴九', '郑十', '陈一', '林二', '黄三', '刘四'];
+const SAMPLE_STATUSES = ['正常', '待处理', '进行中', '已完成', '已停用'];
+
+function sampleValue(field, i) {
+  const label = field.label;
+  if (field.type === 'boolean') return i % 3 !== 0;
+  if (field.format === 'date-time') return `2024-${String((i % 12) + 1).padStart(2, '0')}-${String((i % 27) + 1).padStart(2, '0')} 09:${String((i * 7) % 60).padStart(2, '0')}:00`;
+  if (field.format === 'date') return `2024-${String((i % 12) + 1).padStart(2, '0')}-${String((i % 27) + 1).padStart(2, '0')}`;
+  if (field.reference) return (i % 5) + 1;
+  if (field.type === 'number') return Math.round((i + 1) * 137.5) / 10;
+  if (field.type === 'integer') return label === '进度' ? (i * 17) % 101 : (i + 1) * 3;
+  if (field.format === 'email') return `user${i + 1}@example.com`;
+  if (field.pattern) return `1380000${String(1000 + i).slice(-4)}`;
+  if (field.secret) return `Passw0rd${i + 1}`;
+  if (/状态/.test(label)) return SAMPLE_STATUSES[i % SAMPLE_STATUSES.length];
+  if (/姓名|负责人|作者|客户|操作人|申请人|审批人|创建人|联系人/.test(label)) return SAMPLE_NAMES[i % SAMPLE_NAMES.length];
+  if (/优先级|等级/.test(label)) return ['高', '中', '低'][i % 3];
+  if (/性别/.test(label)) return ['男', '女'][i % 2];
+  if (/订单号|流水号|编号|编码/.test(label)) return `NO${20240000 + i + 1}`;
+  return `${label}${i + 1}`;
+}
+
+/**
+ * 生成资源的示例数据行
+ */
+function sampleRows(resource, count = 12) {
+  return Array.from({ length: count }, (_, i) => {
+    const row = { id: i + 1 };
+    resource.fields.forEach(field => { row[field.key] = sampleValue(field, i); });
+    return row;
+  });
+}
+
+// ==================== SQL DDL ====================
+
+const DIALECTS = ['sqlite', 'mysql', 'postgres'];
+
+function quoteIdentifier(name, dialect) {
+  return dialect === 'mysql' ? `\`${name}\`` : `"${name}"`;
+}
+
+function columnType(field, dialect) {
+  if (field.type === 'boolean') return { sqlite: 'INTEGER', mysql: 'TINYINT(1)', postgres: 'BOOLEAN' }[dialect];
+  if (field.type === 'integer') return dialect === 'sqlite' ? 'INTEGER' : 'BIGINT';
+  if (field.type === 'number') return dialect === 'postgres' ? 'NUMERIC(12, 2)' : 'DECIMAL(12, 2)';
+  if (field.type === 'text') return 'TEXT';
+  if (field.format === 'date') return 'DATE';
+  if (field.format === 'date-time') return { sqlite: 'DATETIME', mysql: 'DATETIME', postgres: 'TIMESTAMP' }[dialect];
+  return `VARCHAR(${field.maxLength || 255})`;
+}
+
+function escapeSql(text) {
+  return String(text).replace(/'/g, "''");
+}
+
+/**
+ * 生成建表语句
+ * @param {Array} resources
+ * @param {string} dialect - sqlite | mysql | postgres
+ */
+function generateSqlDdl(resources, dialect = 'sqlite') {
+  if (!DIALECTS.includes(dialect)) throw new Error(`不支持的SQL方言: ${dialect}，可选 ${DIALECTS.join(', ')}`);
+  const q = name => quoteIdentifier(name, dialect);
+  const idColumn = {
+    sqlite: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    mysql: 'BIGINT PRIMARY KEY AUTO_INCREMENT',
+    postgres: 'BIGSERIAL PRIMARY KEY'
+  }[dialect];
+  const timestamp = dialect === 'postgres' ? 'TIMESTAMP' : 'DATETIME';
+  // MySQL 的 CREATE INDEX 不支持 IF NOT EXISTS
+  const indexGuard = dialect === 'mysql' ? '' : ' IF NOT EXISTS';
+
+  const statements = resources.map(resource => {
+    const columns = [`  ${q('id')} ${idColumn}`];
+    resource.fields.forEach(field => {
+      const comment = dialect === 'mysql' ? ` COMMENT '${escapeSql(field.label)}'` : '';
+      columns.push(`  ${q(field.column)} ${columnType(field, dialect)}${field.required ? ' NOT NULL' : ''}${comment}`);
+    });
+    columns.push(`  ${q('created_at')} ${timestamp} NOT NULL DEFAULT CURRENT_TIMESTAMP`);
+    columns.push(`  ${q('updated_at')} ${timestamp} NOT NULL DEFAULT CURRENT_TIMESTAMP`);
+
+    const header = [
+      `-- ${resource.name}`,
+      resource.dataGroups.length > 0 ? `-- 数据组: ${resource.dataGroups.join('、')}` : null,
+      resource.processes.length > 0 ? `-- 功能过程: ${resource.processes.map(p => `${p.name}(${p.movements.join('/')})`).join('、')}` : null
+    ].filter(Boolean).join('\n');
+    const tail = dialect === 'mysql' ? ` ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='${escapeSql(resource.name)}'` : '';
+    const lines = [`${header}\nCREATE TABLE IF NOT EXISTS ${q(resource.table)} (\n${columns.join(',\n')}\n)${tail};`];
+
+    resource.fields.filter(field => field.reference).forEach(field => {
+      lines.push(`CREATE INDEX${indexGuard} ${q(`idx_${resource.table}_${field.column}`)} ON ${q(resource.table)} (${q(field.column)});`);
+    });
+    if (dialect === 'postgres') {
+      lines.push(`COMMENT ON TABLE ${q(resource.table)} IS '${escapeSql(resource.name)}';`);
+      resource.fields.forEach(field => lines.push(`COMMENT ON COLUMN ${q(resource.table)}.${q(field.column)} IS '${escapeSql(field.label)}';`));
+    }
+    return lines.join('\n');
+  });
+
+  return `-- 由智器云根据 COSMIC 数据组生成（${dialect}）\n\n${statements.join('\n\n')}\n`;
+}
+
+// ==================== OpenAPI ====================
+
+function fieldSchema(field) {
+  const schema = { type: field.type === 'text' ? 'string' : field.type, description: field.label };
+  if (field.format) schema.format = field.format;
+  if (field.maxLength) schema.maxLength = field.maxLength;
+  if (field.pattern) schema.pattern = field.pattern;
+  if (field.secret) schema.writeOnly = true;
+  return schema;
+}
+
+/**
+ * 生成 OpenAPI 3.0 文档
+ */
+function generateOpenApi(resources, { title = '智器云生成后端', serverUrl = 'http://localhost:3001/api' } = {}) {
+  const schemas = {
+    ValidationError: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' },
+        details: {
+          type: 'array',
+          items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+        }
+      }
+    },
+    Error: { type: 'object', properties: { error: { type: 'string' } } }
+  };
+  const paths = {};
+  const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'integer' } };
+  const ref = name => ({ $ref: `#/components/schemas/${name}` });
+  const json = schema => ({ 'application/json': { schema } });
+
+  resources.forEach(resource => {
+    const input = {
+      type: 'object',
+      description: resource.name,
+      required: resource.fields.filter(field => field.required).map(field => field.key),
+      properties: Object.fromEntries(resource.fields.map(field => [field.key, fieldSchema(field)]))
+    };
+    if (input.required.length === 0) delete input.required;
+    schemas[`${resource.component}Input`] = input;
+    schemas[resource.component] = {
+      allOf: [
+        { type: 'object', properties: { id: { type: 'integer', readOnly: true } } },
+        ref(`${resource.component}Input`),
+        {
+          type: 'object',
+          properties: {
+            createdAt: { type: 'string', format: 'date-time', readOnly: true },
+            updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        }
+      ]
+    };
+
+    const tag = resource.name;
+    const cosmic = {
+      'x-cosmic-data-groups': resource.dataGroups,
+      'x-cosmic-processes': resource.processes.map(p => p.name)
+    };
+    paths[`/${resource.slug}`] = {
+      get: {
+        tags: [tag],
+        summary: `查询${resource.name}列表`,
+        operationId: `list${resource.component}`,
+        parameters: [
+          { name: 'keyword', in: 'query', schema: { type: 'string' }, description: '在文本字段中模糊搜索' },
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } }
+        ],
+        responses: {
+          200: {
+            description: '分页结果',
+            content: json({ type: 'object', properties: { items: { type: 'array', items: ref(resource.component) }, total: { type: 'integer' } } })
+          }
+        },
+        ...cosmic
+      },
+      post: {
+        tags: [tag],
+        summary: `新增${resource.name}`,
+        operationId: `create${resource.component}`,
+        requestBody: { required: true, content: json(ref(`${resource.component}Input`)) },
+        responses: {
+          201: { description: '已创建', content: json(ref(resource.component)) },
+          400: { description: '参数校验失败', content: json(ref('ValidationError')) }
+        },
+        ...cosmic
+      }
+    };
+    paths[`/${resource.slug}/{id}`] = {
+      parameters: [idParam],
+      get: {
+        tags: [tag],
+        summary: `获取${resource.name}详情`,
+        operationId: `get${resource.component}`,
+        responses: {
+          200: { description: '详情', content: json(ref(resource.component)) },
+          404: { description: '记录不存在', content: json(ref('Error')) }
+        },
+        ...cosmic
+      },
+      put: {
+        tags: [tag],
+        summary: `修改${resource.name}`,
+        operationId: `update${resource.component}`,
+        requestBody: { required: true, content: json(ref(`${resource.component}Input`)) },
+        responses: {
+          200: { description: '修改后的记录', content: json(ref(resource.component)) },
+          400: { description: '参数校验失败', content: json(ref('ValidationError')) },
+          404: { description: '记录不存在', content: json(ref('Error')) }
+        },
+        ...cosmic
+      },
+      delete: {
+        tags: [tag],
+        summary: `删除${resource.name}`,
+        operationId: `delete${resource.component}`,
+        responses: {
+          204: { description: '已删除' },
+          404: { description: '记录不存在', content: json(ref('Error')) }
+        },
+        ...cosmic
+      }
+    };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version: '0.1.0', description: '根据 COSMIC 拆分表中的持久数据组（R/W 数据移动）生成' },
+    servers: [{ url: serverUrl }],
+    tags: resources.map(resource => ({ name: resource.name, description: resource.dataGroups.join('、') || resource.label })),
+    paths,
+    components: { schemas }
+  };
+}
+
+// ==================== Express 后端 ====================
+
+const BACKEND_VERSIONS = {
+  express: '^4.18.2',
+  cors: '^2.8.5',
+  'better-sqlite3': '^9.4.3'
+};
+
+const CRUD_ROUTER = `/**
+ * 通用增删改查路由：字段元数据来自 resources.js，每个资源一个实例
+ */
+
+const express = require('express');
+const { validate } = require('./validation');
+const { hashPassword } = require('./password');
+
+function toRecord(resource, row) {
+  if (!row) return null;
+  const record = { id: row.id };
+  resource.fields.forEach(field => {
+    if (field.secret) return;
+    const value = row[field.column];
+    record[field.key] = field.type === 'boolean' && value !== null ? Boolean(value) : value;
+  });
+  record.createdAt = row.created_at;
+  record.updatedAt = row.updated_at;
+  return record;
+}
+
+// 密码等敏感字段只保存哈希，读取接口不返回（见 toRecord）
+function toColumns(resource, data) {
+  const columns = {};
+  resource.fields.forEach(field => {
+    if (data[field.key] === undefined) return;
+    const value = data[field.key];
+    if (field.secret) columns[field.column] = value === null ? null : hashPassword(String(value));
+    else columns[field.column] = field.type === 'boolean' && value !== null ? Number(value) : value;
+  });
+  return columns;
+}
+
+function createCrudRouter(resource, db) {
+  const router = express.Router();
+  const table = \`"\${resource.table}"\`;
+  const searchColumns = resource.fields
+    .filter(field => (field.type === 'string' || field.type === 'text') && !field.secret && !field.format)
+    .map(field => field.column);
+
+  router.get('/', (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 10));
+    const keyword = String(req.query.keyword || '').trim();
+    const where = keyword && searchColumns.length > 0
+      ? \`WHERE \${searchColumns.map(column => \`"\${column}" LIKE @keyword\`).join(' OR ')}\`
+      : '';
+    const params = { keyword: \`%\${keyword}%\`, limit: pageSize, offset: (page - 1) * pageSize };
+    const total = db.prepare(\`SELECT COUNT(*) AS count FROM \${table} \${where}\`).get(params).count;
+    const rows = db.prepare(\`SELECT * FROM \${table} \${where} ORDER BY id DESC LIMIT @limit OFFSET @offset\`).all(params);
+    res.json({ items: rows.map(row => toRecord(resource, row)), total });
+  });
+
+  router.get('/:id', (req, res) => {
+    const row = db.prepare(\`SELECT * FROM \${table} WHERE id = ?\`).get(req.params.id);
+    if (!row) return res.status(404).json({ error: '记录不存在' });
+    res.json(toRecord(resource, row));
+  });
+
+  router.post('/', (req, res) => {
+    const { errors, data } = validate(resource.fields, req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: '参数校验失败', details: errors });
+    const columns = toColumns(resource, data);
+    const names = Object.keys(columns);
+    const sql = names.length > 0
+      ? \`INSERT INTO \${table} (\${names.map(name => \`"\${name}"\`).join(', ')}) VALUES (\${names.map(name => \`@\${name}\`).join(', ')})\`
+      : \`INSERT INTO \${table} DEFAULT VALUES\`;
+    const { lastInsertRowid } = db.prepare(sql).run(columns);
+    res.status(201).json(toRecord(resource, db.prepare(\`SELECT * FROM \${table} WHERE id = ?\`).get(lastInsertRowid)));
+  });
+
+  router.put('/:id', (req, res) => {
+    const existing = db.prepare(\`SELECT * FROM \${table} WHERE id = ?\`).get(req.params.id);
+    if (!existing) return res.status(404).json({ error: '记录不存在' });
+    const { errors, data } = validate(resource.fields, req.body || {}, { partial: true });
+    if (errors.length > 0) return res.status(400).json({ error: '参数校验失败', details: errors });
+    const columns = toColumns(resource, data);
+    const assignments = Object.keys(columns).map(name => \`"\${name}" = @\${name}\`);
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+    db.prepare(\`UPDATE \${table} SET \${assignments.join(', ')} WHERE id = @id\`).run({ ...columns, id: existing.id });
+    res.json(toRecord(resource, db.prepare(\`SELECT * FROM \${table} WHERE id = ?\`).get(existing.id)));
+  });
+
+  router.delete('/:id', (req, res) => {
+    const { changes } = db.prepare(\`DELETE FROM \${table} WHERE id = ?\`).run(req.params.id);
+    if (changes === 0) return res.status(404).json({ error: '记录不存在' });
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createCrudRouter };
+`;
+
+const VALIDATION = `/**
+ * 请求体校验：按字段元数据检查必填、类型、长度和格式，并把字符串转换为对应类型
+ */
+
+const EMAIL_PATTERN = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
+
+function checkField(field, value) {
+  switch (field.type) {
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number)) return { message: \`\${field.label}必须是整数\` };
+      return { value: number };
+    }
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return { message: \`\${field.label}必须是数字\` };
+      return { value: number };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (['true', '1', 1, '是'].includes(value)) return { value: true };
+      if (['false', '0', 0, '否'].includes(value)) return { value: false };
+      return { message: \`\${field.label}必须是布尔值\` };
+    }
+    default: {
+      const text = String(value).trim();
+      if (field.maxLength && text.length > field.maxLength) return { message: \`\${field.label}不能超过\${field.maxLength}个字符\` };
+      if (field.format === 'email' && !EMAIL_PATTERN.test(text)) return { message: \`\${field.label}格式不正确\` };
+      if ((field.format === 'date' || field.format === 'date-time') && Number.isNaN(Date.parse(text))) return { message: \`\${field.label}不是有效的日期\` };
+      if (field.pattern && !new RegExp(field.pattern).test(text)) return { message: \`\${field.label}格式不正确\` };
+      return { value: text };
+    }
+  }
+}
+
+/**
+ * @param {Array} fields - 字段元数据
+ * @param {Object} body - 请求体
+ * @param {Object} options - { partial: 修改时只校验提交的字段 }
+ * @returns {{errors: Array<{field, message}>, data: Object}}
+ */
+function validate(fields, body, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+  fields.forEach(field => {
+    const value = body[field.key];
+    const empty = value === undefined || value === null || value === '';
+    if (empty) {
+      if (field.required && (!partial || value !== undefined)) errors.push({ field: field.key, message: \`\${field.label}不能为空\` });
+      else if (value !== undefined) data[field.key] = null;
+      return;
+    }
+    const result = checkField(field, value);
+    if (result.message) errors.push({ field: field.key, message: result.message });
+    else data[field.key] = result.value;
+  });
+  return { errors, data };
+}
+
+module.exports = { validate };
+`;
+
+const PASSWORD = `/**
+ * 密码哈希：scrypt + 随机盐，保存格式 scrypt$盐$哈希
+ * 登录等自定义接口用 verifyPassword 校验明文密码
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return \`scrypt$\${salt}$\${hash}\`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
+`;
+
+const DATABASE = `/**
+ * SQLite 数据库：启动时执行 schema.sql，空表写入 seed.json 中的示例数据（密码字段哈希后写入）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { resources } = require('./resources');
+const { hashPassword } = require('./password');
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, '..', 'data', 'app.db');
+
+function openDatabase() {
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+  const db = new Database(DB_FILE);
+  db.pragma('journal_mode = WAL');
+  db.exec(fs.readFileSync(path.join(__dirname, '..', 'schema.sql'), 'utf-8'));
+
+  const seed = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'seed.json'), 'utf-8'));
+  Object.values(resources).forEach(resource => {
+    const table = \`"\${resource.table}"\`;
+    if (db.prepare(\`SELECT COUNT(*) AS count FROM \${table}\`).get().count > 0) return;
+    const columns = resource.fields.map(field => field.column);
+    const insert = db.prepare(\`INSERT INTO \${table} (\${columns.map(c => \`"\${c}"\`).join(', ')}) VALUES (\${columns.map(c => \`@\${c}\`).join(', ')})\`);
+    db.transaction(rows => rows.forEach(row => {
+      const values = {};
+      resource.fields.forEach(field => {
+        const value = row[field.key] === undefined ? null : row[field.key];
+        if (field.secret) values[field.column] = value === null ? null : hashPassword(String(value));
+        else values[field.column] = typeof value === 'boolean' ? Number(value) : value;
+      });
+      insert.run(values);
+    }))(seed[resource.slug] || []);
+  });
+
+  return db;
+}
+
+module.exports = { openDatabase };
+`;
+
+/**
+ * 生成 Express 后端的全部文件（路径相对于后端根目录）
+ * @param {Array} resources - extractResources / resourcesFromEntities 的结果
+ * @param {Object} options - { name, title, port }
+ * @returns {Object<string, string>}
+ */
+function generateExpressBackend(resources, { name = 'generated-app', title = '智器云生成后端', port = 3001 } = {}) {
+  const metadata = Object.fromEntries(resources.map(resource => [resource.slug, {
+    name: resource.name,
+    slug: resource.slug,
+    table: resource.table,
+    dataGroups: resource.dataGroups,
+    processes: resource.processes.map(p => p.name),
+    fields: resource.fields.map(({ key, column, label, type, required, maxLength, format, pattern, secret, reference }) =>
+      Object.fromEntries(Object.entries({ key, column, label, type, required, maxLength, format, pattern, secret, reference }).filter(([, v]) => v !== undefined)))
+  }]));
+
+  const files = {
+    'package.json': JSON.stringify({
+      name: `${name}-server`,
+      private: true,
+      version: '0.1.0',
+      main: 'src/index.js',
+      scripts: {
+        start: 'node src/index.js',
+        dev: 'node --watch src/index.js'
+      },
+      dependencies: BACKEND_VERSIONS
+    }, null, 2) + '\n',
+    'schema.sql': generateSqlDdl(resources, 'sqlite'),
+    'schema.mysql.sql': generateSqlDdl(resources, 'mysql'),
+    'schema.postgres.sql': generateSqlDdl(resources, 'postgres'),
+    'openapi.json': JSON.stringify(generateOpenApi(resources, { title, serverUrl: `http://localhost:${port}/api` }), null, 2) + '\n',
+    'seed.json': JSON.stringify(Object.fromEntries(resources.map(resource => [resource.slug, sampleRows(resource)])), null, 2) + '\n',
+    'src/resources.js': `/**\n * 资源定义：由 COSMIC 持久数据组生成，字段元数据同时用于建表、校验和接口文档\n */\n\nconst resources = ${JSON.stringify(metadata, null, 2)};\n\nmodule.exports = { resources };\n`,
+    'src/validation.js': VALIDATION,
+    'src/password.js': PASSWORD,
+    'src/crud.js': CRUD_ROUTER,
+    'src/db.js': DATABASE,
+    'src/index.js': `const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { openDatabase } = require('./db');
+
+const app = express();
+const PORT = process.env.PORT || ${port};
+const db = openDatabase();
+
+app.use(cors());
+app.use(express.json());
+
+${resources.map(resource => `app.use('/api/${resource.slug}', require('./routes/${resource.slug}')(db));`).join('\n')}
+
+app.get('/api/openapi.json', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'openapi.json'));
+});
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', resources: [${resources.map(resource => `'${resource.slug}'`).join(', ')}] });
+});
+
+app.use((error, req, res, next) => {
+  console.error(error);
+  res.status(error.status || 500).json({ error: error.message });
+});
+
+app.listen(PORT, () => {
+  console.log(\`${title} 运行在 http://localhost:\${PORT}\`);
+});
+`
+  };
+
+  resources.forEach(resource => {
+    const processes = resource.processes.map(p => `${p.name}(${p.movements.join('/')})`).join('、');
+    files[`src/routes/${resource.slug}.js`] = `const { createCrudRouter } = require('../crud');
+const { resources } = require('../resources');
+
+// ${resource.name}${resource.dataGroups.length > 0 ? `：数据组 ${resource.dataGroups.join('、')}` : ''}
+${processes ? `// 功能过程：${processes}\n` : ''}// 需要自定义接口时在返回的 router 上继续注册
+module.exports = db => createCrudRouter(resources.${resource.slug}, db);
+`;
+  });
+
+  files['README.md'] = `# ${title}
+
+根据 COSMIC 拆分表中的持久数据组生成的 Express + SQLite 后端。
+
+## 启动
+
+\`\`\`bash
+npm install
+npm start
+\`\`\`
+
+默认端口 ${port}（环境变量 \`PORT\`），数据库文件 \`data/app.db\`（环境变量 \`DB_FILE\`）。首次启动执行 \`schema.sql\` 建表并写入 \`seed.json\` 示例数据。
+
+## 资源
+
+| 资源 | 接口 | 数据组 | 功能过程 |
+|------|------|--------|----------|
+${resources.map(resource => `| ${resource.name} | \`/api/${resource.slug}\` | ${resource.dataGroups.join('、') || '-'} | ${resource.processes.map(p => p.name).join('、') || '-'} |`).join('\n')}
+
+每个资源提供：
+
+- \`GET /api/{resource}?keyword=&page=&pageSize=\` 返回 \`{ items, total }\`
+- \`GET /api/{resource}/:id\`
+- \`POST /api/{resource}\`（校验失败返回 400 与 \`details\`）
+- \`PUT /api/{resource}/:id\`（只校验提交的字段）
+- \`DELETE /api/{resource}/:id\`
+
+密码类字段写入时使用 scrypt 加盐哈希保存，查询接口不返回；自定义登录接口可用 \`src/password.js\` 的 \`verifyPassword\` 校验。
+
+接口文档见 \`openapi.json\`（运行时 \`/api/openapi.json\`）。\`schema.mysql.sql\`、\`schema.postgres.sql\` 为其他数据库的建表语句。
+`;
+
+  return files;
+}
+
+/**
+ * 生成供代码生成提示词使用的接口说明
+ */
+function describeApiForPrompt(resources, baseUrl = '/api') {
+  return resources.map(resource => {
+    const fields = resource.fields.map(field => `${field.key}(${field.label}${field.required ? '，必填' : ''})`).join(', ');
+    return `- ${resource.name}: GET ${baseUrl}/${resource.slug}?keyword=&page=&pageSize= 返回 { items, total }；GET/PUT/DELETE ${baseUrl}/${resource.slug}/:id；POST ${baseUrl}/${resource.slug}\n  字段: id, ${fields}`;
+  }).join('\n');
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  extractResources,
+  resourcesFromEntities,
+  sampleRows,
+  generateSqlDdl,
+  generateOpenApi,
+  generateExpressBackend,
+  describeApiForPrompt,
+  resourceSlug,
+  fieldKey,
+  DIALECTS
+};
@@ -271,7 +271,7 @@ async function* chat(client, sessionId, userMessage, options = {}) {
   try {
     // 调用AI
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+      task: 'chat',
       messages,
       temperature,
       max_tokens: maxTokens,
@@ -329,7 +329,7 @@ async function quickAsk(client, question, systemPrompt = null) {
   ];
 
   const response = await client.chat.completions.create({
-    model: process.env.OPENAI_MODEL || 'gpt-4',
+    task: 'chat',
     messages,
     temperature: 0.7,
     max_tokens: 2000
@@ -0,0 +1,348 @@
+/**
+ * 对话会话存储模块
+ * 基于文件系统持久化对话智能体的会话与消息，服务重启后历史会话仍可浏览、搜索和导出
+ *
+ * 目录结构：
+ *   chats/<sessionId>.json   会话元数据 + 完整消息列表
+ *
+ * 会话在首次访问时一次性读入内存索引，列表和搜索只查内存；修改后异步写盘（同一会话的写入合并、按序执行）
+ * 会话标题默认取第一条用户消息，手动重命名后不再自动更新
+ * 不依赖数据库和网络，离线可用
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TITLE_MAX_LENGTH = 30;
+const SNIPPET_RADIUS = 40;
+
+// 会话修改后延迟写盘的时间，期间的多次修改合并为一次写入
+const WRITE_DELAY = 200;
+
+function autoTitle(content) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  if (!text) return '新对话';
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH)}…` : text;
+}
+
+function toIso(timestamp) {
+  const date = timestamp ? new Date(timestamp) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// 截取命中词附近的片段
+function snippetAround(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+// 早期消息没有 agent 字段，沿用会话的智能体
+function messageAgent(session, message) {
+  return message.agent || session.agent;
+}
+
+function hasAgent(session, agent) {
+  return session.agent === agent || session.messages.some(m => messageAgent(session, m) === agent);
+}
+
+/**
+ * 会话中属于指定智能体的消息
+ */
+function messagesOf(session, agent) {
+  return (session?.messages || []).filter(m => messageAgent(session, m) === agent);
+}
+
+class ChatStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    if (!fs.existsSync(baseDir)) {
+      fs.mkdirSync(baseDir, { recursive: true });
+    }
+    // sessionId -> 会话（首次访问时加载）
+    this.sessions = null;
+    // sessionId -> { timer, writing }
+    this.writes = new Map();
+  }
+
+  // ==================== 路径与读写 ====================
+
+  sessionPath(sessionId) {
+    // 会话ID由前端生成，只允许字母数字、下划线和短横线，防止路径穿越
+    if (!/^[\w-]{1,100}$/.test(sessionId || '')) {
+      throw new Error(`无效的会话ID: ${sessionId}`);
+    }
+    return path.join(this.baseDir, `${sessionId}.json`);
+  }
+
+  /**
+   * 内存索引：启动后第一次访问时读取全部会话文件，之后不再读盘
+   */
+  index() {
+    if (this.sessions) return this.sessions;
+    this.sessions = new Map();
+    fs.readdirSync(this.baseDir)
+      .filter(name => name.endsWith('.json'))
+      .forEach(name => {
+        try {
+          const session = JSON.parse(fs.readFileSync(path.join(this.baseDir, name), 'utf-8'));
+          if (session && session.id) this.sessions.set(session.id, session);
+        } catch (e) {
+          console.error(`读取会话 ${name} 失败:`, e.message);
+        }
+      });
+    return this.sessions;
+  }
+
+  writeState(sessionId) {
+    if (!this.writes.has(sessionId)) {
+      this.writes.set(sessionId, { timer: null, writing: Promise.resolve() });
+    }
+    return this.writes.get(sessionId);
+  }
+
+  // 把操作排到该会话的写盘队列末尾，保证同一会话的写入和删除按序执行
+  enqueue(sessionId, operation) {
+    const state = this.writeState(sessionId);
+    state.writing = state.writing
+      .then(operation)
+      .catch(e => console.error(`保存会话 ${sessionId} 失败:`, e.message));
+    return state.writing;
+  }
+
+  // 写入当前内存中的会话：先写临时文件再重命名，避免写入中断导致文件损坏
+  async writeSession(sessionId) {
+    const session = this.index().get(sessionId);
+    if (!session) return;
+    const filePath = this.sessionPath(sessionId);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(session, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * 安排异步写盘，WRITE_DELAY 内的多次修改只写一次
+   */
+  scheduleWrite(sessionId) {
+    const state = this.writeState(sessionId);
+    if (state.timer) return;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.enqueue(sessionId, () => this.writeSession(sessionId));
+    }, WRITE_DELAY);
+  }
+
+  /**
+   * 立即写出所有待保存的会话（测试和退出前调用）
+   */
+  async flush() {
+    const pending = Array.from(this.writes.entries()).map(([sessionId, state]) => {
+      if (state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+        this.enqueue(sessionId, () => this.writeSession(sessionId));
+      }
+      return state.writing;
+    });
+    await Promise.all(pending);
+  }
+
+  exists(sessionId) {
+    return this.index().has(sessionId);
+  }
+
+  readAll() {
+    return Array.from(this.index().values());
+  }
+
+  // ==================== 会话 ====================
+
+  summarize(session) {
+    const lastMessage = session.messages[session.messages.length - 1];
+    return {
+      id: session.id,
+      title: session.title,
+      agent: session.agent,
+      role: session.role,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      messageCount: session.messages.length,
+      preview: lastMessage ? autoTitle(lastMessage.content) : ''
+    };
+  }
+
+  /**
+   * 会话列表（按最近活跃排序）
+   * @param {Object} options - { agent: 只列出某个智能体的会话, query: 按标题和消息内容过滤 }
+   */
+  listSessions({ agent, query } = {}) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return this.readAll()
+      .filter(session => !agent || hasAgent(session, agent))
+      .filter(session => {
+        if (terms.length === 0) return true;
+        const text = [session.title, ...session.messages.map(m => m.content)].join('\n').toLowerCase();
+        return terms.every(term => text.includes(term));
+      })
+      .map(session => this.summarize(session))
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  getSession(sessionId) {
+    return this.index().get(sessionId) || null;
+  }
+
+  /**
+   * 获取会话，不存在时创建
+   * @param {Object} options - { agent: 'selfAI' | 'docqa', role }
+   */
+  ensureSession(sessionId, { agent = 'selfAI', role = 'default' } = {}) {
+    const existing = this.getSession(sessionId);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const session = {
+      id: sessionId,
+      title: '新对话',
+      titleEdited: false,
+      agent,
+      role,
+      createdAt: now,
+      updatedAt: now,
+      messages: []
+    };
+    this.sessionPath(sessionId); // 校验会话ID
+    this.index().set(sessionId, session);
+    this.scheduleWrite(sessionId);
+    return session;
+  }
+
+  /**
+   * 追加消息；会话不存在时自动创建
+   * @param {Object} message - { role, content, timestamp }
+   * @param {Object} options - { agent: 消息来源智能体, role }
+   */
+  appendMessage(sessionId, message, options = {}) {
+    const session = this.ensureSession(sessionId, options);
+    // 同一会话中可能混有多个智能体（如智器云助手与文档问答）的消息，按消息标记来源
+    session.messages.push({
+      role: message.role,
+      content: String(message.content ?? ''),
+      timestamp: toIso(message.timestamp),
+      agent: options.agent || session.agent
+    });
+    if (!session.titleEdited && message.role === 'user' && session.messages.filter(m => m.role === 'user').length === 1) {
+      session.title = autoTitle(message.content);
+    }
+    if (options.role) session.role = options.role;
+    session.updatedAt = new Date().toISOString();
+    this.scheduleWrite(sessionId);
+    return session;
+  }
+
+  renameSession(sessionId, title) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+    session.title = String(title || '').trim() || autoTitle(session.messages.find(m => m.role === 'user')?.content);
+    session.titleEdited = !!String(title || '').trim();
+    session.updatedAt = new Date().toISOString();
+    this.scheduleWrite(sessionId);
+    return this.summarize(session);
+  }
+
+  clearMessages(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+    session.messages = [];
+    session.updatedAt = new Date().toISOString();
+    this.scheduleWrite(sessionId);
+    return session;
+  }
+
+  deleteSession(sessionId) {
+    if (!this.exists(sessionId)) return false;
+    const filePath = this.sessionPath(sessionId);
+    this.index().delete(sessionId);
+    const state = this.writeState(sessionId);
+    clearTimeout(state.timer);
+    state.timer = null;
+    // 排在进行中的写入之后删除文件，避免删除后又被写回
+    this.enqueue(sessionId, () => fs.promises.rm(filePath, { force: true }));
+    return true;
+  }
+
+  // ==================== 搜索 ====================
+
+  /**
+   * 全文搜索所有会话的消息（不区分大小写，多个词需同时出现在同一条消息中）
+   * @returns {Array<{sessionId, title, messageIndex, role, timestamp, snippet}>}
+   */
+  search(query, { agent, limit = 50 } = {}) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    this.readAll()
+      .filter(session => !agent || hasAgent(session, agent))
+      .forEach(session => {
+        session.messages.forEach((message, messageIndex) => {
+          if (agent && messageAgent(session, message) !== agent) return;
+          const lower = message.content.toLowerCase();
+          if (!terms.every(term => lower.includes(term))) return;
+          results.push({
+            sessionId: session.id,
+            title: session.title,
+            messageIndex,
+            role: message.role,
+            timestamp: message.timestamp,
+            snippet: snippetAround(message.content, lower.indexOf(terms[0]), terms[0].length)
+          });
+        });
+      });
+
+    return results
+      .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+      .slice(0, limit);
+  }
+
+  // ==================== 导出 ====================
+
+  /**
+   * 导出会话
+   * @param {string} format - 'markdown' | 'json'
+   * @returns {{filename: string, mimeType: string, content: string}|null}
+   */
+  exportSession(sessionId, format = 'markdown') {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    if (format === 'json') {
+      const { titleEdited, ...data } = session;
+      return {
+        filename: `${session.title}.json`,
+        mimeType: 'application/json; charset=utf-8',
+        content: JSON.stringify(data, null, 2)
+      };
+    }
+
+    const lines = [
+      `# ${session.title}`,
+      '',
+      `- 会话ID: ${session.id}`,
+      `- 创建时间: ${new Date(session.createdAt).toLocaleString('zh-CN')}`,
+      `- 消息数: ${session.messages.length}`,
+      ''
+    ];
+    session.messages.forEach(message => {
+      const speaker = message.role === 'user' ? '👤 用户' : messageAgent(session, message) === 'docqa' ? '📚 文档问答' : '🤖 助手';
+      lines.push(`## ${speaker} · ${new Date(message.timestamp).toLocaleString('zh-CN')}`, '', message.content, '');
+    });
+    return {
+      filename: `${session.title}.md`,
+      mimeType: 'text/markdown; charset=utf-8',
+      content: lines.join('\n')
+    };
+  }
+}
+
+module.exports = { ChatStore, messagesOf };
@@ -2,10 +2,16 @@
  * 编程智能体 - 代码生成服务
  * 根据需求描述或文档内容，智能生成前端代码
  * 
- * 核心策略：大纲驱动 + 10步分模块生成 + 智能整合
+ * 核心策略：大纲驱动 + 10步分模块生成 + 智能整合 + 静态检查与定向修复
  * 支持：HTML模板上传、参考代码读取
  */
 
+// 导入代码静态检查模块 - 语法、标签、未定义标识符、重复ID、缺失处理函数
+const {
+  STEP_MODULES, verifyGeneratedCode, verifyHtmlModules,
+  countSyntaxIssues, looksLikeHtmlDocument, formatIssuesForPrompt
+} = require('./codeVerifier');
+
 // ==================== 配置 ====================
 const GENERATION_CONFIG = {
   // 大纲驱动的分步生成配置
@@ -40,6 +46,12 @@ const GENERATION_CONFIG = {
   api: {
     maxTokens: 16000,
     temperature: 0.7
+  },
+
+  // 静态检查与自动修复：每轮只重新生成检查出问题的模块
+  verification: {
+    enabled: true,
+    maxFixRounds: 2
   }
 };
 
@@ -191,11 +203,23 @@ async function generateCode(client, requirement, documentContent, options, chatH
   };
 }
 
+/**
+ * 构建后端接口说明（包含后端时由 COSMIC 持久数据组生成，见 backendGenerator.describeApiForPrompt）
+ */
+function buildBackendApiSection(backendApi) {
+  if (!backendApi) return '';
+  return `## 后端接口（必须使用）
+页面数据全部通过 fetch 调用以下 REST 接口读取和提交，不要写死示例数据数组；列表接口返回 { items, total }，需要处理加载中、请求失败和空列表状态：
+${backendApi}
+
+`;
+}
+
 /**
  * 构建增强提示词
  */
 function buildEnhancedPrompt(requirement, documentContent, options, chatHistory) {
-  const { projectType, uiFramework, includeBackend } = options;
+  const { projectType, uiFramework, includeBackend, backendApi } = options;
 
   let prompt = `## 用户需求\n${requirement || '根据文档内容生成相应的前端界面'}\n\n`;
 
@@ -208,9 +232,9 @@ function buildEnhancedPrompt(requirement, documentContent, options, chatHistory)
   prompt += `## 项目配置
 - **项目类型**: ${projectType === 'react' ? 'React (函数组件 + Hooks)' : projectType === 'vue' ? 'Vue 3 (组合式API)' : '原生 HTML/CSS/JavaScript'}
 - **UI框架**: ${getUIFrameworkDescription(uiFramework)}
-- **是否包含后端**: ${includeBackend ? '是，需要生成模拟API和数据处理逻辑' : '否，仅前端'}
+- **是否包含后端**: ${includeBackend ? '是，后端接口见下文' : '否，仅前端'}
 
-`;
+${buildBackendApiSection(backendApi)}`;
 
   // 根据项目类型添加特定要求
   if (projectType === 'react') {
@@ -820,7 +844,7 @@ async function multiRoundGenerate(client, requirement, documentContent, options,
     
     try {
       const response = await client.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'glm-4-flash',
+        task: 'code',
         messages: [
           { role: 'system', content: getRoundSystemPrompt(round, focus, projectType) },
           { role: 'user', content: roundPrompt }
@@ -962,7 +986,7 @@ function getRoundSystemPrompt(round, focus, projectType) {
  * 构建每轮的提示词
  */
 function buildRoundPrompt(round, focus, requirement, documentContent, currentCode, options) {
-  const { projectType, uiFramework } = options;
+  const { projectType, uiFramework, backendApi } = options;
 
   if (round === 1) {
     // 第一轮：从需求开始 - 直接给出完整示例结构
@@ -970,7 +994,7 @@ function buildRoundPrompt(round, focus, requirement, documentContent, currentCod
 ${requirement || '创建一个现代化的管理系统界面'}
 
 ${documentContent ? `## 参考文档\n${documentContent.slice(0, 3000)}\n` : ''}
-
+${buildBackendApiSection(backendApi)}
 ## 任务
 生成一个完整的 React 组件。不要解释，直接输出代码。
 
@@ -1312,7 +1336,7 @@ ${currentCode.slice(0, 12000)}
 ## 原始需求
 ${requirement || '根据文档内容生成界面'}
 
-## 第${round}轮任务：${getFocusTaskDescription(focus)}
+${buildBackendApiSection(backendApi)}## 第${round}轮任务：${getFocusTaskDescription(focus)}
 
 请基于上面的代码，${getFocusInstruction(focus)}
 
@@ -1396,6 +1420,11 @@ function getFocusInstruction(focus) {
  * 智能合并代码
  */
 function mergeCode(existingCode, newCode, focus) {
+  // 新代码无法解析而现有代码可以时保留现有代码，避免被截断的输出覆盖可运行的版本
+  if (existingCode && countSyntaxIssues(newCode) > countSyntaxIssues(existingCode)) {
+    return existingCode;
+  }
+
   // 如果新代码包含完整的组件定义，直接使用新代码
   if (newCode.includes('function App()') && newCode.includes('export default')) {
     // 提取新代码中的 App 组件
@@ -1445,7 +1474,7 @@ async function streamMultiRoundGenerate(client, requirement, documentContent, op
     try {
       // 流式调用
       const stream = await client.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'glm-4-flash',
+        task: 'code',
         messages: [
           { role: 'system', content: getRoundSystemPrompt(round, focus, projectType) },
           { role: 'user', content: roundPrompt }
@@ -1511,6 +1540,9 @@ async function streamMultiRoundGenerate(client, requirement, documentContent, op
     }
   }
 
+  // 静态检查，多轮生成没有可单独重做的模块，有问题时整体修复
+  codeBlocks.verification = await verifyAndRepairCode(client, codeBlocks, res);
+
   // 构建最终代码
   codeBlocks.fullCode = buildFullReactCode(codeBlocks);
   
@@ -1671,6 +1703,7 @@ async function streamHtmlGenerate(client, requirement, documentContent, options,
   
   // 分析需求
   const analysis = analyzeRequirementForData(requirement, documentContent);
+  analysis.backendApi = options?.backendApi || '';
   console.log('📊 识别到的实体:', analysis.entities.map(e => e.name).join(', '));
   console.log('🔧 识别到的功能:', analysis.features.join(', '));
 
@@ -1774,6 +1807,9 @@ async function streamHtmlGenerate(client, requirement, documentContent, options,
     modules.fullCode = manualIntegrateModules(modules, analysis);
   }
 
+  // 静态检查，只重新生成出问题的模块
+  const verification = await verifyAndRepairModules(client, modules, analysis, res);
+
   const finalLineCount = modules.fullCode.split('\n').length;
   console.log(`\n✅ 代码生成完成，最终代码行数: ${finalLineCount}`);
 
@@ -1783,6 +1819,7 @@ async function streamHtmlGenerate(client, requirement, documentContent, options,
     javascript: '',
     react: '',
     fullCode: modules.fullCode,
+    verification,
     modules // 返回所有模块，便于调试
   };
 }
@@ -1797,11 +1834,13 @@ async function generateStepContent(client, stepId, requirement, documentContent,
   // 获取步骤专属的系统提示词和用户提示词
   const { system: systemPrompt, user: userPrompt } = getStepPrompts(stepId, requirement, documentContent, analysis, modules, uploadedHtml, entity, features);
 
-  const modelName = process.env.OPENAI_MODEL || 'deepseek-ai/DeepSeek-V3';
+  // 未单独配置 code 任务模型时沿用原有默认模型
+  const modelName = client.getTaskModel?.('code') || process.env.OPENAI_MODEL || 'deepseek-ai/DeepSeek-V3';
   console.log(`   🤖 调用模型: ${modelName}`);
 
   try {
     const stream = await client.chat.completions.create({
+      task: 'code',
       model: modelName,
       messages: [
         { role: 'system', content: systemPrompt },
@@ -2028,7 +2067,7 @@ ${modules.outline.slice(0, 1500)}
       user: `## 数据实体：${entity.name}
 ## 字段：${entity.fields.join('、')}
 
-## 任务：生成JavaScript数据层（200+行）
+${buildBackendApiSection(analysis.backendApi)}## 任务：生成JavaScript数据层（200+行）${analysis.backendApi ? '\n\n数据数组改为页面加载时从上述接口获取，addItem/updateItem/deleteItem 调用对应接口后刷新列表。' : ''}
 
 生成完整的数据层代码，包括：
 
@@ -2483,6 +2522,214 @@ function enhanceFinalCode(code, analysis) {
   return code;
 }
 
+// ==================== 静态检查与自动修复 ====================
+
+function stepDisplayName(stepId) {
+  const step = GENERATION_CONFIG.generationSteps.find(s => s.id === stepId);
+  return step ? step.name : '生成代码';
+}
+
+/**
+ * 按静态检查发现的问题修复单个模块
+ * 只把问题清单和该模块当前代码交给模型，要求输出修复后的完整模块
+ */
+async function repairStepContent(client, stepId, code, issues, res) {
+  const language = looksLikeHtmlDocument(code) || stepId === 'html_structure'
+    ? 'html'
+    : (STEP_MODULES[stepId] ? 'javascript' : 'jsx');
+
+  const systemPrompt = `你是一位顶级企业级前端架构师，负责修复静态检查发现的问题。只修改与问题相关的代码，其余代码保持原样，不要删减功能。只输出修复后的完整代码，用 \`\`\`${language} 包裹，不要任何解释。`;
+  const userPrompt = `【${stepDisplayName(stepId)}】静态检查发现以下问题：
+${formatIssuesForPrompt(issues, code)}
+
+修复要求：
+- JS/JSX语法错误：修正语法，补全被截断的代码
+- 标签未闭合：补全结束标签或删除多余的结束标签
+- 未定义的标识符：补充声明，或改用已存在的正确名称
+- 事件处理函数不存在：在本模块中实现该函数，并声明在全局作用域，供 onclick 等属性调用
+- 重复的ID：为重复的元素改用唯一ID，并同步修改引用它的代码
+
+当前代码：
+\`\`\`${language}
+${code}
+\`\`\``;
+
+  const stream = await client.chat.completions.create({
+    task: 'code',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ],
+    temperature: 0.3,
+    max_tokens: GENERATION_CONFIG.api.maxTokens,
+    stream: true
+  });
+
+  let response = '';
+  for await (const chunk of stream) {
+    const content = chunk.choices[0]?.delta?.content || '';
+    if (content) {
+      response += content;
+      res.write(`data: ${JSON.stringify({ 
+        content,
+        stepId,
+        phase: 'streaming'
+      })}\n\n`);
+    }
+  }
+
+  return extractCodeFromResponse(response, stepId);
+}
+
+/**
+ * 修复结果是否可采用：没有被明显截断，且问题确实减少
+ * @param {Function} countIssues 统计修复后代码的问题数
+ */
+function isRepairAccepted(original, repaired, issueCountBefore, countIssues) {
+  if (!repaired || repaired.length < original.length * 0.5) return false;
+  return countIssues(repaired) < issueCountBefore;
+}
+
+function sendVerificationResult(res, verification) {
+  const repairedCount = verification.repairedSteps.length;
+  const repairedText = repairedCount > 0 ? `，已自动修复 ${repairedCount} 个模块` : '';
+  const message = verification.passed
+    ? `✅ 静态检查通过${repairedText}`
+    : `⚠️ 静态检查发现 ${verification.issueCount} 个问题${repairedText}`;
+
+  console.log(`🔍 ${message}`);
+  res.write(`data: ${JSON.stringify({
+    phase: 'verification',
+    progress: 99,
+    verification,
+    message
+  })}\n\n`);
+}
+
+function buildVerification(report, fixes) {
+  return {
+    ...report,
+    fixes,
+    repairedSteps: [...new Set(fixes.filter(f => f.accepted).map(f => f.stepId))]
+  };
+}
+
+/**
+ * 10步生成的检查与定向修复
+ * 1. 检查整合后的完整页面
+ * 2. 有问题时按模块定位，只重新生成出问题的模块（无法定位时修复整合结果）
+ * 3. 重新整合并复查，最多 maxFixRounds 轮
+ */
+async function verifyAndRepairModules(client, modules, analysis, res) {
+  const { enabled, maxFixRounds } = GENERATION_CONFIG.verification;
+  if (!enabled) return null;
+
+  res.write(`data: ${JSON.stringify({
+    phase: 'verifying',
+    progress: 96,
+    message: '🔍 静态检查生成的代码...'
+  })}\n\n`);
+
+  let report = verifyGeneratedCode(modules.fullCode);
+  const fixes = [];
+
+  for (let round = 1; round <= maxFixRounds && !report.passed; round++) {
+    const { byStep } = verifyHtmlModules(modules);
+    const targets = Object.keys(byStep).length > 0 ? byStep : { integrate: report.issues };
+    const countIssues = (stepId, moduleKey) => code => (stepId === 'integrate'
+      ? verifyGeneratedCode(code).issueCount
+      : (verifyHtmlModules({ ...modules, [moduleKey]: code }).byStep[stepId] || []).length);
+    let changed = false;
+
+    for (const [stepId, issues] of Object.entries(targets)) {
+      const moduleKey = STEP_MODULES[stepId] || 'fullCode';
+      const stepName = stepDisplayName(stepId);
+      console.log(`🔧 修复 [${stepName}]：${issues.length} 个问题（第 ${round} 轮）`);
+      res.write(`data: ${JSON.stringify({
+        phase: 'fixing',
+        fixRound: round,
+        stepId,
+        issues,
+        progress: 97,
+        message: `🔧 修复${stepName}（${issues.length} 个问题）...`
+      })}\n\n`);
+
+      try {
+        const repaired = await repairStepContent(client, stepId, modules[moduleKey], issues, res);
+        const issueCountBefore = stepId === 'integrate' ? report.issueCount : issues.length;
+        const accepted = isRepairAccepted(modules[moduleKey], repaired, issueCountBefore, countIssues(stepId, moduleKey));
+        if (accepted) {
+          modules[moduleKey] = repaired;
+          changed = true;
+        }
+        fixes.push({ round, stepId, stepName, issueCount: issues.length, accepted });
+      } catch (error) {
+        console.error(`   ❌ 修复 [${stepName}] 失败:`, error.message);
+        fixes.push({ round, stepId, stepName, issueCount: issues.length, accepted: false, error: error.message });
+      }
+    }
+
+    if (!changed) break;
+
+    // 修复的是单个模块时重新整合，整合结果的问题不比原来多才采用
+    if (!targets.integrate) {
+      const integrated = manualIntegrateModules(modules, analysis);
+      const integratedReport = verifyGeneratedCode(integrated);
+      if (integratedReport.issueCount <= report.issueCount) {
+        modules.fullCode = integrated;
+        report = integratedReport;
+      }
+    } else {
+      report = verifyGeneratedCode(modules.fullCode);
+    }
+  }
+
+  const verification = buildVerification(report, fixes);
+  sendVerificationResult(res, verification);
+  return verification;
+}
+
+/**
+ * 多轮迭代生成（React/Vue）的检查与整体修复
+ */
+async function verifyAndRepairCode(client, codeBlocks, res) {
+  const { enabled, maxFixRounds } = GENERATION_CONFIG.verification;
+  if (!enabled) return null;
+
+  const key = codeBlocks.react ? 'react' : 'html';
+  const stepId = key === 'react' ? 'react' : 'integrate';
+  let report = verifyGeneratedCode(codeBlocks[key]);
+  const fixes = [];
+
+  for (let round = 1; round <= maxFixRounds && !report.passed && codeBlocks[key]; round++) {
+    res.write(`data: ${JSON.stringify({
+      phase: 'fixing',
+      fixRound: round,
+      stepId,
+      issues: report.issues,
+      progress: 95,
+      message: `🔧 修复代码（${report.issueCount} 个问题）...`
+    })}\n\n`);
+
+    try {
+      const repaired = await repairStepContent(client, stepId, codeBlocks[key], report.issues, res);
+      const accepted = isRepairAccepted(codeBlocks[key], repaired, report.issueCount, code => verifyGeneratedCode(code).issueCount);
+      fixes.push({ round, stepId, stepName: '完整代码', issueCount: report.issueCount, accepted });
+      if (!accepted) break;
+      codeBlocks[key] = repaired;
+      report = verifyGeneratedCode(repaired);
+    } catch (error) {
+      console.error('   ❌ 修复代码失败:', error.message);
+      fixes.push({ round, stepId, stepName: '完整代码', issueCount: report.issueCount, accepted: false, error: error.message });
+      break;
+    }
+  }
+
+  const verification = buildVerification(report, fixes);
+  sendVerificationResult(res, verification);
+  return verification;
+}
+
 /**
  * 获取专业阶段的系统提示词
  */
@@ -3076,6 +3323,11 @@ module.exports = {
   getStepPrompts,
   extractCodeFromResponse,
   manualIntegrateModules,
+
+  // 静态检查与自动修复
+  repairStepContent,
+  verifyAndRepairModules,
+  verifyAndRepairCode,
   
   // HTML上传解析
   parseUploadedHtml,
@@ -0,0 +1,594 @@
+/**
+ * 生成代码静态检查模块
+ * 对编程智能体生成的前端代码做解析级检查，不执行代码：
+ * - JS/JSX 语法错误（acorn + acorn-jsx）
+ * - 未闭合 / 多余的 HTML 标签、JSX 标签
+ * - 未定义的标识符（与浏览器全局对象、CDN 库全局变量比对）
+ * - 重复的元素 ID
+ * - 标记中引用但不存在的事件处理函数（onclick="xxx()"、onClick={xxx}，含渲染函数模板字符串里的标记）
+ *
+ * 10 步分模块生成时按问题归属到具体步骤（html_structure / js_data / js_render / js_crud / js_advanced），
+ * 便于只重新生成出问题的模块
+ */
+
+const acorn = require('acorn');
+const jsx = require('acorn-jsx');
+
+const JSXParser = acorn.Parser.extend(jsx());
+
+// ==================== 常量 ====================
+
+const ISSUE_TYPES = {
+  syntax: 'JS/JSX语法错误',
+  'unclosed-tag': '标签未闭合',
+  'undefined-identifier': '未定义的标识符',
+  'duplicate-id': '重复的ID',
+  'missing-handler': '事件处理函数不存在'
+};
+
+// 10 步生成中可单独重新生成的模块（步骤ID → modules 字段）
+const STEP_MODULES = {
+  html_structure: 'htmlStructure',
+  js_data: 'jsData',
+  js_render: 'jsRender',
+  js_crud: 'jsCrud',
+  js_advanced: 'jsAdvanced'
+};
+const JS_STEPS = ['js_data', 'js_render', 'js_crud', 'js_advanced'];
+
+// 缺失的事件处理函数应由哪一步实现（与 getStepPrompts 中各步骤的函数清单对应）
+const HANDLER_OWNERS = [
+  { stepId: 'js_render', pattern: /^(render|refresh|show(Loading|TableSkeleton)|hideLoading)/i },
+  { stepId: 'js_advanced', pattern: /^(showToast|hideToast|toggle|handleSort|export|download|init|updateSelectAll|getSelectedIds)/i },
+  { stepId: 'js_crud', pattern: /^(open|close|fill|get|reset|validate|handle|submit|confirm|clear|goTo|change|prev|next|add|edit|delete|remove|save|update|view|search|filter)/i }
+];
+
+// 浏览器与 JS 内置全局
+const BROWSER_GLOBALS = [
+  'window', 'document', 'console', 'navigator', 'location', 'history', 'screen', 'globalThis', 'self', 'top', 'parent', 'frames',
+  'localStorage', 'sessionStorage', 'indexedDB', 'caches', 'crypto', 'performance', 'event', 'name', 'status', 'opener',
+  'alert', 'confirm', 'prompt', 'print', 'open', 'close', 'focus', 'blur', 'scrollTo', 'scrollBy', 'scroll', 'getComputedStyle', 'matchMedia', 'getSelection',
+  'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame', 'requestIdleCallback', 'cancelIdleCallback', 'queueMicrotask', 'structuredClone',
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'AbortController', 'Headers', 'Request', 'Response', 'FormData', 'URL', 'URLSearchParams',
+  'Blob', 'File', 'FileReader', 'FileList', 'atob', 'btoa', 'TextEncoder', 'TextDecoder', 'Image', 'Audio', 'Option', 'Notification', 'Worker',
+  'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'EventTarget', 'Node', 'NodeList', 'Element', 'HTMLElement', 'HTMLInputElement', 'HTMLFormElement', 'DocumentFragment', 'DOMParser', 'Range',
+  'MutationObserver', 'IntersectionObserver', 'ResizeObserver', 'CSS', 'innerWidth', 'innerHeight', 'devicePixelRatio', 'scrollX', 'scrollY', 'pageXOffset', 'pageYOffset',
+  'Object', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt', 'Function', 'Date', 'RegExp', 'Math', 'JSON', 'Intl', 'Reflect', 'Proxy', 'Promise',
+  'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'ArrayBuffer', 'DataView', 'Uint8Array', 'Int8Array', 'Uint16Array', 'Int16Array', 'Uint32Array', 'Int32Array', 'Float32Array', 'Float64Array', 'Uint8ClampedArray',
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError', 'AggregateError',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURIComponent', 'decodeURIComponent', 'encodeURI', 'decodeURI', 'escape', 'unescape', 'eval',
+  'undefined', 'NaN', 'Infinity', 'arguments', 'require', 'module', 'exports', 'process'
+];
+
+// CDN 引入的常见库全局变量（React/Vue/组件库/图表/工具库）
+const LIBRARY_GLOBALS = [
+  'React', 'ReactDOM', 'PropTypes', 'Babel', 'Vue', 'VueRouter', 'Vuex', 'Pinia', 'ElementPlus', 'ElementPlusIconsVue', 'vant', 'naive',
+  'antd', 'icons', 'dayjs', 'moment', 'MaterialUI', 'Vuetify', 'bootstrap', 'jQuery', '$', '_', 'axios',
+  'echarts', 'Chart', 'XLSX', 'saveAs', 'lucide', 'Swal', 'tailwind', 'marked', 'hljs', 'Sortable', 'html2canvas', 'jspdf'
+];
+
+const KNOWN_GLOBALS = new Set([...BROWSER_GLOBALS, ...LIBRARY_GLOBALS]);
+
+// 无需闭合的元素，以及可省略结束标签的元素
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const OPTIONAL_CLOSE_TAGS = new Set(['html', 'head', 'body', 'li', 'p', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'rt', 'rp']);
+
+const MAX_REPORTED_ISSUES = 50;
+
+// ==================== 工具 ====================
+
+/**
+ * 生成按偏移量查行号的函数：行首偏移只计算一次，之后二分查找
+ * @returns {function(number): number} 偏移量 -> 行号（从 1 开始）
+ */
+function lineLocator(text) {
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+  return index => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+// 用空格替换内容但保留换行，使后续检查的行号与原文一致
+function blankOut(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+function issue(type, message, extra = {}) {
+  return { type, typeLabel: ISSUE_TYPES[type], message, ...extra };
+}
+
+// ==================== JS / JSX 解析 ====================
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  locations: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  allowHashBang: true
+};
+
+/**
+ * 解析 JS/JSX，优先按脚本解析，出现 import/export 时按模块解析
+ * @returns {{ ast: Object|null, error: Object|null }}
+ */
+function parseJs(code, options = {}) {
+  const Parser = options.jsx ? JSXParser : acorn.Parser;
+  try {
+    return { ast: Parser.parse(code, { ...PARSE_OPTIONS, sourceType: 'script' }), error: null };
+  } catch (scriptError) {
+    if (/sourceType: module|'import' and 'export'|import\.meta/.test(scriptError.message)) {
+      try {
+        return { ast: Parser.parse(code, { ...PARSE_OPTIONS, sourceType: 'module' }), error: null };
+      } catch (moduleError) {
+        return { ast: null, error: moduleError };
+      }
+    }
+    return { ast: null, error: scriptError };
+  }
+}
+
+function syntaxIssue(error, lineOffset = 0, extra = {}) {
+  const line = error.loc ? error.loc.line + lineOffset : undefined;
+  const message = error.message.replace(/\s*\(\d+:\d+\)$/, '');
+  // JSX 标签不匹配由解析器报告，归为标签未闭合；未闭合的标签会把其后的 ) } 当作文本，报 &rbrace; 提示
+  const type = /JSX closing tag|Unterminated JSX|&rbrace;/.test(message) ? 'unclosed-tag' : 'syntax';
+  return issue(type, message, { line, column: error.loc ? error.loc.column + 1 : undefined, ...extra });
+}
+
+function collectPatternNames(pattern, names) {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier': names.add(pattern.name); break;
+    case 'ObjectPattern': pattern.properties.forEach(p => collectPatternNames(p.type === 'RestElement' ? p.argument : p.value, names)); break;
+    case 'ArrayPattern': pattern.elements.forEach(el => collectPatternNames(el, names)); break;
+    case 'RestElement': collectPatternNames(pattern.argument, names); break;
+    case 'AssignmentPattern': collectPatternNames(pattern.left, names); break;
+    default: break;
+  }
+}
+
+// 标识符是否处于"引用"位置（排除属性名、标签名、typeof 保护等）
+function isReference(node, parent, key) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression': return key !== 'property' || parent.computed;
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition': return key !== 'key' || parent.computed;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement': return false;
+    case 'ExportSpecifier': return key !== 'exported';
+    case 'ImportSpecifier': return key !== 'imported';
+    case 'MetaProperty': return false;
+    // typeof xxx === 'function' 是判断是否存在的保护写法
+    case 'UnaryExpression': return parent.operator !== 'typeof';
+    default: return true;
+  }
+}
+
+function jsxRootName(name) {
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') return jsxRootName(name.object);
+  return null;
+}
+
+/**
+ * 遍历 AST，收集声明、引用、JSX 中的 ID 和字符串里的标记片段
+ * 作用域按整段代码合并处理（只判断"是否在任何地方声明过"），避免对生成代码误报
+ */
+function analyzeAst(ast) {
+  const declared = new Set();
+  const references = [];
+  const jsxIds = [];
+  const markupStrings = [];
+  const handlerStack = [];
+
+  const visit = (node, parent, key) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'VariableDeclarator': collectPatternNames(node.id, declared); break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        if (node.id) declared.add(node.id.name);
+        node.params.forEach(p => collectPatternNames(p, declared));
+        break;
+      case 'ClassDeclaration':
+      case 'ClassExpression': if (node.id) declared.add(node.id.name); break;
+      case 'CatchClause': collectPatternNames(node.param, declared); break;
+      case 'ImportSpecifier':
+      case 'ImportDefaultSpecifier':
+      case 'ImportNamespaceSpecifier': declared.add(node.local.name); break;
+      case 'UnaryExpression':
+        // typeof xxx === 'function' 保护下的调用在运行时不会出错，视同已声明
+        if (node.operator === 'typeof' && node.argument.type === 'Identifier') declared.add(node.argument.name);
+        break;
+      case 'AssignmentExpression':
+        // 非严格模式下给未声明变量赋值、window.xxx = ... 都会创建全局变量
+        if (node.left.type === 'Identifier') declared.add(node.left.name);
+        if (node.left.type === 'MemberExpression' && !node.left.computed && node.left.object.type === 'Identifier'
+          && ['window', 'globalThis', 'self'].includes(node.left.object.name) && node.left.property.type === 'Identifier') {
+          declared.add(node.left.property.name);
+        }
+        break;
+      case 'Identifier':
+        if (isReference(node, parent, key)) {
+          references.push({ name: node.name, line: node.loc.start.line, handler: handlerStack[handlerStack.length - 1] || null });
+        }
+        break;
+      case 'JSXOpeningElement': {
+        const name = jsxRootName(node.name);
+        // 小写开头是原生元素，大写开头是组件引用
+        if (name && /^[A-Z]/.test(name)) {
+          references.push({ name, line: node.loc.start.line, handler: null });
+        }
+        break;
+      }
+      case 'JSXAttribute':
+        if (node.name.name === 'id' && node.value && node.value.type === 'Literal') {
+          jsxIds.push({ id: String(node.value.value), line: node.loc.start.line });
+        }
+        break;
+      case 'Literal':
+        if (typeof node.value === 'string' && /<\w/.test(node.value)) {
+          markupStrings.push({ text: node.value, line: node.loc.start.line });
+        }
+        break;
+      case 'TemplateLiteral': {
+        // 插值替换为占位值，保留 onclick="handleEdit(${id})" 这类片段的可解析性
+        const text = node.quasis.map(q => q.value.cooked || '').join('0');
+        if (/<\w/.test(text)) markupStrings.push({ text, line: node.loc.start.line });
+        break;
+      }
+      default: break;
+    }
+
+    const isHandlerAttr = node.type === 'JSXAttribute' && node.name.type === 'JSXIdentifier' && /^on[A-Z]/.test(node.name.name);
+    if (isHandlerAttr) handlerStack.push(node.name.name);
+    for (const childKey of Object.keys(node)) {
+      if (childKey === 'loc' || childKey === 'start' || childKey === 'end') continue;
+      const child = node[childKey];
+      if (Array.isArray(child)) {
+        child.forEach(c => visit(c, node, childKey));
+      } else if (child && typeof child.type === 'string') {
+        visit(child, node, childKey);
+      }
+    }
+    if (isHandlerAttr) handlerStack.pop();
+  };
+
+  visit(ast, null, null);
+  return { declared, references, jsxIds, markupStrings };
+}
+
+// ==================== HTML 标记检查 ====================
+
+/**
+ * 检查标签配对：未闭合的标签和多余的结束标签（可省略结束标签的元素不报）
+ */
+function checkTagBalance(markup, lineOffset = 0) {
+  const issues = [];
+  const stack = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+  const lineAt = lineLocator(markup);
+  let match;
+
+  while ((match = tagPattern.exec(markup)) !== null) {
+    const [, closing, rawName, attrs] = match;
+    const name = rawName.toLowerCase();
+    const line = lineAt(match.index) + lineOffset;
+
+    if (!closing) {
+      if (!VOID_TAGS.has(name) && !/\/\s*$/.test(attrs)) {
+        stack.push({ name, line });
+      }
+      continue;
+    }
+
+    const openIndex = stack.map(t => t.name).lastIndexOf(name);
+    if (openIndex === -1) {
+      if (!VOID_TAGS.has(name)) {
+        issues.push(issue('unclosed-tag', `多余的结束标签 </${name}>，没有对应的开始标签`, { line }));
+      }
+      continue;
+    }
+    // 中间未闭合的元素被这个结束标签隐式关闭
+    for (const open of stack.splice(openIndex).slice(1)) {
+      if (!OPTIONAL_CLOSE_TAGS.has(open.name)) {
+        issues.push(issue('unclosed-tag', `<${open.name}> 未闭合（在 </${name}> 之前结束）`, { line: open.line }));
+      }
+    }
+  }
+
+  stack
+    .filter(open => !OPTIONAL_CLOSE_TAGS.has(open.name))
+    .forEach(open => issues.push(issue('unclosed-tag', `<${open.name}> 未闭合`, { line: open.line })));
+  return issues;
+}
+
+// 静态标记中的重复 ID（带模板插值的 ID 运行时才能确定，跳过）
+function checkDuplicateIds(entries) {
+  const seen = new Map();
+  const issues = [];
+  for (const { id, line } of entries) {
+    if (!id || /\$\{|\{\{/.test(id)) continue;
+    if (seen.has(id)) {
+      issues.push(issue('duplicate-id', `ID "${id}" 重复（第 ${seen.get(id)} 行已使用）`, { line, id }));
+    } else {
+      seen.set(id, line);
+    }
+  }
+  return issues;
+}
+
+function markupIds(markup, lineOffset = 0) {
+  const ids = [];
+  const pattern = /<[a-zA-Z][^>]*?\sid\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const lineAt = lineLocator(markup);
+  let match;
+  while ((match = pattern.exec(markup)) !== null) {
+    ids.push({ id: match[1] ?? match[2], line: lineAt(match.index) + lineOffset });
+  }
+  return ids;
+}
+
+// 标记中的内联事件属性 onclick="..."
+function inlineHandlers(markup, lineOffset = 0) {
+  const handlers = [];
+  const pattern = /\s(on[a-z]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+  const lineAt = lineLocator(markup);
+  let match;
+  while ((match = pattern.exec(markup)) !== null) {
+    handlers.push({ attr: match[1].toLowerCase(), code: match[2] ?? match[3], line: lineAt(match.index) + lineOffset });
+  }
+  return handlers;
+}
+
+/**
+ * 内联事件代码中引用但未定义的函数/变量
+ * @param {Set<string>} declared 页面脚本中声明的名称
+ */
+function checkHandlers(handlers, declared) {
+  const issues = [];
+  for (const handler of handlers) {
+    const code = handler.code.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+    const { ast } = parseJs(code);
+    if (!ast) continue; // 含模板语法等无法解析的片段不做判断
+    const { declared: local, references } = analyzeAst(ast);
+    const missing = new Set();
+    for (const ref of references) {
+      if (!declared.has(ref.name) && !local.has(ref.name) && !KNOWN_GLOBALS.has(ref.name)) {
+        missing.add(ref.name);
+      }
+    }
+    for (const name of missing) {
+      issues.push(issue('missing-handler', `${handler.attr}="${handler.code.trim().slice(0, 60)}" 引用的函数 ${name} 未定义`, { line: handler.line, name }));
+    }
+  }
+  return issues;
+}
+
+function undefinedIdentifierIssues(references, declared) {
+  const issues = [];
+  const reported = new Set();
+  for (const ref of references) {
+    if (declared.has(ref.name) || KNOWN_GLOBALS.has(ref.name)) continue;
+    const key = `${ref.name}@${ref.handler || ''}`;
+    if (reported.has(key)) continue;
+    reported.add(key);
+    issues.push(ref.handler
+      ? issue('missing-handler', `${ref.handler} 引用的处理函数 ${ref.name} 未定义`, { line: ref.line, name: ref.name })
+      : issue('undefined-identifier', `${ref.name} 未定义`, { line: ref.line, name: ref.name }));
+  }
+  return issues;
+}
+
+/**
+ * 拆分 HTML 文档：脚本块（带起始行）和去掉脚本、样式、注释后的标记
+ */
+function splitHtmlDocument(html) {
+  const scripts = [];
+  // 注释、样式、脚本替换为等长空白，偏移量与原文一致
+  const lineAt = lineLocator(html);
+  let markup = html.replace(/<!--[\s\S]*?-->/g, blankOut);
+  markup = markup.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (m, open, body, close) => open + blankOut(body) + close);
+  markup = markup.replace(/(<script\b([^>]*)>)([\s\S]*?)(<\/script>)/gi, (m, open, attrs, body, close, offset) => {
+    const type = (attrs.match(/\btype\s*=\s*["']?([^"'\s>]+)/i) || [])[1] || '';
+    const isJs = !/\bsrc\s*=/.test(attrs) && (!type || /javascript|module|babel|jsx/i.test(type)) && body.trim();
+    if (isJs) {
+      scripts.push({ code: body, startLine: lineAt(offset + open.length) - 1, jsx: /babel|jsx/i.test(type) });
+    }
+    return open + blankOut(body) + close;
+  });
+  return { scripts, markup };
+}
+
+// ==================== 对外检查接口 ====================
+
+function summarize(issues, extra = {}) {
+  const checks = {};
+  for (const type of Object.keys(ISSUE_TYPES)) {
+    const count = issues.filter(i => i.type === type).length;
+    checks[type] = { label: ISSUE_TYPES[type], passed: count === 0, count };
+  }
+  return {
+    passed: issues.length === 0,
+    issueCount: issues.length,
+    checks,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+    ...extra
+  };
+}
+
+/**
+ * 检查完整 HTML 页面（纯 HTML 生成、Vue CDN 页面、React 包装页）
+ */
+function verifyHtmlDocument(html) {
+  const { scripts, markup } = splitHtmlDocument(html);
+  const issues = [];
+  const declared = new Set();
+  const references = [];
+  const jsxIds = [];
+  const handlers = inlineHandlers(markup);
+
+  for (const script of scripts) {
+    const { ast, error } = parseJs(script.code, { jsx: script.jsx });
+    if (error) {
+      issues.push(syntaxIssue(error, script.startLine));
+      continue;
+    }
+    const analysis = analyzeAst(ast);
+    analysis.declared.forEach(name => declared.add(name));
+    analysis.references.forEach(ref => references.push({ ...ref, line: ref.line + script.startLine }));
+    analysis.jsxIds.forEach(entry => jsxIds.push({ ...entry, line: entry.line + script.startLine }));
+    analysis.markupStrings.forEach(s => handlers.push(...inlineHandlers(s.text).map(h => ({ ...h, line: s.line + script.startLine }))));
+  }
+
+  issues.push(...checkTagBalance(markup));
+  issues.push(...checkDuplicateIds([...markupIds(markup), ...jsxIds].sort((a, b) => a.line - b.line)));
+  // 有脚本解析失败时声明不完整，不再判断未定义和缺失的处理函数，避免连带误报
+  if (!issues.some(i => i.type === 'syntax')) {
+    issues.push(...undefinedIdentifierIssues(references, declared));
+    issues.push(...checkHandlers(handlers, declared));
+  }
+  return summarize(issues.sort((a, b) => (a.line || 0) - (b.line || 0)));
+}
+
+/**
+ * 检查 React/JSX 或纯 JS 代码
+ */
+function verifyScript(code, options = {}) {
+  const { ast, error } = parseJs(code, { jsx: options.jsx !== false });
+  if (error) {
+    return summarize([syntaxIssue(error)]);
+  }
+  const analysis = analyzeAst(ast);
+  const handlers = analysis.markupStrings.flatMap(s => inlineHandlers(s.text).map(h => ({ ...h, line: s.line })));
+  const issues = [
+    ...checkDuplicateIds(analysis.jsxIds),
+    ...undefinedIdentifierIssues(analysis.references, new Set([...analysis.declared, ...(options.globals || [])])),
+    ...checkHandlers(handlers, analysis.declared)
+  ];
+  return summarize(issues.sort((a, b) => (a.line || 0) - (b.line || 0)));
+}
+
+function looksLikeHtmlDocument(code) {
+  return /^\s*(<!DOCTYPE|<html|<head|<body)/i.test(code) || /<script\b[\s\S]*<\/script>/i.test(code);
+}
+
+/**
+ * 检查生成的代码，自动区分完整 HTML 页面和 JSX/JS 代码
+ * @returns {{ passed, issueCount, checks, issues }}
+ */
+function verifyGeneratedCode(code, options = {}) {
+  if (!code || !code.trim()) {
+    return summarize([issue('syntax', '没有生成代码')]);
+  }
+  return looksLikeHtmlDocument(code) ? verifyHtmlDocument(code) : verifyScript(code, options);
+}
+
+// 只统计语法类问题（合并多轮代码时判断哪个版本可运行）
+function countSyntaxIssues(code) {
+  if (!code || !code.trim()) return Infinity;
+  if (looksLikeHtmlDocument(code)) {
+    return splitHtmlDocument(code).scripts.filter(s => parseJs(s.code, { jsx: s.jsx }).error).length;
+  }
+  return parseJs(code, { jsx: true }).error ? 1 : 0;
+}
+
+function handlerOwner(name) {
+  const owner = HANDLER_OWNERS.find(({ pattern }) => pattern.test(name || ''));
+  return owner ? owner.stepId : 'js_advanced';
+}
+
+/**
+ * 按 10 步生成的模块分别检查，把问题归属到负责的步骤
+ * - JS 模块：语法错误、引用了所有模块都没有声明的标识符
+ * - HTML 结构：标签配对、重复 ID
+ * - 标记（HTML 结构和渲染模板）中引用但不存在的处理函数：归到应实现它的 JS 步骤
+ * @param {Object} modules streamHtmlGenerate 中的 modules
+ * @returns {{ byStep: Object<string, Array>, issueCount: number }}
+ */
+function verifyHtmlModules(modules) {
+  const byStep = {};
+  const add = (stepId, list) => {
+    if (list.length === 0) return;
+    byStep[stepId] = (byStep[stepId] || []).concat(list.map(i => ({ ...i, stepId })));
+  };
+
+  const declared = new Set();
+  const analyses = {};
+  for (const stepId of JS_STEPS) {
+    const code = modules[STEP_MODULES[stepId]] || '';
+    if (!code.trim()) continue;
+    const { ast, error } = parseJs(code);
+    if (error) {
+      add(stepId, [syntaxIssue(error)]);
+      continue;
+    }
+    analyses[stepId] = analyzeAst(ast);
+    analyses[stepId].declared.forEach(name => declared.add(name));
+  }
+  const allJsParsed = JS_STEPS.every(stepId => analyses[stepId] || !(modules[STEP_MODULES[stepId]] || '').trim());
+
+  const structure = splitHtmlDocument(modules.htmlStructure || '').markup;
+  add('html_structure', checkTagBalance(structure));
+  add('html_structure', checkDuplicateIds(markupIds(structure)));
+
+  // 某个模块解析失败时，声明集合不完整，跳过跨模块引用检查
+  if (allJsParsed) {
+    for (const [stepId, analysis] of Object.entries(analyses)) {
+      add(stepId, undefinedIdentifierIssues(analysis.references, declared));
+    }
+    const handlers = [
+      ...inlineHandlers(structure),
+      ...Object.values(analyses).flatMap(a => a.markupStrings.flatMap(s => inlineHandlers(s.text).map(h => ({ ...h, line: s.line }))))
+    ];
+    // 行号属于引用处而非负责实现的模块，不带给修复提示
+    for (const handlerIssue of checkHandlers(handlers, declared)) {
+      add(handlerOwner(handlerIssue.name), [{ ...handlerIssue, line: undefined }]);
+    }
+  }
+
+  return {
+    byStep,
+    issueCount: Object.values(byStep).reduce((sum, list) => sum + list.length, 0)
+  };
+}
+
+/**
+ * 把问题列表格式化为修复提示（附出错行的源码）
+ */
+function formatIssuesForPrompt(issues, code = '') {
+  const lines = code.split('\n');
+  return issues.map((item, index) => {
+    const source = item.line && lines[item.line - 1] ? `\n   代码：${lines[item.line - 1].trim().slice(0, 160)}` : '';
+    return `${index + 1}. [${item.typeLabel}]${item.line ? ` 第${item.line}行` : ''}：${item.message}${source}`;
+  }).join('\n');
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  ISSUE_TYPES,
+  STEP_MODULES,
+  verifyGeneratedCode,
+  verifyHtmlDocument,
+  verifyScript,
+  verifyHtmlModules,
+  countSyntaxIssues,
+  looksLikeHtmlDocument,
+  formatIssuesForPrompt
+};
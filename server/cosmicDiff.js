@@ -0,0 +1,425 @@
+/**
+ * COSMIC 度量对比模块
+ * 用于增强/变更类项目：对比基线度量与新需求度量，统计新增、修改、删除的数据移动（变更规模CFP）
+ *
+ * 匹配策略：
+ * 1. 功能过程按名称模糊匹配（字符二元组 Dice 系数），贪心取最高分
+ * 2. 已匹配功能过程内，数据移动按"类型相同 + 数据组/子过程描述相似"匹配
+ * 3. 匹配上的数据移动若数据组或数据属性发生变化计为修改，否则不变
+ * 4. 未匹配的数据移动分别计为新增/删除
+ */
+
+const { groupByFunctionalProcess, splitAttributes } = require('./cosmicValidator');
+const { calculateCfpSummary } = require('./cosmicMeasurement');
+
+const DEFAULT_OPTIONS = {
+  processThreshold: 0.5,   // 功能过程名称相似度阈值
+  movementThreshold: 0.35  // 数据移动相似度阈值
+};
+
+const STATUS_LABELS = {
+  added: '新增',
+  modified: '修改',
+  deleted: '删除',
+  unchanged: '不变'
+};
+
+// ==================== 相似度 ====================
+
+function normalizeText(text) {
+  return (text || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[\s·\-_（）()【】\[\]"'“”、，,。.:：;；|]/g, '');
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  if (text.length === 1) {
+    grams.set(text, 1);
+    return grams;
+  }
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * 字符二元组 Dice 相似度，适合中文短语
+ */
+function textSimilarity(a, b) {
+  const s1 = normalizeText(a);
+  const s2 = normalizeText(b);
+  if (s1 === s2) return s1 ? 1 : 0;
+  if (!s1 || !s2) return 0;
+
+  const g1 = bigrams(s1);
+  const g2 = bigrams(s2);
+  let overlap = 0;
+  g1.forEach((count, gram) => {
+    overlap += Math.min(count, g2.get(gram) || 0);
+  });
+  const total = Array.from(g1.values()).reduce((a, b) => a + b, 0) + Array.from(g2.values()).reduce((a, b) => a + b, 0);
+  return (2 * overlap) / total;
+}
+
+function movementSimilarity(a, b) {
+  return textSimilarity(a.dataGroup, b.dataGroup) * 0.6 + textSimilarity(a.subProcessDesc, b.subProcessDesc) * 0.4;
+}
+
+/**
+ * 贪心一对一匹配：按得分从高到低取，双方都未被占用时接受
+ */
+function greedyMatch(left, right, scoreFn, threshold) {
+  const candidates = [];
+  left.forEach((l, i) => {
+    right.forEach((r, j) => {
+      const score = scoreFn(l, r);
+      if (score >= threshold) candidates.push({ i, j, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedLeft = new Set();
+  const usedRight = new Set();
+  const pairs = [];
+  candidates.forEach(c => {
+    if (usedLeft.has(c.i) || usedRight.has(c.j)) return;
+    usedLeft.add(c.i);
+    usedRight.add(c.j);
+    pairs.push(c);
+  });
+
+  return {
+    pairs,
+    unmatchedLeft: left.map((_, i) => i).filter(i => !usedLeft.has(i)),
+    unmatchedRight: right.map((_, j) => j).filter(j => !usedRight.has(j))
+  };
+}
+
+// ==================== 对比 ====================
+
+function pickMovement(row) {
+  return {
+    rowNumber: row.rowNumber,
+    subProcessDesc: row.subProcessDesc || '',
+    dataMovementType: (row.dataMovementType || '').toUpperCase(),
+    dataGroup: row.dataGroup || '',
+    dataAttributes: row.dataAttributes || ''
+  };
+}
+
+function attributeChanges(before, after) {
+  const beforeSet = new Set(splitAttributes(before).map(a => a.toLowerCase()));
+  const afterSet = new Set(splitAttributes(after).map(a => a.toLowerCase()));
+  return {
+    added: splitAttributes(after).filter(a => !beforeSet.has(a.toLowerCase())),
+    removed: splitAttributes(before).filter(a => !afterSet.has(a.toLowerCase()))
+  };
+}
+
+const CFP_TYPES = ['E', 'R', 'W', 'X'];
+
+function isCfpType(type) {
+  return CFP_TYPES.includes(type);
+}
+
+function diffMovements(baselineRows, currentRows, threshold) {
+  const movements = [];
+  const types = CFP_TYPES;
+  const otherType = (row) => !types.includes((row.dataMovementType || '').toUpperCase());
+
+  // 只在同类型之间匹配
+  [...types, null].forEach(type => {
+    const left = baselineRows.filter(r => (type ? (r.dataMovementType || '').toUpperCase() === type : otherType(r)));
+    const right = currentRows.filter(r => (type ? (r.dataMovementType || '').toUpperCase() === type : otherType(r)));
+    const { pairs, unmatchedLeft, unmatchedRight } = greedyMatch(left, right, movementSimilarity, threshold);
+
+    pairs.forEach(({ i, j, score }) => {
+      const before = pickMovement(left[i]);
+      const after = pickMovement(right[j]);
+      const changes = [];
+      if (normalizeText(before.dataGroup) !== normalizeText(after.dataGroup)) {
+        changes.push({ field: 'dataGroup', before: before.dataGroup, after: after.dataGroup });
+      }
+      const attrs = attributeChanges(before.dataAttributes, after.dataAttributes);
+      if (attrs.added.length > 0 || attrs.removed.length > 0) {
+        changes.push({ field: 'dataAttributes', before: before.dataAttributes, after: after.dataAttributes, ...attrs });
+      }
+      movements.push({
+        status: changes.length > 0 ? 'modified' : 'unchanged',
+        dataMovementType: after.dataMovementType,
+        similarity: Number(score.toFixed(3)),
+        baseline: before,
+        current: after,
+        changes
+      });
+    });
+    unmatchedRight.forEach(j => {
+      const after = pickMovement(right[j]);
+      movements.push({ status: 'added', dataMovementType: after.dataMovementType, similarity: 0, baseline: null, current: after, changes: [] });
+    });
+    unmatchedLeft.forEach(i => {
+      const before = pickMovement(left[i]);
+      movements.push({ status: 'deleted', dataMovementType: before.dataMovementType, similarity: 0, baseline: before, current: null, changes: [] });
+    });
+  });
+
+  // 按新表行号排序，删除的排在后面
+  movements.sort((a, b) => {
+    const ra = a.current ? a.current.rowNumber : Infinity;
+    const rb = b.current ? b.current.rowNumber : Infinity;
+    if (ra !== rb) return ra - rb;
+    return (a.baseline?.rowNumber || 0) - (b.baseline?.rowNumber || 0);
+  });
+  return movements;
+}
+
+// 数据移动类型不是 E/R/W/X 的行（如留空）不计 CFP，与 calculateCfpSummary 的基线/新需求 CFP 口径一致，单独计数
+function countStatuses(movements) {
+  const counts = { addedCFP: 0, modifiedCFP: 0, deletedCFP: 0, unchangedCFP: 0, invalidMovements: 0 };
+  movements.forEach(m => {
+    if (isCfpType(m.dataMovementType)) counts[`${m.status}CFP`]++;
+    else counts.invalidMovements++;
+  });
+  return counts;
+}
+
+/**
+ * 对比两份COSMIC度量结果
+ * @param {Array} baselineData - 基线度量行（parseCosmicImport().data 或 parse-table 的 tableData）
+ * @param {Array} currentData - 新需求度量行
+ * @param {Object} options - { processThreshold, movementThreshold }
+ * @returns {Object} 变更规模报告
+ */
+function diffCosmicMeasurements(baselineData = [], currentData = [], options = {}) {
+  const { processThreshold, movementThreshold } = { ...DEFAULT_OPTIONS, ...options };
+  const baselineGroups = groupByFunctionalProcess(baselineData);
+  const currentGroups = groupByFunctionalProcess(currentData);
+
+  const { pairs, unmatchedLeft, unmatchedRight } = greedyMatch(
+    baselineGroups,
+    currentGroups,
+    (a, b) => textSimilarity(a.functionalProcess, b.functionalProcess),
+    processThreshold
+  );
+
+  const processes = [];
+
+  pairs.forEach(({ i, j, score }) => {
+    const base = baselineGroups[i];
+    const curr = currentGroups[j];
+    const movements = diffMovements(base.rows, curr.rows, movementThreshold);
+    const counts = countStatuses(movements);
+    const renamed = base.functionalProcess !== curr.functionalProcess;
+    processes.push({
+      status: counts.addedCFP + counts.modifiedCFP + counts.deletedCFP > 0 ? 'modified' : 'unchanged',
+      baselineName: base.functionalProcess,
+      currentName: curr.functionalProcess,
+      functionalUser: curr.functionalUser || base.functionalUser,
+      triggerEvent: curr.triggerEvent || base.triggerEvent,
+      renamed,
+      similarity: Number(score.toFixed(3)),
+      ...counts,
+      movements
+    });
+  });
+
+  unmatchedRight.forEach(j => {
+    const curr = currentGroups[j];
+    const movements = curr.rows.map(r => ({ status: 'added', dataMovementType: (r.dataMovementType || '').toUpperCase(), similarity: 0, baseline: null, current: pickMovement(r), changes: [] }));
+    processes.push({
+      status: 'added',
+      baselineName: null,
+      currentName: curr.functionalProcess,
+      functionalUser: curr.functionalUser,
+      triggerEvent: curr.triggerEvent,
+      renamed: false,
+      similarity: 0,
+      ...countStatuses(movements),
+      movements
+    });
+  });
+
+  unmatchedLeft.forEach(i => {
+    const base = baselineGroups[i];
+    const movements = base.rows.map(r => ({ status: 'deleted', dataMovementType: (r.dataMovementType || '').toUpperCase(), similarity: 0, baseline: pickMovement(r), current: null, changes: [] }));
+    processes.push({
+      status: 'deleted',
+      baselineName: base.functionalProcess,
+      currentName: null,
+      functionalUser: base.functionalUser,
+      triggerEvent: base.triggerEvent,
+      renamed: false,
+      similarity: 0,
+      ...countStatuses(movements),
+      movements
+    });
+  });
+
+  const baselineCFP = calculateCfpSummary(baselineData).total.CFP;
+  const currentCFP = calculateCfpSummary(currentData).total.CFP;
+  const summary = {
+    baselineCFP,
+    currentCFP,
+    netDeltaCFP: currentCFP - baselineCFP,
+    addedCFP: 0,
+    modifiedCFP: 0,
+    deletedCFP: 0,
+    unchangedCFP: 0,
+    invalidMovements: 0,
+    processes: { added: 0, modified: 0, deleted: 0, unchanged: 0 }
+  };
+  processes.forEach(p => {
+    summary.addedCFP += p.addedCFP;
+    summary.modifiedCFP += p.modifiedCFP;
+    summary.deletedCFP += p.deletedCFP;
+    summary.unchangedCFP += p.unchangedCFP;
+    summary.invalidMovements += p.invalidMovements;
+    summary.processes[p.status]++;
+  });
+  // COSMIC 变更规模 = 新增 + 修改 + 删除的数据移动数
+  summary.changeSizeCFP = summary.addedCFP + summary.modifiedCFP + summary.deletedCFP;
+
+  return {
+    summary,
+    options: { processThreshold, movementThreshold },
+    processes
+  };
+}
+
+// ==================== Excel 工作表 ====================
+
+const STATUS_FILLS = {
+  added: 'FFE2EFDA',
+  modified: 'FFFFF2CC',
+  deleted: 'FFFCE4D6',
+  unchanged: 'FFFFFFFF'
+};
+
+function styleHeader(row) {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+  row.alignment = { vertical: 'middle', horizontal: 'center' };
+  row.height = 25;
+}
+
+function applyBorders(worksheet) {
+  worksheet.eachRow(row => {
+    row.eachCell(cell => {
+      cell.border = {
+        top: { style: 'thin' },
+        left: { style: 'thin' },
+        bottom: { style: 'thin' },
+        right: { style: 'thin' }
+      };
+    });
+  });
+}
+
+/**
+ * 向工作簿追加变更规模汇总表与变更明细表
+ */
+function addChangeSizeSheets(workbook, diff) {
+  const { summary } = diff;
+
+  // ========== 工作表：变更规模汇总 ==========
+  const sheet = workbook.addWorksheet('变更规模汇总');
+  sheet.columns = [
+    { header: '变更类型', key: 'status', width: 10 },
+    { header: '基线功能过程', key: 'baselineName', width: 30 },
+    { header: '新功能过程', key: 'currentName', width: 30 },
+    { header: '名称相似度', key: 'similarity', width: 12 },
+    { header: '新增CFP', key: 'addedCFP', width: 10 },
+    { header: '修改CFP', key: 'modifiedCFP', width: 10 },
+    { header: '删除CFP', key: 'deletedCFP', width: 10 },
+    { header: '变更CFP', key: 'changeCFP', width: 10 }
+  ];
+  styleHeader(sheet.getRow(1));
+
+  diff.processes.forEach(p => {
+    const row = sheet.addRow({
+      status: STATUS_LABELS[p.status],
+      baselineName: p.baselineName || '',
+      currentName: p.currentName || '',
+      similarity: p.similarity,
+      addedCFP: p.addedCFP,
+      modifiedCFP: p.modifiedCFP,
+      deletedCFP: p.deletedCFP,
+      changeCFP: p.addedCFP + p.modifiedCFP + p.deletedCFP
+    });
+    row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: STATUS_FILLS[p.status] } };
+    row.alignment = { vertical: 'middle', wrapText: true };
+  });
+
+  const totalRow = sheet.addRow({
+    status: '合计',
+    baselineName: `基线 ${summary.baselineCFP} CFP`,
+    currentName: `新需求 ${summary.currentCFP} CFP`,
+    addedCFP: summary.addedCFP,
+    modifiedCFP: summary.modifiedCFP,
+    deletedCFP: summary.deletedCFP,
+    changeCFP: summary.changeSizeCFP
+  });
+  totalRow.font = { bold: true };
+  if (summary.invalidMovements > 0) {
+    sheet.addRow({ status: '说明', baselineName: `${summary.invalidMovements} 行数据移动类型不是 E/R/W/X，未计入 CFP` });
+  }
+  applyBorders(sheet);
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // ========== 工作表：变更明细 ==========
+  const detail = workbook.addWorksheet('变更明细');
+  detail.columns = [
+    { header: '功能过程', key: 'process', width: 30 },
+    { header: '变更类型', key: 'status', width: 10 },
+    { header: '数据移动类型', key: 'type', width: 12 },
+    { header: '基线子过程', key: 'baselineDesc', width: 28 },
+    { header: '基线数据组', key: 'baselineGroup', width: 24 },
+    { header: '基线数据属性', key: 'baselineAttrs', width: 36 },
+    { header: '新子过程', key: 'currentDesc', width: 28 },
+    { header: '新数据组', key: 'currentGroup', width: 24 },
+    { header: '新数据属性', key: 'currentAttrs', width: 36 },
+    { header: '变更说明', key: 'changes', width: 40 }
+  ];
+  styleHeader(detail.getRow(1));
+
+  diff.processes.forEach(p => {
+    p.movements.forEach(m => {
+      const changeText = m.changes.map(c => {
+        if (c.field === 'dataGroup') return `数据组: ${c.before} → ${c.after}`;
+        const parts = [];
+        if (c.added.length > 0) parts.push(`新增属性 ${c.added.join('、')}`);
+        if (c.removed.length > 0) parts.push(`删除属性 ${c.removed.join('、')}`);
+        return parts.join('；');
+      }).join('；');
+      const row = detail.addRow({
+        process: p.currentName || p.baselineName,
+        status: STATUS_LABELS[m.status],
+        type: m.dataMovementType,
+        baselineDesc: m.baseline?.subProcessDesc || '',
+        baselineGroup: m.baseline?.dataGroup || '',
+        baselineAttrs: m.baseline?.dataAttributes || '',
+        currentDesc: m.current?.subProcessDesc || '',
+        currentGroup: m.current?.dataGroup || '',
+        currentAttrs: m.current?.dataAttributes || '',
+        changes: changeText
+      });
+      row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: STATUS_FILLS[m.status] } };
+      row.alignment = { vertical: 'middle', wrapText: true };
+    });
+  });
+  applyBorders(detail);
+  detail.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  diffCosmicMeasurements,
+  addChangeSizeSheets,
+  textSimilarity,
+  STATUS_LABELS
+};
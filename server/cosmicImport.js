@@ -0,0 +1,458 @@
+/**
+ * COSMIC 数据导入模块
+ * 把 Excel（多工作表）、CSV、JSON 格式的度量数据统一解析为标准 COSMIC 行
+ *
+ * 功能特性：
+ * 1. 多工作表 - 可选择工作表，合并时按工作表名（或表中的模块/子系统列）标记所属模块
+ * 2. 列映射 - 按表头关键词自动识别列，用户可在预览中修正后再解析
+ * 3. 附加列 - CFP、复用度、备注等未映射的列保留在 extra 中
+ * 4. CSV - 自动识别分隔符和编码（UTF-8 / GB18030）
+ * 5. JSON - 支持行对象数组、{ data } / { tableData } 包装和 { sheets } 多表结构
+ */
+
+const ExcelJS = require('exceljs');
+const path = require('path');
+
+// 标准字段（关键词按优先级排序，先精确匹配再包含匹配）
+const COSMIC_FIELDS = [
+  { key: 'functionalUser', label: '功能用户', keywords: ['功能用户', '用户', 'functional user', 'user'] },
+  { key: 'triggerEvent', label: '触发事件', keywords: ['触发事件', '触发', 'trigger', 'event'] },
+  { key: 'functionalProcess', label: '功能过程', keywords: ['功能过程', '过程名称', 'functional process', '过程', 'process'] },
+  { key: 'subProcessDesc', label: '子过程描述', keywords: ['子过程描述', '子过程', 'sub process', 'subprocess', '描述', 'description'] },
+  { key: 'dataMovementType', label: '数据移动类型', keywords: ['数据移动类型', '数据移动', '移动类型', 'data movement', 'movement type', 'e/r/w/x', '类型', 'type'] },
+  { key: 'dataGroup', label: '数据组', keywords: ['数据组', '数据组名', 'data group', 'group'] },
+  { key: 'dataAttributes', label: '数据属性', keywords: ['数据属性', '属性', 'data attribute', 'attribute'] },
+  { key: 'module', label: '模块/子系统', keywords: ['子系统', '模块', 'subsystem', 'module'] }
+];
+
+const REQUIRED_FIELDS = ['functionalProcess', 'dataMovementType'];
+
+// 表头行识别关键词
+const HEADER_HINTS = ['功能过程', '数据移动', 'functional', '触发事件', '数据组', '子过程', 'functionalprocess', 'datamovementtype'];
+
+// 兼容旧格式的默认列顺序
+const DEFAULT_COLUMN_ORDER = ['functionalUser', 'triggerEvent', 'functionalProcess', 'subProcessDesc', 'dataMovementType', 'dataGroup', 'dataAttributes'];
+
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.csv', '.json'];
+
+// Excel 97-2003（BIFF .xls）文件的 OLE 复合文档头，ExcelJS 无法读取
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const LEGACY_EXCEL_ERROR = '暂不支持 .xls（Excel 97-2003）格式，请在 Excel 中另存为 .xlsx 后再上传';
+
+const PREVIEW_ROW_LIMIT = 5;
+
+// ==================== 单元格与表头 ====================
+
+/**
+ * ExcelJS 单元格值转文本（富文本、公式、超链接、日期）
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.error) return '';
+    return '';
+  }
+  return String(value).trim();
+}
+
+function isHeaderRow(cells) {
+  const text = cells.map(c => c.toLowerCase()).join(' ');
+  return HEADER_HINTS.some(hint => text.includes(hint));
+}
+
+/**
+ * 按表头自动识别列映射
+ * @param {Array<string>} headers - 表头文本
+ * @returns {Object} { 字段: 列索引 }
+ */
+function detectColumnMap(headers = []) {
+  const columnMap = {};
+  const used = new Set();
+  const normalized = headers.map(h => String(h || '').trim().toLowerCase());
+
+  // 第一轮：表头与关键词或字段名完全一致
+  COSMIC_FIELDS.forEach(field => {
+    const candidates = [field.key.toLowerCase(), ...field.keywords.map(k => k.toLowerCase())];
+    const idx = normalized.findIndex((h, i) => h && !used.has(i) && candidates.includes(h));
+    if (idx !== -1) {
+      columnMap[field.key] = idx;
+      used.add(idx);
+    }
+  });
+
+  // 第二轮：表头包含关键词（关键词优先级高于列顺序）
+  COSMIC_FIELDS.forEach(field => {
+    if (columnMap[field.key] !== undefined) return;
+    for (const keyword of field.keywords) {
+      const idx = normalized.findIndex((h, i) => h && !used.has(i) && h.includes(keyword.toLowerCase()));
+      if (idx !== -1) {
+        columnMap[field.key] = idx;
+        used.add(idx);
+        return;
+      }
+    }
+  });
+
+  return columnMap;
+}
+
+/**
+ * 合并用户修正的列映射
+ * columnMapping 的值可以是表头文本或列索引；空字符串表示不导入该字段；未给出的字段沿用自动识别
+ */
+function resolveColumnMap(headers, detected, columnMapping = {}) {
+  const columnMap = { ...detected };
+  Object.entries(columnMapping || {}).forEach(([field, value]) => {
+    if (!COSMIC_FIELDS.some(f => f.key === field)) return;
+    if (value === '' || value === null) {
+      delete columnMap[field];
+      return;
+    }
+    const idx = typeof value === 'number'
+      ? value
+      : headers.findIndex(h => h === String(value).trim());
+    if (idx >= 0 && idx < headers.length) {
+      columnMap[field] = idx;
+    }
+  });
+  return columnMap;
+}
+
+// ==================== 各格式读取 ====================
+
+/**
+ * 统一的表结构：{ name, headers, rows }，rows 为表头之后的单元格文本二维数组
+ */
+function buildTable(name, matrix) {
+  const nonEmpty = matrix.filter(cells => cells.some(c => c !== ''));
+  if (nonEmpty.length === 0) {
+    return { name, headers: [], rows: [], headerRowIndex: 0 };
+  }
+  let headerIdx = nonEmpty.findIndex(isHeaderRow);
+  if (headerIdx === -1) headerIdx = 0;
+  const headers = nonEmpty[headerIdx].map(h => h.trim());
+  return {
+    name,
+    headers,
+    rows: nonEmpty.slice(headerIdx + 1),
+    headerRowIndex: headerIdx + 1
+  };
+}
+
+async function readWorkbookTables(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  if (workbook.worksheets.length === 0) {
+    throw new Error('Excel文件中没有找到工作表');
+  }
+
+  return workbook.worksheets.map(worksheet => {
+    const matrix = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      const values = row.values.slice(1); // 去掉第一个空元素
+      const cells = [];
+      for (let i = 0; i < values.length; i++) {
+        cells[i] = cellText(values[i]);
+      }
+      matrix.push(cells);
+    });
+    return buildTable(worksheet.name, matrix);
+  });
+}
+
+function decodeText(buffer) {
+  const bytes = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, '');
+  } catch (e) {
+    // Excel 另存的中文 CSV 通常是 GBK 编码
+    return new TextDecoder('gb18030').decode(bytes);
+  }
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const candidates = [',', '\t', ';', '|'];
+  return candidates
+    .map(d => ({ d, count: firstLine.split(d).length - 1 }))
+    .sort((a, b) => b.count - a.count)[0].d;
+}
+
+/**
+ * 解析 CSV（支持引号包裹、转义引号和字段内换行）
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map(cells => cells.map(c => c.trim()));
+}
+
+function objectsToMatrix(items) {
+  if (items.length > 0 && Array.isArray(items[0])) {
+    return items.map(cells => cells.map(cellText));
+  }
+  // 之前导出的 JSON 中附加列保存在 extra 里，展开为普通列
+  const flat = items.map(({ extra, ...rest } = {}) => ({ ...rest, ...(extra || {}) }));
+  const headers = [];
+  flat.forEach(item => {
+    Object.keys(item).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  return [headers, ...flat.map(item => headers.map(h => cellText(item[h])))];
+}
+
+function readJsonTables(buffer, filename) {
+  let json;
+  try {
+    json = JSON.parse(decodeText(buffer));
+  } catch (e) {
+    throw new Error('JSON格式错误: ' + e.message);
+  }
+
+  const defaultName = path.basename(filename || 'data.json', path.extname(filename || ''));
+  const rowsOf = value => (Array.isArray(value) ? value : (value?.data || value?.tableData || value?.rows));
+
+  if (json && json.sheets) {
+    const entries = Array.isArray(json.sheets)
+      ? json.sheets.map((sheet, idx) => [sheet.name || `Sheet${idx + 1}`, rowsOf(sheet)])
+      : Object.entries(json.sheets).map(([name, value]) => [name, rowsOf(value)]);
+    return entries
+      .filter(([, rows]) => Array.isArray(rows))
+      .map(([name, rows]) => buildTable(name, objectsToMatrix(rows)));
+  }
+
+  const rows = rowsOf(json);
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON中未找到数据行（支持数组、{ data }、{ tableData }、{ rows } 或 { sheets }）');
+  }
+  return [buildTable(defaultName, objectsToMatrix(rows))];
+}
+
+/**
+ * 检查上传文件能否导入，返回不能导入的原因（可以导入时返回 null）
+ */
+function checkImportFile(buffer, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  // 按文件头识别旧版 .xls（包括被改名为 .xlsx 的情况），给出明确提示而不是解析器报错
+  if (ext === '.xls' || (ext === '.xlsx' && buffer.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE))) {
+    return LEGACY_EXCEL_ERROR;
+  }
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    return `不支持的文件格式: ${ext || '未知'}，请上传 ${SUPPORTED_EXTENSIONS.join(' / ')} 文件`;
+  }
+  return null;
+}
+
+/**
+ * 按文件扩展名读取所有表
+ * @returns {Promise<{format: string, tables: Array}>}
+ */
+async function readTables(buffer, filename) {
+  const unsupported = checkImportFile(buffer, filename);
+  if (unsupported) throw new Error(unsupported);
+
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.csv') {
+    const name = path.basename(filename, ext);
+    return { format: 'csv', tables: [buildTable(name, parseCsv(decodeText(buffer)))] };
+  }
+  if (ext === '.json') {
+    return { format: 'json', tables: readJsonTables(buffer, filename) };
+  }
+  return { format: 'excel', tables: await readWorkbookTables(buffer) };
+}
+
+// ==================== 预览与解析 ====================
+
+function selectTables(tables, sheets) {
+  if (sheets === 'all') {
+    return tables.filter(t => t.headers.length > 0);
+  }
+  const names = Array.isArray(sheets)
+    ? sheets
+    : (typeof sheets === 'string' && sheets ? sheets.split(',').map(s => s.trim()) : []);
+  if (names.length === 0) {
+    // 默认只解析第一个工作表（与旧版行为一致）
+    return tables.slice(0, 1);
+  }
+  const selected = tables.filter(t => names.includes(t.name));
+  if (selected.length === 0) {
+    throw new Error(`未找到工作表: ${names.join(', ')}`);
+  }
+  return selected;
+}
+
+/**
+ * 导入预览：列出所有工作表、自动识别的列映射和前几行样例，供用户修正列映射和选择工作表
+ */
+async function previewCosmicImport(buffer, filename) {
+  const { format, tables } = await readTables(buffer, filename);
+  return {
+    format,
+    fields: COSMIC_FIELDS.map(({ key, label }) => ({ key, label, required: REQUIRED_FIELDS.includes(key) })),
+    sheets: tables.map(table => {
+      const columnMap = detectColumnMap(table.headers);
+      return {
+        name: table.name,
+        headers: table.headers,
+        headerRowIndex: table.headerRowIndex,
+        rowCount: table.rows.length,
+        columnMap,
+        // 方便前端按表头名展示映射
+        mapping: Object.fromEntries(Object.entries(columnMap).map(([field, idx]) => [field, table.headers[idx]])),
+        missingFields: REQUIRED_FIELDS.filter(field => columnMap[field] === undefined),
+        sampleRows: table.rows.slice(0, PREVIEW_ROW_LIMIT)
+      };
+    })
+  };
+}
+
+function parseTableRows(table, columnMap, moduleName) {
+  const data = [];
+  const mappedColumns = new Set(Object.values(columnMap));
+
+  // 合并单元格只在首行有值，向下沿用
+  let currentFunctionalUser = '';
+  let currentTriggerEvent = '';
+  let currentFunctionalProcess = '';
+  let currentModule = '';
+
+  table.rows.forEach(cells => {
+    const getValue = (field) => {
+      const idx = columnMap[field];
+      if (idx === undefined) return '';
+      return (cells[idx] || '').trim();
+    };
+
+    if (getValue('functionalUser')) currentFunctionalUser = getValue('functionalUser');
+    if (getValue('triggerEvent')) currentTriggerEvent = getValue('triggerEvent');
+    if (getValue('functionalProcess')) currentFunctionalProcess = getValue('functionalProcess');
+    if (getValue('module')) currentModule = getValue('module');
+
+    const rowData = {
+      functionalUser: currentFunctionalUser,
+      triggerEvent: currentTriggerEvent,
+      functionalProcess: currentFunctionalProcess,
+      subProcessDesc: getValue('subProcessDesc'),
+      dataMovementType: getValue('dataMovementType').toUpperCase(),
+      dataGroup: getValue('dataGroup'),
+      dataAttributes: getValue('dataAttributes')
+    };
+
+    const moduleValue = currentModule || moduleName;
+    if (moduleValue) rowData.module = moduleValue;
+
+    // 未映射的列（如 CFP、复用度、备注）原样保留
+    const extra = {};
+    table.headers.forEach((header, idx) => {
+      if (header && !mappedColumns.has(idx) && cells[idx]) {
+        extra[header] = cells[idx];
+      }
+    });
+    if (Object.keys(extra).length > 0) rowData.extra = extra;
+
+    // 只添加有效数据行（至少有功能过程或子过程描述）
+    if (rowData.functionalProcess || rowData.subProcessDesc || rowData.dataMovementType) {
+      data.push(rowData);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * 解析 COSMIC 数据
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} filename - 文件名（用于识别格式）
+ * @param {Object} options - { sheets: 工作表名数组 | 逗号分隔 | 'all', columnMapping: { 字段: 表头文本|列索引 } }
+ */
+async function parseCosmicImport(buffer, filename, options = {}) {
+  const { sheets, columnMapping } = options;
+  const { format, tables } = await readTables(buffer, filename);
+  const selected = selectTables(tables, sheets);
+  const merged = selected.length > 1;
+
+  const data = [];
+  const sheetResults = selected.map(table => {
+    let columnMap = resolveColumnMap(table.headers, detectColumnMap(table.headers), columnMapping);
+
+    // 没有识别出任何列时，使用默认顺序（兼容旧格式）
+    if (Object.keys(columnMap).length === 0) {
+      console.log(`工作表 "${table.name}" 未找到匹配的表头，使用默认列顺序`);
+      columnMap = Object.fromEntries(DEFAULT_COLUMN_ORDER.map((field, idx) => [field, idx]));
+    }
+
+    // 合并多个工作表时以工作表名作为模块（表中有模块列时优先使用该列）
+    const rows = parseTableRows(table, columnMap, merged ? table.name : '');
+    data.push(...rows);
+    return { name: table.name, headers: table.headers, columnMap, rowCount: rows.length };
+  });
+
+  const first = sheetResults[0] || { headers: [], columnMap: {} };
+  console.log(`COSMIC数据导入(${format}): ${sheetResults.map(s => `${s.name}(${s.rowCount})`).join(', ')}`);
+
+  return {
+    format,
+    headers: first.headers,
+    columnMap: first.columnMap, // 返回列映射信息，方便前端显示
+    sheets: sheetResults,
+    availableSheets: tables.map(t => t.name),
+    modules: [...new Set(data.map(d => d.module).filter(Boolean))],
+    data,
+    rowCount: data.length,
+    functionalProcesses: [...new Set(data.map(d => d.functionalProcess).filter(Boolean))]
+  };
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  COSMIC_FIELDS,
+  SUPPORTED_EXTENSIONS,
+  checkImportFile,
+  cellText,
+  detectColumnMap,
+  parseCsv,
+  previewCosmicImport,
+  parseCosmicImport
+};
@@ -0,0 +1,196 @@
+/**
+ * COSMIC 功能规模度量模块
+ * 基于拆分结果计算CFP（COSMIC Function Point），并生成Excel度量报告工作表
+ *
+ * 每个数据移动（E/R/W/X）计为 1 CFP，功能过程的规模为其数据移动数之和
+ */
+
+const { groupByFunctionalProcess, MOVEMENT_TYPES } = require('./cosmicValidator');
+
+// ==================== CFP 计算 ====================
+
+function emptyCounts() {
+  return { E: 0, R: 0, W: 0, X: 0, CFP: 0 };
+}
+
+function addMovement(counts, type) {
+  if (MOVEMENT_TYPES.includes(type)) {
+    counts[type]++;
+    counts.CFP++;
+  }
+}
+
+/**
+ * 计算CFP汇总
+ * @param {Array} tableData - 拆分结果行
+ * @returns {Object} { processes, byFunctionalUser, byTriggerEvent, total }
+ */
+function calculateCfpSummary(tableData = []) {
+  const processes = groupByFunctionalProcess(tableData).map(group => {
+    const counts = emptyCounts();
+    group.rows.forEach(row => addMovement(counts, (row.dataMovementType || '').toUpperCase()));
+    return {
+      functionalUser: group.functionalUser,
+      triggerEvent: group.triggerEvent,
+      functionalProcess: group.functionalProcess,
+      subProcessCount: group.rows.length,
+      ...counts
+    };
+  });
+
+  const aggregate = (key) => {
+    const map = new Map();
+    processes.forEach(p => {
+      const name = p[key] || '(未填写)';
+      if (!map.has(name)) {
+        map.set(name, { name, processCount: 0, ...emptyCounts() });
+      }
+      const item = map.get(name);
+      item.processCount++;
+      ['E', 'R', 'W', 'X', 'CFP'].forEach(t => { item[t] += p[t]; });
+    });
+    return Array.from(map.values());
+  };
+
+  const total = { processCount: processes.length, ...emptyCounts() };
+  processes.forEach(p => {
+    ['E', 'R', 'W', 'X', 'CFP'].forEach(t => { total[t] += p[t]; });
+  });
+
+  return {
+    processes,
+    byFunctionalUser: aggregate('functionalUser'),
+    byTriggerEvent: aggregate('triggerEvent'),
+    total
+  };
+}
+
+// ==================== Excel 工作表 ====================
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+const SECTION_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+const TOTAL_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+const THIN_BORDER = {
+  top: { style: 'thin' },
+  left: { style: 'thin' },
+  bottom: { style: 'thin' },
+  right: { style: 'thin' }
+};
+
+function styleHeaderRow(row) {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.fill = HEADER_FILL;
+  row.alignment = { vertical: 'middle', horizontal: 'center' };
+  row.height = 25;
+}
+
+function addBorders(worksheet) {
+  worksheet.eachRow(row => {
+    row.eachCell(cell => {
+      cell.border = THIN_BORDER;
+    });
+  });
+}
+
+/**
+ * 追加一个分组汇总区块（按功能用户 / 按触发事件）
+ */
+function addAggregateSection(worksheet, title, label, items) {
+  worksheet.addRow([]);
+  const titleRow = worksheet.addRow([title]);
+  titleRow.font = { bold: true, size: 12 };
+  titleRow.fill = SECTION_FILL;
+  worksheet.mergeCells(titleRow.number, 1, titleRow.number, 7);
+
+  styleHeaderRow(worksheet.addRow([label, '功能过程数', 'E', 'R', 'W', 'X', 'CFP']));
+  items.forEach(item => {
+    worksheet.addRow([item.name, item.processCount, item.E, item.R, item.W, item.X, item.CFP]);
+  });
+}
+
+/**
+ * 向工作簿追加CFP度量汇总表与度量元数据表
+ * @param {ExcelJS.Workbook} workbook
+ * @param {Array} tableData - 拆分结果行
+ * @param {Object} metadata - { scope, measurer, date, model, purpose }
+ * @returns {Object} CFP汇总结果
+ */
+function addMeasurementSheets(workbook, tableData, metadata = {}) {
+  const summary = calculateCfpSummary(tableData);
+
+  // ========== 工作表：CFP度量汇总 ==========
+  const cfpSheet = workbook.addWorksheet('CFP度量汇总');
+  cfpSheet.columns = [
+    { header: '功能用户', key: 'functionalUser', width: 25 },
+    { header: '触发事件', key: 'triggerEvent', width: 20 },
+    { header: '功能过程', key: 'functionalProcess', width: 35 },
+    { header: 'E', key: 'E', width: 8 },
+    { header: 'R', key: 'R', width: 8 },
+    { header: 'W', key: 'W', width: 8 },
+    { header: 'X', key: 'X', width: 8 },
+    { header: 'CFP', key: 'CFP', width: 10 }
+  ];
+  styleHeaderRow(cfpSheet.getRow(1));
+
+  summary.processes.forEach((p, index) => {
+    const row = cfpSheet.addRow(p);
+    if (index % 2 === 1) {
+      row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF2F2F2' } };
+    }
+    row.alignment = { vertical: 'middle', wrapText: true };
+  });
+
+  const totalRow = cfpSheet.addRow({
+    functionalUser: '合计',
+    functionalProcess: `${summary.total.processCount} 个功能过程`,
+    E: summary.total.E,
+    R: summary.total.R,
+    W: summary.total.W,
+    X: summary.total.X,
+    CFP: summary.total.CFP
+  });
+  totalRow.font = { bold: true };
+  totalRow.fill = TOTAL_FILL;
+
+  // 分组汇总区块使用前7列：名称 | 功能过程数 | E | R | W | X | CFP
+  addAggregateSection(cfpSheet, '按功能用户汇总', '功能用户', summary.byFunctionalUser);
+  addAggregateSection(cfpSheet, '按触发事件汇总', '触发事件', summary.byTriggerEvent);
+  addBorders(cfpSheet);
+  cfpSheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // ========== 工作表：度量元数据 ==========
+  const metaSheet = workbook.addWorksheet('度量元数据');
+  metaSheet.columns = [
+    { header: '项目', key: 'key', width: 20 },
+    { header: '内容', key: 'value', width: 60 }
+  ];
+  styleHeaderRow(metaSheet.getRow(1));
+
+  const measuredAt = metadata.date ? new Date(metadata.date) : new Date();
+  const metaRows = [
+    { key: '度量范围', value: metadata.scope || '' },
+    { key: '度量目的', value: metadata.purpose || '' },
+    { key: '度量人员', value: metadata.measurer || '' },
+    { key: '度量日期', value: isNaN(measuredAt.getTime()) ? String(metadata.date) : measuredAt.toLocaleString('zh-CN', { hour12: false }) },
+    { key: '使用模型', value: metadata.model || process.env.OPENAI_MODEL || 'glm-4-flash' },
+    { key: '度量方法', value: 'COSMIC（ISO/IEC 19761），每个数据移动计 1 CFP' },
+    { key: '功能过程数', value: summary.total.processCount },
+    { key: '数据移动数', value: tableData.length },
+    { key: '总规模(CFP)', value: summary.total.CFP }
+  ];
+  metaRows.forEach(r => {
+    const row = metaSheet.addRow(r);
+    row.getCell(1).font = { bold: true };
+    row.alignment = { vertical: 'middle', wrapText: true };
+  });
+  addBorders(metaSheet);
+
+  return summary;
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  calculateCfpSummary,
+  addMeasurementSheets
+};
@@ -0,0 +1,330 @@
+/**
+ * COSMIC 拆分表往返编辑模块
+ * 导出的 Excel 经人工修改后重新导入，识别自上次 AI 生成以来被修改、新增、删除的行，并在后续分析中保护人工修改
+ *
+ * 原理：
+ * 1. AI 生成的每一行记录内容指纹 aiHash（parse-table 解析和自动修复时写入）
+ * 2. 导出 Excel 时把 aiHash 写入隐藏列"行标识"，并在隐藏工作表中记录导出的全部行
+ * 3. 重新导入时比较当前内容指纹与 aiHash：一致为未修改，不一致为人工修改，无标识为人工新增，导出过但缺失为人工删除
+ * 4. 含人工修改的功能过程在继续分析、对话解析和自动修复时保持不变
+ */
+
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { parseCosmicImport } = require('./cosmicImport');
+const { addMeasurementSheets } = require('./cosmicMeasurement');
+
+const ROW_ID_HEADER = '行标识';
+const ROUND_TRIP_SHEET = '_往返编辑';
+
+const HASH_FIELDS = ['functionalUser', 'triggerEvent', 'functionalProcess', 'subProcessDesc', 'dataMovementType', 'dataGroup', 'dataAttributes'];
+
+// 编辑状态
+const EDIT_STATUS = {
+  modified: '人工修改',
+  added: '人工新增'
+};
+
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+// ==================== 行指纹 ====================
+
+/**
+ * 行内容指纹（只取标准字段，忽略空白差异和类型大小写）
+ */
+function hashRow(row) {
+  const content = HASH_FIELDS
+    .map(field => {
+      const value = String(row[field] || '').replace(/\s+/g, ' ').trim();
+      return field === 'dataMovementType' ? value.toUpperCase() : value;
+    })
+    .join('\u0001');
+  return crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * 为 AI 生成的行记录指纹（已有指纹的行保持不变）
+ */
+function stampAiRows(rows = []) {
+  return rows.map(row => (row.aiHash ? row : { ...row, aiHash: hashRow(row) }));
+}
+
+function isHumanEdited(row) {
+  if (EDIT_STATUS[row.editStatus]) return true;
+  return !!row.aiHash && hashRow(row) !== row.aiHash;
+}
+
+/**
+ * 含人工修改行的功能过程名称
+ */
+function getEditedProcesses(rows = []) {
+  return [...new Set(rows.filter(isHumanEdited).map(r => r.functionalProcess).filter(Boolean))];
+}
+
+// ==================== 合并 ====================
+
+/**
+ * 合并新生成的行，保留人工修改过的功能过程
+ * @param {Array} existing - 当前表格
+ * @param {Array} incoming - 新生成的行
+ * @param {string} mode - append：追加到当前表格之后；replace：以新生成的行为准（人工修改的功能过程保留在原位置）
+ * @returns {{tableData: Array, preservedProcesses: Array<string>, droppedRows: number}}
+ */
+function mergePreservingEdits(existing = [], incoming = [], mode = 'append') {
+  const locked = new Map();
+  existing.forEach(row => {
+    const key = normalizeName(row.functionalProcess);
+    if (!key) return;
+    if (!locked.has(key) && isHumanEdited(row)) locked.set(key, []);
+  });
+  existing.forEach(row => {
+    const key = normalizeName(row.functionalProcess);
+    if (locked.has(key)) locked.get(key).push(row);
+  });
+
+  let droppedRows = 0;
+  const preserved = new Set();
+
+  if (mode === 'replace') {
+    const tableData = [];
+    incoming.forEach(row => {
+      const key = normalizeName(row.functionalProcess);
+      if (!locked.has(key)) {
+        tableData.push(row);
+        return;
+      }
+      droppedRows++;
+      if (!preserved.has(key)) {
+        preserved.add(key);
+        tableData.push(...locked.get(key));
+      }
+    });
+    // 新结果中没有出现的人工修改功能过程同样保留
+    locked.forEach((rows, key) => {
+      if (!preserved.has(key)) {
+        preserved.add(key);
+        tableData.push(...rows);
+      }
+    });
+    return {
+      tableData,
+      preservedProcesses: Array.from(locked.values()).map(rows => rows[0].functionalProcess),
+      droppedRows
+    };
+  }
+
+  const accepted = incoming.filter(row => {
+    const key = normalizeName(row.functionalProcess);
+    if (locked.has(key)) {
+      droppedRows++;
+      preserved.add(locked.get(key)[0].functionalProcess);
+      return false;
+    }
+    return true;
+  });
+  return {
+    tableData: [...existing, ...accepted],
+    preservedProcesses: Array.from(preserved),
+    droppedRows
+  };
+}
+
+// ==================== 导出 ====================
+
+/**
+ * 导出时在隐藏工作表中记录全部行标识，用于重新导入时识别被删除的行
+ */
+function addRoundTripSheet(workbook, tableData = []) {
+  const sheet = workbook.addWorksheet(ROUND_TRIP_SHEET, { state: 'veryHidden' });
+  sheet.columns = [
+    { header: ROW_ID_HEADER, key: 'rowId', width: 16 },
+    { header: '功能过程', key: 'functionalProcess', width: 30 },
+    { header: '子过程描述', key: 'subProcessDesc', width: 35 },
+    { header: '数据移动类型', key: 'dataMovementType', width: 12 },
+    { header: '编辑状态', key: 'editStatus', width: 12 }
+  ];
+  tableData.forEach(row => {
+    sheet.addRow({
+      rowId: row.aiHash || '',
+      functionalProcess: row.functionalProcess || '',
+      subProcessDesc: row.subProcessDesc || '',
+      dataMovementType: row.dataMovementType || '',
+      editStatus: row.editStatus || ''
+    });
+  });
+  sheet.getCell('G1').value = '导出时间';
+  sheet.getCell('H1').value = new Date().toISOString();
+  return sheet;
+}
+
+/**
+ * 构建 COSMIC 拆分结果工作簿（/api/export-excel 导出的文件）
+ * 拆分结果工作表带隐藏的行标识列，另附 CFP 度量汇总、度量元数据和往返编辑工作表
+ * @param {Array} tableData - 拆分表行
+ * @param {Object} metadata - 度量元数据 { scope, purpose, measurer, date, model }
+ * @returns {ExcelJS.Workbook}
+ */
+function buildCosmicWorkbook(tableData = [], metadata = {}) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Cosmic拆分结果');
+
+  // 设置列
+  worksheet.columns = [
+    { header: '功能用户', key: 'functionalUser', width: 25 },
+    { header: '触发事件', key: 'triggerEvent', width: 15 },
+    { header: '功能过程', key: 'functionalProcess', width: 30 },
+    { header: '子过程描述', key: 'subProcessDesc', width: 35 },
+    { header: '数据移动类型', key: 'dataMovementType', width: 15 },
+    { header: '数据组', key: 'dataGroup', width: 25 },
+    { header: '数据属性', key: 'dataAttributes', width: 50 },
+    // 隐藏列：AI生成时的行指纹，重新导入时用于识别人工修改
+    { header: ROW_ID_HEADER, key: 'rowId', width: 14, hidden: true }
+  ];
+
+  // 设置表头样式
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' }
+  };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+  headerRow.height = 25;
+
+  // 添加数据
+  tableData.forEach((row, index) => {
+    const dataRow = worksheet.addRow({
+      functionalUser: row.functionalUser || '',
+      triggerEvent: row.triggerEvent || '',
+      functionalProcess: row.functionalProcess || '',
+      subProcessDesc: row.subProcessDesc || '',
+      dataMovementType: row.dataMovementType || '',
+      dataGroup: row.dataGroup || '',
+      dataAttributes: row.dataAttributes || '',
+      rowId: row.aiHash || ''
+    });
+
+    // 交替行颜色
+    if (index % 2 === 1) {
+      dataRow.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFF2F2F2' }
+      };
+    }
+
+    dataRow.alignment = { vertical: 'middle', wrapText: true };
+  });
+
+  // 添加边框
+  worksheet.eachRow((row, rowNumber) => {
+    row.eachCell((cell) => {
+      cell.border = {
+        top: { style: 'thin' },
+        left: { style: 'thin' },
+        bottom: { style: 'thin' },
+        right: { style: 'thin' }
+      };
+    });
+  });
+
+  // CFP度量汇总 + 度量元数据
+  addMeasurementSheets(workbook, tableData, metadata);
+
+  // 往返编辑：记录导出的全部行标识
+  addRoundTripSheet(workbook, tableData);
+
+  return workbook;
+}
+
+async function readRoundTripSheet(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.getWorksheet(ROUND_TRIP_SHEET);
+  if (!sheet) return null;
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    rows.push({
+      rowId: String(row.getCell(1).value || ''),
+      functionalProcess: String(row.getCell(2).value || ''),
+      subProcessDesc: String(row.getCell(3).value || ''),
+      dataMovementType: String(row.getCell(4).value || '')
+    });
+  });
+  const exportedAt = sheet.getCell('H1').value;
+  return { rows, exportedAt: exportedAt ? String(exportedAt) : null };
+}
+
+// ==================== 导入 ====================
+
+/**
+ * 导入人工修改后的拆分表
+ * 合并单元格/留空的功能用户、触发事件、功能过程按 parse-table 相同的方式向下沿用
+ * @returns {Promise<Object>} { tableData, summary, deletedRows, hasRoundTripMetadata, exportedAt }
+ */
+async function importEditedWorkbook(buffer, filename) {
+  const parsed = await parseCosmicImport(buffer, filename);
+  const metadata = filename.toLowerCase().endsWith('.xlsx') ? await readRoundTripSheet(buffer) : null;
+  const hasRoundTripMetadata = !!metadata || parsed.headers.includes(ROW_ID_HEADER);
+
+  const summary = { total: 0, unchanged: 0, modified: 0, added: 0, deleted: 0 };
+  const seenIds = new Set();
+
+  const tableData = parsed.data.map(source => {
+    const { extra, ...row } = source;
+    const rest = { ...(extra || {}) };
+    const rowId = (rest[ROW_ID_HEADER] || '').trim();
+    delete rest[ROW_ID_HEADER];
+    if (Object.keys(rest).length > 0) row.extra = rest;
+
+    summary.total++;
+    if (!hasRoundTripMetadata) return row;
+
+    if (!rowId) {
+      row.editStatus = 'added';
+      summary.added++;
+      return row;
+    }
+    seenIds.add(rowId);
+    row.aiHash = rowId;
+    if (hashRow(row) !== rowId) {
+      row.editStatus = 'modified';
+      summary.modified++;
+    } else {
+      summary.unchanged++;
+    }
+    return row;
+  });
+
+  const deletedRows = (metadata?.rows || []).filter(r => r.rowId && !seenIds.has(r.rowId));
+  summary.deleted = deletedRows.length;
+
+  return {
+    tableData,
+    summary,
+    deletedRows,
+    editedProcesses: getEditedProcesses(tableData),
+    hasRoundTripMetadata,
+    exportedAt: metadata?.exportedAt || null
+  };
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  ROW_ID_HEADER,
+  EDIT_STATUS,
+  hashRow,
+  stampAiRows,
+  isHumanEdited,
+  getEditedProcesses,
+  mergePreservingEdits,
+  addRoundTripSheet,
+  buildCosmicWorkbook,
+  importEditedWorkbook
+};
@@ -0,0 +1,530 @@
+/**
+ * COSMIC 规则校验模块
+ * 对 parse-table 产出的拆分结果做确定性规则检查，并支持只针对不合规功能过程的AI自动修复
+ *
+ * 校验规则：
+ * 1. 数据移动类型 - 只允许 E/R/W/X
+ * 2. 必备类型 - 每个功能过程至少 1 个 E、1 个 X、1 个 R 或 W
+ * 3. 顺序 - E 开头，X 结尾，中间为 R/W（E → R/W → X）
+ * 4. 子过程数量 - 每个功能过程至少 3 个子过程
+ * 5. 数据组唯一 - 整张表内数据组不得重复
+ * 6. 数据属性唯一 - 整张表内数据属性集合不得完全相同，且至少 3 个字段
+ * 7. 命名规范 - 功能过程名称为"动词 + 业务对象"
+ */
+
+// ==================== 规则定义 ====================
+
+const MOVEMENT_TYPES = ['E', 'R', 'W', 'X'];
+
+const MIN_SUB_PROCESSES = 3;
+const MIN_ATTRIBUTES = 3;
+
+const VIOLATION_TYPES = {
+  INVALID_MOVEMENT: { code: 'INVALID_MOVEMENT', severity: 'error', name: '数据移动类型无效' },
+  MISSING_ENTRY: { code: 'MISSING_ENTRY', severity: 'error', name: '缺少输入(E)' },
+  MISSING_EXIT: { code: 'MISSING_EXIT', severity: 'error', name: '缺少输出(X)' },
+  MISSING_READ_WRITE: { code: 'MISSING_READ_WRITE', severity: 'error', name: '缺少读取(R)或写入(W)' },
+  ORDER_FIRST_NOT_ENTRY: { code: 'ORDER_FIRST_NOT_ENTRY', severity: 'error', name: '首个子过程不是输入(E)' },
+  ORDER_LAST_NOT_EXIT: { code: 'ORDER_LAST_NOT_EXIT', severity: 'error', name: '最后一个子过程不是输出(X)' },
+  ORDER_OUT_OF_SEQUENCE: { code: 'ORDER_OUT_OF_SEQUENCE', severity: 'error', name: '数据移动顺序不符合 E→R/W→X' },
+  TOO_FEW_SUB_PROCESSES: { code: 'TOO_FEW_SUB_PROCESSES', severity: 'error', name: '子过程数量不足' },
+  DUPLICATE_PROCESS: { code: 'DUPLICATE_PROCESS', severity: 'error', name: '功能过程行不连续' },
+  DUPLICATE_DATA_GROUP: { code: 'DUPLICATE_DATA_GROUP', severity: 'error', name: '数据组重复' },
+  DUPLICATE_ATTRIBUTES: { code: 'DUPLICATE_ATTRIBUTES', severity: 'error', name: '数据属性重复' },
+  TOO_FEW_ATTRIBUTES: { code: 'TOO_FEW_ATTRIBUTES', severity: 'warning', name: '数据属性不足3个' },
+  NAMING_NOT_VERB_OBJECT: { code: 'NAMING_NOT_VERB_OBJECT', severity: 'warning', name: '功能过程名称不是"动词+对象"' }
+};
+
+// 功能过程名称常见的起始动词（按长度倒序匹配）
+const PROCESS_VERBS = [
+  '查询', '查看', '检索', '搜索', '浏览', '获取', '读取', '加载', '统计', '分析', '计算', '汇总', '展示', '显示', '预览',
+  '新增', '添加', '新建', '创建', '录入', '登记', '注册', '上报', '提交', '申请', '发起', '生成', '上传', '导入',
+  '修改', '编辑', '更新', '变更', '调整', '配置', '设置', '维护', '重置', '绑定', '解绑', '关联',
+  '删除', '移除', '清除', '清理', '注销', '撤销', '撤回', '作废', '归档', '停用', '启用', '禁用', '冻结', '解冻',
+  '审核', '审批', '复核', '确认', '驳回', '退回', '核查', '校验', '验证', '检测', '检查', '评估', '评审', '巡检',
+  '导出', '下载', '打印', '发送', '推送', '通知', '分发', '派发', '派单', '转派', '分配', '指派', '调度', '同步', '备份', '恢复',
+  '登录', '登出', '退出', '处理', '处置', '执行', '启动', '停止', '暂停', '关闭', '打开', '监控', '监测', '采集', '订阅',
+  '预警', '告警', '标记', '排序', '筛选', '对比', '比对', '匹配', '识别', '诊断', '跟踪', '追踪', '签收', '回复', '评价', '反馈'
+].sort((a, b) => b.length - a.length);
+
+// ==================== 工具函数 ====================
+
+function normalizeMovement(type) {
+  return (type || '').toString().trim().toUpperCase();
+}
+
+/**
+ * 将数据属性字符串拆成规范化的字段集合（支持 | , 、 ， ; 分隔）
+ */
+function splitAttributes(dataAttributes) {
+  return (dataAttributes || '')
+    .split(/[|,、，;；]/)
+    .map(f => f.trim())
+    .filter(Boolean);
+}
+
+function attributeSetKey(dataAttributes) {
+  return splitAttributes(dataAttributes)
+    .map(f => f.toLowerCase())
+    .sort()
+    .join('|');
+}
+
+function isRowObject(row) {
+  return !!row && typeof row === 'object' && !Array.isArray(row);
+}
+
+/**
+ * 按功能过程分组，保留首次出现的顺序
+ * 同名功能过程被其他行隔开时仍合并为一组（度量、差异对比、追溯按功能过程名称统计）
+ * 每行附带 rowNumber（在表格中的序号，从1开始）；非对象行跳过
+ */
+function groupByFunctionalProcess(tableData) {
+  const groups = new Map();
+  let currentProcess = '';
+
+  tableData.forEach((row, index) => {
+    if (!isRowObject(row)) return;
+    if (row.functionalProcess) currentProcess = row.functionalProcess;
+    const processName = currentProcess || '(未命名功能过程)';
+
+    if (!groups.has(processName)) {
+      groups.set(processName, {
+        functionalProcess: processName,
+        functionalUser: row.functionalUser || '',
+        triggerEvent: row.triggerEvent || '',
+        rows: []
+      });
+    }
+    groups.get(processName).rows.push({ ...row, rowNumber: index + 1 });
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * 按功能过程的连续行分组，仅用于校验：同名功能过程被其他行隔开时形成多个分组（occurrence 依次递增），
+ * 后出现的分组报告 DUPLICATE_PROCESS，且各段分别检查移动顺序
+ */
+function groupByProcessRuns(tableData) {
+  const groups = [];
+  const occurrences = new Map();
+  let currentProcess = '';
+  let current = null;
+
+  tableData.forEach((row, index) => {
+    if (!isRowObject(row)) return;
+    if (row.functionalProcess) currentProcess = row.functionalProcess;
+    const processName = currentProcess || '(未命名功能过程)';
+
+    if (!current || current.functionalProcess !== processName) {
+      const occurrence = (occurrences.get(processName) || 0) + 1;
+      occurrences.set(processName, occurrence);
+      current = {
+        functionalProcess: processName,
+        functionalUser: row.functionalUser || '',
+        triggerEvent: row.triggerEvent || '',
+        occurrence,
+        rows: []
+      };
+      groups.push(current);
+    }
+    current.rows.push({ ...row, rowNumber: index + 1 });
+  });
+
+  return groups;
+}
+
+function startsWithVerb(name) {
+  const trimmed = (name || '').trim();
+  const verb = PROCESS_VERBS.find(v => trimmed.startsWith(v));
+  // 动词之后必须还有业务对象
+  return !!verb && trimmed.length > verb.length;
+}
+
+function createViolation(type, rows, message) {
+  return {
+    code: type.code,
+    severity: type.severity,
+    name: type.name,
+    rows,
+    message
+  };
+}
+
+// ==================== 单个功能过程校验 ====================
+
+function validateFunctionalProcess(group) {
+  const violations = [];
+  const { rows } = group;
+  const movements = rows.map(r => normalizeMovement(r.dataMovementType));
+
+  // 规则1：数据移动类型
+  rows.forEach((row, i) => {
+    if (!MOVEMENT_TYPES.includes(movements[i])) {
+      violations.push(createViolation(
+        VIOLATION_TYPES.INVALID_MOVEMENT,
+        [row.rowNumber],
+        `第 ${row.rowNumber} 行的数据移动类型 "${row.dataMovementType || ''}" 无效，应为 E/R/W/X 之一`
+      ));
+    }
+  });
+
+  // 规则2：必备类型
+  const allRowNumbers = rows.map(r => r.rowNumber);
+  if (!movements.includes('E')) {
+    violations.push(createViolation(VIOLATION_TYPES.MISSING_ENTRY, allRowNumbers, '功能过程缺少触发输入(E)'));
+  }
+  if (!movements.includes('X')) {
+    violations.push(createViolation(VIOLATION_TYPES.MISSING_EXIT, allRowNumbers, '功能过程缺少结果输出(X)'));
+  }
+  if (!movements.includes('R') && !movements.includes('W')) {
+    violations.push(createViolation(VIOLATION_TYPES.MISSING_READ_WRITE, allRowNumbers, '功能过程中间至少需要1个读取(R)或写入(W)'));
+  }
+
+  // 规则3：顺序 E → R/W → X
+  if (movements.length > 0) {
+    if (movements[0] !== 'E' && movements.includes('E')) {
+      violations.push(createViolation(
+        VIOLATION_TYPES.ORDER_FIRST_NOT_ENTRY,
+        [rows[0].rowNumber],
+        `第 ${rows[0].rowNumber} 行为 ${movements[0] || '空'}，功能过程应以 E 开头`
+      ));
+    }
+    const lastIdx = movements.length - 1;
+    if (movements[lastIdx] !== 'X' && movements.includes('X')) {
+      violations.push(createViolation(
+        VIOLATION_TYPES.ORDER_LAST_NOT_EXIT,
+        [rows[lastIdx].rowNumber],
+        `第 ${rows[lastIdx].rowNumber} 行为 ${movements[lastIdx] || '空'}，功能过程应以 X 结尾`
+      ));
+    }
+
+    // 阶段：0=E段，1=R/W段，2=X段；阶段只能前进
+    const phaseOf = { E: 0, R: 1, W: 1, X: 2 };
+    let phase = 0;
+    rows.forEach((row, i) => {
+      const p = phaseOf[movements[i]];
+      if (p === undefined) return;
+      if (p < phase) {
+        violations.push(createViolation(
+          VIOLATION_TYPES.ORDER_OUT_OF_SEQUENCE,
+          [row.rowNumber],
+          `第 ${row.rowNumber} 行的 ${movements[i]} 出现在 ${phase === 2 ? 'X' : 'R/W'} 之后`
+        ));
+      } else {
+        phase = p;
+      }
+    });
+  }
+
+  // 规则4：子过程数量
+  if (rows.length < MIN_SUB_PROCESSES) {
+    violations.push(createViolation(
+      VIOLATION_TYPES.TOO_FEW_SUB_PROCESSES,
+      allRowNumbers,
+      `仅有 ${rows.length} 个子过程，至少需要 ${MIN_SUB_PROCESSES} 个`
+    ));
+  }
+
+  // 规则6（局部）：数据属性数量
+  rows.forEach(row => {
+    const count = splitAttributes(row.dataAttributes).length;
+    if (count < MIN_ATTRIBUTES) {
+      violations.push(createViolation(
+        VIOLATION_TYPES.TOO_FEW_ATTRIBUTES,
+        [row.rowNumber],
+        `第 ${row.rowNumber} 行数据属性只有 ${count} 个，至少需要 ${MIN_ATTRIBUTES} 个`
+      ));
+    }
+  });
+
+  // 同名功能过程被其他行隔开
+  if (group.occurrence > 1) {
+    violations.push(createViolation(
+      VIOLATION_TYPES.DUPLICATE_PROCESS,
+      allRowNumbers,
+      `功能过程 "${group.functionalProcess}" 在第 ${rows[0].rowNumber} 行再次出现，同一功能过程的子过程应连续排列`
+    ));
+  }
+
+  // 规则7：命名规范
+  if (!startsWithVerb(group.functionalProcess)) {
+    violations.push(createViolation(
+      VIOLATION_TYPES.NAMING_NOT_VERB_OBJECT,
+      [rows[0].rowNumber],
+      `功能过程 "${group.functionalProcess}" 应以动词开头并包含业务对象（如"查询告警记录"）`
+    ));
+  }
+
+  return violations;
+}
+
+// ==================== 整表校验 ====================
+
+/**
+ * 校验COSMIC拆分表
+ * @param {Array} tableData - parse-table 返回的行数组
+ * @returns {Object} 校验报告：summary + 每个功能过程的违规列表
+ */
+function validateCosmicTable(tableData = []) {
+  const rowsInput = Array.isArray(tableData) ? tableData : [];
+  const groups = groupByProcessRuns(rowsInput);
+  const processMap = new Map();
+
+  // 非对象行（null、字符串、数组等）无法校验，单独报告
+  const invalidRows = [];
+  rowsInput.forEach((row, index) => {
+    if (!isRowObject(row)) {
+      invalidRows.push({
+        rowNumber: index + 1,
+        message: `第 ${index + 1} 行不是有效的数据行（${row === null ? 'null' : Array.isArray(row) ? 'array' : typeof row}）`
+      });
+    }
+  });
+
+  groups.forEach(group => {
+    processMap.set(group, {
+      functionalProcess: group.functionalProcess,
+      functionalUser: group.functionalUser,
+      triggerEvent: group.triggerEvent,
+      rows: group.rows.map(r => r.rowNumber),
+      movements: group.rows.map(r => normalizeMovement(r.dataMovementType)).join(''),
+      violations: validateFunctionalProcess(group)
+    });
+  });
+
+  // 规则5/6（全局）：数据组与数据属性集合唯一
+  const seenGroups = new Map();
+  const seenAttrs = new Map();
+  groups.forEach(group => {
+    group.rows.forEach(row => {
+      const groupKey = (row.dataGroup || '').trim().toLowerCase();
+      if (groupKey) {
+        if (seenGroups.has(groupKey)) {
+          const first = seenGroups.get(groupKey);
+          processMap.get(group).violations.push(createViolation(
+            VIOLATION_TYPES.DUPLICATE_DATA_GROUP,
+            [first, row.rowNumber],
+            `第 ${row.rowNumber} 行数据组 "${row.dataGroup}" 与第 ${first} 行重复`
+          ));
+        } else {
+          seenGroups.set(groupKey, row.rowNumber);
+        }
+      }
+
+      const attrKey = attributeSetKey(row.dataAttributes);
+      if (attrKey) {
+        if (seenAttrs.has(attrKey)) {
+          const first = seenAttrs.get(attrKey);
+          processMap.get(group).violations.push(createViolation(
+            VIOLATION_TYPES.DUPLICATE_ATTRIBUTES,
+            [first, row.rowNumber],
+            `第 ${row.rowNumber} 行数据属性与第 ${first} 行完全相同`
+          ));
+        } else {
+          seenAttrs.set(attrKey, row.rowNumber);
+        }
+      }
+    });
+  });
+
+  const processes = Array.from(processMap.values()).map(p => ({
+    ...p,
+    passed: !p.violations.some(v => v.severity === 'error')
+  }));
+
+  const allViolations = processes.flatMap(p => p.violations);
+  const byCode = {};
+  allViolations.forEach(v => {
+    byCode[v.code] = (byCode[v.code] || 0) + 1;
+  });
+
+  return {
+    valid: invalidRows.length === 0 && processes.every(p => p.passed),
+    summary: {
+      totalRows: rowsInput.length,
+      invalidRowCount: invalidRows.length,
+      totalProcesses: processes.length,
+      passedProcesses: processes.filter(p => p.passed).length,
+      failedProcesses: processes.filter(p => !p.passed).length,
+      errorCount: allViolations.filter(v => v.severity === 'error').length,
+      warningCount: allViolations.filter(v => v.severity === 'warning').length,
+      byCode
+    },
+    processes,
+    invalidRows
+  };
+}
+
+// ==================== Markdown 表格解析 ====================
+
+/**
+ * 轻量解析COSMIC Markdown表格（7列），处理合并单元格留空的情况
+ */
+function parseMarkdownTable(markdown = '') {
+  const lines = markdown.split('\n').filter(line => line.trim().startsWith('|'));
+  const rows = [];
+  let currentUser = '';
+  let currentTrigger = '';
+  let currentProcess = '';
+
+  lines.forEach(line => {
+    const cells = line.split('|');
+    if (cells.length > 0 && cells[0].trim() === '') cells.shift();
+    if (cells.length > 0 && cells[cells.length - 1].trim() === '') cells.pop();
+    const trimmed = cells.map(c => c.trim());
+
+    // 跳过表头和分隔行
+    if (trimmed.every(c => /^:?-{2,}:?$/.test(c) || c === '')) return;
+    if (trimmed.includes('数据移动类型') || (trimmed.includes('功能过程') && trimmed.includes('子过程描述'))) return;
+    if (trimmed.length < 5) return;
+
+    if (trimmed[0]) currentUser = trimmed[0];
+    if (trimmed[1]) currentTrigger = trimmed[1];
+    if (trimmed[2]) currentProcess = trimmed[2];
+
+    rows.push({
+      functionalUser: currentUser,
+      triggerEvent: currentTrigger,
+      functionalProcess: currentProcess,
+      subProcessDesc: trimmed[3] || '',
+      dataMovementType: normalizeMovement(trimmed[4]),
+      dataGroup: trimmed[5] || '',
+      dataAttributes: trimmed[6] || ''
+    });
+  });
+
+  return rows;
+}
+
+function rowsToMarkdown(rows) {
+  const header = '|功能用户|触发事件|功能过程|子过程描述|数据移动类型|数据组|数据属性|\n|:---|:---|:---|:---|:---|:---|:---|';
+  const body = rows.map(r =>
+    `|${r.functionalUser || ''}|${r.triggerEvent || ''}|${r.functionalProcess || ''}|${r.subProcessDesc || ''}|${r.dataMovementType || ''}|${r.dataGroup || ''}|${r.dataAttributes || ''}|`
+  ).join('\n');
+  return `${header}\n${body}`;
+}
+
+// ==================== AI 自动修复 ====================
+
+const REPAIR_PROMPT = `你是COSMIC拆分专家。下面的功能过程未通过COSMIC规则校验，请只修复这些功能过程，不要新增其他功能过程。
+
+## 修复要求
+1. 保持功能过程名称的业务含义，如名称不是"动词+对象"请改为"动词+对象"
+2. 每个功能过程 3-5 个子过程，顺序必须为 E → R/W → X（E开头，X结尾，中间至少1个R或W）
+3. 数据组在全表内唯一，禁止使用连字符 "-"；数据属性至少3个字段，且不得与其他子过程完全相同
+4. 每行都填写完整的功能用户、触发事件、功能过程
+
+## 输出格式
+只输出一个Markdown表格，列顺序为：
+|功能用户|触发事件|功能过程|子过程描述|数据移动类型|数据组|数据属性|`;
+
+/**
+ * 只针对未通过校验的功能过程重新请求模型修复
+ * @param {OpenAI} client - OpenAI 兼容客户端
+ * @param {Array} tableData - 原始拆分结果
+ * @param {Object} options - { report, documentContent, maxRounds, lockedProcesses }
+ *   lockedProcesses: 不允许修改的功能过程名称（如人工修改过的功能过程）
+ * @returns {Object} { tableData, report, repairedProcesses, rounds }
+ */
+async function repairCosmicTable(client, tableData, options = {}) {
+  const { documentContent = '', maxRounds = 2 } = options;
+  const locked = new Set(options.lockedProcesses || []);
+  let currentData = tableData.filter(isRowObject).map(row => ({ ...row }));
+  let report = options.report || validateCosmicTable(currentData);
+  const repairedProcesses = [];
+  let rounds = 0;
+
+  while (!report.valid && rounds < maxRounds) {
+    rounds++;
+    const failed = report.processes.filter(p => !p.passed && !locked.has(p.functionalProcess));
+    if (failed.length === 0) break;
+    console.log(`🔧 第 ${rounds} 轮自动修复，待修复功能过程 ${failed.length} 个...`);
+
+    const groups = groupByFunctionalProcess(currentData);
+    const failedNames = new Set(failed.map(p => p.functionalProcess));
+    const failedRows = groups.filter(g => failedNames.has(g.functionalProcess)).flatMap(g => g.rows);
+
+    // 其他功能过程已使用的数据组，要求模型避开
+    const usedGroups = groups
+      .filter(g => !failedNames.has(g.functionalProcess))
+      .flatMap(g => g.rows.map(r => r.dataGroup))
+      .filter(Boolean);
+
+    const problemList = failed.map(p =>
+      `- ${p.functionalProcess}：${p.violations.map(v => v.message).join('；')}`
+    ).join('\n');
+
+    const userPrompt = `${documentContent ? `需求文档片段：\n${documentContent.slice(0, 3000)}\n\n` : ''}待修复的功能过程：
+${rowsToMarkdown(failedRows)}
+
+校验发现的问题：
+${problemList}
+
+${usedGroups.length > 0 ? `以下数据组已被其他功能过程使用，禁止重复：${usedGroups.slice(0, 80).join('、')}\n\n` : ''}请输出修复后的完整Markdown表格（只包含上述功能过程）。`;
+
+    const completion = await client.chat.completions.create({
+      task: 'cosmic',
+      messages: [
+        { role: 'system', content: REPAIR_PROMPT },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.3,
+      max_tokens: 4000
+    });
+
+    const repairedRows = parseMarkdownTable(completion.choices[0].message.content || '');
+    if (repairedRows.length === 0) {
+      console.warn('⚠️ 自动修复未返回有效表格，停止修复');
+      break;
+    }
+
+    // 用修复结果替换原位置的功能过程，未返回的功能过程保持原样
+    const repairedGroups = new Map(groupByFunctionalProcess(repairedRows).map(g => [g.functionalProcess, g]));
+    const originalOrder = Array.from(failedNames);
+    const rebuilt = [];
+    const consumed = new Set();
+
+    groups.forEach(group => {
+      if (!failedNames.has(group.functionalProcess)) {
+        rebuilt.push(...group.rows);
+        return;
+      }
+      // 名称可能被模型改为"动词+对象"，按名称优先、顺序兜底匹配
+      let replacement = repairedGroups.get(group.functionalProcess);
+      if (!replacement) {
+        const idx = originalOrder.indexOf(group.functionalProcess);
+        const fallback = Array.from(repairedGroups.values())[idx];
+        if (fallback && !consumed.has(fallback.functionalProcess) && !groups.some(g => g.functionalProcess === fallback.functionalProcess)) {
+          replacement = fallback;
+        }
+      }
+      if (replacement && !consumed.has(replacement.functionalProcess)) {
+        consumed.add(replacement.functionalProcess);
+        rebuilt.push(...replacement.rows);
+        repairedProcesses.push({ original: group.functionalProcess, repaired: replacement.functionalProcess });
+      } else {
+        rebuilt.push(...group.rows);
+      }
+    });
+
+    currentData = rebuilt.map(({ rowNumber, ...row }) => row);
+    report = validateCosmicTable(currentData);
+  }
+
+  return { tableData: currentData, report, repairedProcesses, rounds };
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  validateCosmicTable,
+  repairCosmicTable,
+  parseMarkdownTable,
+  groupByFunctionalProcess,
+  splitAttributes,
+  rowsToMarkdown,
+  MOVEMENT_TYPES,
+  VIOLATION_TYPES
+};
@@ -200,7 +200,7 @@ ${requirementDoc?.fullText ? `## 【原始需求文档片段】\n${extractReleva
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是资深业务分析师，擅长从技术数据中挖掘业务价值和使用场景。' },
                 { role: 'user', content: prompt }
@@ -273,7 +273,7 @@ ${businessScenario ? JSON.stringify(businessScenario, null, 2) : '无'}
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是用户体验和权限设计专家，擅长分析用户角色和权限控制。' },
                 { role: 'user', content: prompt }
@@ -364,7 +364,7 @@ ${cosmicData.map((row, idx) => `${idx + 1}. [${row.dataMovementType}] ${row.subP
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是数据架构专家，擅长分析数据流程和数据模型设计。' },
                 { role: 'user', content: prompt }
@@ -439,7 +439,7 @@ ${previousResults.dataFlowAnalysis?.entities ? previousResults.dataFlowAnalysis.
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是质量保证专家，擅长识别系统异常和边界情况。' },
                 { role: 'user', content: prompt }
@@ -515,7 +515,7 @@ ${allFunctionNames.length > 0 ? allFunctionNames.slice(0, 30).join('\n') : '未
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是系统架构师，擅长分析功能模块间的关联关系。' },
                 { role: 'user', content: prompt }
@@ -602,7 +602,7 @@ ${previousResults.exceptionScenarios?.exceptions ?
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是业务规则专家，擅长从业务流程中挖掘和定义业务规则。' },
                 { role: 'user', content: prompt }
@@ -679,7 +679,7 @@ ${previousResults.exceptionScenarios?.exceptions ?
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是质量验收专家，擅长制定全面的验收标准和测试用例。' },
                 { role: 'user', content: prompt }
@@ -775,7 +775,7 @@ ${previousResults.businessScenario?.scenarios ?
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是UI/UX设计专家，擅长设计直观易用的用户界面。' },
                 { role: 'user', content: prompt }
@@ -1028,7 +1028,7 @@ ${cosmicData.map((r, i) => `${i + 1}. [${r.dataMovementType}] ${r.subProcessDesc
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'deep-thinking',
             messages: [
                 { role: 'system', content: '你是资深需求分析师，擅长快速分析功能需求并提供全面的分析结果。' },
                 { role: 'user', content: prompt }
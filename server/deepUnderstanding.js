@@ -106,7 +106,7 @@ ${templateText.slice(0, 5000)}
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'template-analysis',
             messages: [
                 { role: 'system', content: '你是文档结构分析专家，擅长识别文档的结构模式和编号规则。' },
                 { role: 'user', content: prompt }
@@ -174,7 +174,7 @@ ${chapterContent.slice(0, 3000)}
 
         try {
             const response = await client.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'glm-4-flash',
+                task: 'template-analysis',
                 messages: [
                     { role: 'system', content: '你是需求文档语义分析专家。' },
                     { role: 'user', content: prompt }
@@ -242,7 +242,7 @@ ${sampleTexts.join('\n\n---\n\n')}
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'template-analysis',
             messages: [
                 { role: 'system', content: '你是文档风格分析专家，擅长识别文档的语言风格和格式特征。' },
                 { role: 'user', content: prompt }
@@ -1,14 +1,15 @@
 /**
  * 架构图生成模块
  * 支持生成类似企业级分层架构图，可导出为PNG/SVG用于Word文档
- * 使用 Kroki.io 免费API 渲染 Mermaid/PlantUML 代码
+ * Kroki 渲染仅作为显式开启的选项，默认由 diagramRenderer 在本地渲染
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const zlib = require('zlib');
 
-// Kroki API 配置
-const KROKI_BASE_URL = 'https://kroki.io';
+// Kroki API 配置（可通过 KROKI_BASE_URL 指向内网自建服务）
+const KROKI_BASE_URL = (process.env.KROKI_BASE_URL || 'https://kroki.io').replace(/\/+$/, '');
 
 /**
  * 将图表代码编码为Kroki URL格式
@@ -282,9 +283,36 @@ title ${systemName}架构图
   return code;
 }
 
+function escapeDiagramText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 由图表内容生成稳定的元素ID（相同数据生成相同的HTML）
+ */
+function stableDiagramId(prefix, content) {
+  return `${prefix}_${crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').slice(0, 10)}`;
+}
+
+const MOVEMENT_COLORS = {
+  E: '#4CAF50',
+  R: '#2196F3',
+  W: '#FF9800',
+  X: '#9C27B0'
+};
+
+const STORAGE_PARTICIPANT = '持久存储';
+const SYSTEM_PARTICIPANT = '系统';
+
 /**
  * 根据COSMIC数据生成HTML+CSS时序图
- * @param {Array} dataMovements - COSMIC数据移动序列
+ * 参与者为功能用户、系统和持久存储，每个数据移动按顺序画一条消息，消息文字为数据组：
+ * E 功能用户→系统，R 持久存储→系统，W 系统→持久存储，X 系统→功能用户
+ * @param {Array} dataMovements - COSMIC数据移动序列（同一功能过程的E/R/W/X行）
  * @param {string} processName - 功能过程名称
  * @returns {string} - HTML+CSS代码
  */
@@ -292,153 +320,213 @@ function generateHTMLSequenceDiagram(dataMovements, processName) {
   if (!dataMovements || dataMovements.length === 0) {
     return '';
   }
-  
-  // 生成唯一ID避免冲突
-  const diagramId = `seq_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-  
-  let stepsHtml = '';
-  let stepNum = 1;
-  
+
+  const defaultUser = dataMovements.find(m => m.functionalUser)?.functionalUser || '功能用户';
+  const users = [];
+  const steps = [];
+
   dataMovements.forEach(m => {
     const type = (m.dataMovementType || '').toUpperCase().trim();
-    const desc = m.subProcessDesc || '操作';
-    
-    let arrow = '';
-    let from = '';
-    let to = '';
-    let color = '';
-    
-    if (type === 'E') {
-      from = '用户';
-      to = '系统';
-      arrow = '→';
-      color = '#4CAF50';
-    } else if (type === 'R') {
-      from = '系统';
-      to = '数据库';
-      arrow = '→';
-      color = '#2196F3';
-    } else if (type === 'W') {
-      from = '系统';
-      to = '数据库';
-      arrow = '→';
-      color = '#FF9800';
-    } else if (type === 'X') {
-      from = '系统';
-      to = '用户';
-      arrow = '←';
-      color = '#9C27B0';
-    }
-    
-    if (from && to) {
-      stepsHtml += `
-        <div class="seq-step">
-          <div class="step-num" style="background:${color}">${stepNum}</div>
-          <div class="step-content">
-            <span class="step-from">${from}</span>
-            <span class="step-arrow" style="color:${color}">${arrow}</span>
-            <span class="step-to">${to}</span>
-            <span class="step-type" style="background:${color}">${type}</span>
-          </div>
-          <div class="step-desc">${desc}</div>
-        </div>`;
-      stepNum++;
-    }
+    if (!MOVEMENT_COLORS[type]) return;
+    const user = (m.functionalUser || defaultUser).trim();
+    if ((type === 'E' || type === 'X') && !users.includes(user)) users.push(user);
+
+    const [from, to] = {
+      E: [user, SYSTEM_PARTICIPANT],
+      R: [STORAGE_PARTICIPANT, SYSTEM_PARTICIPANT],
+      W: [SYSTEM_PARTICIPANT, STORAGE_PARTICIPANT],
+      X: [SYSTEM_PARTICIPANT, user]
+    }[type];
+    steps.push({ type, from, to, dataGroup: m.dataGroup || m.subProcessDesc || '数据', desc: m.subProcessDesc || '' });
   });
-  
+
+  if (steps.length === 0) {
+    return '';
+  }
+  if (users.length === 0) users.push(defaultUser);
+
+  const participants = [...users, SYSTEM_PARTICIPANT, STORAGE_PARTICIPANT];
+  const column = (name) => participants.indexOf(name) + 1;
+  const diagramId = stableDiagramId('seq', { processName, steps });
+
+  const participantsHtml = participants.map((name, idx) => {
+    const icon = name === SYSTEM_PARTICIPANT ? '🖥️' : name === STORAGE_PARTICIPANT ? '🗄️' : '👤';
+    return `
+    <div class="participant" style="grid-column:${idx + 1};grid-row:1">${icon} ${escapeDiagramText(name)}</div>
+    <div class="lifeline" style="grid-column:${idx + 1};grid-row:2 / ${steps.length + 2}"></div>`;
+  }).join('');
+
+  const stepsHtml = steps.map((step, idx) => {
+    const fromCol = column(step.from);
+    const toCol = column(step.to);
+    const startCol = Math.min(fromCol, toCol);
+    const span = Math.abs(toCol - fromCol) + 1;
+    // 箭头从起止参与者的生命线中心开始和结束
+    const inset = (100 / (span * 2)).toFixed(2);
+    const color = MOVEMENT_COLORS[step.type];
+    const direction = toCol > fromCol ? 'right' : 'left';
+    return `
+    <div class="message" style="grid-column:${startCol} / span ${span};grid-row:${idx + 2};margin:0 ${inset}%">
+      <div class="msg-label"><span class="step-num">${idx + 1}</span><span class="step-type" style="background:${color}">${step.type}</span>${escapeDiagramText(step.dataGroup)}</div>
+      <div class="msg-line ${direction}${step.type === 'X' ? ' reply' : ''}" style="border-top-color:${color}"><span class="arrow-head" style="border-${direction === 'right' ? 'left' : 'right'}-color:${color}"></span></div>
+      ${step.desc && step.desc !== step.dataGroup ? `<div class="msg-desc">${escapeDiagramText(step.desc)}</div>` : ''}
+    </div>`;
+  }).join('');
+
   return `
 <div id="${diagramId}" class="sequence-diagram">
   <style>
     #${diagramId} {
       font-family: 'Microsoft YaHei', Arial, sans-serif;
-      background: linear-gradient(135deg, #f5f7fa 0%, #e4e8ec 100%);
+      background: #fafbfc;
+      border: 1px solid #e1e4e8;
       border-radius: 12px;
       padding: 20px;
       margin: 16px 0;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.1);
     }
     #${diagramId} .seq-title {
       text-align: center;
       font-size: 16px;
       font-weight: bold;
       color: #333;
-      margin-bottom: 20px;
+      margin-bottom: 16px;
       padding-bottom: 12px;
       border-bottom: 2px solid #ddd;
     }
-    #${diagramId} .seq-participants {
-      display: flex;
-      justify-content: space-around;
-      margin-bottom: 20px;
+    #${diagramId} .seq-grid {
+      display: grid;
+      grid-template-columns: repeat(${participants.length}, minmax(120px, 1fr));
+      grid-template-rows: auto repeat(${steps.length}, minmax(56px, auto));
     }
     #${diagramId} .participant {
+      justify-self: center;
       background: #fff;
       border: 2px solid #667eea;
       border-radius: 8px;
-      padding: 10px 24px;
+      padding: 8px 16px;
+      margin-bottom: 8px;
       font-weight: bold;
       color: #333;
-      box-shadow: 0 2px 8px rgba(102,126,234,0.2);
-    }
-    #${diagramId} .seq-step {
-      display: flex;
-      align-items: center;
-      margin: 12px 0;
-      padding: 12px;
-      background: #fff;
-      border-radius: 8px;
-      box-shadow: 0 2px 6px rgba(0,0,0,0.08);
+      text-align: center;
     }
-    #${diagramId} .step-num {
-      width: 28px;
-      height: 28px;
-      border-radius: 50%;
-      color: #fff;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-weight: bold;
-      font-size: 14px;
-      margin-right: 16px;
+    #${diagramId} .lifeline {
+      justify-self: center;
+      width: 0;
+      border-left: 2px dashed #c0c4cc;
     }
-    #${diagramId} .step-content {
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      min-width: 200px;
+    #${diagramId} .message {
+      align-self: center;
+      position: relative;
+      z-index: 1;
     }
-    #${diagramId} .step-from, #${diagramId} .step-to {
-      font-weight: 500;
-      color: #555;
+    #${diagramId} .msg-label {
+      text-align: center;
+      font-size: 13px;
+      color: #333;
+      margin-bottom: 4px;
     }
-    #${diagramId} .step-arrow {
-      font-size: 20px;
-      font-weight: bold;
+    #${diagramId} .step-num {
+      display: inline-block;
+      color: #666;
+      font-size: 12px;
+      margin-right: 4px;
     }
     #${diagramId} .step-type {
+      display: inline-block;
       color: #fff;
-      padding: 2px 8px;
+      padding: 0 6px;
       border-radius: 4px;
       font-size: 12px;
       font-weight: bold;
+      margin-right: 6px;
     }
-    #${diagramId} .step-desc {
-      flex: 1;
-      color: #666;
-      font-size: 14px;
-      margin-left: 16px;
+    #${diagramId} .msg-line {
+      position: relative;
+      border-top: 2px solid;
+    }
+    #${diagramId} .msg-line.reply {
+      border-top-style: dashed;
+    }
+    #${diagramId} .arrow-head {
+      position: absolute;
+      top: -7px;
+      width: 0;
+      height: 0;
+      border-top: 6px solid transparent;
+      border-bottom: 6px solid transparent;
+    }
+    #${diagramId} .msg-line.right .arrow-head {
+      right: -2px;
+      border-left: 10px solid;
+    }
+    #${diagramId} .msg-line.left .arrow-head {
+      left: -2px;
+      border-right: 10px solid;
+    }
+    #${diagramId} .msg-desc {
+      text-align: center;
+      font-size: 12px;
+      color: #888;
+      margin-top: 4px;
     }
   </style>
-  <div class="seq-title">📊 ${processName} - 操作时序图</div>
-  <div class="seq-participants">
-    <div class="participant">👤 用户</div>
-    <div class="participant">🖥️ 系统</div>
-    <div class="participant">🗄️ 数据库</div>
+  <div class="seq-title">📊 ${escapeDiagramText(processName)} - 操作时序图</div>
+  <div class="seq-grid">${participantsHtml}${stepsHtml}
   </div>
-  ${stepsHtml}
 </div>`;
 }
 
+/**
+ * 汇总全部功能过程的数据移动，生成系统级数据流图
+ * 外部实体为功能用户，存储为持久存储；同一方向上的数据组合并为一条数据流
+ * @param {Array} rows - COSMIC数据行
+ * @param {string} systemName - 系统名称
+ * @returns {string} - HTML+CSS代码
+ */
+function generateCosmicDataFlowDiagram(rows, systemName = '系统') {
+  const flowMap = new Map();
+  const users = [];
+  let usesStorage = false;
+  const defaultUser = rows.find(r => r.functionalUser)?.functionalUser || '功能用户';
+
+  rows.forEach(row => {
+    const type = (row.dataMovementType || '').toUpperCase().trim();
+    const dataGroup = (row.dataGroup || '').trim();
+    if (!MOVEMENT_COLORS[type] || !dataGroup) return;
+    const user = (row.functionalUser || defaultUser).trim();
+
+    let from;
+    let to;
+    if (type === 'E' || type === 'X') {
+      if (!users.includes(user)) users.push(user);
+      [from, to] = type === 'E' ? [user, systemName] : [systemName, user];
+    } else {
+      usesStorage = true;
+      [from, to] = type === 'R' ? [STORAGE_PARTICIPANT, systemName] : [systemName, STORAGE_PARTICIPANT];
+    }
+    const key = `${from}\u0001${to}`;
+    if (!flowMap.has(key)) flowMap.set(key, { from, to, groups: [] });
+    const groups = flowMap.get(key).groups;
+    if (!groups.includes(dataGroup)) groups.push(dataGroup);
+  });
+
+  if (flowMap.size === 0) {
+    return '';
+  }
+
+  const entities = [
+    ...users.map(name => ({ name, type: 'external' })),
+    { name: systemName, type: 'process' },
+    ...(usesStorage ? [{ name: STORAGE_PARTICIPANT, type: 'store' }] : [])
+  ];
+  const flows = Array.from(flowMap.values()).map(flow => ({
+    from: flow.from,
+    to: flow.to,
+    data: flow.groups.join('、')
+  }));
+  return generateHTMLDataFlowDiagram(entities, flows, systemName);
+}
+
 /**
  * 根据COSMIC数据生成HTML+CSS流程图
  * @param {Array} dataMovements - COSMIC数据移动序列
@@ -1049,22 +1137,22 @@ function extractUseCaseJSON(aiResponse) {
  * 生成HTML+CSS格式的数据流图
  */
 function generateHTMLDataFlowDiagram(entities, flows, systemName = '系统') {
-  const diagramId = `dfd_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const diagramId = stableDiagramId('dfd', { entities, flows, systemName });
   
   let entitiesHtml = entities.map((e, idx) => `
     <div class="entity" style="--entity-hue: ${(idx * 60) % 360}">
       <div class="entity-icon">${e.type === 'external' ? '👥' : e.type === 'store' ? '🗄️' : '⚙️'}</div>
-      <div class="entity-name">${e.name}</div>
+      <div class="entity-name">${escapeDiagramText(e.name)}</div>
     </div>
   `).join('');
   
   let flowsHtml = flows.map(f => `
     <div class="flow-item">
-      <span class="flow-from">${f.from}</span>
+      <span class="flow-from">${escapeDiagramText(f.from)}</span>
       <span class="flow-arrow">→</span>
-      <span class="flow-data">${f.data}</span>
+      <span class="flow-data">${escapeDiagramText(f.data)}</span>
       <span class="flow-arrow">→</span>
-      <span class="flow-to">${f.to}</span>
+      <span class="flow-to">${escapeDiagramText(f.to)}</span>
     </div>
   `).join('');
   
@@ -1130,7 +1218,7 @@ function generateHTMLDataFlowDiagram(entities, flows, systemName = '系统') {
     }
     #${diagramId} .flow-arrow { color: #999; font-size: 18px; }
   </style>
-  <div class="dfd-title">📊 ${systemName} - 数据流图</div>
+  <div class="dfd-title">📊 ${escapeDiagramText(systemName)} - 数据流图</div>
   <div class="entities-row">${entitiesHtml}</div>
   <div class="flows-section">${flowsHtml}</div>
 </div>`;
@@ -1163,6 +1251,10 @@ async function htmlToImage(htmlContent, options = {}) {
     
     const page = await browser.newPage();
     await page.setViewport({ width, height });
+    // 图表内容可能来自用户上传或模型输出：禁用脚本，拦截除 data: 以外的所有请求，防止借截图访问内网地址
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', request => (request.url().startsWith('data:') ? request.continue() : request.abort()));
     
     // 设置完整的HTML页面
     const fullHtml = `
@@ -1178,7 +1270,7 @@ async function htmlToImage(htmlContent, options = {}) {
       </html>
     `;
     
-    await page.setContent(fullHtml, { waitUntil: 'networkidle0' });
+    await page.setContent(fullHtml, { waitUntil: 'load' });
     
     // 获取内容实际尺寸
     const bodyHandle = await page.$('body > div');
@@ -1647,6 +1739,7 @@ module.exports = {
   generateHTMLFlowchart,
   generateHTMLUseCaseDiagram,
   generateHTMLDataFlowDiagram,
+  generateCosmicDataFlowDiagram,
   generatePriorityQuadrantDiagram,
   generateFunctionArchitectureDiagram,
   generateFunctionArchitectureDiagramWithModules,
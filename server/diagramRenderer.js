@@ -0,0 +1,532 @@
+/**
+ * 离线图表渲染模块
+ * 在本机把 Mermaid 和 PlantUML 图表渲染为 SVG/PNG，不访问 kroki.io、mermaid.ink 等外部服务
+ *
+ * 原理：
+ * 1. Mermaid：使用内置的 Puppeteer 打开空白页，加载本地 mermaid.min.js，在页面内渲染为 SVG（PNG 为对 SVG 截图）
+ * 2. PlantUML：常用的时序图、组件/分层架构图、用例图语法转换为等价的 Mermaid 后渲染
+ * 3. Kroki 仅在显式开启时使用：
+ *    DIAGRAM_RENDERER=kroki 全部交给 Kroki 渲染
+ *    KROKI_FALLBACK=true    本地渲染失败时回退到 Kroki
+ *    KROKI_BASE_URL         可指向内网自建的 Kroki 服务
+ */
+
+const path = require('path');
+const { generateDiagramWithKroki, encodeDiagram, KROKI_BASE_URL } = require('./diagramGenerator');
+
+const RENDER_TIMEOUT = 30000;
+const LOCAL_DIAGRAM_TYPES = ['mermaid', 'plantuml'];
+
+const MIME_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+// ==================== 配置 ====================
+
+function getRendererConfig() {
+  return {
+    renderer: (process.env.DIAGRAM_RENDERER || 'local').toLowerCase() === 'kroki' ? 'kroki' : 'local',
+    krokiFallback: process.env.KROKI_FALLBACK === 'true'
+  };
+}
+
+/**
+ * 查找本地 Mermaid 脚本（mermaid 是服务端依赖；仅装了前端依赖时回退到 client/node_modules）
+ */
+function resolveMermaidScript() {
+  try {
+    return require.resolve('mermaid/dist/mermaid.min.js', {
+      paths: [__dirname, path.join(__dirname, '..', 'client')]
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizeFormat(format) {
+  return format === 'png' ? 'png' : 'svg';
+}
+
+// ==================== PlantUML 转 Mermaid ====================
+
+const SEQUENCE_PARTICIPANTS = /^(participant|actor|boundary|control|entity|database|collections|queue)\s+(.+)$/i;
+const CONTAINER_KEYWORDS = /^(rectangle|package|node|folder|frame|cloud|component|database|together|namespace)\b/i;
+const ARROW = /^(.+?)\s*(<?[-.]+(?:(?:left|right|up|down|\[[^\]]*\])[-.]+)?>{0,2})\s*(.+?)(?:\s*:\s*(.*))?$/;
+
+function quoteLabel(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`;
+}
+
+function stripQuotes(text) {
+  return String(text || '').trim().replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * 预处理：去掉 @startuml/@enduml、注释、skinparam、预处理指令和样式块，返回有效行
+ */
+function plantumlLines(source) {
+  const lines = [];
+  let skipDepth = 0;
+  let blockComment = false;
+  source.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    let line = rawLine.trim();
+    if (blockComment) {
+      if (line.includes("'/")) blockComment = false;
+      return;
+    }
+    if (line.startsWith("/'")) {
+      blockComment = !line.includes("'/");
+      return;
+    }
+    if (skipDepth > 0) {
+      if (line.endsWith('{')) skipDepth++;
+      if (line === '}') skipDepth--;
+      return;
+    }
+    if (!line || line.startsWith("'") || /^@(start|end)\w*/i.test(line) || line.startsWith('!')) return;
+    if (/^(skinparam|hide|show|scale|left to right direction|top to bottom direction|style)\b/i.test(line)) {
+      if (line.endsWith('{')) skipDepth = 1;
+      if (/^left to right direction/i.test(line)) lines.push(line.toLowerCase());
+      return;
+    }
+    line = line.replace(/\s+'.*$/, '');
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * 匹配连线：引号内的文字先替换为占位符，避免名称中的 - 或 . 被当成箭头
+ * @returns {Array|null} [left, arrow, right, label]
+ */
+function matchArrow(line) {
+  const quoted = [];
+  const masked = line.replace(/"[^"]*"/g, (text) => {
+    quoted.push(text);
+    return `\u0000${quoted.length - 1}\u0000`;
+  });
+  const match = masked.match(ARROW);
+  if (!match) return null;
+  const arrow = match[2];
+  if (!arrow.includes('>') && !arrow.startsWith('<') && arrow.length < 2) return null;
+  const restore = (text) => (text || '').replace(/\u0000(\d+)\u0000/g, (m, index) => quoted[parseInt(index, 10)]);
+  return [restore(match[1]), arrow, restore(match[3]), match[4] === undefined ? undefined : restore(match[4])];
+}
+
+function isSequenceDiagram(lines) {
+  // 含分组、组件 [x]、用例 (x) 等元素的视为组件/用例图
+  const heads = lines.map(line => line.split(':')[0]);
+  if (heads.some(head => /^(rectangle|package|node|folder|frame|cloud|component|usecase|namespace|together|interface|artifact)\b/i.test(head) || /(^|\s)[[(]/.test(head))) {
+    return false;
+  }
+  return lines.some(line => /-+>/.test(line));
+}
+
+/**
+ * PlantUML 时序图 → Mermaid sequenceDiagram
+ */
+function convertSequenceDiagram(lines) {
+  const out = ['sequenceDiagram'];
+  const aliases = new Map();
+  let autoId = 0;
+
+  const participantId = (name) => {
+    const label = stripQuotes(name);
+    if (aliases.has(label)) return aliases.get(label);
+    const id = /^[\w一-龥]+$/.test(label) ? label : `P${++autoId}`;
+    aliases.set(label, id);
+    if (id !== label) out.push(`  participant ${id} as ${label}`);
+    return id;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(/^title\s+(.+)$/i))) {
+      out.push(`  title ${stripQuotes(match[1])}`);
+    } else if ((match = line.match(SEQUENCE_PARTICIPANTS))) {
+      const keyword = match[1].toLowerCase() === 'actor' ? 'actor' : 'participant';
+      const declaration = match[2].replace(/<<[^>]*>>/g, '').replace(/#\w+$/, '').trim();
+      const aliasMatch = declaration.match(/^(.+?)\s+as\s+(.+)$/i);
+      let label;
+      let id;
+      if (aliasMatch) {
+        // participant "显示名" as A 与 participant A as "显示名" 两种写法
+        const [left, right] = [aliasMatch[1].trim(), aliasMatch[2].trim()];
+        [label, id] = right.startsWith('"') ? [stripQuotes(right), left] : [stripQuotes(left), right];
+      } else {
+        label = stripQuotes(declaration);
+        id = /^[\w一-龥]+$/.test(label) ? label : `P${++autoId}`;
+      }
+      aliases.set(label, id);
+      aliases.set(id, id);
+      out.push(id === label ? `  ${keyword} ${id}` : `  ${keyword} ${id} as ${label}`);
+    } else if ((match = line.match(/^autonumber\b/i))) {
+      out.push('  autonumber');
+    } else if ((match = line.match(/^(activate|deactivate)\s+(.+)$/i))) {
+      out.push(`  ${match[1].toLowerCase()} ${participantId(match[2])}`);
+    } else if ((match = line.match(/^(alt|else|opt|loop|par|critical|break|group)\b\s*(.*)$/i))) {
+      const keyword = match[1].toLowerCase();
+      out.push(keyword === 'group' ? '  rect rgb(245, 245, 245)' : `  ${keyword}${match[2] ? ' ' + match[2] : ''}`);
+    } else if (/^end$/i.test(line)) {
+      out.push('  end');
+    } else if ((match = line.match(/^(?:r|h)?note\s+(left of|right of|over)\s+([^:]+?)(?:\s*:\s*(.*))?$/i))) {
+      let text = match[3];
+      if (text === undefined) {
+        // 多行注释：直到 end note
+        const body = [];
+        while (++i < lines.length && !/^end\s*note$/i.test(lines[i])) body.push(lines[i]);
+        text = body.join('<br/>');
+      }
+      const targets = match[2].split(',').map(name => participantId(name)).join(',');
+      out.push(`  Note ${match[1].toLowerCase()} ${targets}: ${text}`);
+    } else if ((match = line.match(/^(.+?)\s*(<?-{1,2}>{1,2}|<-{1,2})\s*(.+?)(?:\s*:\s*(.*))?$/))) {
+      let [, from, arrow, to, message = ''] = match;
+      if (arrow.startsWith('<')) [from, to] = [to, from];
+      const dashed = arrow.includes('--');
+      out.push(`  ${participantId(from)}${dashed ? '-->>' : '->>'}${participantId(to)}: ${message.trim() || ' '}`);
+    }
+    // 分隔线(==)、延迟(...)、间距(|||)、return 等在 Mermaid 中没有对应语法，忽略
+  }
+  return out.join('\n');
+}
+
+/**
+ * PlantUML 组件/分层架构图、用例图 → Mermaid flowchart
+ */
+function convertComponentDiagram(lines) {
+  const direction = lines.includes('left to right direction') ? 'LR' : 'TB';
+  const out = [];
+  const ids = new Map();
+  let autoId = 0;
+  let title = '';
+  let depth = 0;
+
+  const nodeShape = (kind, label) => {
+    switch (kind) {
+      case 'actor': return `((${quoteLabel(label)}))`;
+      case 'usecase': return `([${quoteLabel(label)}])`;
+      case 'database': return `[(${quoteLabel(label)})]`;
+      default: return `[${quoteLabel(label)}]`;
+    }
+  };
+
+  // 解析元素声明：关键字 "名称" <<构造型>> as 别名 / [名称] / (用例) / :角色:
+  const parseElement = (text) => {
+    let kind = 'rectangle';
+    let rest = text.replace(/<<[^>]*>>/g, '').replace(/#[\w]+/g, '').trim();
+    const keywordMatch = rest.match(/^(\w+)\s+(.+)$/);
+    if (keywordMatch && /^(rectangle|package|node|folder|frame|cloud|component|database|actor|usecase|interface|artifact|storage|agent|card|file|queue)$/i.test(keywordMatch[1])) {
+      kind = keywordMatch[1].toLowerCase();
+      rest = keywordMatch[2].trim();
+    }
+    let label = rest;
+    let alias = null;
+    const aliasMatch = rest.match(/^(.+?)\s+as\s+(\S+)$/i);
+    if (aliasMatch) {
+      const [left, right] = [aliasMatch[1].trim(), aliasMatch[2].trim()];
+      [label, alias] = /^["[(:]/.test(right) ? [right, left] : [left, right];
+    }
+    if (/^\[.*\]$/.test(label)) {
+      kind = kind === 'rectangle' ? 'component' : kind;
+      label = label.slice(1, -1);
+    } else if (/^\(.*\)$/.test(label)) {
+      kind = 'usecase';
+      label = label.slice(1, -1);
+    } else if (/^:.*:$/.test(label)) {
+      kind = 'actor';
+      label = label.slice(1, -1);
+    }
+    return { kind, label: stripQuotes(label), alias: alias ? stripQuotes(alias) : null };
+  };
+
+  const elementId = (element, declare = true) => {
+    const key = element.alias || element.label;
+    if (ids.has(key)) return ids.get(key);
+    const id = `N${++autoId}`;
+    ids.set(key, id);
+    if (element.alias) ids.set(element.label, id);
+    if (declare) out.push(`${'  '.repeat(depth + 1)}${id}${nodeShape(element.kind, element.label)}`);
+    return id;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+    if ((match = line.match(/^title\s+(.+)$/i))) {
+      title = stripQuotes(match[1]);
+    } else if (line === 'left to right direction') {
+      // 已在开头处理
+    } else if (/^note\b/i.test(line)) {
+      // 注释不绘制；多行注释跳过到 end note
+      if (!line.includes(':')) {
+        while (i + 1 < lines.length && !/^end\s*note$/i.test(lines[i + 1])) i++;
+        i++;
+      }
+    } else if (line === '}') {
+      if (depth > 0) {
+        depth--;
+        out.push(`${'  '.repeat(depth + 1)}end`);
+      }
+    } else if (line.endsWith('{') && CONTAINER_KEYWORDS.test(line)) {
+      const element = parseElement(line.slice(0, -1).trim());
+      const id = `G${++autoId}`;
+      ids.set(element.alias || element.label, id);
+      out.push(`${'  '.repeat(depth + 1)}subgraph ${id}[${quoteLabel(element.label)}]`);
+      depth++;
+      // 同一分组内的模块横向排列
+      out.push(`${'  '.repeat(depth + 1)}direction ${direction === 'LR' ? 'TB' : 'LR'}`);
+    } else if ((match = matchArrow(line))) {
+      const [left, arrow, right, label] = match;
+      let from = parseElement(left);
+      let to = parseElement(right);
+      if (arrow.startsWith('<')) [from, to] = [to, from];
+      const link = arrow.includes('.') ? '-.->' : (/>/.test(arrow) ? '-->' : '---');
+      const fromId = elementId(from);
+      const toId = elementId(to);
+      out.push(`${'  '.repeat(depth + 1)}${fromId} ${link}${label ? `|${quoteLabel(label.trim())}|` : ''} ${toId}`);
+    } else if (!/^(legend|endlegend|caption|header|footer)\b/i.test(line)) {
+      elementId(parseElement(line));
+    }
+  }
+
+  while (depth-- > 0) out.push('  end');
+  const body = [`flowchart ${direction}`, ...out].join('\n');
+  return title ? `---\ntitle: ${title}\n---\n${body}` : body;
+}
+
+/**
+ * PlantUML 转换为等价的 Mermaid 代码
+ * 支持时序图、组件/分层架构图（rectangle/package/node 等嵌套分组）和用例图
+ * @param {string} source - PlantUML 源码
+ * @returns {string} Mermaid 源码
+ */
+function plantumlToMermaid(source = '') {
+  const lines = plantumlLines(source);
+  if (lines.length === 0) {
+    throw new Error('PlantUML图表内容为空');
+  }
+  return isSequenceDiagram(lines) ? convertSequenceDiagram(lines) : convertComponentDiagram(lines);
+}
+
+function toMermaid(diagramType, source) {
+  if (diagramType === 'mermaid') return source.trim().replace(/^```mermaid\s*/i, '').replace(/```\s*$/, '');
+  if (diagramType === 'plantuml') return plantumlToMermaid(source);
+  throw new Error(`本地渲染不支持 ${diagramType} 图表，可设置 KROKI_FALLBACK=true 使用Kroki渲染`);
+}
+
+// ==================== 本地渲染 ====================
+
+/**
+ * 在同一个浏览器页面内依次渲染多个 Mermaid 图表
+ * @param {Array<string>} sources - Mermaid 源码
+ * @param {string} format - svg | png
+ * @returns {Promise<Array<{buffer?: Buffer, error?: Error}>>}
+ */
+async function renderMermaidLocal(sources, format = 'svg') {
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (e) {
+    throw new Error('Puppeteer未安装，无法在本地渲染图表。请运行: npm install puppeteer');
+  }
+  const mermaidScript = resolveMermaidScript();
+  if (!mermaidScript) {
+    throw new Error('未找到本地Mermaid脚本，请在 client 目录运行 npm install');
+  }
+
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1600, height: 1200, deviceScaleFactor: format === 'png' ? 2 : 1 });
+    await page.setContent(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { margin: 0; background: white; font-family: "Microsoft YaHei", "PingFang SC", "Noto Sans CJK SC", sans-serif; }
+    #container { display: inline-block; padding: 16px; background: white; }
+  </style>
+</head>
+<body><div id="container"></div></body>
+</html>`, { timeout: RENDER_TIMEOUT });
+    await page.addScriptTag({ path: mermaidScript });
+    // SVG 标签不使用 foreignObject，保证导出的 SVG 在 Word 等非浏览器环境中也能显示文字
+    await page.evaluate(() => {
+      window.mermaid.initialize({
+        startOnLoad: false,
+        theme: 'default',
+        securityLevel: 'strict',
+        htmlLabels: false,
+        flowchart: { htmlLabels: false, useMaxWidth: false },
+        sequence: { useMaxWidth: false }
+      });
+    });
+
+    const results = [];
+    for (let i = 0; i < sources.length; i++) {
+      try {
+        const svg = await page.evaluate(async (code, id) => {
+          const { svg } = await window.mermaid.render(id, code);
+          return svg;
+        }, sources[i], `diagram${i}`);
+
+        if (format === 'png') {
+          await page.evaluate((svgContent) => {
+            const container = document.getElementById('container');
+            container.innerHTML = svgContent;
+            const svgElement = container.querySelector('svg');
+            const viewBox = svgElement.viewBox.baseVal;
+            if (viewBox && viewBox.width) {
+              svgElement.setAttribute('width', viewBox.width);
+              svgElement.setAttribute('height', viewBox.height);
+              svgElement.style.maxWidth = 'none';
+            }
+          }, svg);
+          const element = await page.$('#container');
+          results.push({ buffer: Buffer.from(await element.screenshot({ type: 'png' })) });
+        } else {
+          results.push({ buffer: Buffer.from(svg, 'utf-8') });
+        }
+      } catch (error) {
+        results.push({ error: new Error(`Mermaid渲染失败: ${error.message}`) });
+      }
+    }
+    return results;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+// ==================== 统一入口 ====================
+
+async function renderWithKroki(item, format) {
+  try {
+    return { buffer: Buffer.from(await generateDiagramWithKroki(item.type, item.source, format)) };
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * 批量渲染图表（共用一个浏览器实例）
+ * @param {Array<{type: string, source: string}>} items - type 为 mermaid / plantuml（Kroki 模式下可为其他类型）
+ * @param {string} format - svg | png
+ * @returns {Promise<Array<{buffer?: Buffer, error?: Error, renderer?: string}>>} 与 items 一一对应
+ */
+async function renderDiagrams(items = [], format = 'svg') {
+  const outputFormat = normalizeFormat(format);
+  const { renderer, krokiFallback } = getRendererConfig();
+  const results = new Array(items.length).fill(null);
+
+  if (renderer === 'kroki') {
+    for (let i = 0; i < items.length; i++) {
+      results[i] = { ...(await renderWithKroki(items[i], outputFormat)), renderer: 'kroki' };
+    }
+    return results;
+  }
+
+  const pending = [];
+  items.forEach((item, index) => {
+    try {
+      pending.push({ index, source: toMermaid(item.type || 'mermaid', item.source || '') });
+    } catch (error) {
+      results[index] = { error };
+    }
+  });
+
+  if (pending.length > 0) {
+    try {
+      const rendered = await renderMermaidLocal(pending.map(p => p.source), outputFormat);
+      rendered.forEach((result, k) => {
+        results[pending[k].index] = { ...result, renderer: 'local' };
+      });
+    } catch (error) {
+      pending.forEach(p => { results[p.index] = { error }; });
+    }
+  }
+
+  if (krokiFallback) {
+    for (let i = 0; i < items.length; i++) {
+      if (!results[i].error) continue;
+      console.warn('本地图表渲染失败，回退到Kroki:', results[i].error.message);
+      const fallback = await renderWithKroki({ type: items[i].type || 'mermaid', source: items[i].source }, outputFormat);
+      if (!fallback.error) results[i] = { ...fallback, renderer: 'kroki' };
+    }
+  }
+  return results;
+}
+
+/**
+ * 渲染单个图表，失败时抛出错误
+ * @returns {Promise<Buffer>}
+ */
+async function renderDiagram(diagramType, source, format = 'svg') {
+  const [result] = await renderDiagrams([{ type: diagramType, source }], format);
+  if (result.error) throw result.error;
+  return result.buffer;
+}
+
+/**
+ * 图表的嵌入地址：本地模式为 data URL，Kroki 模式为 Kroki 图片地址
+ */
+async function getDiagramUrl(diagramType, source, format = 'svg') {
+  const outputFormat = normalizeFormat(format);
+  if (getRendererConfig().renderer === 'kroki') {
+    return `${KROKI_BASE_URL}/${diagramType}/${outputFormat}/${encodeDiagram(source)}`;
+  }
+  const buffer = await renderDiagram(diagramType, source, outputFormat);
+  return `data:${MIME_TYPES[outputFormat]};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * 把 Markdown 中的 ```mermaid / ```plantuml 代码块替换为渲染好的图片（data URL），渲染失败的代码块保持不变
+ * @param {string} markdown
+ * @param {Object} options - { format: 'png', prepare: 渲染前对源码的清洗函数, annotate: (meta) => 图片标题，用于携带图表源码 }
+ * @returns {Promise<string>}
+ */
+async function embedRenderedDiagrams(markdown = '', { format = 'png', prepare, annotate } = {}) {
+  const normalized = markdown.replace(/\r\n?/g, '\n');
+  const blocks = [...normalized.matchAll(/```(mermaid|plantuml)\n([\s\S]*?)```/g)];
+  if (blocks.length === 0) return normalized;
+
+  const items = blocks.map(([, type, code]) => ({
+    type,
+    source: prepare ? prepare(code, type) : code
+  }));
+  const results = await renderDiagrams(items, format);
+
+  let index = 0;
+  return normalized.replace(/```(mermaid|plantuml)\n([\s\S]*?)```/g, (match) => {
+    const result = results[index++];
+    if (!result || result.error) {
+      console.warn(`图表${index}渲染失败，保留源码:`, result?.error?.message);
+      return match;
+    }
+    const mimeType = MIME_TYPES[normalizeFormat(format)];
+    const title = annotate ? ` "${annotate({ ...items[index - 1], title: `图表 ${index}` })}"` : '';
+    return `\n\n![图表 ${index}](data:${mimeType};base64,${result.buffer.toString('base64')}${title})\n\n`;
+  });
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  LOCAL_DIAGRAM_TYPES,
+  MIME_TYPES,
+  getRendererConfig,
+  resolveMermaidScript,
+  plantumlToMermaid,
+  renderDiagrams,
+  renderDiagram,
+  getDiagramUrl,
+  embedRenderedDiagrams
+};
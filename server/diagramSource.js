@@ -0,0 +1,358 @@
+/**
+ * 图表源码往返编辑模块
+ * 导出 Word 时把每张图表的源码作为替代文字载荷写进图片，导入已导出的文档后可取出源码、修改并原位重新渲染
+ *
+ * 载荷格式：
+ *   cosmic-diagram:<base64(JSON{ v, type, title, source })>
+ *   type 为 mermaid / plantuml / html
+ *
+ * 载荷位置：
+ * 1. .docx（模板导出）：图片 wp:docPr / pic:cNvPr 的 descr 属性（Word 中"编辑替代文字"可见）
+ * 2. .doc（HTML 导出）：<img> 的 alt 属性，Word 另存为 .docx 时会转成 descr，同样可以导入
+ *
+ * 回写时只替换图片文件、替代文字和图片高度（保持原宽度），文档其余内容不变
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { renderDiagrams } = require('./diagramRenderer');
+const { htmlToImage } = require('./diagramGenerator');
+
+const PAYLOAD_PREFIX = 'cosmic-diagram:';
+const PAYLOAD_PATTERN = /cosmic-diagram:([A-Za-z0-9+/=]+)/;
+const DIAGRAM_SOURCE_TYPES = ['mermaid', 'plantuml', 'html'];
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOC_MIME = 'application/msword';
+const IMAGE_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml'
+};
+
+// ==================== 载荷编码 ====================
+
+/**
+ * 把图表源码编码为载荷字符串（只含 base64 字符，可直接放进 Markdown 图片标题和 XML/HTML 属性）
+ * @param {Object} meta - { type, title, source }
+ * @returns {string}
+ */
+function encodeDiagramPayload({ type, title = '', source }) {
+  const json = JSON.stringify({ v: 1, type, title, source });
+  return PAYLOAD_PREFIX + Buffer.from(json, 'utf8').toString('base64');
+}
+
+/**
+ * 从替代文字中解析载荷，没有载荷或载荷损坏时返回 null
+ * @param {string} text
+ * @returns {{type: string, title: string, source: string}|null}
+ */
+function decodeDiagramPayload(text) {
+  const match = String(text || '').match(PAYLOAD_PATTERN);
+  if (!match) return null;
+  try {
+    const meta = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    if (!DIAGRAM_SOURCE_TYPES.includes(meta.type) || typeof meta.source !== 'string') return null;
+    return { type: meta.type, title: meta.title || '', source: meta.source };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 图片替代文字：标题在前便于阅读，载荷放在方括号中
+ */
+function diagramAltText(title, payload) {
+  return title ? `${title} [${payload}]` : `[${payload}]`;
+}
+
+/**
+ * 生成带载荷的 Markdown 图片：![标题](dataUrl "cosmic-diagram:...")
+ * 由 markdownToWordHtml / docxTemplateWriter 分别写入 <img alt> 和 descr
+ */
+function diagramImageMarkdown(title, dataUrl, meta) {
+  return `![${title}](${dataUrl} "${encodeDiagramPayload({ ...meta, title })}")`;
+}
+
+// ==================== XML / HTML 工具 ====================
+
+function escapeAttr(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeAttr(text) {
+  return String(text ?? '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(tag) {
+  const attrs = {};
+  for (const [, name, , doubleQuoted, singleQuoted] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[name] = decodeAttr(doubleQuoted ?? singleQuoted);
+  }
+  return attrs;
+}
+
+function setAttribute(tag, name, value) {
+  const pattern = new RegExp(`\\s${name}="[^"]*"`);
+  const attr = ` ${name}="${escapeAttr(value)}"`;
+  if (pattern.test(tag)) return tag.replace(pattern, attr);
+  return tag.replace(/\s*(\/?)>$/, `${attr}$1>`);
+}
+
+function pngSize(buffer) {
+  if (buffer && buffer.length > 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  return null;
+}
+
+function documentFormat(filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.docx') return 'docx';
+  if (['.doc', '.htm', '.html'].includes(ext)) return 'html';
+  throw new Error('仅支持导入 .docx 或 .doc 格式的需求文档');
+}
+
+// ==================== .docx ====================
+
+async function loadDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) throw new Error('不是有效的 Word 文档：缺少 word/document.xml');
+  const relsXml = await zip.file('word/_rels/document.xml.rels')?.async('string') || '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+  const rels = {};
+  for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const attrs = parseAttributes(tag);
+    if (attrs.Id) rels[attrs.Id] = attrs;
+  }
+  return { zip, documentXml, relsXml, rels };
+}
+
+function mediaPath(target) {
+  return target.startsWith('/') ? target.slice(1) : path.posix.normalize(`word/${target}`);
+}
+
+/**
+ * 遍历 document.xml 中带载荷的 <w:drawing>，回调参数 (drawingXml, meta, ordinal)
+ */
+function eachDiagramDrawing(documentXml, callback) {
+  let ordinal = 0;
+  return documentXml.replace(/<w:drawing>[\s\S]*?<\/w:drawing>/g, (drawing) => {
+    const docPr = drawing.match(/<wp:docPr\b[^>]*>/);
+    const meta = docPr ? decodeDiagramPayload(parseAttributes(docPr[0]).descr) : null;
+    if (!meta) return drawing;
+    ordinal++;
+    const result = callback(drawing, meta, ordinal);
+    return typeof result === 'string' ? result : drawing;
+  });
+}
+
+async function extractFromDocx(buffer) {
+  const { zip, documentXml, rels } = await loadDocx(buffer);
+  const found = [];
+  eachDiagramDrawing(documentXml, (drawing, meta, index) => {
+    const relId = drawing.match(/r:embed="([^"]+)"/)?.[1];
+    found.push({ index, ...meta, target: rels[relId]?.Target });
+  });
+
+  const diagrams = [];
+  for (const { target, ...diagram } of found) {
+    let image = null;
+    const file = target && zip.file(mediaPath(target));
+    if (file) {
+      const ext = path.extname(target).slice(1).toLowerCase();
+      image = `data:${IMAGE_MIME_TYPES[ext] || 'image/png'};base64,${await file.async('base64')}`;
+    }
+    diagrams.push({ ...diagram, image });
+  }
+  return diagrams;
+}
+
+async function applyToDocx(buffer, rendered) {
+  const { zip, documentXml, relsXml } = await loadDocx(buffer);
+  let rels = relsXml;
+  let mediaIndex = 1;
+  let updated = 0;
+
+  const nextMediaName = () => {
+    while (zip.file(`word/media/diagram_source${mediaIndex}.png`)) mediaIndex++;
+    return `diagram_source${mediaIndex}.png`;
+  };
+
+  const newDocument = eachDiagramDrawing(documentXml, (drawing, meta, index) => {
+    const edit = rendered.get(index);
+    if (!edit) return null;
+
+    const fileName = nextMediaName();
+    const relId = `rIdDiagramSource${mediaIndex}`;
+    zip.file(`word/media/${fileName}`, edit.buffer);
+    rels = rels.replace('</Relationships>', `<Relationship Id="${relId}" Type="${IMAGE_REL_TYPE}" Target="media/${fileName}"/></Relationships>`);
+
+    const altText = diagramAltText(edit.title, encodeDiagramPayload(edit));
+    let result = drawing
+      .replace(/r:embed="[^"]+"/, `r:embed="${relId}"`)
+      .replace(/<wp:docPr\b[^>]*>/, tag => setAttribute(tag, 'descr', altText))
+      .replace(/<pic:cNvPr\b[^>]*>/, tag => setAttribute(tag, 'descr', altText));
+
+    // 保持原宽度，按新图片比例调整高度
+    const size = pngSize(edit.buffer);
+    const cx = Number(drawing.match(/<wp:extent cx="(\d+)"/)?.[1]);
+    if (size && cx) {
+      const cy = Math.round(cx * size.height / size.width);
+      result = result
+        .replace(/(<wp:extent cx="\d+" cy=")\d+(")/, `$1${cy}$2`)
+        .replace(/(<a:ext cx="\d+" cy=")\d+(")/, `$1${cy}$2`);
+    }
+    updated++;
+    return result;
+  });
+
+  zip.file('word/document.xml', newDocument);
+  zip.file('word/_rels/document.xml.rels', rels);
+
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  if (!/Extension="png"/i.test(contentTypes)) {
+    zip.file('[Content_Types].xml', contentTypes.replace('</Types>', '<Default Extension="png" ContentType="image/png"/></Types>'));
+  }
+
+  const output = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer: output, updated };
+}
+
+// ==================== HTML .doc ====================
+
+function ensureHtmlDocument(buffer) {
+  // OLE 复合文档（Word 97-2003 二进制格式）以 D0 CF 11 E0 开头
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0xD0CF11E0) {
+    throw new Error('旧版二进制 .doc 无法读取图表源码，请在 Word 中另存为 .docx 后上传');
+  }
+  return buffer.toString('utf8');
+}
+
+function eachDiagramImage(html, callback) {
+  let ordinal = 0;
+  return html.replace(/<img\b[^>]*>/gi, (tag) => {
+    const attrs = parseAttributes(tag);
+    const meta = decodeDiagramPayload(attrs.alt);
+    if (!meta) return tag;
+    ordinal++;
+    const result = callback(tag, attrs, meta, ordinal);
+    return typeof result === 'string' ? result : tag;
+  });
+}
+
+function extractFromHtml(buffer) {
+  const diagrams = [];
+  eachDiagramImage(ensureHtmlDocument(buffer), (tag, attrs, meta, index) => {
+    diagrams.push({ index, ...meta, image: /^data:image\//.test(attrs.src || '') ? attrs.src : null });
+  });
+  return diagrams;
+}
+
+function applyToHtml(buffer, rendered) {
+  let updated = 0;
+  const html = eachDiagramImage(ensureHtmlDocument(buffer), (tag, attrs, meta, index) => {
+    const edit = rendered.get(index);
+    if (!edit) return null;
+    updated++;
+    const dataUrl = `data:image/png;base64,${edit.buffer.toString('base64')}`;
+    return setAttribute(setAttribute(tag, 'src', dataUrl), 'alt', diagramAltText(edit.title, encodeDiagramPayload(edit)));
+  });
+  return { buffer: Buffer.from(html, 'utf8'), updated };
+}
+
+// ==================== 对外接口 ====================
+
+/**
+ * 从导出的需求文档中提取带源码的图表
+ * @param {Buffer} buffer - 文档内容
+ * @param {string} filename - 原文件名（按扩展名判断格式）
+ * @returns {Promise<{format: string, diagrams: Array<{index, type, title, source, image}>}>}
+ */
+async function extractDiagrams(buffer, filename) {
+  const format = documentFormat(filename);
+  const diagrams = format === 'docx' ? await extractFromDocx(buffer) : extractFromHtml(buffer);
+  return { format, diagrams };
+}
+
+/**
+ * 渲染修改后的图表源码为 PNG；mermaid/plantuml 共用一个浏览器批量渲染，html 图表逐个截图
+ * html 源码由用户提交，htmlToImage 截图时禁用脚本并拦截所有外部请求
+ * 任一图表渲染失败时整体报错，避免写出只改了一半的文档
+ */
+async function renderEdits(edits) {
+  const rendered = new Map();
+  const errors = [];
+
+  const codeEdits = edits.filter(edit => edit.type !== 'html');
+  if (codeEdits.length > 0) {
+    const results = await renderDiagrams(codeEdits.map(({ type, source }) => ({ type, source })), 'png');
+    codeEdits.forEach((edit, i) => {
+      if (results[i]?.buffer) rendered.set(edit.index, { ...edit, buffer: results[i].buffer });
+      else errors.push(`图表 ${edit.index}: ${results[i]?.error?.message || '渲染失败'}`);
+    });
+  }
+
+  for (const edit of edits.filter(item => item.type === 'html')) {
+    const buffer = await htmlToImage(edit.source, { width: 900, height: 700 });
+    if (buffer) rendered.set(edit.index, { ...edit, buffer: Buffer.from(buffer) });
+    else errors.push(`图表 ${edit.index}: HTML图表截图失败`);
+  }
+
+  if (errors.length > 0) throw new Error(`图表渲染失败 - ${errors.join('；')}`);
+  return rendered;
+}
+
+/**
+ * 按修改后的源码重新渲染图表并原位写回文档
+ * @param {Buffer} buffer - 原文档
+ * @param {string} filename - 原文件名
+ * @param {Array<{index: number, source: string, type?: string, title?: string}>} edits - index 为 extractDiagrams 返回的序号
+ * @returns {Promise<{buffer: Buffer, mimeType: string, updated: number}>}
+ */
+async function applyDiagramEdits(buffer, filename, edits) {
+  const format = documentFormat(filename);
+  const { diagrams } = await extractDiagrams(buffer, filename);
+  if (diagrams.length === 0) throw new Error('文档中没有可编辑的图表（仅支持本系统导出且保留了图表源码的文档）');
+
+  const normalized = (Array.isArray(edits) ? edits : []).map(edit => {
+    const original = diagrams.find(d => d.index === Number(edit.index));
+    if (!original) throw new Error(`图表 ${edit.index} 不存在`);
+    const type = edit.type || original.type;
+    if (!DIAGRAM_SOURCE_TYPES.includes(type)) throw new Error(`不支持的图表类型: ${type}`);
+    if (typeof edit.source !== 'string' || !edit.source.trim()) throw new Error(`图表 ${edit.index} 的源码为空`);
+    return { index: original.index, type, title: edit.title ?? original.title, source: edit.source };
+  });
+  if (normalized.length === 0) throw new Error('没有需要更新的图表');
+
+  const rendered = await renderEdits(normalized);
+  const result = format === 'docx' ? await applyToDocx(buffer, rendered) : applyToHtml(buffer, rendered);
+  console.log(`图表源码回写: ${result.updated} 张图表已重新渲染`);
+  return { ...result, mimeType: format === 'docx' ? DOCX_MIME : DOC_MIME };
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  DIAGRAM_SOURCE_TYPES,
+  encodeDiagramPayload,
+  decodeDiagramPayload,
+  diagramAltText,
+  diagramImageMarkdown,
+  extractDiagrams,
+  applyDiagramEdits
+};
@@ -0,0 +1,350 @@
+/**
+ * 文档检索模块（检索增强问答）
+ * 把上传的需求文档按章节切块并建立 BM25 索引，问答时只把与问题相关的段落放进提示词，并标注来源章节
+ *
+ * 原理：
+ * 1. 切块：复用 traceability 的章节识别，每个章节的正文段落按长度合并为块，块带有"文档 > 章节路径"
+ * 2. 分词：英文/数字按单词，中文按单字 + 相邻二字组合，无需外部分词词典
+ * 3. 检索：BM25（k1=1.5, b=0.75），章节标题命中额外加权
+ * 4. 一个会话可以索引多个文档，检索时在全部文档中排序
+ *
+ * 存储：
+ *   doc_index/<sessionId>.json   会话中的文档原文（索引在加载时重建，不落盘）
+ * 内存中最多保留最近使用的 MAX_CACHED_SESSIONS 个会话索引，超过 SESSION_TTL 未访问的会话也会释放，再次访问时从磁盘重建
+ * 未提供存储目录时只保存在内存中（被释放的会话文档随之丢失）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { splitDocumentSections } = require('./traceability');
+
+const CHUNK_SIZE = 600;
+const CHUNK_OVERLAP = 1; // 相邻块重叠的段落数
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+const HEADING_BOOST = 0.5;
+const DEFAULT_TOP_K = 6;
+
+// 内存中的会话索引上限与空闲过期时间
+const MAX_CACHED_SESSIONS = 20;
+const SESSION_TTL = 30 * 60 * 1000;
+
+// 回答时的引用要求，与 buildContext 输出的编号对应
+const CITATION_INSTRUCTIONS = `回答要求：
+- 只依据下面给出的文档片段回答；片段中没有的信息请明确说明"文档中未找到"
+- 每个结论后用 [编号] 标注所依据的片段，例如"系统支持批量导入 [2]"
+- 回答末尾列出引用的章节，格式为"参考章节：[编号] 文档名 > 章节标题"`;
+
+// ==================== 分词 ====================
+
+const STOP_CHARS = new Set('的了是在和与及或等对把被将为就都而且并其这那个之也以于上下中'.split(''));
+
+/**
+ * 文本分词：英文单词、数字整体作为词，中文取单字（去停用字）与相邻二字
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const normalized = String(text || '').toLowerCase();
+  for (const [segment] of normalized.matchAll(/[a-z0-9_]+|[\u4e00-\u9fff]+/g)) {
+    if (!/[\u4e00-\u9fff]/.test(segment)) {
+      tokens.push(segment);
+      continue;
+    }
+    for (let i = 0; i < segment.length; i++) {
+      if (!STOP_CHARS.has(segment[i])) tokens.push(segment[i]);
+      if (i + 1 < segment.length) tokens.push(segment.slice(i, i + 2));
+    }
+  }
+  return tokens;
+}
+
+function termFrequencies(tokens) {
+  const tf = new Map();
+  tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+  return tf;
+}
+
+// ==================== 切块 ====================
+
+/**
+ * 按章节把文档切成检索块；超长段落按句子再切
+ * @returns {Array<{section, headingPath, text, offset}>}
+ */
+function chunkDocument(content) {
+  const chunks = [];
+  splitDocumentSections(content).forEach(section => {
+    const paragraphs = [];
+    section.paragraphs.forEach(paragraph => {
+      if (paragraph.text.length <= CHUNK_SIZE) {
+        paragraphs.push(paragraph);
+        return;
+      }
+      let offset = paragraph.offset;
+      let buffer = '';
+      (paragraph.text.match(/[^。！？!?；;\n]+[。！？!?；;]?/g) || [paragraph.text]).forEach(sentence => {
+        if (buffer && buffer.length + sentence.length > CHUNK_SIZE) {
+          paragraphs.push({ offset, text: buffer });
+          offset += buffer.length;
+          buffer = '';
+        }
+        buffer += sentence;
+      });
+      if (buffer) paragraphs.push({ offset, text: buffer });
+    });
+
+    let start = 0;
+    while (start < paragraphs.length) {
+      let end = start;
+      let length = 0;
+      while (end < paragraphs.length && (end === start || length + paragraphs[end].text.length <= CHUNK_SIZE)) {
+        length += paragraphs[end].text.length;
+        end++;
+      }
+      chunks.push({
+        section: section.heading,
+        headingPath: section.headingPath,
+        text: paragraphs.slice(start, end).map(p => p.text).join('\n'),
+        offset: paragraphs[start].offset
+      });
+      if (end >= paragraphs.length) break;
+      start = Math.max(end - CHUNK_OVERLAP, start + 1);
+    }
+
+    // 只有标题没有正文的章节也保留，便于按标题检索
+    if (paragraphs.length === 0 && section.level > 0) {
+      chunks.push({ section: section.heading, headingPath: section.headingPath, text: section.heading, offset: section.start });
+    }
+  });
+  return chunks;
+}
+
+// ==================== BM25 索引 ====================
+
+class Bm25Index {
+  constructor() {
+    this.chunks = [];
+    this.docFreq = new Map();
+    this.totalLength = 0;
+  }
+
+  add(chunk) {
+    const tf = termFrequencies(tokenize(chunk.text));
+    const headingTf = termFrequencies(tokenize(chunk.headingPath));
+    const length = [...tf.values()].reduce((sum, n) => sum + n, 0);
+    new Set([...tf.keys(), ...headingTf.keys()]).forEach(term => this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1));
+    this.chunks.push({ ...chunk, tf, headingTf, length });
+    this.totalLength += length;
+  }
+
+  remove(predicate) {
+    this.chunks = this.chunks.filter(chunk => {
+      if (!predicate(chunk)) return true;
+      new Set([...chunk.tf.keys(), ...chunk.headingTf.keys()]).forEach(term => {
+        const df = this.docFreq.get(term) - 1;
+        if (df > 0) this.docFreq.set(term, df);
+        else this.docFreq.delete(term);
+      });
+      this.totalLength -= chunk.length;
+      return false;
+    });
+  }
+
+  search(query, { topK = DEFAULT_TOP_K, filter } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.chunks.length === 0) return [];
+
+    const count = this.chunks.length;
+    const avgLength = this.totalLength / count || 1;
+    const idf = term => {
+      const df = this.docFreq.get(term) || 0;
+      return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+    };
+
+    return this.chunks
+      .filter(chunk => !filter || filter(chunk))
+      .map(chunk => {
+        let score = 0;
+        terms.forEach(term => {
+          const f = chunk.tf.get(term) || 0;
+          if (f > 0) {
+            score += idf(term) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / avgLength));
+          }
+          if (chunk.headingTf.has(term)) score += idf(term) * HEADING_BOOST;
+        });
+        return { chunk, score };
+      })
+      .filter(hit => hit.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+// ==================== 会话文档索引 ====================
+
+class DocumentIndexStore {
+  /**
+   * @param {string|null} baseDir - 文档原文存储目录，为空时只保存在内存
+   * @param {Object} options - { maxSessions, ttl }
+   */
+  constructor(baseDir = null, options = {}) {
+    this.baseDir = baseDir;
+    this.maxSessions = options.maxSessions || MAX_CACHED_SESSIONS;
+    this.ttl = options.ttl || SESSION_TTL;
+    // 按最近使用排序（Map 保持插入顺序，访问时移到末尾）
+    this.sessions = new Map();
+    if (baseDir && !fs.existsSync(baseDir)) {
+      fs.mkdirSync(baseDir, { recursive: true });
+    }
+  }
+
+  sessionPath(sessionId) {
+    if (!/^[\w-]{1,100}$/.test(sessionId || '')) {
+      throw new Error(`无效的会话ID: ${sessionId}`);
+    }
+    return this.baseDir ? path.join(this.baseDir, `${sessionId}.json`) : null;
+  }
+
+  // 获取会话索引，内存中没有时从磁盘加载文档并重建索引
+  getSession(sessionId) {
+    const filePath = this.sessionPath(sessionId);
+    let session = this.sessions.get(sessionId);
+    if (session) {
+      this.sessions.delete(sessionId);
+    } else {
+      session = { documents: [], index: new Bm25Index() };
+      if (filePath && fs.existsSync(filePath)) {
+        JSON.parse(fs.readFileSync(filePath, 'utf-8')).documents.forEach(doc => this.indexDocument(session, doc));
+      }
+    }
+    session.lastAccess = Date.now();
+    this.sessions.set(sessionId, session);
+    this.evict();
+    return session;
+  }
+
+  // 释放超过上限的最久未用会话和空闲过期的会话
+  evict() {
+    const expireBefore = Date.now() - this.ttl;
+    for (const [sessionId, session] of this.sessions) {
+      if (this.sessions.size > this.maxSessions || session.lastAccess < expireBefore) {
+        this.sessions.delete(sessionId);
+      } else {
+        break;
+      }
+    }
+  }
+
+  save(sessionId) {
+    const filePath = this.sessionPath(sessionId);
+    if (!filePath) return;
+    const { documents } = this.sessions.get(sessionId);
+    if (documents.length === 0) {
+      fs.rmSync(filePath, { force: true });
+      return;
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      documents: documents.map(({ id, name, content, hash, addedAt }) => ({ id, name, content, hash, addedAt }))
+    }));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  indexDocument(session, doc) {
+    const chunks = chunkDocument(doc.content);
+    chunks.forEach((chunk, i) => session.index.add({ ...chunk, id: `${doc.id}#${i + 1}`, docId: doc.id, docName: doc.name }));
+    session.documents.push({ ...doc, chunkCount: chunks.length });
+    return chunks.length;
+  }
+
+  summarize(doc) {
+    return { id: doc.id, name: doc.name, length: doc.content.length, chunkCount: doc.chunkCount, addedAt: doc.addedAt };
+  }
+
+  /**
+   * 向会话添加文档；同一会话中内容相同的文档只索引一次
+   * @param {Object} document - { name, content }
+   * @returns {{id, name, length, chunkCount, addedAt, duplicate: boolean}}
+   */
+  addDocument(sessionId, { name, content }) {
+    if (!content || !String(content).trim()) throw new Error('文档内容为空');
+    const session = this.getSession(sessionId);
+    const text = String(content).replace(/\r\n?/g, '\n');
+    const hash = crypto.createHash('sha1').update(text).digest('hex');
+
+    const existing = session.documents.find(doc => doc.hash === hash);
+    if (existing) return { ...this.summarize(existing), duplicate: true };
+
+    const doc = {
+      id: `qadoc_${hash.slice(0, 12)}`,
+      name: name || `文档${session.documents.length + 1}`,
+      content: text,
+      hash,
+      addedAt: new Date().toISOString()
+    };
+    const chunkCount = this.indexDocument(session, doc);
+    this.save(sessionId);
+    console.log(`文档索引: 会话 ${sessionId} 添加《${doc.name}》，${chunkCount} 个检索块`);
+    return { ...this.summarize({ ...doc, chunkCount }), duplicate: false };
+  }
+
+  listDocuments(sessionId) {
+    return this.getSession(sessionId).documents.map(doc => this.summarize(doc));
+  }
+
+  removeDocument(sessionId, docId) {
+    const session = this.getSession(sessionId);
+    const before = session.documents.length;
+    session.documents = session.documents.filter(doc => doc.id !== docId);
+    if (session.documents.length === before) return false;
+    session.index.remove(chunk => chunk.docId === docId);
+    this.save(sessionId);
+    return true;
+  }
+
+  clearSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, { documents: [], index: new Bm25Index(), lastAccess: Date.now() });
+    this.save(sessionId);
+  }
+
+  /**
+   * 在会话的全部文档中检索与问题相关的段落
+   * @param {Object} options - { topK, docIds: 只在指定文档中检索 }
+   * @returns {Array<{id, docId, docName, section, headingPath, text, offset, score}>}
+   */
+  search(sessionId, query, { topK = DEFAULT_TOP_K, docIds } = {}) {
+    const filter = Array.isArray(docIds) && docIds.length > 0 ? chunk => docIds.includes(chunk.docId) : null;
+    return this.getSession(sessionId).index.search(query, { topK, filter }).map(({ chunk, score }) => ({
+      id: chunk.id,
+      docId: chunk.docId,
+      docName: chunk.docName,
+      section: chunk.section,
+      headingPath: chunk.headingPath,
+      text: chunk.text,
+      offset: chunk.offset,
+      score: Math.round(score * 1000) / 1000
+    }));
+  }
+}
+
+/**
+ * 把检索结果拼成提示词中的文档片段，编号从 1 开始，与回答中的 [编号] 引用对应
+ */
+function buildContext(passages) {
+  return passages.map((passage, i) =>
+    `[${i + 1}] 《${passage.docName}》 ${passage.headingPath}\n${passage.text}`
+  ).join('\n\n');
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  CITATION_INSTRUCTIONS,
+  tokenize,
+  chunkDocument,
+  buildContext,
+  DocumentIndexStore
+};
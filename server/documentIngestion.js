@@ -0,0 +1,1020 @@
+/**
+ * 文档统一解析与存储模块
+ * 所有上传入口（编程智能体、需求规格书、模板、需求评审、文档问答）共用同一套解析逻辑：
+ * 按文件内容识别格式（.docx/.doc/.txt/.md/.pdf/.pptx/.xlsx），提取纯文本、HTML、标题结构和图片，
+ * 保存后返回文档ID，其他接口可通过 documentId 引用，不必重复上传
+ *
+ * - PDF：读取文本层，按页记录起始行，章节可标注所在页码（扫描件没有文本层，需先 OCR）
+ * - PPTX：按幻灯片提取标题、正文（含表格）和备注，每页幻灯片为一个章节
+ * - XLSX：识别功能清单的模块/功能/描述列，转为 模块 → 功能 的章节层级
+ *
+ * 目录结构：
+ *   documents/<documentId>/document.json   元数据 + 文本 + HTML + 标题（HTML 中的图片以 doc-image:<图片ID> 引用）
+ *   documents/<documentId>/images.json     提取的图片（每张只保存一份 base64，dataUrl 读取时生成）
+ *
+ * 存储按文档数量和总大小限制，超出时淘汰最久未访问的文档（访问时更新 document.json 的修改时间）
+ *
+ * 不依赖数据库和网络，离线可用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const JSZip = require('jszip');
+const ExcelJS = require('exceljs');
+const { PDFParse } = require('pdf-parse');
+const { cellText } = require('./cosmicImport');
+
+const wordExtractor = new WordExtractor();
+
+const SUPPORTED_EXTENSIONS = ['.docx', '.doc', '.txt', '.md', '.pdf', '.pptx', '.xlsx'];
+
+// 格式说明（用于错误提示和返回结果）
+const FORMAT_LABELS = {
+  docx: 'Word文档（.docx）',
+  doc: 'Word 97-2003 文档（.doc）',
+  md: 'Markdown文档',
+  txt: '纯文本',
+  pdf: 'PDF文档',
+  pptx: 'PowerPoint演示文稿（.pptx）',
+  xlsx: 'Excel工作簿（.xlsx）'
+};
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  emf: 'image/x-emf',
+  wmf: 'image/x-wmf'
+};
+
+// ==================== 格式识别 ====================
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+
+// Office Open XML 都是 zip，按包内的目录区分（文件名以明文存放在 zip 目录中）
+const OOXML_PARTS = [
+  { format: 'docx', part: 'word/document' },
+  { format: 'pptx', part: 'ppt/presentation' },
+  { format: 'xlsx', part: 'xl/workbook' }
+];
+
+/**
+ * 按文件头识别文档格式，扩展名只用于区分 Markdown 和纯文本
+ * 改了扩展名的文件（如 .doc 另存为 .docx）也能正确解析
+ * @returns {{ format: string, extension: string, extensionMismatch: boolean }}
+ */
+function detectFormat(buffer, filename = '') {
+  const extension = path.extname(filename).toLowerCase();
+  let format;
+
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    const matched = OOXML_PARTS.find(({ part }) => buffer.includes(part));
+    if (!matched) {
+      throw new Error(`无法识别的压缩文件${extension ? `: ${extension}` : ''}，请上传 ${SUPPORTED_EXTENSIONS.join(', ')} 文件`);
+    }
+    format = matched.format;
+  } else if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) {
+    // .xls/.ppt 同为 OLE 格式，word-extractor 只能解析 Word
+    if (extension === '.xls' || extension === '.ppt') {
+      throw new Error(`不支持旧版 ${extension} 格式，请另存为 ${extension}x 后重新上传`);
+    }
+    format = 'doc';
+  } else if (buffer.subarray(0, 1024).includes(PDF_SIGNATURE)) {
+    // PDF 文件头前允许有少量垃圾字节
+    format = 'pdf';
+  } else if (buffer.subarray(0, 512).includes(0)) {
+    // 文本文件不会包含 NUL 字节
+    throw new Error(`无法识别的文件格式${extension ? `: ${extension}` : ''}，请上传 ${SUPPORTED_EXTENSIONS.join(', ')} 文件`);
+  } else if (extension === '.md' || extension === '.markdown' || looksLikeMarkdown(buffer.toString('utf-8', 0, 4096))) {
+    format = 'md';
+  } else {
+    format = 'txt';
+  }
+
+  const expected = {
+    '.docx': 'docx', '.doc': 'doc', '.md': 'md', '.markdown': 'md', '.txt': 'txt', '.pdf': 'pdf', '.pptx': 'pptx', '.xlsx': 'xlsx'
+  }[extension];
+  return {
+    format,
+    extension,
+    // 文本类文件之间互相识别（.txt 内容是 Markdown）不算扩展名不符
+    extensionMismatch: Boolean(expected) && expected !== format && !(expected === 'txt' && format === 'md')
+  };
+}
+
+function looksLikeMarkdown(text) {
+  return /^#{1,6}\s+\S/m.test(text) && /^(?:#{1,6}\s|[-*]\s|\d+\.\s|```|\|.+\|)/m.test(text);
+}
+
+// ==================== 内容提取 ====================
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function stripTags(html) {
+  return String(html || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// 根据图片文件名和上下文推断图片类型
+function inferImageType(filename, index) {
+  const lowerName = filename.toLowerCase();
+
+  // 架构图/系统图
+  if (lowerName.match(/架构|系统|structure|arch|framework|topology|拓扑/i)) {
+    return { type: 'architecture', suggestedSection: '4. 产品功能架构', description: '系统架构图' };
+  }
+  // 流程图/业务图
+  if (lowerName.match(/流程|process|flow|业务|workflow|步骤/i)) {
+    return { type: 'flowchart', suggestedSection: '3. 用户需求', description: '业务流程图' };
+  }
+  // 界面/UI图
+  if (lowerName.match(/界面|UI|页面|screen|原型|prototype|mockup|设计|design/i)) {
+    return { type: 'ui', suggestedSection: '5. 功能需求-界面设计', description: '界面原型图' };
+  }
+  // 数据模型/ER图
+  if (lowerName.match(/数据|ER|model|表|database|实体|entity|schema/i)) {
+    return { type: 'data', suggestedSection: '附录-数据字典', description: '数据模型图' };
+  }
+  // 用例图
+  if (lowerName.match(/用例|usecase|actor|角色/i)) {
+    return { type: 'usecase', suggestedSection: '3. 用户需求-用例图', description: '用例图' };
+  }
+  // 时序图/交互图
+  if (lowerName.match(/时序|sequence|交互|interaction|通信/i)) {
+    return { type: 'sequence', suggestedSection: '5. 功能需求-接口设计', description: '时序图' };
+  }
+  // 部署图
+  if (lowerName.match(/部署|deploy|环境|server|服务器/i)) {
+    return { type: 'deployment', suggestedSection: '6. 系统需求-部署要求', description: '部署架构图' };
+  }
+
+  // 默认：根据图片顺序推断
+  if (index === 0) {
+    return { type: 'overview', suggestedSection: '1. 概述', description: '概述图' };
+  }
+  return { type: 'general', suggestedSection: '相关章节', description: '文档图片' };
+}
+
+// 从docx文件中提取图片 - 增强版：包含图片分析
+async function extractImagesFromDocx(buffer) {
+  const images = [];
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const mediaFolder = zip.folder('word/media');
+
+    if (mediaFolder) {
+      const imageFiles = [];
+      mediaFolder.forEach((relativePath, file) => {
+        if (!file.dir) {
+          imageFiles.push({ path: relativePath, file });
+        }
+      });
+
+      // 按文件名排序，确保顺序一致
+      imageFiles.sort((a, b) => a.path.localeCompare(b.path));
+
+      for (const { path: relativePath, file } of imageFiles) {
+        try {
+          const data = await file.async('base64');
+          const ext = relativePath.split('.').pop().toLowerCase();
+          const mimeType = IMAGE_MIME_TYPES[ext] || 'image/png';
+
+          // 推断图片类型
+          const imageInfo = inferImageType(relativePath, images.length);
+
+          images.push({
+            id: `img_${images.length + 1}`,
+            filename: relativePath,
+            mimeType,
+            base64: data,
+            dataUrl: `data:${mimeType};base64,${data}`,
+            inferredType: imageInfo.type,
+            suggestedSection: imageInfo.suggestedSection,
+            description: imageInfo.description
+          });
+        } catch (imgErr) {
+          console.log(`提取图片 ${relativePath} 失败:`, imgErr.message);
+        }
+      }
+    }
+
+    console.log(`从文档中提取了 ${images.length} 张图片`);
+  } catch (err) {
+    console.error('提取图片失败:', err);
+  }
+  return images;
+}
+
+// 极简 Markdown 转 HTML：标题、列表、代码块、段落，供预览使用
+function markdownToHtml(markdown) {
+  const html = [];
+  let listTag = null;
+  let paragraph = [];
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeList = () => {
+    if (listTag) {
+      html.push(`</${listTag}>`);
+      listTag = null;
+    }
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (code !== null) {
+      if (/^```/.test(line)) {
+        html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (/^```/.test(line)) {
+      flushParagraph();
+      closeList();
+      code = [];
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.+)$/);
+    if (heading) {
+      flushParagraph();
+      closeList();
+      html.push(`<h${heading[1].length}>${escapeHtml(heading[2])}</h${heading[1].length}>`);
+    } else if (item) {
+      flushParagraph();
+      const tag = item[1] ? 'ul' : 'ol';
+      if (listTag !== tag) {
+        closeList();
+        html.push(`<${tag}>`);
+        listTag = tag;
+      }
+      html.push(`<li>${escapeHtml(item[2])}</li>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(escapeHtml(line));
+    }
+  }
+  if (code !== null) html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+  flushParagraph();
+  closeList();
+  return html.join('\n');
+}
+
+// 编号章节标题：1、1.1、1.1.1 或 第一章
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,3})*)(?:\s*[、.．]\s*|\s+)([\u4e00-\u9fa5a-zA-Z【（(][^\t]{1,50})$/;
+const CHAPTER_HEADING = /^(第[一二三四五六七八九十百\d]+[章节部分篇])\s*[、.．:：]?\s*(.{0,50})$/;
+
+/**
+ * 提取标题结构
+ * - docx：优先使用 Word 标题样式（mammoth 转换出的 h1-h6），没有样式时退回编号识别
+ * - md：# 标题
+ * - pptx/xlsx：解析时已分好的章节（幻灯片、功能清单）
+ * - doc/txt/pdf：编号章节（1.1 标题、第一章 标题）
+ * @returns {Array<{ level: number, title: string, number: string|null, line: number }>}
+ */
+function extractHeadings(text, html, format, sections = null) {
+  if (sections) {
+    return sections.map(s => ({ level: s.level, title: s.title, number: s.number, line: s.lineIndex }));
+  }
+
+  const lines = text.split(/\r?\n/);
+
+  if (format === 'md') {
+    const headings = [];
+    let inCode = false;
+    lines.forEach((line, index) => {
+      if (/^```/.test(line)) inCode = !inCode;
+      const match = !inCode && line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+      if (match) {
+        const numbered = match[2].match(/^(\d{1,2}(?:\.\d{1,3})*)[、.．]?\s+/);
+        headings.push({ level: match[1].length, title: match[2], number: numbered ? numbered[1] : null, line: index });
+      }
+    });
+    return headings;
+  }
+
+  if (format === 'docx' && html) {
+    const styled = [];
+    const pattern = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      const title = stripTags(match[2]);
+      if (title) {
+        const numbered = title.match(/^(\d{1,2}(?:\.\d{1,3})*)[、.．]?\s+/);
+        styled.push({ level: parseInt(match[1], 10), title, number: numbered ? numbered[1] : null, line: -1 });
+      }
+    }
+    if (styled.length > 0) {
+      // 按出现顺序回填行号，便于和文本对应
+      let cursor = 0;
+      styled.forEach(heading => {
+        const found = lines.findIndex((line, index) => index >= cursor && line.trim() === heading.title);
+        if (found >= 0) {
+          heading.line = found;
+          cursor = found + 1;
+        }
+      });
+      return styled;
+    }
+  }
+
+  const headings = [];
+  const seen = new Set();
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    const numbered = trimmed.match(NUMBERED_HEADING);
+    if (numbered && !seen.has(numbered[1])) {
+      seen.add(numbered[1]);
+      headings.push({ level: numbered[1].split('.').length, title: trimmed, number: numbered[1], line: index });
+      return;
+    }
+    const chapter = trimmed.match(CHAPTER_HEADING);
+    if (chapter) {
+      headings.push({ level: 1, title: trimmed, number: chapter[1], line: index });
+    }
+  });
+  return headings;
+}
+
+// ==================== PDF / PPTX / XLSX ====================
+
+// 把若干块文本依次拼成全文，记录每块的起始行号
+function joinBlocks(blocks) {
+  const lines = [];
+  const starts = blocks.map(block => {
+    const startLine = lines.length;
+    lines.push(...block.split('\n'), '');
+    return startLine;
+  });
+  return { text: lines.join('\n').trimEnd(), starts };
+}
+
+/**
+ * 章节起始行所在的页码（PDF 页码 / PPTX 幻灯片序号）
+ * @param {Array<{ number: number, startLine: number }>} pages
+ */
+function pageOfLine(pages, line) {
+  let page = pages.length > 0 ? pages[0].number : null;
+  for (const p of pages) {
+    if (p.startLine > line) break;
+    page = p.number;
+  }
+  return page;
+}
+
+async function extractPdf(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  let result;
+  try {
+    result = await parser.getText();
+  } catch (e) {
+    const reason = e.name === 'PasswordException' ? '文件已加密，请先移除密码' : e.message;
+    throw new Error(`PDF解析失败: ${reason}`);
+  } finally {
+    await parser.destroy();
+  }
+
+  const pageTexts = result.pages.map(p => p.text.replace(/\r\n?/g, '\n').trim());
+  if (!pageTexts.some(t => t)) {
+    throw new Error('PDF 中没有可提取的文本（可能是扫描件），请先进行 OCR 识别后再上传');
+  }
+  const { text, starts } = joinBlocks(pageTexts);
+  return {
+    text,
+    pages: result.pages.map((p, i) => ({ number: p.num, startLine: starts[i] }))
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+// DrawingML 段落文本（<a:p> 内的 <a:t>，<a:br/> 为软换行）
+function xmlParagraphs(xml) {
+  const paragraphs = [];
+  for (const [, body] of xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)) {
+    const text = decodeXml(body
+      .replace(/<a:br\/>/g, '\n')
+      .replace(/<a:t>([\s\S]*?)<\/a:t>|<[^>]+>/g, (m, t) => t ?? '')).trim();
+    if (text) paragraphs.push(text);
+  }
+  return paragraphs;
+}
+
+// 按占位符类型拆出形状：返回指定类型形状的段落和其余内容
+function splitShapes(xml, types) {
+  const picked = [];
+  const rest = xml.replace(/<p:sp>[\s\S]*?<\/p:sp>/g, shape => {
+    const type = (shape.match(/<p:ph[^>]*\btype="(\w+)"/) || [])[1];
+    if (types.includes(type)) {
+      picked.push({ type, paragraphs: xmlParagraphs(shape) });
+      return '';
+    }
+    return shape;
+  });
+  return { picked, rest };
+}
+
+function relationshipTargets(relsXml) {
+  const targets = {};
+  for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = (tag.match(/\bId="([^"]+)"/) || [])[1];
+    const target = (tag.match(/\bTarget="([^"]+)"/) || [])[1];
+    if (id && target) targets[id] = target;
+  }
+  return targets;
+}
+
+async function readZipText(zip, name) {
+  const file = zip.file(name);
+  return file ? file.async('string') : null;
+}
+
+// 按 presentation.xml 中的顺序列出幻灯片（缺失时按文件名序号）
+async function orderedSlidePaths(zip) {
+  const presentation = await readZipText(zip, 'ppt/presentation.xml');
+  const rels = await readZipText(zip, 'ppt/_rels/presentation.xml.rels');
+  if (presentation && rels) {
+    const targets = relationshipTargets(rels);
+    const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+      .map(([, id]) => targets[id])
+      .filter(Boolean)
+      .map(target => path.posix.join('ppt', target.replace(/^\//, '')))
+      .filter(name => zip.file(name));
+    if (ordered.length > 0) return ordered;
+  }
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+}
+
+async function slideNotes(zip, slidePath) {
+  const rels = await readZipText(zip, slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels'));
+  if (!rels) return '';
+  const target = Object.values(relationshipTargets(rels)).find(t => /notesSlide/.test(t));
+  if (!target) return '';
+  const notesXml = await readZipText(zip, path.posix.normalize(path.posix.join(path.posix.dirname(slidePath), target)));
+  if (!notesXml) return '';
+  // 备注页中的幻灯片缩略图、页码占位符不是备注内容
+  return xmlParagraphs(splitShapes(notesXml, ['sldImg', 'sldNum']).rest).join('\n');
+}
+
+/**
+ * 解析 PPTX：每页幻灯片为一个章节，内容为正文（含表格文字）和备注
+ */
+async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slidePaths = await orderedSlidePaths(zip);
+  if (slidePaths.length === 0) {
+    throw new Error('演示文稿中没有幻灯片');
+  }
+
+  const slides = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const xml = await zip.file(slidePath).async('string');
+    const { picked, rest } = splitShapes(xml, ['title', 'ctrTitle', 'sldNum', 'dt', 'ftr']);
+    const titleShape = picked.find(p => p.type === 'title' || p.type === 'ctrTitle');
+    const body = xmlParagraphs(rest);
+    slides.push({
+      number: index + 1,
+      // 没有标题占位符时用第一段正文作标题
+      title: (titleShape ? titleShape.paragraphs.join(' ') : body[0] || '').replace(/\s+/g, ' ').slice(0, 50) || `幻灯片${index + 1}`,
+      body: titleShape ? body : body.slice(1),
+      notes: await slideNotes(zip, slidePath)
+    });
+  }
+
+  const blocks = slides.map(s => [s.title, ...s.body, ...(s.notes ? [`备注：${s.notes}`] : [])].join('\n'));
+  const { text, starts } = joinBlocks(blocks);
+  const sections = slides.map((s, i) => {
+    const content = [...s.body, ...(s.notes ? [`备注：${s.notes}`] : [])].join('\n');
+    return { number: String(s.number), title: s.title, level: 1, lineIndex: starts[i], content, contentLength: content.length, slide: s.number };
+  });
+
+  return {
+    text,
+    sections,
+    pages: slides.map((s, i) => ({ number: s.number, startLine: starts[i] }))
+  };
+}
+
+// 功能清单表头识别（按优先级：描述 → 模块 → 功能 → 序号）
+const COLUMN_ROLES = [
+  { role: 'description', pattern: /描述|说明|内容|详情|备注|description/i },
+  { role: 'module', pattern: /模块|子系统|系统|分类|类别|菜单|module/i },
+  { role: 'feature', pattern: /功能|需求|用例|名称|feature|function/i },
+  { role: 'id', pattern: /^(序号|编号|id|no\.?)$/i }
+];
+const HEADER_SCAN_ROWS = 10;
+
+function columnRoles(headers) {
+  const roles = headers.map(header => {
+    const found = header ? COLUMN_ROLES.find(({ pattern }) => pattern.test(header)) : null;
+    return found ? found.role : 'extra';
+  });
+  // 多个功能列（一级功能/二级功能/功能点）时，最后一列是功能，前面的作为模块层级
+  let featureCols = roles.map((r, i) => (r === 'feature' ? i : -1)).filter(i => i >= 0);
+  if (featureCols.length === 0) {
+    // 只有模块列时，最后一个模块列当作功能
+    const moduleCols = roles.map((r, i) => (r === 'module' ? i : -1)).filter(i => i >= 0);
+    if (moduleCols.length < 2) return null;
+    featureCols = [moduleCols[moduleCols.length - 1]];
+  }
+  const featureCol = featureCols[featureCols.length - 1];
+  return roles.map((role, i) => {
+    if (i === featureCol) return 'feature';
+    if (role === 'feature' || role === 'module') return i < featureCol ? 'module' : 'extra';
+    return role;
+  });
+}
+
+function sheetMatrix(worksheet) {
+  const matrix = [];
+  worksheet.eachRow({ includeEmpty: false }, row => {
+    const cells = row.values.slice(1).map(cellText); // 去掉第一个空元素
+    if (cells.some(c => c !== '')) matrix.push(cells);
+  });
+  return matrix;
+}
+
+/**
+ * 把一张功能清单转换为 工作表 → 模块 → 功能 的章节
+ * 合并单元格和留空的模块列沿用上一行的值
+ */
+function featureListSections(name, matrix, sheetNumber) {
+  const headerIdx = matrix.slice(0, HEADER_SCAN_ROWS).findIndex(cells => columnRoles(cells));
+  if (headerIdx === -1) return null;
+  const headers = matrix[headerIdx];
+  const roles = columnRoles(headers);
+
+  const sections = [{ number: String(sheetNumber), title: `功能需求 - ${name}`, level: 1, content: '' }];
+  const moduleValues = [];
+  let moduleKey = null;
+  let moduleNumber = 0;
+  let featureNumber = 0;
+  let lastFeature = null;
+
+  for (const cells of matrix.slice(headerIdx + 1)) {
+    let changed = false;
+    roles.forEach((role, i) => {
+      if (role !== 'module') return;
+      if (cells[i] && cells[i] !== moduleValues[i]) {
+        moduleValues[i] = cells[i];
+        // 上级模块变化时清空下级模块
+        moduleValues.forEach((v, j) => { if (j > i) moduleValues[j] = undefined; });
+        changed = true;
+      }
+    });
+    const key = moduleValues.filter(Boolean).join(' / ');
+    if (changed && key && key !== moduleKey) {
+      moduleKey = key;
+      moduleNumber++;
+      featureNumber = 0;
+      sections.push({ number: `${sheetNumber}.${moduleNumber}`, title: key, level: 2, content: '' });
+    }
+
+    const feature = cells[roles.indexOf('feature')] || '';
+    const details = roles
+      .map((role, i) => {
+        if (!cells[i]) return null;
+        if (role === 'description') return cells[i];
+        if (role === 'extra') return `${headers[i] || `第${i + 1}列`}：${cells[i]}`;
+        return null;
+      })
+      .filter(Boolean);
+
+    if (feature) {
+      featureNumber++;
+      lastFeature = {
+        number: moduleNumber > 0 ? `${sheetNumber}.${moduleNumber}.${featureNumber}` : `${sheetNumber}.${featureNumber}`,
+        title: feature,
+        level: moduleNumber > 0 ? 3 : 2,
+        content: details.join('\n')
+      };
+      sections.push(lastFeature);
+    } else if (lastFeature && details.length > 0) {
+      // 功能名留空的行是上一功能的补充说明
+      lastFeature.content = [lastFeature.content, ...details].filter(Boolean).join('\n');
+    }
+  }
+  return sections;
+}
+
+/**
+ * 解析 XLSX：识别为功能清单的工作表转为章节；其余工作表整表作为一个章节
+ */
+async function extractXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sections = [];
+  let sheetNumber = 0;
+  for (const worksheet of workbook.worksheets) {
+    const matrix = sheetMatrix(worksheet);
+    if (matrix.length === 0) continue;
+    sheetNumber++;
+    const featureSections = featureListSections(worksheet.name, matrix, sheetNumber);
+    if (featureSections) {
+      sections.push(...featureSections);
+    } else {
+      sections.push({ number: String(sheetNumber), title: worksheet.name, level: 1, content: matrix.map(cells => cells.join('\t')).join('\n') });
+    }
+  }
+  if (sections.length === 0) {
+    throw new Error('Excel文件中没有内容');
+  }
+
+  const { text, starts } = joinBlocks(sections.map(s => [`${s.number} ${s.title}`, s.content].filter(Boolean).join('\n')));
+  sections.forEach((s, i) => {
+    s.lineIndex = starts[i];
+    s.contentLength = s.content.length;
+  });
+  return { text, sections };
+}
+
+/**
+ * 解析文档
+ * @param {Buffer} buffer 文件内容
+ * @param {string} filename 原始文件名（用于扩展名判断和提示）
+ * @param {Object} options
+ * @param {boolean} options.images 是否提取图片（默认 true，仅 .docx 有效）
+ * @param {boolean} options.html 是否生成 HTML（默认 true）
+ * @returns {Promise<{ format, formatLabel, text, html, headings, images, warnings, sections, pages }>}
+ *   sections：PPTX/XLSX 解析时已分好的章节（与 parseRequirementDocument 的 sections 结构一致），其余格式为 null
+ *   pages：PDF 每页 / PPTX 每页幻灯片的起始行 [{ number, startLine }]，其余格式为 null
+ */
+async function extractDocument(buffer, filename = '', options = {}) {
+  const { images: withImages = true, html: withHtml = true } = options;
+  const { format, extension, extensionMismatch } = detectFormat(buffer, filename);
+  const warnings = [];
+  let text = '';
+  let html = '';
+  let images = [];
+  let sections = null;
+  let pages = null;
+
+  if (extensionMismatch) {
+    warnings.push(`文件扩展名为 ${extension}，实际内容为${FORMAT_LABELS[format]}，已按实际格式解析`);
+  }
+
+  if (format === 'docx') {
+    try {
+      const result = await mammoth.extractRawText({ buffer });
+      text = result.value;
+      if (withHtml) {
+        // 转换为HTML（图片内嵌为 data URL）
+        const htmlResult = await mammoth.convertToHtml({
+          buffer,
+          convertImage: mammoth.images.imgElement(image =>
+            image.read('base64').then(imageBuffer => ({ src: `data:${image.contentType};base64,${imageBuffer}` })))
+        });
+        html = htmlResult.value;
+      }
+      if (result.messages && result.messages.length > 0) {
+        console.log('Mammoth警告:', result.messages);
+      }
+    } catch (e) {
+      throw new Error(`Word文档解析失败: ${e.message}。请确保文件是有效的.docx格式`);
+    }
+    if (withImages) {
+      images = await extractImagesFromDocx(buffer);
+    }
+  } else if (format === 'doc') {
+    try {
+      const extracted = await wordExtractor.extract(buffer);
+      text = extracted.getBody() || '';
+    } catch (e) {
+      console.error('word-extractor 解析失败:', e.message);
+      throw new Error(`解析 .doc 文件失败: ${e.message}。建议将文件另存为 .docx 格式后重新上传`);
+    }
+    if (withHtml) html = `<pre>${escapeHtml(text)}</pre>`;
+  } else if (format === 'pdf') {
+    ({ text, pages } = await extractPdf(buffer));
+    if (withHtml) {
+      html = pages.map((page, i) => {
+        const end = i + 1 < pages.length ? pages[i + 1].startLine : undefined;
+        const pageText = text.split('\n').slice(page.startLine, end).join('\n').trim();
+        return `<section data-page="${page.number}"><pre>${escapeHtml(pageText)}</pre></section>`;
+      }).join('\n');
+    }
+  } else if (format === 'pptx' || format === 'xlsx') {
+    try {
+      ({ text, sections, pages = null } = format === 'pptx' ? await extractPptx(buffer) : await extractXlsx(buffer));
+    } catch (e) {
+      throw new Error(`${FORMAT_LABELS[format]}解析失败: ${e.message}`);
+    }
+    if (withHtml) {
+      html = sections.map(s => {
+        const level = Math.min(s.level, 6);
+        const body = s.content ? `<pre>${escapeHtml(s.content)}</pre>` : '';
+        return `<h${level}>${escapeHtml(`${s.number} ${s.title}`)}</h${level}>${body}`;
+      }).join('\n');
+    }
+  } else {
+    // 去掉 UTF-8 BOM
+    text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    if (withHtml) html = format === 'md' ? markdownToHtml(text) : `<pre>${escapeHtml(text)}</pre>`;
+  }
+
+  return {
+    format,
+    formatLabel: FORMAT_LABELS[format],
+    text,
+    html,
+    headings: extractHeadings(text, withHtml ? html : '', format, sections),
+    images,
+    warnings,
+    sections,
+    pages
+  };
+}
+
+// 只取纯文本（需求评审、模板解析等不需要 HTML 和图片的场景）
+async function extractText(buffer, filename = '') {
+  const { text } = await extractDocument(buffer, filename, { images: false, html: false });
+  return text;
+}
+
+// ==================== 文档存储 ====================
+
+const DEFAULT_MAX_DOCUMENTS = parseInt(process.env.DOCUMENT_STORE_MAX_DOCUMENTS, 10) || 200;
+const DEFAULT_MAX_BYTES = (parseInt(process.env.DOCUMENT_STORE_MAX_MB, 10) || 500) * 1024 * 1024;
+
+// HTML 中引用已保存图片的占位地址
+const IMAGE_REF_PREFIX = 'doc-image:';
+const INLINE_IMAGE_SRC = /src="data:[^;"]+;base64,([^"]+)"/g;
+const IMAGE_REF_SRC = new RegExp(`src="${IMAGE_REF_PREFIX}([\\w-]+)"`, 'g');
+
+function generateDocumentId() {
+  return `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function withDataUrl(img) {
+  return { ...img, dataUrl: `data:${img.mimeType};base64,${img.base64}` };
+}
+
+// 把 HTML 中与已提取图片相同的内嵌图片换成 doc-image:<图片ID> 引用，图片原文只保存在 images.json
+function referenceImages(html, images) {
+  if (!html || images.length === 0) return html;
+  const idByData = new Map(images.map(img => [img.base64, img.id]));
+  return html.replace(INLINE_IMAGE_SRC, (match, data) =>
+    idByData.has(data) ? `src="${IMAGE_REF_PREFIX}${idByData.get(data)}"` : match);
+}
+
+function inlineImages(html, images) {
+  const byId = new Map(images.map(img => [img.id, img]));
+  return html.replace(IMAGE_REF_SRC, (match, id) =>
+    byId.has(id) ? `src="${withDataUrl(byId.get(id)).dataUrl}"` : match);
+}
+
+// 返回给前端的图片信息（不含 base64 原文）
+function imageSummary(img) {
+  return {
+    id: img.id,
+    filename: img.filename,
+    mimeType: img.mimeType,
+    dataUrl: img.dataUrl,
+    inferredType: img.inferredType,
+    suggestedSection: img.suggestedSection,
+    description: img.description
+  };
+}
+
+class DocumentStore {
+  /**
+   * @param {string} baseDir - 存储目录
+   * @param {Object} options - { maxDocuments: 最多保留的文档数, maxBytes: 全部文档的总大小上限 }
+   */
+  constructor(baseDir, { maxDocuments = DEFAULT_MAX_DOCUMENTS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.baseDir = baseDir;
+    this.maxDocuments = maxDocuments;
+    this.maxBytes = maxBytes;
+    if (!fs.existsSync(baseDir)) {
+      fs.mkdirSync(baseDir, { recursive: true });
+    }
+    this.evict();
+  }
+
+  // ==================== 路径与读写 ====================
+
+  documentDir(documentId) {
+    // 只允许生成的ID格式，防止路径穿越
+    if (!/^doc_[\w]+$/.test(documentId || '')) {
+      throw new Error(`无效的文档ID: ${documentId}`);
+    }
+    return path.join(this.baseDir, documentId);
+  }
+
+  readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // 先写临时文件再重命名，避免写入中断导致文件损坏
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  exists(documentId) {
+    try {
+      return fs.existsSync(path.join(this.documentDir(documentId), 'document.json'));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // 记录访问时间，淘汰时按最近访问排序
+  touch(documentId) {
+    const now = new Date();
+    try {
+      fs.utimesSync(path.join(this.documentDir(documentId), 'document.json'), now, now);
+    } catch (e) {
+      // 文档已被删除
+    }
+  }
+
+  // ==================== 容量限制 ====================
+
+  /**
+   * 文档数量或总大小超出上限时，删除最久未访问的文档
+   * @param {string} keepId - 不淘汰的文档（刚保存的文档）
+   * @returns {string[]} 被删除的文档ID
+   */
+  evict(keepId = null) {
+    const entries = fs.readdirSync(this.baseDir)
+      .filter(name => this.exists(name))
+      .map(name => {
+        const dir = path.join(this.baseDir, name);
+        const size = fs.readdirSync(dir).reduce((sum, file) => sum + fs.statSync(path.join(dir, file)).size, 0);
+        return { id: name, size, lastAccess: fs.statSync(path.join(dir, 'document.json')).mtimeMs };
+      })
+      .sort((a, b) => b.lastAccess - a.lastAccess);
+
+    const evicted = [];
+    let count = 0;
+    let bytes = 0;
+    for (const entry of entries) {
+      const overLimit = count + 1 > this.maxDocuments || bytes + entry.size > this.maxBytes;
+      if (overLimit && entry.id !== keepId) {
+        fs.rmSync(path.join(this.baseDir, entry.id), { recursive: true, force: true });
+        evicted.push(entry.id);
+        continue;
+      }
+      count++;
+      bytes += entry.size;
+    }
+    if (evicted.length > 0) {
+      console.log(`文档存储超出上限（${this.maxDocuments} 个 / ${Math.round(this.maxBytes / 1024 / 1024)} MB），已删除 ${evicted.length} 个最久未访问的文档`);
+    }
+    return evicted;
+  }
+
+  // ==================== 文档 ====================
+
+  summarize(doc) {
+    return {
+      documentId: doc.documentId,
+      filename: doc.filename,
+      format: doc.format,
+      formatLabel: FORMAT_LABELS[doc.format],
+      fileSize: doc.fileSize,
+      wordCount: doc.text.length,
+      headingCount: doc.headings.length,
+      pageCount: doc.pages ? doc.pages.length : undefined,
+      imageCount: doc.imageCount,
+      createdAt: doc.createdAt
+    };
+  }
+
+  /**
+   * 解析并保存上传的文档
+   * @returns {Promise<Object>} 完整文档（含 text/html/headings/images/warnings）
+   */
+  async ingest(buffer, filename, options = {}) {
+    const parsed = await extractDocument(buffer, filename, options);
+    if (!parsed.text || parsed.text.trim().length === 0) {
+      throw new Error('文档内容为空，请检查文件是否正确');
+    }
+
+    const doc = {
+      documentId: generateDocumentId(),
+      filename,
+      format: parsed.format,
+      fileSize: buffer.length,
+      text: parsed.text,
+      html: referenceImages(parsed.html, parsed.images),
+      headings: parsed.headings,
+      pages: parsed.pages,
+      imageCount: parsed.images.length,
+      createdAt: new Date().toISOString()
+    };
+    const dir = this.documentDir(doc.documentId);
+    this.writeJson(path.join(dir, 'document.json'), doc);
+    if (parsed.images.length > 0) {
+      this.writeJson(path.join(dir, 'images.json'), parsed.images.map(({ dataUrl, ...img }) => img));
+    }
+    this.evict(doc.documentId);
+
+    console.log(`文档已解析: ${filename} -> ${doc.documentId}（${FORMAT_LABELS[doc.format]}，${doc.text.length} 字，${doc.headings.length} 个标题，${doc.imageCount} 张图片）`);
+    return { ...doc, html: parsed.html, images: parsed.images, warnings: parsed.warnings };
+  }
+
+  listDocuments() {
+    return fs.readdirSync(this.baseDir)
+      .filter(name => this.exists(name))
+      .map(name => this.summarize(this.readJson(path.join(this.baseDir, name, 'document.json'))))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * 读取文档，不存在时返回 null
+   * @param {Object} options
+   * @param {boolean} options.images 是否附带图片
+   */
+  getDocument(documentId, options = {}) {
+    if (!this.exists(documentId)) return null;
+    const doc = this.readJson(path.join(this.documentDir(documentId), 'document.json'));
+    this.touch(documentId);
+    const referencesImages = doc.html && doc.html.includes(IMAGE_REF_PREFIX);
+    if (options.images || referencesImages) {
+      const images = this.getImages(documentId) || [];
+      if (referencesImages) doc.html = inlineImages(doc.html, images);
+      if (options.images) doc.images = images;
+    }
+    return doc;
+  }
+
+  // 只读文本，不还原 HTML 中的图片
+  getText(documentId) {
+    if (!this.exists(documentId)) return null;
+    this.touch(documentId);
+    return this.readJson(path.join(this.documentDir(documentId), 'document.json')).text;
+  }
+
+  getImages(documentId) {
+    if (!this.exists(documentId)) return null;
+    this.touch(documentId);
+    const imagesPath = path.join(this.documentDir(documentId), 'images.json');
+    return fs.existsSync(imagesPath) ? this.readJson(imagesPath).map(withDataUrl) : [];
+  }
+
+  deleteDocument(documentId) {
+    if (!this.exists(documentId)) return false;
+    fs.rmSync(this.documentDir(documentId), { recursive: true, force: true });
+    return true;
+  }
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  DocumentStore,
+  SUPPORTED_EXTENSIONS,
+  FORMAT_LABELS,
+  detectFormat,
+  extractDocument,
+  extractText,
+  extractHeadings,
+  extractImagesFromDocx,
+  inferImageType,
+  pageOfLine,
+  imageSummary
+};
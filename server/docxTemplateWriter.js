@@ -0,0 +1,833 @@
+/**
+ * Word 模板写入模块
+ * 打开用户上传的 .docx 模板，把生成的 Markdown 章节写成原生 OOXML 注入模板正文
+ *
+ * 写入规则：
+ * 1. 模板中内容为 {{正文}} 或 {{content}} 的段落替换为生成的章节
+ * 2. 否则从目录之后第一个一级标题开始替换模板的示例章节；找不到一级标题时追加到正文末尾
+ * 3. 封面、目录、页眉页脚、分节和页面设置保持模板原样
+ * 4. 标题、正文、表格、表格单元格、题注、列表使用模板自己的样式（按样式名和模板中已有表格的用法识别）
+ * 5. 模板标题样式自带编号时去掉生成标题中的手写编号，避免重复编号
+ * 6. 目录域按新章节重建条目并标记为需要更新，Word 打开时自动刷新页码
+ */
+
+const JSZip = require('jszip');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const PLACEHOLDERS = ['{{正文}}', '{{content}}'];
+
+const REL_TYPES = {
+  image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering'
+};
+
+const IMAGE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp'
+};
+
+const EMU_PER_TWIP = 635;
+const EMU_PER_PIXEL = 9525;
+const BOOKMARK_ID_START = 100000;
+const DRAWING_ID_START = 5000;
+
+// settings.xml 中 updateFields 之后的元素，按架构顺序插入到它们之前
+const SETTINGS_AFTER_UPDATE_FIELDS = [
+  'w:hdrShapeDefaults', 'w:footnotePr', 'w:endnotePr', 'w:compat', 'w:docVars', 'w:rsids', 'm:mathPr',
+  'w:attachedSchema', 'w:themeFontLang', 'w:clrSchemeMapping', 'w:doNotIncludeSubdocsInStats',
+  'w:doNotAutoCompressPictures', 'w:forceUpgrade', 'w:captions', 'w:readModeInkLockDown', 'w:smartTagType',
+  'sl:schemaLibrary', 'w:shapeDefaults', 'w:doNotEmbedSmartTags', 'w:decimalSymbol', 'w:listSeparator'
+];
+
+// ==================== XML 工具 ====================
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 按顶层元素切分 XML 片段（用于 w:body 的块级元素）
+ */
+function splitTopLevel(xml) {
+  const blocks = [];
+  const tagRe = /<(\/?)([A-Za-z][\w.-]*(?::[\w.-]+)?)\b[^>]*?(\/?)>/g;
+  let depth = 0;
+  let start = -1;
+  let match;
+  while ((match = tagRe.exec(xml))) {
+    const [tag, closing, , selfClosing] = match;
+    if (closing) {
+      depth--;
+      if (depth === 0) blocks.push(xml.slice(start, tagRe.lastIndex));
+    } else if (selfClosing) {
+      if (depth === 0) blocks.push(tag);
+    } else {
+      if (depth === 0) start = match.index;
+      depth++;
+    }
+  }
+  return blocks;
+}
+
+function paragraphText(xml) {
+  return decodeEntities(xml.replace(/<w:tab\/>/g, '\t').replace(/<[^>]+>/g, ''));
+}
+
+function paragraphStyle(block) {
+  const pPr = block.match(/^<w:p\b[^>]*>\s*<w:pPr>([\s\S]*?)<\/w:pPr>/);
+  if (!pPr) return null;
+  const style = pPr[1].match(/<w:pStyle w:val="([^"]+)"/);
+  return style ? style[1] : null;
+}
+
+function mostUsed(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (!best || count > best.count) best = { value, count };
+  });
+  return best;
+}
+
+// ==================== 模板样式识别 ====================
+
+/**
+ * 解析 styles.xml，返回 { paragraph: Map<styleId, info>, table: Map, byName: Map<小写样式名, styleId>, defaultTable }
+ */
+function parseStyles(stylesXml = '') {
+  const paragraph = new Map();
+  const table = new Map();
+  const byName = new Map();
+  let defaultTable = null;
+
+  const styleRe = /<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g;
+  let match;
+  while ((match = styleRe.exec(stylesXml))) {
+    const attrs = match[1];
+    const body = match[2];
+    const type = (attrs.match(/w:type="([^"]+)"/) || [])[1];
+    const styleId = (attrs.match(/w:styleId="([^"]+)"/) || [])[1];
+    if (!styleId) continue;
+    const name = ((body.match(/<w:name w:val="([^"]+)"/) || [])[1] || styleId).toLowerCase();
+    const info = {
+      styleId,
+      name,
+      basedOn: (body.match(/<w:basedOn w:val="([^"]+)"/) || [])[1] || null,
+      outlineLvl: body.match(/<w:outlineLvl w:val="(\d)"/) ? parseInt(body.match(/<w:outlineLvl w:val="(\d)"/)[1], 10) : null,
+      numbered: /<w:numPr>[\s\S]*?<w:numId w:val="(?!0")/.test(body)
+    };
+    if (type === 'paragraph') paragraph.set(styleId, info);
+    if (type === 'table') {
+      table.set(styleId, info);
+      if (/w:default="1"/.test(attrs)) defaultTable = styleId;
+    }
+    if (type === 'paragraph' || type === 'table') byName.set(`${type}:${name}`, styleId);
+  }
+  return { paragraph, table, byName, defaultTable };
+}
+
+/**
+ * 沿 basedOn 链查找样式属性
+ */
+function inheritedStyleValue(styles, styleId, key) {
+  let current = styles.paragraph.get(styleId);
+  for (let guard = 0; current && guard < 10; guard++) {
+    if (current[key] !== null && current[key] !== false) return current[key];
+    current = current.basedOn ? styles.paragraph.get(current.basedOn) : null;
+  }
+  return null;
+}
+
+function headingLevelOfStyle(styles, styleId) {
+  const info = styles.paragraph.get(styleId);
+  if (!info) return null;
+  const named = info.name.match(/^heading (\d)$/);
+  if (named) return parseInt(named[1], 10);
+  if (/^toc /.test(info.name)) return null;
+  const outline = inheritedStyleValue(styles, styleId, 'outlineLvl');
+  return outline !== null && outline < 9 ? outline + 1 : null;
+}
+
+/**
+ * 识别模板中各类内容使用的样式
+ */
+function resolveTemplateStyles(styles, blocks, chapterBlocks) {
+  const findStyle = (type, ...names) => {
+    for (const name of names) {
+      const id = styles.byName.get(`${type}:${name}`);
+      if (id) return id;
+    }
+    return null;
+  };
+
+  const headings = {};
+  for (let level = 1; level <= 6; level++) {
+    const styleId = findStyle('paragraph', `heading ${level}`);
+    if (!styleId) continue;
+    // 模板中已有标题段落直接带编号时沿用其编号设置
+    const sample = blocks.find(b => paragraphStyle(b) === styleId && /<w:numPr>/.test(b.match(/<w:pPr>[\s\S]*?<\/w:pPr>/)?.[0] || ''));
+    const numPr = sample ? sample.match(/<w:numPr>[\s\S]*?<\/w:numPr>/)[0] : '';
+    headings[level] = {
+      styleId,
+      numPr,
+      numbered: !!numPr || !!inheritedStyleValue(styles, styleId, 'numbered')
+    };
+  }
+
+  // 表格：模板已有表格最常用的表格样式和单元格段落样式
+  const tables = blocks.filter(b => b.startsWith('<w:tbl'));
+  const usedTableStyle = mostUsed(tables.map(t => (t.match(/<w:tblStyle w:val="([^"]+)"/) || [])[1])
+    .filter(id => id && id !== styles.defaultTable));
+  const firstRows = tables.map(t => (t.match(/<w:tr\b[\s\S]*?<\/w:tr>/) || [''])[0]);
+  const pStyles = xml => [...xml.matchAll(/<w:pStyle w:val="([^"]+)"/g)].map(m => m[1]);
+  const cellStyle = mostUsed(tables.flatMap(pStyles));
+  const headerCellStyle = mostUsed(firstRows.flatMap(pStyles));
+
+  // 正文：被替换的示例章节中最常用的非标题段落样式
+  const bodyStyle = mostUsed(chapterBlocks
+    .filter(b => b.startsWith('<w:p'))
+    .map(paragraphStyle)
+    .filter(id => id && headingLevelOfStyle(styles, id) === null && !/^(toc|caption|list)/.test(styles.paragraph.get(id)?.name || '')));
+
+  return {
+    headings,
+    title: findStyle('paragraph', 'title'),
+    body: bodyStyle && bodyStyle.count >= 3 ? bodyStyle.value : null,
+    table: usedTableStyle ? usedTableStyle.value : findStyle('table', 'table grid'),
+    tableCell: cellStyle ? cellStyle.value : null,
+    tableHeader: headerCellStyle ? headerCellStyle.value : (cellStyle ? cellStyle.value : null),
+    caption: findStyle('paragraph', 'caption'),
+    listParagraph: findStyle('paragraph', 'list paragraph'),
+    toc: [1, 2, 3, 4, 5, 6].map(level => findStyle('paragraph', `toc ${level}`))
+  };
+}
+
+// ==================== Markdown 解析 ====================
+
+function splitTableRow(line) {
+  let cells = line.trim();
+  if (cells.startsWith('|')) cells = cells.slice(1);
+  if (cells.endsWith('|')) cells = cells.slice(0, -1);
+  return cells.split('|').map(c => c.trim());
+}
+
+/**
+ * Markdown 转块级元素：heading / paragraph / table / list / code / image / quote
+ */
+function parseMarkdownBlocks(markdown) {
+  const text = markdown
+    .replace(/\r\n?/g, '\n')
+    .replace(/<!-- DIAGRAM_START:(.+?) -->\n[\s\S]*?\n<!-- DIAGRAM_END -->/g, (m, title) => `[图表：${title}]`)
+    .replace(/<!--[\s\S]*?-->/g, '');
+  const lines = text.split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed || /^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      i++;
+      continue;
+    }
+
+    const fence = trimmed.match(/^```(\w*)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) code.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', language: fence[1], lines: code });
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.+)$/);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].replace(/\s*#+$/, '') });
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('|') && i + 1 < lines.length && /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(lines[i + 1].trim())) {
+      const header = splitTableRow(trimmed);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) rows.push(splitTableRow(lines[i++]));
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const image = trimmed.match(/^!\[([^\]]*)\]\((data:image\/([a-zA-Z]+);base64,([^)\s]+))(?:\s+"([^"]*)")?\)$/);
+    if (image) {
+      blocks.push({ type: 'image', alt: image[1], extension: image[3].toLowerCase(), data: image[4], description: image[5] || '' });
+      i++;
+      continue;
+    }
+
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.+)$/);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[2]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.+)$/);
+        if (!item || /\d/.test(item[2]) !== ordered) break;
+        items.push({ level: Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), 2), text: item[3] });
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      blocks.push({ type: 'quote', text: trimmed.replace(/^>\s?/, '') });
+      i++;
+      continue;
+    }
+
+    blocks.push({ type: 'paragraph', text: trimmed });
+    i++;
+  }
+  return blocks;
+}
+
+/**
+ * 行内格式拆分为文本片段：粗体、斜体、行内代码，HTML 标签去除，<br> 转换为换行
+ */
+function parseInline(text) {
+  const cleaned = decodeEntities(text.replace(/<br\s*\/?>/gi, '\n').replace(/<\/?[a-zA-Z][^>]*>/g, ''));
+  const segments = [];
+  const inlineRe = /(\*\*\*([^*]+)\*\*\*|\*\*([^*]+)\*\*|`([^`]+)`|\*([^*\s][^*]*)\*)/g;
+  let last = 0;
+  let match;
+  while ((match = inlineRe.exec(cleaned))) {
+    if (match.index > last) segments.push({ text: cleaned.slice(last, match.index) });
+    if (match[2]) segments.push({ text: match[2], bold: true, italic: true });
+    else if (match[3]) segments.push({ text: match[3], bold: true });
+    else if (match[4]) segments.push({ text: match[4], code: true });
+    else segments.push({ text: match[5], italic: true });
+    last = inlineRe.lastIndex;
+  }
+  if (last < cleaned.length) segments.push({ text: cleaned.slice(last) });
+  return segments;
+}
+
+// ==================== OOXML 生成 ====================
+
+function runXml(text, { bold, italic, code, size } = {}) {
+  const rPr = [
+    code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' : '',
+    bold ? '<w:b/><w:bCs/>' : '',
+    italic ? '<w:i/><w:iCs/>' : '',
+    size ? `<w:sz w:val="${size}"/><w:szCs w:val="${size}"/>` : ''
+  ].join('');
+  return String(text).split('\n').map((part, idx) =>
+    `<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}${idx > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(part)}</w:t></w:r>`
+  ).join('');
+}
+
+function inlineRunsXml(text, extra = {}) {
+  return parseInline(text).map(seg => runXml(seg.text, { ...seg, bold: seg.bold || extra.bold })).join('');
+}
+
+function paragraphXml(content, { style, numPr = '', jc, keepNext, spacing, ind, shading } = {}) {
+  const pPr = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    keepNext ? '<w:keepNext/>' : '',
+    numPr,
+    shading ? `<w:shd w:val="clear" w:color="auto" w:fill="${shading}"/>` : '',
+    spacing || '',
+    ind || '',
+    jc ? `<w:jc w:val="${jc}"/>` : ''
+  ].join('');
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+function imageSize(buffer, extension) {
+  try {
+    if (extension === 'png' && buffer.length > 24) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (extension === 'gif' && buffer.length > 10) {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (extension === 'jpeg' || extension === 'jpg') {
+      let offset = 2;
+      while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+          return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch (e) {
+    // 图片头损坏时使用默认尺寸
+  }
+  return { width: 600, height: 400 };
+}
+
+function drawingXml(relId, drawingId, name, cx, cy, description) {
+  const descr = description ? ` descr="${escapeXml(description)}"` : '';
+  return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${drawingId}" name="${escapeXml(name)}"${descr}/><wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" noChangeAspect="1"/></wp:cNvGraphicFramePr><a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:nvPicPr><pic:cNvPr id="0" name="${escapeXml(name)}"${descr}/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+}
+
+/**
+ * 生成列表编号定义（项目符号 / 数字各一个 abstractNum，有序列表每次重新从 1 开始）
+ */
+function abstractNumXml(abstractId, ordered) {
+  const levels = [0, 1, 2].map(ilvl => {
+    const left = 420 * (ilvl + 1);
+    const format = ordered
+      ? `<w:numFmt w:val="decimal"/><w:lvlText w:val="%${ilvl + 1}${ilvl === 0 ? '.' : ')'}"/>`
+      : `<w:numFmt w:val="bullet"/><w:lvlText w:val="${['•', '◦', '▪'][ilvl]}"/>`;
+    return `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/>${format}<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${left}" w:hanging="420"/></w:pPr></w:lvl>`;
+  }).join('');
+  return `<w:abstractNum w:abstractNumId="${abstractId}"><w:multiLevelType w:val="hybridMultilevel"/>${levels}</w:abstractNum>`;
+}
+
+/**
+ * 文档写入上下文：生成正文 XML，同时收集图片、列表编号和目录条目
+ */
+class DocxWriter {
+  constructor({ styles, contentWidthTwips, numberingXml }) {
+    this.styles = styles;
+    this.contentWidthTwips = contentWidthTwips;
+    this.numberingXml = numberingXml;
+    this.images = [];
+    this.abstractNums = [];
+    this.nums = [];
+    this.tocEntries = [];
+    this.bookmarkId = BOOKMARK_ID_START;
+    this.drawingId = DRAWING_ID_START;
+
+    const ids = (re) => [...(numberingXml || '').matchAll(re)].map(m => parseInt(m[1], 10));
+    this.nextAbstractId = Math.max(0, ...ids(/w:abstractNumId="(\d+)"/g)) + 1;
+    this.nextNumId = Math.max(0, ...ids(/<w:num w:numId="(\d+)"/g)) + 1;
+    this.listAbstract = {};
+  }
+
+  listNumId(ordered) {
+    const key = ordered ? 'ordered' : 'bullet';
+    if (this.listAbstract[key] === undefined) {
+      this.listAbstract[key] = this.nextAbstractId++;
+      this.abstractNums.push(abstractNumXml(this.listAbstract[key], ordered));
+    }
+    const numId = this.nextNumId++;
+    this.nums.push(`<w:num w:numId="${numId}"><w:abstractNumId w:val="${this.listAbstract[key]}"/>${ordered ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : ''}</w:num>`);
+    return numId;
+  }
+
+  heading(level, text) {
+    const plain = parseInline(text).map(s => s.text).join('');
+    const style = this.styles.headings[level];
+    if (!style) {
+      return paragraphXml(inlineRunsXml(text, { bold: true }), { keepNext: true });
+    }
+    // 模板标题自动编号时去掉手写编号（1.2 / 一、/ 第一章）
+    const content = style.numbered
+      ? plain.replace(/^(\d+(\.\d+)*[.、．]?|[一二三四五六七八九十]+[、.．]|第[一二三四五六七八九十\d]+[章节])\s*/, '')
+      : plain;
+    const id = this.bookmarkId++;
+    const name = `_TocGen${id}`;
+    this.tocEntries.push({ level, text: content, bookmark: name });
+    return paragraphXml(
+      `<w:bookmarkStart w:id="${id}" w:name="${name}"/>${runXml(content)}<w:bookmarkEnd w:id="${id}"/>`,
+      { style: style.styleId, numPr: style.numPr }
+    );
+  }
+
+  paragraph(text) {
+    return paragraphXml(inlineRunsXml(text), { style: this.styles.body });
+  }
+
+  caption(text) {
+    return paragraphXml(runXml(text), { style: this.styles.caption, jc: 'center' });
+  }
+
+  code(lines) {
+    return lines.map(line => paragraphXml(runXml(line || ' ', { code: true, size: 18 }), {
+      shading: 'F2F2F2',
+      spacing: '<w:spacing w:before="0" w:after="0" w:line="240" w:lineRule="auto"/>',
+      ind: '<w:ind w:firstLine="0" w:firstLineChars="0"/>'
+    })).join('');
+  }
+
+  list(ordered, items) {
+    const numId = this.listNumId(ordered);
+    return items.map(item => paragraphXml(inlineRunsXml(item.text), {
+      style: this.styles.listParagraph,
+      numPr: `<w:numPr><w:ilvl w:val="${item.level}"/><w:numId w:val="${numId}"/></w:numPr>`
+    })).join('');
+  }
+
+  quote(text) {
+    return paragraphXml(inlineRunsXml(text), { style: this.styles.body, ind: '<w:ind w:left="420"/>', shading: 'F2F2F2' });
+  }
+
+  table(header, rows) {
+    const colCount = Math.max(header.length, ...rows.map(r => r.length));
+    const colWidth = Math.floor(this.contentWidthTwips / colCount);
+    const { table: tableStyle, tableCell, tableHeader } = this.styles;
+
+    // 模板没有表格样式时显式加边框
+    const borders = tableStyle ? '' : `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+      .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="000000"/>`).join('')}</w:tblBorders>`;
+    const tblPr = `<w:tblPr>${tableStyle ? `<w:tblStyle w:val="${tableStyle}"/>` : ''}<w:tblW w:w="5000" w:type="pct"/>${borders}<w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>`;
+    const grid = `<w:tblGrid>${Array.from({ length: colCount }, () => `<w:gridCol w:w="${colWidth}"/>`).join('')}</w:tblGrid>`;
+
+    const cell = (text, isHeader) => {
+      const paragraphs = String(text || '').split(/<br\s*\/?>/i).map(part => paragraphXml(
+        inlineRunsXml(part, { bold: isHeader && !tableHeader }),
+        { style: isHeader ? tableHeader : tableCell, jc: isHeader ? 'center' : undefined }
+      )).join('');
+      const shading = isHeader && !tableStyle ? '<w:shd w:val="clear" w:color="auto" w:fill="D9E2F3"/>' : '';
+      return `<w:tc><w:tcPr><w:tcW w:w="${colWidth}" w:type="dxa"/>${shading}</w:tcPr>${paragraphs}</w:tc>`;
+    };
+    const row = (cells, isHeader) => `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${
+      Array.from({ length: colCount }, (_, i) => cell(cells[i], isHeader)).join('')}</w:tr>`;
+
+    return `<w:tbl>${tblPr}${grid}${row(header, true)}${rows.map(r => row(r, false)).join('')}</w:tbl>${paragraphXml('', { style: this.styles.body })}`;
+  }
+
+  /**
+   * 插入图片；description 写入替代文字（docPr/cNvPr 的 descr），图表用它保存源码载荷
+   */
+  image(alt, extension, base64, description) {
+    const ext = extension === 'jpg' ? 'jpeg' : extension;
+    if (!IMAGE_CONTENT_TYPES[ext]) return this.caption(alt ? `[图片：${alt}]` : '[图片]');
+
+    const buffer = Buffer.from(base64, 'base64');
+    const index = this.images.length + 1;
+    const relId = `rIdGenImage${index}`;
+    this.images.push({ relId, path: `media/gen_image${index}.${ext}`, ext, buffer });
+
+    const { width, height } = imageSize(buffer, ext);
+    const maxCx = this.contentWidthTwips * EMU_PER_TWIP;
+    let cx = width * EMU_PER_PIXEL;
+    let cy = height * EMU_PER_PIXEL;
+    if (cx > maxCx) {
+      cy = Math.round(cy * maxCx / cx);
+      cx = maxCx;
+    }
+    const picture = paragraphXml(drawingXml(relId, this.drawingId++, alt || `图片${index}`, cx, cy, description), { jc: 'center', keepNext: !!alt });
+    return alt ? picture + this.caption(alt) : picture;
+  }
+
+  render(blocks, headingOffset) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'heading': return this.heading(Math.min(Math.max(block.level - headingOffset, 1), 6), block.text);
+        case 'table': return this.table(block.header, block.rows);
+        case 'list': return this.list(block.ordered, block.items);
+        case 'code': return this.code(block.lines);
+        case 'image': return this.image(block.alt, block.extension, block.data, block.description);
+        case 'quote': return this.quote(block.text);
+        default: return this.paragraph(block.text);
+      }
+    }).join('');
+  }
+}
+
+// ==================== 目录 ====================
+
+function tocEntryXml(entry, styleId, { prefix = '', suffix = '' } = {}) {
+  const pageRef = `<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGEREF ${entry.bookmark} \\h </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t></w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>`;
+  return paragraphXml(
+    `${prefix}<w:hyperlink w:anchor="${entry.bookmark}" w:history="1">${runXml(entry.text)}<w:r><w:tab/></w:r>${pageRef}</w:hyperlink>${suffix}`,
+    { style: styleId }
+  );
+}
+
+function lastIndexOfTag(xml, tag, before) {
+  return Math.max(xml.lastIndexOf(`<${tag}>`, before), xml.lastIndexOf(`<${tag} `, before));
+}
+
+/**
+ * 在 TOC 域所在的 XML 片段中按新标题重建目录条目，并标记域需要更新
+ * 无法识别域结构时只标记更新，保留模板原有条目
+ */
+function rebuildToc(xml, entries, tocStyles) {
+  const instr = xml.match(/<w:instrText[^>]*>\s*TOC\b([^<]*)/);
+  if (!instr) return xml;
+  const instrPos = instr.index;
+  const levels = (instr[1].match(/\\o\s+(?:&quot;|")(\d)-(\d)/) || [null, '1', '3']).slice(1).map(Number);
+
+  const beginPos = xml.lastIndexOf('w:fldCharType="begin"', instrPos);
+  const separatePos = xml.indexOf('w:fldCharType="separate"', instrPos);
+  const pStart = lastIndexOfTag(xml, 'w:p', beginPos);
+  const pEnd = xml.indexOf('</w:p>', instrPos) + 6;
+  if (beginPos < 0 || separatePos < 0 || pStart < 0 || separatePos > pEnd) {
+    return xml.replace(/w:fldCharType="begin"(?![^>]*w:dirty)/, 'w:fldCharType="begin" w:dirty="true"');
+  }
+
+  // 找到与 TOC 开始标记配对的结束标记（目录条目中嵌套 PAGEREF 域）
+  const fldRe = /w:fldCharType="(begin|end)"/g;
+  fldRe.lastIndex = beginPos + 1;
+  let depth = 1;
+  let endPos = -1;
+  let m;
+  while ((m = fldRe.exec(xml))) {
+    depth += m[1] === 'begin' ? 1 : -1;
+    if (depth === 0) {
+      endPos = m.index;
+      break;
+    }
+  }
+  if (endPos < 0) return xml;
+
+  const beginRunStart = lastIndexOfTag(xml, 'w:r', beginPos);
+  const separateRunEnd = xml.indexOf('</w:r>', separatePos) + 6;
+  const endRunStart = lastIndexOfTag(xml, 'w:r', endPos);
+  const endRunEnd = xml.indexOf('</w:r>', endPos) + 6;
+  const endPStart = lastIndexOfTag(xml, 'w:p', endPos);
+  const endPEnd = xml.indexOf('</w:p>', endPos) + 6;
+
+  const fieldStart = xml.slice(beginRunStart, separateRunEnd).replace('w:fldCharType="begin"', 'w:fldCharType="begin" w:dirty="true"');
+  const fieldEnd = xml.slice(endRunStart, endRunEnd);
+
+  // 同一段落中位于域之前/之后的文字（如"目录"标题）保留为独立段落
+  const beginParagraph = xml.slice(pStart, pEnd);
+  const beginPPr = (beginParagraph.match(/^<w:p\b[^>]*>\s*(<w:pPr>[\s\S]*?<\/w:pPr>)?/) || [])[1] || '';
+  const leading = xml.slice(pStart, beginRunStart);
+  const trailing = xml.slice(endRunEnd, endPEnd);
+  const keptLeading = /<w:t[ >]/.test(leading) ? `${leading}</w:p>` : '';
+  const keptTrailing = /<w:t[ >]/.test(trailing) ? `<w:p>${(xml.slice(endPStart, endPEnd).match(/^<w:p\b[^>]*>\s*(<w:pPr>[\s\S]*?<\/w:pPr>)?/) || [])[1] || ''}${trailing}` : '';
+
+  const visible = entries.filter(e => e.level >= levels[0] && e.level <= levels[1]);
+  let rebuilt;
+  if (visible.length === 0) {
+    rebuilt = `<w:p>${beginPPr}${fieldStart}${fieldEnd}</w:p>`;
+  } else {
+    rebuilt = visible.map((entry, idx) => tocEntryXml(entry, tocStyles[entry.level - 1], {
+      prefix: idx === 0 ? fieldStart : '',
+      suffix: idx === visible.length - 1 ? fieldEnd : ''
+    })).join('');
+  }
+
+  return xml.slice(0, pStart) + keptLeading + rebuilt + keptTrailing + xml.slice(endPEnd);
+}
+
+/**
+ * 定位 TOC 域所在的块范围 [start, end]
+ */
+function findTocRange(blocks) {
+  const start = blocks.findIndex(b => /<w:instrText[^>]*>\s*TOC\b/.test(b));
+  if (start < 0) return null;
+
+  const firstBlock = blocks[start];
+  const instrPos = firstBlock.search(/<w:instrText[^>]*>\s*TOC\b/);
+  let depth = 0;
+  for (let i = start; i < blocks.length; i++) {
+    const text = i === start ? firstBlock.slice(firstBlock.lastIndexOf('w:fldCharType="begin"', instrPos)) : blocks[i];
+    const fldRe = /w:fldCharType="(begin|end)"/g;
+    let m;
+    while ((m = fldRe.exec(text))) {
+      depth += m[1] === 'begin' ? 1 : -1;
+      if (depth === 0) return { start, end: i };
+    }
+  }
+  return { start, end: start };
+}
+
+// ==================== 包内文件 ====================
+
+function ensureContentTypes(xml, images, needsNumbering) {
+  let result = xml;
+  new Set(images.map(img => img.ext)).forEach(ext => {
+    if (!new RegExp(`<Default Extension="${ext}"`, 'i').test(result)) {
+      result = result.replace('</Types>', `<Default Extension="${ext}" ContentType="${IMAGE_CONTENT_TYPES[ext]}"/></Types>`);
+    }
+  });
+  if (needsNumbering && !result.includes('/word/numbering.xml')) {
+    result = result.replace('</Types>', '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/></Types>');
+  }
+  return result;
+}
+
+function enableUpdateFields(settingsXml) {
+  let xml = settingsXml.replace(/<w:updateFields\b[^>]*\/>/g, '');
+  const tag = '<w:updateFields w:val="true"/>';
+  for (const name of SETTINGS_AFTER_UPDATE_FIELDS) {
+    const pos = xml.search(new RegExp(`<${name}[\\s/>]`));
+    if (pos >= 0) return xml.slice(0, pos) + tag + xml.slice(pos);
+  }
+  return xml.replace('</w:settings>', `${tag}</w:settings>`);
+}
+
+function mergeNumbering(numberingXml, abstractNums, nums) {
+  let xml = numberingXml || '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"></w:numbering>';
+  // abstractNum 必须位于全部 num 之前
+  const firstNum = xml.search(/<w:num\s/);
+  const abstracts = abstractNums.join('');
+  xml = firstNum >= 0 ? xml.slice(0, firstNum) + abstracts + xml.slice(firstNum) : xml.replace('</w:numbering>', `${abstracts}</w:numbering>`);
+  const numIdLink = xml.search(/<w:numIdMacAtCleanup\b/);
+  const numsXml = nums.join('');
+  return numIdLink >= 0 ? xml.slice(0, numIdLink) + numsXml + xml.slice(numIdLink) : xml.replace('</w:numbering>', `${numsXml}</w:numbering>`);
+}
+
+function contentWidthFromSectPr(sectPr) {
+  const pageWidth = parseInt((sectPr.match(/<w:pgSz\b[^>]*w:w="(\d+)"/) || [])[1] || '11906', 10);
+  const left = parseInt((sectPr.match(/<w:pgMar\b[^>]*w:left="(\d+)"/) || [])[1] || '1800', 10);
+  const right = parseInt((sectPr.match(/<w:pgMar\b[^>]*w:right="(\d+)"/) || [])[1] || '1800', 10);
+  return Math.max(pageWidth - left - right, 4000);
+}
+
+/**
+ * 文档只有一个一级 # 标题且存在 ## 标题时，# 视为文档标题（由模板封面承载），## 作为一级章节
+ */
+function detectHeadingOffset(blocks) {
+  const h1 = blocks.filter(b => b.type === 'heading' && b.level === 1);
+  const h2 = blocks.some(b => b.type === 'heading' && b.level === 2);
+  return h1.length === 1 && h2 ? 1 : 0;
+}
+
+// ==================== 主流程 ====================
+
+/**
+ * 把 Markdown 内容写入 Word 模板
+ * @param {Buffer} templateBuffer - .docx 模板
+ * @param {string} markdown - 生成的需求规格说明书
+ * @param {Object} options - { title }
+ * @returns {Promise<Buffer>} .docx 文件
+ */
+async function buildDocxFromTemplate(templateBuffer, markdown, { title } = {}) {
+  const zip = await JSZip.loadAsync(templateBuffer);
+  const documentFile = zip.file('word/document.xml');
+  if (!documentFile) {
+    throw new Error('模板不是有效的 .docx 文件（缺少 word/document.xml）');
+  }
+
+  const documentXml = await documentFile.async('string');
+  const stylesXml = zip.file('word/styles.xml') ? await zip.file('word/styles.xml').async('string') : '';
+  const numberingXml = zip.file('word/numbering.xml') ? await zip.file('word/numbering.xml').async('string') : null;
+
+  const bodyMatch = documentXml.match(/<w:body>([\s\S]*)<\/w:body>/);
+  if (!bodyMatch) {
+    throw new Error('模板正文为空');
+  }
+  const bodyStart = bodyMatch.index + '<w:body>'.length;
+  const blocks = splitTopLevel(bodyMatch[1]);
+  const finalSectPrIndex = blocks.length > 0 && blocks[blocks.length - 1].startsWith('<w:sectPr') ? blocks.length - 1 : blocks.length;
+  const finalSectPr = blocks[finalSectPrIndex] || '';
+  const content = blocks.slice(0, finalSectPrIndex);
+
+  const styles = parseStyles(stylesXml);
+  const toc = findTocRange(content);
+
+  // 确定写入位置：占位段落 > 目录之后的第一个一级标题 > 正文末尾
+  let replaceStart = content.findIndex(b => b.startsWith('<w:p') && PLACEHOLDERS.includes(paragraphText(b).trim()));
+  let replaceEnd = replaceStart + 1;
+  let placement = 'placeholder';
+  if (replaceStart < 0) {
+    const searchFrom = toc ? toc.end + 1 : 0;
+    const firstChapter = content.findIndex((b, i) => i >= searchFrom && b.startsWith('<w:p') && headingLevelOfStyle(styles, paragraphStyle(b)) === 1);
+    if (firstChapter >= 0) {
+      replaceStart = firstChapter;
+      replaceEnd = content.length;
+      placement = 'chapters';
+    } else {
+      replaceStart = content.length;
+      replaceEnd = content.length;
+      placement = 'append';
+    }
+  }
+
+  const templateStyles = resolveTemplateStyles(styles, content, content.slice(replaceStart, replaceEnd));
+  const writer = new DocxWriter({
+    styles: templateStyles,
+    contentWidthTwips: contentWidthFromSectPr(finalSectPr),
+    numberingXml
+  });
+
+  const mdBlocks = parseMarkdownBlocks(markdown);
+  const headingOffset = detectHeadingOffset(mdBlocks);
+  const documentTitle = title || (headingOffset ? mdBlocks.find(b => b.type === 'heading' && b.level === 1).text : '');
+  const generated = writer.render(headingOffset ? mdBlocks.filter(b => !(b.type === 'heading' && b.level === 1)) : mdBlocks, headingOffset);
+
+  let before = content.slice(0, replaceStart);
+  if (toc) {
+    const tocXml = rebuildToc(before.slice(toc.start, toc.end + 1).join(''), writer.tocEntries, templateStyles.toc);
+    before = [...before.slice(0, toc.start), tocXml, ...before.slice(toc.end + 1)];
+  }
+  const body = before.join('') + generated + content.slice(replaceEnd).join('') + finalSectPr;
+
+  let newDocumentXml = documentXml.slice(0, bodyStart) + body + documentXml.slice(bodyStart + bodyMatch[1].length);
+  // 图片需要的命名空间
+  const rootTag = newDocumentXml.match(/<w:document\b[^>]*>/)[0];
+  const namespaces = [
+    ['xmlns:r', 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'],
+    ['xmlns:wp', 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing']
+  ].filter(([prefix]) => !rootTag.includes(`${prefix}=`));
+  if (namespaces.length > 0) {
+    newDocumentXml = newDocumentXml.replace(rootTag, rootTag.replace(/>$/, ` ${namespaces.map(([p, uri]) => `${p}="${uri}"`).join(' ')}>`));
+  }
+  zip.file('word/document.xml', newDocumentXml);
+
+  // 关系、图片、编号、内容类型
+  const relsPath = 'word/_rels/document.xml.rels';
+  let rels = zip.file(relsPath) ? await zip.file(relsPath).async('string')
+    : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+  writer.images.forEach(img => {
+    zip.file(`word/${img.path}`, img.buffer);
+    rels = rels.replace('</Relationships>', `<Relationship Id="${img.relId}" Type="${REL_TYPES.image}" Target="${img.path}"/></Relationships>`);
+  });
+
+  const needsNumbering = writer.nums.length > 0;
+  if (needsNumbering) {
+    zip.file('word/numbering.xml', mergeNumbering(numberingXml, writer.abstractNums, writer.nums));
+    if (!rels.includes(REL_TYPES.numbering)) {
+      rels = rels.replace('</Relationships>', `<Relationship Id="rIdGenNumbering" Type="${REL_TYPES.numbering}" Target="numbering.xml"/></Relationships>`);
+    }
+  }
+  zip.file(relsPath, rels);
+
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  zip.file('[Content_Types].xml', ensureContentTypes(contentTypes, writer.images, needsNumbering));
+
+  // 打开文档时刷新目录等域
+  if (zip.file('word/settings.xml')) {
+    zip.file('word/settings.xml', enableUpdateFields(await zip.file('word/settings.xml').async('string')));
+  }
+
+  if (documentTitle && zip.file('docProps/core.xml')) {
+    const core = await zip.file('docProps/core.xml').async('string');
+    const escapedTitle = escapeXml(documentTitle);
+    zip.file('docProps/core.xml', /<dc:title\s*\/>|<dc:title>[\s\S]*?<\/dc:title>/.test(core)
+      ? core.replace(/<dc:title\s*\/>|<dc:title>[\s\S]*?<\/dc:title>/, `<dc:title>${escapedTitle}</dc:title>`)
+      : core.replace('</cp:coreProperties>', `<dc:title>${escapedTitle}</dc:title></cp:coreProperties>`));
+  }
+
+  console.log(`Word模板写入: 位置=${placement}，标题 ${writer.tocEntries.length} 个，图片 ${writer.images.length} 张，目录${toc ? '已重建' : '不存在'}`);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  DOCX_MIME,
+  PLACEHOLDERS,
+  buildDocxFromTemplate,
+  parseMarkdownBlocks
+};
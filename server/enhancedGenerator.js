@@ -514,7 +514,7 @@ ${content.slice(0, 10000)}
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'spec',
             messages: [
                 { role: 'system', content: '你是文档优化专家。' },
                 { role: 'user', content: prompt }
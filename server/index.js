@@ -1,24 +1,19 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const mammoth = require('mammoth');
-const WordExtractor = require('word-extractor'); // 支持 .doc 格式
 const ExcelJS = require('exceljs');
-const OpenAI = require('openai');
 const path = require('path');
 const fs = require('fs');
-const JSZip = require('jszip');
+const crypto = require('crypto');
 require('dotenv').config();
 
-// 创建 word-extractor 实例
-const wordExtractor = new WordExtractor();
-
 // 导入图表生成模块
 const { 
   generateHTMLSequenceDiagram, 
   generateHTMLFlowchart,
   generateHTMLUseCaseDiagram,
   generateHTMLDataFlowDiagram,
+  generateCosmicDataFlowDiagram,
   generatePriorityQuadrantDiagram,
   generateFunctionArchitectureDiagram,
   generateFunctionArchitectureDiagramWithModules,
@@ -47,6 +42,37 @@ const { enhancedGenerateRequirementSpec } = require('./enhancedGenerator');
 // 导入深度思考引擎 - 动态驱动的深度思考，生成更全面丰富的内容
 const { deepThinkForFunction, quickDeepThink, synthesizeThinkingResults } = require('./deepThinkingEngine');
 
+// 导入大模型调用提供层
+const { LLMProvider, LLM_TASKS } = require('./llmProvider');
+const { getFixturesDir } = require('./mockLLM');
+
+// 导入COSMIC规则校验模块 - 确定性规则检查 + 不合规功能过程自动修复
+const { validateCosmicTable, repairCosmicTable, parseMarkdownTable } = require('./cosmicValidator');
+// 导入COSMIC度量项目存储模块 - 文件存储的项目与版本快照
+const { ProjectStore } = require('./projectStore');
+// 导入对话会话存储模块 - 文件存储的会话历史，支持列表、搜索、导出和删除
+const { ChatStore, messagesOf } = require('./chatStore');
+// 导入文档检索模块 - 需求文档按章节切块建立BM25索引，问答时检索相关段落并标注来源章节
+const { DocumentIndexStore, buildContext, CITATION_INSTRUCTIONS } = require('./documentIndex');
+// 导入COSMIC数据导入模块 - Excel多工作表 / CSV / JSON 与列映射预览
+const { previewCosmicImport, parseCosmicImport, checkImportFile } = require('./cosmicImport');
+// 导入COSMIC拆分表往返编辑模块 - 重新导入人工修改的Excel，保护人工修改
+const { stampAiRows, getEditedProcesses, mergePreservingEdits, buildCosmicWorkbook, importEditedWorkbook } = require('./cosmicRoundTrip');
+// 导入COSMIC度量对比模块 - 变更规模（新增/修改/删除CFP）
+const { diffCosmicMeasurements, addChangeSizeSheets } = require('./cosmicDiff');
+// 导入COSMIC需求追溯模块 - 功能过程到源文档章节的锚点、追溯矩阵与章节覆盖
+const { locateProcesses, collectSourceAnchors, attachSourceAnchors, buildTraceabilityMatrix, addTraceabilitySheets, renderTraceabilityHtml } = require('./traceability');
+// 导入Word模板写入模块 - 生成内容以原生OOXML写入上传的.docx模板
+const { buildDocxFromTemplate, DOCX_MIME } = require('./docxTemplateWriter');
+// 导入离线图表渲染模块 - 本地渲染Mermaid/PlantUML，Kroki仅作为显式开启的回退
+const { renderDiagram, getDiagramUrl, embedRenderedDiagrams, getRendererConfig } = require('./diagramRenderer');
+// 导入图表源码往返编辑模块 - 导出图片携带源码载荷，导入后可修改源码并原位重新渲染
+const { encodeDiagramPayload, diagramAltText, diagramImageMarkdown, extractDiagrams, applyDiagramEdits } = require('./diagramSource');
+// 导入PDF导出模块 - 需求规格书与评审报告渲染为带封面、页码和书签的PDF
+const { PDF_MIME, extractEmbeddedDiagrams, renderSpecPdf, renderReviewPdf } = require('./pdfExporter');
+// 导入生成任务管理模块 - 长时间生成任务的后台执行、断线重连与取消
+const { JobManager, JOB_STATUS, abortOnDisconnect } = require('./jobManager');
+
 // 导入需求评审智能体模块
 const { reviewRequirementDocument, quickReview, compareReview, REVIEW_DIMENSIONS, SEVERITY_LEVELS } = require('./reviewAgent');
 
@@ -59,15 +85,22 @@ const {
   GENERATION_CONFIG, HTML_SYSTEM_PROMPT, CODE_GENERATOR_SYSTEM_PROMPT 
 } = require('./codeGeneratorAgent');
 
+// 导入项目脚手架导出模块 - 生成代码整理为可运行的 Vite 项目 / 静态站点并打包为 zip
+const { createProjectZip, createBackendZip } = require('./projectScaffold');
+
+// 导入后端代码生成模块 - COSMIC持久数据组生成 Express CRUD 后端、SQL DDL 与 OpenAPI 文档
+const { extractResources, resourcesFromEntities, generateSqlDdl, generateOpenApi, describeApiForPrompt, DIALECTS } = require('./backendGenerator');
+
+// 导入文档统一解析模块 - 按文件内容识别格式，提取文本/HTML/标题/图片，保存后以文档ID引用
+const { DocumentStore, SUPPORTED_EXTENSIONS: DOCUMENT_EXTENSIONS, extractDocument, extractText, imageSummary, pageOfLine } = require('./documentIngestion');
+
 // 导入智器云通用对话智能体（旧版，调用外部API）
 // const { chat, chatSync, quickAsk, documentQA, generateCode, summarize, translate, conversationManager, PRESET_ROLES } = require('./chatAgent');
 
 // 导入智器云自研AI智能体（完全自主实现，不依赖外部API）
 const SelfAIAgent = require('./selfAI');
 const selfAI = new SelfAIAgent({ name: '智器云助手', version: '1.0.0' });
-
-// 存储提取的图片（内存缓存）
-const extractedImagesCache = new Map();
+const SelfAIConfigManager = require('./selfAI/configManager');
 
 // 存储上传的需求规格说明书模板（内存缓存）
 const specTemplatesCache = new Map();
@@ -78,6 +111,43 @@ if (!fs.existsSync(TEMPLATES_DIR)) {
   fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
 }
 
+// COSMIC度量项目存储目录
+const PROJECTS_DIR = path.join(__dirname, 'projects');
+const projectStore = new ProjectStore(PROJECTS_DIR);
+
+// 生成任务存储目录
+const JOBS_DIR = path.join(__dirname, 'jobs');
+const jobManager = new JobManager(JOBS_DIR);
+
+// 对话会话存储目录
+const CHATS_DIR = path.join(__dirname, 'chats');
+const chatStore = new ChatStore(CHATS_DIR);
+selfAI.attachStore(chatStore);
+
+// 自研AI管理配置（意图、实体、同义词、模板、知识、技能开关的修改，覆盖内置配置）
+const SELFAI_CONFIG_PATH = path.join(__dirname, 'selfai_config', 'config.json');
+const selfAIConfig = new SelfAIConfigManager(SELFAI_CONFIG_PATH);
+selfAI.attachConfig(selfAIConfig);
+
+// 文档问答索引目录（保存会话中上传的文档原文，索引在加载时重建）
+const DOC_INDEX_DIR = path.join(__dirname, 'doc_index');
+const documentIndex = new DocumentIndexStore(DOC_INDEX_DIR);
+
+// 上传文档存储目录（解析结果按文档ID保存，各模块通过 documentId 引用）
+const DOCUMENTS_DIR = path.join(__dirname, 'documents');
+const documentStore = new DocumentStore(DOCUMENTS_DIR);
+
+/**
+ * 取请求引用的文档正文：提供 documentId 时读取已上传的文档，否则使用直接传入的文本
+ * @returns {string|null} 文档不存在时返回 null
+ */
+function resolveDocumentText(documentId, content) {
+  if (documentId) {
+    return documentStore.getText(documentId);
+  }
+  return content || '';
+}
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -103,15 +173,17 @@ const upload = multer({
       'application/msword', // .doc (旧格式)
       'text/plain', // .txt
       'text/markdown', // .md
+      'application/pdf', // .pdf
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation', // .pptx
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
     ];
 
     const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExts = ['.docx', '.doc', '.txt', '.md'];
 
-    if (allowedMimes.includes(file.mimetype) || allowedExts.includes(ext)) {
+    if (allowedMimes.includes(file.mimetype) || DOCUMENT_EXTENSIONS.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error(`不支持的文件格式: ${ext}，请上传 .docx, .txt 或 .md 文件`));
+      cb(new Error(`不支持的文件格式: ${ext}，请上传 ${DOCUMENT_EXTENSIONS.join(', ')} 文件`));
     }
   }
 });
@@ -129,15 +201,38 @@ const uploadMultiple = multer({
       'application/msword', // .doc (旧格式)
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
       'application/vnd.ms-excel', // .xls
+      'text/csv', // .csv
+      'application/json', // .json
+      'application/pdf', // .pdf（需求文档）
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation', // .pptx（需求文档）
     ];
 
     const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExts = ['.docx', '.doc', '.xlsx', '.xls'];
+    const allowedExts = ['.docx', '.doc', '.xlsx', '.xls', '.csv', '.json', '.pdf', '.pptx'];
 
     if (allowedMimes.includes(file.mimetype) || allowedExts.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error(`不支持的文件格式: ${ext}，请上传 .xlsx, .xls, .docx 或 .doc 文件`));
+      cb(new Error(`不支持的文件格式: ${ext}，请上传 .xlsx, .xls, .csv, .json, .docx, .doc, .pdf 或 .pptx 文件`));
+    }
+  }
+});
+
+// 文件上传配置 - 自研AI知识库导入（Markdown/JSON）
+const uploadKnowledge = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: (req, file, cb) => {
+    // 解码文件名（处理中文文件名）
+    file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+    const ext = path.extname(file.originalname).toLowerCase();
+    const allowedExts = ['.md', '.markdown', '.txt', '.json'];
+
+    if (allowedExts.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`不支持的文件格式: ${ext}，请上传 .md, .txt 或 .json 文件`));
     }
   }
 });
@@ -155,17 +250,12 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-// OpenAI客户端
-let openai = null;
+// 大模型调用提供层（按任务路由模型、重试、超时、并发限制、用量统计）
+const llmProvider = new LLMProvider();
 
+// 返回与 OpenAI SDK 调用方式兼容的客户端，未配置API密钥时返回 null
 function getOpenAIClient() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
-    });
-  }
-  return openai;
+  return llmProvider.isConfigured() ? llmProvider : null;
 }
 
 // Cosmic拆分系统提示词
@@ -301,14 +391,18 @@ const REQUIREMENT_SPEC_SYSTEM_PROMPT = `# 角色定位
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
-    hasApiKey: !!process.env.OPENAI_API_KEY,
-    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+    hasApiKey: llmProvider.isConfigured(),
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    llm: {
+      tasks: LLM_TASKS,
+      ...llmProvider.getStats()
+    }
   });
 });
 
 // 更新API配置
 app.post('/api/config', (req, res) => {
-  const { apiKey, baseUrl } = req.body;
+  const { apiKey, baseUrl, model, taskModels, pricing } = req.body;
 
   if (apiKey) {
     process.env.OPENAI_API_KEY = apiKey;
@@ -316,242 +410,114 @@ app.post('/api/config', (req, res) => {
   if (baseUrl) {
     process.env.OPENAI_BASE_URL = baseUrl;
   }
-
-  // 重置客户端以使用新配置
-  openai = null;
-
-  res.json({ success: true, message: 'API配置已更新' });
-});
-
-// 根据图片文件名和上下文推断图片类型
-function inferImageType(filename, index) {
-  const lowerName = filename.toLowerCase();
-
-  // 架构图/系统图
-  if (lowerName.match(/架构|系统|structure|arch|framework|topology|拓扑/i)) {
-    return { type: 'architecture', suggestedSection: '4. 产品功能架构', description: '系统架构图' };
-  }
-  // 流程图/业务图
-  if (lowerName.match(/流程|process|flow|业务|workflow|步骤/i)) {
-    return { type: 'flowchart', suggestedSection: '3. 用户需求', description: '业务流程图' };
-  }
-  // 界面/UI图
-  if (lowerName.match(/界面|UI|页面|screen|原型|prototype|mockup|设计|design/i)) {
-    return { type: 'ui', suggestedSection: '5. 功能需求-界面设计', description: '界面原型图' };
+  if (model) {
+    process.env.OPENAI_MODEL = model;
   }
-  // 数据模型/ER图
-  if (lowerName.match(/数据|ER|model|表|database|实体|entity|schema/i)) {
-    return { type: 'data', suggestedSection: '附录-数据字典', description: '数据模型图' };
+  // 按任务配置模型，如 { code: 'glm-4-plus', cosmic: 'glm-4-flash' }
+  if (taskModels && typeof taskModels === 'object') {
+    llmProvider.setTaskModels(taskModels);
   }
-  // 用例图
-  if (lowerName.match(/用例|usecase|actor|角色/i)) {
-    return { type: 'usecase', suggestedSection: '3. 用户需求-用例图', description: '用例图' };
-  }
-  // 时序图/交互图
-  if (lowerName.match(/时序|sequence|交互|interaction|通信/i)) {
-    return { type: 'sequence', suggestedSection: '5. 功能需求-接口设计', description: '时序图' };
-  }
-  // 部署图
-  if (lowerName.match(/部署|deploy|环境|server|服务器/i)) {
-    return { type: 'deployment', suggestedSection: '6. 系统需求-部署要求', description: '部署架构图' };
-  }
-
-  // 默认：根据图片顺序推断
-  if (index === 0) {
-    return { type: 'overview', suggestedSection: '1. 概述', description: '概述图' };
+  // 每千token单价，如 { 'glm-4-plus': { input: 0.05, output: 0.05 } }
+  if (pricing && typeof pricing === 'object') {
+    llmProvider.setPricing(pricing);
   }
-  return { type: 'general', suggestedSection: '相关章节', description: '文档图片' };
-}
-
-// 从docx文件中提取图片 - 增强版：包含图片分析
-async function extractImagesFromDocx(buffer) {
-  const images = [];
-  try {
-    const zip = await JSZip.loadAsync(buffer);
-    const mediaFolder = zip.folder('word/media');
-
-    if (mediaFolder) {
-      const imageFiles = [];
-      mediaFolder.forEach((relativePath, file) => {
-        if (!file.dir) {
-          imageFiles.push({ path: relativePath, file });
-        }
-      });
-
-      // 按文件名排序，确保顺序一致
-      imageFiles.sort((a, b) => a.path.localeCompare(b.path));
 
-      for (const { path: relativePath, file } of imageFiles) {
-        try {
-          const data = await file.async('base64');
-          const ext = relativePath.split('.').pop().toLowerCase();
-          let mimeType = 'image/png';
-          if (ext === 'jpg' || ext === 'jpeg') mimeType = 'image/jpeg';
-          else if (ext === 'gif') mimeType = 'image/gif';
-          else if (ext === 'bmp') mimeType = 'image/bmp';
-          else if (ext === 'webp') mimeType = 'image/webp';
-          else if (ext === 'emf') mimeType = 'image/x-emf';
-          else if (ext === 'wmf') mimeType = 'image/x-wmf';
-
-          // 推断图片类型
-          const imageInfo = inferImageType(relativePath, images.length);
-
-          images.push({
-            id: `img_${images.length + 1}`,
-            filename: relativePath,
-            mimeType,
-            base64: data,
-            dataUrl: `data:${mimeType};base64,${data}`,
-            // 新增：图片分析信息
-            inferredType: imageInfo.type,
-            suggestedSection: imageInfo.suggestedSection,
-            description: imageInfo.description
-          });
-        } catch (imgErr) {
-          console.log(`提取图片 ${relativePath} 失败:`, imgErr.message);
-        }
-      }
-    }
+  // 重置客户端以使用新配置
+  llmProvider.reset();
 
-    console.log(`从文档中提取了 ${images.length} 张图片`);
-    if (images.length > 0) {
-      console.log('图片分析结果:', images.map(img => `${img.id}: ${img.inferredType} -> ${img.suggestedSection}`));
-    }
-  } catch (err) {
-    console.error('提取图片失败:', err);
-  }
-  return images;
-}
+  res.json({ success: true, message: 'API配置已更新' });
+});
 
-// 解析文档（支持多种格式）- 增强版：支持图片提取
-app.post('/api/parse-word', upload.single('file'), handleMulterError, async (req, res) => {
+// 统一文档上传：解析并保存文档，返回的 documentId 可供其他接口引用
+async function uploadDocumentHandler(req, res) {
   try {
     if (!req.file) {
       return res.status(400).json({ error: '请上传文件' });
     }
 
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    let text = '';
-    let html = '';
-    let images = [];
-
     console.log(`解析文件: ${req.file.originalname}, 类型: ${req.file.mimetype}, 大小: ${req.file.size} bytes`);
 
-    if (ext === '.docx') {
-      // 解析 .docx 文件
-      try {
-        // 提取文本
-        const result = await mammoth.extractRawText({ buffer: req.file.buffer });
-        text = result.value;
-
-        // 转换为HTML（包含图片引用）
-        const htmlResult = await mammoth.convertToHtml({
-          buffer: req.file.buffer,
-          convertImage: mammoth.images.imgElement(function (image) {
-            return image.read("base64").then(function (imageBuffer) {
-              return {
-                src: `data:${image.contentType};base64,${imageBuffer}`
-              };
-            });
-          })
-        });
-        html = htmlResult.value;
+    let doc;
+    try {
+      doc = await documentStore.ingest(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      console.error('文档解析错误:', parseError);
+      return res.status(400).json({ error: parseError.message });
+    }
 
-        // 提取所有图片
-        images = await extractImagesFromDocx(req.file.buffer);
+    res.json({
+      success: true,
+      ...documentStore.summarize(doc),
+      docId: doc.documentId, // 兼容旧字段：GET /api/images/:docId
+      text: doc.text,
+      html: doc.html,
+      headings: doc.headings,
+      warnings: doc.warnings,
+      qaDocument: indexForDocumentQA(req.body.sessionId, req.file.originalname, doc.text),
+      images: doc.images.map(imageSummary)
+    });
+  } catch (error) {
+    console.error('解析文档失败:', error);
+    res.status(500).json({ error: '解析文档失败: ' + error.message });
+  }
+}
 
-        // 缓存图片供后续使用
-        const docId = `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        extractedImagesCache.set(docId, images);
+// 解析文档（支持多种格式）- 增强版：支持图片提取
+app.post('/api/parse-word', upload.single('file'), handleMulterError, uploadDocumentHandler);
 
-        // 清理过期缓存（保留最近10个文档的图片）
-        if (extractedImagesCache.size > 10) {
-          const keys = Array.from(extractedImagesCache.keys());
-          extractedImagesCache.delete(keys[0]);
-        }
+/**
+ * API: 统一文档上传（.docx/.doc/.txt/.md，按文件内容识别格式）
+ * POST /api/upload
+ * 返回 documentId，生成代码、需求评审、文档问答等接口可用 documentId 代替重复上传
+ */
+app.post('/api/upload', upload.single('file'), handleMulterError, uploadDocumentHandler);
 
-        if (result.messages && result.messages.length > 0) {
-          console.log('Mammoth警告:', result.messages);
-        }
+/**
+ * API: 已上传的文档列表
+ * GET /api/documents
+ */
+app.get('/api/documents', (req, res) => {
+  try {
+    res.json({ success: true, documents: documentStore.listDocuments() });
+  } catch (error) {
+    console.error('获取文档列表失败:', error);
+    res.status(500).json({ error: '获取文档列表失败: ' + error.message });
+  }
+});
 
-        res.json({
-          success: true,
-          text: text,
-          html: html,
-          filename: req.file.originalname,
-          fileSize: req.file.size,
-          wordCount: text.length,
-          docId: docId,
-          images: images.map(img => ({
-            id: img.id,
-            filename: img.filename,
-            mimeType: img.mimeType,
-            dataUrl: img.dataUrl
-          })),
-          imageCount: images.length
-        });
-        return;
-      } catch (mammothError) {
-        console.error('Mammoth解析错误:', mammothError);
-        return res.status(400).json({
-          error: `Word文档解析失败: ${mammothError.message}。请确保文件是有效的.docx格式（不支持旧版.doc格式）`
-        });
-      }
-    } else if (ext === '.txt' || ext === '.md') {
-      // 解析纯文本或Markdown文件
-      text = req.file.buffer.toString('utf-8');
-      html = `<pre>${text}</pre>`;
-    } else if (ext === '.doc') {
-      // 使用 word-extractor 解析 .doc 格式
-      try {
-        const extracted = await wordExtractor.extract(req.file.buffer);
-        text = extracted.getBody() || '';
-        html = `<pre>${text}</pre>`;
-        
-        console.log(`解析 .doc 文件成功，提取文本长度: ${text.length}`);
-        
-        if (!text || text.trim().length === 0) {
-          return res.status(400).json({ error: '文档内容为空，请检查文件是否正确' });
-        }
-        
-        res.json({
-          success: true,
-          text: text,
-          html: html,
-          filename: req.file.originalname,
-          fileSize: req.file.size,
-          wordCount: text.length,
-          images: [],
-          imageCount: 0
-        });
-        return;
-      } catch (docError) {
-        console.error('word-extractor 解析错误:', docError);
-        return res.status(400).json({
-          error: `解析 .doc 文件失败: ${docError.message}。建议将文件另存为 .docx 格式后重新上传`
-        });
-      }
-    } else {
-      return res.status(400).json({ error: `不支持的文件格式: ${ext}` });
+/**
+ * API: 获取已上传文档的解析结果
+ * GET /api/documents/:documentId?images=true
+ */
+app.get('/api/documents/:documentId', (req, res) => {
+  try {
+    const document = documentStore.getDocument(req.params.documentId, { images: req.query.images === 'true' });
+    if (!document) {
+      return res.status(404).json({ error: '文档不存在' });
     }
-
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({ error: '文档内容为空，请检查文件是否正确' });
+    if (document.images) {
+      document.images = document.images.map(imageSummary);
     }
+    res.json({ success: true, document });
+  } catch (error) {
+    console.error('获取文档失败:', error);
+    res.status(500).json({ error: '获取文档失败: ' + error.message });
+  }
+});
 
-    res.json({
-      success: true,
-      text: text,
-      html: html,
-      filename: req.file.originalname,
-      fileSize: req.file.size,
-      wordCount: text.length,
-      images: [],
-      imageCount: 0
-    });
+/**
+ * API: 删除已上传的文档
+ * DELETE /api/documents/:documentId
+ */
+app.delete('/api/documents/:documentId', (req, res) => {
+  try {
+    if (!documentStore.deleteDocument(req.params.documentId)) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('解析文档失败:', error);
-    res.status(500).json({ error: '解析文档失败: ' + error.message });
+    console.error('删除文档失败:', error);
+    res.status(500).json({ error: '删除文档失败: ' + error.message });
   }
 });
 
@@ -587,7 +553,7 @@ app.post('/api/chat', async (req, res) => {
     }
 
     const completion = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o',
+      task: 'cosmic',
       messages: chatMessages,
       temperature: 0.7,
       max_tokens: 8000
@@ -607,7 +573,12 @@ app.post('/api/chat', async (req, res) => {
 });
 
 // 流式AI对话
-app.post('/api/chat/stream', async (req, res) => {
+app.post('/api/chat/stream', async (req, res, next) => {
+  // 自研AI对话请求（{ sessionId, message }）交给下方的自研AI路由处理
+  if (req.body.message !== undefined && req.body.messages === undefined) {
+    return next();
+  }
+
   try {
     const { messages, documentContent } = req.body;
 
@@ -646,11 +617,11 @@ app.post('/api/chat/stream', async (req, res) => {
       chatMessages.push(...messages);
     }
 
-    console.log('调用AI API，模型:', process.env.OPENAI_MODEL || 'glm-4-flash');
+    console.log('调用AI API，模型:', llmProvider.resolveModel('cosmic'));
     console.log('消息数量:', chatMessages.length);
 
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'cosmic',
       messages: chatMessages,
       temperature: 0.7,
       max_tokens: 8000,
@@ -695,6 +666,11 @@ app.post('/api/continue-analyze', async (req, res) => {
     // 构建已完成的功能过程列表
     const completedFunctions = previousResults.map(r => r.functionalProcess).filter(Boolean);
     const uniqueCompleted = [...new Set(completedFunctions)];
+    // 人工修改过的功能过程不允许模型重新拆分
+    const editedProcesses = getEditedProcesses(previousResults);
+    const editedNotice = editedProcesses.length > 0
+      ? `\n\n以下功能过程已由人工修订，禁止重新输出或修改：${editedProcesses.join('、')}`
+      : '';
 
     let userPrompt = '';
     if (round === 1) {
@@ -718,7 +694,10 @@ ${documentContent}
    ||||返回处理结果|X|事件响应数据|事件ID、处理状态、完成时间|
 
 4. 尽可能多地识别功能过程，至少识别 ${targetFunctions} 个功能过程
-5. 严格按照表格格式输出，每个功能过程占4-5行`;
+5. 严格按照表格格式输出，每个功能过程占4-5行${uniqueCompleted.length > 0 ? `
+
+已完成的功能过程（${uniqueCompleted.length}个，请勿重复）：
+${uniqueCompleted.slice(0, 20).join('、')}${uniqueCompleted.length > 20 ? '...' : ''}` : ''}${editedNotice}`;
     } else {
       userPrompt = `继续分析文档中尚未拆分的功能过程。
 
@@ -733,7 +712,7 @@ ${uniqueCompleted.slice(0, 20).join('、')}${uniqueCompleted.length > 20 ? '...'
 3. 示例：一个功能过程应该有4行（E+R+W+X）或5行（E+R+R+W+X）
 
 请继续拆分文档中【其他尚未处理的功能】，输出Markdown表格格式。
-如果所有功能都已拆分完成，请回复"[ALL_DONE]"。`;
+如果所有功能都已拆分完成，请回复"[ALL_DONE]"。${editedNotice}`;
     }
 
     const systemMessage = {
@@ -744,7 +723,7 @@ ${uniqueCompleted.slice(0, 20).join('、')}${uniqueCompleted.length > 20 ? '...'
     console.log(`第 ${round} 轮分析开始，已完成 ${uniqueCompleted.length} 个功能过程...`);
 
     const completion = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'cosmic',
       messages: [
         systemMessage,
         { role: 'user', content: userPrompt }
@@ -759,11 +738,15 @@ ${uniqueCompleted.slice(0, 20).join('、')}${uniqueCompleted.length > 20 ? '...'
     // 检查是否完成
     const isDone = reply.includes('[ALL_DONE]') || reply.includes('已完成') || reply.includes('全部拆分');
 
+    // 定位本轮每个功能过程在源文档中的章节和字符偏移（parse-table 按功能过程名称写入行的 sourceAnchor）
+    const sourceAnchors = documentContent ? locateProcesses(parseMarkdownTable(reply), documentContent) : {};
+
     res.json({
       success: true,
       reply: reply,
       round: round,
       isDone: isDone,
+      sourceAnchors,
       completedFunctions: uniqueCompleted.length,
       targetFunctions
     });
@@ -776,71 +759,19 @@ ${uniqueCompleted.slice(0, 20).join('、')}${uniqueCompleted.length > 20 ? '...'
 // 导出Excel
 app.post('/api/export-excel', async (req, res) => {
   try {
-    const { tableData, filename } = req.body;
+    const { tableData, filename, measurement = {} } = req.body;
 
     if (!tableData || !Array.isArray(tableData) || tableData.length === 0) {
       return res.status(400).json({ error: '无有效数据可导出' });
     }
 
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Cosmic拆分结果');
-
-    // 设置列
-    worksheet.columns = [
-      { header: '功能用户', key: 'functionalUser', width: 25 },
-      { header: '触发事件', key: 'triggerEvent', width: 15 },
-      { header: '功能过程', key: 'functionalProcess', width: 30 },
-      { header: '子过程描述', key: 'subProcessDesc', width: 35 },
-      { header: '数据移动类型', key: 'dataMovementType', width: 15 },
-      { header: '数据组', key: 'dataGroup', width: 25 },
-      { header: '数据属性', key: 'dataAttributes', width: 50 }
-    ];
-
-    // 设置表头样式
-    const headerRow = worksheet.getRow(1);
-    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
-    headerRow.fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FF4472C4' }
-    };
-    headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
-    headerRow.height = 25;
-
-    // 添加数据
-    tableData.forEach((row, index) => {
-      const dataRow = worksheet.addRow({
-        functionalUser: row.functionalUser || '',
-        triggerEvent: row.triggerEvent || '',
-        functionalProcess: row.functionalProcess || '',
-        subProcessDesc: row.subProcessDesc || '',
-        dataMovementType: row.dataMovementType || '',
-        dataGroup: row.dataGroup || '',
-        dataAttributes: row.dataAttributes || ''
-      });
-
-      // 交替行颜色
-      if (index % 2 === 1) {
-        dataRow.fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFF2F2F2' }
-        };
-      }
-
-      dataRow.alignment = { vertical: 'middle', wrapText: true };
-    });
-
-    // 添加边框
-    worksheet.eachRow((row, rowNumber) => {
-      row.eachCell((cell) => {
-        cell.border = {
-          top: { style: 'thin' },
-          left: { style: 'thin' },
-          bottom: { style: 'thin' },
-          right: { style: 'thin' }
-        };
-      });
+    // 拆分结果 + CFP度量汇总 + 度量元数据 + 往返编辑行标识
+    const workbook = buildCosmicWorkbook(tableData, {
+      scope: measurement.scope || filename || '',
+      purpose: measurement.purpose,
+      measurer: measurement.measurer,
+      date: measurement.date,
+      model: measurement.model || llmProvider.resolveModel('cosmic')
     });
 
     // 生成文件
@@ -858,7 +789,7 @@ app.post('/api/export-excel', async (req, res) => {
 // ==================== 需求规格书生成功能 ====================
 
 // 需求规格书生成 - 流式输出
-app.post('/api/requirement-spec/generate', async (req, res) => {
+async function generateRequirementSpecHandler(req, res) {
   try {
     const { documentContent, previousContent = '', section = 'all' } = req.body;
 
@@ -901,7 +832,7 @@ ${docSummary}
     let analysisContent = '';
     try {
       const analysisRes = await client.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'glm-4-flash',
+        task: 'spec',
         messages: [
           { role: 'system', content: '你是一名需求分析顾问，请输出严格JSON。' },
           { role: 'user', content: analysisPrompt }
@@ -1058,7 +989,7 @@ ${analysisContent}
 5. 确保章节完整性`;
 
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: REQUIREMENT_SPEC_SYSTEM_PROMPT },
         { role: 'user', content: generationPrompt }
@@ -1088,7 +1019,8 @@ ${analysisContent}
     res.write(`data: ${JSON.stringify({ error: '生成失败: ' + error.message })}\n\n`);
     res.end();
   }
-});
+}
+app.post('/api/requirement-spec/generate', abortOnDisconnect(generateRequirementSpecHandler));
 
 // 需求规格书 - 继续生成（用于长文档分段生成）
 app.post('/api/requirement-spec/continue', async (req, res) => {
@@ -1116,7 +1048,7 @@ ${previousContent.slice(-3000)}
 如果所有章节都已完成，请回复"[SPEC_COMPLETE]"。`;
 
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: REQUIREMENT_SPEC_SYSTEM_PROMPT },
         { role: 'user', content: userPrompt }
@@ -2413,7 +2345,7 @@ async function analyzeImagesWithAI(client, images, documentContent) {
       + `\n\n文档摘要（用于理解上下文）：\n${docSummary}`;
 
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: '你是专业的需求文档分析师，请分析图片并输出JSON格式结果。' },
         { role: 'user', content: prompt }
@@ -2602,7 +2534,7 @@ app.post('/api/requirement-spec/enhance', async (req, res) => {
     })}\n\n`);
 
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: REQUIREMENT_SPEC_SYSTEM_PROMPT },
         { role: 'user', content: userPrompt }
@@ -2792,7 +2724,7 @@ app.post('/api/requirement-spec/template2/enhance', async (req, res) => {
     const maxTokens = isChapter3 ? 16000 : 12000;
 
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: TEMPLATE2_SYSTEM_PROMPT },
         { role: 'user', content: userPrompt }
@@ -2859,15 +2791,15 @@ app.get('/api/requirement-spec/templates', (req, res) => {
   });
 });
 
-// 获取缓存的图片
+// 获取文档中提取的图片
 app.get('/api/images/:docId', (req, res) => {
   const { docId } = req.params;
-  const images = extractedImagesCache.get(docId);
+  const images = documentStore.getImages(docId);
 
   if (images) {
     res.json({ success: true, images });
   } else {
-    res.status(404).json({ error: '图片缓存已过期或不存在' });
+    res.status(404).json({ error: '文档不存在' });
   }
 });
 
@@ -2980,22 +2912,25 @@ function cleanMermaidCode(code) {
   return cleaned;
 }
 
-// 将Mermaid代码转换为图片URL（使用免费的mermaid.ink服务）- 增强版
-function getMermaidImageUrl(mermaidCode) {
-  try {
-    // 清洗mermaid代码
-    const cleanCode = cleanMermaidCode(mermaidCode);
-    // 使用base64编码（URL安全）
-    const encoded = Buffer.from(cleanCode, 'utf-8').toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
-    // mermaid.ink 免费服务
-    return `https://mermaid.ink/img/${encoded}?type=png&bgColor=white`;
-  } catch (e) {
-    console.error('Mermaid URL生成失败:', e.message);
-    return null;
+// 渲染 Markdown 中的图表为内嵌图片（Word导出前调用，渲染失败的保留原样）
+// - Mermaid/PlantUML 代码块
+// - 前端未转换的HTML图表块（如时序图、数据流图），在服务端截图
+// 每张图片的标题携带图表源码载荷，导出后可通过 /api/diagram/import 取回源码编辑
+async function embedDiagramsForWord(markdown) {
+  let content = await embedRenderedDiagrams(markdown, {
+    format: 'png',
+    prepare: (code, type) => (type === 'mermaid' ? cleanMermaidCode(code) : code),
+    annotate: encodeDiagramPayload
+  });
+
+  const htmlBlocks = [...content.matchAll(/<!-- DIAGRAM_START:(.+?) -->\n([\s\S]*?)\n<!-- DIAGRAM_END -->/g)];
+  for (const [block, title, html] of htmlBlocks) {
+    const imageBuffer = await htmlToImage(html, { width: 900, height: 700 });
+    if (imageBuffer) {
+      content = content.replace(block, () => `\n\n${diagramImageMarkdown(title, bufferToDataUrl(imageBuffer), { type: 'html', source: html })}\n\n`);
+    }
   }
+  return content;
 }
 
 // Markdown转Word HTML - 增强版（完整格式支持）
@@ -3005,34 +2940,27 @@ function markdownToWordHtml(markdown) {
   // 0. 预处理：统一换行符
   html = html.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
-  // 1. 处理Mermaid图表 - 转换为图片（增强版）
+  // 1. 处理Mermaid图表 - 可渲染的图表已由 embedDiagramsForWord 替换为图片，剩余的为渲染失败的代码块
   let mermaidCount = 0;
   html = html.replace(/```mermaid\n([\s\S]*?)```/g, (match, code) => {
     mermaidCount++;
-    const imgUrl = getMermaidImageUrl(code);
-    if (imgUrl) {
-      return `
-<div style="text-align:center;margin:20pt 0;page-break-inside:avoid;border:1pt solid #e0e0e0;padding:15pt;background:#fafafa;">
-  <img src="${imgUrl}" alt="图表${mermaidCount}" style="max-width:95%;height:auto;"/>
-  <p style="font-size:9pt;color:#666;margin-top:8pt;font-style:italic;">图表 ${mermaidCount}</p>
-</div>`;
-    }
-    // 如果无法生成图片URL，保留代码块并美化显示
+    // 保留代码块并美化显示
     return `
 <div style="background:#f8f9fa;border:1pt solid #dee2e6;border-radius:4pt;padding:12pt;margin:15pt 0;page-break-inside:avoid;">
   <p style="font-weight:bold;color:#495057;margin-bottom:8pt;font-size:10pt;">📊 图表 ${mermaidCount} (Mermaid)</p>
   <pre style="font-size:8pt;white-space:pre-wrap;color:#212529;background:#fff;padding:8pt;border:1pt solid #ced4da;border-radius:3pt;overflow-x:auto;">${code.trim()}</pre>
-  <p style="font-size:8pt;color:#6c757d;margin-top:6pt;">提示: 可复制上述代码到 mermaid.live 在线查看图表</p>
+  <p style="font-size:8pt;color:#6c757d;margin-top:6pt;">提示: 图表未能渲染，请检查Mermaid语法后重新导出</p>
 </div>`;
   });
 
   // 1.5 处理Markdown图片语法 ![alt](url) - 支持base64 dataUrl
   let imgCount = 0;
-  html = html.replace(/!\[([^\]]*)\]\((data:image\/[^)]+)\)/g, (match, alt, dataUrl) => {
+  html = html.replace(/!\[([^\]]*)\]\((data:image\/[^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, dataUrl, payload) => {
     imgCount++;
+    const altText = payload ? diagramAltText(alt, payload) : (alt || '图片' + imgCount);
     return `
 <div style="text-align:center;margin:20pt 0;page-break-inside:avoid;">
-  <img src="${dataUrl}" alt="${alt || '图片' + imgCount}" style="max-width:500px;width:90%;height:auto;border:1px solid #ddd;"/>
+  <img src="${dataUrl}" alt="${altText}" style="max-width:500px;width:90%;height:auto;border:1px solid #ddd;"/>
   <p style="font-size:10pt;color:#666;margin-top:8pt;">${alt || '图 ' + imgCount}</p>
 </div>`;
   });
@@ -3265,17 +3193,45 @@ function markdownToWordHtml(markdown) {
   return html;
 }
 
+// 上传的 .docx 模板路径（.doc 模板和不存在的模板返回 null）
+function resolveDocxTemplatePath(templateId) {
+  if (!templateId || !/^template_[\w-]+$/.test(templateId)) return null;
+  const templatePath = path.join(TEMPLATES_DIR, `${templateId}.docx`);
+  return fs.existsSync(templatePath) ? templatePath : null;
+}
+
+// 把生成内容写入 .docx 模板并发送
+async function sendDocxFromTemplate(res, templatePath, markdown, { filename, title } = {}) {
+  const buffer = await buildDocxFromTemplate(fs.readFileSync(templatePath), markdown, { title });
+  const safeFilename = (filename || title || '需求规格说明书').replace(/[<>:"/\\|?*]/g, '_');
+  res.setHeader('Content-Type', DOCX_MIME);
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(safeFilename)}.docx`);
+  res.send(buffer);
+}
+
 // 导出Word文档 - 需求规格书（增强版，支持图片嵌入）
+// 指定 templateId 且模板为 .docx 时写入模板，否则导出为 Word 兼容的 HTML
 app.post('/api/export-word', async (req, res) => {
   try {
-    const { content, filename, title, images = [] } = req.body;
+    const { content, filename, title, images = [], templateId } = req.body;
 
     if (!content) {
       return res.status(400).json({ error: '无内容可导出' });
     }
 
+    const templatePath = resolveDocxTemplatePath(templateId);
+    const contentWithDiagrams = await embedDiagramsForWord(content);
+    if (templatePath) {
+      // 图片引用标记转换为 Markdown 图片，由模板写入模块嵌入文档
+      const markdown = contentWithDiagrams.replace(/\[插入图片:\s*img_(\d+)\]/g, (match, imgNum) => {
+        const image = images[parseInt(imgNum) - 1];
+        return image && image.dataUrl ? `\n\n![${image.filename || `图${imgNum}`}](${image.dataUrl})\n\n` : match;
+      });
+      return sendDocxFromTemplate(res, templatePath, normalizeHeadingLevels(markdown), { filename, title });
+    }
+
     // 转换Markdown为Word HTML
-    let htmlContent = markdownToWordHtml(content);
+    let htmlContent = markdownToWordHtml(contentWithDiagrams);
 
     // 处理图片引用标记 [插入图片: img_X]，记录已使用的图片
     const usedImageIndices = new Set();
@@ -3608,7 +3564,7 @@ ${functions.map((f, i) => `${i + 1}. ${f.name || f.title}: ${f.description || ''
 ${systemName}`;
 
         const completion = await client.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'glm-4-flash',
+          task: 'diagram',
           messages: [{ role: 'user', content: prompt }],
           temperature: 0.3,
           max_tokens: 2000
@@ -3787,7 +3743,7 @@ app.post('/api/generate-diagram/batch', async (req, res) => {
           if (client && functions.length > 0) {
             const prompt = `${USE_CASE_DIAGRAM_PROMPT}\n\n## 功能列表\n${functions.map((f, i) => `${i + 1}. ${f.name || f.title}`).join('\n')}\n\n## 系统名称\n${systemName}`;
             const completion = await client.chat.completions.create({
-              model: process.env.OPENAI_MODEL || 'glm-4-flash',
+              task: 'diagram',
               messages: [{ role: 'user', content: prompt }],
               temperature: 0.3,
               max_tokens: 2000
@@ -3884,7 +3840,7 @@ async function aiGenerateUniqueName(originalName, subProcessDesc, functionalProc
 - 原名称"订单信息"，子过程"查询历史订单" -> 历史订单查询信息`;
 
     const completion = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'cosmic',
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.3,
       max_tokens: 50
@@ -3974,7 +3930,7 @@ async function aiGenerateUniqueAttrName(originalName, subProcessDesc, functional
 - 原名称"设备参数"，子过程"导出设备配置"，数据组"设备导出" -> 导出配置参数`;
 
     const completion = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'cosmic',
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.4,
       max_tokens: 50
@@ -4031,9 +3987,10 @@ function generateUniqueAttrNameLocal(originalName, subProcessDesc = '', dataGrou
 }
 
 // 解析Markdown表格为结构化数据
+// 可选 existingTableData + mergeMode（append/replace）：返回保留人工修改后的合并结果 mergedTableData
 app.post('/api/parse-table', async (req, res) => {
   try {
-    const { markdown } = req.body;
+    const { markdown, existingTableData, mergeMode = 'append', sourceAnchors, documentContent } = req.body;
 
     if (!markdown) {
       return res.status(400).json({ error: '无Markdown内容' });
@@ -4188,94 +4145,453 @@ app.post('/api/parse-table', async (req, res) => {
       });
     }
 
-    res.json({ success: true, tableData });
+    // 规则校验：报告每个功能过程的违规情况（不修改数据）
+    const validation = validateCosmicTable(tableData);
+
+    // 记录AI生成时的行指纹，用于识别后续的人工修改；提供源文档或锚点时写入来源锚点
+    const stampedData = stampAiRows(attachSourceAnchors(tableData, { sourceAnchors, documentContent }));
+
+    if (Array.isArray(existingTableData)) {
+      const merged = mergePreservingEdits(existingTableData, stampedData, mergeMode);
+      if (merged.preservedProcesses.length > 0) {
+        console.log(`保留人工修改的功能过程 ${merged.preservedProcesses.length} 个，忽略新生成的 ${merged.droppedRows} 行`);
+      }
+      return res.json({
+        success: true,
+        tableData: stampedData,
+        validation,
+        mergedTableData: merged.tableData,
+        preservedProcesses: merged.preservedProcesses,
+        droppedRows: merged.droppedRows
+      });
+    }
+
+    res.json({ success: true, tableData: stampedData, validation });
   } catch (error) {
     console.error('解析表格失败:', error);
     res.status(500).json({ error: '解析表格失败: ' + error.message });
   }
 });
 
-// 静态资源托管（生产模式）
-const CLIENT_DIST_PATH = path.join(__dirname, '../client/dist');
-if (fs.existsSync(CLIENT_DIST_PATH)) {
-  app.use(express.static(CLIENT_DIST_PATH));
+// COSMIC规则校验 - 可选自动修复不合规的功能过程
+app.post('/api/cosmic/validate', async (req, res) => {
+  try {
+    const { tableData, autoRepair = false, documentContent = '', maxRounds = 2 } = req.body;
 
-  app.get('*', (req, res, next) => {
-    if (req.path.startsWith('/api')) {
-      return next();
+    if (!tableData || !Array.isArray(tableData) || tableData.length === 0) {
+      return res.status(400).json({ error: '无有效数据可校验' });
     }
-    res.sendFile(path.join(CLIENT_DIST_PATH, 'index.html'));
-  });
-} else {
-  console.warn('⚠️  未检测到 client/dist 构建目录，生产环境将无法提供前端静态资源');
-}
 
-// ==================== 架构图生成功能 ====================
-const diagramGenerator = require('./diagramGenerator');
+    const validation = validateCosmicTable(tableData);
 
-// 架构图生成提示词 - 深度分析版
-const DEEP_ARCHITECTURE_ANALYSIS_PROMPT = `你是一位资深的系统架构师和需求分析专家。请对用户提供的需求文档进行**深度分析**，然后生成一个专业的分层架构图。
+    if (!autoRepair || validation.valid) {
+      return res.json({ success: true, tableData, validation, repaired: false });
+    }
 
-## 分析步骤
+    const client = getOpenAIClient();
+    if (!client) {
+      return res.status(400).json({ error: '请先配置API密钥' });
+    }
 
-### 第一步：识别系统层级
-从需求文档中识别出以下层级（至少3层，最多5层）：
-- **展示层/应用层**：用户界面、前端应用、移动端
-- **业务层/服务层**：业务逻辑、核心服务、业务模块
-- **数据层**：数据存储、缓存、消息队列
-- **基础设施层**：部署环境、监控、安全
-- **外部接口层**：第三方系统、外部API
+    console.log(`COSMIC校验：${validation.summary.failedProcesses} 个功能过程未通过，开始自动修复...`);
+    // 人工修改过的功能过程不参与自动修复
+    const lockedProcesses = getEditedProcesses(tableData);
+    const result = await repairCosmicTable(client, tableData, {
+      report: validation,
+      documentContent,
+      maxRounds: Math.min(Math.max(parseInt(maxRounds, 10) || 1, 1), 5),
+      lockedProcesses
+    });
 
-### 第二步：识别功能模块
-从需求文档中提取所有功能模块，按业务域分组：
-- 每个层级至少包含2-4个模块
-- 模块名称要具体、有业务含义
-- 相关模块用subgraph分组
+    res.json({
+      success: true,
+      // 重写的功能过程沿用原来的来源锚点
+      tableData: stampAiRows(attachSourceAnchors(result.tableData, { sourceAnchors: collectSourceAnchors(tableData), documentContent })),
+      lockedProcesses,
+      validation: result.report,
+      originalValidation: validation,
+      repaired: result.repairedProcesses.length > 0,
+      repairedProcesses: result.repairedProcesses,
+      rounds: result.rounds
+    });
+  } catch (error) {
+    console.error('COSMIC校验失败:', error);
+    res.status(500).json({ error: 'COSMIC校验失败: ' + error.message });
+  }
+});
 
-### 第三步：识别数据流向
-分析模块间的调用关系和数据流向
+// ==================== COSMIC拆分表往返编辑 API ====================
 
-## 输出要求
+// 重新导入人工修改后的拆分结果Excel，标记自上次AI生成以来修改/新增/删除的行
+app.post('/api/cosmic/import-excel', uploadMultiple.single('file'), handleMulterError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '请上传导出的拆分结果Excel' });
+    }
 
-请输出以下JSON格式的分析结果：
-\`\`\`json
-{
-  "systemName": "系统名称",
-  "layers": [
-    {
-      "name": "层级名称",
-      "type": "application|service|data|infrastructure",
-      "groups": [
-        {
-          "name": "分组名称",
-          "modules": ["模块1", "模块2", "模块3"]
-        }
-      ]
+    const unsupported = checkImportFile(req.file.buffer, req.file.originalname);
+    if (unsupported) {
+      return res.status(400).json({ error: unsupported });
     }
-  ],
-  "dataFlows": [
-    {"from": "层级1", "to": "层级2", "description": "数据流说明"}
-  ]
-}
-\`\`\`
 
-然后基于分析结果，生成Mermaid架构图代码：
-\`\`\`mermaid
-graph TB
-    subgraph 应用层
-        ...
-    end
-    ...
-\`\`\`
+    const result = await importEditedWorkbook(req.file.buffer, req.file.originalname);
+    if (result.tableData.length === 0) {
+      return res.status(400).json({ error: '文件中没有有效的拆分数据' });
+    }
 
-## 风格要求（参考企业级架构图）
+    const validation = validateCosmicTable(result.tableData);
+    console.log(`导入拆分结果: ${req.file.originalname}，修改 ${result.summary.modified} 行，新增 ${result.summary.added} 行，删除 ${result.summary.deleted} 行`);
+
+    res.json({
+      success: true,
+      filename: req.file.originalname,
+      ...result,
+      validation
+    });
+  } catch (error) {
+    console.error('导入拆分结果失败:', error);
+    res.status(500).json({ error: '导入拆分结果失败: ' + error.message });
+  }
+});
+
+// ==================== COSMIC拆分表往返编辑 API 结束 ====================
+
+// ==================== COSMIC度量对比 API ====================
+
+// 兼容 parseCosmicImport 的返回对象（{ data }）和 parse-table 的 tableData 数组
+function toCosmicRows(input) {
+  if (Array.isArray(input)) return input;
+  if (input && Array.isArray(input.data)) return input.data;
+  if (input && Array.isArray(input.tableData)) return input.tableData;
+  return null;
+}
+
+// 对比基线与新需求度量，返回变更规模报告
+app.post('/api/cosmic/diff', (req, res) => {
+  try {
+    const { baseline, current, options = {} } = req.body;
+    const baselineRows = toCosmicRows(baseline);
+    const currentRows = toCosmicRows(current);
+
+    if (!baselineRows || !currentRows) {
+      return res.status(400).json({ error: '请提供基线(baseline)和新需求(current)两份度量数据' });
+    }
+
+    const diff = diffCosmicMeasurements(baselineRows, currentRows, options);
+    console.log(`COSMIC度量对比: 新增 ${diff.summary.addedCFP} / 修改 ${diff.summary.modifiedCFP} / 删除 ${diff.summary.deletedCFP} CFP`);
+
+    res.json({ success: true, diff });
+  } catch (error) {
+    console.error('度量对比失败:', error);
+    res.status(500).json({ error: '度量对比失败: ' + error.message });
+  }
+});
+
+// 导出变更规模报告Excel
+app.post('/api/cosmic/diff/export-excel', async (req, res) => {
+  try {
+    const { baseline, current, options = {}, filename } = req.body;
+    const baselineRows = toCosmicRows(baseline);
+    const currentRows = toCosmicRows(current);
+
+    if (!baselineRows || !currentRows) {
+      return res.status(400).json({ error: '请提供基线(baseline)和新需求(current)两份度量数据' });
+    }
+
+    const diff = diffCosmicMeasurements(baselineRows, currentRows, options);
+    const workbook = new ExcelJS.Workbook();
+    addChangeSizeSheets(workbook, diff);
+
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename || 'cosmic_change_size')}.xlsx"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('导出变更规模报告失败:', error);
+    res.status(500).json({ error: '导出变更规模报告失败: ' + error.message });
+  }
+});
+
+// ==================== COSMIC度量对比 API 结束 ====================
+
+// ==================== COSMIC需求追溯 API ====================
+
+// 追溯矩阵与章节覆盖（没有来源锚点的功能过程按源文档重新定位）
+app.post('/api/cosmic/traceability', (req, res) => {
+  try {
+    const { tableData, documentContent } = req.body;
+
+    if (!Array.isArray(tableData) || tableData.length === 0) {
+      return res.status(400).json({ error: '无有效数据可追溯' });
+    }
+    if (!documentContent) {
+      return res.status(400).json({ error: '请提供源文档内容(documentContent)' });
+    }
+
+    const matrix = buildTraceabilityMatrix(tableData, documentContent);
+    console.log(`需求追溯: 覆盖 ${matrix.summary.coveredSections}/${matrix.summary.sectionCount} 个章节，${matrix.summary.unanchoredProcesses} 个功能过程未定位`);
+
+    res.json({ success: true, matrix });
+  } catch (error) {
+    console.error('生成追溯矩阵失败:', error);
+    res.status(500).json({ error: '生成追溯矩阵失败: ' + error.message });
+  }
+});
+
+// 导出追溯矩阵（format: excel | html）
+app.post('/api/cosmic/traceability/export', async (req, res) => {
+  try {
+    const { tableData, documentContent, documentName = '', format = 'excel', filename } = req.body;
+
+    if (!Array.isArray(tableData) || tableData.length === 0) {
+      return res.status(400).json({ error: '无有效数据可导出' });
+    }
+    if (!documentContent) {
+      return res.status(400).json({ error: '请提供源文档内容(documentContent)' });
+    }
+    if (!['excel', 'html'].includes(format)) {
+      return res.status(400).json({ error: '导出格式只支持 excel / html' });
+    }
+
+    const matrix = buildTraceabilityMatrix(tableData, documentContent);
+    const baseName = encodeURIComponent(filename || 'cosmic_traceability');
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.html"`);
+      return res.send(renderTraceabilityHtml(matrix, { documentName }));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    addTraceabilitySheets(workbook, matrix);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('导出追溯矩阵失败:', error);
+    res.status(500).json({ error: '导出追溯矩阵失败: ' + error.message });
+  }
+});
+
+// ==================== COSMIC需求追溯 API 结束 ====================
+
+// ==================== COSMIC度量项目 API ====================
+
+// 获取项目列表
+app.get('/api/projects', (req, res) => {
+  try {
+    res.json({ success: true, projects: projectStore.listProjects() });
+  } catch (error) {
+    console.error('获取项目列表失败:', error);
+    res.status(500).json({ error: '获取项目列表失败: ' + error.message });
+  }
+});
+
+// 创建项目（可同时保存源文档和初始表格）
+app.post('/api/projects', (req, res) => {
+  try {
+    const { name, description, documentContent, filename, tableData } = req.body;
+    const project = projectStore.createProject({ name, description, documentContent, filename, tableData });
+    console.log(`创建度量项目: ${project.id} (${project.name})`);
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error('创建项目失败:', error);
+    res.status(500).json({ error: '创建项目失败: ' + error.message });
+  }
+});
+
+// 打开项目：元数据 + 源文档 + 最新版本快照
+app.get('/api/projects/:id', (req, res) => {
+  try {
+    const project = projectStore.getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: '项目不存在' });
+    }
+    res.json({
+      success: true,
+      project,
+      source: projectStore.getSourceDocument(req.params.id),
+      latest: projectStore.getLatestVersion(req.params.id)
+    });
+  } catch (error) {
+    console.error('获取项目失败:', error);
+    res.status(500).json({ error: '获取项目失败: ' + error.message });
+  }
+});
+
+// 更新项目名称/描述
+app.put('/api/projects/:id', (req, res) => {
+  try {
+    const project = projectStore.updateProject(req.params.id, req.body);
+    if (!project) {
+      return res.status(404).json({ error: '项目不存在' });
+    }
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error('更新项目失败:', error);
+    res.status(500).json({ error: '更新项目失败: ' + error.message });
+  }
+});
+
+// 删除项目
+app.delete('/api/projects/:id', (req, res) => {
+  try {
+    if (!projectStore.deleteProject(req.params.id)) {
+      return res.status(404).json({ error: '项目不存在' });
+    }
+    res.json({ success: true, message: '项目已删除' });
+  } catch (error) {
+    console.error('删除项目失败:', error);
+    res.status(500).json({ error: '删除项目失败: ' + error.message });
+  }
+});
+
+// 保存新版本（分析轮次 / 解析表格 / 人工修改）
+app.post('/api/projects/:id/versions', (req, res) => {
+  try {
+    if (!projectStore.exists(req.params.id)) {
+      return res.status(404).json({ error: '项目不存在' });
+    }
+    const version = projectStore.addVersion(req.params.id, req.body);
+    res.json({ success: true, version });
+  } catch (error) {
+    console.error('保存版本失败:', error);
+    res.status(500).json({ error: '保存版本失败: ' + error.message });
+  }
+});
+
+// 获取指定版本快照
+app.get('/api/projects/:id/versions/:version', (req, res) => {
+  try {
+    const snapshot = projectStore.getVersion(req.params.id, req.params.version);
+    if (!snapshot) {
+      return res.status(404).json({ error: '版本不存在' });
+    }
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    console.error('获取版本失败:', error);
+    res.status(500).json({ error: '获取版本失败: ' + error.message });
+  }
+});
+
+// 从指定版本派生新项目
+app.post('/api/projects/:id/fork', (req, res) => {
+  try {
+    if (!projectStore.exists(req.params.id)) {
+      return res.status(404).json({ error: '项目不存在' });
+    }
+    const { version, name } = req.body;
+    const project = projectStore.forkProject(req.params.id, { version, name });
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error('派生项目失败:', error);
+    res.status(500).json({ error: '派生项目失败: ' + error.message });
+  }
+});
+
+// 对比两个版本
+app.get('/api/projects/:id/diff', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: '请提供 from 和 to 版本号' });
+    }
+    if (!projectStore.exists(req.params.id)) {
+      return res.status(404).json({ error: '项目不存在' });
+    }
+    res.json({ success: true, diff: projectStore.diffVersions(req.params.id, from, to) });
+  } catch (error) {
+    console.error('版本对比失败:', error);
+    res.status(500).json({ error: '版本对比失败: ' + error.message });
+  }
+});
+
+// ==================== COSMIC度量项目 API 结束 ====================
+
+// 静态资源托管（生产模式）
+const CLIENT_DIST_PATH = path.join(__dirname, '../client/dist');
+if (fs.existsSync(CLIENT_DIST_PATH)) {
+  app.use(express.static(CLIENT_DIST_PATH));
+
+  app.get('*', (req, res, next) => {
+    if (req.path.startsWith('/api')) {
+      return next();
+    }
+    res.sendFile(path.join(CLIENT_DIST_PATH, 'index.html'));
+  });
+} else {
+  console.warn('⚠️  未检测到 client/dist 构建目录，生产环境将无法提供前端静态资源');
+}
+
+// ==================== 架构图生成功能 ====================
+const diagramGenerator = require('./diagramGenerator');
+
+// 架构图生成提示词 - 深度分析版
+const DEEP_ARCHITECTURE_ANALYSIS_PROMPT = `你是一位资深的系统架构师和需求分析专家。请对用户提供的需求文档进行**深度分析**，然后生成一个专业的分层架构图。
+
+## 分析步骤
+
+### 第一步：识别系统层级
+从需求文档中识别出以下层级（至少3层，最多5层）：
+- **展示层/应用层**：用户界面、前端应用、移动端
+- **业务层/服务层**：业务逻辑、核心服务、业务模块
+- **数据层**：数据存储、缓存、消息队列
+- **基础设施层**：部署环境、监控、安全
+- **外部接口层**：第三方系统、外部API
+
+### 第二步：识别功能模块
+从需求文档中提取所有功能模块，按业务域分组：
+- 每个层级至少包含2-4个模块
+- 模块名称要具体、有业务含义
+- 相关模块用subgraph分组
+
+### 第三步：识别数据流向
+分析模块间的调用关系和数据流向
+
+## 输出要求
+
+请输出以下JSON格式的分析结果：
+\`\`\`json
+{
+  "systemName": "系统名称",
+  "layers": [
+    {
+      "name": "层级名称",
+      "type": "application|service|data|infrastructure",
+      "groups": [
+        {
+          "name": "分组名称",
+          "modules": ["模块1", "模块2", "模块3"]
+        }
+      ]
+    }
+  ],
+  "dataFlows": [
+    {"from": "层级1", "to": "层级2", "description": "数据流说明"}
+  ]
+}
+\`\`\`
+
+然后基于分析结果，生成Mermaid架构图代码：
+\`\`\`mermaid
+graph TB
+    subgraph 应用层
+        ...
+    end
+    ...
+\`\`\`
+
+## 风格要求（参考企业级架构图）
 1. 使用subgraph嵌套表示层级和分组
 2. 节点ID用英文（如A1, B2），显示名称用中文
 3. 使用direction LR让同层模块横向排列
 4. 层级间用箭头表示数据流向
 5. 颜色通过style定义（可选）`;
 
-// 生成架构图 - AI分析 + Kroki渲染
+// 生成架构图 - AI分析 + 本地渲染
 app.post('/api/diagram/generate', async (req, res) => {
   try {
     const { documentContent, diagramType = 'layered', outputFormat = 'svg' } = req.body;
@@ -4296,7 +4612,7 @@ ${documentContent?.slice(0, 6000) || '无文档内容'}
 请进行深度分析并生成架构图。`;
 
     const completion = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'diagram',
       messages: [
         { role: 'system', content: '你是一位专业的系统架构师，擅长分析需求文档并绘制清晰的架构图。' },
         { role: 'user', content: analysisPrompt }
@@ -4317,20 +4633,20 @@ ${documentContent?.slice(0, 6000) || '无文档内容'}
       mermaidCode = diagramGenerator.generateDefaultArchitectureMermaid('系统');
     }
 
-    // 第二步：调用Kroki API渲染图片
+    // 第二步：渲染图片（默认本地渲染）
     let imageBuffer = null;
     let imageUrl = null;
 
     try {
-      imageBuffer = await diagramGenerator.generateDiagramWithKroki('mermaid', mermaidCode, outputFormat);
-      console.log('Kroki渲染成功，图片大小:', imageBuffer.length);
+      imageBuffer = await renderDiagram('mermaid', mermaidCode, outputFormat);
+      console.log('图表渲染成功，图片大小:', imageBuffer.length);
 
       // 转换为base64
       const base64Image = Buffer.from(imageBuffer).toString('base64');
       const mimeType = outputFormat === 'png' ? 'image/png' : 'image/svg+xml';
       imageUrl = `data:${mimeType};base64,${base64Image}`;
-    } catch (krokiError) {
-      console.error('Kroki渲染失败:', krokiError.message);
+    } catch (renderError) {
+      console.error('图表渲染失败:', renderError.message);
       // 返回Mermaid代码让前端渲染
     }
 
@@ -4360,16 +4676,18 @@ ${documentContent?.slice(0, 6000) || '无文档内容'}
   }
 });
 
-// 直接渲染Mermaid代码为图片
+// 直接渲染图表代码为图片
+// Body: { mermaidCode } 或 { diagramType: 'mermaid' | 'plantuml', source }
 app.post('/api/diagram/render', async (req, res) => {
   try {
-    const { mermaidCode, outputFormat = 'svg' } = req.body;
+    const { mermaidCode, diagramType = 'mermaid', source, outputFormat = 'svg' } = req.body;
+    const diagramSource = source || mermaidCode;
 
-    if (!mermaidCode) {
+    if (!diagramSource) {
       return res.status(400).json({ error: '请提供Mermaid代码' });
     }
 
-    const imageBuffer = await diagramGenerator.generateDiagramWithKroki('mermaid', mermaidCode, outputFormat);
+    const imageBuffer = await renderDiagram(diagramType, diagramSource, outputFormat);
 
     const mimeType = outputFormat === 'png' ? 'image/png' : 'image/svg+xml';
     res.setHeader('Content-Type', mimeType);
@@ -4381,19 +4699,19 @@ app.post('/api/diagram/render', async (req, res) => {
   }
 });
 
-// 获取Kroki渲染URL（用于直接嵌入）
+// 获取图表嵌入地址：本地渲染时为 data URL，DIAGRAM_RENDERER=kroki 时为 Kroki 地址
 app.post('/api/diagram/url', async (req, res) => {
   try {
-    const { mermaidCode, outputFormat = 'svg' } = req.body;
+    const { mermaidCode, diagramType = 'mermaid', source, outputFormat = 'svg' } = req.body;
+    const diagramSource = source || mermaidCode;
 
-    if (!mermaidCode) {
+    if (!diagramSource) {
       return res.status(400).json({ error: '请提供Mermaid代码' });
     }
 
-    const encoded = diagramGenerator.encodeDiagram(mermaidCode);
-    const url = `${diagramGenerator.KROKI_BASE_URL}/mermaid/${outputFormat}/${encoded}`;
+    const url = await getDiagramUrl(diagramType, diagramSource, outputFormat);
 
-    res.json({ success: true, url });
+    res.json({ success: true, url, renderer: getRendererConfig().renderer });
 
   } catch (error) {
     console.error('生成URL失败:', error);
@@ -4401,6 +4719,57 @@ app.post('/api/diagram/url', async (req, res) => {
   }
 });
 
+// ==================== 图表源码往返编辑 API ====================
+
+// 从导出的需求文档（.docx / HTML .doc）中提取带源码的图表
+// 返回: { diagrams: [{ index, type, title, source, image }] }
+app.post('/api/diagram/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '请上传导出的需求文档' });
+    }
+
+    const { format, diagrams } = await extractDiagrams(req.file.buffer, req.file.originalname);
+
+    res.json({ success: true, filename: req.file.originalname, format, diagrams });
+
+  } catch (error) {
+    console.error('提取图表源码失败:', error);
+    res.status(500).json({ error: '提取图表源码失败: ' + error.message });
+  }
+});
+
+// 按修改后的源码重新渲染图表并原位写回文档，返回更新后的文档
+// Body(multipart): file + edits（JSON字符串: [{ index, source, type?, title? }]）
+app.post('/api/diagram/apply', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '请上传导出的需求文档' });
+    }
+
+    let edits;
+    try {
+      edits = JSON.parse(req.body.edits || '[]');
+    } catch (e) {
+      return res.status(400).json({ error: 'edits 不是有效的JSON' });
+    }
+    if (!Array.isArray(edits) || edits.length === 0) {
+      return res.status(400).json({ error: '请提供需要更新的图表' });
+    }
+
+    const { buffer, mimeType, updated } = await applyDiagramEdits(req.file.buffer, req.file.originalname, edits);
+
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(req.file.originalname)}`);
+    res.setHeader('X-Diagrams-Updated', String(updated));
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('图表回写失败:', error);
+    res.status(500).json({ error: '图表回写失败: ' + error.message });
+  }
+});
+
 // ==================== COSMIC Excel 转 需求规格说明书 功能 ====================
 
 // 模板深度分析系统提示词 - 增强版：多维度深度理解模板
@@ -4649,181 +5018,17 @@ sequenceDiagram
 ❌ 内容空洞、缺乏具体细节
 ❌ 输出任何元描述或提示性文字`;
 
-// 解析COSMIC Excel文件
-async function parseCosmicExcel(buffer) {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(buffer);
-
-  const worksheet = workbook.worksheets[0];
-  if (!worksheet) {
-    throw new Error('Excel文件中没有找到工作表');
-  }
-
-  const data = [];
-  const headers = [];
-  let headerRowIndex = 1;
-
-  // 定义字段匹配规则（按优先级排序的关键词）
-  const fieldMatchers = {
-    functionalUser: ['功能用户', '用户', 'functional user', 'user'],
-    triggerEvent: ['触发事件', '触发', 'trigger', 'event'],
-    functionalProcess: ['功能过程', '过程名称', '过程', 'functional process', 'process'],
-    subProcessDesc: ['子过程', '子过程描述', '描述', 'sub process', 'subprocess', 'description'],
-    dataMovementType: ['数据移动类型', '数据移动', '移动类型', '类型', 'data movement', 'movement type', 'type', 'e/r/w/x'],
-    dataGroup: ['数据组', '数据组名', 'data group', 'group'],
-    dataAttributes: ['数据属性', '属性', 'data attribute', 'attribute']
-  };
-
-  // 列索引映射
-  const columnMap = {};
-
-  // 查找表头行（包含COSMIC相关关键词的行）
-  worksheet.eachRow((row, rowNumber) => {
-    if (headerRowIndex !== 1) return; // 已找到表头，跳过
-
-    const rowValues = row.values.slice(1); // 去掉第一个空元素
-    const rowText = rowValues.map(v => String(v || '').toLowerCase()).join(' ');
-
-    // 检查是否包含COSMIC相关关键词
-    const isHeaderRow = rowText.includes('功能过程') ||
-      rowText.includes('数据移动') ||
-      rowText.includes('functional') ||
-      rowText.includes('触发事件') ||
-      rowText.includes('数据组') ||
-      rowText.includes('子过程');
-
-    if (isHeaderRow) {
-      headerRowIndex = rowNumber;
-      rowValues.forEach((cell, idx) => {
-        const headerText = String(cell || '').trim();
-        headers[idx] = headerText;
-
-        // 根据表头内容匹配字段
-        const headerLower = headerText.toLowerCase();
-        for (const [field, keywords] of Object.entries(fieldMatchers)) {
-          if (!columnMap[field]) { // 只匹配第一个找到的
-            for (const keyword of keywords) {
-              if (headerLower.includes(keyword.toLowerCase())) {
-                columnMap[field] = idx;
-                console.log(`列映射: "${headerText}" (列${idx}) -> ${field}`);
-                break;
-              }
-            }
-          }
-        }
-      });
-    }
-  });
-
-  // 如果没有找到表头，尝试使用第一行作为表头
-  if (headers.length === 0) {
-    const firstRow = worksheet.getRow(1);
-    const rowValues = firstRow.values.slice(1);
-    rowValues.forEach((cell, idx) => {
-      headers[idx] = String(cell || '').trim();
-    });
-    headerRowIndex = 1;
-  }
-
-  // 如果仍然没有列映射，使用默认顺序（兼容旧格式）
-  if (Object.keys(columnMap).length === 0) {
-    console.log('未找到匹配的表头，使用默认列顺序');
-    columnMap.functionalUser = 0;
-    columnMap.triggerEvent = 1;
-    columnMap.functionalProcess = 2;
-    columnMap.subProcessDesc = 3;
-    columnMap.dataMovementType = 4;
-    columnMap.dataGroup = 5;
-    columnMap.dataAttributes = 6;
-  }
-
-  console.log('最终列映射:', columnMap);
-  console.log('表头:', headers);
-
-  // 解析数据行
-  let currentFunctionalUser = '';
-  let currentTriggerEvent = '';
-  let currentFunctionalProcess = '';
-
-  worksheet.eachRow((row, rowNumber) => {
-    if (rowNumber <= headerRowIndex) return; // 跳过表头
+// 解析Word模板结构 - 增强版：提取章节内容和格式特征
+// 支持 .docx 和 .doc 格式
+async function parseWordTemplate(buffer, fileExtension = '.docx') {
+  // 统一解析（同时提取HTML以获取更多格式信息，.doc 格式只有纯文本）
+  const { text, html: htmlContent, formatLabel } = await extractDocument(buffer, `template${fileExtension}`, { images: false });
+  console.log(`解析模板文件成功（${formatLabel}），提取文本长度: ${text.length}`);
 
-    const rowValues = row.values.slice(1);
-    if (rowValues.every(v => !v || String(v).trim() === '')) return; // 跳过空行
-
-    // 处理合并单元格 - 根据列映射获取值
-    const getValue = (field) => {
-      const idx = columnMap[field];
-      if (idx === undefined) return '';
-      const val = rowValues[idx];
-      return val ? String(val).trim() : '';
-    };
-
-    // 更新当前值（处理合并单元格）
-    if (getValue('functionalUser')) currentFunctionalUser = getValue('functionalUser');
-    if (getValue('triggerEvent')) currentTriggerEvent = getValue('triggerEvent');
-    if (getValue('functionalProcess')) currentFunctionalProcess = getValue('functionalProcess');
-
-    const rowData = {
-      functionalUser: currentFunctionalUser,
-      triggerEvent: currentTriggerEvent,
-      functionalProcess: currentFunctionalProcess,
-      subProcessDesc: getValue('subProcessDesc'),
-      dataMovementType: getValue('dataMovementType').toUpperCase(),
-      dataGroup: getValue('dataGroup'),
-      dataAttributes: getValue('dataAttributes')
-    };
-
-    // 只添加有效数据行（至少有功能过程或子过程描述）
-    if (rowData.functionalProcess || rowData.subProcessDesc || rowData.dataMovementType) {
-      data.push(rowData);
-    }
-  });
-
-  return {
-    headers,
-    columnMap, // 返回列映射信息，方便前端显示
-    data,
-    rowCount: data.length,
-    functionalProcesses: [...new Set(data.map(d => d.functionalProcess).filter(Boolean))]
-  };
-}
-
-// 解析Word模板结构 - 增强版：提取章节内容和格式特征
-// 支持 .docx 和 .doc 格式
-async function parseWordTemplate(buffer, fileExtension = '.docx') {
-  let text = '';
-  let htmlContent = '';
-
-  if (fileExtension === '.doc') {
-    // 使用 word-extractor 解析 .doc 格式
-    try {
-      const extracted = await wordExtractor.extract(buffer);
-      text = extracted.getBody() || '';
-      // .doc 格式没有HTML，使用纯文本
-      console.log(`解析 .doc 文件成功，提取文本长度: ${text.length}`);
-    } catch (e) {
-      console.error('word-extractor 解析失败:', e.message);
-      throw new Error('无法解析 .doc 文件，请尝试转换为 .docx 格式');
-    }
-  } else {
-    // 使用 mammoth 解析 .docx 格式
-    const result = await mammoth.extractRawText({ buffer });
-    text = result.value;
-
-    // 同时提取HTML以获取更多格式信息
-    try {
-      const htmlResult = await mammoth.convertToHtml({ buffer });
-      htmlContent = htmlResult?.value || '';
-    } catch (e) {
-      console.log('HTML提取失败，继续使用纯文本');
-    }
-  }
-
-  // 分析模板结构
-  const sections = [];
-  const lines = text.split('\n');
-  const seenNumbers = new Set(); // 用于去重
+  // 分析模板结构
+  const sections = [];
+  const lines = text.split('\n');
+  const seenNumbers = new Set(); // 用于去重
 
   // 【增强】多种章节标题识别模式
   const sectionPatterns = [
@@ -4961,21 +5166,64 @@ async function parseWordTemplate(buffer, fileExtension = '.docx') {
   };
 }
 
-// 上传并解析COSMIC Excel
+// 解析导入选项（multipart 表单中的字段均为字符串）
+function parseImportOptions(body = {}) {
+  const options = {};
+  if (body.sheets) {
+    try {
+      options.sheets = JSON.parse(body.sheets);
+    } catch (e) {
+      options.sheets = body.sheets;
+    }
+  }
+  if (body.columnMapping) {
+    options.columnMapping = typeof body.columnMapping === 'string' ? JSON.parse(body.columnMapping) : body.columnMapping;
+  }
+  return options;
+}
+
+// 预览COSMIC数据导入：工作表列表、自动识别的列映射和样例行
+app.post('/api/cosmic-to-spec/preview-import', uploadMultiple.single('file'), handleMulterError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '请上传COSMIC数据文件' });
+    }
+
+    const unsupported = checkImportFile(req.file.buffer, req.file.originalname);
+    if (unsupported) {
+      return res.status(400).json({ error: unsupported });
+    }
+
+    const preview = await previewCosmicImport(req.file.buffer, req.file.originalname);
+
+    res.json({
+      success: true,
+      filename: req.file.originalname,
+      fileSize: req.file.size,
+      ...preview
+    });
+  } catch (error) {
+    console.error('预览COSMIC数据失败:', error);
+    res.status(500).json({ error: '预览失败: ' + error.message });
+  }
+});
+
+// 上传并解析COSMIC数据（Excel / CSV / JSON）
+// 可选表单字段：sheets（工作表名 JSON 数组、逗号分隔或 all）、columnMapping（{ 字段: 表头 } JSON）
 app.post('/api/cosmic-to-spec/parse-excel', uploadMultiple.single('file'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: '请上传Excel文件' });
     }
 
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    if (ext !== '.xlsx' && ext !== '.xls') {
-      return res.status(400).json({ error: '请上传Excel文件（.xlsx或.xls格式）' });
+    const unsupported = checkImportFile(req.file.buffer, req.file.originalname);
+    if (unsupported) {
+      return res.status(400).json({ error: unsupported });
     }
 
-    console.log(`解析COSMIC Excel: ${req.file.originalname}, 大小: ${req.file.size} bytes`);
+    console.log(`解析COSMIC数据: ${req.file.originalname}, 大小: ${req.file.size} bytes`);
 
-    const result = await parseCosmicExcel(req.file.buffer);
+    const result = await parseCosmicImport(req.file.buffer, req.file.originalname, parseImportOptions(req.body));
 
     res.json({
       success: true,
@@ -4984,8 +5232,8 @@ app.post('/api/cosmic-to-spec/parse-excel', uploadMultiple.single('file'), handl
       ...result
     });
   } catch (error) {
-    console.error('解析COSMIC Excel失败:', error);
-    res.status(500).json({ error: '解析Excel失败: ' + error.message });
+    console.error('解析COSMIC数据失败:', error);
+    res.status(500).json({ error: '解析失败: ' + error.message });
   }
 });
 
@@ -5284,7 +5532,7 @@ ${sections.map(s => `${'  '.repeat(s.level - 1)}${s.number} ${s.title}`).join('\
 \`\`\``;
 
     const round1Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'template-analysis',
       messages: [
         { role: 'system', content: '你是专业的需求文档分析师。请精确分析文档结构，所有章节标题必须与原文完全一致。' },
         { role: 'user', content: round1Prompt }
@@ -5362,7 +5610,7 @@ ${functionalExampleContent || '（请从上面的内容中提取）'}
 \`\`\``;
 
     const round2Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'template-analysis',
       messages: [
         { role: 'system', content: '你是专业的需求文档分析师。请深度分析功能需求的格式，子节名称必须与模板完全一致。' },
         { role: 'user', content: round2Prompt }
@@ -5425,7 +5673,7 @@ ${JSON.stringify(round2Result.processContentTemplate?.sections || [], null, 2)}
 \`\`\``;
 
     const round3Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'template-analysis',
       messages: [
         { role: 'system', content: '你是专业的需求文档分析师。请精确提取子节结构，名称必须与模板原文完全一致！' },
         { role: 'user', content: round3Prompt }
@@ -5584,7 +5832,7 @@ ${templateText.length > 20000 ? `\n...(模板内容过长，已截断，总长
 请输出完整的JSON分析结果：`;
 
     const phase1Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'template-analysis',
       messages: [
         {
           role: 'system',
@@ -5658,7 +5906,7 @@ ${funcProcessExample}
 
       try {
         const phase2Response = await client.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'glm-4-flash',
+          task: 'template-analysis',
           messages: [
             { role: 'system', content: '你是需求文档分析专家，擅长提取文档的内容模板和写作规范。' },
             { role: 'user', content: phase2Prompt }
@@ -6539,6 +6787,27 @@ function generateDefaultContent(sectionName, processName) {
   return `（${sectionName}内容待完善）`;
 }
 
+// 用标记包裹HTML图表，前端预览时渲染，导出Word/PDF时转换为图片
+// 去掉HTML中的空行，否则Markdown会在空行处结束HTML块，把后续内容当作代码块
+function wrapDiagramBlock(title, html) {
+  return `\n\n<!-- DIAGRAM_START:${title} -->\n${html.trim().replace(/\n\s*\n/g, '\n')}\n<!-- DIAGRAM_END -->\n\n`;
+}
+
+/**
+ * 把功能过程的时序图插入到内容中：模板有时序图/流程图类子节时放在该子节标题下，否则追加在功能过程末尾
+ */
+function insertProcessSequenceDiagram(content, processName, diagramHtml) {
+  if (!diagramHtml) return content;
+  const block = wrapDiagramBlock(`${processName} - 操作时序图`, diagramHtml);
+  const lines = content.split('\n');
+  const headingIdx = lines.findIndex(line => /^#{2,6}\s.*(时序|流程图|示意图|交互图)/.test(line));
+  if (headingIdx >= 0) {
+    lines.splice(headingIdx + 1, 0, block);
+    return lines.join('\n');
+  }
+  return `${content.trimEnd()}\n\n**操作时序图：**${block}`;
+}
+
 /**
  * 【核心修复】移除AI输出中错误的功能过程标题
  * AI经常在生成5.9的内容时，错误地输出5.1的标题
@@ -7385,7 +7654,7 @@ ${functionalProcesses.map((fp, idx) => `${idx + 1}. ${fp}`).join('\n')}
 请输出分类结果：`;
 
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: '你是专业的需求分析师，擅长对功能进行合理分类。你必须确保所有功能过程都被分类，不能遗漏。' },
         { role: 'user', content: prompt }
@@ -7438,7 +7707,7 @@ ${functionalProcesses.map((fp, idx) => `${idx + 1}. ${fp}`).join('\n')}
 }
 
 // 根据COSMIC数据和模板生成需求规格说明书 - 分批调用版本
-app.post('/api/cosmic-to-spec/generate', async (req, res) => {
+async function generateCosmicToSpecHandler(req, res) {
   try {
     const { cosmicData, templateId, columnMapping } = req.body;
 
@@ -7624,6 +7893,8 @@ app.post('/api/cosmic-to-spec/generate', async (req, res) => {
     })}\n\n`);
 
     let processClassification = null;
+    // 数据流图是否已作为模板中的图表章节插入
+    let dataFlowDiagramInserted = false;
     if (functionalProcesses.length > 0) {
       processClassification = await classifyFunctionalProcesses(client, functionalProcesses, templateAnalysis);
       if (processClassification) {
@@ -7831,7 +8102,7 @@ ${classifiedOverview.slice(0, 2000)}
 请直接开始输出内容：`;
 
       const chapterStream = await client.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'glm-4-flash',
+        task: 'spec',
         messages: [
           { role: 'system', content: '你是专业的需求规格说明书撰写专家。直接输出内容，不要输出章节主标题。' },
           { role: 'user', content: chapterPrompt }
@@ -8020,7 +8291,7 @@ ${classifiedOverview.slice(0, 2000)}
               // 第一阶段：深度思考分析
               const thinkingPrompt = `${USE_CASE_THINKING_PROMPT}\n\n## 系统名称\n${systemName}\n\n## 功能需求列表\n${functionsText}`;
               const thinkingResponse = await client.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'glm-4-flash',
+                task: 'spec',
                 messages: [{ role: 'user', content: thinkingPrompt }],
                 temperature: 0.5,
                 max_tokens: 3000
@@ -8032,7 +8303,7 @@ ${classifiedOverview.slice(0, 2000)}
               const generatePrompt = USE_CASE_DIAGRAM_PROMPT.replace('{THINKING_RESULT}', thinkingResult) + 
                 `\n\n## 功能列表\n${functionsText}\n\n## 系统名称\n${systemName}`;
               const generateResponse = await client.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'glm-4-flash',
+                task: 'spec',
                 messages: [{ role: 'user', content: generatePrompt }],
                 temperature: 0.3,
                 max_tokens: 3000
@@ -8085,7 +8356,7 @@ ${classifiedOverview.slice(0, 2000)}
               // 第一阶段：深度思考分析
               const thinkingPrompt = `${QUADRANT_THINKING_PROMPT}\n\n## 功能需求列表\n${functionsText}`;
               const thinkingResponse = await client.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'glm-4-flash',
+                task: 'spec',
                 messages: [{ role: 'user', content: thinkingPrompt }],
                 temperature: 0.5,
                 max_tokens: 3000
@@ -8097,7 +8368,7 @@ ${classifiedOverview.slice(0, 2000)}
               const generatePrompt = QUADRANT_DIAGRAM_PROMPT.replace('{THINKING_RESULT}', thinkingResult) + 
                 `\n\n## 功能列表\n${functionsText}`;
               const generateResponse = await client.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'glm-4-flash',
+                task: 'spec',
                 messages: [{ role: 'user', content: generatePrompt }],
                 temperature: 0.3,
                 max_tokens: 3000
@@ -8146,7 +8417,7 @@ ${classifiedOverview.slice(0, 2000)}
               // 第一阶段：深度思考分析
               const thinkingPrompt = `${ARCHITECTURE_THINKING_PROMPT}\n\n## 系统名称\n${systemName}\n\n## 功能需求列表\n${functionsText}`;
               const thinkingResponse = await client.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'glm-4-flash',
+                task: 'spec',
                 messages: [{ role: 'user', content: thinkingPrompt }],
                 temperature: 0.5,
                 max_tokens: 3000
@@ -8158,7 +8429,7 @@ ${classifiedOverview.slice(0, 2000)}
               const generatePrompt = ARCHITECTURE_DIAGRAM_PROMPT_V2.replace('{THINKING_RESULT}', thinkingResult) + 
                 `\n\n## 功能列表\n${functionsText}\n\n## 系统名称\n${systemName}`;
               const generateResponse = await client.chat.completions.create({
-                model: process.env.OPENAI_MODEL || 'glm-4-flash',
+                task: 'spec',
                 messages: [{ role: 'user', content: generatePrompt }],
                 temperature: 0.3,
                 max_tokens: 3000
@@ -8201,6 +8472,10 @@ ${classifiedOverview.slice(0, 2000)}
               }
             }
             
+          } else if (diagramTitle.includes('数据流')) {
+            console.log(`📊 [自动生成数据流图] ${diagramChapter.number} ${diagramTitle}`);
+            diagramHtml = generateCosmicDataFlowDiagram(mappedData, systemName);
+            if (diagramHtml) dataFlowDiagramInserted = true;
           } else if (diagramTitle.includes('流程图') || diagramTitle.includes('业务流程')) {
             console.log(`📊 [自动生成流程图] ${diagramChapter.number} ${diagramTitle}`);
             const sampleDataMovements = [
@@ -8215,7 +8490,7 @@ ${classifiedOverview.slice(0, 2000)}
           if (diagramHtml) {
             // 直接输出HTML图表（前端预览时渲染，导出Word时用html2canvas转图片）
             // 使用特殊标记包裹，便于前端识别和处理
-            const diagramInsert = `\n\n<!-- DIAGRAM_START:${diagramTitle} -->\n${diagramHtml}\n<!-- DIAGRAM_END -->\n\n`;
+            const diagramInsert = wrapDiagramBlock(diagramTitle, diagramHtml);
             
             fullContent += diagramInsert;
             res.write(`data: ${JSON.stringify({ content: diagramInsert })}\n\n`);
@@ -8232,6 +8507,17 @@ ${classifiedOverview.slice(0, 2000)}
     fullContent += funcChapterHeader;
     res.write(`data: ${JSON.stringify({ content: funcChapterHeader })}\n\n`);
 
+    // 模板没有数据流图章节时，在功能需求开头插入汇总全部数据组的系统数据流图
+    if (!dataFlowDiagramInserted) {
+      const systemName = processClassification?.systemName || mappedData[0]?.systemName || '系统';
+      const dataFlowHtml = generateCosmicDataFlowDiagram(mappedData, systemName);
+      if (dataFlowHtml) {
+        const dataFlowInsert = `**系统数据流图：**${wrapDiagramBlock(`${systemName} - 数据流图`, dataFlowHtml)}`;
+        fullContent += dataFlowInsert;
+        res.write(`data: ${JSON.stringify({ content: dataFlowInsert })}\n\n`);
+      }
+    }
+
     // ========== 第三阶段：按层级结构分批生成功能需求 ==========
     // 【核心修复】优先从 sections 中分析层级深度，而不是依赖可能不存在的 AI 分析结果
     const sectionsForAnalysis = savedAnalysis?.sections || templateAnalysis?.sections || templateAnalysis?.allChapters || [];
@@ -8433,10 +8719,6 @@ ${templateAnalysis.originalTemplateText.slice(0, 4000)}
           // 根据模板分析结果获取子节标题格式
           const sectionTitleFormat = processTemplate.sectionTitleFormat || '##### ';
 
-          // 检查模板是否需要时序图/流程图
-          const needsDiagram = templateAnalysis?.functionalChapter?.processTemplate?.needsDiagram ||
-            templateSections.some(s => s.includes('时序') || s.includes('流程图') || s.includes('示意图') || s.includes('交互图'));
-
           // 为每个功能过程预先输出标题（由代码控制，确保格式稳定）
           for (const item of batchItems) {
             const processNumbers = [funcChapterNum, item.subsysNum, item.moduleNum, item.processNum];
@@ -8464,9 +8746,8 @@ ${dataMovements}
 - 涉及数据组: ${dataGroups}
 - 数据属性: ${dataAttrs}`;
 
-            // 根据 COSMIC 数据生成HTML+CSS时序图（用于插入Word文档）
+            // 根据 COSMIC 数据生成HTML+CSS时序图，生成内容后由代码插入（不经过AI转述）
             const htmlSequenceDiagram = generateHTMLSequenceDiagram(rows, item.process);
-            const htmlFlowchart = generateHTMLFlowchart(rows, item.process);
 
             // ========== 【增强】执行快速深度思考 ==========
             let deepThinkingInsight = '';
@@ -8705,7 +8986,7 @@ ${writingGuidelines}
 
 `;
                 } else if (section.includes('时序') || section.includes('流程图') || section.includes('示意图') || section.includes('交互图')) {
-                  singleProcessPrompt += `${sectionTitle}\n\n${htmlSequenceDiagram}\n\n`;
+                  singleProcessPrompt += `${sectionTitle}\n\n（本子节的时序图由系统根据数据移动自动插入，只输出子节标题，不要输出图表或其他内容）\n\n`;
                 } else {
                   singleProcessPrompt += `${sectionTitle}
 
@@ -8716,11 +8997,6 @@ ${writingGuidelines}
               });
             }
 
-            // 如果模板需要图表，添加HTML时序图
-            if (needsDiagram && htmlSequenceDiagram) {
-              singleProcessPrompt += `\n\n**操作时序图：**\n\n${htmlSequenceDiagram}`;
-            }
-
             singleProcessPrompt += `\n\n## 【最终检查清单 - 输出前必须确认】
 
 ### 格式检查：
@@ -8745,7 +9021,7 @@ ${writingGuidelines}
 现在请严格按照上述要求输出内容：`;
 
             const singleStream = await client.chat.completions.create({
-              model: process.env.OPENAI_MODEL || 'glm-4-flash',
+              task: 'spec',
               messages: [
                 { role: 'system', content: COSMIC_FUNCTION_ANALYSIS_PROMPT },
                 { role: 'user', content: singleProcessPrompt }
@@ -8825,6 +9101,9 @@ ${writingGuidelines}
               cleanedContent = fixSubSectionNumbers(cleanedContent, fullNum, '.', finalSections);
             }
             
+            // 插入由数据移动生成的时序图
+            cleanedContent = insertProcessSequenceDiagram(cleanedContent, item.process, htmlSequenceDiagram);
+
             // 输出清理后的内容
             if (cleanedContent.trim()) {
               fullContent += cleanedContent;
@@ -9079,7 +9358,7 @@ ${sectionsPrompt}
 现在请严格按照上述要求输出内容：`;
 
         const singleStream = await client.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'glm-4-flash',
+          task: 'spec',
           messages: [
             { role: 'system', content: COSMIC_FUNCTION_ANALYSIS_PROMPT },
             { role: 'user', content: singleProcessPrompt }
@@ -9307,6 +9586,9 @@ ${sectionsPrompt}
           console.log(`[警告] 功能 ${fullNum} ${processName} 的子节数量(${finalSubSectionCount})小于期望(${finalSectionsForSimple.length})`);
         }
         
+        // 插入由数据移动生成的时序图
+        cleanedContent = insertProcessSequenceDiagram(cleanedContent, processName, generateHTMLSequenceDiagram(rows, processName));
+
         // 输出清理后的内容
         if (cleanedContent.trim()) {
           fullContent += cleanedContent;
@@ -9404,7 +9686,7 @@ ${processListForFooter}
 请生成后置章节：`;
 
     const footerStream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: '你是专业的需求规格说明书撰写专家。' },
         { role: 'user', content: footerPrompt }
@@ -9440,7 +9722,8 @@ ${processListForFooter}
     res.write(`data: ${JSON.stringify({ error: '生成失败: ' + error.message })}\n\n`);
     res.end();
   }
-});
+}
+app.post('/api/cosmic-to-spec/generate', abortOnDisconnect(generateCosmicToSpecHandler));
 
 // 按章节深度生成需求规格说明书
 app.post('/api/cosmic-to-spec/generate-chapter', async (req, res) => {
@@ -9544,7 +9827,7 @@ ${previousContent ? previousContent.slice(-3000) : '（这是第一章）'}
 请开始生成第${currentChapter.number}章：`;
 
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: COSMIC_TO_SPEC_SYSTEM_PROMPT },
         { role: 'user', content: chapterPrompt }
@@ -9582,7 +9865,7 @@ ${previousContent ? previousContent.slice(-3000) : '（这是第一章）'}
   }
 });
 
-// 导出需求规格说明书为Word - 使用纯HTML格式
+// 导出需求规格说明书为Word - 选择了 .docx 模板时写入模板，否则使用纯HTML格式
 app.post('/api/cosmic-to-spec/export-word', async (req, res) => {
   try {
     const { content, filename, templateId } = req.body;
@@ -9596,8 +9879,14 @@ app.post('/api/cosmic-to-spec/export-word', async (req, res) => {
       return res.status(400).json({ error: '没有可导出的内容' });
     }
 
+    const templatePath = resolveDocxTemplatePath(templateId);
+    const contentWithDiagrams = await embedDiagramsForWord(content);
+    if (templatePath) {
+      return sendDocxFromTemplate(res, templatePath, normalizeHeadingLevels(contentWithDiagrams), { filename });
+    }
+
     // 构建完整的HTML内容
-    let htmlBody = convertMarkdownToWordHtml(content);
+    let htmlBody = convertMarkdownToWordHtml(contentWithDiagrams);
 
     console.log('转换后HTML长度:', htmlBody.length);
     console.log('转换后HTML前500字符:', htmlBody.substring(0, 500));
@@ -9807,6 +10096,38 @@ ${htmlBody}
   }
 });
 
+// 发送PDF文件
+function sendPdf(res, buffer, filename) {
+  const safeFilename = filename.replace(/[<>:"/\\|?*]/g, '_');
+  res.setHeader('Content-Type', PDF_MIME);
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(safeFilename)}.pdf`);
+  res.send(buffer);
+}
+
+// 导出需求规格说明书为PDF - 封面、页码、按标题层级的书签，图表内嵌
+app.post('/api/cosmic-to-spec/export-pdf', async (req, res) => {
+  try {
+    const { content, filename, title, projectName } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: '没有可导出的内容' });
+    }
+
+    const { markdown, restore } = extractEmbeddedDiagrams(normalizeHeadingLevels(content));
+    const htmlBody = restore(convertMarkdownToWordHtml(markdown));
+    const docTitle = title || filename || '需求规格说明书';
+    const buffer = await renderSpecPdf(htmlBody, {
+      title: docTitle,
+      subtitle: projectName || '',
+      info: [['文档类型', '软件需求规格说明书']]
+    });
+    sendPdf(res, buffer, filename || docTitle);
+  } catch (error) {
+    console.error('导出PDF失败:', error);
+    res.status(500).json({ error: '导出PDF失败: ' + error.message });
+  }
+});
+
 // 【新增】根据章节编号修正标题层级
 function normalizeHeadingLevels(markdown) {
   const lines = markdown.split('\n');
@@ -9871,11 +10192,12 @@ function convertMarkdownToWordHtml(markdown) {
 
   // 处理Markdown图片语法 ![alt](dataUrl) - 支持base64
   let imgCount = 0;
-  html = html.replace(/!\[([^\]]*)\]\((data:image\/[^)]+)\)/g, (match, alt, dataUrl) => {
+  html = html.replace(/!\[([^\]]*)\]\((data:image\/[^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, dataUrl, payload) => {
     imgCount++;
+    const altText = payload ? diagramAltText(alt, payload) : (alt || '图片' + imgCount);
     return `
 <div style="text-align:center;margin:20pt 0;page-break-inside:avoid;">
-  <img src="${dataUrl}" alt="${alt || '图片' + imgCount}" style="max-width:500px;width:90%;height:auto;border:1px solid #ddd;"/>
+  <img src="${dataUrl}" alt="${altText}" style="max-width:500px;width:90%;height:auto;border:1px solid #ddd;"/>
   <p style="font-size:10pt;color:#666;margin-top:8pt;">${alt || '图 ' + imgCount}</p>
 </div>`;
   });
@@ -10001,29 +10323,13 @@ function convertMarkdownToWordHtml(markdown) {
 
 // 深度解析需求文档 - 提取功能需求、业务规则、数据需求等
 async function parseRequirementDocument(buffer, fileExtension = '.docx') {
-  let text = '';
-  let images = [];
+  // 统一解析（.docx 同时提取图片，PDF/PPTX 记录页码）
+  const { text, images, format, formatLabel, sections: parsedSections, pages } = await extractDocument(buffer, `requirement${fileExtension}`, { html: false });
+  console.log(`解析需求文档成功（${formatLabel}），提取文本长度: ${text.length}, 图片数: ${images.length}`);
 
-  if (fileExtension === '.doc') {
-    try {
-      const extracted = await wordExtractor.extract(buffer);
-      text = extracted.getBody() || '';
-      console.log(`解析 .doc 需求文档成功，提取文本长度: ${text.length}`);
-    } catch (e) {
-      console.error('word-extractor 解析失败:', e.message);
-      throw new Error('无法解析 .doc 文件，请尝试转换为 .docx 格式');
-    }
-  } else {
-    const result = await mammoth.extractRawText({ buffer });
-    text = result.value;
-    // 提取图片
-    images = await extractImagesFromDocx(buffer);
-    console.log(`解析 .docx 需求文档成功，提取文本长度: ${text.length}, 图片数: ${images.length}`);
-  }
-
-  // 分析文档结构
-  const lines = text.split('\n');
-  const sections = [];
+  // 分析文档结构（PPTX 幻灯片、XLSX 功能清单在解析时已分好章节，不再按编号标题识别）
+  const lines = parsedSections ? [] : text.split('\n');
+  const sections = parsedSections ? [...parsedSections] : [];
   const sectionContents = new Map();
   let currentSection = null;
   let currentContent = [];
@@ -10133,10 +10439,13 @@ async function parseRequirementDocument(buffer, fileExtension = '.docx') {
     sectionContents.set(currentSection.number, currentContent.join('\n').trim());
   }
 
-  // 为每个章节添加内容
+  // 为每个章节添加内容，PDF/PPTX 标注章节起始页码
   sections.forEach(section => {
-    section.content = sectionContents.get(section.number) || '';
+    section.content = section.content ?? (sectionContents.get(section.number) || '');
     section.contentLength = section.content.length;
+    if (pages) {
+      section.page = pageOfLine(pages, section.lineIndex);
+    }
   });
 
   // 提取功能需求列表
@@ -10223,6 +10532,8 @@ async function parseRequirementDocument(buffer, fileExtension = '.docx') {
 
   return {
     fullText: text,
+    format,
+    pageCount: pages ? pages.length : undefined,
     sections,
     sectionCount: sections.length,
     functionalRequirements,
@@ -10327,7 +10638,7 @@ ${sections.slice(0, 50).map(s => `${'  '.repeat(s.level - 1)}[${s.number}] ${s.t
 4. 识别**功能需求章节**的位置`;
 
     const phase1Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'document-analysis',
       messages: [
         {
           role: 'system',
@@ -10429,7 +10740,7 @@ ${functionalContent.slice(0, 25000)}
 4. 识别功能的**输入输出数据**`;
 
     const phase2Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'document-analysis',
       messages: [
         {
           role: 'system',
@@ -10528,7 +10839,7 @@ ${documentText.slice(0, 20000)}
 3. 分析**数据流向**和**集成点**`;
 
     const phase3Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'document-analysis',
       messages: [
         {
           role: 'system',
@@ -10644,7 +10955,7 @@ ${documentText.slice(0, 20000)}
 3. 提取**约束条件**和**假设**`;
 
     const phase4Response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'document-analysis',
       messages: [
         {
           role: 'system',
@@ -10857,7 +11168,7 @@ ${sections.slice(0, 30).map(s => `${'  '.repeat(s.level - 1)}${s.number} ${s.tit
 
   try {
     const completion = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'document-analysis',
       messages: [
         { role: 'system', content: '你是专业的需求分析专家，擅长从文档中提取结构化信息。只返回JSON格式的结果。' },
         { role: 'user', content: prompt }
@@ -10878,16 +11189,19 @@ ${sections.slice(0, 30).map(s => `${'  '.repeat(s.level - 1)}${s.number} ${s.tit
   }
 }
 
-// 上传并解析需求文档（Word格式）- 流式深度分析
+// 需求文档支持的格式：Word、PDF 招标文件、PPT 方案、Excel 功能清单
+const REQUIREMENT_DOC_EXTENSIONS = ['.docx', '.doc', '.pdf', '.pptx', '.xlsx'];
+
+// 上传并解析需求文档（Word/PDF/PPTX/XLSX）- 流式深度分析
 app.post('/api/cosmic-to-spec/parse-requirement-doc', uploadMultiple.single('file'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ error: '请上传Word需求文档' });
+      return res.status(400).json({ error: '请上传需求文档' });
     }
 
     const ext = path.extname(req.file.originalname).toLowerCase();
-    if (ext !== '.docx' && ext !== '.doc') {
-      return res.status(400).json({ error: '请上传Word文档（.docx或.doc格式）' });
+    if (!REQUIREMENT_DOC_EXTENSIONS.includes(ext)) {
+      return res.status(400).json({ error: `请上传需求文档（${REQUIREMENT_DOC_EXTENSIONS.join('、')} 格式）` });
     }
 
     console.log(`解析需求文档: ${req.file.originalname}, 大小: ${req.file.size} bytes`);
@@ -10897,6 +11211,8 @@ app.post('/api/cosmic-to-spec/parse-requirement-doc', uploadMultiple.single('fil
 
     // 深度解析文档
     const result = await parseRequirementDocument(req.file.buffer, ext);
+    // 提供 sessionId 时同时加入该会话的文档问答索引
+    result.qaDocument = indexForDocumentQA(req.body.sessionId, req.file.originalname, result.fullText);
 
     // 如果使用流式响应
     if (useStream) {
@@ -11066,7 +11382,7 @@ ${acceptanceCriteria ? JSON.stringify(acceptanceCriteria) : '无'}
 
   try {
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'deep-thinking',
       messages: [
         { role: 'system', content: '你是资深业务分析师，擅长深度分析功能需求并提取关键信息。请输出JSON格式。' },
         { role: 'user', content: prompt }
@@ -11091,7 +11407,7 @@ ${acceptanceCriteria ? JSON.stringify(acceptanceCriteria) : '无'}
 }
 
 // 根据需求文档和模板生成需求规格说明书 - 增强版：与Excel模式一致的模板驱动
-app.post('/api/cosmic-to-spec/generate-from-doc', async (req, res) => {
+async function generateCosmicToSpecFromDocHandler(req, res) {
   try {
     const { requirementDoc, templateId } = req.body;
 
@@ -11369,7 +11685,7 @@ ${functionalOverview.slice(0, 2000)}
 请直接开始输出内容：`;
 
       const chapterStream = await client.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'glm-4-flash',
+        task: 'spec',
         messages: [
           { role: 'system', content: '你是专业的需求规格说明书撰写专家。直接输出内容，不要输出章节主标题。' },
           { role: 'user', content: chapterPrompt }
@@ -11605,7 +11921,7 @@ ${sectionsDescription}
 请直接开始输出，不要有任何解释或说明：`;
 
       const functionStream = await client.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'glm-4-flash',
+        task: 'spec',
         messages: [
           { role: 'system', content: REQUIREMENT_SPEC_SYSTEM_PROMPT },
           { role: 'user', content: functionPrompt }
@@ -11713,7 +12029,7 @@ ${footerChaptersList || '6. 系统需求\n7. 附录'}
 请开始生成：`;
 
     const footerStream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'spec',
       messages: [
         { role: 'system', content: '你是专业的需求规格说明书撰写专家。' },
         { role: 'user', content: footerPrompt }
@@ -11741,7 +12057,8 @@ ${footerChaptersList || '6. 系统需求\n7. 附录'}
     res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
     res.end();
   }
-});
+}
+app.post('/api/cosmic-to-spec/generate-from-doc', abortOnDisconnect(generateCosmicToSpecFromDocHandler));
 
 // ==================== 深度理解系统 API 端点 ====================
 
@@ -11806,13 +12123,7 @@ app.post('/api/deep-analyze-template', async (req, res) => {
     let templateText = '';
     let templateSections = [];
 
-    if (ext === '.doc') {
-      const extracted = await wordExtractor.extract(buffer);
-      templateText = extracted.getBody() || '';
-    } else {
-      const result = await mammoth.extractRawText({ buffer });
-      templateText = result.value;
-    }
+    templateText = await extractText(buffer, templateDocPath);
 
     // 提取章节结构（从已有的metadata或重新解析）
     if (templateMeta.sections && templateMeta.sections.length > 0) {
@@ -12080,20 +12391,14 @@ app.post('/api/review/full', upload.single('file'), handleMulterError, async (re
 
     let requirementDoc = '';
 
-    // 支持文件上传或直接传入文本
+    // 支持文件上传、已上传文档ID或直接传入文本
     if (req.file) {
-      const ext = path.extname(req.file.originalname).toLowerCase();
-      if (ext === '.docx') {
-        const result = await mammoth.extractRawText({ buffer: req.file.buffer });
-        requirementDoc = result.value;
-      } else if (ext === '.doc') {
-        const extracted = await wordExtractor.extract(req.file.buffer);
-        requirementDoc = extracted.getBody();
-      } else if (ext === '.txt' || ext === '.md') {
-        requirementDoc = req.file.buffer.toString('utf-8');
+      requirementDoc = await extractText(req.file.buffer, req.file.originalname);
+    } else {
+      requirementDoc = resolveDocumentText(req.body.documentId, req.body.content);
+      if (requirementDoc === null) {
+        return res.status(404).json({ error: '文档不存在' });
       }
-    } else if (req.body.content) {
-      requirementDoc = req.body.content;
     }
 
     if (!requirementDoc || requirementDoc.trim().length < 100) {
@@ -12159,18 +12464,12 @@ app.post('/api/review/quick', upload.single('file'), handleMulterError, async (r
     let requirementDoc = '';
 
     if (req.file) {
-      const ext = path.extname(req.file.originalname).toLowerCase();
-      if (ext === '.docx') {
-        const result = await mammoth.extractRawText({ buffer: req.file.buffer });
-        requirementDoc = result.value;
-      } else if (ext === '.doc') {
-        const extracted = await wordExtractor.extract(req.file.buffer);
-        requirementDoc = extracted.getBody();
-      } else if (ext === '.txt' || ext === '.md') {
-        requirementDoc = req.file.buffer.toString('utf-8');
+      requirementDoc = await extractText(req.file.buffer, req.file.originalname);
+    } else {
+      requirementDoc = resolveDocumentText(req.body.documentId, req.body.content);
+      if (requirementDoc === null) {
+        return res.status(404).json({ error: '文档不存在' });
       }
-    } else if (req.body.content) {
-      requirementDoc = req.body.content;
     }
 
     if (!requirementDoc || requirementDoc.trim().length < 50) {
@@ -12207,37 +12506,22 @@ app.post('/api/review/compare', upload.fields([
     // 解析旧版本文档
     if (req.files?.oldFile?.[0]) {
       const file = req.files.oldFile[0];
-      const ext = path.extname(file.originalname).toLowerCase();
-      if (ext === '.docx') {
-        const result = await mammoth.extractRawText({ buffer: file.buffer });
-        oldDoc = result.value;
-      } else if (ext === '.doc') {
-        const extracted = await wordExtractor.extract(file.buffer);
-        oldDoc = extracted.getBody();
-      } else {
-        oldDoc = file.buffer.toString('utf-8');
-      }
-    } else if (req.body.oldContent) {
-      oldDoc = req.body.oldContent;
+      oldDoc = await extractText(file.buffer, file.originalname);
+    } else {
+      oldDoc = resolveDocumentText(req.body.oldDocumentId, req.body.oldContent);
     }
 
     // 解析新版本文档
     if (req.files?.newFile?.[0]) {
       const file = req.files.newFile[0];
-      const ext = path.extname(file.originalname).toLowerCase();
-      if (ext === '.docx') {
-        const result = await mammoth.extractRawText({ buffer: file.buffer });
-        newDoc = result.value;
-      } else if (ext === '.doc') {
-        const extracted = await wordExtractor.extract(file.buffer);
-        newDoc = extracted.getBody();
-      } else {
-        newDoc = file.buffer.toString('utf-8');
-      }
-    } else if (req.body.newContent) {
-      newDoc = req.body.newContent;
+      newDoc = await extractText(file.buffer, file.originalname);
+    } else {
+      newDoc = resolveDocumentText(req.body.newDocumentId, req.body.newContent);
     }
 
+    if (oldDoc === null || newDoc === null) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
     if (!oldDoc || !newDoc) {
       return res.status(400).json({ error: '请提供两个版本的需求文档' });
     }
@@ -12251,6 +12535,27 @@ app.post('/api/review/compare', upload.fields([
   }
 });
 
+/**
+ * API: 导出评审报告为PDF
+ * POST /api/review/export-pdf
+ * Body: { report: /api/review/full 返回的评审报告, documentName, filename }
+ */
+app.post('/api/review/export-pdf', async (req, res) => {
+  try {
+    const { report, documentName, filename } = req.body;
+
+    if (!report || !report.summary) {
+      return res.status(400).json({ error: '请提供评审报告' });
+    }
+
+    const buffer = await renderReviewPdf(report, { documentName: documentName || '' });
+    sendPdf(res, buffer, filename || `需求评审报告_${new Date().toISOString().slice(0, 10)}`);
+  } catch (error) {
+    console.error('导出评审报告PDF失败:', error);
+    res.status(500).json({ error: '导出评审报告PDF失败: ' + error.message });
+  }
+});
+
 /**
  * API: 获取评审维度信息
  * GET /api/review/dimensions
@@ -12375,9 +12680,116 @@ app.post('/api/chat/clear', (req, res) => {
  * GET /api/chat/history/:sessionId
  */
 app.get('/api/chat/history/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  const history = selfAI.getHistory(sessionId);
-  res.json({ messages: history });
+  try {
+    const { sessionId } = req.params;
+    const history = selfAI.getHistory(sessionId);
+    res.json({ messages: history });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * API: 历史会话列表（按最近活跃排序）
+ * GET /api/chat/sessions?q=关键词&agent=selfAI
+ */
+app.get('/api/chat/sessions', (req, res) => {
+  try {
+    const { q, agent } = req.query;
+    res.json({ success: true, sessions: chatStore.listSessions({ query: q, agent }) });
+  } catch (error) {
+    console.error('获取会话列表失败:', error);
+    res.status(500).json({ error: '获取会话列表失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 全文搜索历史消息
+ * GET /api/chat/search?q=关键词&limit=50
+ */
+app.get('/api/chat/search', (req, res) => {
+  try {
+    const { q, agent, limit } = req.query;
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: '请提供搜索关键词' });
+    }
+    const results = chatStore.search(q, { agent, limit: Math.min(parseInt(limit, 10) || 50, 200) });
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('搜索会话失败:', error);
+    res.status(500).json({ error: '搜索会话失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 获取会话详情（含完整消息）
+ * GET /api/chat/sessions/:sessionId
+ */
+app.get('/api/chat/sessions/:sessionId', (req, res) => {
+  try {
+    const session = chatStore.getSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: '会话不存在' });
+    }
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('获取会话失败:', error);
+    res.status(500).json({ error: '获取会话失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 重命名会话（标题为空时恢复为第一条用户消息）
+ * PUT /api/chat/sessions/:sessionId
+ * Body: { title }
+ */
+app.put('/api/chat/sessions/:sessionId', (req, res) => {
+  try {
+    const session = chatStore.renameSession(req.params.sessionId, req.body.title);
+    if (!session) {
+      return res.status(404).json({ error: '会话不存在' });
+    }
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('重命名会话失败:', error);
+    res.status(500).json({ error: '重命名会话失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 删除会话
+ * DELETE /api/chat/sessions/:sessionId
+ */
+app.delete('/api/chat/sessions/:sessionId', (req, res) => {
+  try {
+    if (!selfAI.deleteSession(req.params.sessionId)) {
+      return res.status(404).json({ error: '会话不存在' });
+    }
+    res.json({ success: true, message: '会话已删除' });
+  } catch (error) {
+    console.error('删除会话失败:', error);
+    res.status(500).json({ error: '删除会话失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 导出会话
+ * GET /api/chat/sessions/:sessionId/export?format=markdown|json
+ */
+app.get('/api/chat/sessions/:sessionId/export', (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'markdown';
+    const exported = chatStore.exportSession(req.params.sessionId, format);
+    if (!exported) {
+      return res.status(404).json({ error: '会话不存在' });
+    }
+    res.setHeader('Content-Type', exported.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(exported.filename)}`);
+    res.send(exported.content);
+  } catch (error) {
+    console.error('导出会话失败:', error);
+    res.status(500).json({ error: '导出会话失败: ' + error.message });
+  }
 });
 
 /**
@@ -12392,17 +12804,478 @@ app.get('/api/chat/info', (req, res) => {
     features: [
       'NLU引擎 - 意图识别、实体提取、情感分析',
       '对话管理 - 多轮对话、上下文记忆、状态机',
-      '知识库 - 编程知识、技术框架、通用知识',
+      '知识库 - TF-IDF 向量检索，支持导入 Markdown/JSON 知识文件',
       'NLG引擎 - 模板生成、动态回复',
-      '技能系统 - 计算器、代码生成、日期时间'
+      '技能系统 - 计算器、代码生成、日期时间、COSMIC度量（本地计算CFP并检查拆分规则）'
     ],
-    knowledgeCategories: selfAI.kb.getCategories()
+    knowledgeCategories: selfAI.kb.getCategories(),
+    knowledgeCount: selfAI.kb.knowledge.size
   });
 });
 
+/**
+ * API: 批量导入自研AI知识
+ * POST /api/chat/knowledge/import
+ * multipart: files（.md/.txt/.json，可多个），category（可选，默认取文件名）
+ * JSON: { content, format: 'markdown' | 'json', category, source }
+ * 同一来源（文件名或 source）重复导入时替换之前导入的条目；导入结果保存到 knowledge/imported/，重启后自动加载
+ * 与 /api/chat/admin 相同需要管理权限；builtin、admin 和知识目录中的文件名为保留来源，不能导入
+ */
+app.post('/api/chat/knowledge/import', requireSelfAIAdmin, uploadKnowledge.array('files', 20), handleMulterError, (req, res) => {
+  try {
+    const { category } = req.body;
+    const results = [];
+
+    const sources = req.files && req.files.length > 0 ? req.files.map(file => file.originalname) : [req.body.source];
+    const reserved = sources.filter(source => source && selfAI.kb.isReservedSource(source));
+    if (reserved.length > 0) {
+      return res.status(400).json({ error: `来源 ${reserved.join('、')} 为内置知识、管理端配置或知识目录文件保留，请更换文件名或 source` });
+    }
+
+    if (req.files && req.files.length > 0) {
+      req.files.forEach(file => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        const result = selfAI.importKnowledge(file.buffer.toString('utf-8'), ext === '.json' ? 'json' : 'markdown', {
+          category: category || path.basename(file.originalname, ext),
+          source: file.originalname,
+          persist: true
+        });
+        results.push({ source: file.originalname, ...result });
+      });
+    } else {
+      const { content, format = 'markdown', source } = req.body;
+      if (!content || !String(content).trim()) {
+        return res.status(400).json({ error: '请上传知识文件或提供 content' });
+      }
+      if (!['markdown', 'json'].includes(format)) {
+        return res.status(400).json({ error: `不支持的格式: ${format}，可选 markdown 或 json` });
+      }
+      const result = selfAI.importKnowledge(content, format, { category: category || 'custom', source: source || undefined, persist: true });
+      results.push(result);
+    }
+
+    res.json({
+      success: true,
+      results,
+      imported: results.reduce((sum, r) => sum + r.imported, 0),
+      total: selfAI.kb.knowledge.size,
+      categories: selfAI.kb.getCategories()
+    });
+  } catch (error) {
+    console.error('导入知识失败:', error);
+    res.status(500).json({ error: '导入知识失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 检索自研AI知识库
+ * GET /api/chat/knowledge/search?q=关键词&category=cosmic&topK=5
+ */
+app.get('/api/chat/knowledge/search', (req, res) => {
+  try {
+    const { q, category, topK } = req.query;
+    if (!q) {
+      return res.status(400).json({ error: '请提供检索关键词 q' });
+    }
+    const results = selfAI.kb.search(q, { category, topK: Math.min(parseInt(topK, 10) || 5, 20) })
+      .map(({ id, category: entryCategory, question, answer, keywords, source, score }) => ({
+        id, category: entryCategory, question, answer, keywords, source, score: Math.round(score * 1000) / 1000
+      }));
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('检索知识失败:', error);
+    res.status(500).json({ error: '检索知识失败: ' + error.message });
+  }
+});
+
+// ==================== 自研AI管理 API ====================
+
+// 管理接口鉴权：配置 SELFAI_ADMIN_TOKEN 后需在 X-Admin-Token 或 Authorization: Bearer 中携带令牌；
+// 未配置时只允许本机访问
+const SELFAI_ADMIN_TOKEN = process.env.SELFAI_ADMIN_TOKEN || '';
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function requireSelfAIAdmin(req, res, next) {
+  if (!SELFAI_ADMIN_TOKEN) {
+    if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) return next();
+    return res.status(403).json({ error: '未配置 SELFAI_ADMIN_TOKEN 时管理接口只允许本机访问' });
+  }
+  const token = req.get('x-admin-token') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const expected = Buffer.from(SELFAI_ADMIN_TOKEN);
+  const actual = Buffer.from(token);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({ error: '管理令牌无效' });
+  }
+  next();
+}
+
+app.use('/api/chat/admin', requireSelfAIAdmin);
+
+// 配置校验失败返回 400，其余返回 500
+function sendSelfAIConfigError(res, error, action) {
+  if (error.code === 'INVALID_CONFIG') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${action}失败:`, error);
+  res.status(500).json({ error: `${action}失败: ` + error.message });
+}
+
+/**
+ * API: 获取当前生效的自研AI配置
+ * GET /api/chat/admin/config
+ */
+app.get('/api/chat/admin/config', (req, res) => {
+  try {
+    res.json({ success: true, config: selfAI.describeConfig() });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '获取配置');
+  }
+});
+
+/**
+ * API: 从配置文件重新加载（手动修改配置文件后使用）
+ * POST /api/chat/admin/reload
+ */
+app.post('/api/chat/admin/reload', (req, res) => {
+  try {
+    selfAIConfig.load();
+    selfAI.reloadConfig();
+    res.json({ success: true, config: selfAI.describeConfig() });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '重新加载配置');
+  }
+});
+
+/**
+ * API: 导出配置包
+ * GET /api/chat/admin/export
+ */
+app.get('/api/chat/admin/export', (req, res) => {
+  try {
+    const bundle = selfAIConfig.exportBundle();
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="selfai-config-${bundle.exportedAt.slice(0, 10)}.json"`);
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '导出配置');
+  }
+});
+
+/**
+ * API: 导入配置包
+ * POST /api/chat/admin/import
+ * Body: { bundle, mode: 'merge' | 'replace' }，也可以直接提交配置包
+ */
+app.post('/api/chat/admin/import', (req, res) => {
+  try {
+    const bundle = req.body.bundle || req.body;
+    const mode = req.body.mode === 'replace' ? 'replace' : 'merge';
+    const counts = selfAIConfig.importBundle(bundle, mode);
+    selfAI.reloadConfig();
+    res.json({ success: true, mode, counts, config: selfAI.describeConfig() });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '导入配置');
+  }
+});
+
+/**
+ * API: 启用/停用技能
+ * PUT /api/chat/admin/skills/:name
+ * Body: { enabled: boolean }
+ */
+app.put('/api/chat/admin/skills/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!selfAI.skills.skills.has(name)) {
+      return res.status(404).json({ error: `未找到技能: ${name}` });
+    }
+    selfAIConfig.setSkillEnabled(name, req.body.enabled !== false);
+    selfAI.reloadConfig();
+    res.json({ success: true, skills: selfAI.skills.list() });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '更新技能');
+  }
+});
+
+/**
+ * API: 管理端知识条目（内置知识和知识文件导入的条目只读）
+ * GET    /api/chat/admin/knowledge
+ * POST   /api/chat/admin/knowledge       Body: { category, question, answer, keywords }
+ * PUT    /api/chat/admin/knowledge/:id
+ * DELETE /api/chat/admin/knowledge/:id
+ */
+app.get('/api/chat/admin/knowledge', (req, res) => {
+  res.json({ success: true, entries: selfAIConfig.data.knowledge });
+});
+
+app.post('/api/chat/admin/knowledge', (req, res) => {
+  try {
+    const entry = selfAIConfig.addKnowledge(req.body);
+    selfAI.reloadConfig();
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '添加知识');
+  }
+});
+
+app.put('/api/chat/admin/knowledge/:id', (req, res) => {
+  try {
+    const entry = selfAIConfig.updateKnowledge(req.params.id, req.body);
+    if (!entry) {
+      return res.status(404).json({ error: '知识条目不存在' });
+    }
+    selfAI.reloadConfig();
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '更新知识');
+  }
+});
+
+app.delete('/api/chat/admin/knowledge/:id', (req, res) => {
+  try {
+    if (!selfAIConfig.removeKnowledge(req.params.id)) {
+      return res.status(404).json({ error: '知识条目不存在' });
+    }
+    selfAI.reloadConfig();
+    res.json({ success: true });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '删除知识');
+  }
+});
+
+/**
+ * API: 意图、实体、同义词、回复模板的增删改查
+ * GET    /api/chat/admin/:section               section: intents | entities | synonyms | templates
+ * PUT    /api/chat/admin/:section/:key          新增或替换（同名内置条目被覆盖）
+ * DELETE /api/chat/admin/:section/:key          删除；?reset=true 撤销修改、恢复内置条目
+ *
+ * 意图: { patterns: ['/正则/i'], priority, keywords, responses }
+ * 实体: { patterns: ['/正则/'], values: { 别名: 标准值 } }
+ * 同义词: ['同义词1', '同义词2']
+ * 模板: '回复' | ['回复1', '回复2']
+ */
+app.get('/api/chat/admin/:section', (req, res) => {
+  const { section } = req.params;
+  if (!SelfAIConfigManager.SECTIONS.includes(section)) {
+    return res.status(404).json({ error: `未知的配置类型: ${section}` });
+  }
+  res.json({ success: true, [section]: selfAI.describeConfig()[section] });
+});
+
+app.put('/api/chat/admin/:section/:key', (req, res) => {
+  try {
+    const { section, key } = req.params;
+    const value = selfAIConfig.set(section, key, req.body);
+    selfAI.reloadConfig();
+    res.json({ success: true, section, key, value });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '保存配置');
+  }
+});
+
+app.delete('/api/chat/admin/:section/:key', (req, res) => {
+  try {
+    const { section, key } = req.params;
+    if (req.query.reset === 'true') {
+      if (!selfAIConfig.reset(section, key)) {
+        return res.status(404).json({ error: `${key} 没有修改记录` });
+      }
+    } else {
+      selfAIConfig.remove(section, key);
+    }
+    selfAI.reloadConfig();
+    res.json({ success: true, section, key });
+  } catch (error) {
+    sendSelfAIConfigError(res, error, '删除配置');
+  }
+});
+
 // ==================== 智器云自研AI智能体 API 结束 ====================
 
 
+// ==================== 文档问答（检索增强）API ====================
+
+const DOCUMENT_QA_SYSTEM_PROMPT = `你是需求文档问答助手。用户的问题只能依据检索到的需求文档片段回答，不要编造文档中没有的功能、数据或数值。`;
+
+/**
+ * 把解析后的文档加入会话的问答索引（未提供 sessionId 时不索引）
+ * @returns {Object|undefined|null} 文档摘要；未提供 sessionId 时为 undefined，索引失败时为 null
+ */
+function indexForDocumentQA(sessionId, name, text) {
+  if (!sessionId) return undefined;
+  try {
+    return documentIndex.addDocument(sessionId, { name, content: text });
+  } catch (error) {
+    console.warn('文档加入问答索引失败:', error.message);
+    return null;
+  }
+}
+
+// 检索片段的来源说明，附在保存的回答后面，导出历史时保留引用
+function formatSourcesFootnote(passages) {
+  return passages.length > 0
+    ? `\n\n> 检索片段：${passages.map((p, i) => `[${i + 1}] 《${p.docName}》 ${p.headingPath}`).join('；')}`
+    : '';
+}
+
+/**
+ * API: 向会话添加文档（也可在 /api/parse-word、/api/cosmic-to-spec/parse-requirement-doc 上传时携带 sessionId 自动添加）
+ * POST /api/docqa/documents
+ * Body: { sessionId, name, content } 或 { sessionId, documentId }（引用已上传的文档）
+ */
+app.post('/api/docqa/documents', (req, res) => {
+  try {
+    const { sessionId, documentId } = req.body;
+    const stored = documentId ? documentStore.getDocument(documentId) : null;
+    if (documentId && !stored) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+    const name = stored ? stored.filename : req.body.name;
+    const content = stored ? stored.text : req.body.content;
+    if (!sessionId || !content) {
+      return res.status(400).json({ error: '请提供会话ID和文档内容' });
+    }
+    const document = documentIndex.addDocument(sessionId, { name, content });
+    res.json({ success: true, document, documents: documentIndex.listDocuments(sessionId) });
+  } catch (error) {
+    console.error('添加问答文档失败:', error);
+    res.status(500).json({ error: '添加问答文档失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 会话中已索引的文档
+ * GET /api/docqa/documents?sessionId=xxx
+ */
+app.get('/api/docqa/documents', (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    if (!sessionId) {
+      return res.status(400).json({ error: '请提供会话ID' });
+    }
+    res.json({ success: true, documents: documentIndex.listDocuments(sessionId) });
+  } catch (error) {
+    console.error('获取问答文档失败:', error);
+    res.status(500).json({ error: '获取问答文档失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 从会话中移除文档
+ * DELETE /api/docqa/documents/:docId?sessionId=xxx
+ */
+app.delete('/api/docqa/documents/:docId', (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    if (!sessionId) {
+      return res.status(400).json({ error: '请提供会话ID' });
+    }
+    if (!documentIndex.removeDocument(sessionId, req.params.docId)) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+    res.json({ success: true, documents: documentIndex.listDocuments(sessionId) });
+  } catch (error) {
+    console.error('移除问答文档失败:', error);
+    res.status(500).json({ error: '移除问答文档失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 检索相关段落（不调用模型）
+ * POST /api/docqa/search
+ * Body: { sessionId, query, topK, docIds }
+ */
+app.post('/api/docqa/search', (req, res) => {
+  try {
+    const { sessionId, query, topK, docIds } = req.body;
+    if (!sessionId || !query) {
+      return res.status(400).json({ error: '请提供会话ID和检索内容' });
+    }
+    res.json({ success: true, passages: documentIndex.search(sessionId, query, { topK, docIds }) });
+  } catch (error) {
+    console.error('检索文档失败:', error);
+    res.status(500).json({ error: '检索文档失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 文档问答（SSE）
+ * POST /api/docqa/ask
+ * Body: { sessionId, question, topK, docIds }
+ * 先发送 { type: 'sources', sources } 检索片段，再流式发送回答；未配置模型时直接返回最相关的原文片段
+ * 问答记录写入会话历史（/api/chat/sessions）
+ */
+app.post('/api/docqa/ask', abortOnDisconnect(async (req, res) => {
+  try {
+    const { sessionId, question, topK = 6, docIds } = req.body;
+    if (!sessionId || !question) {
+      return res.status(400).json({ error: '请提供会话ID和问题' });
+    }
+    if (documentIndex.listDocuments(sessionId).length === 0) {
+      return res.status(400).json({ error: '当前会话还没有上传文档' });
+    }
+
+    const passages = documentIndex.search(sessionId, question, { topK, docIds });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.write(`data: ${JSON.stringify({ type: 'sources', sources: passages })}\n\n`);
+
+    // 多轮问答：带上本会话最近几轮问答作为上下文
+    // 只取文档问答自己的消息，同一会话中的智器云助手消息不作为上下文
+    const previous = messagesOf(chatStore.getSession(sessionId), 'docqa').slice(-6)
+      .map(m => ({ role: m.role, content: m.content }));
+    chatStore.appendMessage(sessionId, { role: 'user', content: question }, { agent: 'docqa' });
+
+    let answer = '';
+    const client = getOpenAIClient();
+    if (passages.length === 0) {
+      answer = '文档中未找到与问题相关的内容，请换个说法或确认已上传相关文档。';
+      res.write(`data: ${JSON.stringify({ type: 'content', content: answer })}\n\n`);
+    } else if (!client) {
+      answer = `未配置模型API，以下为文档中与问题最相关的原文：\n\n${passages.map((p, i) => `**[${i + 1}] 《${p.docName}》 ${p.headingPath}**\n\n${p.text}`).join('\n\n')}`;
+      res.write(`data: ${JSON.stringify({ type: 'content', content: answer })}\n\n`);
+    } else {
+      const stream = await client.chat.completions.create({
+        task: 'document-qa',
+        messages: [
+          { role: 'system', content: `${DOCUMENT_QA_SYSTEM_PROMPT}\n\n${CITATION_INSTRUCTIONS}\n\n## 检索到的文档片段\n\n${buildContext(passages)}` },
+          ...previous,
+          { role: 'user', content: question }
+        ],
+        temperature: 0.3,
+        max_tokens: 2000,
+        stream: true
+      });
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content || '';
+        if (content) {
+          answer += content;
+          res.write(`data: ${JSON.stringify({ type: 'content', content })}\n\n`);
+        }
+      }
+    }
+
+    chatStore.appendMessage(sessionId, { role: 'assistant', content: answer + formatSourcesFootnote(passages) }, { agent: 'docqa' });
+    res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
+  } catch (error) {
+    console.error('文档问答失败:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: '文档问答失败: ' + error.message });
+    } else {
+      res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
+      res.end();
+    }
+  }
+}));
+
+// ==================== 文档问答（检索增强）API 结束 ====================
+
+
 // ==================== 编程智能体 API ====================
 
 /**
@@ -12410,15 +13283,26 @@ app.get('/api/chat/info', (req, res) => {
  * POST /api/code-generator/generate
  * 根据项目类型选择不同的生成策略
  */
-app.post('/api/code-generator/generate', async (req, res) => {
+async function generateCodeHandler(req, res) {
   try {
-    const { requirement, documentContent, projectType, uiFramework, includeBackend, chatHistory } = req.body;
+    const { requirement, projectType, uiFramework, includeBackend, chatHistory } = req.body;
 
     const client = getOpenAIClient();
     if (!client) {
       return res.status(400).json({ error: '请先配置API密钥' });
     }
 
+    // 需求文档可直接传入文本，也可引用 /api/upload 返回的 documentId
+    const documentContent = resolveDocumentText(req.body.documentId, req.body.documentContent);
+    if (documentContent === null) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+
+    const cosmicRows = includeBackend ? resolveCosmicTable(req.body) : [];
+    if (cosmicRows === null) {
+      return res.status(404).json({ error: '度量项目不存在' });
+    }
+
     // 设置SSE响应头
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -12436,6 +13320,15 @@ app.post('/api/code-generator/generate', async (req, res) => {
     console.log(`📊 识别实体: ${analysis.entities.map(e => e.name).join(', ') || '通用数据'}`);
     console.log(`🔧 识别功能: ${analysis.features.join(', ') || '基础CRUD'}`);
 
+    // 包含后端时，接口由 COSMIC 持久数据组（无拆分表时由识别出的实体）确定，前端按接口取数
+    let backendApi = '';
+    if (includeBackend) {
+      let resources = extractResources(cosmicRows);
+      if (resources.length === 0) resources = resourcesFromEntities(analysis.entities);
+      backendApi = describeApiForPrompt(resources);
+      console.log(`🗄️ 后端资源: ${resources.map(r => `${r.name}(/api/${r.slug})`).join(', ') || '无'}`);
+    }
+
     let codeBlocks;
 
     // 根据项目类型选择生成策略
@@ -12459,7 +13352,7 @@ app.post('/api/code-generator/generate', async (req, res) => {
         client,
         requirement,
         documentContent,
-        { projectType, uiFramework, includeBackend, uploadedHtml },
+        { projectType, uiFramework, includeBackend, backendApi, uploadedHtml },
         res
       );
 
@@ -12479,7 +13372,7 @@ app.post('/api/code-generator/generate', async (req, res) => {
         client,
         requirement,
         documentContent,
-        { projectType, uiFramework, includeBackend },
+        { projectType, uiFramework, includeBackend, backendApi },
         res
       );
     }
@@ -12487,10 +13380,12 @@ app.post('/api/code-generator/generate', async (req, res) => {
     // 发送最终代码
     const finalCode = codeBlocks.html || codeBlocks.react || codeBlocks.fullCode || '';
     const finalLineCount = finalCode.split('\n').length;
+    const { verification } = codeBlocks;
     
     res.write(`data: ${JSON.stringify({ 
       complete: true, 
       finalCode: codeBlocks,
+      verification,
       phase: 'complete',
       progress: 100,
       lineCount: finalLineCount,
@@ -12498,6 +13393,9 @@ app.post('/api/code-generator/generate', async (req, res) => {
     })}\n\n`);
 
     console.log(`✅ 代码生成完成，最终代码行数: ${finalLineCount}`);
+    if (verification) {
+      console.log(`🔍 静态检查: ${verification.passed ? '通过' : `${verification.issueCount} 个问题未解决`}，修复模块: ${verification.repairedSteps.join(', ') || '无'}`);
+    }
     res.end();
 
   } catch (error) {
@@ -12505,7 +13403,8 @@ app.post('/api/code-generator/generate', async (req, res) => {
     res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
     res.end();
   }
-});
+}
+app.post('/api/code-generator/generate', abortOnDisconnect(generateCodeHandler));
 
 /**
  * API: 修改代码
@@ -12539,7 +13438,7 @@ app.post('/api/code-generator/modify', async (req, res) => {
 
     // 调用AI修改代码
     const stream = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'glm-4-flash',
+      task: 'code',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: prompt }
@@ -12582,36 +13481,257 @@ app.post('/api/code-generator/modify', async (req, res) => {
   }
 });
 
+/**
+ * 读取请求中的 COSMIC 拆分表：tableData 行数组、Markdown 表格（cosmicMarkdown）或已保存度量项目的最新版本（projectId）
+ * @returns {Array|null} 拆分表行；projectId 对应的项目不存在时返回 null
+ */
+function resolveCosmicTable({ tableData, cosmicMarkdown, projectId } = {}) {
+  if (Array.isArray(tableData) && tableData.length > 0) return tableData;
+  if (cosmicMarkdown) return parseMarkdownTable(cosmicMarkdown);
+  if (projectId) {
+    if (!projectStore.exists(projectId)) return null;
+    const latest = projectStore.getLatestVersion(projectId);
+    return (latest && latest.tableData) || [];
+  }
+  return [];
+}
+
+/**
+ * API: 生成后端
+ * POST /api/code-generator/backend
+ * 由 COSMIC 拆分表中读写持久存储（R/W）的数据组生成 Express CRUD 后端
+ * format=zip 时下载后端工程，否则返回资源定义、DDL 和 OpenAPI 文档
+ */
+app.post('/api/code-generator/backend', async (req, res) => {
+  try {
+    const { projectName, dialect = 'sqlite', format } = req.body;
+    if (!DIALECTS.includes(dialect)) {
+      return res.status(400).json({ error: `不支持的SQL方言: ${dialect}，可选 ${DIALECTS.join(', ')}` });
+    }
+
+    const tableData = resolveCosmicTable(req.body);
+    if (tableData === null) {
+      return res.status(404).json({ error: '度量项目不存在' });
+    }
+    const resources = extractResources(tableData);
+    if (resources.length === 0) {
+      return res.status(400).json({ error: '拆分表中没有读写持久存储（R/W）的数据组' });
+    }
+
+    if (format === 'zip') {
+      const { name, buffer, fileCount } = await createBackendZip({ resources, projectName });
+      console.log(`🗄️ 导出后端: ${name}.zip（${resources.length} 个资源，${fileCount} 个文件）`);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(name)}.zip`);
+      return res.send(buffer);
+    }
+
+    res.json({
+      success: true,
+      resources,
+      ddl: generateSqlDdl(resources, dialect),
+      openapi: generateOpenApi(resources, { title: `${projectName || '智器云生成项目'}后端` })
+    });
+  } catch (error) {
+    console.error('生成后端失败:', error);
+    res.status(500).json({ error: '生成后端失败: ' + error.message });
+  }
+});
+
+/**
+ * API: 导出项目
+ * POST /api/code-generator/export
+ * 把生成的代码整理为多文件项目（React/Vue 为 Vite 项目，HTML 为静态站点），以 zip 下载
+ * includeBackend 时附带由 COSMIC 拆分表（tableData / cosmicMarkdown / projectId）生成的后端，前端改为请求该后端
+ */
+app.post('/api/code-generator/export', async (req, res) => {
+  try {
+    const { codeBlocks, projectType = 'react', uiFramework = 'tailwind', projectName, requirement, includeBackend } = req.body;
+
+    if (!codeBlocks || typeof codeBlocks !== 'object' || !(codeBlocks.react || codeBlocks.vue || codeBlocks.html || codeBlocks.fullCode)) {
+      return res.status(400).json({ error: '缺少生成的代码' });
+    }
+    if (!['react', 'vue', 'html'].includes(projectType)) {
+      return res.status(400).json({ error: `不支持的项目类型: ${projectType}` });
+    }
+
+    const tableData = resolveCosmicTable(req.body);
+    if (tableData === null) {
+      return res.status(404).json({ error: '度量项目不存在' });
+    }
+    const documentContent = resolveDocumentText(req.body.documentId, req.body.documentContent);
+    if (documentContent === null) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+
+    const { name, buffer, fileCount } = await createProjectZip({
+      codeBlocks, projectType, uiFramework, projectName, requirement, documentContent, tableData, includeBackend: !!includeBackend
+    });
+    console.log(`📦 导出项目: ${name}.zip（${projectType}/${uiFramework}${includeBackend ? ' + 后端' : ''}，${fileCount} 个文件）`);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(name)}.zip`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('导出项目失败:', error);
+    res.status(500).json({ error: '导出项目失败: ' + error.message });
+  }
+});
+
 // ==================== 编程智能体 API 结束 ====================
 
+// ==================== 生成任务 API ====================
 
-app.listen(PORT, () => {
-  console.log(`🚀 智能体服务器运行在 http://localhost:${PORT}`);
-  console.log(`📋 API密钥状态: ${process.env.OPENAI_API_KEY ? '已配置' : '未配置'}`);
-  console.log(`📦 可用功能模块:`);
-  console.log(`   - Cosmic拆分: 软件功能规模度量`);
-  console.log(`   - 需求规格书生成: 需求文档智能分析`);
-  console.log(`   - 架构图生成: AI分析 + Kroki渲染`);
-  console.log(`   - COSMIC转需求规格书: Excel/Word数据 + 模板生成`);
-  console.log(`   🆕 深度理解系统: 多维度模板分析 + 智能推理 + 质量检查`);
-  console.log(`      · /api/deep-analyze-template - 六维度深度分析模板`);
-  console.log(`      · /api/enhanced-cosmic-to-spec - 增强版COSMIC转需求文档`);
-  console.log(`      · /api/quality-check - 文档质量检查`);
-  console.log(`   🔍 需求评审智能体: 多维度需求文档评审`);
-  console.log(`      · /api/review/full - 完整需求评审`);
-  console.log(`      · /api/review/quick - 快速评审`);
-  console.log(`      · /api/review/compare - 版本对比评审`);
-  console.log(`      · /api/review/dimensions - 获取评审维度`);
-  console.log(`   🤖 智器云自研AI智能体: 完全自主实现，不依赖外部API`);
-  console.log(`      · /api/chat/stream - 流式对话`);
-  console.log(`      · /api/chat/sync - 同步对话`);
-  console.log(`      · /api/chat/info - 获取AI信息`);
-  console.log(`      · 核心模块: NLU引擎、对话管理、知识库、NLG引擎、技能系统`);
-  console.log(`   💻 编程智能体: 根据需求生成前端代码，支持实时预览`);
-  console.log(`      · /api/code-generator/generate - 生成代码`);
-  console.log(`      · /api/code-generator/modify - 修改代码`);
-  console.log(`      · 支持: React/Vue/HTML + Tailwind/Antd/Material UI`);
-  if (fs.existsSync(CLIENT_DIST_PATH)) {
-    console.log('🖥️  静态前端: 已启用 client/dist 产物');
+// 可作为后台任务运行的生成接口，请求体与对应的直接接口一致
+jobManager.registerType('requirement-spec', { label: '需求规格书生成', handler: generateRequirementSpecHandler });
+jobManager.registerType('cosmic-to-spec', { label: 'COSMIC转需求规格书', handler: generateCosmicToSpecHandler });
+jobManager.registerType('cosmic-to-spec-doc', { label: '需求文档转需求规格书', handler: generateCosmicToSpecFromDocHandler });
+jobManager.registerType('code-generator', { label: '代码生成', handler: generateCodeHandler });
+
+// 创建生成任务，立即返回任务ID
+app.post('/api/jobs', (req, res) => {
+  try {
+    const { type, params } = req.body;
+    if (!jobManager.getTypes().some(t => t.type === type)) {
+      return res.status(400).json({ error: `未知的任务类型: ${type}`, types: jobManager.getTypes() });
+    }
+    const job = jobManager.createJob(type, params || {});
+    res.json({ success: true, jobId: job.id, job, eventsUrl: `/api/jobs/${job.id}/events` });
+  } catch (error) {
+    console.error('创建生成任务失败:', error);
+    res.status(500).json({ error: '创建生成任务失败: ' + error.message });
   }
 });
+
+// 获取任务列表（可按 type、status 过滤）
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { type, status } = req.query;
+    res.json({ success: true, jobs: jobManager.listJobs({ type, status }), types: jobManager.getTypes(), statuses: JOB_STATUS });
+  } catch (error) {
+    console.error('获取任务列表失败:', error);
+    res.status(500).json({ error: '获取任务列表失败: ' + error.message });
+  }
+});
+
+// 获取任务状态
+app.get('/api/jobs/:jobId', (req, res) => {
+  try {
+    const job = jobManager.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: '任务不存在' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('获取任务失败:', error);
+    res.status(500).json({ error: '获取任务失败: ' + error.message });
+  }
+});
+
+// 订阅任务事件（SSE），通过 Last-Event-ID 请求头或 lastEventId 参数断点续传
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  try {
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+    const found = jobManager.subscribe(req.params.jobId, res, lastEventId);
+    if (!found) {
+      return res.status(404).json({ error: '任务不存在' });
+    }
+  } catch (error) {
+    console.error('订阅任务事件失败:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: '订阅任务事件失败: ' + error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// 取消任务，中止进行中的模型调用
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  try {
+    const job = jobManager.cancelJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: '任务不存在' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('取消任务失败:', error);
+    res.status(500).json({ error: '取消任务失败: ' + error.message });
+  }
+});
+
+// 删除已结束的任务及其事件日志
+app.delete('/api/jobs/:jobId', (req, res) => {
+  try {
+    const deleted = jobManager.deleteJob(req.params.jobId);
+    if (!deleted) {
+      return res.status(404).json({ error: '任务不存在' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('删除任务失败:', error);
+    res.status(500).json({ error: '删除任务失败: ' + error.message });
+  }
+});
+
+// ==================== 生成任务 API 结束 ====================
+
+
+// 直接运行时启动服务；被测试引用时只导出 app，由调用方自行监听
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 智能体服务器运行在 http://localhost:${PORT}`);
+    console.log(`📋 API密钥状态: ${process.env.OPENAI_API_KEY ? '已配置' : '未配置'}`);
+    if (llmProvider.getMode() !== 'live') {
+      console.log(`🧪 模型离线模式: ${llmProvider.getMode()}（夹具目录: ${getFixturesDir()}）`);
+    }
+    console.log(`📦 可用功能模块:`);
+    console.log(`   - Cosmic拆分: 软件功能规模度量`);
+    console.log(`   - 需求规格书生成: 需求文档智能分析`);
+    console.log(`   - 架构图生成: AI分析 + ${getRendererConfig().renderer === 'kroki' ? 'Kroki渲染' : '本地渲染'}${getRendererConfig().krokiFallback ? '（Kroki回退）' : ''}`);
+    console.log(`   - COSMIC转需求规格书: Excel/Word数据 + 模板生成`);
+    console.log(`   📄 文档上传: /api/upload 统一解析 .docx/.doc/.txt/.md，返回 documentId 供各模块引用`);
+    console.log(`   🆕 深度理解系统: 多维度模板分析 + 智能推理 + 质量检查`);
+    console.log(`      · /api/deep-analyze-template - 六维度深度分析模板`);
+    console.log(`      · /api/enhanced-cosmic-to-spec - 增强版COSMIC转需求文档`);
+    console.log(`      · /api/quality-check - 文档质量检查`);
+    console.log(`   🔍 需求评审智能体: 多维度需求文档评审`);
+    console.log(`      · /api/review/full - 完整需求评审`);
+    console.log(`      · /api/review/quick - 快速评审`);
+    console.log(`      · /api/review/compare - 版本对比评审`);
+    console.log(`      · /api/review/dimensions - 获取评审维度`);
+    console.log(`   🤖 智器云自研AI智能体: 完全自主实现，不依赖外部API`);
+    console.log(`      · /api/chat/stream - 流式对话`);
+    console.log(`      · /api/chat/sync - 同步对话`);
+    console.log(`      · /api/chat/info - 获取AI信息`);
+    console.log(`      · /api/chat/knowledge/import - 导入知识（Markdown/JSON，需管理权限）`);
+    console.log(`      · /api/chat/admin/* - 意图/实体/同义词/模板/知识/技能管理，支持导出导入配置包（${SELFAI_ADMIN_TOKEN ? '需管理令牌' : '仅本机访问'}）`);
+    console.log(`      · 核心模块: NLU引擎、对话管理、知识库、NLG引擎、技能系统`);
+    console.log(`   💻 编程智能体: 根据需求生成前端代码，支持实时预览`);
+    console.log(`      · /api/code-generator/generate - 生成代码（静态检查 + 出错模块定向修复）`);
+    console.log(`      · /api/code-generator/modify - 修改代码`);
+    console.log(`      · /api/code-generator/export - 导出项目（Vite 项目 / 静态站点 zip）`);
+    console.log(`      · /api/code-generator/backend - COSMIC数据组生成 Express 后端 + DDL + OpenAPI`);
+    console.log(`      · 支持: React/Vue/HTML + Tailwind/Antd/Material UI`);
+    if (fs.existsSync(CLIENT_DIST_PATH)) {
+      console.log('🖥️  静态前端: 已启用 client/dist 产物');
+    }
+  });
+
+  // 会话延迟写盘，退出前写出未落盘的会话
+  const shutdown = async (signal) => {
+    console.log(`收到 ${signal}，保存会话后退出`);
+    try {
+      await chatStore.flush();
+    } catch (error) {
+      console.error('保存会话失败:', error.message);
+    }
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = app;
@@ -181,7 +181,7 @@ ${relatedContent ? `## 【原始需求文档相关内容】\n${relatedContent}`
         console.log(`提示词长度: ${promptResult.prompt.length} 字符`);
 
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'reasoning',
             messages: [
                 { role: 'system', content: '你是专业的需求分析师，擅长撰写清晰、准确的功能说明。' },
                 { role: 'user', content: promptResult.prompt }
@@ -236,7 +236,7 @@ ${[...new Set(cosmicData.map(r => r.dataGroup))].join('、')}
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'reasoning',
             messages: [
                 { role: 'system', content: '你是业务分析专家，擅长从业务流程中提取业务规则。' },
                 { role: 'user', content: prompt }
@@ -788,7 +788,7 @@ ${relatedContent ? `## 【原始需求文档相关内容】\n${relatedContent}`
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'reasoning',
             messages: [
                 { role: 'system', content: '你是专业的需求分析师，擅长撰写清晰、准确、全面的功能说明。你的输出应该具有深度和专业性。' },
                 { role: 'user', content: prompt }
@@ -904,7 +904,7 @@ ${exceptionRules}
 
     try {
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'reasoning',
             messages: [
                 { role: 'system', content: '你是业务规则分析专家，擅长从业务流程中深入挖掘全面的业务规则。输出要全面、专业、可执行。' },
                 { role: 'user', content: prompt }
@@ -0,0 +1,468 @@
+/**
+ * 生成任务管理模块
+ * 把长时间运行的 SSE 生成接口（需求规格书、COSMIC转需求规格书、代码生成）包装为后台任务
+ *
+ * 功能特性：
+ * 1. 创建即返回任务ID - 生成过程与 HTTP 连接解耦，客户端断开后任务继续执行
+ * 2. 事件持久化 - 每条进度事件按序编号，缓冲后异步追加到 jobs/<jobId>/events.jsonl（逐 token 的事件不阻塞事件循环）
+ * 3. 断线重连 - 客户端携带 Last-Event-ID 重新订阅，先补发缺失事件再继续实时推送
+ * 4. 取消任务 - 通过 AbortSignal 中止任务内所有正在进行和排队中的模型调用
+ *
+ * 目录结构：
+ *   jobs/<jobId>/job.json       任务元数据（类型、状态、时间、错误）
+ *   jobs/<jobId>/events.jsonl   事件日志，每行 { id, data, time }
+ *
+ * 原有生成接口的处理函数无需改动：任务以虚拟响应对象运行处理函数，把其写出的 SSE 数据帧转为任务事件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runWithAbortSignal } = require('./llmProvider');
+
+// 任务状态
+const JOB_STATUS = {
+  running: '运行中',
+  completed: '已完成',
+  failed: '失败',
+  cancelled: '已取消',
+  interrupted: '已中断'
+};
+
+// 订阅连接的心跳间隔（SSE 注释行，防止代理断开空闲连接）
+const HEARTBEAT_INTERVAL = 15000;
+
+// 事件日志的写盘间隔：期间产生的事件合并为一次异步追加
+const FLUSH_INTERVAL = 500;
+
+function isFinished(status) {
+  return status !== 'running';
+}
+
+function formatSseEvent(event) {
+  const dataLines = event.data.split('\n').map(line => `data: ${line}`).join('\n');
+  return `id: ${event.id}\n${dataLines}\n\n`;
+}
+
+function parseEventData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ==================== 虚拟响应对象 ====================
+
+/**
+ * 模拟 Express 响应对象中生成接口用到的部分（setHeader / write / end / status().json）
+ * 按空行切分 SSE 数据帧，每帧的 data 内容作为一条任务事件
+ */
+class JobResponse {
+  constructor(manager, job) {
+    this.manager = manager;
+    this.job = job;
+    this.headers = {};
+    this.statusCode = 200;
+    this.headersSent = false;
+    this.writableEnded = false;
+    this.buffer = '';
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  // 处理函数在开始流式输出前直接返回 JSON（如参数校验失败）
+  json(body = {}) {
+    const payload = this.statusCode >= 400
+      ? { error: body.error || `请求失败（${this.statusCode}）` }
+      : body;
+    this.write(`data: ${JSON.stringify(payload)}\n\n`);
+    this.end();
+    return this;
+  }
+
+  write(chunk) {
+    if (this.writableEnded) return false;
+    this.headersSent = true;
+    this.buffer += String(chunk);
+
+    let boundary = this.buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      this.flushFrame(this.buffer.slice(0, boundary));
+      this.buffer = this.buffer.slice(boundary + 2);
+      boundary = this.buffer.indexOf('\n\n');
+    }
+    return true;
+  }
+
+  end(chunk) {
+    if (this.writableEnded) return this;
+    if (chunk) this.write(chunk);
+    if (this.buffer.trim()) {
+      this.flushFrame(this.buffer);
+    }
+    this.buffer = '';
+    this.writableEnded = true;
+    return this;
+  }
+
+  flushFrame(frame) {
+    const data = frame
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) {
+      this.manager.appendEvent(this.job, data);
+    }
+  }
+}
+
+// ==================== 任务管理器 ====================
+
+class JobManager {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.types = new Map();
+    // 运行中的任务（含内存中的事件与订阅者），已结束的任务从磁盘读取
+    this.activeJobs = new Map();
+    if (!fs.existsSync(baseDir)) {
+      fs.mkdirSync(baseDir, { recursive: true });
+    }
+    this.markInterruptedJobs();
+  }
+
+  // ==================== 路径与读写 ====================
+
+  jobDir(jobId) {
+    // 只允许生成的ID格式，防止路径穿越
+    if (!/^job_[\w]+$/.test(jobId || '')) {
+      throw new Error(`无效的任务ID: ${jobId}`);
+    }
+    return path.join(this.baseDir, jobId);
+  }
+
+  metaPath(jobId) {
+    return path.join(this.jobDir(jobId), 'job.json');
+  }
+
+  eventsPath(jobId) {
+    return path.join(this.jobDir(jobId), 'events.jsonl');
+  }
+
+  writeMeta(meta) {
+    const filePath = this.metaPath(meta.id);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(meta, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  readMeta(jobId) {
+    const filePath = this.metaPath(jobId);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  readEvents(jobId) {
+    const filePath = this.eventsPath(jobId);
+    if (!fs.existsSync(filePath)) return [];
+    return fs.readFileSync(filePath, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => parseEventData(line))
+      .filter(Boolean);
+  }
+
+  /**
+   * 服务重启后，上次未结束的任务无法继续执行，标记为已中断（已产生的事件仍可回放）
+   */
+  markInterruptedJobs() {
+    fs.readdirSync(this.baseDir)
+      .filter(name => name.startsWith('job_'))
+      .forEach(name => {
+        try {
+          const meta = this.readMeta(name);
+          if (meta && meta.status === 'running') {
+            meta.status = 'interrupted';
+            meta.error = '服务重启，任务已中断';
+            meta.finishedAt = new Date().toISOString();
+            this.writeMeta(meta);
+          }
+        } catch (e) {
+          console.error(`读取任务 ${name} 失败:`, e.message);
+        }
+      });
+  }
+
+  // ==================== 任务类型 ====================
+
+  /**
+   * 注册任务类型
+   * @param {string} type - 任务类型标识（如 code-generator）
+   * @param {Object} options - { label, handler }，handler 为原 SSE 接口的 (req, res) 处理函数
+   */
+  registerType(type, { label, handler }) {
+    this.types.set(type, { label: label || type, handler });
+  }
+
+  getTypes() {
+    return Array.from(this.types.entries()).map(([type, { label }]) => ({ type, label }));
+  }
+
+  // ==================== 任务 ====================
+
+  /**
+   * 创建并立即在后台启动任务
+   * @param {string} type - 已注册的任务类型
+   * @param {Object} params - 原接口的请求体
+   */
+  createJob(type, params = {}) {
+    const jobType = this.types.get(type);
+    if (!jobType) {
+      throw new Error(`未知的任务类型: ${type}`);
+    }
+
+    const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date().toISOString();
+    const meta = {
+      id: jobId,
+      type,
+      label: jobType.label,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      eventCount: 0,
+      error: null
+    };
+    this.writeMeta(meta);
+    fs.writeFileSync(this.eventsPath(jobId), '');
+
+    const job = {
+      meta,
+      events: [],
+      subscribers: new Set(),
+      controller: new AbortController(),
+      // 待写盘的事件行与写盘链（保证追加顺序）
+      pendingLines: [],
+      flushTimer: null,
+      writing: Promise.resolve(),
+      finishing: false
+    };
+    this.activeJobs.set(jobId, job);
+
+    const req = { body: params, params: {}, query: {}, headers: {}, jobId };
+    const res = new JobResponse(this, job);
+    // 延迟到下一轮事件循环执行，保证创建接口先返回任务ID
+    setImmediate(() => {
+      Promise.resolve(runWithAbortSignal(job.controller.signal, () => jobType.handler(req, res)))
+        .then(() => this.finishJob(job))
+        .catch(error => {
+          console.error(`任务 ${jobId} 执行失败:`, error);
+          if (!job.controller.signal.aborted) {
+            this.appendEvent(job, JSON.stringify({ error: '生成失败: ' + error.message }));
+          }
+          this.finishJob(job, error);
+        });
+    });
+
+    console.log(`📋 创建生成任务 ${jobId} [${type}]`);
+    return { ...meta };
+  }
+
+  getJob(jobId) {
+    // 已结束但事件仍在写盘的任务同样从内存读取
+    const active = this.activeJobs.get(jobId);
+    if (active) return { ...active.meta };
+    try {
+      return this.readMeta(jobId);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  listJobs({ type, status } = {}) {
+    return fs.readdirSync(this.baseDir)
+      .filter(name => name.startsWith('job_'))
+      .map(name => this.getJob(name))
+      .filter(Boolean)
+      .filter(meta => (!type || meta.type === type) && (!status || meta.status === status))
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * 取消任务：中止模型调用，记录取消事件并关闭所有订阅连接
+   */
+  cancelJob(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (!job || job.finishing) {
+      const meta = this.getJob(jobId);
+      if (!meta) return null;
+      return { ...meta, alreadyFinished: true };
+    }
+
+    this.appendEvent(job, JSON.stringify({ error: '任务已取消', cancelled: true }));
+    job.meta.status = 'cancelled';
+    job.controller.abort();
+    this.finishJob(job);
+    console.log(`🛑 已取消生成任务 ${jobId}`);
+    return { ...job.meta };
+  }
+
+  deleteJob(jobId) {
+    if (this.activeJobs.has(jobId)) {
+      throw new Error(this.activeJobs.get(jobId).finishing ? '任务正在保存，请稍后再试' : '任务仍在运行，请先取消');
+    }
+    const dir = this.jobDir(jobId);
+    if (!fs.existsSync(dir)) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  // ==================== 事件 ====================
+
+  appendEvent(job, data) {
+    // 任务结束后（如取消后处理函数仍在收尾）不再记录事件
+    if (isFinished(job.meta.status)) return;
+
+    const event = { id: job.events.length + 1, data, time: new Date().toISOString() };
+    job.events.push(event);
+    job.meta.eventCount = event.id;
+    job.meta.updatedAt = event.time;
+    job.pendingLines.push(JSON.stringify(event) + '\n');
+    this.scheduleFlush(job);
+
+    const payload = parseEventData(data);
+    if (payload && payload.error) {
+      job.meta.error = payload.error;
+    }
+
+    const frame = formatSseEvent(event);
+    job.subscribers.forEach(subscriber => subscriber.write(frame));
+  }
+
+  scheduleFlush(job) {
+    if (job.flushTimer) return;
+    job.flushTimer = setTimeout(() => this.flushEvents(job), FLUSH_INTERVAL);
+  }
+
+  /**
+   * 把缓冲的事件异步追加到事件日志，返回本次写盘完成的 Promise
+   */
+  flushEvents(job) {
+    clearTimeout(job.flushTimer);
+    job.flushTimer = null;
+    if (job.pendingLines.length === 0) return job.writing;
+
+    const chunk = job.pendingLines.join('');
+    job.pendingLines = [];
+    const filePath = this.eventsPath(job.meta.id);
+    job.writing = job.writing
+      .then(() => fs.promises.appendFile(filePath, chunk))
+      .catch(error => console.error(`写入任务 ${job.meta.id} 事件日志失败:`, error.message));
+    return job.writing;
+  }
+
+  finishJob(job, error) {
+    if (!this.activeJobs.has(job.meta.id) || job.finishing) return;
+    job.finishing = true;
+
+    if (job.meta.status === 'running') {
+      // 处理函数以错误事件结束（如参数校验失败、生成失败）视为失败
+      const lastEvent = parseEventData(job.events[job.events.length - 1]?.data || '');
+      job.meta.status = error || lastEvent?.error ? 'failed' : 'completed';
+    }
+    job.meta.finishedAt = new Date().toISOString();
+    job.meta.updatedAt = job.meta.finishedAt;
+
+    // 事件全部落盘后再写入结束状态并移出内存；期间的订阅从内存补发事件
+    this.flushEvents(job).then(() => {
+      try {
+        this.writeMeta(job.meta);
+      } catch (e) {
+        console.error(`写入任务 ${job.meta.id} 元数据失败:`, e.message);
+      }
+      this.activeJobs.delete(job.meta.id);
+    });
+
+    const endFrame = `event: end\ndata: ${JSON.stringify({ jobId: job.meta.id, status: job.meta.status })}\n\n`;
+    job.subscribers.forEach(subscriber => {
+      subscriber.write(endFrame);
+      subscriber.end();
+    });
+    job.subscribers.clear();
+    console.log(`📋 生成任务 ${job.meta.id} 结束: ${JOB_STATUS[job.meta.status]}`);
+  }
+
+  /**
+   * 订阅任务事件（SSE）：补发 lastEventId 之后的事件；任务未结束时继续推送实时事件
+   * 客户端断开只会移除订阅，不影响任务执行
+   * @param {string} jobId - 任务ID
+   * @param {Object} res - Express 响应对象
+   * @param {number} lastEventId - 客户端已收到的最后一个事件编号
+   */
+  subscribe(jobId, res, lastEventId = 0) {
+    const meta = this.getJob(jobId);
+    if (!meta) return false;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    const job = this.activeJobs.get(jobId);
+    const events = job ? job.events : this.readEvents(jobId);
+    events
+      .filter(event => event.id > lastEventId)
+      .forEach(event => res.write(formatSseEvent(event)));
+
+    if (!job || job.finishing) {
+      res.write(`event: end\ndata: ${JSON.stringify({ jobId, status: meta.status })}\n\n`);
+      res.end();
+      return true;
+    }
+
+    job.subscribers.add(res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      job.subscribers.delete(res);
+    });
+    return true;
+  }
+}
+
+// ==================== 断开即取消 ====================
+
+/**
+ * 包装直接调用的 SSE 处理函数：客户端在响应结束前断开时，中止该请求发起的模型调用
+ */
+function abortOnDisconnect(handler) {
+  return (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        console.log(`⚠️ 客户端已断开，取消生成: ${req.path}`);
+        controller.abort();
+      }
+    });
+    return runWithAbortSignal(controller.signal, () => handler(req, res));
+  };
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  JobManager,
+  JobResponse,
+  JOB_STATUS,
+  abortOnDisconnect
+};
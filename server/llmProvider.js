@@ -0,0 +1,508 @@
+/**
+ * 大模型调用提供层
+ * 所有智能体（COSMIC拆分、需求规格书、评审、编程、深度思考、智能推理等）统一经由此模块调用 OpenAI 兼容接口
+ *
+ * 功能特性：
+ * 1. 按任务路由模型 - 通过 task 参数选择模型（LLM_TASK_MODELS / OPENAI_MODEL_<TASK> 环境变量或 /api/config 配置）
+ * 2. 失败重试 - 429/5xx/网络错误指数退避重试，遵守 Retry-After
+ * 3. 超时与取消 - 单次请求超时，支持 AbortSignal 取消
+ * 4. 并发限制 - 限制同时进行的模型请求数量
+ * 5. 用量统计 - 记录每次请求的 token 用量与费用，按任务/模型汇总
+ * 6. 离线录制/回放 - LLM_MODE=record|replay 时经由 mockLLM 模块读写夹具
+ * 7. 上下文取消 - runWithAbortSignal 内发起的所有模型请求自动绑定该 AbortSignal（用于生成任务取消、客户端断开）
+ *
+ * 调用方式与 OpenAI SDK 保持一致：
+ *   client.chat.completions.create({ task: 'cosmic', messages, temperature, max_tokens, stream }, { signal })
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const OpenAI = require('openai');
+const { ReplayClient, RecordingClient, getMockMode } = require('./mockLLM');
+
+const DEFAULT_MODEL = 'glm-4-flash';
+
+// 任务类型说明（用于 /api/health 展示和模型路由配置）
+const LLM_TASKS = {
+  default: '默认',
+  cosmic: 'COSMIC拆分',
+  spec: '需求规格书生成',
+  'template-analysis': '模板分析',
+  'document-analysis': '需求文档分析',
+  'deep-thinking': '深度思考',
+  reasoning: '智能推理',
+  quality: '质量检查',
+  review: '需求评审',
+  diagram: '图表生成',
+  code: '代码生成',
+  chat: '通用对话',
+  'document-qa': '文档问答'
+};
+
+const RECENT_REQUEST_LIMIT = 50;
+
+// 当前异步调用链绑定的取消信号
+const abortContext = new AsyncLocalStorage();
+
+/**
+ * 在指定取消信号下执行 fn，fn 内（含其发起的异步调用）的模型请求都会在信号触发时中止
+ */
+function runWithAbortSignal(signal, fn) {
+  return abortContext.run(signal, fn);
+}
+
+/**
+ * 返回当前调用链绑定的取消信号（不在 runWithAbortSignal 内时为 undefined）
+ */
+function getAbortSignal() {
+  return abortContext.getStore();
+}
+
+function resolveSignal(signal) {
+  const contextSignal = abortContext.getStore();
+  if (!contextSignal) return signal;
+  if (!signal) return contextSignal;
+  return anySignal([signal, contextSignal]);
+}
+
+/**
+ * 合并多个取消信号，任一触发即触发（AbortSignal.any 需要 Node ≥ 20.3，低版本手动合并）
+ */
+function anySignal(signals) {
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(signals);
+  const controller = new AbortController();
+  const onAbort = () => {
+    controller.abort();
+    signals.forEach(s => s.removeEventListener('abort', onAbort));
+  };
+  for (const s of signals) {
+    if (s.aborted) {
+      controller.abort();
+      return controller.signal;
+    }
+    s.addEventListener('abort', onAbort, { once: true });
+  }
+  return controller.signal;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+  });
+}
+
+function createAbortError() {
+  const error = new Error('模型请求已取消');
+  error.name = 'AbortError';
+  return error;
+}
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (e) {
+    console.warn(`⚠️ 环境变量 ${name} 不是合法JSON，已忽略`);
+    return {};
+  }
+}
+
+/**
+ * 粗略估算 token 数（流式响应未返回 usage 时使用）
+ * 中文约 1 字 ≈ 1 token，英文约 4 字符 ≈ 1 token
+ */
+function estimateTokens(text = '') {
+  const cjk = (text.match(/[一-龥]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+function messagesText(messages = []) {
+  return messages.map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content || ''))).join('\n');
+}
+
+class LLMProvider {
+  /**
+   * @param {Object} options - { maxRetries, timeout, maxConcurrency, baseDelay }
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxRetries: parseInt(process.env.LLM_MAX_RETRIES || options.maxRetries || 3, 10),
+      timeout: parseInt(process.env.LLM_TIMEOUT_MS || options.timeout || 300000, 10),
+      maxConcurrency: parseInt(process.env.LLM_MAX_CONCURRENCY || options.maxConcurrency || 4, 10),
+      baseDelay: options.baseDelay || 1000
+    };
+    this.taskModels = { ...parseJsonEnv('LLM_TASK_MODELS') };
+    // 每千 token 单价：{ "模型名": { "input": 0.001, "output": 0.002 } }
+    this.pricing = { ...parseJsonEnv('LLM_PRICING') };
+    this.client = null;
+    this.active = 0;
+    this.queue = [];
+    this.requestSeq = 0;
+    this.resetStats();
+
+    // 与 OpenAI SDK 保持相同的调用形式，现有调用方无需修改
+    this.chat = {
+      completions: {
+        create: (params, requestOptions) => this.createChatCompletion(params, requestOptions)
+      }
+    };
+  }
+
+  // ==================== 配置 ====================
+
+  /**
+   * 丢弃底层客户端，下次调用时按最新环境变量重建（API密钥/地址变更后调用）
+   */
+  reset() {
+    this.client = null;
+  }
+
+  isConfigured() {
+    // 回放模式不需要API密钥
+    return getMockMode() === 'replay' || !!process.env.OPENAI_API_KEY;
+  }
+
+  getMode() {
+    return getMockMode() || 'live';
+  }
+
+  getClient() {
+    if (!this.client) {
+      const mode = getMockMode();
+      if (mode === 'replay') {
+        this.client = new ReplayClient();
+        return this.client;
+      }
+      const client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        // 重试与超时由本模块统一处理
+        maxRetries: 0,
+        timeout: this.options.timeout
+      });
+      this.client = mode === 'record' ? new RecordingClient(client) : client;
+    }
+    return this.client;
+  }
+
+  setTaskModels(taskModels = {}) {
+    Object.entries(taskModels).forEach(([task, model]) => {
+      if (model) {
+        this.taskModels[task] = model;
+      } else {
+        delete this.taskModels[task];
+      }
+    });
+  }
+
+  setPricing(pricing = {}) {
+    this.pricing = { ...this.pricing, ...pricing };
+  }
+
+  /**
+   * 任务单独配置的模型（任务配置 > OPENAI_MODEL_<TASK>），未单独配置时返回 null
+   */
+  getTaskModel(task = 'default') {
+    const envKey = `OPENAI_MODEL_${task.toUpperCase().replace(/-/g, '_')}`;
+    return this.taskModels[task] || process.env[envKey] || null;
+  }
+
+  /**
+   * 解析任务对应的模型：显式 model > 任务配置 > OPENAI_MODEL_<TASK> > OPENAI_MODEL > 默认模型
+   */
+  resolveModel(task = 'default', model) {
+    if (model) return model;
+    return this.getTaskModel(task) || process.env.OPENAI_MODEL || DEFAULT_MODEL;
+  }
+
+  // ==================== 并发控制 ====================
+
+  async acquire(signal) {
+    if (this.active < this.options.maxConcurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const entry = { resolve, reject };
+      this.queue.push(entry);
+      signal?.addEventListener?.('abort', () => {
+        const idx = this.queue.indexOf(entry);
+        if (idx !== -1) {
+          this.queue.splice(idx, 1);
+          reject(createAbortError());
+        }
+      }, { once: true });
+    });
+    this.active++;
+  }
+
+  release() {
+    this.active--;
+    const next = this.queue.shift();
+    if (next) next.resolve();
+  }
+
+  // ==================== 调用 ====================
+
+  isRetryable(error) {
+    if (error.name === 'AbortError' || error instanceof OpenAI.APIUserAbortError) return false;
+    const status = error.status;
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    // 网络错误/超时
+    return error instanceof OpenAI.APIConnectionError || error instanceof OpenAI.APIConnectionTimeoutError;
+  }
+
+  retryDelay(error, attempt) {
+    const retryAfter = error.headers?.['retry-after'];
+    if (retryAfter && !isNaN(Number(retryAfter))) {
+      return Math.min(Number(retryAfter) * 1000, 60000);
+    }
+    const jitter = Math.random() * this.options.baseDelay;
+    return Math.min(this.options.baseDelay * Math.pow(2, attempt) + jitter, 30000);
+  }
+
+  /**
+   * 创建对话补全（兼容 OpenAI SDK 参数，额外支持 task）
+   * @param {Object} params - { task, model, messages, temperature, max_tokens, stream, ... }
+   * @param {Object} requestOptions - { signal, timeout, maxRetries }
+   */
+  async createChatCompletion(params = {}, requestOptions = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('请先配置API密钥');
+    }
+
+    const { task = 'default', model, ...rest } = params;
+    const resolvedModel = this.resolveModel(task, model);
+    const { timeout, maxRetries = this.options.maxRetries } = requestOptions;
+    const signal = resolveSignal(requestOptions.signal);
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    const record = {
+      id: ++this.requestSeq,
+      task,
+      model: resolvedModel,
+      stream: !!rest.stream,
+      startedAt: new Date().toISOString(),
+      retries: 0,
+      status: 'pending'
+    };
+    const startTime = Date.now();
+
+    await this.acquire(signal);
+    let released = false;
+    const releaseOnce = () => {
+      if (!released) {
+        released = true;
+        this.release();
+      }
+    };
+
+    let attempt = 0;
+    while (true) {
+      try {
+        const result = await this.getClient().chat.completions.create(
+          { ...rest, model: resolvedModel },
+          { signal, timeout: timeout || this.options.timeout }
+        );
+
+        if (rest.stream) {
+          return this.wrapStream(result, record, rest.messages, startTime, releaseOnce, signal);
+        }
+
+        releaseOnce();
+        this.recordUsage(record, result.usage, { startTime, status: 'success' });
+        return result;
+      } catch (error) {
+        if (signal?.aborted || error instanceof OpenAI.APIUserAbortError) {
+          releaseOnce();
+          this.recordUsage(record, null, { startTime, status: 'cancelled', error: '已取消' });
+          throw createAbortError();
+        }
+        if (attempt < maxRetries && this.isRetryable(error)) {
+          const delay = this.retryDelay(error, attempt);
+          attempt++;
+          record.retries = attempt;
+          this.stats.retries++;
+          console.warn(`⚠️ 模型请求失败(${error.status || error.code || error.message})，${Math.round(delay)}ms 后第 ${attempt} 次重试 [${task}/${resolvedModel}]`);
+          try {
+            await sleep(delay, signal);
+          } catch (abortError) {
+            releaseOnce();
+            this.recordUsage(record, null, { startTime, status: 'cancelled', error: '已取消' });
+            throw abortError;
+          }
+          continue;
+        }
+        releaseOnce();
+        this.recordUsage(record, null, { startTime, status: 'error', error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 包装流式响应：透传数据块，结束时记录用量（未返回 usage 时按字符估算）
+   * 并发名额在迭代结束、取消信号触发或超时仍未开始迭代时释放，避免调用方拿到流却不消费而永久占用名额
+   */
+  wrapStream(stream, record, messages, startTime, release, signal) {
+    const provider = this;
+    let content = '';
+    let usage = null;
+    let finished = false;
+    let idleTimer = null;
+
+    const finish = (status, errorMessage) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(idleTimer);
+      signal?.removeEventListener?.('abort', onAbort);
+      release();
+      const finalUsage = usage || {
+        prompt_tokens: estimateTokens(messagesText(messages)),
+        completion_tokens: estimateTokens(content),
+        estimated: true
+      };
+      provider.recordUsage(record, finalUsage, { startTime, status, error: errorMessage });
+    };
+
+    const onAbort = () => {
+      stream.controller?.abort?.();
+      finish('cancelled', '已取消');
+    };
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+
+    idleTimer = setTimeout(() => {
+      console.warn(`⚠️ 流式响应超过 ${this.options.timeout}ms 未被读取，释放并发名额 [${record.task}/${record.model}]`);
+      stream.controller?.abort?.();
+      finish('error', '流式响应未被读取');
+    }, this.options.timeout);
+    idleTimer.unref?.();
+
+    const wrapped = {
+      controller: stream.controller,
+      async *[Symbol.asyncIterator]() {
+        clearTimeout(idleTimer);
+        let status = 'success';
+        let errorMessage;
+        try {
+          for await (const chunk of stream) {
+            if (chunk.usage) usage = chunk.usage;
+            content += chunk.choices?.[0]?.delta?.content || '';
+            yield chunk;
+          }
+        } catch (error) {
+          status = error instanceof OpenAI.APIUserAbortError || error.name === 'AbortError' ? 'cancelled' : 'error';
+          errorMessage = error.message;
+          throw error;
+        } finally {
+          finish(status, errorMessage);
+        }
+      }
+    };
+    return wrapped;
+  }
+
+  // ==================== 用量统计 ====================
+
+  resetStats() {
+    this.stats = {
+      since: new Date().toISOString(),
+      requests: 0,
+      errors: 0,
+      cancelled: 0,
+      retries: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      byTask: {},
+      byModel: {},
+      recent: []
+    };
+  }
+
+  calculateCost(model, promptTokens, completionTokens) {
+    const price = this.pricing[model];
+    if (!price) return 0;
+    return (promptTokens / 1000) * (price.input || 0) + (completionTokens / 1000) * (price.output || 0);
+  }
+
+  recordUsage(record, usage, { startTime, status, error }) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const cost = this.calculateCost(record.model, promptTokens, completionTokens);
+
+    Object.assign(record, {
+      status,
+      error,
+      durationMs: Date.now() - startTime,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: !!usage?.estimated,
+      cost: Number(cost.toFixed(6))
+    });
+
+    const stats = this.stats;
+    stats.requests++;
+    if (status === 'error') stats.errors++;
+    if (status === 'cancelled') stats.cancelled++;
+    stats.promptTokens += promptTokens;
+    stats.completionTokens += completionTokens;
+    stats.totalTokens += promptTokens + completionTokens;
+    stats.cost += cost;
+
+    [['byTask', record.task], ['byModel', record.model]].forEach(([bucket, key]) => {
+      if (!stats[bucket][key]) {
+        stats[bucket][key] = { requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+      }
+      const item = stats[bucket][key];
+      item.requests++;
+      if (status === 'error') item.errors++;
+      item.promptTokens += promptTokens;
+      item.completionTokens += completionTokens;
+      item.totalTokens += promptTokens + completionTokens;
+      item.cost += cost;
+    });
+
+    stats.recent.unshift(record);
+    if (stats.recent.length > RECENT_REQUEST_LIMIT) {
+      stats.recent.length = RECENT_REQUEST_LIMIT;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cost: Number(this.stats.cost.toFixed(6)),
+      mode: this.getMode(),
+      active: this.active,
+      queued: this.queue.length,
+      defaultModel: this.resolveModel('default'),
+      taskModels: Object.fromEntries(Object.keys(LLM_TASKS).map(task => [task, this.resolveModel(task)])),
+      options: this.options
+    };
+  }
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  LLMProvider,
+  LLM_TASKS,
+  estimateTokens,
+  runWithAbortSignal,
+  getAbortSignal
+};
@@ -0,0 +1,209 @@
+/**
+ * 离线模型替身模块
+ * 以提示词哈希为键录制/回放对话补全（支持流式与非流式），用于在无网络环境下端到端运行生成流程
+ *
+ * 运行模式（环境变量 LLM_MODE）：
+ * - record：调用真实接口，同时把响应写入夹具目录
+ * - replay：只从夹具目录读取响应，不访问网络；缺少夹具时按 LLM_MOCK_FALLBACK 处理
+ *
+ * 夹具目录：LLM_FIXTURES_DIR（默认 server/fixtures/llm），每个请求一个 <hash>.json 文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+// 回放时把完整内容切成多个流式数据块
+const STREAM_CHUNK_SIZE = 40;
+
+function getFixturesDir() {
+  return process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+// 提示词中的日期时间（如文档日期）每天都会变化，计算哈希前统一替换
+const DATE_PATTERN = /\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z?)?/g;
+
+/**
+ * 计算请求键：只取决于消息内容，与模型、温度等参数无关
+ */
+function hashRequest(messages = []) {
+  const normalized = messages.map(m => ({
+    role: m.role,
+    content: (typeof m.content === 'string' ? m.content : JSON.stringify(m.content || '')).replace(DATE_PATTERN, '<date>')
+  }));
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 32);
+}
+
+function fixturePath(hash) {
+  return path.join(getFixturesDir(), `${hash}.json`);
+}
+
+function readFixture(hash) {
+  const filePath = fixturePath(hash);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function writeFixture(hash, params, content, usage) {
+  const dir = getFixturesDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const lastUser = [...(params.messages || [])].reverse().find(m => m.role === 'user');
+  const fixture = {
+    hash,
+    recordedAt: new Date().toISOString(),
+    model: params.model,
+    // 仅用于人工辨认，回放不依赖
+    promptPreview: (typeof lastUser?.content === 'string' ? lastUser.content : '').slice(0, 200),
+    response: {
+      content,
+      usage: usage || null
+    }
+  };
+  fs.writeFileSync(fixturePath(hash), JSON.stringify(fixture, null, 2));
+}
+
+function createAbortError() {
+  const error = new Error('模型请求已取消');
+  error.name = 'AbortError';
+  return error;
+}
+
+function buildCompletion(hash, model, content, usage) {
+  return {
+    id: `mock-${hash}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+async function* streamContent(hash, model, content, usage, signal) {
+  for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+    if (signal?.aborted) throw createAbortError();
+    yield {
+      id: `mock-${hash}`,
+      object: 'chat.completion.chunk',
+      model,
+      choices: [{ index: 0, delta: { content: content.slice(i, i + STREAM_CHUNK_SIZE) }, finish_reason: null }]
+    };
+    // 让出事件循环，模拟真实流式输出
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  yield {
+    id: `mock-${hash}`,
+    object: 'chat.completion.chunk',
+    model,
+    choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+    usage: usage || null
+  };
+}
+
+/**
+ * 缺少夹具时的兜底内容（LLM_MOCK_FALLBACK=stub）
+ * 返回确定性的占位文本，保证流程可以继续执行
+ */
+function fallbackContent(hash, messages) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const preview = (typeof lastUser?.content === 'string' ? lastUser.content : '').slice(0, 60).replace(/\s+/g, ' ');
+  return `【离线模拟响应 ${hash}】${preview}`;
+}
+
+// ==================== 回放客户端 ====================
+
+class ReplayClient {
+  constructor() {
+    this.chat = {
+      completions: {
+        create: (params, options) => this.create(params, options)
+      }
+    };
+  }
+
+  async create(params = {}, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) throw createAbortError();
+
+    const hash = hashRequest(params.messages);
+    const fixture = readFixture(hash);
+    let content;
+    let usage = null;
+
+    if (fixture) {
+      content = fixture.response.content || '';
+      usage = fixture.response.usage;
+    } else if (process.env.LLM_MOCK_FALLBACK === 'stub') {
+      content = fallbackContent(hash, params.messages || []);
+    } else {
+      const error = new Error(`离线回放缺少夹具: ${hash}（请先以 LLM_MODE=record 录制，或设置 LLM_MOCK_FALLBACK=stub）`);
+      error.status = 404;
+      error.code = 'fixture_not_found';
+      throw error;
+    }
+
+    if (params.stream) {
+      return streamContent(hash, params.model, content, usage, signal);
+    }
+    return buildCompletion(hash, params.model, content, usage);
+  }
+}
+
+// ==================== 录制客户端 ====================
+
+class RecordingClient {
+  /**
+   * @param {OpenAI} client - 真实的 OpenAI 兼容客户端
+   */
+  constructor(client) {
+    this.client = client;
+    this.chat = {
+      completions: {
+        create: (params, options) => this.create(params, options)
+      }
+    };
+  }
+
+  async create(params = {}, options) {
+    const hash = hashRequest(params.messages);
+    const result = await this.client.chat.completions.create(params, options);
+
+    if (!params.stream) {
+      writeFixture(hash, params, result.choices?.[0]?.message?.content || '', result.usage);
+      return result;
+    }
+
+    // 流式：透传数据块，结束后写入完整内容
+    let content = '';
+    let usage = null;
+    const recorded = {
+      controller: result.controller,
+      async *[Symbol.asyncIterator]() {
+        for await (const chunk of result) {
+          if (chunk.usage) usage = chunk.usage;
+          content += chunk.choices?.[0]?.delta?.content || '';
+          yield chunk;
+        }
+        writeFixture(hash, params, content, usage);
+      }
+    };
+    return recorded;
+  }
+}
+
+function getMockMode() {
+  const mode = (process.env.LLM_MODE || '').toLowerCase();
+  return ['record', 'replay'].includes(mode) ? mode : null;
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  ReplayClient,
+  RecordingClient,
+  hashRequest,
+  getMockMode,
+  getFixturesDir
+};
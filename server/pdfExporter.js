@@ -0,0 +1,325 @@
+/**
+ * PDF 导出模块
+ * 使用 Puppeteer 把需求规格说明书和需求评审报告渲染为 PDF
+ *
+ * 特性：
+ * 1. 封面页（标题、副标题、文档信息、生成日期）
+ * 2. 页眉文档标题、页脚"第 N 页 / 共 M 页"
+ * 3. 按 h1-h6 标题层级生成 PDF 书签大纲
+ * 4. 内嵌图表：Markdown 图片、HTML 图表（DIAGRAM_START 块）原样渲染，Mermaid 代码块在页面内渲染为 SVG
+ */
+
+const { SEVERITY_LEVELS } = require('./reviewAgent');
+const { resolveMermaidScript } = require('./diagramRenderer');
+
+const PDF_MIME = 'application/pdf';
+const RENDER_TIMEOUT = 60000;
+
+// ==================== 工具 ====================
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDate(date = new Date()) {
+  return `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日`;
+}
+
+// ==================== 图表预处理 ====================
+
+/**
+ * 在 Markdown 转 HTML 之前取出图表，避免被转换规则破坏
+ * - HTML 图表（<!-- DIAGRAM_START:标题 --> ... <!-- DIAGRAM_END -->）原样嵌入
+ * - ```mermaid 代码块转为 <div class="mermaid">，由页面内的 Mermaid 渲染
+ * @returns {{ markdown: string, restore: Function }} restore(html) 把占位符替换回图表
+ */
+function extractEmbeddedDiagrams(markdown = '') {
+  const diagrams = [];
+  const placeholder = (html) => {
+    diagrams.push(html);
+    return `\n\n%%PDFDIAGRAM${diagrams.length - 1}%%\n\n`;
+  };
+
+  const result = markdown
+    .replace(/<!-- DIAGRAM_START:(.+?) -->\n([\s\S]*?)\n<!-- DIAGRAM_END -->/g, (match, title, html) =>
+      placeholder(`<figure class="diagram">${html}<figcaption>${escapeHtml(title)}</figcaption></figure>`))
+    .replace(/```mermaid\s*\n([\s\S]*?)```/g, (match, code) =>
+      placeholder(`<figure class="diagram"><div class="mermaid">${escapeHtml(code.trim())}</div></figure>`));
+
+  const restore = (html) => html.replace(/(?:<p>)?%%PDFDIAGRAM(\d+)%%(?:<\/p>)?/g, (match, index) => diagrams[parseInt(index, 10)] || '');
+  return { markdown: result, restore };
+}
+
+// ==================== 页面模板 ====================
+
+const BASE_STYLE = `
+  @page { size: A4; }
+  * { box-sizing: border-box; }
+  body {
+    font-family: "SimSun", "宋体", "Microsoft YaHei", "PingFang SC", "Noto Sans CJK SC", sans-serif;
+    font-size: 11pt;
+    line-height: 1.7;
+    color: #222;
+    margin: 0;
+  }
+  .cover {
+    height: 247mm;
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+    align-items: center;
+    text-align: center;
+    page-break-after: always;
+  }
+  .cover .cover-title { font-size: 28pt; font-weight: bold; margin-bottom: 16pt; font-family: "SimHei", "黑体", sans-serif; }
+  .cover .cover-subtitle { font-size: 16pt; color: #555; margin-bottom: 48pt; }
+  .cover table { border-collapse: collapse; font-size: 11pt; margin-top: 24pt; }
+  .cover td { border: none; padding: 4pt 12pt; text-align: left; }
+  .cover td:first-child { color: #666; text-align: right; }
+  .cover .cover-date { margin-top: 48pt; font-size: 12pt; color: #333; }
+  h1, h2, h3, h4, h5, h6 { font-family: "SimHei", "黑体", sans-serif; page-break-after: avoid; line-height: 1.4; }
+  h1 { font-size: 18pt; border-bottom: 2px solid #4472C4; padding-bottom: 4pt; margin: 20pt 0 12pt; }
+  h2 { font-size: 15pt; margin: 16pt 0 10pt; }
+  h3 { font-size: 13pt; margin: 12pt 0 8pt; }
+  h4, h5, h6 { font-size: 11.5pt; margin: 10pt 0 6pt; }
+  p { margin: 6pt 0; text-align: justify; }
+  table { border-collapse: collapse; width: 100%; margin: 8pt 0; font-size: 10pt; page-break-inside: auto; }
+  tr { page-break-inside: avoid; }
+  thead { display: table-header-group; }
+  th, td { border: 1px solid #666; padding: 4pt 6pt; vertical-align: top; word-break: break-word; }
+  th { background: #4472C4; color: #fff; }
+  pre { background: #f5f5f5; border: 1px solid #ddd; padding: 8pt; font-size: 9pt; white-space: pre-wrap; word-break: break-all; }
+  code { font-family: Consolas, "Courier New", monospace; }
+  blockquote { border-left: 3px solid #4472C4; margin: 8pt 0; padding: 4pt 10pt; color: #555; background: #f7f9fc; }
+  img { max-width: 100%; height: auto; }
+  figure.diagram { margin: 12pt 0; text-align: center; page-break-inside: avoid; }
+  figure.diagram figcaption { font-size: 9.5pt; color: #666; margin-top: 4pt; }
+  .mermaid svg { max-width: 100%; height: auto; }
+`;
+
+function coverHtml({ title, subtitle, info = [], date }) {
+  const rows = info
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  return `<section class="cover">
+    <div class="cover-title">${escapeHtml(title)}</div>
+    ${subtitle ? `<div class="cover-subtitle">${escapeHtml(subtitle)}</div>` : ''}
+    ${rows ? `<table>${rows}</table>` : ''}
+    <div class="cover-date">${escapeHtml(date || formatDate())}</div>
+  </section>`;
+}
+
+function pageHtml({ title, cover, body, extraStyle = '' }) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${BASE_STYLE}${extraStyle}</style>
+</head>
+<body>
+  ${coverHtml(cover)}
+  <main>${body}</main>
+</body>
+</html>`;
+}
+
+// 页眉页脚模板中的样式必须内联，且需要显式字号
+function headerTemplate(title) {
+  return `<div style="width:100%;font-size:8pt;color:#888;padding:0 15mm;text-align:right;">${escapeHtml(title)}</div>`;
+}
+
+const FOOTER_TEMPLATE = '<div style="width:100%;font-size:8pt;color:#888;text-align:center;">第 <span class="pageNumber"></span> 页 / 共 <span class="totalPages"></span> 页</div>';
+
+// ==================== 渲染 ====================
+
+/**
+ * 渲染 HTML 页面为 PDF
+ * 书签大纲依赖旧版无头模式（headless: true），新版无头模式下 Chrome 不生成大纲
+ * @param {string} html - 完整 HTML 页面
+ * @param {Object} options - { title }
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(html, { title = '' } = {}) {
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (e) {
+    throw new Error('Puppeteer未安装，无法导出PDF。请运行: npm install puppeteer');
+  }
+
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--font-render-hinting=none']
+    });
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT });
+
+    // 页面内渲染 Mermaid 图表
+    const hasMermaid = await page.$('.mermaid');
+    const mermaidScript = hasMermaid ? resolveMermaidScript() : null;
+    if (mermaidScript) {
+      await page.addScriptTag({ path: mermaidScript });
+      await page.evaluate(async () => {
+        window.mermaid.initialize({ startOnLoad: false, theme: 'default', securityLevel: 'loose' });
+        try {
+          await window.mermaid.run({ querySelector: '.mermaid' });
+        } catch (e) {
+          // 语法错误的图表保留源码
+        }
+      });
+    } else if (hasMermaid) {
+      console.warn('未找到本地Mermaid脚本，PDF中的Mermaid图表以源码显示');
+    }
+
+    return await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: headerTemplate(title),
+      footerTemplate: FOOTER_TEMPLATE,
+      margin: { top: '22mm', bottom: '20mm', left: '20mm', right: '20mm' },
+      outline: true,
+      tagged: true,
+      timeout: RENDER_TIMEOUT
+    });
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+// ==================== 需求规格说明书 ====================
+
+/**
+ * 需求规格说明书 PDF
+ * @param {string} bodyHtml - convertMarkdownToWordHtml 的输出（图表已通过 extractEmbeddedDiagrams 还原）
+ * @param {Object} options - { title, subtitle, info }
+ */
+async function renderSpecPdf(bodyHtml, { title = '需求规格说明书', subtitle = '', info = [] } = {}) {
+  // 正文第一个一级标题与封面标题相同时去掉，避免重复
+  const body = bodyHtml.replace(/^\s*<h1>([^<]*)<\/h1>/, (match, text) => (text.trim() === title.trim() ? '' : match));
+  const html = pageHtml({
+    title,
+    cover: { title, subtitle, info },
+    body
+  });
+  return renderPdf(html, { title });
+}
+
+// ==================== 需求评审报告 ====================
+
+const severityName = (severity) => SEVERITY_LEVELS[severity]?.name || severity;
+const RISK_NAMES = { low: '低', medium: '中', high: '高', critical: '严重', unknown: '未知' };
+
+function listHtml(items = []) {
+  const filtered = items.filter(Boolean);
+  return filtered.length > 0 ? `<ul>${filtered.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '<p>无</p>';
+}
+
+function tableHtml(headers, rows) {
+  if (rows.length === 0) return '<p>无</p>';
+  return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${
+    rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * 评审报告正文 HTML（标题层级即 PDF 书签层级）
+ */
+function renderReviewReportHtml(report) {
+  const summary = report.summary || {};
+  const dimensions = Object.values(report.dimensions || {});
+  const risks = report.riskAnalysis?.risks || [];
+  const priority = report.priorityRecommendations || {};
+  const prioritized = Array.isArray(priority) ? priority : (priority.prioritizedRequirements || []);
+
+  const sections = [];
+
+  sections.push(`<h1>1 评审概览</h1>
+    ${tableHtml(['指标', '结果'], [
+      ['总分', `${report.overallScore ?? summary.score ?? '-'} 分`],
+      ['评价等级', summary.level || '-'],
+      ['问题总数', summary.issueCount ?? (report.issues || []).length],
+      ['严重问题', summary.criticalCount ?? 0],
+      ['重要问题', summary.majorCount ?? 0],
+      ['整体风险', RISK_NAMES[summary.riskLevel] || summary.riskLevel || '-']
+    ])}
+    <h2>1.1 维度得分</h2>
+    ${tableHtml(['评审维度', '得分', '权重', '评价'], dimensions.map(d => [d.dimensionName, d.score, d.weight, d.summary || '']))}`);
+
+  sections.push(`<h1>2 维度评审</h1>${dimensions.map((d, idx) => `
+    <h2>2.${idx + 1} ${escapeHtml(d.dimensionName)}（${escapeHtml(d.score)} 分）</h2>
+    <p>${escapeHtml(d.summary || '')}</p>
+    <h3>2.${idx + 1}.1 优点</h3>
+    ${listHtml(d.strengths)}
+    <h3>2.${idx + 1}.2 检查点</h3>
+    ${tableHtml(['检查点', '结果', '说明'], (d.checkResults || []).map(c => [c.point, c.passed ? '通过' : '未通过', c.comment || '']))}
+    <h3>2.${idx + 1}.3 问题</h3>
+    ${tableHtml(['编号', '级别', '问题', '位置', '改进建议'], (d.issues || []).map(i => [i.id, severityName(i.severity), `${i.title}：${i.description || ''}`, i.location || '', i.recommendation || '']))}`).join('')}`);
+
+  sections.push(`<h1>3 问题清单</h1>
+    ${tableHtml(['编号', '维度', '级别', '问题', '改进建议'], (report.issues || []).map(i => [i.id, i.dimension, severityName(i.severity), `${i.title}：${i.description || ''}`, i.recommendation || '']))}`);
+
+  sections.push(`<h1>4 风险分析</h1>
+    <p>整体风险等级：${escapeHtml(RISK_NAMES[report.riskAnalysis?.overallRiskLevel] || '-')}</p>
+    ${tableHtml(['编号', '风险', '类别', '概率', '影响', '缓解措施'], risks.map(r => [r.id, `${r.title}：${r.description || ''}`, r.category || '', RISK_NAMES[r.probability] || r.probability, RISK_NAMES[r.impact] || r.impact, r.mitigation || '']))}
+    <h2>4.1 总体建议</h2>
+    ${listHtml(report.riskAnalysis?.recommendations)}`);
+
+  sections.push(`<h1>5 优先级建议</h1>
+    ${tableHtml(['需求', '优先级', '理由', '工作量'], prioritized.map(p => [p.requirement, p.priority, p.reason || '', RISK_NAMES[p.estimatedEffort] || p.estimatedEffort || '']))}
+    ${priority.mvpScope ? `<h2>5.1 建议纳入MVP</h2>${listHtml(priority.mvpScope)}` : ''}
+    ${priority.deferrable ? `<h2>5.2 可延后</h2>${listHtml(priority.deferrable)}` : ''}`);
+
+  sections.push(`<h1>6 改进建议</h1>${(report.suggestions || []).map((s, idx) => `
+    <h2>6.${idx + 1} ${escapeHtml(s.dimension)}</h2>
+    <p>${escapeHtml(s.suggestion)}</p>
+    ${listHtml(s.actions)}`).join('') || '<p>无</p>'}`);
+
+  return sections.join('\n');
+}
+
+/**
+ * 需求评审报告 PDF
+ * @param {Object} report - /api/review/full 返回的评审报告
+ * @param {Object} options - { title, documentName }
+ */
+async function renderReviewPdf(report, { title = '需求评审报告', documentName = '' } = {}) {
+  const summary = report.summary || {};
+  const reviewDate = report.metadata?.reviewDate ? new Date(report.metadata.reviewDate) : new Date();
+  const html = pageHtml({
+    title,
+    cover: {
+      title,
+      subtitle: documentName,
+      info: [
+        ['总分', `${report.overallScore ?? summary.score ?? '-'} 分`],
+        ['评价等级', summary.level],
+        ['问题数量', summary.issueCount ?? (report.issues || []).length],
+        ['整体风险', RISK_NAMES[summary.riskLevel] || summary.riskLevel]
+      ],
+      date: formatDate(reviewDate)
+    },
+    body: renderReviewReportHtml(report)
+  });
+  return renderPdf(html, { title });
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  PDF_MIME,
+  extractEmbeddedDiagrams,
+  renderPdf,
+  renderSpecPdf,
+  renderReviewReportHtml,
+  renderReviewPdf
+};
@@ -0,0 +1,1495 @@
+/**
+ * 项目脚手架导出模块
+ * 把编程智能体生成的单文件代码整理成可直接运行的多文件项目，并打包为 zip
+ *
+ * 输出结构：
+ * 1. React/Vue：Vite 项目（package.json、路由、按业务模块拆分的页面、模拟接口层），
+ *    UI 框架配置与 uiFramework 一致（Tailwind / Ant Design / Material UI / Bootstrap）
+ * 2. React 生成代码按顶层声明拆分：组件 → src/components，常量数据 → src/mock，工具函数 → src/utils，App → src/pages/Home.jsx
+ * 3. HTML：index.html + assets/css/style.css + assets/js/main.js
+ *
+ * 业务模块优先取 COSMIC 拆分表的持久数据组，没有拆分表时取需求分析（analyzeRequirementForData）识别出的实体，
+ * 每个模块生成列表/新增/编辑/删除页面
+ * 接口层默认使用内存数据；选择包含后端时附带 server/ 目录（backendGenerator），前端通过 /api 代理请求它
+ */
+
+const JSZip = require('jszip');
+const { analyzeRequirementForData } = require('./codeGeneratorAgent');
+const { extractResources, resourcesFromEntities, sampleRows, generateExpressBackend } = require('./backendGenerator');
+
+const BACKEND_PORT = 3001;
+
+// ==================== 依赖版本 ====================
+
+const VERSIONS = {
+  react: '^18.2.0',
+  'react-dom': '^18.2.0',
+  'react-router-dom': '^6.22.0',
+  vue: '^3.4.19',
+  'vue-router': '^4.3.0',
+  vite: '^5.1.0',
+  '@vitejs/plugin-react': '^4.2.1',
+  '@vitejs/plugin-vue': '^5.0.4',
+  tailwindcss: '^3.4.1',
+  postcss: '^8.4.35',
+  autoprefixer: '^10.4.17',
+  antd: '^5.14.0',
+  '@ant-design/icons': '^5.3.0',
+  'ant-design-vue': '^4.1.2',
+  '@mui/material': '^5.15.10',
+  '@mui/icons-material': '^5.15.10',
+  '@emotion/react': '^11.11.3',
+  '@emotion/styled': '^11.11.0',
+  vuetify: '^3.5.4',
+  bootstrap: '^5.3.3',
+  'lucide-react': '^0.344.0',
+  recharts: '^2.12.0',
+  axios: '^1.6.7',
+  dayjs: '^1.11.10',
+  echarts: '^5.5.0',
+  'echarts-for-react': '^3.0.2'
+};
+
+const UI_FRAMEWORKS = ['tailwind', 'antd', 'material', 'bootstrap'];
+
+// ==================== 业务模块 ====================
+
+/**
+ * 确定业务模块：有 COSMIC 拆分表时按持久数据组生成，否则按需求中识别出的实体生成
+ * @returns {Array<Object>} 资源定义（见 backendGenerator）附带示例数据 rows
+ */
+function buildModules({ requirement, documentContent, tableData } = {}) {
+  let resources = Array.isArray(tableData) && tableData.length > 0 ? extractResources(tableData) : [];
+  if (resources.length === 0) {
+    resources = resourcesFromEntities(analyzeRequirementForData(requirement || '', documentContent || '').entities);
+  }
+  return resources.map(resource => ({ ...resource, rows: sampleRows(resource) }));
+}
+
+// ==================== React 代码拆分 ====================
+
+/**
+ * 按顶层语句切分代码：逐字符跟踪括号深度、字符串、模板字符串和注释，
+ * 深度为 0 且新行以声明关键字开头时切分；注释归入下一条语句
+ * @returns {string[]|null} 括号不平衡时返回 null
+ */
+function splitTopLevel(code) {
+  const statements = [];
+  let current = '';
+  let depth = 0;
+  let state = null; // ' " ` line block
+  const templateDepths = [];
+
+  const lines = code.replace(/\r\n?/g, '\n').split('\n');
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const startsDeclaration = /^(import|export|const|let|var|function|async\s+function|class|\/\/|\/\*|ReactDOM|root\.)\b|^(\/\/|\/\*)/.test(trimmed);
+    if (depth === 0 && state === null && startsDeclaration && current.trim() && !/^(\/\/|\/\*)/.test(current.trim().split('\n').pop() || '')) {
+      statements.push(current);
+      current = '';
+    }
+    current += `${line}\n`;
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      const next = line[i + 1];
+      if (state === 'block') {
+        if (ch === '*' && next === '/') { state = null; i++; }
+        continue;
+      }
+      if (state === "'" || state === '"') {
+        if (ch === '\\') i++;
+        else if (ch === state) state = null;
+        continue;
+      }
+      if (state === '`') {
+        if (ch === '\\') i++;
+        else if (ch === '`') state = null;
+        else if (ch === '$' && next === '{') { templateDepths.push(depth); depth++; state = null; i++; }
+        continue;
+      }
+      if (ch === '/' && next === '/') break;
+      if (ch === '/' && next === '*') { state = 'block'; i++; continue; }
+      if (ch === "'" || ch === '"' || ch === '`') { state = ch; continue; }
+      if (ch === '{' || ch === '(' || ch === '[') depth++;
+      if (ch === '}' || ch === ')' || ch === ']') {
+        depth--;
+        if (ch === '}' && templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === depth) {
+          templateDepths.pop();
+          state = '`';
+        }
+      }
+    }
+    // 单引号/双引号字符串不跨行
+    if (state === "'" || state === '"') state = null;
+  }
+  if (current.trim()) statements.push(current);
+  if (depth !== 0 || state === '`' || state === 'block') return null;
+
+  // 纯注释块并入下一条语句
+  const merged = [];
+  let pendingComment = '';
+  statements.forEach(statement => {
+    const body = statement.replace(/^\s*(\/\/[^\n]*\n|\/\*[\s\S]*?\*\/\s*)*/g, '');
+    if (!body.trim()) {
+      pendingComment += statement;
+    } else {
+      merged.push(pendingComment + statement);
+      pendingComment = '';
+    }
+  });
+  return merged;
+}
+
+function stripLeadingComments(statement) {
+  return statement.replace(/^\s*(\/\/[^\n]*\n|\/\*[\s\S]*?\*\/\s*)*/g, '').trim();
+}
+
+/**
+ * 识别顶层语句的类别和名称
+ * @returns {{kind: 'import'|'component'|'helper'|'data'|'drop'|'other', name?: string}}
+ */
+function classifyStatement(statement) {
+  const body = stripLeadingComments(statement);
+  let match;
+  if (/^import\s/.test(body)) return { kind: 'import' };
+  if (/^export\s+default\s+[\w$]+\s*;?$/.test(body)) return { kind: 'drop' };
+  if (/^(ReactDOM\.|root\.render|const\s+root\s*=)/.test(body)) return { kind: 'drop' };
+  if (/^(const|let|var)\s*\{[^}]*\}\s*=\s*(React|ReactDOM)\b/.test(body)) return { kind: 'drop' };
+  if ((match = body.match(/^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([A-Z][\w$]*)/))) return { kind: 'component', name: match[1] };
+  if ((match = body.match(/^(?:export\s+(?:default\s+)?)?class\s+([A-Z][\w$]*)/))) return { kind: 'component', name: match[1] };
+  if ((match = body.match(/^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([\w$]+)/))) return { kind: 'helper', name: match[1] };
+  if ((match = body.match(/^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*([\s\S]*)/))) {
+    const [, name, init] = match;
+    const isFunction = /^(async\s+)?(\([^)]*\)|[\w$]+)\s*=>|^(async\s+)?function\b/.test(init);
+    if (/^[A-Z]/.test(name) && (isFunction || /^(React\.)?(memo|forwardRef)\(/.test(init))) return { kind: 'component', name };
+    if (/^(React\.)?createContext\(/.test(init)) return { kind: 'data', name };
+    return { kind: isFunction ? 'helper' : 'data', name };
+  }
+  return { kind: 'other' };
+}
+
+function withoutExport(statement) {
+  return statement.replace(/^(\s*(?:\/\/[^\n]*\n|\/\*[\s\S]*?\*\/\s*)*)export\s+(default\s+)?/, '$1');
+}
+
+// 在前置注释之后加上 export
+function withExport(statement) {
+  return withoutExport(statement).trim().replace(/^((?:\/\/[^\n]*\n|\/\*[\s\S]*?\*\/\s*)*)/, '$1export ');
+}
+
+const REACT_HOOKS = ['useState', 'useEffect', 'useCallback', 'useMemo', 'useRef', 'useReducer', 'useContext', 'useLayoutEffect', 'createContext', 'Fragment', 'memo', 'forwardRef'];
+
+function usesIdentifier(code, name) {
+  return new RegExp(`(^|[^\\w$.])${name.replace(/\$/g, '\\$')}(?![\\w$])`).test(code);
+}
+
+function reactImport(code) {
+  const hooks = REACT_HOOKS.filter(hook => usesIdentifier(code, hook));
+  return hooks.length > 0 ? `import React, { ${hooks.join(', ')} } from 'react';` : `import React from 'react';`;
+}
+
+function hasJsx(code) {
+  return /<[A-Za-z][\w.]*[\s/>]|<>/.test(code);
+}
+
+/**
+ * 解析 import 语句引入的标识符
+ */
+function importedNames(statement) {
+  const body = stripLeadingComments(statement);
+  const names = [];
+  const clause = body.match(/^import\s+([\s\S]+?)\s+from\s+['"]/);
+  if (!clause) return names;
+  const defaultMatch = clause[1].match(/^([\w$]+)/);
+  if (defaultMatch) names.push(defaultMatch[1]);
+  const namespace = clause[1].match(/\*\s+as\s+([\w$]+)/);
+  if (namespace) names.push(namespace[1]);
+  const named = clause[1].match(/\{([^}]*)\}/);
+  if (named) {
+    named[1].split(',').map(s => s.trim()).filter(Boolean).forEach(spec => {
+      const alias = spec.split(/\s+as\s+/);
+      names.push((alias[1] || alias[0]).trim());
+    });
+  }
+  return names;
+}
+
+function importSource(statement) {
+  const match = stripLeadingComments(statement).match(/from\s+['"]([^'"]+)['"]|^import\s+['"]([^'"]+)['"]/);
+  return match ? (match[1] || match[2]) : null;
+}
+
+// 包名（去掉子路径）
+function packageName(source) {
+  if (!source || source.startsWith('.') || source.startsWith('/')) return null;
+  const parts = source.split('/');
+  return source.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * 把生成的单文件 React 代码拆成多个文件，App 组件改名为 HomePage 作为首页
+ * @returns {{files: Object<string, string>, packages: string[], split: boolean}}
+ */
+function splitReactCode(code) {
+  const source = String(code || '').trim();
+  const statements = source ? splitTopLevel(source) : null;
+  const classified = (statements || []).map(statement => ({ statement, ...classifyStatement(statement) }));
+  const app = classified.find(item => item.kind === 'component' && item.name === 'App');
+
+  // 无法可靠拆分时整体作为首页
+  if (!statements || !app) {
+    const body = source
+      ? source.replace(/^\s*import\s+React[^\n]*\n/m, '').replace(/\n\s*(ReactDOM\.|const\s+root\s*=|root\.render)[^\n]*/g, '')
+      : 'function App() {\n  return <div style={{ padding: 24 }}>暂无生成的页面</div>;\n}\n\nexport default App;';
+    const components = [...body.matchAll(/^(?:function|const|class)\s+([A-Z][\w$]*)/gm)].map(m => m[1]);
+    const entry = components.includes('App') ? 'App' : components[components.length - 1];
+    const footer = /export\s+default/.test(body) || !entry ? '' : `\nexport default ${entry};\n`;
+    const packages = [...body.matchAll(/from\s+['"]([^'"]+)['"]/g)].map(m => packageName(m[1])).filter(Boolean);
+    return {
+      files: { 'src/pages/Home.jsx': `${reactImport(body)}\n${body.trim()}\n${footer}` },
+      packages,
+      split: false
+    };
+  }
+
+  const imports = classified.filter(item => item.kind === 'import' && packageName(importSource(item.statement)) !== 'react' && importSource(item.statement) !== 'react-dom/client');
+  const packages = imports.map(item => packageName(importSource(item.statement))).filter(Boolean);
+  const data = classified.filter(item => item.kind === 'data');
+  const helpers = classified.filter(item => item.kind === 'helper');
+  const components = classified.filter(item => item.kind === 'component' && item.name !== 'App');
+  const others = classified.filter(item => item.kind === 'other');
+
+  const dataFile = data.some(item => hasJsx(item.statement)) ? 'src/mock/data.jsx' : 'src/mock/data.js';
+  const exportsByFile = new Map();
+  if (data.length > 0) exportsByFile.set(dataFile, data.map(item => item.name));
+  if (helpers.length > 0) exportsByFile.set('src/utils/helpers.js', helpers.map(item => item.name));
+
+  // 计算文件间的相对导入路径
+  const relative = (from, to) => {
+    const fromDir = from.split('/').slice(0, -1);
+    const toParts = to.replace(/\.jsx?$/, '').split('/');
+    let common = 0;
+    while (common < fromDir.length && fromDir[common] === toParts[common]) common++;
+    const up = fromDir.length - common;
+    return `${up === 0 ? './' : '../'.repeat(up)}${toParts.slice(common).join('/')}`;
+  };
+
+  const buildImports = (filePath, body) => {
+    const lines = [reactImport(body)];
+    imports.forEach(item => {
+      if (importedNames(item.statement).some(name => usesIdentifier(body, name)) || importedNames(item.statement).length === 0) {
+        lines.push(stripLeadingComments(item.statement));
+      }
+    });
+    components.forEach(item => {
+      const target = `src/components/${item.name}.jsx`;
+      if (target !== filePath && usesIdentifier(body, item.name)) lines.push(`import ${item.name} from '${relative(filePath, target)}';`);
+    });
+    exportsByFile.forEach((names, target) => {
+      if (target === filePath) return;
+      const used = names.filter(name => usesIdentifier(body, name));
+      if (used.length > 0) lines.push(`import { ${used.join(', ')} } from '${relative(filePath, target)}';`);
+    });
+    return lines.join('\n');
+  };
+
+  const files = {};
+
+  if (data.length > 0) {
+    const body = data.map(item => withExport(item.statement)).join('\n\n');
+    files[dataFile] = `${buildImports(dataFile, body).replace(/^import React from 'react';\n?/, hasJsx(body) ? "import React from 'react';\n" : '')}\n\n${body}\n`.replace(/^\n+/, '');
+  }
+
+  if (helpers.length > 0) {
+    const filePath = 'src/utils/helpers.js';
+    const body = helpers.map(item => withExport(item.statement)).join('\n\n');
+    const head = buildImports(filePath, body).split('\n').filter(line => !/^import React\b/.test(line) || hasJsx(body)).join('\n');
+    files[filePath] = `${head ? `${head}\n\n` : ''}${body}\n`;
+  }
+
+  components.forEach(item => {
+    const filePath = `src/components/${item.name}.jsx`;
+    const body = withoutExport(item.statement).trim();
+    files[filePath] = `${buildImports(filePath, body)}\n\n${body}\n\nexport default ${item.name};\n`;
+  });
+
+  // 改名为 HomePage，避免与生成代码中引入的 Home 图标等标识符冲突
+  const homePath = 'src/pages/Home.jsx';
+  const homeBody = [...others.map(item => item.statement.trim()), withoutExport(app.statement).trim()
+    .replace(/^((?:\/\/[^\n]*\n|\/\*[\s\S]*?\*\/\s*)*)(const|let|var)\s+App\b/, '$1$2 HomePage')
+    .replace(/^((?:\/\/[^\n]*\n|\/\*[\s\S]*?\*\/\s*)*)((?:async\s+)?function|class)\s+App\b/, '$1$2 HomePage')]
+    .join('\n\n');
+  files[homePath] = `${buildImports(homePath, homeBody)}\n\n${homeBody}\n\nexport default HomePage;\n`;
+
+  return { files, packages, split: true };
+}
+
+// ==================== 公共文件 ====================
+
+function packageJson(name, dependencies, devDependencies) {
+  const pick = names => Object.fromEntries([...new Set(names)].sort().map(dep => [dep, VERSIONS[dep] || 'latest']));
+  return JSON.stringify({
+    name,
+    private: true,
+    version: '0.1.0',
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview'
+    },
+    dependencies: pick(dependencies),
+    devDependencies: pick(devDependencies)
+  }, null, 2) + '\n';
+}
+
+const FONT_AWESOME = '<link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet" />';
+
+function indexHtml(title, entry, extraHead = '') {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>${extraHead ? `\n    ${extraHead}` : ''}
+  </head>
+  <body>
+    <div id="app"></div>
+    <script type="module" src="${entry}"></script>
+  </body>
+</html>
+`;
+}
+
+function tailwindFiles(contentGlob) {
+  return {
+    'tailwind.config.js': `/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', '${contentGlob}'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
+`,
+    'postcss.config.js': `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {}
+  }
+};
+`
+  };
+}
+
+function baseCss(uiFramework) {
+  const tailwind = uiFramework === 'tailwind' ? '@tailwind base;\n@tailwind components;\n@tailwind utilities;\n\n' : '';
+  return `${tailwind}body {
+  margin: 0;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'PingFang SC', 'Microsoft YaHei', sans-serif;
+  background: #f5f7fa;
+}
+`;
+}
+
+const RESOURCE_CLIENT = `/**
+ * 接口层
+ * 未设置环境变量 VITE_API_BASE_URL 时使用内存数据模拟增删改查；设置后请求真实后端：
+ *   GET    /{resource}?keyword=&page=&pageSize=   返回 { items, total }
+ *   GET    /{resource}/:id
+ *   POST   /{resource}
+ *   PUT    /{resource}/:id
+ *   DELETE /{resource}/:id
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+const LATENCY = 200;
+
+function delay(data) {
+  return new Promise(resolve => setTimeout(() => resolve(data == null ? data : JSON.parse(JSON.stringify(data))), LATENCY));
+}
+
+async function http(method, url, body) {
+  const response = await fetch(\`\${API_BASE_URL}\${url}\`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) throw new Error(\`请求失败: \${response.status}\`);
+  return response.status === 204 ? null : response.json();
+}
+
+export function createResource(name, seed = []) {
+  if (API_BASE_URL) {
+    return {
+      list: (params = {}) => http('GET', \`/\${name}?\${new URLSearchParams(params)}\`),
+      get: id => http('GET', \`/\${name}/\${id}\`),
+      create: data => http('POST', \`/\${name}\`, data),
+      update: (id, data) => http('PUT', \`/\${name}/\${id}\`, data),
+      remove: id => http('DELETE', \`/\${name}/\${id}\`)
+    };
+  }
+
+  let rows = seed.map(row => ({ ...row }));
+  let nextId = rows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+
+  return {
+    list({ keyword = '', page = 1, pageSize = 10 } = {}) {
+      const matched = keyword
+        ? rows.filter(row => Object.values(row).some(value => String(value).includes(keyword)))
+        : rows;
+      return delay({ items: matched.slice((page - 1) * pageSize, page * pageSize), total: matched.length });
+    },
+    get(id) {
+      return delay(rows.find(row => row.id === Number(id)) || null);
+    },
+    create(data) {
+      const row = { ...data, id: nextId++ };
+      rows.push(row);
+      return delay(row);
+    },
+    update(id, data) {
+      rows = rows.map(row => (row.id === Number(id) ? { ...row, ...data, id: row.id } : row));
+      return delay(rows.find(row => row.id === Number(id)) || null);
+    },
+    remove(id) {
+      rows = rows.filter(row => row.id !== Number(id));
+      return delay(null);
+    }
+  };
+}
+`;
+
+/**
+ * 各模块的接口文件；包含后端时不再生成前端示例数据，数据来自后端数据库
+ */
+function apiFiles(modules, backend) {
+  const files = { 'src/api/resource.js': RESOURCE_CLIENT };
+  modules.forEach(module => {
+    if (backend) {
+      files[`src/api/${module.slug}.js`] = `import { createResource } from './resource';
+
+// ${module.label}接口（server/src/routes/${module.slug}.js）
+export const ${module.slug}Api = createResource('${module.slug}');
+`;
+      return;
+    }
+    files[`src/mock/${module.slug}.js`] = `// ${module.label}示例数据\nexport const ${module.slug}Seed = ${JSON.stringify(module.rows, null, 2)};\n`;
+    files[`src/api/${module.slug}.js`] = `import { createResource } from './resource';
+import { ${module.slug}Seed } from '../mock/${module.slug}';
+
+// ${module.label}接口
+export const ${module.slug}Api = createResource('${module.slug}', ${module.slug}Seed);
+`;
+  });
+  return files;
+}
+
+function viteConfig(plugin, backend) {
+  const server = backend ? `,
+  server: {
+    proxy: {
+      '/api': 'http://localhost:${BACKEND_PORT}'
+    }
+  }` : '';
+  return `import { defineConfig } from 'vite';
+import ${plugin} from '@vitejs/plugin-${plugin}';
+
+export default defineConfig({
+  plugins: [${plugin}()]${server}
+});
+`;
+}
+
+function fieldsLiteral(module) {
+  return `[\n${module.fields.map(field => `  { key: '${field.key}', label: '${field.label}' }`).join(',\n')}\n]`;
+}
+
+// 纯 CSS 类名的 UI 框架（Tailwind / Bootstrap）使用的类名
+const CLASS_SETS = {
+  tailwind: {
+    page: 'p-6 space-y-4',
+    title: 'text-xl font-semibold text-gray-800',
+    toolbar: 'flex items-center gap-2',
+    input: 'border border-gray-300 rounded px-3 py-1.5 text-sm',
+    primary: 'px-3 py-1.5 bg-blue-600 text-white rounded text-sm hover:bg-blue-700',
+    button: 'px-3 py-1.5 border border-gray-300 rounded text-sm hover:bg-gray-50',
+    link: 'text-blue-600 hover:underline text-sm mr-3',
+    danger: 'text-red-600 hover:underline text-sm',
+    form: 'flex flex-wrap items-center gap-2 p-4 bg-white border border-gray-200 rounded',
+    table: 'min-w-full bg-white border border-gray-200 text-sm',
+    th: 'px-3 py-2 border-b bg-gray-50 text-left font-medium text-gray-600',
+    td: 'px-3 py-2 border-b',
+    footer: 'flex items-center justify-between text-sm text-gray-500',
+    layout: 'min-h-screen flex',
+    sider: 'w-56 bg-white border-r border-gray-200 p-4 space-y-1',
+    brand: 'text-lg font-bold text-blue-600 mb-4',
+    nav: 'block px-3 py-2 rounded text-gray-700 hover:bg-gray-100',
+    navActive: 'block px-3 py-2 rounded bg-blue-50 text-blue-600',
+    main: 'flex-1 overflow-auto'
+  },
+  bootstrap: {
+    page: 'container-fluid py-3',
+    title: 'h4 mb-3',
+    toolbar: 'd-flex gap-2 mb-3',
+    input: 'form-control form-control-sm w-auto',
+    primary: 'btn btn-primary btn-sm',
+    button: 'btn btn-outline-secondary btn-sm',
+    link: 'btn btn-link btn-sm p-0 me-3',
+    danger: 'btn btn-link btn-sm p-0 text-danger',
+    form: 'd-flex flex-wrap align-items-center gap-2 p-3 bg-white border rounded mb-3',
+    table: 'table table-bordered table-hover bg-white',
+    th: '',
+    td: '',
+    footer: 'd-flex justify-content-between align-items-center text-muted small',
+    layout: 'd-flex min-vh-100',
+    sider: 'bg-white border-end p-3',
+    brand: 'h5 text-primary mb-3',
+    nav: 'nav-link text-dark',
+    navActive: 'nav-link active',
+    main: 'flex-grow-1'
+  }
+};
+
+function classesFor(uiFramework) {
+  return CLASS_SETS[uiFramework] || CLASS_SETS.tailwind;
+}
+
+// ==================== React 项目 ====================
+
+function reactModulePage(module, uiFramework) {
+  const api = `${module.slug}Api`;
+  const head = `import React, { useEffect, useState } from 'react';
+{{IMPORTS}}
+import { ${api} } from '../api/${module.slug}';
+
+const FIELDS = ${fieldsLiteral(module)};
+const PAGE_SIZE = 10;
+
+export default function ${module.component}Page() {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [keyword, setKeyword] = useState('');
+  const [page, setPage] = useState(1);
+  const [editing, setEditing] = useState(null);
+
+  const load = async (nextPage = page) => {
+    const result = await ${api}.list({ keyword, page: nextPage, pageSize: PAGE_SIZE });
+    setItems(result.items);
+    setTotal(result.total);
+  };
+
+  useEffect(() => {
+    load(page);
+  }, [page]);
+
+  const search = () => {
+    setPage(1);
+    load(1);
+  };
+
+  const save = async () => {
+    if (editing.id) await ${api}.update(editing.id, editing);
+    else await ${api}.create(editing);
+    setEditing(null);
+    load();
+  };
+
+  const remove = async (id) => {
+    await ${api}.remove(id);
+    load();
+  };
+`;
+
+  if (uiFramework === 'antd') {
+    return head.replace('{{IMPORTS}}', "import { Button, Card, Form, Input, Modal, Popconfirm, Space, Table } from 'antd';") + `
+  const columns = [
+    ...FIELDS.map(field => ({ title: field.label, dataIndex: field.key, key: field.key })),
+    {
+      title: '操作',
+      key: 'action',
+      render: (_, record) => (
+        <Space>
+          <a onClick={() => setEditing({ ...record })}>编辑</a>
+          <Popconfirm title="确定删除？" onConfirm={() => remove(record.id)}>
+            <a style={{ color: '#ff4d4f' }}>删除</a>
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <Card title="${module.label}" extra={<Button type="primary" onClick={() => setEditing({})}>新增</Button>}>
+      <Input.Search
+        placeholder="搜索${module.name}"
+        allowClear
+        value={keyword}
+        onChange={e => setKeyword(e.target.value)}
+        onSearch={search}
+        style={{ width: 280, marginBottom: 16 }}
+      />
+      <Table
+        rowKey="id"
+        columns={columns}
+        dataSource={items}
+        pagination={{ current: page, pageSize: PAGE_SIZE, total, onChange: setPage }}
+      />
+      <Modal title={editing?.id ? '编辑${module.name}' : '新增${module.name}'} open={!!editing} onOk={save} onCancel={() => setEditing(null)}>
+        <Form layout="vertical">
+          {FIELDS.map(field => (
+            <Form.Item key={field.key} label={field.label}>
+              <Input value={editing?.[field.key] ?? ''} onChange={e => setEditing({ ...editing, [field.key]: e.target.value })} />
+            </Form.Item>
+          ))}
+        </Form>
+      </Modal>
+    </Card>
+  );
+}
+`;
+  }
+
+  if (uiFramework === 'material') {
+    return head.replace('{{IMPORTS}}', `import {
+  Box, Button, Dialog, DialogActions, DialogContent, DialogTitle, Paper, Stack,
+  Table, TableBody, TableCell, TableContainer, TableHead, TablePagination, TableRow, TextField, Typography
+} from '@mui/material';`) + `
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ flexGrow: 1 }}>${module.label}</Typography>
+        <TextField size="small" placeholder="搜索${module.name}" value={keyword} onChange={e => setKeyword(e.target.value)} onKeyDown={e => e.key === 'Enter' && search()} />
+        <Button variant="outlined" onClick={search}>搜索</Button>
+        <Button variant="contained" onClick={() => setEditing({})}>新增</Button>
+      </Stack>
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {FIELDS.map(field => <TableCell key={field.key}>{field.label}</TableCell>)}
+              <TableCell>操作</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {items.map(item => (
+              <TableRow key={item.id} hover>
+                {FIELDS.map(field => <TableCell key={field.key}>{item[field.key]}</TableCell>)}
+                <TableCell>
+                  <Button size="small" onClick={() => setEditing({ ...item })}>编辑</Button>
+                  <Button size="small" color="error" onClick={() => remove(item.id)}>删除</Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page - 1}
+          rowsPerPage={PAGE_SIZE}
+          rowsPerPageOptions={[PAGE_SIZE]}
+          onPageChange={(_, next) => setPage(next + 1)}
+        />
+      </TableContainer>
+      <Dialog open={!!editing} onClose={() => setEditing(null)} fullWidth>
+        <DialogTitle>{editing?.id ? '编辑${module.name}' : '新增${module.name}'}</DialogTitle>
+        <DialogContent>
+          {FIELDS.map(field => (
+            <TextField
+              key={field.key}
+              label={field.label}
+              fullWidth
+              margin="dense"
+              value={editing?.[field.key] ?? ''}
+              onChange={e => setEditing({ ...editing, [field.key]: e.target.value })}
+            />
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>取消</Button>
+          <Button variant="contained" onClick={save}>保存</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+`;
+  }
+
+  const c = classesFor(uiFramework);
+  const attr = name => (c[name] ? ` className="${c[name]}"` : '');
+  return head.replace('{{IMPORTS}}\n', '') + `
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div${attr('page')}>
+      <h2${attr('title')}>${module.label}</h2>
+      <div${attr('toolbar')}>
+        <input${attr('input')} placeholder="搜索${module.name}" value={keyword} onChange={e => setKeyword(e.target.value)} onKeyDown={e => e.key === 'Enter' && search()} />
+        <button${attr('button')} onClick={search}>搜索</button>
+        <button${attr('primary')} onClick={() => setEditing({})}>新增</button>
+      </div>
+      {editing && (
+        <form${attr('form')} onSubmit={e => { e.preventDefault(); save(); }}>
+          {FIELDS.map(field => (
+            <input
+              key={field.key}${attr('input')}
+              placeholder={field.label}
+              value={editing[field.key] ?? ''}
+              onChange={e => setEditing({ ...editing, [field.key]: e.target.value })}
+            />
+          ))}
+          <button type="submit"${attr('primary')}>保存</button>
+          <button type="button"${attr('button')} onClick={() => setEditing(null)}>取消</button>
+        </form>
+      )}
+      <table${attr('table')}>
+        <thead>
+          <tr>
+            {FIELDS.map(field => <th key={field.key}${attr('th')}>{field.label}</th>)}
+            <th${attr('th')}>操作</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(item => (
+            <tr key={item.id}>
+              {FIELDS.map(field => <td key={field.key}${attr('td')}>{item[field.key]}</td>)}
+              <td${attr('td')}>
+                <button${attr('link')} onClick={() => setEditing({ ...item })}>编辑</button>
+                <button${attr('danger')} onClick={() => window.confirm('确定删除？') && remove(item.id)}>删除</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div${attr('footer')}>
+        <span>共 {total} 条</span>
+        <div${attr('toolbar')}>
+          <button${attr('button')} disabled={page <= 1} onClick={() => setPage(page - 1)}>上一页</button>
+          <span>{page} / {totalPages}</span>
+          <button${attr('button')} disabled={page >= totalPages} onClick={() => setPage(page + 1)}>下一页</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+`;
+}
+
+function reactAppShell(title, uiFramework) {
+  if (uiFramework === 'antd') {
+    return `import React from 'react';
+import { Layout, Menu } from 'antd';
+import { Route, Routes, useLocation, useNavigate } from 'react-router-dom';
+import { routes } from './routes';
+
+const { Sider, Content } = Layout;
+
+export default function App() {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  return (
+    <Layout style={{ minHeight: '100vh' }}>
+      <Sider theme="light" width={220}>
+        <div style={{ padding: 16, fontWeight: 600, fontSize: 16 }}>${title}</div>
+        <Menu
+          mode="inline"
+          selectedKeys={[location.pathname]}
+          items={routes.map(route => ({ key: route.path, label: route.label }))}
+          onClick={({ key }) => navigate(key)}
+        />
+      </Sider>
+      <Content style={{ padding: 24 }}>
+        <Routes>
+          {routes.map(route => <Route key={route.path} path={route.path} element={route.element} />)}
+        </Routes>
+      </Content>
+    </Layout>
+  );
+}
+`;
+  }
+
+  if (uiFramework === 'material') {
+    return `import React from 'react';
+import { AppBar, Box, Button, Toolbar, Typography } from '@mui/material';
+import { NavLink, Route, Routes } from 'react-router-dom';
+import { routes } from './routes';
+
+export default function App() {
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: '#f5f7fa' }}>
+      <AppBar position="static">
+        <Toolbar>
+          <Typography variant="h6" sx={{ mr: 4 }}>${title}</Typography>
+          {routes.map(route => (
+            <Button key={route.path} color="inherit" component={NavLink} to={route.path} end>
+              {route.label}
+            </Button>
+          ))}
+        </Toolbar>
+      </AppBar>
+      <Routes>
+        {routes.map(route => <Route key={route.path} path={route.path} element={route.element} />)}
+      </Routes>
+    </Box>
+  );
+}
+`;
+  }
+
+  const c = classesFor(uiFramework);
+  return `import React from 'react';
+import { NavLink, Route, Routes } from 'react-router-dom';
+import { routes } from './routes';
+
+export default function App() {
+  return (
+    <div className="${c.layout}">
+      <aside className="${c.sider}">
+        <div className="${c.brand}">${title}</div>
+        {routes.map(route => (
+          <NavLink key={route.path} to={route.path} end className={({ isActive }) => (isActive ? '${c.navActive}' : '${c.nav}')}>
+            {route.label}
+          </NavLink>
+        ))}
+      </aside>
+      <main className="${c.main}">
+        <Routes>
+          {routes.map(route => <Route key={route.path} path={route.path} element={route.element} />)}
+        </Routes>
+      </main>
+    </div>
+  );
+}
+`;
+}
+
+function reactMain(uiFramework) {
+  const imports = {
+    antd: "import { ConfigProvider } from 'antd';\nimport zhCN from 'antd/locale/zh_CN';\n",
+    material: "import { CssBaseline, ThemeProvider, createTheme } from '@mui/material';\n",
+    bootstrap: "import 'bootstrap/dist/css/bootstrap.min.css';\n"
+  }[uiFramework] || '';
+  const wrap = {
+    antd: app => `<ConfigProvider locale={zhCN}>\n        ${app}\n      </ConfigProvider>`,
+    material: app => `<ThemeProvider theme={createTheme()}>\n        <CssBaseline />\n        ${app}\n      </ThemeProvider>`
+  }[uiFramework] || (app => app);
+
+  return `import React from 'react';
+import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
+${imports}import App from './App';
+import './index.css';
+
+ReactDOM.createRoot(document.getElementById('app')).render(
+  <React.StrictMode>
+    <BrowserRouter>
+      ${wrap('<App />')}
+    </BrowserRouter>
+  </React.StrictMode>
+);
+`;
+}
+
+function buildReactProject({ name, title, codeBlocks, uiFramework, modules, backend }) {
+  const split = splitReactCode(codeBlocks.react || '');
+  const routes = `import React from 'react';
+import HomePage from './pages/Home';
+${modules.map(module => `import ${module.component}Page from './pages/${module.component}Page';`).join('\n')}
+
+// 路由表：新增页面时在这里登记，侧边导航自动生成
+export const routes = [
+  { path: '/', label: '首页', element: <HomePage /> },
+${modules.map(module => `  { path: '/${module.slug}', label: '${module.label}', element: <${module.component}Page /> }`).join(',\n')}
+];
+`;
+
+  const dependencies = ['react', 'react-dom', 'react-router-dom', ...split.packages.filter(pkg => !['react', 'react-dom'].includes(pkg))];
+  const devDependencies = ['vite', '@vitejs/plugin-react'];
+  if (uiFramework === 'tailwind') devDependencies.push('tailwindcss', 'postcss', 'autoprefixer');
+  if (uiFramework === 'antd') dependencies.push('antd', '@ant-design/icons');
+  if (uiFramework === 'material') dependencies.push('@mui/material', '@emotion/react', '@emotion/styled');
+  if (uiFramework === 'bootstrap') dependencies.push('bootstrap');
+
+  const files = {
+    'package.json': packageJson(name, dependencies, devDependencies),
+    // 生成代码常用 Font Awesome 图标类名，沿用预览页的 CDN 引入方式
+    'index.html': indexHtml(title, '/src/main.jsx', /\bfa-[\w-]+/.test(codeBlocks.react || '') ? FONT_AWESOME : ''),
+    'vite.config.js': viteConfig('react', backend),
+    'src/main.jsx': reactMain(uiFramework),
+    'src/App.jsx': reactAppShell(title, uiFramework),
+    'src/routes.jsx': routes,
+    'src/index.css': baseCss(uiFramework) + (codeBlocks.css ? `\n${codeBlocks.css.trim()}\n` : ''),
+    ...split.files,
+    ...apiFiles(modules, backend)
+  };
+  if (uiFramework === 'tailwind') Object.assign(files, tailwindFiles('./src/**/*.{js,jsx}'));
+  modules.forEach(module => {
+    files[`src/pages/${module.component}Page.jsx`] = reactModulePage(module, uiFramework);
+  });
+
+  return { files, split: split.split };
+}
+
+// ==================== Vue 项目 ====================
+
+function vueModuleView(module, uiFramework) {
+  const api = `${module.slug}Api`;
+  const script = `<script setup>
+import { onMounted, ref } from 'vue';
+import { ${api} } from '../api/${module.slug}';
+
+const fields = ${fieldsLiteral(module)};
+const pageSize = 10;
+const items = ref([]);
+const total = ref(0);
+const keyword = ref('');
+const page = ref(1);
+const editing = ref(null);
+
+async function load() {
+  const result = await ${api}.list({ keyword: keyword.value, page: page.value, pageSize });
+  items.value = result.items;
+  total.value = result.total;
+}
+
+function search() {
+  page.value = 1;
+  load();
+}
+
+function changePage(next) {
+  page.value = next;
+  load();
+}
+
+async function save() {
+  if (editing.value.id) await ${api}.update(editing.value.id, editing.value);
+  else await ${api}.create(editing.value);
+  editing.value = null;
+  load();
+}
+
+async function remove(id) {
+  await ${api}.remove(id);
+  load();
+}
+
+onMounted(load);
+</script>
+`;
+
+  if (uiFramework === 'antd') {
+    return `<template>
+  <a-card title="${module.label}">
+    <template #extra>
+      <a-button type="primary" @click="editing = {}">新增</a-button>
+    </template>
+    <a-input-search v-model:value="keyword" placeholder="搜索${module.name}" allow-clear style="width: 280px; margin-bottom: 16px" @search="search" />
+    <a-table
+      row-key="id"
+      :columns="columns"
+      :data-source="items"
+      :pagination="{ current: page, pageSize, total }"
+      @change="pagination => changePage(pagination.current)"
+    >
+      <template #bodyCell="{ column, record }">
+        <template v-if="column.key === 'action'">
+          <a-space>
+            <a @click="editing = { ...record }">编辑</a>
+            <a-popconfirm title="确定删除？" @confirm="remove(record.id)">
+              <a style="color: #ff4d4f">删除</a>
+            </a-popconfirm>
+          </a-space>
+        </template>
+      </template>
+    </a-table>
+    <a-modal :open="!!editing" :title="editing?.id ? '编辑${module.name}' : '新增${module.name}'" @ok="save" @cancel="editing = null">
+      <a-form v-if="editing" layout="vertical">
+        <a-form-item v-for="field in fields" :key="field.key" :label="field.label">
+          <a-input v-model:value="editing[field.key]" />
+        </a-form-item>
+      </a-form>
+    </a-modal>
+  </a-card>
+</template>
+
+${script.replace("const pageSize = 10;", "const pageSize = 10;\nconst columns = [...fields.map(field => ({ title: field.label, dataIndex: field.key, key: field.key })), { title: '操作', key: 'action' }];")}`;
+  }
+
+  if (uiFramework === 'material') {
+    return `<template>
+  <v-container fluid>
+    <div class="d-flex align-center ga-2 mb-4">
+      <h2 class="text-h5 flex-grow-1">${module.label}</h2>
+      <v-text-field v-model="keyword" density="compact" hide-details placeholder="搜索${module.name}" style="max-width: 260px" @keyup.enter="search" />
+      <v-btn variant="outlined" @click="search">搜索</v-btn>
+      <v-btn color="primary" @click="editing = {}">新增</v-btn>
+    </div>
+    <v-card>
+      <v-table density="compact">
+        <thead>
+          <tr>
+            <th v-for="field in fields" :key="field.key">{{ field.label }}</th>
+            <th>操作</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr v-for="item in items" :key="item.id">
+            <td v-for="field in fields" :key="field.key">{{ item[field.key] }}</td>
+            <td>
+              <v-btn size="small" variant="text" @click="editing = { ...item }">编辑</v-btn>
+              <v-btn size="small" variant="text" color="error" @click="remove(item.id)">删除</v-btn>
+            </td>
+          </tr>
+        </tbody>
+      </v-table>
+      <v-pagination :model-value="page" :length="Math.max(1, Math.ceil(total / pageSize))" density="compact" @update:model-value="changePage" />
+    </v-card>
+    <v-dialog :model-value="!!editing" max-width="560" @update:model-value="value => !value && (editing = null)">
+      <v-card v-if="editing" :title="editing.id ? '编辑${module.name}' : '新增${module.name}'">
+        <v-card-text>
+          <v-text-field v-for="field in fields" :key="field.key" v-model="editing[field.key]" :label="field.label" density="compact" />
+        </v-card-text>
+        <v-card-actions>
+          <v-spacer />
+          <v-btn @click="editing = null">取消</v-btn>
+          <v-btn color="primary" @click="save">保存</v-btn>
+        </v-card-actions>
+      </v-card>
+    </v-dialog>
+  </v-container>
+</template>
+
+${script}`;
+  }
+
+  const c = classesFor(uiFramework);
+  const attr = name => (c[name] ? ` class="${c[name]}"` : '');
+  return `<template>
+  <div${attr('page')}>
+    <h2${attr('title')}>${module.label}</h2>
+    <div${attr('toolbar')}>
+      <input v-model="keyword"${attr('input')} placeholder="搜索${module.name}" @keyup.enter="search" />
+      <button${attr('button')} @click="search">搜索</button>
+      <button${attr('primary')} @click="editing = {}">新增</button>
+    </div>
+    <form v-if="editing"${attr('form')} @submit.prevent="save">
+      <input v-for="field in fields" :key="field.key" v-model="editing[field.key]"${attr('input')} :placeholder="field.label" />
+      <button type="submit"${attr('primary')}>保存</button>
+      <button type="button"${attr('button')} @click="editing = null">取消</button>
+    </form>
+    <table${attr('table')}>
+      <thead>
+        <tr>
+          <th v-for="field in fields" :key="field.key"${attr('th')}>{{ field.label }}</th>
+          <th${attr('th')}>操作</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr v-for="item in items" :key="item.id">
+          <td v-for="field in fields" :key="field.key"${attr('td')}>{{ item[field.key] }}</td>
+          <td${attr('td')}>
+            <button${attr('link')} @click="editing = { ...item }">编辑</button>
+            <button${attr('danger')} @click="confirmRemove(item.id)">删除</button>
+          </td>
+        </tr>
+      </tbody>
+    </table>
+    <div${attr('footer')}>
+      <span>共 {{ total }} 条</span>
+      <div${attr('toolbar')}>
+        <button${attr('button')} :disabled="page <= 1" @click="changePage(page - 1)">上一页</button>
+        <span>{{ page }} / {{ Math.max(1, Math.ceil(total / pageSize)) }}</span>
+        <button${attr('button')} :disabled="page * pageSize >= total" @click="changePage(page + 1)">下一页</button>
+      </div>
+    </div>
+  </div>
+</template>
+
+${script.replace('onMounted(load);', "function confirmRemove(id) {\n  if (window.confirm('确定删除？')) remove(id);\n}\n\nonMounted(load);")}`;
+}
+
+function vueAppShell(title, uiFramework) {
+  if (uiFramework === 'antd') {
+    return `<template>
+  <a-layout style="min-height: 100vh">
+    <a-layout-sider theme="light" :width="220">
+      <div style="padding: 16px; font-weight: 600; font-size: 16px">${title}</div>
+      <a-menu mode="inline" :selected-keys="[route.path]" @click="({ key }) => router.push(key)">
+        <a-menu-item v-for="item in routes" :key="item.path">{{ item.meta.label }}</a-menu-item>
+      </a-menu>
+    </a-layout-sider>
+    <a-layout-content style="padding: 24px">
+      <router-view />
+    </a-layout-content>
+  </a-layout>
+</template>
+
+<script setup>
+import { useRoute, useRouter } from 'vue-router';
+import { routes } from './router';
+
+const route = useRoute();
+const router = useRouter();
+</script>
+`;
+  }
+
+  if (uiFramework === 'material') {
+    return `<template>
+  <v-app>
+    <v-app-bar color="primary">
+      <v-app-bar-title>${title}</v-app-bar-title>
+      <v-btn v-for="item in routes" :key="item.path" :to="item.path" variant="text" exact>{{ item.meta.label }}</v-btn>
+    </v-app-bar>
+    <v-main>
+      <router-view />
+    </v-main>
+  </v-app>
+</template>
+
+<script setup>
+import { routes } from './router';
+</script>
+`;
+  }
+
+  const c = classesFor(uiFramework);
+  return `<template>
+  <div class="${c.layout}">
+    <aside class="${c.sider}">
+      <div class="${c.brand}">${title}</div>
+      <router-link
+        v-for="item in routes"
+        :key="item.path"
+        :to="item.path"
+        class="${c.nav}"
+        exact-active-class="${c.navActive.split(' ').filter(cls => !c.nav.split(' ').includes(cls)).join(' ') || 'active'}"
+      >
+        {{ item.meta.label }}
+      </router-link>
+    </aside>
+    <main class="${c.main}">
+      <router-view />
+    </main>
+  </div>
+</template>
+
+<script setup>
+import { routes } from './router';
+</script>
+`;
+}
+
+function vueHomeView(modules, uiFramework) {
+  const c = classesFor(uiFramework);
+  const classAttr = name => (['antd', 'material'].includes(uiFramework) || !c[name] ? '' : ` class="${c[name]}"`);
+  return `<template>
+  <div${classAttr('page')} style="padding: 24px">
+    <h2${classAttr('title')}>工作台</h2>
+    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px">
+      <router-link v-for="item in modules" :key="item.path" :to="item.path" style="padding: 16px; background: #fff; border-radius: 8px; text-decoration: none; color: inherit; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08)">
+        <div style="color: #888; font-size: 13px">{{ item.label }}</div>
+        <div style="font-size: 24px; font-weight: 600; margin-top: 8px">{{ counts[item.path] ?? '-' }}</div>
+      </router-link>
+    </div>
+  </div>
+</template>
+
+<script setup>
+import { onMounted, reactive } from 'vue';
+${modules.map(module => `import { ${module.slug}Api } from '../api/${module.slug}';`).join('\n')}
+
+const modules = [
+${modules.map(module => `  { path: '/${module.slug}', label: '${module.label}', api: ${module.slug}Api }`).join(',\n')}
+];
+const counts = reactive({});
+
+onMounted(async () => {
+  for (const item of modules) {
+    counts[item.path] = (await item.api.list({ pageSize: 1 })).total;
+  }
+});
+</script>
+`;
+}
+
+function vueMain(uiFramework) {
+  const setup = {
+    antd: {
+      imports: "import Antd from 'ant-design-vue';\nimport 'ant-design-vue/dist/reset.css';\n",
+      use: '.use(Antd)'
+    },
+    material: {
+      imports: "import 'vuetify/styles';\nimport { createVuetify } from 'vuetify';\nimport * as components from 'vuetify/components';\nimport * as directives from 'vuetify/directives';\n",
+      use: '.use(createVuetify({ components, directives }))'
+    },
+    bootstrap: {
+      imports: "import 'bootstrap/dist/css/bootstrap.min.css';\n",
+      use: ''
+    }
+  }[uiFramework] || { imports: '', use: '' };
+
+  return `import { createApp } from 'vue';
+${setup.imports}import App from './App.vue';
+import router from './router';
+import './style.css';
+
+createApp(App).use(router)${setup.use}.mount('#app');
+`;
+}
+
+function buildVueProject({ name, title, codeBlocks, uiFramework, modules, backend }) {
+  const router = `import { createRouter, createWebHistory } from 'vue-router';
+import HomeView from '../views/HomeView.vue';
+${modules.map(module => `import ${module.component}View from '../views/${module.component}View.vue';`).join('\n')}
+
+// 路由表：新增页面时在这里登记，导航菜单自动生成
+export const routes = [
+  { path: '/', component: HomeView, meta: { label: '首页' } },
+${modules.map(module => `  { path: '/${module.slug}', component: ${module.component}View, meta: { label: '${module.label}' } }`).join(',\n')}
+];
+
+export default createRouter({
+  history: createWebHistory(),
+  routes
+});
+`;
+
+  const dependencies = ['vue', 'vue-router'];
+  const devDependencies = ['vite', '@vitejs/plugin-vue'];
+  if (uiFramework === 'tailwind') devDependencies.push('tailwindcss', 'postcss', 'autoprefixer');
+  if (uiFramework === 'antd') dependencies.push('ant-design-vue');
+  if (uiFramework === 'material') dependencies.push('vuetify');
+  if (uiFramework === 'bootstrap') dependencies.push('bootstrap');
+
+  const files = {
+    'package.json': packageJson(name, dependencies, devDependencies),
+    'index.html': indexHtml(title, '/src/main.js'),
+    'vite.config.js': viteConfig('vue', backend),
+    'src/main.js': vueMain(uiFramework),
+    'src/App.vue': vueAppShell(title, uiFramework),
+    'src/router/index.js': router,
+    'src/style.css': baseCss(uiFramework),
+    'src/views/HomeView.vue': codeBlocks.vue ? codeBlocks.vue.trim() + '\n' : vueHomeView(modules, uiFramework),
+    ...apiFiles(modules, backend)
+  };
+  if (uiFramework === 'tailwind') Object.assign(files, tailwindFiles('./src/**/*.{vue,js}'));
+  modules.forEach(module => {
+    files[`src/views/${module.component}View.vue`] = vueModuleView(module, uiFramework);
+  });
+  // 生成的是 React 代码时保留原文供参考，Vue 页面由脚手架模板生成
+  if (!codeBlocks.vue && codeBlocks.react) {
+    files['reference/App.jsx'] = codeBlocks.react.trim() + '\n';
+  }
+
+  return { files, split: !!codeBlocks.vue };
+}
+
+// ==================== HTML 站点 ====================
+
+/**
+ * 把单文件 HTML 中的内联样式和脚本拆到 assets 目录
+ */
+function splitHtmlAssets(html) {
+  const styles = [];
+  const scripts = [];
+  let output = String(html || '');
+
+  output = output.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (match, css) => {
+    styles.push(css.trim());
+    return styles.length === 1 ? '<link rel="stylesheet" href="assets/css/style.css">' : '';
+  });
+
+  // 只拆分普通脚本；text/babel、JSON 等特殊类型保留在页面中
+  const scriptPattern = /<script(?![^>]*\bsrc=)([^>]*)>([\s\S]*?)<\/script>/gi;
+  const isPlain = attrs => !/\btype\s*=/.test(attrs) || /\btype\s*=\s*["']?(text\/javascript|application\/javascript)["']?/i.test(attrs);
+  const plainCount = [...output.matchAll(scriptPattern)].filter(m => isPlain(m[1]) && m[2].trim()).length;
+  let seen = 0;
+  output = output.replace(scriptPattern, (match, attrs, js) => {
+    if (!isPlain(attrs) || !js.trim()) return match;
+    scripts.push(js.trim());
+    seen++;
+    // 放在最后一个内联脚本的位置，保证脚本执行时前面的 DOM 已经存在
+    return seen === plainCount ? '<script src="assets/js/main.js"></script>' : '';
+  });
+
+  return {
+    html: output.replace(/\n\s*\n\s*\n/g, '\n\n'),
+    css: styles.join('\n\n'),
+    js: scripts.join('\n\n')
+  };
+}
+
+function buildHtmlProject({ title, codeBlocks }) {
+  const source = codeBlocks.html || codeBlocks.fullCode || `<!DOCTYPE html>\n<html lang="zh-CN">\n<head>\n  <meta charset="UTF-8">\n  <title>${title}</title>\n</head>\n<body></body>\n</html>`;
+  const { html, css, js } = splitHtmlAssets(source);
+  const files = { 'index.html': html };
+  let page = html;
+  if (css || codeBlocks.css) {
+    files['assets/css/style.css'] = `${[css, codeBlocks.html ? '' : codeBlocks.css].filter(Boolean).join('\n\n')}\n`;
+    if (!css) page = page.replace(/<\/head>/i, '  <link rel="stylesheet" href="assets/css/style.css">\n</head>');
+  }
+  if (js) files['assets/js/main.js'] = `${js}\n`;
+  files['index.html'] = page;
+  return { files, split: !!(css || js) };
+}
+
+// ==================== README ====================
+
+function readme({ title, projectType, uiFramework, modules, split, files, backend }) {
+  const uiNames = { tailwind: 'Tailwind CSS', antd: 'Ant Design', material: 'Material UI', bootstrap: 'Bootstrap' };
+  const tree = Object.keys(files).filter(file => !file.startsWith('server/')).sort().map(file => `- \`${file}\``).join('\n');
+  const backendSection = backend ? `
+## 后端
+
+\`server/\` 是根据 COSMIC 持久数据组生成的 Express + SQLite 后端，接口、建表语句和 OpenAPI 文档见 \`server/README.md\`：
+
+\`\`\`bash
+cd server
+npm install
+npm start
+\`\`\`
+` : '';
+
+  if (projectType === 'html') {
+    return `# ${title}
+
+由智器云编程智能体生成的静态站点，样式和脚本已拆分到 \`assets/\` 目录。
+
+## 使用
+
+直接用浏览器打开 \`index.html\`，或在本目录启动任意静态服务器：
+
+\`\`\`bash
+npx serve .
+\`\`\`
+${backendSection}
+## 文件
+
+${tree}
+`;
+  }
+
+  const moduleList = modules.map(module => `- ${module.label}：\`/${module.slug}\``).join('\n');
+  return `# ${title}
+
+由智器云编程智能体生成的 ${projectType === 'vue' ? 'Vue 3' : 'React 18'} + Vite 项目，UI 框架：${uiNames[uiFramework] || uiFramework}。
+
+## 启动
+
+\`\`\`bash
+npm install
+npm run dev
+\`\`\`
+
+## 页面
+
+- 首页：\`/\`${projectType === 'react' ? (split ? '（生成代码已按组件、数据、工具函数拆分）' : '（生成代码未能自动拆分，保持原样）') : ''}
+${moduleList}
+
+## 接口
+
+${backend
+    ? `\`.env\` 中 \`VITE_API_BASE_URL=/api\`，开发服务器把 \`/api\` 代理到 \`http://localhost:${BACKEND_PORT}\`，请先启动 \`server/\` 中的后端。`
+    : `\`src/api/resource.js\` 默认用内存数据模拟增删改查。接入真实后端时在 \`.env.local\` 中设置：
+
+\`\`\`
+VITE_API_BASE_URL=http://localhost:${BACKEND_PORT}/api
+\`\`\``}
+
+各模块按 RESTful 约定请求 \`/{resource}\` 与 \`/{resource}/:id\`，列表接口返回 \`{ items, total }\`。
+${backendSection}
+## 文件
+
+${tree}
+`;
+}
+
+// ==================== 导出 ====================
+
+function slugify(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'generated-app';
+}
+
+/**
+ * 生成项目文件
+ * @param {Object} options - { codeBlocks, projectType: 'react'|'vue'|'html', uiFramework, projectName,
+ *                             requirement, documentContent, tableData: COSMIC 拆分表行, includeBackend }
+ * @returns {{name: string, files: Object<string, string>, modules: Array, split: boolean}}
+ */
+function buildProjectScaffold({ codeBlocks = {}, projectType = 'react', uiFramework = 'tailwind', projectName, requirement, documentContent, tableData, includeBackend = false } = {}) {
+  const framework = UI_FRAMEWORKS.includes(uiFramework) ? uiFramework : 'tailwind';
+  const title = String(projectName || '').trim() || '智器云生成项目';
+  const name = slugify(projectName);
+  const resources = projectType === 'html' && !includeBackend ? [] : buildModules({ requirement, documentContent, tableData });
+  const backend = includeBackend && resources.length > 0;
+  // 静态站点不生成模块页面，资源只用于后端
+  const modules = projectType === 'html' ? [] : resources;
+  const context = { name, title, codeBlocks, uiFramework: framework, modules, backend };
+
+  const project = projectType === 'html'
+    ? buildHtmlProject(context)
+    : projectType === 'vue'
+      ? buildVueProject(context)
+      : buildReactProject(context);
+
+  const files = { ...project.files };
+  if (projectType !== 'html') files['.gitignore'] = 'node_modules\ndist\n.env.local\nserver/data\n';
+  if (backend) {
+    if (projectType !== 'html') files['.env'] = 'VITE_API_BASE_URL=/api\n';
+    Object.entries(generateExpressBackend(resources, { name, title: `${title}后端`, port: BACKEND_PORT })).forEach(([filePath, content]) => {
+      files[`server/${filePath}`] = content;
+    });
+  }
+  files['README.md'] = readme({ title, projectType, uiFramework: framework, modules, split: project.split, files, backend });
+
+  return { name, files, modules: resources, split: project.split };
+}
+
+function zipFiles(name, files) {
+  const zip = new JSZip();
+  const root = zip.folder(name);
+  Object.entries(files).forEach(([filePath, content]) => root.file(filePath, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * 打包为 zip，文件放在以项目名命名的目录下
+ * @returns {Promise<{name: string, buffer: Buffer, fileCount: number}>}
+ */
+async function createProjectZip(options) {
+  const { name, files } = buildProjectScaffold(options);
+  const buffer = await zipFiles(name, files);
+  return { name, buffer, fileCount: Object.keys(files).length };
+}
+
+/**
+ * 只打包后端（COSMIC 持久数据组 -> Express 后端）
+ * @param {Object} options - { resources, projectName }
+ * @returns {Promise<{name: string, buffer: Buffer, fileCount: number}>}
+ */
+async function createBackendZip({ resources, projectName }) {
+  const name = `${slugify(projectName)}-server`;
+  const title = `${String(projectName || '').trim() || '智器云生成项目'}后端`;
+  const files = generateExpressBackend(resources, { name: slugify(projectName), title, port: BACKEND_PORT });
+  const buffer = await zipFiles(name, files);
+  return { name, buffer, fileCount: Object.keys(files).length };
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  buildProjectScaffold,
+  createProjectZip,
+  createBackendZip,
+  splitReactCode,
+  splitHtmlAssets,
+  buildModules
+};
@@ -0,0 +1,324 @@
+/**
+ * COSMIC 度量项目存储模块
+ * 基于文件系统的项目持久化：源文档、每轮 continue-analyze 结果、解析后的表格和人工修改都保存为编号版本
+ *
+ * 目录结构：
+ *   projects/<projectId>/project.json        项目元数据 + 版本索引
+ *   projects/<projectId>/versions/0001.json  版本快照（完整 tableData）
+ *
+ * 不依赖数据库和网络，离线可用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateCfpSummary } = require('./cosmicMeasurement');
+
+// 版本类型
+const VERSION_KINDS = {
+  source: '源文档',
+  round: '分析轮次',
+  table: '解析表格',
+  edit: '人工修改',
+  import: '导入'
+};
+
+function rowKey(row) {
+  return [row.functionalProcess, row.dataMovementType, row.subProcessDesc]
+    .map(v => (v || '').trim().toLowerCase())
+    .join('|');
+}
+
+class ProjectStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    if (!fs.existsSync(baseDir)) {
+      fs.mkdirSync(baseDir, { recursive: true });
+    }
+  }
+
+  // ==================== 路径与读写 ====================
+
+  projectDir(projectId) {
+    // 只允许生成的ID格式，防止路径穿越
+    if (!/^project_[\w]+$/.test(projectId || '')) {
+      throw new Error(`无效的项目ID: ${projectId}`);
+    }
+    return path.join(this.baseDir, projectId);
+  }
+
+  metaPath(projectId) {
+    return path.join(this.projectDir(projectId), 'project.json');
+  }
+
+  versionPath(projectId, version) {
+    return path.join(this.projectDir(projectId), 'versions', `${String(version).padStart(4, '0')}.json`);
+  }
+
+  readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // 先写临时文件再重命名，避免写入中断导致文件损坏
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  exists(projectId) {
+    try {
+      return fs.existsSync(this.metaPath(projectId));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // ==================== 项目 ====================
+
+  listProjects() {
+    return fs.readdirSync(this.baseDir)
+      .filter(name => name.startsWith('project_'))
+      .map(name => {
+        try {
+          const meta = this.readJson(path.join(this.baseDir, name, 'project.json'));
+          const latest = meta.versions[meta.versions.length - 1] || null;
+          return {
+            id: meta.id,
+            name: meta.name,
+            description: meta.description,
+            createdAt: meta.createdAt,
+            updatedAt: meta.updatedAt,
+            forkedFrom: meta.forkedFrom,
+            sourceDocument: meta.sourceDocument,
+            versionCount: meta.versions.length,
+            latestVersion: latest
+          };
+        } catch (e) {
+          console.error(`读取项目 ${name} 失败:`, e.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  getProject(projectId) {
+    if (!this.exists(projectId)) {
+      return null;
+    }
+    return this.readJson(this.metaPath(projectId));
+  }
+
+  /**
+   * 创建项目
+   * @param {Object} options - { name, description, documentContent, filename, tableData }
+   */
+  createProject(options = {}) {
+    const { name, description = '', documentContent, filename, tableData } = options;
+    const projectId = `project_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date().toISOString();
+
+    const meta = {
+      id: projectId,
+      name: name || filename || `COSMIC度量项目 ${now.slice(0, 10)}`,
+      description,
+      createdAt: now,
+      updatedAt: now,
+      forkedFrom: null,
+      sourceDocument: null,
+      versions: []
+    };
+    this.writeJson(this.metaPath(projectId), meta);
+
+    if (documentContent) {
+      this.addVersion(projectId, { kind: 'source', documentContent, filename, label: filename || '源文档' });
+    }
+    if (Array.isArray(tableData) && tableData.length > 0) {
+      this.addVersion(projectId, { kind: 'import', tableData, label: '初始表格' });
+    }
+
+    return this.getProject(projectId);
+  }
+
+  updateProject(projectId, updates = {}) {
+    const meta = this.getProject(projectId);
+    if (!meta) return null;
+    if (updates.name !== undefined) meta.name = updates.name;
+    if (updates.description !== undefined) meta.description = updates.description;
+    meta.updatedAt = new Date().toISOString();
+    this.writeJson(this.metaPath(projectId), meta);
+    return meta;
+  }
+
+  deleteProject(projectId) {
+    if (!this.exists(projectId)) return false;
+    fs.rmSync(this.projectDir(projectId), { recursive: true, force: true });
+    return true;
+  }
+
+  // ==================== 版本 ====================
+
+  /**
+   * 追加版本快照
+   * 未提供 tableData 的版本（如源文档）沿用上一版本的表格，保证每个版本都是完整快照
+   * @param {Object} data - { kind, label, tableData, documentContent, filename, round, reply, note }
+   */
+  addVersion(projectId, data = {}) {
+    const meta = this.getProject(projectId);
+    if (!meta) {
+      throw new Error(`项目不存在: ${projectId}`);
+    }
+
+    const kind = VERSION_KINDS[data.kind] ? data.kind : 'edit';
+    const previous = meta.versions[meta.versions.length - 1];
+    const version = previous ? previous.version + 1 : 1;
+    const tableData = Array.isArray(data.tableData)
+      ? data.tableData
+      : (previous ? this.getVersion(projectId, previous.version).tableData : []);
+
+    const snapshot = {
+      version,
+      kind,
+      label: data.label || `${VERSION_KINDS[kind]} ${version}`,
+      note: data.note || '',
+      createdAt: new Date().toISOString(),
+      parentVersion: previous ? previous.version : null,
+      round: data.round,
+      reply: data.reply,
+      tableData
+    };
+
+    if (kind === 'source') {
+      snapshot.documentContent = data.documentContent || '';
+      snapshot.filename = data.filename || '';
+      meta.sourceDocument = {
+        filename: snapshot.filename,
+        wordCount: snapshot.documentContent.length,
+        version
+      };
+    }
+
+    this.writeJson(this.versionPath(projectId, version), snapshot);
+
+    const summary = calculateCfpSummary(tableData);
+    const entry = {
+      version,
+      kind,
+      label: snapshot.label,
+      createdAt: snapshot.createdAt,
+      rowCount: tableData.length,
+      processCount: summary.total.processCount,
+      cfp: summary.total.CFP
+    };
+    meta.versions.push(entry);
+    meta.updatedAt = snapshot.createdAt;
+    this.writeJson(this.metaPath(projectId), meta);
+
+    return entry;
+  }
+
+  getVersion(projectId, version) {
+    const filePath = this.versionPath(projectId, parseInt(version, 10));
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return this.readJson(filePath);
+  }
+
+  getLatestVersion(projectId) {
+    const meta = this.getProject(projectId);
+    if (!meta || meta.versions.length === 0) return null;
+    return this.getVersion(projectId, meta.versions[meta.versions.length - 1].version);
+  }
+
+  getSourceDocument(projectId) {
+    const meta = this.getProject(projectId);
+    if (!meta || !meta.sourceDocument) return null;
+    const snapshot = this.getVersion(projectId, meta.sourceDocument.version);
+    return snapshot ? { filename: snapshot.filename, documentContent: snapshot.documentContent } : null;
+  }
+
+  /**
+   * 从指定版本派生新项目（复制源文档与该版本表格）
+   */
+  forkProject(projectId, options = {}) {
+    const meta = this.getProject(projectId);
+    if (!meta) {
+      throw new Error(`项目不存在: ${projectId}`);
+    }
+    const version = options.version
+      ? parseInt(options.version, 10)
+      : meta.versions[meta.versions.length - 1]?.version;
+    const snapshot = version ? this.getVersion(projectId, version) : null;
+    if (version && !snapshot) {
+      throw new Error(`版本不存在: ${version}`);
+    }
+
+    const source = this.getSourceDocument(projectId);
+    const forked = this.createProject({
+      name: options.name || `${meta.name}（派生自 v${version || 0}）`,
+      description: meta.description,
+      documentContent: source?.documentContent,
+      filename: source?.filename
+    });
+    if (snapshot && snapshot.tableData.length > 0) {
+      this.addVersion(forked.id, { kind: 'import', tableData: snapshot.tableData, label: `派生自 ${meta.name} v${version}` });
+    }
+
+    const forkedMeta = this.getProject(forked.id);
+    forkedMeta.forkedFrom = { projectId, version: version || null };
+    this.writeJson(this.metaPath(forked.id), forkedMeta);
+    return forkedMeta;
+  }
+
+  /**
+   * 对比两个版本的表格（按 功能过程 + 数据移动类型 + 子过程描述 精确匹配）
+   */
+  diffVersions(projectId, fromVersion, toVersion) {
+    const from = this.getVersion(projectId, fromVersion);
+    const to = this.getVersion(projectId, toVersion);
+    if (!from || !to) {
+      throw new Error('版本不存在');
+    }
+
+    const fromMap = new Map(from.tableData.map(r => [rowKey(r), r]));
+    const toMap = new Map(to.tableData.map(r => [rowKey(r), r]));
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+
+    toMap.forEach((row, key) => {
+      const before = fromMap.get(key);
+      if (!before) {
+        added.push(row);
+        return;
+      }
+      const changes = ['functionalUser', 'triggerEvent', 'dataGroup', 'dataAttributes']
+        .filter(field => (before[field] || '') !== (row[field] || ''))
+        .map(field => ({ field, before: before[field] || '', after: row[field] || '' }));
+      if (changes.length > 0) {
+        modified.push({ functionalProcess: row.functionalProcess, dataMovementType: row.dataMovementType, subProcessDesc: row.subProcessDesc, changes });
+      }
+    });
+    fromMap.forEach((row, key) => {
+      if (!toMap.has(key)) removed.push(row);
+    });
+
+    const fromCfp = calculateCfpSummary(from.tableData).total;
+    const toCfp = calculateCfpSummary(to.tableData).total;
+
+    return {
+      from: { version: from.version, label: from.label, cfp: fromCfp.CFP, processCount: fromCfp.processCount },
+      to: { version: to.version, label: to.label, cfp: toCfp.CFP, processCount: toCfp.processCount },
+      cfpDelta: toCfp.CFP - fromCfp.CFP,
+      added,
+      removed,
+      modified,
+      summary: { added: added.length, removed: removed.length, modified: modified.length }
+    };
+  }
+}
+
+module.exports = { ProjectStore, VERSION_KINDS };
@@ -229,7 +229,7 @@ ${sampleContent}
 \`\`\``;
 
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'quality',
             messages: [
                 { role: 'system', content: '你是文档质量检查专家。' },
                 { role: 'user', content: prompt }
@@ -348,7 +348,7 @@ ${sampleText}
 \`\`\``;
 
         const response = await client.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'glm-4-flash',
+            task: 'quality',
             messages: [
                 { role: 'system', content: '你是中文写作和技术文档专家。' },
                 { role: 'user', content: prompt }
@@ -260,7 +260,7 @@ ${doc.slice(0, 8000)}
 
   try {
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+      task: 'review',
       messages: [
         { role: 'system', content: '你是专业的需求分析师，擅长分析需求文档结构。请只输出JSON格式。' },
         { role: 'user', content: prompt }
@@ -326,7 +326,7 @@ ${doc.slice(0, 10000)}
 
   try {
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+      task: 'review',
       messages: [
         { role: 'system', content: '你是专业的需求评审专家，擅长发现需求文档中的问题。请只输出JSON格式。' },
         { role: 'user', content: prompt }
@@ -408,7 +408,7 @@ ${doc.slice(0, 5000)}
 
   try {
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+      task: 'review',
       messages: [
         { role: 'system', content: '你是专业的项目风险分析师。请只输出JSON格式。' },
         { role: 'user', content: prompt }
@@ -469,7 +469,7 @@ ${requirements.map((r, i) => `${i + 1}. ${r}`).join('\n')}
 
   try {
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+      task: 'review',
       messages: [
         { role: 'system', content: '你是专业的产品经理。请只输出JSON格式。' },
         { role: 'user', content: prompt }
@@ -603,7 +603,7 @@ ${requirementDoc.slice(0, 12000)}
 
   try {
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+      task: 'review',
       messages: [
         { role: 'system', content: '你是专业的需求评审专家。请只输出JSON格式。' },
         { role: 'user', content: prompt }
@@ -657,7 +657,7 @@ ${newDoc.slice(0, 6000)}
 
   try {
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+      task: 'review',
       messages: [
         { role: 'system', content: '你是专业的需求变更分析师。请只输出JSON格式。' },
         { role: 'user', content: prompt }
@@ -0,0 +1,383 @@
+/**
+ * 配置管理 - Config Manager
+ *
+ * 功能：
+ * 1. 配置持久化 - 意图、实体、同义词、回复模板、知识条目和技能开关保存在一个 JSON 文件中
+ * 2. 覆盖内置配置 - 只保存与内置配置不同的部分：同名条目替换内置条目，值为 null 表示删除内置条目
+ * 3. 校验 - 正则表达式、优先级、模板格式在保存前校验，无效配置不会写入
+ * 4. 配置包 - 导出/导入完整配置，便于在不同部署之间共享
+ *
+ * 正则以字符串保存，支持 "/pattern/flags" 字面量写法或直接写 pattern；
+ * 限制长度并拒绝 (a+)+ 这类嵌套量词，防止管理端提交的正则造成灾难性回溯
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLE_FORMAT = 'selfai-config';
+const BUNDLE_VERSION = 1;
+const SECTIONS = ['intents', 'entities', 'synonyms', 'templates'];
+const KEY_PATTERN = /^[\w\u4e00-\u9fff.-]{1,64}$/;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERNS = 50;
+// 量词作用于本身含量词的分组，如 (a+)+、(\w*)*、(a|b+){2,}
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,?\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CONFIG';
+  return error;
+}
+
+function emptyConfig() {
+  return { intents: {}, entities: {}, synonyms: {}, templates: {}, knowledge: [], disabledSkills: [] };
+}
+
+function stringList(value, field) {
+  const list = Array.isArray(value) ? value : (value == null || value === '' ? [] : [value]);
+  return list.map(item => {
+    if (typeof item !== 'string' || !item.trim()) throw invalid(`${field} 只能包含非空字符串`);
+    return item.trim();
+  });
+}
+
+function patternList(value) {
+  const patterns = stringList(value, 'patterns');
+  if (patterns.length > MAX_PATTERNS) throw invalid(`patterns 不能超过 ${MAX_PATTERNS} 个`);
+  return patterns;
+}
+
+/**
+ * 解析正则字符串
+ * @param {string} text - "/pattern/flags" 或 pattern
+ * @param {string} extraFlags - 额外追加的标志（实体提取需要 g）
+ */
+function parsePattern(text, extraFlags = '') {
+  if (String(text).length > MAX_PATTERN_LENGTH) throw invalid(`正则表达式不能超过 ${MAX_PATTERN_LENGTH} 个字符: ${text}`);
+  const literal = String(text).match(/^\/(.+)\/([dgimsuy]*)$/);
+  const source = literal ? literal[1] : String(text);
+  if (NESTED_QUANTIFIER.test(source)) throw invalid(`正则表达式包含嵌套量词，可能导致回溯过慢: ${text}`);
+  const flags = [...new Set(((literal ? literal[2] : '') + extraFlags).split(''))].join('');
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    throw invalid(`无效的正则表达式 ${text}: ${e.message}`);
+  }
+}
+
+// ==================== 条目校验 ====================
+
+const normalizers = {
+  intents(value) {
+    const patterns = patternList(value.patterns);
+    const keywords = stringList(value.keywords, 'keywords');
+    if (patterns.length === 0 && keywords.length === 0) throw invalid('意图至少需要一个 pattern 或 keyword');
+    patterns.forEach(pattern => parsePattern(pattern));
+    const priority = value.priority === undefined ? 5 : Number(value.priority);
+    if (!Number.isFinite(priority) || priority < 0 || priority > 20) throw invalid('priority 必须是 0-20 之间的数字');
+    return { patterns, priority, keywords, responses: stringList(value.responses, 'responses') };
+  },
+
+  entities(value) {
+    const patterns = patternList(value.patterns);
+    if (patterns.length === 0) throw invalid('实体至少需要一个 pattern');
+    patterns.forEach(pattern => parsePattern(pattern, 'g'));
+    const values = {};
+    Object.entries(value.values || {}).forEach(([alias, normalized]) => {
+      values[alias.toLowerCase()] = String(normalized);
+    });
+    return { patterns, values };
+  },
+
+  synonyms(value) {
+    const list = stringList(Array.isArray(value) ? value : value.words, 'synonyms');
+    if (list.length === 0) throw invalid('同义词列表不能为空');
+    return list;
+  },
+
+  templates(value) {
+    const content = value && value.content !== undefined ? value.content : value;
+    if (typeof content === 'string' || Array.isArray(content)) {
+      const list = stringList(content, 'templates');
+      if (list.length === 0) throw invalid('模板不能为空');
+      return typeof content === 'string' ? list[0] : list;
+    }
+    if (content && typeof content === 'object') {
+      const grouped = {};
+      Object.entries(content).forEach(([group, list]) => {
+        grouped[group] = stringList(list, `templates.${group}`);
+      });
+      return grouped;
+    }
+    throw invalid('模板必须是字符串、字符串数组或分组对象');
+  }
+};
+
+function normalizeKnowledge(value) {
+  const question = String(value.question || '').trim();
+  const answer = String(value.answer || '').trim();
+  if (!question || !answer) throw invalid('知识条目需要 question 和 answer');
+  const keywords = Array.isArray(value.keywords)
+    ? stringList(value.keywords, 'keywords')
+    : String(value.keywords || '').split(/[,，、;；\s]+/).filter(Boolean);
+  return { category: String(value.category || 'custom').trim() || 'custom', question, answer, keywords };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 校验配置文件中读出的内容：逐条经过与保存时相同的校验，无效的分区和条目丢弃并记录
+ * 配置文件可能被手工编辑或由旧版本写入，单个坏条目不能导致服务无法启动
+ * @returns {{data: Object, dropped: string[]}}
+ */
+function sanitizeStored(stored) {
+  const data = emptyConfig();
+  const dropped = [];
+
+  SECTIONS.forEach(section => {
+    if (stored[section] === undefined) return;
+    if (!isPlainObject(stored[section])) {
+      dropped.push(`${section}: 不是对象`);
+      return;
+    }
+    Object.entries(stored[section]).forEach(([key, value]) => {
+      try {
+        if (!KEY_PATTERN.test(key)) throw invalid(`无效的名称: ${key}`);
+        data[section][key] = value === null ? null : normalizers[section](value);
+      } catch (e) {
+        dropped.push(`${section}.${key}: ${e.message}`);
+      }
+    });
+  });
+
+  if (stored.knowledge !== undefined && !Array.isArray(stored.knowledge)) {
+    dropped.push('knowledge: 不是数组');
+  } else {
+    (stored.knowledge || []).forEach((entry, i) => {
+      try {
+        if (!isPlainObject(entry)) throw invalid('知识条目不是对象');
+        data.knowledge.push({
+          id: typeof entry.id === 'string' && entry.id ? entry.id : `admin_${Date.now().toString(36)}_${i}`,
+          ...normalizeKnowledge(entry)
+        });
+      } catch (e) {
+        dropped.push(`knowledge[${i}]: ${e.message}`);
+      }
+    });
+  }
+
+  try {
+    data.disabledSkills = [...new Set(stringList(stored.disabledSkills, 'disabledSkills'))];
+  } catch (e) {
+    dropped.push(`disabledSkills: ${e.message}`);
+  }
+
+  if (typeof stored.updatedAt === 'string') data.updatedAt = stored.updatedAt;
+  return { data, dropped };
+}
+
+class ConfigManager {
+  /**
+   * @param {string} filePath - 配置文件路径
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = emptyConfig();
+    this.load();
+  }
+
+  // ==================== 读写 ====================
+
+  /**
+   * 读取配置文件；文件损坏时记录错误、备份原文件并使用内置配置，无效的条目丢弃并记录，不影响服务启动
+   */
+  load() {
+    this.data = emptyConfig();
+    if (!fs.existsSync(this.filePath)) return this.data;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      if (!isPlainObject(stored)) throw new Error('配置文件内容不是对象');
+      const { data, dropped } = sanitizeStored(stored);
+      this.data = data;
+      if (dropped.length > 0) {
+        console.warn(`⚠️ 自研AI配置文件 ${this.filePath} 中有 ${dropped.length} 项无效配置，已忽略（下次保存时移除）:\n  ${dropped.join('\n  ')}`);
+      }
+    } catch (e) {
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      console.error(`⚠️ 自研AI配置文件 ${this.filePath} 无法解析，已使用内置配置（原文件备份为 ${backupPath}）:`, e.message);
+      try {
+        fs.renameSync(this.filePath, backupPath);
+      } catch (renameError) {
+        console.error('备份损坏的配置文件失败:', renameError.message);
+      }
+    }
+    return this.data;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.data.updatedAt = new Date().toISOString();
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  checkSection(section) {
+    if (!SECTIONS.includes(section)) throw invalid(`未知的配置类型: ${section}，可选 ${SECTIONS.join(', ')}`);
+  }
+
+  checkKey(key) {
+    if (!KEY_PATTERN.test(key || '')) throw invalid(`无效的名称: ${key}`);
+  }
+
+  // ==================== 意图/实体/同义词/模板 ====================
+
+  /**
+   * 新增或替换条目（同名内置条目被覆盖）
+   */
+  set(section, key, value) {
+    this.checkSection(section);
+    this.checkKey(key);
+    if (value == null) throw invalid('缺少配置内容');
+    const normalized = normalizers[section](value);
+    this.data[section][key] = normalized;
+    this.save();
+    return normalized;
+  }
+
+  /**
+   * 删除条目；内置条目记为 null，重新加载后不再生效
+   */
+  remove(section, key) {
+    this.checkSection(section);
+    this.checkKey(key);
+    this.data[section][key] = null;
+    this.save();
+  }
+
+  /**
+   * 撤销对某个条目的修改，恢复内置配置
+   */
+  reset(section, key) {
+    this.checkSection(section);
+    if (!(key in this.data[section])) return false;
+    delete this.data[section][key];
+    this.save();
+    return true;
+  }
+
+  // ==================== 知识条目 ====================
+
+  addKnowledge(value) {
+    const entry = { id: `admin_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`, ...normalizeKnowledge(value) };
+    this.data.knowledge.push(entry);
+    this.save();
+    return entry;
+  }
+
+  updateKnowledge(id, value) {
+    const index = this.data.knowledge.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+    const entry = { id, ...normalizeKnowledge({ ...this.data.knowledge[index], ...value }) };
+    this.data.knowledge[index] = entry;
+    this.save();
+    return entry;
+  }
+
+  removeKnowledge(id) {
+    const before = this.data.knowledge.length;
+    this.data.knowledge = this.data.knowledge.filter(entry => entry.id !== id);
+    if (this.data.knowledge.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  // ==================== 技能开关 ====================
+
+  setSkillEnabled(name, enabled) {
+    const disabled = new Set(this.data.disabledSkills);
+    if (enabled) disabled.delete(name);
+    else disabled.add(name);
+    this.data.disabledSkills = [...disabled];
+    this.save();
+  }
+
+  // ==================== 配置包 ====================
+
+  exportBundle() {
+    const { updatedAt, ...data } = this.data;
+    return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), ...data };
+  }
+
+  /**
+   * 导入配置包；全部条目校验通过后才写入
+   * @param {string} mode - 'merge' 合并到现有配置 | 'replace' 替换现有配置
+   * @returns {Object} 各类条目的导入数量
+   */
+  importBundle(bundle, mode = 'merge') {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+      throw invalid(`不是有效的配置包（format 应为 ${BUNDLE_FORMAT}）`);
+    }
+    if (bundle.version > BUNDLE_VERSION) throw invalid(`不支持的配置包版本: ${bundle.version}`);
+
+    const next = mode === 'replace' ? emptyConfig() : JSON.parse(JSON.stringify(this.data));
+    const counts = {};
+    SECTIONS.forEach(section => {
+      const entries = Object.entries(bundle[section] || {});
+      entries.forEach(([key, value]) => {
+        this.checkKey(key);
+        next[section][key] = value === null ? null : normalizers[section](value);
+      });
+      counts[section] = entries.length;
+    });
+
+    const knowledge = (bundle.knowledge || []).map(entry => ({
+      id: entry.id || `admin_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+      ...normalizeKnowledge(entry)
+    }));
+    const ids = new Set(knowledge.map(entry => entry.id));
+    next.knowledge = [...next.knowledge.filter(entry => !ids.has(entry.id)), ...knowledge];
+    counts.knowledge = knowledge.length;
+
+    next.disabledSkills = [...new Set([...next.disabledSkills, ...stringList(bundle.disabledSkills, 'disabledSkills')])];
+
+    this.data = next;
+    this.save();
+    return counts;
+  }
+
+  // ==================== 编译 ====================
+
+  /**
+   * 转换为各引擎可直接使用的覆盖配置（正则已编译）
+   */
+  compile() {
+    const intents = {};
+    Object.entries(this.data.intents).forEach(([name, def]) => {
+      intents[name] = def && { ...def, patterns: def.patterns.map(pattern => parsePattern(pattern)) };
+    });
+
+    const entities = {};
+    Object.entries(this.data.entities).forEach(([type, def]) => {
+      entities[type] = def && {
+        patterns: def.patterns.map(pattern => parsePattern(pattern, 'g')),
+        normalize: match => def.values[match.toLowerCase()] || match
+      };
+    });
+
+    return {
+      intents,
+      entities,
+      synonyms: { ...this.data.synonyms },
+      templates: { ...this.data.templates },
+      knowledge: this.data.knowledge,
+      disabledSkills: this.data.disabledSkills
+    };
+  }
+}
+
+ConfigManager.SECTIONS = SECTIONS;
+
+module.exports = ConfigManager;
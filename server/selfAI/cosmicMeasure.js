@@ -0,0 +1,250 @@
+/**
+ * COSMIC 度量技能 - COSMIC Measure Skill
+ *
+ * 功能：
+ * 1. 拆分表度量 - 解析粘贴的 Markdown 拆分表，按功能过程统计 E/R/W/X 和 CFP
+ * 2. 描述度量 - 从功能过程的文字描述中按动词识别数据移动，给出建议拆分和 CFP
+ * 3. 规则检查 - 复用 cosmicValidator 的规则指出不合规之处
+ * 4. 计数说明 - 逐项解释每个数据移动为什么计 1 CFP
+ *
+ * 全部在本地按规则计算，不调用任何外部模型
+ */
+
+const { parseMarkdownTable, validateCosmicTable } = require('../cosmicValidator');
+const { calculateCfpSummary } = require('../cosmicMeasurement');
+
+const MOVEMENT_NAMES = {
+  E: '输入(Entry)',
+  R: '读(Read)',
+  W: '写(Write)',
+  X: '输出(eXit)'
+};
+
+const MOVEMENT_REASONS = {
+  E: '功能用户把数据组移入功能过程',
+  R: '从持久存储读取数据组',
+  W: '把数据组写入持久存储',
+  X: '把数据组移出边界交给功能用户'
+};
+
+// 描述中识别数据移动的动词
+const MOVEMENT_VERBS = {
+  E: ['输入', '填写', '提交', '上传', '录入', '选择', '点击', '发起', '请求', '传入', '扫描', '接收', '导入'],
+  R: ['查询', '读取', '获取', '检索', '查找', '加载', '调取', '查看'],
+  W: ['保存', '写入', '存储', '记录', '入库', '更新', '修改', '新增', '添加', '删除', '插入', '登记', '归档'],
+  X: ['返回', '展示', '显示', '输出', '提示', '通知', '发送', '推送', '导出', '下载', '反馈', '告知', '打印', '响应']
+};
+
+const VERB_PATTERN = new RegExp(
+  Object.values(MOVEMENT_VERBS).flat().sort((a, b) => b.length - a.length).join('|'),
+  'g'
+);
+const VERB_TYPES = new Map(
+  Object.entries(MOVEMENT_VERBS).flatMap(([type, verbs]) => verbs.map(verb => [verb, type]))
+);
+
+// 数据移动动词前的连接词或主语
+const VERB_LEAD_PATTERN = /(?:并且?|和|及|再|后|、|系统|用户|平台|后台|服务端?)\s*$/;
+
+// 描述度量时不适用的规则（描述中没有数据属性，名称也是推断的）
+const DESCRIPTION_SKIPPED_RULES = ['TOO_FEW_ATTRIBUTES', 'DUPLICATE_ATTRIBUTES', 'NAMING_NOT_VERB_OBJECT'];
+
+const MAX_LISTED_PROCESSES = 20;
+
+class CosmicMeasureSkill {
+  /**
+   * 度量入口：依次尝试拆分表、数据移动序列、功能过程描述
+   * @param {string} text - 用户输入
+   * @returns {{result: string, mode: string, total: number|null}}
+   */
+  measure(text) {
+    const input = String(text || '');
+
+    const rows = parseMarkdownTable(input).filter(row => row.dataMovementType);
+    if (rows.length > 0) {
+      return this.measureTable(rows);
+    }
+
+    const sequence = input.match(/(?:^|[^A-Za-z])([ERWX](?:\s*(?:→|->|>|,|、|\s)\s*[ERWX])+)(?![A-Za-z])/);
+    if (sequence) {
+      return this.measureSequence(sequence[1].match(/[ERWX]/g));
+    }
+
+    const described = this.parseDescription(input);
+    if (described.rows.length > 0) {
+      return this.measureDescription(described);
+    }
+
+    return { result: this.usage(), mode: 'usage', total: null };
+  }
+
+  // ==================== 拆分表 ====================
+
+  measureTable(rows) {
+    const summary = calculateCfpSummary(rows);
+    const report = validateCosmicTable(rows);
+    const lines = [
+      `**COSMIC 度量结果：共 ${summary.total.processCount} 个功能过程，${summary.total.CFP} CFP**`,
+      '',
+      `数据移动：E ${summary.total.E} 个，R ${summary.total.R} 个，W ${summary.total.W} 个，X ${summary.total.X} 个，每个数据移动计 1 CFP。`,
+      '',
+      '| 功能过程 | 数据移动 | E | R | W | X | CFP |',
+      '|:---|:---|---:|---:|---:|---:|---:|'
+    ];
+
+    summary.processes.slice(0, MAX_LISTED_PROCESSES).forEach((process, i) => {
+      const { movements } = report.processes[i];
+      lines.push(`| ${process.functionalProcess} | ${movements.split('').join('→')} | ${process.E} | ${process.R} | ${process.W} | ${process.X} | ${process.CFP} |`);
+    });
+    if (summary.processes.length > MAX_LISTED_PROCESSES) {
+      lines.push(`| …其余 ${summary.processes.length - MAX_LISTED_PROCESSES} 个功能过程 | | | | | | |`);
+    }
+    lines.push(`| **合计** | | ${summary.total.E} | ${summary.total.R} | ${summary.total.W} | ${summary.total.X} | **${summary.total.CFP}** |`);
+
+    // 只有一个功能过程时逐行说明计数
+    if (summary.processes.length === 1) {
+      lines.push('', '**计数说明**：');
+      rows.forEach((row, i) => lines.push(this.explainRow(i + 1, row.subProcessDesc, row.dataMovementType, row.dataGroup)));
+    }
+
+    lines.push('', this.formatViolations(report.processes));
+    return { result: lines.join('\n'), mode: 'table', total: summary.total.CFP };
+  }
+
+  // ==================== 数据移动序列 ====================
+
+  measureSequence(movements) {
+    const counts = { E: 0, R: 0, W: 0, X: 0 };
+    movements.forEach(type => { counts[type]++; });
+    const lines = [
+      `**${movements.join('→')} 共 ${movements.length} CFP**`,
+      '',
+      `E ${counts.E} 个，R ${counts.R} 个，W ${counts.W} 个，X ${counts.X} 个，每个数据移动计 1 CFP。`
+    ];
+
+    const report = validateCosmicTable(movements.map(type => ({
+      functionalProcess: '该功能过程',
+      dataMovementType: type
+    })));
+    const violations = report.processes[0].violations.filter(v => !DESCRIPTION_SKIPPED_RULES.includes(v.code));
+    lines.push('', this.formatViolations([{ ...report.processes[0], violations }]));
+    return { result: lines.join('\n'), mode: 'sequence', total: movements.length };
+  }
+
+  // ==================== 功能过程描述 ====================
+
+  /**
+   * 从描述中识别数据移动：按句切分，每个动词对应一个数据移动，动词后的内容作为数据组
+   * 同一功能过程中对同一数据组的同类移动只计一次
+   */
+  parseDescription(text) {
+    const named = text.match(/功能过程\s*[:：]\s*([^\n,，.。;；]+)/);
+    const rows = [];
+    const merged = [];
+    const seen = new Map();
+
+    text
+      .split(/[\n,，.。;；!！?？]|然后|接着|随后|之后|最后|同时|并且/)
+      .map(clause => clause.replace(/^\s*(?:\d+[.)、]|[-*])\s*/, '').replace(/^并/, '').trim())
+      .filter(clause => clause && !/(CFP|功能点|多少|几个)/i.test(clause) && !/^功能过程\s*[:：]/.test(clause))
+      .forEach(clause => {
+        // 子句中第一个动词之后，只有跟在连接词或主语后面的才算新的数据移动，
+        // 否则视为宾语的一部分（如"返回提交结果"中的"提交"、"保存请假记录"中的"记录"）
+        const verbs = [...clause.matchAll(VERB_PATTERN)].filter((match, i) =>
+          i === 0 || VERB_LEAD_PATTERN.test(clause.slice(0, match.index))
+        );
+        verbs.forEach((match, i) => {
+          const type = VERB_TYPES.get(match[0]);
+          const end = i + 1 < verbs.length ? verbs[i + 1].index : clause.length;
+          const object = clause.slice(match.index + match[0].length, end).replace(/^[的了到给至并和及与]+|[并和及与]+$/g, '').trim();
+          const dataGroup = (object || clause).slice(0, 20);
+
+          // 同一子句中紧邻的同类动词（如"提交申请"）视为一个数据移动
+          const last = rows[rows.length - 1];
+          if (last && last.clause === clause && last.dataMovementType === type) return;
+
+          const key = `${type}|${dataGroup}`;
+          if (seen.has(key)) {
+            merged.push({ type, dataGroup, clause });
+            return;
+          }
+          seen.set(key, true);
+          rows.push({
+            functionalProcess: named ? named[1].trim() : '该功能过程',
+            subProcessDesc: clause,
+            dataMovementType: type,
+            dataGroup,
+            verb: match[0],
+            clause
+          });
+        });
+      });
+
+    return { name: named ? named[1].trim() : null, rows, merged };
+  }
+
+  measureDescription({ name, rows, merged }) {
+    const counts = { E: 0, R: 0, W: 0, X: 0 };
+    rows.forEach(row => { counts[row.dataMovementType]++; });
+
+    const lines = [
+      `**${name ? `「${name}」` : '该功能过程'}按描述识别出 ${rows.length} 个数据移动，共 ${rows.length} CFP**`,
+      '',
+      `E ${counts.E} 个，R ${counts.R} 个，W ${counts.W} 个，X ${counts.X} 个。`,
+      '',
+      '**计数说明**：'
+    ];
+    rows.forEach((row, i) => lines.push(this.explainRow(i + 1, row.clause, row.dataMovementType, row.dataGroup, row.verb)));
+    merged.forEach(item => lines.push(`- 「${item.clause}」与前面的 ${item.type}（${item.dataGroup}）是同一数据组的同类移动，只计 1 次`));
+
+    const report = validateCosmicTable(rows);
+    const violations = report.processes[0].violations.filter(v =>
+      !DESCRIPTION_SKIPPED_RULES.includes(v.code) || (v.code === 'NAMING_NOT_VERB_OBJECT' && name)
+    );
+    lines.push('', this.formatViolations([{ ...report.processes[0], violations }]));
+
+    lines.push('', '**建议拆分表**：', '', '|功能过程|子过程描述|数据移动类型|数据组|', '|:---|:---|:---|:---|');
+    rows.forEach((row, i) => lines.push(`|${i === 0 ? row.functionalProcess : ''}|${row.subProcessDesc}|${row.dataMovementType}|${row.dataGroup}|`));
+    lines.push('', '> 描述度量按动词识别数据移动，仅供参考；数据组和属性请按实际设计补充后再用拆分表复核。');
+
+    return { result: lines.join('\n'), mode: 'description', total: rows.length };
+  }
+
+  // ==================== 输出 ====================
+
+  explainRow(index, desc, type, dataGroup, verb) {
+    const name = MOVEMENT_NAMES[type] || type;
+    const reason = MOVEMENT_REASONS[type] || '不是有效的数据移动类型，不计数';
+    const cfp = MOVEMENT_REASONS[type] ? '计 1 CFP' : '计 0 CFP';
+    const trigger = verb ? `"${verb}"表示` : '';
+    return `${index}. ${desc || '(未填写子过程)'} → **${type} ${name}**：${trigger}${reason}${dataGroup ? `（数据组：${dataGroup}）` : ''}，${cfp}`;
+  }
+
+  formatViolations(processes) {
+    const withIssues = processes.filter(p => p.violations.length > 0);
+    if (withIssues.length === 0) {
+      return '✅ 未发现违反拆分规则的地方。';
+    }
+
+    const lines = ['**规则检查**：'];
+    withIssues.slice(0, MAX_LISTED_PROCESSES).forEach(process => {
+      process.violations.forEach(v => {
+        lines.push(`- ${v.severity === 'error' ? '❌' : '⚠️'} ${process.functionalProcess}：${v.message}`);
+      });
+    });
+    if (withIssues.length > MAX_LISTED_PROCESSES) {
+      lines.push(`- …另有 ${withIssues.length - MAX_LISTED_PROCESSES} 个功能过程存在问题`);
+    }
+    return lines.join('\n');
+  }
+
+  usage() {
+    return '我可以在本地按 COSMIC 规则帮您计算 CFP，请提供以下任意一种内容：\n\n' +
+      '1. **拆分表**：粘贴 Markdown 表格，列为 `|功能用户|触发事件|功能过程|子过程描述|数据移动类型|数据组|数据属性|`\n' +
+      '2. **功能过程描述**：例如"功能过程：提交请假申请。用户填写请假单并提交，系统读取员工假期余额，保存请假记录，返回提交结果，这个过程多少CFP"\n' +
+      '3. **数据移动序列**：例如"E→R→W→X 是多少CFP"\n\n' +
+      '计数规则：每个数据移动（E 输入、R 读、W 写、X 输出）计 1 CFP，功能过程以 E 开始、以 X 结束，中间至少有 1 个 R 或 W。';
+  }
+}
+
+module.exports = CosmicMeasureSkill;
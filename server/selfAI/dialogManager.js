@@ -27,6 +27,16 @@ class DialogManager {
     
     // 槽位定义
     this.slotDefinitions = this.initSlotDefinitions();
+
+    // 管理端配置的意图动作：intent -> action
+    this.customActions = new Map();
+  }
+
+  /**
+   * 设置自定义意图的动作，覆盖内置映射
+   */
+  setCustomActions(actions = {}) {
+    this.customActions = new Map(Object.entries(actions));
   }
 
   /**
@@ -41,6 +51,7 @@ class DialogManager {
         'explain': 'task',
         'how_to': 'task',
         'calculate': 'task',
+        'cosmic_measure': 'task',
         'translate': 'task',
         'question': 'task',
         'chitchat': 'task',
@@ -252,6 +263,7 @@ class DialogManager {
       'explain': { type: 'knowledge', query: nluResult.originalText },
       'how_to': { type: 'knowledge', query: nluResult.originalText },
       'calculate': { type: 'skill', skill: 'calculator', params: { expression: nluResult.originalText } },
+      'cosmic_measure': { type: 'skill', skill: 'cosmic_measure', params: { text: nluResult.originalText } },
       'datetime': { type: 'skill', skill: 'datetime', params: {} },
       'translate': { type: 'skill', skill: 'translator', params: context.slots },
       'chitchat': { type: 'direct', data: { responseType: 'chitchat', topic: nluResult.keywords[0] } },
@@ -261,7 +273,7 @@ class DialogManager {
       'question': { type: 'knowledge', query: nluResult.originalText }
     };
 
-    return intentActionMap[intent] || { type: 'knowledge', query: nluResult.originalText };
+    return this.customActions.get(intent) || intentActionMap[intent] || { type: 'knowledge', query: nluResult.originalText };
   }
 
   /**
@@ -5,9 +5,10 @@
  * 核心架构：
  * 1. NLU模块 - 自然语言理解（意图识别 + 实体提取）
  * 2. DM模块 - 对话管理（状态机 + 上下文管理）
- * 3. KB模块 - 知识库（知识图谱 + 向量检索）
+ * 3. KB模块 - 知识库（TF-IDF 向量检索 + Markdown/JSON 批量导入）
  * 4. NLG模块 - 自然语言生成（模板 + 规则）
  * 5. 插件系统 - 可扩展的技能模块
+ * 6. 管理配置 - 意图、实体、同义词、模板、知识和技能开关可在运行时修改并热加载
  */
 
 const NLUEngine = require('./nlu');
@@ -15,6 +16,7 @@ const DialogManager = require('./dialogManager');
 const KnowledgeBase = require('./knowledgeBase');
 const NLGEngine = require('./nlg');
 const SkillManager = require('./skills');
+const { messagesOf } = require('../chatStore');
 
 class SelfAIAgent {
   constructor(config = {}) {
@@ -28,26 +30,37 @@ class SelfAIAgent {
     // 初始化各模块
     this.nlu = new NLUEngine();
     this.dm = new DialogManager(this.config.maxContextTurns);
-    this.kb = new KnowledgeBase();
+    this.kb = new KnowledgeBase({ knowledgeDir: config.knowledgeDir, importedDir: config.importedKnowledgeDir });
     this.nlg = new NLGEngine();
     this.skills = new SkillManager();
 
-    // 会话存储
+    // 会话存储（内存中保存对话上下文，消息历史可通过 attachStore 持久化）
     this.sessions = new Map();
+    this.store = config.store || null;
 
     console.log(`🤖 ${this.config.name} v${this.config.version} 初始化完成`);
   }
 
   /**
-   * 获取或创建会话
+   * 挂载会话存储（ChatStore），之后的消息写入磁盘，重启后可恢复历史
+   */
+  attachStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * 获取或创建会话（内存中没有时从会话存储恢复最近的历史）
    */
   getSession(sessionId) {
     if (!this.sessions.has(sessionId)) {
+      const stored = this.store ? this.store.getSession(sessionId) : null;
       this.sessions.set(sessionId, {
         id: sessionId,
         context: this.dm.createContext(),
-        history: [],
-        createdAt: Date.now(),
+        history: stored
+          ? messagesOf(stored, 'selfAI').slice(-this.config.maxContextTurns * 2).map(m => ({ ...m, timestamp: new Date(m.timestamp).getTime() }))
+          : [],
+        createdAt: stored ? new Date(stored.createdAt).getTime() : Date.now(),
         lastActiveAt: Date.now()
       });
     }
@@ -79,6 +92,12 @@ class SelfAIAgent {
         actionResult = await this.skills.execute(dmResult.skill, dmResult.params, session.context);
       } else if (dmResult.action === 'knowledge') {
         actionResult = this.kb.query(dmResult.query, nluResult.entities);
+      } else if (dmResult.action === 'clarify' && nluResult.intent === 'unknown') {
+        // 导入的领域知识（如 COSMIC 规则）通常没有对应意图，先查知识库，命中时直接作答
+        actionResult = this.kb.query(nluResult.originalText, nluResult.entities);
+        if (actionResult.found) {
+          dmResult.action = 'knowledge';
+        }
       } else {
         actionResult = { type: 'direct', data: dmResult.data };
       }
@@ -87,16 +106,14 @@ class SelfAIAgent {
       const response = this.nlg.generate(nluResult, dmResult, actionResult, session.context);
 
       // 6. 更新会话历史
-      session.history.push({
-        role: 'user',
-        content: userInput,
-        timestamp: Date.now()
-      });
-      session.history.push({
-        role: 'assistant',
-        content: response.text,
-        timestamp: Date.now()
-      });
+      const turn = [
+        { role: 'user', content: userInput, timestamp: Date.now() },
+        { role: 'assistant', content: response.text, timestamp: Date.now() }
+      ];
+      session.history.push(...turn);
+      if (this.store) {
+        turn.forEach(message => this.store.appendMessage(sessionId, message, { agent: 'selfAI' }));
+      }
 
       // 7. 更新上下文
       this.dm.updateContext(session.context, nluResult, response);
@@ -145,8 +162,8 @@ class SelfAIAgent {
       .replace(/[：]/g, ':')
       .replace(/[；]/g, ';');
     
-    // 去除多余空格
-    processed = processed.replace(/\s+/g, ' ');
+    // 去除多余空格（保留换行，粘贴的拆分表需要按行解析）
+    processed = processed.replace(/[^\S\n]+/g, ' ').replace(/\s*\n\s*/g, '\n');
     
     return processed;
   }
@@ -160,12 +177,23 @@ class SelfAIAgent {
       session.history = [];
       session.context = this.dm.createContext();
     }
+    if (this.store) this.store.clearMessages(sessionId);
+  }
+
+  /**
+   * 删除会话（包括已持久化的历史）
+   */
+  deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+    return this.store ? this.store.deleteSession(sessionId) : true;
   }
 
   /**
-   * 获取会话历史
+   * 获取会话历史（有会话存储时返回完整历史，否则为内存中的最近几轮）
    */
   getHistory(sessionId) {
+    const stored = this.store ? this.store.getSession(sessionId) : null;
+    if (stored) return stored.messages;
     const session = this.getSession(sessionId);
     return session.history;
   }
@@ -177,12 +205,110 @@ class SelfAIAgent {
     this.kb.add(category, question, answer, keywords);
   }
 
+  /**
+   * 从 Markdown/JSON 文本批量导入知识
+   * @param {string} format - 'markdown' | 'json'
+   * @param {Object} options - { category, source, persist }
+   */
+  importKnowledge(content, format, options = {}) {
+    return this.kb.importText(content, format, options);
+  }
+
   /**
    * 注册技能
    */
   registerSkill(name, handler) {
     this.skills.register(name, handler);
   }
+
+  /**
+   * 挂载管理端配置（ConfigManager）并立即生效
+   */
+  attachConfig(configManager) {
+    this.configManager = configManager;
+    this.reloadConfig();
+  }
+
+  /**
+   * 重新应用管理端配置（热加载），各引擎从内置配置重新计算，无需重启
+   */
+  reloadConfig() {
+    if (!this.configManager) return;
+    const overrides = this.configManager.compile();
+
+    // 配置了回复的意图直接按模板回复
+    const intentTemplates = {};
+    const customActions = {};
+    for (const [intent, def] of Object.entries(overrides.intents)) {
+      if (def && def.responses.length > 0) {
+        intentTemplates[intent] = def.responses;
+        customActions[intent] = { type: 'direct', data: { responseType: intent } };
+      }
+    }
+
+    this.nlu.applyOverrides(overrides);
+    this.nlg.applyOverrides({ templates: { ...intentTemplates, ...overrides.templates } });
+    this.dm.setCustomActions(customActions);
+    this.skills.setDisabled(overrides.disabledSkills);
+    this.kb.importEntries(overrides.knowledge, { source: 'admin' });
+  }
+
+  /**
+   * 当前生效的配置，origin 标记条目来源：builtin 内置 | modified 已修改的内置条目 | custom 新增
+   */
+  describeConfig() {
+    const stored = this.configManager ? this.configManager.data : { intents: {}, entities: {}, synonyms: {}, templates: {} };
+    const origin = (section, key, builtinKeys) => {
+      if (!(key in stored[section])) return 'builtin';
+      return builtinKeys.includes(key) ? 'modified' : 'custom';
+    };
+    const deleted = section => Object.keys(stored[section]).filter(key => stored[section][key] === null);
+
+    const builtinIntents = this.nlu.initIntentPatterns().map(def => def.intent);
+    const builtinEntities = Object.keys(this.nlu.initEntityPatterns());
+    const builtinSynonyms = Object.keys(this.nlu.initSynonyms());
+    const builtinTemplates = Object.keys(this.nlg.initTemplates());
+
+    return {
+      intents: this.nlu.intentPatterns.map(def => ({
+        intent: def.intent,
+        patterns: def.patterns.map(pattern => pattern.toString()),
+        priority: def.priority,
+        keywords: def.keywords || [],
+        responses: stored.intents[def.intent] ? stored.intents[def.intent].responses : [],
+        origin: origin('intents', def.intent, builtinIntents)
+      })),
+      entities: Object.entries(this.nlu.entityPatterns).map(([type, def]) => ({
+        type,
+        patterns: def.patterns.map(pattern => pattern.toString()),
+        values: stored.entities[type] ? stored.entities[type].values : null,
+        origin: origin('entities', type, builtinEntities)
+      })),
+      synonyms: Object.entries(this.nlu.synonyms).map(([word, list]) => ({
+        word,
+        synonyms: list,
+        origin: origin('synonyms', word, builtinSynonyms)
+      })),
+      templates: Object.entries(this.nlg.templates).map(([type, content]) => ({
+        type,
+        content,
+        origin: origin('templates', type, builtinTemplates)
+      })),
+      skills: this.skills.list(),
+      knowledge: {
+        total: this.kb.knowledge.size,
+        categories: this.kb.getCategories(),
+        custom: this.configManager ? this.configManager.data.knowledge : []
+      },
+      deleted: {
+        intents: deleted('intents'),
+        entities: deleted('entities'),
+        synonyms: deleted('synonyms'),
+        templates: deleted('templates')
+      },
+      updatedAt: this.configManager ? this.configManager.data.updatedAt || null : null
+    };
+  }
 }
 
 module.exports = SelfAIAgent;
@@ -3,21 +3,64 @@
  * 
  * 功能：
  * 1. 知识存储 - 结构化知识管理
- * 2. 知识检索 - 基于关键词和语义的检索
- * 3. 知识推理 - 简单的规则推理
- * 4. 动态学习 - 支持添加新知识
+ * 2. 知识检索 - TF-IDF 字符 n-gram 向量 + 余弦相似度排序，关键词命中额外加分
+ * 3. 批量导入 - 从 Markdown/JSON 文件导入知识条目（如 COSMIC 计数规则、公司术语表）
+ * 4. 动态学习 - 支持增量添加和删除知识，索引实时更新
+ *
+ * 启动时自动加载知识目录（默认 server/knowledge，可用 SELFAI_KNOWLEDGE_DIR 指定）中的 *.md / *.json
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const VectorIndex = require('./vectorIndex');
+
+const DEFAULT_KNOWLEDGE_DIR = process.env.SELFAI_KNOWLEDGE_DIR || path.join(__dirname, '..', 'knowledge');
+// 通过接口导入的知识落盘目录，每个来源一个 JSON 文件，启动时与知识目录一起加载
+const DEFAULT_IMPORTED_DIR = process.env.SELFAI_IMPORTED_KNOWLEDGE_DIR || path.join(DEFAULT_KNOWLEDGE_DIR, 'imported');
+const MIN_SCORE = 0.15;
+const KEYWORD_BONUS = 0.1;
+const IMPORT_EXTENSIONS = ['.md', '.markdown', '.txt', '.json'];
+// 内置知识和管理端配置的知识占用的来源，接口导入不能使用（导入会先删除同一来源的条目）
+const RESERVED_SOURCES = ['builtin', 'admin'];
+
+function reservedSourceError(source) {
+  const error = new Error(`来源 "${source}" 为内置知识、管理端配置或知识目录文件保留，请更换来源名称`);
+  error.code = 'RESERVED_SOURCE';
+  return error;
+}
+
 class KnowledgeBase {
-  constructor() {
+  /**
+   * @param {Object} options - { knowledgeDir: 启动时加载的知识目录，importedDir: 导入知识的持久化目录；传 null 不加载 }
+   */
+  constructor(options = {}) {
     // 知识存储
     this.knowledge = new Map();
+
+    // 不允许接口导入覆盖的来源，加载知识目录时追加目录中的文件名
+    this.reservedSources = new Set(RESERVED_SOURCES);
     
     // 关键词索引
     this.keywordIndex = new Map();
+
+    // 向量索引
+    this.index = new VectorIndex();
     
     // 初始化内置知识
     this.initBuiltinKnowledge();
+
+    const knowledgeDir = options.knowledgeDir === undefined ? DEFAULT_KNOWLEDGE_DIR : options.knowledgeDir;
+    if (knowledgeDir && fs.existsSync(knowledgeDir)) {
+      const result = this.importDirectory(knowledgeDir);
+      console.log(`📚 从 ${knowledgeDir} 导入 ${result.imported} 条知识`);
+    }
+
+    this.importedDir = options.importedDir === undefined ? DEFAULT_IMPORTED_DIR : options.importedDir;
+    if (this.importedDir && fs.existsSync(this.importedDir)) {
+      const imported = this.loadImported();
+      console.log(`📚 恢复已导入知识 ${imported} 条`);
+    }
   }
 
   /**
@@ -225,16 +268,19 @@ class KnowledgeBase {
 
   /**
    * 添加知识
+   * @param {Object} options - { source: 导入来源，重新导入同一来源时用于替换旧条目, id: 指定条目ID }
    */
-  add(category, question, answer, keywords = []) {
-    const id = `${category}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  add(category, question, answer, keywords = [], options = {}) {
+    const id = options.id || `${category}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (this.knowledge.has(id)) this.remove(id);
     
     const entry = {
       id,
       category,
       question,
       answer,
-      keywords: [...keywords, ...this.extractKeywords(question)],
+      keywords: [...new Set([...keywords, ...this.extractKeywords(question)])],
+      source: options.source || 'builtin',
       createdAt: Date.now()
     };
 
@@ -249,59 +295,94 @@ class KnowledgeBase {
       this.keywordIndex.get(normalizedKeyword).add(id);
     }
 
+    // 问题和关键词比答案更能代表条目主题，加权索引
+    this.index.add(id, [
+      { text: question, weight: 2 },
+      { text: entry.keywords.join(' '), weight: 2 },
+      { text: answer, weight: 1 }
+    ]);
+
     return id;
   }
 
   /**
-   * 查询知识
+   * 删除知识
    */
-  query(queryText, entities = {}) {
-    const results = [];
-    const queryKeywords = this.extractKeywords(queryText.toLowerCase());
-
-    // 1. 基于关键词匹配
-    const candidateIds = new Set();
-    for (const keyword of queryKeywords) {
-      const ids = this.keywordIndex.get(keyword);
-      if (ids) {
-        for (const id of ids) {
-          candidateIds.add(id);
-        }
-      }
-    }
-
-    // 2. 计算相关度得分
-    for (const id of candidateIds) {
-      const entry = this.knowledge.get(id);
-      if (!entry) continue;
+  remove(id) {
+    const entry = this.knowledge.get(id);
+    if (!entry) return false;
 
-      const score = this.calculateRelevance(queryText, queryKeywords, entry);
-      if (score > 0.1) {
-        results.push({ ...entry, score });
-      }
+    for (const keyword of entry.keywords) {
+      const ids = this.keywordIndex.get(keyword.toLowerCase());
+      if (!ids) continue;
+      ids.delete(id);
+      if (ids.size === 0) this.keywordIndex.delete(keyword.toLowerCase());
     }
+    this.index.remove(id);
+    this.knowledge.delete(id);
+    return true;
+  }
 
-    // 3. 如果关键词匹配不到，尝试模糊匹配
-    if (results.length === 0) {
-      for (const [id, entry] of this.knowledge) {
-        const score = this.fuzzyMatch(queryText, entry);
-        if (score > 0.2) {
-          results.push({ ...entry, score });
-        }
-      }
+  /**
+   * 删除某个来源导入的全部知识
+   */
+  removeBySource(source) {
+    let removed = 0;
+    for (const entry of [...this.knowledge.values()]) {
+      if (entry.source === source && this.remove(entry.id)) removed++;
     }
+    return removed;
+  }
+
+  /**
+   * 是否为内置知识、管理端配置或知识目录文件占用的来源
+   */
+  isReservedSource(source) {
+    return this.reservedSources.has(source);
+  }
+
+  /**
+   * 检索知识，按相关度排序
+   * @param {Object} options - { topK, category: 只在某个分类中检索, minScore }
+   * @returns {Array<Object>} 知识条目 + score
+   */
+  search(queryText, { topK = 5, category, minScore = MIN_SCORE } = {}) {
+    const query = String(queryText || '').toLowerCase();
+    const filter = category ? id => this.knowledge.get(id).category === category : undefined;
+
+    // 单字关键词（如 R、读）只在查询中作为独立的词出现时才算命中
+    const queryTokens = new Set(this.index.tokenize(query));
+    const keywordHit = keyword => {
+      const k = keyword.toLowerCase();
+      return k.length > 1 ? query.includes(k) : queryTokens.has(k);
+    };
+
+    return this.index.search(query, { topK: topK * 2, filter })
+      .map(({ id, score }) => {
+        const entry = this.knowledge.get(id);
+        // 查询中直接出现条目关键词时加分，弥补短关键词在 n-gram 向量中权重偏低
+        const hits = entry.keywords.filter(keywordHit).length;
+        return { ...entry, score: Math.min(score + Math.min(hits, 3) * KEYWORD_BONUS, 1) };
+      })
+      .filter(entry => entry.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
 
-    // 4. 按得分排序
-    results.sort((a, b) => b.score - a.score);
+  /**
+   * 查询知识
+   */
+  query(queryText, entities = {}) {
+    const results = this.search(queryText, { topK: 4 });
 
-    // 5. 返回最佳结果
     if (results.length > 0) {
       return {
         found: true,
         answer: results[0].answer,
         confidence: results[0].score,
         category: results[0].category,
-        relatedQuestions: results.slice(1, 4).map(r => r.question)
+        // 只推荐与最佳结果得分接近的条目，避免"是什么"之类的句式词带出无关问题
+        relatedQuestions: results.slice(1, 4).filter(r => r.score >= results[0].score * 0.5).map(r => r.question)
       };
     }
 
@@ -313,99 +394,223 @@ class KnowledgeBase {
   }
 
   /**
-   * 计算相关度
+   * 提取关键词
+   */
+  extractKeywords(text) {
+    const stopWords = new Set(['的', '是', '在', '了', '和', '与', '或', '什么', '怎么', '如何', '为什么', '吗', '呢']);
+    const words = text.split(/[\s,，.。!！?？;；:：、]+/);
+    return words.filter(w => w.length > 1 && !stopWords.has(w));
+  }
+
+  /**
+   * 获取所有分类
+   */
+  getCategories() {
+    const categories = new Set();
+    for (const entry of this.knowledge.values()) {
+      categories.add(entry.category);
+    }
+    return Array.from(categories);
+  }
+
+  /**
+   * 获取分类下的知识
    */
-  calculateRelevance(queryText, queryKeywords, entry) {
-    let score = 0;
-
-    // 关键词匹配得分
-    const entryKeywords = new Set(entry.keywords.map(k => k.toLowerCase()));
-    let matchCount = 0;
-    for (const keyword of queryKeywords) {
-      if (entryKeywords.has(keyword)) {
-        matchCount++;
+  getByCategory(category) {
+    const results = [];
+    for (const entry of this.knowledge.values()) {
+      if (entry.category === category) {
+        results.push(entry);
       }
     }
-    score += (matchCount / Math.max(queryKeywords.length, 1)) * 0.5;
+    return results;
+  }
+
+  // ==================== 批量导入 ====================
 
-    // 问题相似度
-    const questionSimilarity = this.stringSimilarity(queryText.toLowerCase(), entry.question.toLowerCase());
-    score += questionSimilarity * 0.5;
+  /**
+   * 批量导入知识条目
+   * @param {Array<{category, question, answer, keywords}>} entries
+   * @param {Object} options - { category: 默认分类, source: 来源，已导入过的同一来源会先被替换 }
+   * @returns {{imported: number, skipped: number, removed: number}}
+   */
+  importEntries(entries, { category = 'custom', source } = {}) {
+    const removed = source ? this.removeBySource(source) : 0;
+    let imported = 0;
+    let skipped = 0;
+
+    for (const item of entries) {
+      const question = String(item.question || '').trim();
+      const answer = String(item.answer || '').trim();
+      if (!question || !answer) {
+        skipped++;
+        continue;
+      }
+      const keywords = Array.isArray(item.keywords)
+        ? item.keywords.map(String)
+        : String(item.keywords || '').split(/[,，、;；\s]+/);
+      this.add(item.category || category, question, answer, keywords.filter(Boolean), { source, id: item.id });
+      imported++;
+    }
 
-    return Math.min(score, 1);
+    return { imported, skipped, removed };
   }
 
   /**
-   * 模糊匹配
+   * 解析 Markdown 知识文件
+   * # 一级标题为分类，## / ### 标题为问题，标题下的正文为答案
+   * 正文中 "关键词: a, b" 一行作为条目关键词
    */
-  fuzzyMatch(queryText, entry) {
-    const query = queryText.toLowerCase();
-    const question = entry.question.toLowerCase();
-    const answer = entry.answer.toLowerCase();
-
-    // 检查查询是否包含在问题或答案中
-    if (question.includes(query) || query.includes(question)) {
-      return 0.6;
-    }
+  parseMarkdown(content, defaultCategory = 'custom') {
+    const entries = [];
+    let category = defaultCategory;
+    let current = null;
+
+    const flush = () => {
+      if (current) entries.push({ ...current, answer: current.lines.join('\n').trim() });
+      current = null;
+    };
 
-    // 检查关键词
-    for (const keyword of entry.keywords) {
-      if (query.includes(keyword.toLowerCase())) {
-        return 0.4;
+    for (const line of String(content).replace(/\r\n?/g, '\n').split('\n')) {
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading && heading[1].length === 1) {
+        flush();
+        category = heading[2];
+        continue;
+      }
+      if (heading) {
+        flush();
+        current = { category, question: heading[2], keywords: [], lines: [] };
+        continue;
+      }
+      if (!current) continue;
+      const keywordLine = line.match(/^\s*(?:[-*]\s*)?(?:关键词|keywords?)\s*[:：]\s*(.+)$/i);
+      if (keywordLine) {
+        current.keywords.push(...keywordLine[1].split(/[,，、;；]+/).map(k => k.trim()).filter(Boolean));
+      } else {
+        current.lines.push(line);
       }
     }
+    flush();
 
-    return this.stringSimilarity(query, question) * 0.3;
+    return entries.map(({ lines, ...entry }) => entry);
   }
 
   /**
-   * 字符串相似度（简化的编辑距离）
+   * 解析 JSON 知识文件
+   * 支持 [{category, question, answer, keywords}]、{category, entries: [...]} 或二者组成的数组
    */
-  stringSimilarity(s1, s2) {
-    if (s1 === s2) return 1;
-    if (s1.length === 0 || s2.length === 0) return 0;
+  parseJson(content, defaultCategory = 'custom') {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const collect = (node, category) => {
+      if (Array.isArray(node)) return node.flatMap(item => collect(item, category));
+      if (node && Array.isArray(node.entries)) return collect(node.entries, node.category || category);
+      if (node && typeof node === 'object') return [{ ...node, category: node.category || category }];
+      return [];
+    };
+    return collect(data, defaultCategory);
+  }
 
-    // 使用Jaccard相似度
-    const set1 = new Set(s1.split(''));
-    const set2 = new Set(s2.split(''));
-    
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
-    
-    return intersection.size / union.size;
+  /**
+   * 从文本导入
+   * @param {string} format - 'markdown' | 'json'
+   * @param {Object} options - { category, source, persist: 写入导入目录，重启后仍然有效；未指定来源时自动生成 }
+   * 持久化导入不能使用保留来源，否则会删除内置知识、管理端知识或知识目录中的条目
+   */
+  importText(content, format, { category = 'custom', source, persist = false } = {}) {
+    if (persist && this.isReservedSource(source)) throw reservedSourceError(source);
+    const entries = format === 'json'
+      ? this.parseJson(content, category)
+      : this.parseMarkdown(content, category);
+    if (persist && !source) source = `${category}-${Date.now()}`;
+    const result = this.importEntries(entries, { category, source });
+    if (persist) this.saveImported(source, category, entries);
+    return persist ? { source, ...result } : result;
   }
 
   /**
-   * 提取关键词
+   * 从文件导入，来源为文件名，重复导入同一文件会替换旧条目
    */
-  extractKeywords(text) {
-    const stopWords = new Set(['的', '是', '在', '了', '和', '与', '或', '什么', '怎么', '如何', '为什么', '吗', '呢']);
-    const words = text.split(/[\s,，.。!！?？;；:：、]+/);
-    return words.filter(w => w.length > 1 && !stopWords.has(w));
+  importFile(filePath, options = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+    const name = path.basename(filePath, ext);
+    const format = ext === '.json' ? 'json' : 'markdown';
+    return this.importText(fs.readFileSync(filePath, 'utf-8'), format, {
+      category: name,
+      source: path.basename(filePath),
+      ...options
+    });
   }
 
   /**
-   * 获取所有分类
+   * 导入目录下的全部知识文件
    */
-  getCategories() {
-    const categories = new Set();
-    for (const entry of this.knowledge.values()) {
-      categories.add(entry.category);
+  importDirectory(dir) {
+    const files = [];
+    let imported = 0;
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!IMPORT_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+      this.reservedSources.add(name);
+      try {
+        const result = this.importFile(path.join(dir, name));
+        imported += result.imported;
+        files.push({ file: name, ...result });
+      } catch (e) {
+        console.error(`导入知识文件 ${name} 失败:`, e.message);
+        files.push({ file: name, error: e.message });
+      }
     }
-    return Array.from(categories);
+    return { imported, files };
+  }
+
+  // ==================== 导入持久化 ====================
+
+  importedFile(source) {
+    const hash = crypto.createHash('md5').update(source).digest('hex').slice(0, 8);
+    const safeName = source.replace(/[^\w\u4e00-\u9fff.-]+/g, '_').slice(0, 60);
+    return path.join(this.importedDir, `${safeName}-${hash}.json`);
   }
 
   /**
-   * 获取分类下的知识
+   * 保存某个来源导入的条目（已解析为 JSON），同一来源覆盖旧文件，没有有效条目时删除文件
    */
-  getByCategory(category) {
-    const results = [];
-    for (const entry of this.knowledge.values()) {
-      if (entry.category === category) {
-        results.push(entry);
+  saveImported(source, category, entries) {
+    if (!this.importedDir) return;
+    const filePath = this.importedFile(source);
+    const valid = entries.filter(item => String(item.question || '').trim() && String(item.answer || '').trim());
+    if (valid.length === 0) {
+      fs.rmSync(filePath, { force: true });
+      return;
+    }
+    fs.mkdirSync(this.importedDir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ source, category, entries: valid, savedAt: new Date().toISOString() }, null, 2), 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * 加载导入目录中保存的知识，来源沿用导入时的来源，再次导入同一来源仍会替换
+   * @returns {number} 加载的条目数
+   */
+  loadImported() {
+    let imported = 0;
+    for (const name of fs.readdirSync(this.importedDir).sort()) {
+      if (path.extname(name) !== '.json') continue;
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(this.importedDir, name), 'utf-8'));
+        if (this.isReservedSource(data.source)) {
+          console.warn(`跳过已导入知识 ${name}：来源 "${data.source}" 为保留来源`);
+          continue;
+        }
+        imported += this.importEntries(this.parseJson(data.entries || [], data.category), {
+          category: data.category,
+          source: data.source
+        }).imported;
+      } catch (e) {
+        console.error(`加载已导入知识 ${name} 失败:`, e.message);
       }
     }
-    return results;
+    return imported;
   }
 }
 
@@ -66,6 +66,9 @@ class NLGEngine {
         '   - 解释各种概念和术语\n' +
         '   - 对比不同技术的区别\n' +
         '   - 提供学习建议\n\n' +
+        '📐 **COSMIC度量**\n' +
+        '   - 粘贴拆分表或描述功能过程，本地计算CFP\n' +
+        '   - 检查 E/R/W/X 拆分规则并解释计数\n\n' +
         '🔧 **实用工具**\n' +
         '   - 数学计算\n' +
         '   - 日期时间查询\n' +
@@ -165,6 +168,18 @@ class NLGEngine {
     };
   }
 
+  /**
+   * 应用管理端配置的模板：同名类型替换内置模板，值为 null 表示删除
+   */
+  applyOverrides({ templates = {} } = {}) {
+    this.templates = this.initTemplates();
+    for (const [type, content] of Object.entries(templates)) {
+      if (content) this.templates[type] = content;
+      else delete this.templates[type];
+    }
+    this.lastUsedTemplates.clear();
+  }
+
   /**
    * 初始化连接词
    */
@@ -261,6 +276,10 @@ class NLGEngine {
         return this.generateChitchatResponse(topic, nluResult);
       
       default:
+        // 管理端配置了回复模板的自定义意图
+        if (responseType && this.templates[responseType]) {
+          return this.getRandomTemplate(responseType);
+        }
         return this.generateDefaultResponse(nluResult, context);
     }
   }
@@ -62,6 +62,18 @@ class NLUEngine {
         priority: 10
       },
       
+      // COSMIC度量：询问CFP或粘贴拆分表
+      {
+        intent: 'cosmic_measure',
+        patterns: [
+          /(多少|几个|计算|统计|度量|算一?下|数一下|估算).*(CFP|功能点)/i,
+          /(CFP|功能点).*(多少|几个|怎么算|计算|度量|统计)/i,
+          /(COSMIC|cosmic).*(度量|计算|算一?下|规模多少)/,
+          /\|\s*[ERWX]\s*\|/
+        ],
+        priority: 10
+      },
+
       // 能力询问
       {
         intent: 'ask_capability',
@@ -329,6 +341,45 @@ class NLUEngine {
     };
   }
 
+  /**
+   * 应用管理端配置：在内置意图、实体、同义词基础上替换/新增/删除，重复调用时从内置配置重新计算
+   * @param {Object} overrides - { intents, entities, synonyms }，值为 null 表示删除内置条目
+   */
+  applyOverrides({ intents = {}, entities = {}, synonyms = {} } = {}) {
+    this.intentPatterns = [
+      ...this.initIntentPatterns().filter(def => !(def.intent in intents)),
+      ...Object.entries(intents)
+        .filter(([, def]) => def)
+        .map(([intent, def]) => ({ intent, patterns: def.patterns, priority: def.priority, keywords: def.keywords, custom: true }))
+    ];
+    this.removedIntents = new Set(Object.keys(intents).filter(intent => !intents[intent]));
+
+    this.entityPatterns = this.initEntityPatterns();
+    for (const [type, def] of Object.entries(entities)) {
+      if (def) this.entityPatterns[type] = def;
+      else delete this.entityPatterns[type];
+    }
+
+    this.synonyms = this.initSynonyms();
+    for (const [word, list] of Object.entries(synonyms)) {
+      if (list) this.synonyms[word] = list;
+      else delete this.synonyms[word];
+    }
+  }
+
+  /**
+   * 把同义词替换为标准词
+   */
+  normalizeSynonyms(text) {
+    let normalized = text;
+    for (const [word, list] of Object.entries(this.synonyms)) {
+      for (const synonym of [...list].sort((a, b) => b.length - a.length)) {
+        normalized = normalized.split(synonym).join(word);
+      }
+    }
+    return normalized;
+  }
+
   /**
    * 主理解函数
    */
@@ -369,9 +420,24 @@ class NLUEngine {
   }
 
   /**
-   * 意图识别
+   * 意图识别：同义词先换成标准词，原文和标准化后的文本都参与匹配，取置信度更高的结果
    */
   recognizeIntent(text, context = {}) {
+    const bestMatch = this.matchIntent(text);
+    const normalized = this.normalizeSynonyms(text);
+    if (normalized !== text) {
+      const synonymMatch = this.matchIntent(normalized);
+      if (synonymMatch.confidence > bestMatch.confidence) {
+        return synonymMatch;
+      }
+    }
+    return bestMatch;
+  }
+
+  /**
+   * 按意图正则匹配，未匹配时退回关键词匹配
+   */
+  matchIntent(text) {
     let bestMatch = { intent: 'unknown', confidence: 0, pattern: null };
 
     for (const intentDef of this.intentPatterns) {
@@ -417,9 +483,17 @@ class NLUEngine {
       'ask_capability': ['你能', '你会', '功能', '能力']
     };
 
+    // 管理端配置的意图关键词
+    for (const def of this.intentPatterns) {
+      if (def.keywords && def.keywords.length > 0) {
+        keywordIntentMap[def.intent] = [...(keywordIntentMap[def.intent] || []), ...def.keywords];
+      }
+    }
+
     let bestMatch = { intent: 'unknown', confidence: 0 };
 
     for (const [intent, keywords] of Object.entries(keywordIntentMap)) {
+      if (this.removedIntents && this.removedIntents.has(intent)) continue;
       for (const keyword of keywords) {
         if (text.includes(keyword)) {
           const confidence = 0.4 + (keyword.length / text.length) * 0.3;
@@ -4,12 +4,17 @@
  * 功能：
  * 1. 技能注册 - 动态注册新技能
  * 2. 技能执行 - 执行具体技能
- * 3. 内置技能 - 计算器、日期时间、代码生成等
+ * 3. 内置技能 - 计算器、日期时间、代码生成、COSMIC度量等
  */
 
+const CosmicMeasureSkill = require('./cosmicMeasure');
+
 class SkillManager {
   constructor() {
     this.skills = new Map();
+
+    // 管理端停用的技能
+    this.disabled = new Set();
     
     // 注册内置技能
     this.registerBuiltinSkills();
@@ -34,6 +39,10 @@ class SkillManager {
     // 总结技能
     this.register('summarizer', this.summarizerSkill.bind(this));
 
+    // COSMIC度量技能
+    this.cosmic = new CosmicMeasureSkill();
+    this.register('cosmic_measure', this.cosmicMeasureSkill.bind(this));
+
     console.log(`🔧 技能管理器初始化完成，共 ${this.skills.size} 个技能`);
   }
 
@@ -44,6 +53,20 @@ class SkillManager {
     this.skills.set(name, handler);
   }
 
+  /**
+   * 设置停用的技能
+   */
+  setDisabled(names = []) {
+    this.disabled = new Set(names);
+  }
+
+  /**
+   * 技能列表
+   */
+  list() {
+    return [...this.skills.keys()].map(name => ({ name, enabled: !this.disabled.has(name) }));
+  }
+
   /**
    * 执行技能
    */
@@ -57,6 +80,13 @@ class SkillManager {
       };
     }
 
+    if (this.disabled.has(skillName)) {
+      return {
+        success: false,
+        error: `技能已停用: ${skillName}`
+      };
+    }
+
     try {
       const result = await skill(params, context);
       return {
@@ -561,6 +591,13 @@ main();`;
     };
   }
 
+  /**
+   * COSMIC度量技能（本地规则计算CFP）
+   */
+  cosmicMeasureSkill(params, context) {
+    return this.cosmic.measure(params.text);
+  }
+
   /**
    * 总结技能
    */
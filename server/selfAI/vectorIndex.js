@@ -0,0 +1,165 @@
+/**
+ * 向量索引 - Vector Index
+ *
+ * 功能：
+ * 1. 文本向量化 - 中文按单字 + 二字 + 三字 n-gram，英文/数字按单词，不依赖分词词典；
+ *    先去掉"什么是/怎么/如何"等问句套话和"的/了"等虚字，避免句式相同的问题互相命中
+ * 2. TF-IDF 加权 - 次线性词频（1 + log tf），IDF 随文档增删实时更新
+ * 3. 余弦排序 - 查询向量与文档向量的余弦相似度
+ * 4. 增量维护 - 支持单条添加/删除，文档范数在查询时按需重算
+ */
+
+const NGRAM_SIZES = [1, 2, 3];
+
+// 问句套话：在切分前替换为分隔符，按长度倒序匹配
+const STOP_PHRASES = [
+  '是什么意思', '什么意思', '什么是', '是什么', '有哪几种', '有哪些', '哪几种', '为什么', '怎么样', '怎么', '如何',
+  '什么', '哪些', '请问', '介绍一下', '解释一下', '一下'
+].sort((a, b) => b.length - a.length);
+const STOP_PHRASE_PATTERN = new RegExp(STOP_PHRASES.join('|'), 'g');
+
+// 不单独作为特征的虚字（仍参与二字、三字组合）
+const STOP_CHARS = new Set('的了是在和与及或等吗呢吧啊呀把被将就都也'.split(''));
+
+class VectorIndex {
+  constructor() {
+    // 文档：id -> { tf: Map<term, 加权词频>, norm }
+    this.documents = new Map();
+    // 文档频率：term -> 含该词的文档数
+    this.docFreq = new Map();
+    // IDF 变化后需要重算文档范数
+    this.dirty = false;
+  }
+
+  /**
+   * 文本切分为特征词
+   */
+  tokenize(text) {
+    const tokens = [];
+    const normalized = String(text || '').toLowerCase().replace(STOP_PHRASE_PATTERN, ' ');
+    for (const [segment] of normalized.matchAll(/[a-z0-9_+#.]+|[\u4e00-\u9fff]+/g)) {
+      if (!/[\u4e00-\u9fff]/.test(segment)) {
+        tokens.push(segment.replace(/\.+$/, ''));
+        continue;
+      }
+      for (const n of NGRAM_SIZES) {
+        for (let i = 0; i + n <= segment.length; i++) {
+          const gram = segment.slice(i, i + n);
+          if (n === 1 && STOP_CHARS.has(gram)) continue;
+          tokens.push(gram);
+        }
+      }
+    }
+    return tokens.filter(Boolean);
+  }
+
+  /**
+   * 按字段权重统计词频
+   * @param {Array<{text: string, weight: number}>} fields
+   */
+  termFrequencies(fields) {
+    const tf = new Map();
+    for (const { text, weight = 1 } of fields) {
+      for (const token of this.tokenize(text)) {
+        tf.set(token, (tf.get(token) || 0) + weight);
+      }
+    }
+    return tf;
+  }
+
+  idf(term) {
+    const df = this.docFreq.get(term) || 0;
+    return Math.log((this.documents.size + 1) / (df + 1)) + 1;
+  }
+
+  weight(tf, term) {
+    return (1 + Math.log(tf)) * this.idf(term);
+  }
+
+  /**
+   * 添加或替换文档
+   * @param {string} id
+   * @param {Array<{text: string, weight: number}>|string} fields - 字段列表或纯文本
+   */
+  add(id, fields) {
+    if (this.documents.has(id)) this.remove(id);
+    const tf = this.termFrequencies(typeof fields === 'string' ? [{ text: fields, weight: 1 }] : fields);
+    for (const term of tf.keys()) {
+      this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+    }
+    this.documents.set(id, { tf, norm: 0 });
+    this.dirty = true;
+  }
+
+  /**
+   * 删除文档
+   */
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return false;
+    for (const term of doc.tf.keys()) {
+      const df = this.docFreq.get(term) - 1;
+      if (df > 0) this.docFreq.set(term, df);
+      else this.docFreq.delete(term);
+    }
+    this.documents.delete(id);
+    this.dirty = true;
+    return true;
+  }
+
+  refreshNorms() {
+    if (!this.dirty) return;
+    for (const doc of this.documents.values()) {
+      let sum = 0;
+      for (const [term, tf] of doc.tf) {
+        sum += this.weight(tf, term) ** 2;
+      }
+      doc.norm = Math.sqrt(sum);
+    }
+    this.dirty = false;
+  }
+
+  /**
+   * 余弦相似度检索
+   * @param {string} text - 查询文本
+   * @param {Object} options - { topK, filter: (id) => boolean, minScore }
+   * @returns {Array<{id: string, score: number}>}
+   */
+  search(text, { topK = 10, filter, minScore = 0 } = {}) {
+    if (this.documents.size === 0) return [];
+    this.refreshNorms();
+
+    const queryTf = this.termFrequencies([{ text, weight: 1 }]);
+    const queryVector = new Map();
+    let queryNorm = 0;
+    for (const [term, tf] of queryTf) {
+      // 索引中没有的词也计入查询范数，避免只命中少数词的查询得分虚高
+      const w = this.weight(tf, term);
+      queryNorm += w * w;
+      if (this.docFreq.has(term)) queryVector.set(term, w);
+    }
+    if (queryVector.size === 0) return [];
+    queryNorm = Math.sqrt(queryNorm);
+
+    const results = [];
+    for (const [id, doc] of this.documents) {
+      if (filter && !filter(id)) continue;
+      let dot = 0;
+      for (const [term, qw] of queryVector) {
+        const tf = doc.tf.get(term);
+        if (tf) dot += qw * this.weight(tf, term);
+      }
+      if (dot === 0 || doc.norm === 0) continue;
+      const score = dot / (queryNorm * doc.norm);
+      if (score > minScore) results.push({ id, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+}
+
+module.exports = VectorIndex;
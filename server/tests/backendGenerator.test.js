@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { extractResources, generateExpressBackend } = require('../backendGenerator');
+
+const TABLE = [
+  { functionalProcess: '注册用户', dataMovementType: 'E', dataGroup: '注册信息', dataAttributes: '用户名、密码、邮箱' },
+  { functionalProcess: '注册用户', dataMovementType: 'W', dataGroup: '用户信息', dataAttributes: '用户名、密码、邮箱' }
+];
+
+/**
+ * 把生成的 src 目录写到 tests 下的临时目录（以便解析到仓库的 express），返回目录路径
+ */
+function writeBackend() {
+  const files = generateExpressBackend(extractResources(TABLE));
+  const dir = fs.mkdtempSync(path.join(__dirname, '.tmp-backend-'));
+  ['src/password.js', 'src/validation.js', 'src/crud.js', 'src/resources.js'].forEach(name => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), files[name]);
+  });
+  return dir;
+}
+
+// 只记录写入参数的内存数据库
+function fakeDb() {
+  const rows = new Map();
+  const db = {
+    written: [],
+    prepare(sql) {
+      return {
+        run(params) {
+          db.written.push(params);
+          const id = rows.size + 1;
+          rows.set(id, { id, ...params, created_at: 'now', updated_at: 'now' });
+          return { lastInsertRowid: id, changes: 1 };
+        },
+        get(id) {
+          return /COUNT/.test(sql) ? { count: rows.size } : rows.get(Number(id));
+        },
+        all() {
+          return [...rows.values()];
+        }
+      };
+    }
+  };
+  return db;
+}
+
+test('生成后端的密码以 scrypt 哈希保存且不出现在查询结果中', async () => {
+  const dir = writeBackend();
+  try {
+    const { hashPassword, verifyPassword } = require(path.join(dir, 'src/password.js'));
+    const { createCrudRouter } = require(path.join(dir, 'src/crud.js'));
+    const { resources } = require(path.join(dir, 'src/resources.js'));
+    const resource = Object.values(resources)[0];
+    assert.ok(resource.fields.find(field => field.key === 'password').secret);
+
+    const stored = hashPassword('Passw0rd!');
+    assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.ok(verifyPassword('Passw0rd!', stored));
+    assert.ok(!verifyPassword('wrong', stored));
+    assert.notEqual(hashPassword('Passw0rd!'), stored);
+
+    const db = fakeDb();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/user', createCrudRouter(resource, db));
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}/api/user`;
+    try {
+      const created = await fetch(base, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'alice', password: 'Passw0rd!', email: 'a@example.com' })
+      }).then(r => r.json());
+      assert.equal(created.username, 'alice');
+      assert.ok(!('password' in created));
+
+      const saved = db.written[0].password;
+      assert.notEqual(saved, 'Passw0rd!');
+      assert.ok(verifyPassword('Passw0rd!', saved));
+
+      const list = await fetch(base).then(r => r.json());
+      assert.ok(list.items.every(item => !('password' in item)));
+    } finally {
+      server.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChatStore, messagesOf } = require('../chatStore');
+
+test('会话修改异步写盘，重新加载后可列出和搜索', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chats-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = new ChatStore(dir);
+  store.appendMessage('s1', { role: 'user', content: '如何计算 CFP？' });
+  store.appendMessage('s1', { role: 'assistant', content: '每个数据移动计 1 CFP' });
+  store.appendMessage('s2', { role: 'user', content: '导出需求规格书' });
+  assert.equal(store.getSession('s1').title, '如何计算 CFP？');
+
+  await store.flush();
+  const reloaded = new ChatStore(dir);
+  assert.deepEqual(reloaded.listSessions().map(s => s.id).sort(), ['s1', 's2']);
+  assert.equal(reloaded.search('数据移动')[0].sessionId, 's1');
+  assert.deepEqual(reloaded.listSessions({ query: '规格书' }).map(s => s.id), ['s2']);
+});
+
+test('删除会话排在进行中的写入之后', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chats-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = new ChatStore(dir);
+  store.appendMessage('gone', { role: 'user', content: '临时会话' });
+  await store.flush();
+  store.appendMessage('gone', { role: 'user', content: '再说一句' });
+  assert.equal(store.deleteSession('gone'), true);
+  await store.flush();
+  assert.equal(fs.existsSync(path.join(dir, 'gone.json')), false);
+  assert.equal(store.getSession('gone'), null);
+  assert.throws(() => store.appendMessage('../x', { role: 'user', content: 'x' }), /无效的会话ID/);
+});
+
+test('同一会话中的文档问答消息按智能体标记', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chats-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = new ChatStore(dir);
+  store.appendMessage('mixed', { role: 'user', content: '你好' }, { agent: 'selfAI' });
+  store.appendMessage('mixed', { role: 'user', content: '文档里的告警级别有哪些' }, { agent: 'docqa' });
+  const session = store.getSession('mixed');
+  assert.deepEqual(messagesOf(session, 'selfAI').map(m => m.content), ['你好']);
+  assert.deepEqual(messagesOf(session, 'docqa').map(m => m.content), ['文档里的告警级别有哪些']);
+  assert.deepEqual(store.listSessions({ agent: 'docqa' }).map(s => s.id), ['mixed']);
+  assert.equal(store.search('你好', { agent: 'docqa' }).length, 0);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyGeneratedCode, verifyHtmlDocument, verifyScript } = require('../codeVerifier');
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    .card { color: red; }
+  </style>
+</head>
+<body>
+  <div id="app">
+    <button id="save" onclick="saveItem()">保存</button>
+    <button id="save" onclick="removeItem()">删除</button>
+    <section>
+  </div>
+  <script>
+    function saveItem() {
+      console.log(items);
+    }
+  </script>
+</body>
+</html>`;
+
+function find(issues, type) {
+  return issues.filter(item => item.type === type);
+}
+
+test('标签、ID、事件处理函数的问题定位到原文行号', () => {
+  const { issues } = verifyHtmlDocument(PAGE);
+  assert.deepEqual(find(issues, 'duplicate-id').map(item => item.line), [11]);
+  assert.deepEqual(find(issues, 'missing-handler').map(item => [item.name, item.line]), [['removeItem', 11]]);
+  assert.deepEqual(find(issues, 'unclosed-tag').map(item => item.line), [12]);
+  // 脚本中的行号按脚本在页面中的位置换算
+  assert.deepEqual(find(issues, 'undefined-identifier').map(item => [item.name, item.line]), [['items', 16]]);
+});
+
+test('JSX 语法错误带行号', () => {
+  const { issues } = verifyScript('const a = 1;\nconst App = () => (\n  <div>\n);', { jsx: true });
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].type, 'unclosed-tag');
+  assert.equal(typeof issues[0].line, 'number');
+});
+
+test('没有问题的页面通过检查', () => {
+  const report = verifyGeneratedCode('<!DOCTYPE html><html><body><div id="a"></div><script>document.getElementById("a").textContent = "ok";</script></body></html>');
+  assert.equal(report.passed, true);
+  assert.equal(report.issueCount, 0);
+});
+
+test('大页面的行号定位不随匹配数平方增长', () => {
+  const rows = Array.from({ length: 20000 }, (_, i) => `<div id="row${i}" onclick="handle${i % 3}()">${i}</div>`);
+  const html = `<html><body>\n${rows.join('\n')}\n<div id="row5"></div>\n<script>function handle0() {} function handle1() {} function handle2() {}</script></body></html>`;
+  const start = Date.now();
+  const { issues } = verifyHtmlDocument(html);
+  assert.ok(Date.now() - start < 2000, `耗时 ${Date.now() - start}ms`);
+  assert.deepEqual(find(issues, 'duplicate-id').map(item => item.line), [20002]);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffCosmicMeasurements } = require('../cosmicDiff');
+
+function row(functionalProcess, dataMovementType, subProcessDesc, dataGroup) {
+  return { functionalProcess, dataMovementType, subProcessDesc, dataGroup, dataAttributes: `${dataGroup}编号、${dataGroup}名称` };
+}
+
+test('数据移动类型无效的行不计入变更 CFP，单独报告', () => {
+  const baseline = [
+    row('查询工单', 'E', '输入查询条件', '工单条件'),
+    row('查询工单', 'R', '读取工单', '工单记录'),
+    row('查询工单', '', '记录日志', '日志')
+  ];
+  const current = [
+    row('查询工单', 'E', '输入查询条件', '工单条件'),
+    row('查询工单', 'R', '读取工单', '工单记录'),
+    row('查询工单', 'X', '返回工单列表', '工单列表'),
+    row('查询工单', '?', '刷新缓存', '缓存')
+  ];
+
+  const { summary } = diffCosmicMeasurements(baseline, current);
+  assert.equal(summary.baselineCFP, 2);
+  assert.equal(summary.currentCFP, 3);
+  assert.equal(summary.addedCFP, 1);
+  assert.equal(summary.deletedCFP, 0);
+  assert.equal(summary.netDeltaCFP, summary.addedCFP - summary.deletedCFP);
+  assert.equal(summary.changeSizeCFP, 1);
+  assert.equal(summary.invalidMovements, 2);
+});
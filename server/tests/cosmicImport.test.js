@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const {
+  checkImportFile,
+  detectColumnMap,
+  parseCsv,
+  previewCosmicImport,
+  parseCosmicImport
+} = require('../cosmicImport');
+
+const HEADERS = ['功能用户', '触发事件', '功能过程', '子过程描述', '数据移动类型', '数据组', '数据属性'];
+
+async function workbookBuffer(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    const sheet = workbook.addWorksheet(name);
+    rows.forEach(row => sheet.addRow(row));
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+test('按表头关键词识别列映射', () => {
+  const map = detectColumnMap(['序号', '功能过程', '数据移动类型', '数据组', 'CFP']);
+  assert.equal(map.functionalProcess, 1);
+  assert.equal(map.dataMovementType, 2);
+  assert.equal(map.dataGroup, 3);
+});
+
+test('CSV 自动识别分隔符并处理引号', () => {
+  const rows = parseCsv('a;b;c\n"x;1";"say ""hi""";z\n');
+  assert.deepEqual(rows[1], ['x;1', 'say "hi"', 'z']);
+});
+
+test('CSV 导入沿用合并单元格的功能过程并保留附加列', async () => {
+  const csv = [
+    [...HEADERS, 'CFP'].join(','),
+    '管理员,点击查询,查询用户,输入查询条件,e,用户查询条件,姓名|部门|状态,1',
+    ',,,读取用户信息,R,用户信息,姓名|工号|部门,1'
+  ].join('\n');
+  const result = await parseCosmicImport(Buffer.from(csv), 'cosmic.csv');
+  assert.equal(result.format, 'csv');
+  assert.equal(result.rowCount, 2);
+  assert.equal(result.data[1].functionalProcess, '查询用户');
+  assert.equal(result.data[0].dataMovementType, 'E');
+  assert.deepEqual(result.data[0].extra, { CFP: '1' });
+});
+
+test('JSON 导入支持 { data } 包装', async () => {
+  const json = JSON.stringify({ data: [{ functionalProcess: '删除用户', dataMovementType: 'w', dataGroup: '用户记录' }] });
+  const result = await parseCosmicImport(Buffer.from(json), 'cosmic.json');
+  assert.equal(result.format, 'json');
+  assert.equal(result.data[0].dataMovementType, 'W');
+});
+
+test('多工作表合并时以工作表名标记模块', async () => {
+  const buffer = await workbookBuffer({
+    用户管理: [HEADERS, ['管理员', '新增', '新增用户', '输入用户', 'E', '用户输入', '姓名|工号|部门']],
+    日志管理: [HEADERS, ['管理员', '查询', '查询日志', '输入条件', 'E', '日志条件', '时间|级别|关键字']]
+  });
+
+  const preview = await previewCosmicImport(buffer, 'cosmic.xlsx');
+  assert.deepEqual(preview.sheets.map(s => s.name), ['用户管理', '日志管理']);
+  assert.deepEqual(preview.sheets[0].missingFields, []);
+
+  const result = await parseCosmicImport(buffer, 'cosmic.xlsx', { sheets: 'all' });
+  assert.deepEqual(result.modules, ['用户管理', '日志管理']);
+  assert.equal(result.rowCount, 2);
+
+  const firstOnly = await parseCosmicImport(buffer, 'cosmic.xlsx');
+  assert.equal(firstOnly.rowCount, 1);
+  assert.equal(firstOnly.data[0].module, undefined);
+});
+
+test('旧版 .xls 给出另存为 .xlsx 的提示', async () => {
+  const ole = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0]);
+  assert.match(checkImportFile(ole, 'old.xls'), /另存为 \.xlsx/);
+  assert.match(checkImportFile(ole, 'renamed.xlsx'), /另存为 \.xlsx/);
+  assert.match(checkImportFile(Buffer.from(''), 'notes.txt'), /不支持的文件格式/);
+  assert.equal(checkImportFile(Buffer.from('a,b'), 'ok.csv'), null);
+  await assert.rejects(parseCosmicImport(ole, 'old.xls'), /另存为 \.xlsx/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { stampAiRows, mergePreservingEdits, buildCosmicWorkbook, importEditedWorkbook } = require('../cosmicRoundTrip');
+
+const AI_ROWS = stampAiRows([
+  { functionalUser: '管理员', triggerEvent: '点击新增', functionalProcess: '新增用户', subProcessDesc: '输入用户信息', dataMovementType: 'E', dataGroup: '用户信息', dataAttributes: '用户名、手机号' },
+  { functionalUser: '管理员', triggerEvent: '点击新增', functionalProcess: '新增用户', subProcessDesc: '保存用户信息', dataMovementType: 'W', dataGroup: '用户信息', dataAttributes: '用户名、手机号' },
+  { functionalUser: '管理员', triggerEvent: '点击查询', functionalProcess: '查询用户', subProcessDesc: '输入查询条件', dataMovementType: 'E', dataGroup: '查询条件', dataAttributes: '用户名' },
+  { functionalUser: '管理员', triggerEvent: '点击查询', functionalProcess: '查询用户', subProcessDesc: '读取用户列表', dataMovementType: 'R', dataGroup: '用户信息', dataAttributes: '用户名、手机号' }
+]);
+
+// /api/export-excel 导出的工作簿
+async function exportWorkbook(rows) {
+  return Buffer.from(await buildCosmicWorkbook(rows, { scope: '用户管理' }).xlsx.writeBuffer());
+}
+
+// 模拟人工在 Excel 中编辑拆分结果工作表后保存
+async function editWorkbook(buffer, edit) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  edit(workbook.getWorksheet('Cosmic拆分结果'));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+test('导出工作簿包含拆分结果、度量汇总和隐藏的往返编辑工作表', () => {
+  const workbook = buildCosmicWorkbook(AI_ROWS, { scope: '用户管理' });
+  assert.deepEqual(workbook.worksheets.map(sheet => [sheet.name, sheet.state]), [
+    ['Cosmic拆分结果', 'visible'],
+    ['CFP度量汇总', 'visible'],
+    ['度量元数据', 'visible'],
+    ['_往返编辑', 'veryHidden']
+  ]);
+  const main = workbook.getWorksheet('Cosmic拆分结果');
+  assert.equal(main.getColumn(8).hidden, true);
+  assert.equal(main.getRow(2).getCell(8).value, AI_ROWS[0].aiHash);
+});
+
+test('未修改的导出文件原样导入', async () => {
+  const result = await importEditedWorkbook(await exportWorkbook(AI_ROWS), 'cosmic.xlsx');
+  assert.equal(result.hasRoundTripMetadata, true);
+  assert.deepEqual(result.summary, { total: 4, unchanged: 4, modified: 0, added: 0, deleted: 0 });
+  assert.deepEqual(result.tableData.map(row => row.subProcessDesc), AI_ROWS.map(row => row.subProcessDesc));
+  assert.deepEqual(result.editedProcesses, []);
+});
+
+test('识别人工修改、新增和删除的行', async () => {
+  const buffer = await editWorkbook(await exportWorkbook(AI_ROWS), sheet => {
+    // 第 1 行改数据属性；第 2 行清空功能用户、触发事件、功能过程（合并单元格），仍视为未修改
+    sheet.getRow(2).getCell(7).value = '用户名、手机号、邮箱';
+    [1, 2, 3].forEach(col => { sheet.getRow(3).getCell(col).value = null; });
+    // 第 4 行整行替换为没有行标识的新行：原行视为删除，新行视为新增
+    sheet.getRow(5).values = ['管理员', '点击查询', '查询用户', '返回查询结果', 'X', '用户信息', '用户名、手机号', null];
+  });
+  const result = await importEditedWorkbook(buffer, 'cosmic.xlsx');
+
+  assert.deepEqual(result.summary, { total: 4, unchanged: 2, modified: 1, added: 1, deleted: 1 });
+  assert.equal(result.tableData[0].editStatus, 'modified');
+  assert.equal(result.tableData[1].functionalProcess, '新增用户');
+  assert.equal(result.tableData[3].editStatus, 'added');
+  assert.deepEqual(result.deletedRows.map(row => row.subProcessDesc), ['读取用户列表']);
+  assert.deepEqual(result.editedProcesses, ['新增用户', '查询用户']);
+});
+
+test('重新生成时保留人工修改的功能过程', () => {
+  const existing = [{ ...AI_ROWS[0], dataAttributes: '用户名、邮箱' }, AI_ROWS[1], AI_ROWS[2], AI_ROWS[3]];
+  const incoming = [
+    { functionalProcess: '新增用户', subProcessDesc: 'AI 新结果', dataMovementType: 'E' },
+    { functionalProcess: '删除用户', subProcessDesc: '输入用户ID', dataMovementType: 'E' }
+  ];
+
+  const appended = mergePreservingEdits(existing, incoming, 'append');
+  assert.equal(appended.droppedRows, 1);
+  assert.deepEqual(appended.preservedProcesses, ['新增用户']);
+  assert.equal(appended.tableData.length, 5);
+
+  const replaced = mergePreservingEdits(existing, incoming, 'replace');
+  assert.deepEqual(replaced.tableData.map(row => row.subProcessDesc), ['输入用户信息', '保存用户信息', '输入用户ID']);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateCosmicTable,
+  groupByFunctionalProcess,
+  parseMarkdownTable
+} = require('../cosmicValidator');
+const { calculateCfpSummary } = require('../cosmicMeasurement');
+
+function row(functionalProcess, dataMovementType, dataGroup, dataAttributes = `${dataGroup}编号|${dataGroup}名称|${dataGroup}时间`) {
+  return {
+    functionalUser: '管理员',
+    triggerEvent: '用户操作',
+    functionalProcess,
+    subProcessDesc: `${functionalProcess}-${dataMovementType}`,
+    dataMovementType,
+    dataGroup,
+    dataAttributes
+  };
+}
+
+test('合规的功能过程通过校验', () => {
+  const report = validateCosmicTable([
+    row('查询告警记录', 'E', '告警查询条件'),
+    row('查询告警记录', 'R', '告警记录'),
+    row('查询告警记录', 'X', '告警查询结果')
+  ]);
+  assert.equal(report.valid, true);
+  assert.equal(report.summary.totalProcesses, 1);
+  assert.equal(report.summary.errorCount, 0);
+});
+
+test('顺序错误和缺少 R/W 会被报告', () => {
+  const report = validateCosmicTable([
+    row('新增用户', 'X', '用户结果'),
+    row('新增用户', 'E', '用户输入'),
+    row('新增用户', 'X', '用户通知')
+  ]);
+  const codes = report.processes[0].violations.map(v => v.code);
+  assert.equal(report.valid, false);
+  assert.ok(codes.includes('ORDER_FIRST_NOT_ENTRY'));
+  assert.ok(codes.includes('ORDER_OUT_OF_SEQUENCE'));
+  assert.ok(codes.includes('MISSING_READ_WRITE'));
+});
+
+test('非对象行作为无效行报告而不抛异常', () => {
+  const report = validateCosmicTable([null, 'abc', row('查询设备', 'E', '设备条件')]);
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.invalidRows.map(r => r.rowNumber), [1, 2]);
+  assert.equal(report.summary.invalidRowCount, 2);
+  assert.deepEqual(report.processes[0].rows, [3]);
+});
+
+test('非数组输入返回空报告', () => {
+  const report = validateCosmicTable(null);
+  assert.equal(report.summary.totalRows, 0);
+  assert.deepEqual(report.processes, []);
+});
+
+test('同名功能过程被隔开时校验按连续行报告，分组仍按名称合并', () => {
+  const data = [
+    row('查询工单', 'E', '工单条件'),
+    row('查询工单', 'R', '工单记录'),
+    row('删除工单', 'E', '删除条件'),
+    row('查询工单', 'X', '工单结果')
+  ];
+  const groups = groupByFunctionalProcess(data);
+  assert.deepEqual(groups.map(g => [g.functionalProcess, g.rows.length]), [
+    ['查询工单', 3],
+    ['删除工单', 1]
+  ]);
+
+  const report = validateCosmicTable(data);
+  assert.equal(report.processes.length, 3);
+  assert.ok(report.processes[2].violations.some(v => v.code === 'DUPLICATE_PROCESS'));
+  assert.ok(!report.processes[0].violations.some(v => v.code === 'DUPLICATE_PROCESS'));
+
+  // 度量按功能过程名称统计，不因行被隔开而重复计数
+  const summary = calculateCfpSummary(data);
+  assert.equal(summary.total.processCount, 2);
+  assert.equal(summary.processes.find(p => p.functionalProcess === '查询工单').CFP, 3);
+});
+
+test('数据组重复在全表范围内检测', () => {
+  const report = validateCosmicTable([
+    row('查询设备', 'E', '设备条件'),
+    row('查询设备', 'R', '设备信息'),
+    row('查询设备', 'X', '设备信息', '设备A|设备B|设备C')
+  ]);
+  assert.ok(report.processes[0].violations.some(v => v.code === 'DUPLICATE_DATA_GROUP'));
+});
+
+test('Markdown 表格解析补全合并单元格', () => {
+  const rows = parseMarkdownTable([
+    '|功能用户|触发事件|功能过程|子过程描述|数据移动类型|数据组|数据属性|',
+    '|:---|:---|:---|:---|:---|:---|:---|',
+    '|管理员|点击查询|查询日志|输入条件|e|日志条件|a|b|',
+    '||||读取日志|R|日志记录|x,y,z|'
+  ].join('\n'));
+  assert.equal(rows.length, 2);
+  assert.equal(rows[1].functionalProcess, '查询日志');
+  assert.equal(rows[0].dataMovementType, 'E');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { encodeDiagramPayload, diagramAltText, extractDiagrams, applyDiagramEdits } = require('../diagramSource');
+const { htmlToImage } = require('../diagramGenerator');
+
+// 导出为 .doc（HTML）的文档，含一张带源码载荷的 HTML 图表
+function exportedDoc(source) {
+  const alt = diagramAltText('数据流图', encodeDiagramPayload({ type: 'html', title: '数据流图', source }));
+  return Buffer.from(`<html><body><p>正文</p><img src="data:image/png;base64,AA==" alt="${alt.replace(/"/g, '&quot;')}"></body></html>`, 'utf8');
+}
+
+test('从导出文档中取出 HTML 图表源码', async () => {
+  const { format, diagrams } = await extractDiagrams(exportedDoc('<div>原图</div>'), '需求.doc');
+  assert.equal(format, 'html');
+  assert.deepEqual(diagrams.map(({ index, type, title, source }) => ({ index, type, title, source })), [
+    { index: 1, type: 'html', title: '数据流图', source: '<div>原图</div>' }
+  ]);
+});
+
+test('重新渲染 HTML 图表时不执行脚本、不发出网络请求', async (t) => {
+  const consoleError = console.error;
+  console.error = () => {};
+  const available = await htmlToImage('<div>probe</div>').finally(() => { console.error = consoleError; });
+  if (!available) return t.skip('本机无法启动 Chromium');
+
+  const requests = [];
+  const server = http.createServer((req, res) => { requests.push(req.url); res.end('ok'); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const target = `http://127.0.0.1:${server.address().port}`;
+
+  const source = `<div>
+  <img src="${target}/img">
+  <link rel="stylesheet" href="${target}/css">
+  <iframe src="${target}/frame"></iframe>
+  <script>fetch('${target}/script');</script>
+</div>`;
+  const consoleLog = console.log;
+  console.log = () => {};
+  const result = await applyDiagramEdits(exportedDoc('<div>原图</div>'), '需求.doc', [{ index: 1, source }])
+    .finally(() => { console.log = consoleLog; });
+
+  assert.equal(result.updated, 1);
+  assert.deepEqual(requests, []);
+});
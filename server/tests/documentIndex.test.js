@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tokenize, chunkDocument, buildContext, DocumentIndexStore } = require('../documentIndex');
+
+const SPEC = `# 1 概述
+本系统用于告警管理。
+
+# 2 功能需求
+## 2.1 告警查询
+运维人员可以按告警级别和时间范围查询历史告警记录，支持分页。
+
+## 2.2 批量导入
+管理员可以通过 Excel 模板批量导入设备台账，导入失败的行会生成错误报告。
+
+# 3 非功能需求
+系统响应时间不超过 3 秒。`;
+
+test('中文按单字和二字切分，英文按单词', () => {
+  const tokens = tokenize('导入Excel模板');
+  assert.ok(tokens.includes('导入'));
+  assert.ok(tokens.includes('excel'));
+  assert.ok(tokens.includes('模板'));
+  assert.ok(!tokens.includes('的'));
+});
+
+test('按章节切块并保留标题路径', () => {
+  const chunks = chunkDocument(SPEC);
+  const importChunk = chunks.find(c => c.text.includes('设备台账'));
+  assert.match(importChunk.headingPath, /批量导入/);
+});
+
+test('BM25 检索返回相关章节并可按文档过滤', () => {
+  const store = new DocumentIndexStore();
+  const spec = store.addDocument('s1', { name: '需求说明', content: SPEC });
+  const other = store.addDocument('s1', { name: '会议纪要', content: '# 纪要\n讨论了批量导入的上线时间。' });
+  assert.equal(store.addDocument('s1', { name: '重复', content: SPEC }).duplicate, true);
+
+  const passages = store.search('s1', '怎么批量导入设备台账', { topK: 3 });
+  assert.equal(passages[0].docId, spec.id);
+  assert.match(passages[0].section, /批量导入/);
+
+  const filtered = store.search('s1', '批量导入', { docIds: [other.id] });
+  assert.ok(filtered.every(p => p.docId === other.id));
+  assert.match(buildContext(passages), /^\[1\] 《需求说明》/);
+});
+
+test('会话索引按 LRU 释放，再次访问时从磁盘重建', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docidx-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = new DocumentIndexStore(dir, { maxSessions: 2 });
+  store.addDocument('a', { name: 'A', content: SPEC });
+  store.addDocument('b', { name: 'B', content: '# B\n内容B' });
+  store.addDocument('c', { name: 'C', content: '# C\n内容C' });
+  assert.deepEqual([...store.sessions.keys()], ['b', 'c']);
+
+  assert.equal(store.listDocuments('a')[0].name, 'A');
+  assert.deepEqual([...store.sessions.keys()], ['c', 'a']);
+  assert.ok(store.search('a', '告警查询').length > 0);
+});
+
+test('空闲超时的会话索引被释放', () => {
+  const store = new DocumentIndexStore(null, { ttl: 1000 });
+  store.addDocument('old', { name: 'old', content: SPEC });
+  store.sessions.get('old').lastAccess -= 5000;
+  store.addDocument('new', { name: 'new', content: SPEC });
+  assert.deepEqual([...store.sessions.keys()], ['new']);
+});
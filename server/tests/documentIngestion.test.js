@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DocumentStore, detectFormat, extractDocument } = require('../documentIngestion');
+const { minimalDocx, PNG_BASE64 } = require('./fixtures/minimalDocx');
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+}
+
+function quietStore(dir, options) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return new DocumentStore(dir, options);
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+async function quietIngest(store, buffer, filename) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await store.ingest(buffer, filename);
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+// 把文档的访问时间设为指定秒数之前，控制淘汰顺序
+function age(store, documentId, seconds) {
+  const time = new Date(Date.now() - seconds * 1000);
+  fs.utimesSync(path.join(store.documentDir(documentId), 'document.json'), time, time);
+}
+
+test('按文件内容识别格式，扩展名不符时给出提示', () => {
+  assert.equal(detectFormat(Buffer.from('# 标题\n正文'), 'a.txt').format, 'md');
+  assert.equal(detectFormat(Buffer.from('%PDF-1.4'), 'a.docx').extensionMismatch, true);
+  assert.throws(() => detectFormat(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), 'a.xls'), /另存为 \.xlsx/);
+});
+
+test('Markdown 提取标题结构', async () => {
+  const doc = await extractDocument(Buffer.from('# 1 概述\n正文\n## 1.1 范围\n内容'), 'spec.md');
+  assert.equal(doc.format, 'md');
+  assert.deepEqual(doc.headings.map(h => h.level), [1, 2]);
+  assert.match(doc.html, /<h2>/);
+});
+
+test('图片只在 images.json 中保存一份，读取时还原到 HTML', async () => {
+  const dir = tmpDir();
+  const store = quietStore(dir);
+  const doc = await quietIngest(store, await minimalDocx(), '架构.docx');
+  assert.equal(doc.images.length, 1);
+  assert.match(doc.html, /src="data:image\/png;base64,/);
+
+  const docDir = store.documentDir(doc.documentId);
+  const storedDoc = fs.readFileSync(path.join(docDir, 'document.json'), 'utf-8');
+  const storedImages = fs.readFileSync(path.join(docDir, 'images.json'), 'utf-8');
+  assert.ok(!storedDoc.includes(PNG_BASE64));
+  assert.match(storedDoc, /doc-image:img_1/);
+  assert.equal(storedImages.split(PNG_BASE64).length - 1, 1);
+
+  const loaded = store.getDocument(doc.documentId, { images: true });
+  assert.equal(loaded.html, doc.html);
+  assert.equal(loaded.images[0].dataUrl, `data:image/png;base64,${PNG_BASE64}`);
+  assert.equal(store.getText(doc.documentId), doc.text);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('超出文档数量上限时淘汰最久未访问的文档', async () => {
+  const dir = tmpDir();
+  const store = quietStore(dir, { maxDocuments: 2 });
+  const first = await quietIngest(store, Buffer.from('第一份文档'), 'a.txt');
+  const second = await quietIngest(store, Buffer.from('第二份文档'), 'b.txt');
+  age(store, first.documentId, 20);
+  age(store, second.documentId, 10);
+
+  // 访问第一份后，第二份成为最久未访问的文档
+  store.getDocument(first.documentId);
+  const third = await quietIngest(store, Buffer.from('第三份文档'), 'c.txt');
+
+  assert.ok(store.exists(first.documentId));
+  assert.ok(!store.exists(second.documentId));
+  assert.ok(store.exists(third.documentId));
+  assert.equal(store.listDocuments().length, 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('超出总大小上限时淘汰旧文档，但保留刚上传的文档', async () => {
+  const dir = tmpDir();
+  const store = quietStore(dir, { maxBytes: 1500 });
+  const small = await quietIngest(store, Buffer.from('小文档'), 'a.txt');
+  age(store, small.documentId, 10);
+  const large = await quietIngest(store, Buffer.from('大'.repeat(2000)), 'b.txt');
+
+  assert.ok(!store.exists(small.documentId));
+  assert.ok(store.exists(large.documentId));
+
+  // 重启时按同样的规则清理
+  const restarted = quietStore(dir, { maxBytes: 100 });
+  assert.equal(restarted.listDocuments().length, 0);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
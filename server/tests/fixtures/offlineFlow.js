@@ -0,0 +1,37 @@
+/**
+ * 离线回放测试的输入数据
+ * server/fixtures/llm 下的夹具按这些输入生成的提示词哈希录制，修改后需重新录制（LLM_MODE=record）
+ */
+
+// 缺少读取(R)、顺序错误的COSMIC拆分结果，会触发一次自动修复请求
+const FAULTY_TABLE = [
+  {
+    functionalUser: '运维人员',
+    triggerEvent: '运维人员查询告警',
+    functionalProcess: '查询告警记录',
+    subProcessDesc: '返回告警查询结果',
+    dataMovementType: 'X',
+    dataGroup: '告警查询结果',
+    dataAttributes: '告警编号、告警级别、处理状态'
+  },
+  {
+    functionalUser: '运维人员',
+    triggerEvent: '运维人员查询告警',
+    functionalProcess: '查询告警记录',
+    subProcessDesc: '输入告警查询条件',
+    dataMovementType: 'E',
+    dataGroup: '告警查询条件',
+    dataAttributes: '告警级别、开始时间、结束时间'
+  }
+];
+
+// 流式请求
+const STREAM_MESSAGES = [
+  { role: 'system', content: '你是需求规格说明书撰写专家。' },
+  { role: 'user', content: '用一句话描述"查询告警记录"功能过程。' }
+];
+
+module.exports = {
+  FAULTY_TABLE,
+  STREAM_MESSAGES
+};
@@ -0,0 +1,134 @@
+/**
+ * 端到端离线测试的三个生成流程：请求体与 SSE 调用工具
+ * server/fixtures/llm 下对应的夹具按这些请求产生的提示词录制，修改请求或提示词后需重新录制：
+ *   npm run record:offline   （读取 .env 中的 OPENAI_API_KEY / OPENAI_BASE_URL，调用真实模型）
+ */
+const path = require('path');
+
+const TEMPLATE_ID = 'template_1765258587271_x04o4eh7d';
+
+function cosmicRow(functionalProcess, dataMovementType, subProcessDesc, dataGroup, dataAttributes) {
+  return {
+    functionalUser: '发起者：运维人员 接收者：运维人员',
+    triggerEvent: '运维人员触发',
+    functionalProcess,
+    subProcessDesc,
+    dataMovementType,
+    dataGroup,
+    dataAttributes
+  };
+}
+
+// COSMIC转需求规格书：使用仓库中已有深度分析结果的模板
+const SPEC_REQUEST = {
+  templateId: TEMPLATE_ID,
+  cosmicData: {
+    data: [
+      cosmicRow('新增工单', 'E', '输入工单信息', '工单新增信息', '工单标题、故障设备、紧急程度'),
+      cosmicRow('新增工单', 'W', '保存工单记录', '工单记录', '工单编号、工单标题、工单状态'),
+      cosmicRow('新增工单', 'X', '返回新增结果', '工单新增结果', '工单编号、工单状态、创建时间'),
+      cosmicRow('查询工单', 'E', '输入查询条件', '工单查询条件', '工单编号、工单状态、创建时间'),
+      cosmicRow('查询工单', 'R', '读取工单记录', '工单记录', '工单编号、工单标题、工单状态'),
+      cosmicRow('查询工单', 'X', '返回查询结果', '工单查询结果', '工单编号、工单标题、处理人')
+    ]
+  }
+};
+
+// 需求评审：直接传入文档文本
+const REVIEW_REQUEST = {
+  content: `# 运维工单管理系统需求说明
+
+## 1 概述
+本系统供运维人员在线受理、跟踪和关闭故障工单，替代现有的电子表格登记方式。
+
+## 2 功能需求
+### 2.1 新增工单
+运维人员填写工单标题、故障设备、故障描述和紧急程度后提交，系统生成工单编号并将工单状态置为待处理。
+
+### 2.2 查询工单
+运维人员可按工单编号、工单状态和创建时间查询工单，结果按创建时间倒序分页展示，每页 20 条。
+
+### 2.3 关闭工单
+处理完成后，运维人员可将工单状态改为已关闭。
+
+## 3 非功能需求
+工单查询响应时间不超过 2 秒。`
+};
+
+// 代码生成：纯 HTML 模式，分模块生成后静态检查并定向修复
+const CODE_REQUEST = {
+  requirement: '做一个运维工单管理页面，支持按标题搜索、新增和删除工单',
+  projectType: 'html',
+  uiFramework: 'tailwind'
+};
+
+const PIPELINES = [
+  { name: 'cosmic-to-spec', url: '/api/cosmic-to-spec/generate', body: SPEC_REQUEST },
+  { name: 'review', url: '/api/review/full', body: REVIEW_REQUEST },
+  { name: 'code-generator', url: '/api/code-generator/generate', body: CODE_REQUEST }
+];
+
+/**
+ * 启动 app 并以 JSON 请求体调用 SSE 接口，返回解析后的事件列表
+ * @returns {Promise<{status: number, events: object[], done: boolean}>}
+ */
+async function postSse(app, url, body) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    const payloads = text.split('\n\n')
+      .map(block => block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n'))
+      .filter(Boolean);
+    return {
+      status: response.status,
+      done: payloads.includes('[DONE]'),
+      events: payloads.filter(data => data !== '[DONE]').map(data => JSON.parse(data))
+    };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * 拼接流式输出的正文内容
+ */
+function streamedContent(events, stepId) {
+  return events
+    .filter(event => typeof event.content === 'string' && (!stepId || event.stepId === stepId))
+    .map(event => event.content)
+    .join('');
+}
+
+// 直接运行时以录制模式跑一遍三个流程，写入夹具
+if (require.main === module) {
+  process.env.LLM_MODE = 'record';
+  const app = require(path.join(__dirname, '..', '..', 'index'));
+  const { getFixturesDir } = require('../../mockLLM');
+
+  (async () => {
+    for (const pipeline of PIPELINES) {
+      const { status, events } = await postSse(app, pipeline.url, pipeline.body);
+      const failure = events.find(event => event.error || event.phase === 'error');
+      const failed = status !== 200 || failure;
+      console.log(`${failed ? '❌' : '✅'} ${pipeline.name}: HTTP ${status}, ${events.length} 个事件${failure ? `，错误: ${JSON.stringify(failure.error)}` : ''}`);
+      if (failed) process.exitCode = 1;
+    }
+    console.log(`夹具目录: ${getFixturesDir()}`);
+  })();
+}
+
+module.exports = {
+  SPEC_REQUEST,
+  REVIEW_REQUEST,
+  CODE_REQUEST,
+  PIPELINES,
+  postSse,
+  streamedContent
+};
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { JobManager } = require('../jobManager');
+const { getAbortSignal } = require('../llmProvider');
+
+// 任务创建、结束的日志与断言无关，测试时静默
+console.log = () => {};
+
+const tempDirs = [];
+
+function createManager() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  tempDirs.push(dir);
+  return new JobManager(dir);
+}
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// 记录写出的 SSE 数据帧
+function createSubscriber() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.body = '';
+  res.ended = new Promise(resolve => { res.end = () => { res.emit('close'); resolve(res.body); }; });
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.write = chunk => { res.body += chunk; return true; };
+  return res;
+}
+
+function eventIds(body) {
+  return [...body.matchAll(/^id: (\d+)$/gm)].map(m => Number(m[1]));
+}
+
+function waitFor(predicate) {
+  return new Promise(resolve => {
+    const timer = setInterval(() => {
+      if (predicate()) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 10);
+  });
+}
+
+test('任务事件写盘后可按 Last-Event-ID 补发', async () => {
+  const manager = createManager();
+  manager.registerType('demo', {
+    handler: async (req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      for (let i = 1; i <= 5; i++) {
+        res.write(`data: ${JSON.stringify({ content: `第${i}段` })}\n\n`);
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+    }
+  });
+
+  const job = manager.createJob('demo', {});
+  const live = createSubscriber();
+  manager.subscribe(job.id, live, 0);
+  const body = await live.ended;
+  assert.deepEqual(eventIds(body), [1, 2, 3, 4, 5, 6]);
+  assert.match(body, /event: end\ndata: .*"completed"/);
+
+  await waitFor(() => !manager.activeJobs.has(job.id));
+  assert.equal(manager.readEvents(job.id).length, 6);
+  assert.equal(manager.getJob(job.id).status, 'completed');
+
+  const resumed = createSubscriber();
+  manager.subscribe(job.id, resumed, 4);
+  assert.deepEqual(eventIds(await resumed.ended), [5, 6]);
+});
+
+test('取消任务会中止处理函数的取消信号并结束订阅', async () => {
+  const manager = createManager();
+  let signal = null;
+  let handlerDone;
+  const finished = new Promise(resolve => { handlerDone = resolve; });
+  manager.registerType('slow', {
+    handler: async (req, res) => {
+      signal = getAbortSignal();
+      res.write('data: {"phase":"start"}\n\n');
+      // 等待任务的取消信号，而不是固定时长
+      await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+      res.end();
+      handlerDone();
+    }
+  });
+
+  const job = manager.createJob('slow', {});
+  const subscriber = createSubscriber();
+  manager.subscribe(job.id, subscriber, 0);
+  await waitFor(() => manager.activeJobs.get(job.id)?.events.length === 1);
+  assert.equal(signal.aborted, false);
+
+  const cancelled = manager.cancelJob(job.id);
+  assert.equal(cancelled.status, 'cancelled');
+  const body = await subscriber.ended;
+  assert.match(body, /"cancelled":true/);
+  await finished;
+  assert.equal(signal.aborted, true);
+
+  const again = manager.cancelJob(job.id);
+  assert.equal(again.alreadyFinished, true);
+});
+
+test('未知任务类型抛出错误', () => {
+  const manager = createManager();
+  assert.throws(() => manager.createJob('missing'), /未知的任务类型/);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VectorIndex = require('../selfAI/vectorIndex');
+const KnowledgeBase = require('../selfAI/knowledgeBase');
+
+const KNOWLEDGE_DIR = path.join(__dirname, '..', 'knowledge');
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'selfai-kb-'));
+}
+
+test('问句套话和虚字不参与切分', () => {
+  const index = new VectorIndex();
+  const tokens = index.tokenize('什么是数据移动');
+  assert.ok(tokens.includes('数据') && tokens.includes('移动'));
+  assert.ok(!tokens.includes('什么'));
+  assert.ok(!tokens.includes('是'));
+  assert.ok(!index.tokenize('读的数据').includes('的'));
+});
+
+test('TF-IDF 余弦检索按相关度排序', () => {
+  const index = new VectorIndex();
+  index.add('a', '告警查询 按级别查询历史告警');
+  index.add('b', '设备台账 批量导入');
+  const results = index.search('查询告警');
+  assert.equal(results[0].id, 'a');
+  assert.ok(!results.some(r => r.id === 'b'));
+});
+
+test('"什么是数据移动"命中数据移动条目而不是数据组', () => {
+  const kb = new KnowledgeBase({ knowledgeDir: KNOWLEDGE_DIR, importedDir: null });
+  const [top] = kb.search('什么是数据移动');
+  assert.match(top.question, /数据移动/);
+});
+
+test('"读操作R是什么"通过单字关键词命中数据移动条目', () => {
+  const kb = new KnowledgeBase({ knowledgeDir: KNOWLEDGE_DIR, importedDir: null });
+  const [top] = kb.search('读操作R是什么');
+  assert.ok(top, '应有检索结果');
+  assert.match(top.question, /数据移动/);
+});
+
+test('单字关键词只在查询中独立出现时加分', () => {
+  const kb = new KnowledgeBase({ knowledgeDir: null, importedDir: null });
+  kb.add('custom', '读取配置', '从配置文件读取参数', ['R']);
+  assert.equal(kb.search('error code', { minScore: 0.05 }).length, 0);
+});
+
+test('接口导入的知识持久化并在重启后恢复', () => {
+  const importedDir = tmpDir();
+  const content = '# 运维\n## 如何重启网关\n执行 systemctl restart gateway。\n关键词: 网关, 重启';
+
+  const kb = new KnowledgeBase({ knowledgeDir: null, importedDir });
+  const result = kb.importText(content, 'markdown', { source: 'ops.md', persist: true });
+  assert.equal(result.imported, 1);
+  assert.equal(result.source, 'ops.md');
+  assert.equal(fs.readdirSync(importedDir).length, 1);
+
+  const restarted = new KnowledgeBase({ knowledgeDir: null, importedDir });
+  const [top] = restarted.search('网关重启');
+  assert.equal(top.question, '如何重启网关');
+  assert.equal(top.category, '运维');
+  assert.equal(top.source, 'ops.md');
+
+  // 同一来源再次导入替换旧条目
+  restarted.importText('## 网关端口\n默认 8080。', 'markdown', { category: '运维', source: 'ops.md', persist: true });
+  const again = new KnowledgeBase({ knowledgeDir: null, importedDir });
+  assert.equal(again.getByCategory('运维').length, 1);
+  assert.equal(again.getByCategory('运维')[0].question, '网关端口');
+
+  fs.rmSync(importedDir, { recursive: true, force: true });
+});
+
+test('未指定来源的导入自动生成来源', () => {
+  const importedDir = tmpDir();
+  const kb = new KnowledgeBase({ knowledgeDir: null, importedDir });
+  const result = kb.importText(JSON.stringify([{ question: 'Q1', answer: 'A1' }]), 'json', { category: 'faq', persist: true });
+  assert.match(result.source, /^faq-\d+$/);
+  const restarted = new KnowledgeBase({ knowledgeDir: null, importedDir });
+  assert.equal(restarted.getByCategory('faq').length, 1);
+  fs.rmSync(importedDir, { recursive: true, force: true });
+});
+
+test('导入不能使用内置、管理端和知识目录文件的来源', () => {
+  const importedDir = tmpDir();
+  const kb = new KnowledgeBase({ knowledgeDir: KNOWLEDGE_DIR, importedDir });
+  const before = kb.knowledge.size;
+  const dirFile = fs.readdirSync(KNOWLEDGE_DIR).find(name => name.endsWith('.md'));
+
+  for (const source of ['builtin', 'admin', dirFile]) {
+    assert.throws(
+      () => kb.importText('## 问题\n答案', 'markdown', { source, persist: true }),
+      error => error.code === 'RESERVED_SOURCE'
+    );
+  }
+  assert.equal(kb.knowledge.size, before);
+  assert.deepEqual(fs.readdirSync(importedDir), []);
+
+  // 旧版本写入的保留来源文件在启动时跳过，不再删除内置知识
+  fs.writeFileSync(path.join(importedDir, 'builtin.json'), JSON.stringify({ source: 'builtin', category: 'x', entries: [{ question: 'Q', answer: 'A' }] }));
+  const restarted = new KnowledgeBase({ knowledgeDir: KNOWLEDGE_DIR, importedDir });
+  assert.equal(restarted.knowledge.size, before);
+  assert.equal(restarted.getByCategory('x').length, 0);
+
+  fs.rmSync(importedDir, { recursive: true, force: true });
+});
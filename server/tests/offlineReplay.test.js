@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// 回放模式：只读取 server/fixtures/llm 下已录制的夹具，不访问网络，无需API密钥
+process.env.LLM_MODE = 'replay';
+process.env.LLM_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+delete process.env.LLM_MOCK_FALLBACK;
+
+const { LLMProvider } = require('../llmProvider');
+const { validateCosmicTable, repairCosmicTable } = require('../cosmicValidator');
+const { FAULTY_TABLE, STREAM_MESSAGES } = require('./fixtures/offlineFlow');
+const { SPEC_REQUEST, REVIEW_REQUEST, CODE_REQUEST, postSse, streamedContent } = require('./fixtures/offlinePipelines');
+
+// 接口处理过程的日志较多，测试时静默
+async function quiet(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+let app;
+function getApp() {
+  if (!app) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+      app = require('../index');
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+  }
+  return app;
+}
+
+function phasesOf(events) {
+  return events.map(event => event.phase).filter(Boolean);
+}
+
+test('回放模式下完成 COSMIC 校验与自动修复流程', async () => {
+  const client = new LLMProvider();
+  assert.equal(client.isConfigured(), true);
+
+  const before = validateCosmicTable(FAULTY_TABLE);
+  assert.equal(before.valid, false);
+
+  const result = await repairCosmicTable(client, FAULTY_TABLE, { report: before, maxRounds: 1 });
+  assert.equal(result.report.valid, true);
+  assert.equal(result.rounds, 1);
+  assert.deepEqual(result.tableData.map(r => r.dataMovementType), ['E', 'R', 'X']);
+
+  const stats = client.getStats();
+  assert.equal(stats.mode, 'replay');
+  assert.equal(stats.requests, 1);
+  assert.equal(stats.byTask.cosmic.totalTokens, 800);
+});
+
+test('回放流式响应并统计用量', async () => {
+  const client = new LLMProvider();
+  const stream = await client.chat.completions.create({ task: 'spec', messages: STREAM_MESSAGES, stream: true });
+  let content = '';
+  for await (const chunk of stream) {
+    content += chunk.choices[0]?.delta?.content || '';
+  }
+  assert.match(content, /告警/);
+  assert.equal(client.getStats().byTask.spec.totalTokens, 93);
+  assert.equal(client.active, 0);
+});
+
+test('缺少夹具时报错而不是访问网络', async () => {
+  const client = new LLMProvider({ maxRetries: 0 });
+  await assert.rejects(
+    client.chat.completions.create({ messages: [{ role: 'user', content: '未录制的请求' }] }),
+    error => error.code === 'fixture_not_found'
+  );
+});
+
+test('回放 /api/cosmic-to-spec/generate：按模板分类并生成完整规格书', async () => {
+  const { status, events, done } = await quiet(() => postSse(getApp(), '/api/cosmic-to-spec/generate', SPEC_REQUEST));
+  assert.equal(status, 200);
+  assert.equal(done, true);
+  assert.ok(!events.some(event => event.error));
+
+  const phases = phasesOf(events);
+  const positions = ['template_analyzed', 'processes_classified', 'generating_header', 'generating_functions', 'generating_footer', 'complete']
+    .map(phase => phases.indexOf(phase));
+  assert.ok(positions.every((position, i) => position >= 0 && (i === 0 || position > positions[i - 1])), phases.join(','));
+  const classified = events.find(event => event.phase === 'processes_classified');
+  assert.deepEqual(classified.classification.classification, { 运维工单子系统: { 工单受理: ['新增工单', '查询工单'] } });
+  assert.equal(events.find(event => event.phase === 'complete').totalProcesses, 2);
+
+  const content = streamedContent(events);
+  assert.match(content, /### 1\.1 基本信息/);
+  assert.match(content, /新增工单[\s\S]*查询工单/);
+  assert.match(content, /DIAGRAM_START/);
+  assert.match(content, /# 7 假设与约束条件/);
+});
+
+test('回放 /api/review/full：六个维度评审并汇总问题与风险', async () => {
+  const { status, events, done } = await quiet(() => postSse(getApp(), '/api/review/full', REVIEW_REQUEST));
+  assert.equal(status, 200);
+  assert.equal(done, true);
+  assert.equal(phasesOf(events).filter(phase => phase === 'dimension_review').length, 6);
+
+  const { report } = events.find(event => event.phase === 'result');
+  assert.equal(Object.keys(report.dimensions).length, 6);
+  assert.equal(report.overallScore, 83);
+  assert.deepEqual(report.issues.map(issue => [issue.dimension, issue.severity]), [['可测试性', 'major']]);
+  assert.equal(report.riskAnalysis.overallRiskLevel, 'low');
+  assert.deepEqual(report.priorityRecommendations.mvpScope, ['新增工单', '查询工单']);
+});
+
+test('回放 /api/code-generator/generate：分模块生成，静态检查后修复出错模块', async () => {
+  const { status, events } = await quiet(() => postSse(getApp(), '/api/code-generator/generate', CODE_REQUEST));
+  assert.equal(status, 200);
+  assert.ok(!events.some(event => event.error || event.phase === 'step_error'));
+  assert.equal(phasesOf(events).filter(phase => phase === 'step_complete').length, 10);
+
+  // 渲染模块引用了未定义的 escapeHtml，只重新生成该模块
+  const fixing = events.filter(event => event.phase === 'fixing');
+  assert.deepEqual(fixing.map(event => [event.fixRound, event.stepId, event.issues.map(issue => issue.name)]), [[1, 'js_render', ['escapeHtml']]]);
+
+  const complete = events[events.length - 1];
+  assert.equal(complete.phase, 'complete');
+  assert.equal(complete.verification.passed, true);
+  assert.deepEqual(complete.verification.repairedSteps, ['js_render']);
+  assert.match(complete.finalCode.html, /function escapeHtml/);
+  assert.match(streamedContent(events, 'html_structure'), /id="tableBody"/);
+});
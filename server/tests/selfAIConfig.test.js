@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../selfAI/configManager');
+const NLUEngine = require('../selfAI/nlu');
+const SelfAIAgent = require('../selfAI');
+
+function tmpConfigPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'selfai-config-')), 'config.json');
+}
+
+test('配置文件损坏时使用内置配置并备份原文件', () => {
+  const filePath = tmpConfigPath();
+  fs.writeFileSync(filePath, '{ "intents": ');
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const manager = new ConfigManager(filePath);
+    assert.deepEqual(manager.data.intents, {});
+  } finally {
+    console.error = originalError;
+  }
+  const files = fs.readdirSync(path.dirname(filePath));
+  assert.ok(files.some(name => name.startsWith('config.json.corrupt-')));
+  assert.ok(!files.includes('config.json'));
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
+
+test('拒绝过长或含嵌套量词的正则', () => {
+  const manager = new ConfigManager(tmpConfigPath());
+  assert.throws(() => manager.set('intents', 'evil', { patterns: ['(a+)+$'] }), { code: 'INVALID_CONFIG' });
+  assert.throws(() => manager.set('entities', 'evil', { patterns: ['/(\\w*)*x/'] }), { code: 'INVALID_CONFIG' });
+  assert.throws(() => manager.set('intents', 'long', { patterns: ['a'.repeat(201)] }), { code: 'INVALID_CONFIG' });
+  assert.throws(() => manager.set('intents', 'many', { patterns: Array(51).fill('a') }), { code: 'INVALID_CONFIG' });
+  assert.ok(manager.set('intents', 'deploy', { patterns: ['/^(部署|发布)+.*服务$/i'] }));
+});
+
+test('同义词在意图匹配前替换为标准词', () => {
+  const manager = new ConfigManager(tmpConfigPath());
+  manager.set('intents', 'deploy', { patterns: ['部署.*服务'], priority: 12 });
+  manager.set('synonyms', '部署', ['上线']);
+
+  const nlu = new NLUEngine();
+  nlu.applyOverrides(manager.compile());
+  // 原文可以命中"怎么"（how_to），同义词替换后命中优先级更高的 deploy
+  const result = nlu.understand('怎么上线订单服务');
+  assert.equal(result.intent, 'deploy');
+});
+
+test('配置文件中的无效分区和条目在加载时丢弃，不影响启动', () => {
+  const filePath = tmpConfigPath();
+  fs.writeFileSync(filePath, JSON.stringify({
+    intents: {
+      broken: { patterns: ['('] },
+      deploy: { patterns: ['部署.*服务'], priority: 12 },
+      hidden: null
+    },
+    entities: null,
+    synonyms: { 部署: ['上线'], empty: [] },
+    knowledge: {},
+    disabledSkills: 'calculator'
+  }));
+
+  const originalWarn = console.warn;
+  const originalLog = console.log;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  console.log = () => {};
+  try {
+    const manager = new ConfigManager(filePath);
+    assert.deepEqual(Object.keys(manager.data.intents), ['deploy', 'hidden']);
+    assert.deepEqual(manager.data.entities, {});
+    assert.deepEqual(manager.data.synonyms, { 部署: ['上线'] });
+    assert.deepEqual(manager.data.knowledge, []);
+    assert.deepEqual(manager.data.disabledSkills, ['calculator']);
+    assert.match(warnings.join('\n'), /intents\.broken/);
+
+    const agent = new SelfAIAgent({ knowledgeDir: null, importedKnowledgeDir: null });
+    agent.attachConfig(manager);
+    assert.equal(agent.nlu.understand('怎么上线订单服务').intent, 'deploy');
+  } finally {
+    console.warn = originalWarn;
+    console.log = originalLog;
+  }
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
@@ -0,0 +1,577 @@
+/**
+ * COSMIC 需求追溯模块
+ * 把每个功能过程定位到源文档（parse-word 提取的文本）中产生它的段落，生成需求追溯矩阵和章节覆盖情况
+ *
+ * 定位策略：
+ * 1. 按标题行（1.2 / 第一章 / 一、/ （一）/ Markdown #）把文档切分为章节，记录每个章节在文本中的字符偏移
+ * 2. 章节正文按行切分为段落，标题行本身也作为候选段落
+ * 3. 功能过程名称、触发事件、子过程描述和数据组的字符二元组在段落中的覆盖率加权打分，取最高分段落
+ * 4. 得分低于阈值的功能过程视为无法定位，不写入锚点
+ */
+
+const { groupByFunctionalProcess } = require('./cosmicValidator');
+
+const MIN_ANCHOR_SCORE = 0.3;
+const SNIPPET_LENGTH = 80;
+const PREAMBLE_TITLE = '（文档开头）';
+
+// 章节覆盖状态
+const COVERAGE_STATUS = {
+  covered: '已覆盖',
+  descendant: '子章节覆盖',
+  uncovered: '未覆盖',
+  empty: '无正文'
+};
+
+const CHINESE_NUMERALS = '一二三四五六七八九十百';
+
+// 标题格式：按顺序匹配，命中即停止
+const HEADING_PATTERNS = [
+  {
+    regex: /^(#{1,6})\s+(.{1,60})$/,
+    parse: m => ({ level: m[1].length, number: '', title: m[2] })
+  },
+  {
+    regex: new RegExp(`^第([${CHINESE_NUMERALS}\\d]{1,4})([章节篇部分]{1,2})\\s*(.{0,50})$`),
+    parse: m => ({ level: m[2] === '节' ? 2 : 1, number: `第${m[1]}${m[2]}`, title: m[3] })
+  },
+  {
+    regex: /^(\d{1,2}(?:\.\d{1,3})*)(?:\s*[、.．]\s*|\s+)([^\d\s][^\t]{1,50})$/,
+    parse: m => ({ level: m[1].split('.').length, number: m[1], title: m[2] })
+  },
+  {
+    regex: new RegExp(`^([${CHINESE_NUMERALS}]{1,3})[、.．]\\s*(.{1,50})$`),
+    parse: m => ({ level: 1, number: `${m[1]}、`, title: m[2] })
+  },
+  {
+    regex: new RegExp(`^[（(]([${CHINESE_NUMERALS}]{1,3})[)）]\\s*(.{1,50})$`),
+    parse: m => ({ level: 2, number: `（${m[1]}）`, title: m[2] })
+  }
+];
+
+// ==================== 章节切分 ====================
+
+/**
+ * 识别标题行，正文句子（以句末标点结尾或含逗号的长句）不作为标题
+ */
+function parseHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 60) return null;
+  if (/[。；;，,：:！!？?]$/.test(trimmed)) return null;
+
+  for (const pattern of HEADING_PATTERNS) {
+    const match = trimmed.match(pattern.regex);
+    if (!match) continue;
+    const heading = pattern.parse(match);
+    heading.title = heading.title.replace(/[#*]+$/, '').trim();
+    if (/[，,。]/.test(heading.title) && heading.title.length > 20) return null;
+    return { ...heading, heading: trimmed };
+  }
+  return null;
+}
+
+/**
+ * 按行切分文本并记录每行的起始偏移
+ */
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  text.split('\n').forEach(raw => {
+    lines.push({ raw, offset });
+    offset += raw.length + 1;
+  });
+  return lines;
+}
+
+/**
+ * 把文档切分为章节
+ * @param {string} text - parse-word 返回的文本
+ * @returns {Array} [{ index, number, title, heading, level, parentIndex, headingPath, start, end, paragraphs }]
+ *   start/end 为章节（含标题行）在文本中的字符偏移，paragraphs 为章节正文段落 { offset, length, text }
+ */
+function splitDocumentSections(text = '') {
+  const sections = [];
+  const stack = [];
+  let current = null;
+
+  const openSection = (heading, offset) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+    const parent = stack[stack.length - 1] || null;
+    const section = {
+      index: sections.length,
+      number: heading.number,
+      title: heading.title,
+      heading: heading.heading,
+      level: heading.level,
+      parentIndex: parent ? parent.index : null,
+      headingPath: [...stack.map(s => s.heading), heading.heading].join(' > '),
+      start: offset,
+      end: text.length,
+      paragraphs: []
+    };
+    if (current) current.end = offset;
+    sections.push(section);
+    if (heading.level > 0) stack.push(section);
+    current = section;
+  };
+
+  splitLines(text).forEach(({ raw, offset }) => {
+    const heading = parseHeading(raw);
+    if (heading) {
+      openSection(heading, offset + raw.indexOf(heading.heading));
+      return;
+    }
+
+    const content = raw.trim();
+    if (!content) return;
+    if (!current) {
+      openSection({ level: 0, number: '', title: PREAMBLE_TITLE, heading: PREAMBLE_TITLE }, 0);
+    }
+    current.paragraphs.push({ offset: offset + raw.indexOf(content), length: content.length, text: content });
+  });
+
+  return sections;
+}
+
+// ==================== 相似度 ====================
+
+function normalizeText(text) {
+  return (text || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[\s·\-_（）()【】\[\]"'“”、，,。.:：;；|/]/g, '');
+}
+
+function bigramSet(text) {
+  const normalized = normalizeText(text);
+  const grams = new Set();
+  if (normalized.length === 1) grams.add(normalized);
+  for (let i = 0; i < normalized.length - 1; i++) {
+    grams.add(normalized.slice(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * 查询词的二元组在段落中出现的比例（段落通常远长于功能过程名称，不适合用 Dice 系数）
+ */
+function containment(queryGrams, passageGrams) {
+  if (queryGrams.size === 0) return 0;
+  let hit = 0;
+  queryGrams.forEach(gram => {
+    if (passageGrams.has(gram)) hit++;
+  });
+  return hit / queryGrams.size;
+}
+
+// ==================== 定位 ====================
+
+/**
+ * 构建候选段落（标题行 + 正文段落），预先计算二元组
+ */
+function buildCandidates(sections) {
+  const candidates = [];
+  sections.forEach(section => {
+    const headingGrams = bigramSet(section.title);
+    if (section.level > 0) {
+      candidates.push({ section, offset: section.start, length: section.heading.length, text: section.heading, grams: headingGrams, headingGrams });
+    }
+    section.paragraphs.forEach(p => {
+      candidates.push({ section, ...p, grams: bigramSet(p.text), headingGrams });
+    });
+  });
+  return candidates;
+}
+
+function buildAnchor(candidate, score) {
+  const { section } = candidate;
+  return {
+    sectionIndex: section.index,
+    sectionNumber: section.number,
+    heading: section.heading,
+    headingPath: section.headingPath,
+    offset: candidate.offset,
+    length: candidate.length,
+    snippet: candidate.text.length > SNIPPET_LENGTH ? `${candidate.text.slice(0, SNIPPET_LENGTH)}…` : candidate.text,
+    score: Math.round(score * 100) / 100
+  };
+}
+
+/**
+ * 为一个功能过程找到最匹配的段落
+ */
+function locateProcess(group, candidates) {
+  const nameGrams = bigramSet(group.functionalProcess);
+  const contextGrams = bigramSet([
+    group.triggerEvent,
+    ...group.rows.map(r => `${r.subProcessDesc || ''} ${r.dataGroup || ''}`)
+  ].join(' '));
+
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach(candidate => {
+    const nameScore = Math.max(containment(nameGrams, candidate.grams), containment(nameGrams, candidate.headingGrams) * 0.8);
+    const score = nameScore * 0.6 + containment(contextGrams, candidate.grams) * 0.4;
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+
+  return best && bestScore >= MIN_ANCHOR_SCORE ? buildAnchor(best, bestScore) : null;
+}
+
+/**
+ * 按功能过程定位源文档段落
+ * @returns {Object} { 功能过程名称: anchor | null }
+ */
+function locateProcesses(tableData = [], documentContent = '', sections = splitDocumentSections(documentContent)) {
+  const candidates = buildCandidates(sections);
+  const anchors = {};
+  groupByFunctionalProcess(tableData).forEach(group => {
+    anchors[group.functionalProcess] = candidates.length > 0 ? locateProcess(group, candidates) : null;
+  });
+  return anchors;
+}
+
+/**
+ * 收集行上已有的来源锚点
+ * @returns {Object} { 功能过程名称: anchor }
+ */
+function collectSourceAnchors(rows = []) {
+  const anchors = {};
+  let currentProcess = '';
+  rows.forEach(row => {
+    if (row.functionalProcess) currentProcess = row.functionalProcess;
+    if (currentProcess && row.sourceAnchor && !anchors[currentProcess]) anchors[currentProcess] = row.sourceAnchor;
+  });
+  return anchors;
+}
+
+/**
+ * 为行写入来源锚点 sourceAnchor
+ * 先按功能过程名称应用已有锚点（如 continue-analyze 返回的 sourceAnchors），其余有源文档时重新定位；已有锚点的行保持不变
+ * @param {Array} rows - 拆分表行
+ * @param {Object} options - { sourceAnchors, documentContent }
+ */
+function attachSourceAnchors(rows = [], { sourceAnchors = {}, documentContent = '' } = {}) {
+  let currentProcess = '';
+  const processOf = rows.map(row => {
+    if (row.functionalProcess) currentProcess = row.functionalProcess;
+    return currentProcess;
+  });
+
+  const missing = new Set(processOf.filter((name, i) => !rows[i].sourceAnchor && !sourceAnchors[name]));
+  const located = documentContent && missing.size > 0
+    ? locateProcesses(rows.filter((row, i) => missing.has(processOf[i])), documentContent)
+    : {};
+
+  return rows.map((row, i) => {
+    if (row.sourceAnchor) return row;
+    const anchor = sourceAnchors[processOf[i]] || located[processOf[i]];
+    return anchor ? { ...row, sourceAnchor: anchor } : row;
+  });
+}
+
+// ==================== 追溯矩阵 ====================
+
+function countCfp(rows) {
+  return rows.filter(r => ['E', 'R', 'W', 'X'].includes((r.dataMovementType || '').toUpperCase())).length;
+}
+
+/**
+ * 生成需求追溯矩阵
+ * 锚点所在章节视为直接覆盖，祖先章节视为子章节覆盖；没有正文且没有子章节的章节不计入覆盖率
+ * @returns {Object} { processes, sections, summary }
+ */
+function buildTraceabilityMatrix(tableData = [], documentContent = '') {
+  const sections = splitDocumentSections(documentContent);
+  const rows = attachSourceAnchors(tableData, { documentContent });
+  const groups = groupByFunctionalProcess(rows);
+
+  const processes = groups.map(group => {
+    const anchor = group.rows.find(r => r.sourceAnchor)?.sourceAnchor || null;
+    // 锚点来自其他版本的文档时偏移可能越界，按标题重新对应章节
+    const section = anchor
+      ? (sections[anchor.sectionIndex]?.heading === anchor.heading ? sections[anchor.sectionIndex] : sections.find(s => s.heading === anchor.heading))
+      : null;
+    return {
+      functionalProcess: group.functionalProcess,
+      functionalUser: group.functionalUser,
+      triggerEvent: group.triggerEvent,
+      cfp: countCfp(group.rows),
+      anchor,
+      sectionIndex: section ? section.index : null
+    };
+  });
+
+  const sectionRows = sections.map(section => ({
+    index: section.index,
+    number: section.number,
+    title: section.title,
+    heading: section.heading,
+    headingPath: section.headingPath,
+    level: section.level,
+    parentIndex: section.parentIndex,
+    offset: section.start,
+    textLength: section.paragraphs.reduce((sum, p) => sum + p.length, 0),
+    hasChildren: false,
+    processes: [],
+    cfp: 0,
+    status: 'uncovered'
+  }));
+
+  sectionRows.forEach(s => {
+    if (s.parentIndex !== null) sectionRows[s.parentIndex].hasChildren = true;
+  });
+  processes.forEach(p => {
+    if (p.sectionIndex === null) return;
+    const section = sectionRows[p.sectionIndex];
+    section.processes.push(p.functionalProcess);
+    section.cfp += p.cfp;
+    section.status = 'covered';
+    let parentIndex = section.parentIndex;
+    while (parentIndex !== null) {
+      const parent = sectionRows[parentIndex];
+      if (parent.status !== 'covered') parent.status = 'descendant';
+      parentIndex = parent.parentIndex;
+    }
+  });
+  sectionRows.forEach(s => {
+    if (s.status === 'uncovered' && s.textLength === 0 && !s.hasChildren) s.status = 'empty';
+  });
+
+  const counted = sectionRows.filter(s => s.status !== 'empty');
+  const coveredCount = counted.filter(s => s.status !== 'uncovered').length;
+  const anchoredCount = processes.filter(p => p.anchor).length;
+
+  return {
+    processes,
+    sections: sectionRows,
+    summary: {
+      sectionCount: counted.length,
+      coveredSections: coveredCount,
+      uncoveredSections: counted.length - coveredCount,
+      coverageRate: counted.length > 0 ? Math.round((coveredCount / counted.length) * 1000) / 10 : 0,
+      processCount: processes.length,
+      anchoredProcesses: anchoredCount,
+      unanchoredProcesses: processes.length - anchoredCount
+    }
+  };
+}
+
+// ==================== Excel 导出 ====================
+
+const STATUS_FILLS = {
+  covered: 'FFE2EFDA',
+  descendant: 'FFDDEBF7',
+  uncovered: 'FFFCE4D6',
+  empty: 'FFF2F2F2'
+};
+
+function styleHeader(row) {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+  row.alignment = { vertical: 'middle', horizontal: 'center' };
+  row.height = 25;
+}
+
+function applyBorders(worksheet) {
+  worksheet.eachRow(row => {
+    row.eachCell(cell => {
+      cell.border = {
+        top: { style: 'thin' },
+        left: { style: 'thin' },
+        bottom: { style: 'thin' },
+        right: { style: 'thin' }
+      };
+    });
+  });
+}
+
+/**
+ * 在工作簿中添加"需求追溯矩阵"和"章节覆盖"两个工作表
+ */
+function addTraceabilitySheets(workbook, matrix) {
+  // ========== 工作表：需求追溯矩阵 ==========
+  const sheet = workbook.addWorksheet('需求追溯矩阵');
+  sheet.columns = [
+    { header: '序号', key: 'index', width: 8 },
+    { header: '功能过程', key: 'process', width: 30 },
+    { header: '功能用户', key: 'user', width: 16 },
+    { header: '触发事件', key: 'trigger', width: 20 },
+    { header: 'CFP', key: 'cfp', width: 8 },
+    { header: '来源章节', key: 'headingPath', width: 40 },
+    { header: '字符偏移', key: 'offset', width: 10 },
+    { header: '原文片段', key: 'snippet', width: 50 },
+    { header: '匹配度', key: 'score', width: 10 }
+  ];
+  styleHeader(sheet.getRow(1));
+
+  matrix.processes.forEach((p, i) => {
+    const row = sheet.addRow({
+      index: i + 1,
+      process: p.functionalProcess,
+      user: p.functionalUser,
+      trigger: p.triggerEvent,
+      cfp: p.cfp,
+      headingPath: p.anchor ? p.anchor.headingPath : '未定位',
+      offset: p.anchor ? p.anchor.offset : '',
+      snippet: p.anchor ? p.anchor.snippet : '',
+      score: p.anchor ? p.anchor.score : ''
+    });
+    row.alignment = { vertical: 'middle', wrapText: true };
+    if (!p.anchor) {
+      row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: STATUS_FILLS.uncovered } };
+    }
+  });
+  applyBorders(sheet);
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // ========== 工作表：章节覆盖 ==========
+  const coverage = workbook.addWorksheet('章节覆盖');
+  coverage.columns = [
+    { header: '章节', key: 'heading', width: 40 },
+    { header: '层级', key: 'level', width: 8 },
+    { header: '字符偏移', key: 'offset', width: 10 },
+    { header: '正文字数', key: 'textLength', width: 10 },
+    { header: '覆盖状态', key: 'status', width: 12 },
+    { header: '功能过程数', key: 'processCount', width: 12 },
+    { header: 'CFP', key: 'cfp', width: 8 },
+    { header: '功能过程', key: 'processes', width: 50 }
+  ];
+  styleHeader(coverage.getRow(1));
+
+  matrix.sections.forEach(s => {
+    const row = coverage.addRow({
+      heading: `${'  '.repeat(Math.max(s.level - 1, 0))}${s.heading}`,
+      level: s.level,
+      offset: s.offset,
+      textLength: s.textLength,
+      status: COVERAGE_STATUS[s.status],
+      processCount: s.processes.length,
+      cfp: s.cfp,
+      processes: s.processes.join('、')
+    });
+    row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: STATUS_FILLS[s.status] } };
+    row.alignment = { vertical: 'middle', wrapText: true };
+  });
+
+  const { summary } = matrix;
+  const totalRow = coverage.addRow({
+    heading: `合计：覆盖 ${summary.coveredSections}/${summary.sectionCount} 个章节（${summary.coverageRate}%）`,
+    processCount: summary.processCount,
+    cfp: matrix.processes.reduce((sum, p) => sum + p.cfp, 0),
+    processes: summary.unanchoredProcesses > 0 ? `${summary.unanchoredProcesses} 个功能过程未定位到源文档` : ''
+  });
+  totalRow.font = { bold: true };
+  applyBorders(coverage);
+  coverage.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+// ==================== HTML 导出 ====================
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 生成可独立打开的追溯矩阵 HTML 报告
+ */
+function renderTraceabilityHtml(matrix, { title = '需求追溯矩阵', documentName = '' } = {}) {
+  const { summary } = matrix;
+
+  const processRows = matrix.processes.map((p, i) => `
+      <tr class="${p.anchor ? '' : 'uncovered'}">
+        <td>${i + 1}</td>
+        <td>${escapeHtml(p.functionalProcess)}</td>
+        <td>${escapeHtml(p.functionalUser)}</td>
+        <td>${escapeHtml(p.triggerEvent)}</td>
+        <td>${p.cfp}</td>
+        <td>${p.anchor ? escapeHtml(p.anchor.headingPath) : '未定位'}</td>
+        <td>${p.anchor ? p.anchor.offset : ''}</td>
+        <td class="snippet">${p.anchor ? escapeHtml(p.anchor.snippet) : ''}</td>
+        <td>${p.anchor ? p.anchor.score : ''}</td>
+      </tr>`).join('');
+
+  const sectionRows = matrix.sections.map(s => `
+      <tr class="${s.status}">
+        <td style="padding-left:${8 + Math.max(s.level - 1, 0) * 16}px">${escapeHtml(s.heading)}</td>
+        <td>${s.offset}</td>
+        <td>${s.textLength}</td>
+        <td>${COVERAGE_STATUS[s.status]}</td>
+        <td>${s.processes.length}</td>
+        <td>${s.cfp}</td>
+        <td>${escapeHtml(s.processes.join('、'))}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: "Microsoft YaHei", "PingFang SC", sans-serif; margin: 24px; color: #333; }
+    h1 { font-size: 22px; }
+    h2 { font-size: 18px; margin-top: 32px; }
+    .summary { display: flex; gap: 24px; margin: 16px 0; }
+    .summary div { background: #f5f5f5; border-radius: 6px; padding: 12px 16px; }
+    .summary strong { display: block; font-size: 20px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #4472c4; color: #fff; }
+    td.snippet { color: #666; max-width: 360px; }
+    tr.covered { background: #e2efda; }
+    tr.descendant { background: #ddebf7; }
+    tr.uncovered { background: #fce4d6; }
+    tr.empty { background: #f2f2f2; color: #999; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${documentName ? `<p>源文档：${escapeHtml(documentName)}</p>` : ''}
+  <p>生成时间：${new Date().toLocaleString('zh-CN')}</p>
+  <div class="summary">
+    <div><strong>${summary.coverageRate}%</strong>章节覆盖率</div>
+    <div><strong>${summary.coveredSections}/${summary.sectionCount}</strong>已覆盖章节</div>
+    <div><strong>${summary.uncoveredSections}</strong>未覆盖章节</div>
+    <div><strong>${summary.anchoredProcesses}/${summary.processCount}</strong>已定位功能过程</div>
+  </div>
+
+  <h2>章节覆盖</h2>
+  <table>
+    <thead>
+      <tr><th>章节</th><th>字符偏移</th><th>正文字数</th><th>覆盖状态</th><th>功能过程数</th><th>CFP</th><th>功能过程</th></tr>
+    </thead>
+    <tbody>${sectionRows}
+    </tbody>
+  </table>
+
+  <h2>功能过程追溯</h2>
+  <table>
+    <thead>
+      <tr><th>序号</th><th>功能过程</th><th>功能用户</th><th>触发事件</th><th>CFP</th><th>来源章节</th><th>字符偏移</th><th>原文片段</th><th>匹配度</th></tr>
+    </thead>
+    <tbody>${processRows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+}
+
+// ==================== 导出模块 ====================
+
+module.exports = {
+  COVERAGE_STATUS,
+  splitDocumentSections,
+  locateProcesses,
+  collectSourceAnchors,
+  attachSourceAnchors,
+  buildTraceabilityMatrix,
+  addTraceabilitySheets,
+  renderTraceabilityHtml
+};